@@ -0,0 +1,113 @@
+// Src/config/ai.js - AI provider configuration
+// Per-feature provider/model selection, timeouts, retries and pricing.
+//
+// Environment overrides:
+//   AI_PROVIDER=gemini|openai|mock          default provider for every feature
+//   AI_<FEATURE>_PROVIDER / AI_<FEATURE>_MODEL   e.g. AI_COMPANION_MODEL=gpt-4o-mini
+//   AI_TIMEOUT_MS, AI_MAX_RETRIES
+//   GEMINI_API_KEY (or GOOGLE_AI_API_KEY), OPENAI_API_KEY
+//   EMBEDDING_PROVIDER=gemini|openai|local  embeddings for companion memory
+//   EMBEDDING_OPENAI_MODEL, EMBEDDING_GEMINI_MODEL
+
+const DEFAULT_PROVIDER = process.env.AI_PROVIDER || 'gemini';
+
+// Default model per provider, by tier
+const PROVIDER_MODELS = {
+  gemini: {
+    fast: 'gemini-1.5-flash',
+    balanced: 'gemini-1.5-pro',
+    advanced: 'gemini-1.5-pro'
+  },
+  openai: {
+    fast: 'gpt-4o-mini',
+    balanced: 'gpt-4o-mini',
+    advanced: 'gpt-4o'
+  },
+  mock: {
+    fast: 'mock-1',
+    balanced: 'mock-1',
+    advanced: 'mock-1'
+  }
+};
+
+// Feature defaults - tier picks the model unless a model is set explicitly
+const FEATURES = {
+  companion:        { tier: 'fast',     maxTokens: 800,  temperature: 0.8 },
+  insights:         { tier: 'fast',     maxTokens: 600,  temperature: 0.7 },
+  query:            { tier: 'fast',     maxTokens: 600,  temperature: 0.7 },
+  deep_dive:        { tier: 'balanced', maxTokens: 1200, temperature: 0.7 },
+  health_analysis:  { tier: 'balanced', maxTokens: 1024, temperature: 0.7 },
+  workout_plan:     { tier: 'fast',     maxTokens: 500,  temperature: 0.8 },
+  predictions:      { tier: 'advanced', maxTokens: 600,  temperature: 0.6 },
+  nutrition:        { tier: 'balanced', maxTokens: 500,  temperature: 0.7 },
+  injury_risk:      { tier: 'advanced', maxTokens: 400,  temperature: 0.6 },
+  meal_plan:        { tier: 'fast',     maxTokens: 1500, temperature: 0.7 },
+  quantum_workouts: { tier: 'fast',     maxTokens: 200,  temperature: 0.8 },
+  data_fusion:      { tier: 'fast',     maxTokens: 500,  temperature: 0.7 },
+  voice_chat:       { tier: 'advanced', maxTokens: 200,  temperature: 0.7 },
+  memory:           { tier: 'fast',     maxTokens: 300,  temperature: 0.2 },
+  smart_goals:      { tier: 'balanced', maxTokens: 700,  temperature: 0.4 },
+  default:          { tier: 'fast',     maxTokens: 500,  temperature: 0.7 }
+};
+
+// Embedding model per adapter (local is the offline hashing embedder)
+const EMBEDDING_MODELS = {
+  openai: process.env.EMBEDDING_OPENAI_MODEL || 'text-embedding-3-small',
+  gemini: process.env.EMBEDDING_GEMINI_MODEL || 'text-embedding-004'
+};
+
+// USD per 1M tokens (input / output) - used for per-user cost accounting
+const PRICING = {
+  'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+  'gemini-1.5-pro': { input: 1.25, output: 5.00 },
+  'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'mock-1': { input: 0, output: 0 }
+};
+
+/**
+ * Resolve provider/model/limits for a feature
+ * @param {string} feature - feature key, e.g. 'companion'
+ * @returns {object} { feature, provider, model, maxTokens, temperature }
+ */
+const getFeatureConfig = (feature = 'default') => {
+  const base = FEATURES[feature] || FEATURES.default;
+  const envKey = String(feature).toUpperCase();
+  const provider = process.env[`AI_${envKey}_PROVIDER`] || DEFAULT_PROVIDER;
+  const models = PROVIDER_MODELS[provider] || PROVIDER_MODELS.gemini;
+
+  return {
+    feature,
+    provider,
+    model: process.env[`AI_${envKey}_MODEL`] || base.model || models[base.tier],
+    tier: base.tier,
+    maxTokens: base.maxTokens,
+    temperature: base.temperature
+  };
+};
+
+/**
+ * Cost in USD for a model call
+ */
+const calculateCost = (model, inputTokens = 0, outputTokens = 0) => {
+  const price = PRICING[model];
+  if (!price) return 0;
+  return (inputTokens * price.input + outputTokens * price.output) / 1000000;
+};
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  PROVIDER_MODELS,
+  FEATURES,
+  EMBEDDING_MODELS,
+  embeddingProvider: process.env.EMBEDDING_PROVIDER || DEFAULT_PROVIDER,
+  PRICING,
+  timeoutMs: parseInt(process.env.AI_TIMEOUT_MS) || 20000,
+  maxRetries: process.env.AI_MAX_RETRIES !== undefined ? parseInt(process.env.AI_MAX_RETRIES) : 2,
+  retryBaseDelayMs: 500,
+  // Order used when the requested provider has no credentials
+  fallbackOrder: ['gemini', 'openai'],
+  getFeatureConfig,
+  calculateCost
+};
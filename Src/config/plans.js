@@ -0,0 +1,90 @@
+// Src/config/plans.js - Subscription plan matrix
+// Single source of truth for what each plan includes. Used by the
+// subscription controller (checkout/status) and by subscriptionMiddleware
+// (feature gating, history clamping, per-plan rate limits).
+
+const PLAN_ORDER = ['free', 'pro', 'elite'];
+
+// Planet features covered by 'all_planets'
+const PLANETS = ['mercury', 'venus', 'earth', 'mars', 'jupiter', 'saturn'];
+
+// Subscription statuses that grant the paid plan
+const ENTITLED_STATUSES = ['active', 'trialing'];
+
+// Shared window for per-plan rate limits
+const RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000;
+
+const PLANS = {
+  free: {
+    name: 'Free',
+    price: 0,
+    features: ['mercury', 'venus'],
+    historyDays: 7,
+    predictions: false,
+    rateLimit: { max: 300 }
+  },
+  pro: {
+    name: 'Pro',
+    priceId: process.env.STRIPE_PRO_PRICE_ID,
+    price: 4900,
+    features: ['all_planets'],
+    historyDays: 30,
+    predictions: true,
+    rateLimit: { max: 1000 }
+  },
+  elite: {
+    name: 'Elite',
+    priceId: process.env.STRIPE_ELITE_PRICE_ID,
+    price: 9900,
+    features: ['all_planets', 'priority_support'],
+    historyDays: 999,
+    predictions: true,
+    rateLimit: { max: 3000 }
+  }
+};
+
+/**
+ * Plan definition by key (unknown plans resolve to free)
+ */
+const getPlan = (planKey) => PLANS[planKey] || PLANS.free;
+
+/**
+ * Whether a plan includes a feature
+ * @param {string} planKey - free | pro | elite
+ * @param {string} feature - planet name, 'predictions', or any entry in plan.features
+ */
+const planAllows = (planKey, feature) => {
+  const plan = getPlan(planKey);
+
+  if (feature === 'predictions') return !!plan.predictions;
+  if (plan.features.includes(feature)) return true;
+  return PLANETS.includes(feature) && plan.features.includes('all_planets');
+};
+
+/**
+ * Cheapest plan above the current one that includes the feature
+ */
+const getUpgradePlan = (planKey, feature) => {
+  const currentRank = PLAN_ORDER.indexOf(planKey);
+  return PLAN_ORDER.find((key, rank) => rank > currentRank && planAllows(key, feature)) || null;
+};
+
+/**
+ * Plan matrix without Stripe identifiers (safe to return to clients)
+ */
+const getPublicPlans = () => PLAN_ORDER.map(key => {
+  const { priceId, ...plan } = PLANS[key];
+  return { plan: key, ...plan };
+});
+
+module.exports = {
+  PLANS,
+  PLAN_ORDER,
+  PLANETS,
+  ENTITLED_STATUSES,
+  RATE_LIMIT_WINDOW_MS,
+  getPlan,
+  planAllows,
+  getUpgradePlan,
+  getPublicPlans
+};
@@ -2,6 +2,7 @@ const CalendarEvent = require('../models/earth/CalendarEvent');
 const EnergyPattern = require('../models/earth/EnergyPattern');
 const calendarSync = require('../services/earth/calendarSync');
 const energyOptimizer = require('../services/earth/energyOptimizer');
+const autoScheduler = require('../services/earth/autoScheduler');
 
 exports.connectCalendar = async (req, res) => {
   try {
@@ -16,7 +17,7 @@ exports.connectCalendar = async (req, res) => {
       });
     }
 
-    const authData = await calendarSync.initiateOAuth(userId, provider);
+    const authData = await calendarSync.initiateOAuth(provider.toLowerCase(), userId);
 
     res.json({
       success: true,
@@ -60,7 +61,7 @@ exports.handleCalendarCallback = async (req, res) => {
     });
   } catch (error) {
     console.error('Calendar callback error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to complete calendar connection',
       details: error.message
@@ -88,7 +89,9 @@ exports.getCalendarEvents = async (req, res) => {
 
     const events = await CalendarEvent.find({
       userId,
-      startTime: { $gte: start, $lte: end }
+      startTime: { $gte: start, $lte: end },
+      tombstonedAt: null,
+      duplicateOf: null
     }).sort({ startTime: 1 }).lean();
 
     const stats = {
@@ -153,6 +156,11 @@ exports.createCalendarEvent = async (req, res) => {
       providerEventId: `manual_${Date.now()}`
     });
 
+    // The new event may collide with auto-scheduled blocks
+    autoScheduler.replan(userId).catch(error => {
+      console.error('Auto-schedule replan error:', error.message);
+    });
+
     res.status(201).json({
       success: true,
       event,
@@ -233,7 +241,9 @@ exports.detectConflicts = async (req, res) => {
 
     const events = await CalendarEvent.find({
       userId,
-      startTime: { $gte: startDate, $lte: endDate }
+      startTime: { $gte: startDate, $lte: endDate },
+      status: { $ne: 'cancelled' },
+      duplicateOf: null
     }).sort({ startTime: 1 }).lean();
 
     const conflicts = [];
@@ -316,12 +326,14 @@ exports.detectConflicts = async (req, res) => {
 exports.syncCalendar = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { provider } = req.body;
+    const { provider, feedId, full } = req.body;
 
     let results;
 
-    if (provider) {
-      results = await calendarSync.syncCalendar(userId, provider);
+    if (feedId) {
+      results = await calendarSync.syncFeedById(userId, feedId);
+    } else if (provider) {
+      results = await calendarSync.syncCalendar(userId, provider, { full: full === true });
     } else {
       results = await calendarSync.syncAllCalendars(userId);
     }
@@ -331,13 +343,15 @@ exports.syncCalendar = async (req, res) => {
       synced: true,
       results,
       lastSync: new Date(),
-      message: provider
-        ? `${provider} calendar synced successfully`
-        : 'All calendars synced successfully'
+      message: feedId
+        ? 'Calendar feed synced successfully'
+        : provider
+          ? `${provider} calendar synced successfully`
+          : 'All calendars synced successfully'
     });
   } catch (error) {
     console.error('Calendar sync error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to sync calendar',
       details: error.message
@@ -345,6 +359,271 @@ exports.syncCalendar = async (req, res) => {
   }
 };
 
+exports.handleGoogleCalendarWebhook = async (req, res) => {
+  try {
+    await calendarSync.handleGoogleWebhook(req);
+
+    res.status(204).send();
+  } catch (error) {
+    if (!error.statusCode) console.error('Google calendar webhook error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to process calendar webhook',
+      details: error.message
+    });
+  }
+};
+
+exports.handleOutlookCalendarWebhook = async (req, res) => {
+  try {
+    const result = await calendarSync.handleOutlookWebhook(req);
+
+    // Subscription validation: echo the token back within 10 seconds
+    if (result.validationToken) {
+      return res.status(200).type('text/plain').send(result.validationToken);
+    }
+
+    res.status(202).send();
+  } catch (error) {
+    if (!error.statusCode) console.error('Outlook calendar webhook error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to process calendar webhook',
+      details: error.message
+    });
+  }
+};
+
+exports.connectCaldav = async (req, res) => {
+  try {
+    const { feed, sync } = await calendarSync.connectCaldav(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      connected: true,
+      feed,
+      eventsImported: sync.eventsImported,
+      writeBack: sync.writeBack,
+      lastSync: sync.syncedAt,
+      message: `${feed.name} connected successfully`
+    });
+  } catch (error) {
+    console.error('CalDAV connection error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to connect CalDAV calendar',
+      details: error.message
+    });
+  }
+};
+
+exports.subscribeIcsFeed = async (req, res) => {
+  try {
+    const { feed, sync } = await calendarSync.subscribeIcs(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      subscribed: true,
+      feed,
+      eventsImported: sync.eventsImported,
+      lastSync: sync.syncedAt,
+      message: `Subscribed to ${feed.name}`
+    });
+  } catch (error) {
+    console.error('ICS subscription error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to subscribe to calendar feed',
+      details: error.message
+    });
+  }
+};
+
+exports.getCalendarFeeds = async (req, res) => {
+  try {
+    const feeds = await calendarSync.listFeeds(req.user.id);
+
+    res.json({
+      success: true,
+      feeds
+    });
+  } catch (error) {
+    console.error('Get calendar feeds error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to retrieve calendar feeds',
+      details: error.message
+    });
+  }
+};
+
+exports.updateCalendarFeed = async (req, res) => {
+  try {
+    const feed = await calendarSync.updateFeed(req.user.id, req.params.feedId, req.body);
+
+    res.json({
+      success: true,
+      feed,
+      message: 'Calendar feed updated'
+    });
+  } catch (error) {
+    console.error('Update calendar feed error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to update calendar feed',
+      details: error.message
+    });
+  }
+};
+
+exports.removeCalendarFeed = async (req, res) => {
+  try {
+    const result = await calendarSync.removeFeed(req.user.id, req.params.feedId);
+
+    res.json({
+      success: true,
+      ...result,
+      message: 'Calendar feed disconnected'
+    });
+  } catch (error) {
+    console.error('Remove calendar feed error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to disconnect calendar feed',
+      details: error.message
+    });
+  }
+};
+
+exports.generateAutoSchedule = async (req, res) => {
+  try {
+    const { startDate, days, types, dryRun } = req.body;
+
+    const result = await autoScheduler.generatePlan(req.user.id, {
+      startDate,
+      days,
+      types,
+      dryRun: dryRun === true || dryRun === 'true'
+    });
+
+    res.status(result.dryRun ? 200 : 201).json({
+      success: true,
+      ...result,
+      message: result.dryRun
+        ? `Preview: ${result.plan.blocks.length} blocks proposed`
+        : `${result.plan.blocks.length} blocks proposed - accept or reject each one`
+    });
+  } catch (error) {
+    console.error('Auto-schedule error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to generate schedule',
+      details: error.message
+    });
+  }
+};
+
+exports.getAutoSchedules = async (req, res) => {
+  try {
+    const plans = await autoScheduler.getPlans(req.user.id, {
+      status: req.query.status,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      plans
+    });
+  } catch (error) {
+    console.error('Get auto-schedules error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to retrieve schedule plans',
+      details: error.message
+    });
+  }
+};
+
+exports.getAutoScheduleSettings = async (req, res) => {
+  try {
+    const settings = await autoScheduler.getSettings(req.user.id);
+
+    res.json({
+      success: true,
+      settings
+    });
+  } catch (error) {
+    console.error('Get auto-schedule settings error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to retrieve scheduling settings',
+      details: error.message
+    });
+  }
+};
+
+exports.updateAutoScheduleSettings = async (req, res) => {
+  try {
+    const settings = await autoScheduler.updateSettings(req.user.id, req.body);
+
+    res.json({
+      success: true,
+      settings,
+      message: 'Scheduling settings updated'
+    });
+  } catch (error) {
+    console.error('Update auto-schedule settings error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to update scheduling settings',
+      details: error.message
+    });
+  }
+};
+
+exports.decideScheduleBlock = async (req, res) => {
+  try {
+    const { planId, blockId } = req.params;
+    const { plan, block, sync } = await autoScheduler.decideBlock(req.user.id, planId, blockId, req.body.decision);
+
+    res.json({
+      success: true,
+      block,
+      sync,
+      planId: plan._id,
+      message: block.status === 'accepted' ? 'Block added to your calendar' : 'Block rejected'
+    });
+  } catch (error) {
+    console.error('Schedule block decision error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to update schedule block',
+      details: error.message
+    });
+  }
+};
+
+exports.replanAutoSchedule = async (req, res) => {
+  try {
+    const summary = await autoScheduler.replan(req.user.id, req.params.planId);
+
+    res.json({
+      success: true,
+      ...summary,
+      message: summary.replacements > 0
+        ? `${summary.replacements} blocks moved around calendar changes`
+        : 'No changes needed'
+    });
+  } catch (error) {
+    console.error('Auto-schedule replan error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to re-plan schedule',
+      details: error.message
+    });
+  }
+};
+
 exports.getEnergyPattern = async (req, res) => {
   try {
     const userId = req.user.id;
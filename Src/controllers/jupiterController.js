@@ -161,7 +161,7 @@ exports.syncAccount = asyncHandler(async (req, res, next) => {
   }
 
   const syncResult = await plaidService.syncTransactions(
-    account.plaidAccessToken,
+    await plaidService.getAccessToken(account),
     account.plaidAccountId,
     userId
   );
@@ -5,7 +5,7 @@
  * File: Src/controllers/marsController.js
  * Route: Src/routes/mars.js
  * Base Path: /api/mars
- * Total Methods: 18
+ * Total Methods: 25
  * 
  * CONSOLIDATES:
  * - goalController.js (expanded from 10 to 18 methods)
@@ -21,15 +21,27 @@
  * - goalTracker.js - Goal management
  * - smartGoalGenerator.js - AI goal creation
  * - motivationEngine.js - Motivational features
+ * - habitTracker.js - Habits, streaks, reminders, stacking
+ * - challengeEngine.js (venus) - Goal-completion challenge progress
  */
 
 const asyncHandler = require('express-async-handler');
 const Goal = require('../models/mars/Goal');
-// Note: Habits and Milestones are embedded in Goal model
+// Note: Milestones are embedded in Goal model; habits are standalone (habitTracker)
 // Services may need to be created if they don't exist yet
 const goalTracker = require('../services/mars/goalTracker');
 const smartGoalGenerator = require('../services/mars/smartGoalGenerator');
 const motivationEngine = require('../services/mars/motivationEngine');
+const habitTracker = require('../services/mars/habitTracker');
+const challengeEngine = require('../services/venus/challengeEngine');
+
+// Goal-completion challenges move as soon as a goal is finished
+const recordGoalCompletion = (goal, wasCompleted) => {
+  if (wasCompleted || !goal?.completed) return;
+  challengeEngine.recordActivity(goal.clientId, 'goal').catch(error => {
+    console.error('Challenge progress update error:', error.message);
+  });
+};
 
 // ========================================
 // A. GOAL MANAGEMENT (6 methods)
@@ -181,10 +193,12 @@ exports.updateGoal = asyncHandler(async (req, res) => {
   }
 
   // Update goal
+  const wasCompleted = goal.completed;
   goal = await Goal.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true
   });
+  recordGoalCompletion(goal, wasCompleted);
 
   res.status(200).json({
     success: true,
@@ -240,11 +254,14 @@ exports.completeGoal = asyncHandler(async (req, res) => {
     throw new Error('Not authorized to complete this goal');
   }
 
-  // Mark as completed
+  // Mark as completed (reaching the target sets completed in the pre-save hook)
+  const wasCompleted = goal.completed;
   goal.status = 'completed';
   goal.progress = 100;
   goal.currentValue = goal.targetValue;
+  goal.current = goal.target;
   await goal.save();
+  recordGoalCompletion(goal, wasCompleted);
 
   // Generate celebration message
   const celebration = await motivationEngine.generateCelebration(goal);
@@ -266,20 +283,23 @@ exports.completeGoal = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.generateSmartGoal = asyncHandler(async (req, res) => {
-  const { generalGoal, domain } = req.body;
+  const { generalGoal, domain, weeks, deadline, save } = req.body;
 
   if (!generalGoal) {
     res.status(400);
     throw new Error('Please provide a general goal');
   }
 
-  // Use AI to convert to SMART goal
+  // Use AI (rule-based without a provider) to convert to SMART goal
   const smartGoal = await smartGoalGenerator.generate(req.user.id, {
     generalGoal,
-    domain
+    domain,
+    weeks,
+    deadline,
+    save: save === true || save === 'true'
   });
 
-  res.status(200).json({
+  res.status(smartGoal.goal ? 201 : 200).json({
     success: true,
     data: smartGoal
   });
@@ -349,7 +369,9 @@ exports.logProgress = asyncHandler(async (req, res) => {
   }
 
   // Update current value
+  const wasCompleted = goal.completed;
   goal.currentValue = value;
+  goal.current = value;
   
   // Calculate percentage complete (handled by pre-save hook in model)
   const percentComplete = goal.targetValue > 0 
@@ -364,6 +386,7 @@ exports.logProgress = asyncHandler(async (req, res) => {
   }
 
   await goal.save();
+  recordGoalCompletion(goal, wasCompleted);
 
   // Calculate trend using goalTracker service
   const trend = await goalTracker.calculateTrend(goal._id);
@@ -570,7 +593,7 @@ exports.completeMilestone = asyncHandler(async (req, res) => {
 });
 
 // ========================================
-// E. HABITS (2 methods)
+// E. HABITS (9 methods)
 // ========================================
 
 /**
@@ -579,90 +602,157 @@ exports.completeMilestone = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.createHabit = asyncHandler(async (req, res) => {
-  const { title, frequency, linkedGoalId } = req.body;
-
-  if (!linkedGoalId) {
-    res.status(400);
-    throw new Error('linkedGoalId is required to attach habit to a goal');
-  }
+  const habit = await habitTracker.createHabit(req.user.id, req.body);
 
-  const goal = await Goal.findById(linkedGoalId);
+  res.status(201).json({
+    success: true,
+    data: habit,
+    message: 'Habit created successfully'
+  });
+});
 
-  if (!goal) {
-    res.status(404);
-    throw new Error('Goal not found');
-  }
+/**
+ * @desc    Get all habits for user
+ * @route   GET /api/mars/habits
+ * @access  Private
+ */
+exports.getHabits = asyncHandler(async (req, res) => {
+  const { status, goalId, category } = req.query;
 
-  // Verify ownership
-  if (goal.userId.toString() !== req.user.id) {
-    res.status(403);
-    throw new Error('Not authorized to modify this goal');
-  }
+  const habits = await habitTracker.getHabits(req.user.id, { status, goalId, category });
 
-  // Add habit to embedded array
-  goal.habits.push({
-    title,
-    frequency,
-    streak: 0,
-    lastCompleted: null
+  res.status(200).json({
+    success: true,
+    count: habits.length,
+    data: habits
   });
+});
 
-  await goal.save();
+/**
+ * @desc    Get single habit with streak and recent logs
+ * @route   GET /api/mars/habits/:id
+ * @access  Private
+ */
+exports.getHabit = asyncHandler(async (req, res) => {
+  const result = await habitTracker.getHabit(req.user.id, req.params.id);
 
-  res.status(201).json({
+  res.status(200).json({
     success: true,
-    data: goal.habits
+    data: result
   });
 });
 
 /**
- * @desc    Log habit completion
- * @route   POST /api/mars/habits/:id/log
+ * @desc    Update habit
+ * @route   PUT /api/mars/habits/:id
  * @access  Private
  */
-exports.logHabit = asyncHandler(async (req, res) => {
-  const { completed, date } = req.body;
-  const habitId = req.params.id;
+exports.updateHabit = asyncHandler(async (req, res) => {
+  const habit = await habitTracker.updateHabit(req.user.id, req.params.id, req.body);
 
-  // Find goal containing this habit
-  const goal = await Goal.findOne({
-    userId: req.user.id,
-    'habits._id': habitId
+  res.status(200).json({
+    success: true,
+    data: habit,
+    message: 'Habit updated successfully'
   });
+});
 
-  if (!goal) {
-    res.status(404);
-    throw new Error('Habit not found');
-  }
-
-  // Find habit
-  const habit = goal.habits.id(habitId);
+/**
+ * @desc    Delete habit and its logs
+ * @route   DELETE /api/mars/habits/:id
+ * @access  Private
+ */
+exports.deleteHabit = asyncHandler(async (req, res) => {
+  const deleted = await habitTracker.deleteHabit(req.user.id, req.params.id);
 
-  // Update streak
-  const logDate = date ? new Date(date) : new Date();
-  habit.lastCompleted = logDate;
+  res.status(200).json({
+    success: true,
+    data: deleted,
+    message: 'Habit deleted successfully'
+  });
+});
 
-  if (completed) {
-    habit.streak = (habit.streak || 0) + 1;
-  } else {
-    habit.streak = 0;
-  }
+/**
+ * @desc    Log habit completion
+ * @route   POST /api/mars/habits/:id/log
+ * @access  Private
+ */
+exports.logHabit = asyncHandler(async (req, res) => {
+  const { completed, date, value, note } = req.body;
 
-  await goal.save();
+  const { habit, log } = await habitTracker.logHabit(req.user.id, req.params.id, {
+    completed,
+    date,
+    value,
+    note
+  });
 
   // Generate motivational message
-  const motivation = await motivationEngine.generateHabitMotivation(habit, goal);
+  const goal = habit.goalId ? await Goal.findById(habit.goalId) : null;
+  const motivation = log.completed
+    ? await motivationEngine.generateHabitMotivation(habit, goal)
+    : null;
 
   res.status(200).json({
     success: true,
     data: {
       habit,
-      streak: habit.streak,
+      log,
+      streak: habit.currentStreak,
+      streakUnit: habit.streakUnit,
       motivation
     }
   });
 });
 
+/**
+ * @desc    Get completion calendar for a habit
+ * @route   GET /api/mars/habits/:id/calendar
+ * @access  Private
+ */
+exports.getHabitCalendar = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  const calendar = await habitTracker.getHabitCalendar(req.user.id, req.params.id, { from, to });
+
+  res.status(200).json({
+    success: true,
+    data: calendar
+  });
+});
+
+/**
+ * @desc    Get completion heatmap across all habits
+ * @route   GET /api/mars/habits/heatmap
+ * @access  Private
+ */
+exports.getHabitHeatmap = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  const heatmap = await habitTracker.getHeatmap(req.user.id, { from, to });
+
+  res.status(200).json({
+    success: true,
+    data: heatmap
+  });
+});
+
+/**
+ * @desc    Get habit stacking suggestions
+ * @route   GET /api/mars/habits/stacking-suggestions
+ * @access  Private
+ */
+exports.getStackingSuggestions = asyncHandler(async (req, res) => {
+  const { habitId } = req.query;
+
+  const suggestions = await habitTracker.getStackingSuggestions(req.user.id, { habitId });
+
+  res.status(200).json({
+    success: true,
+    data: suggestions
+  });
+});
+
 // ========================================
 // F. ANALYTICS & BOTTLENECKS (1 method)
 // ========================================
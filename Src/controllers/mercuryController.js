@@ -13,6 +13,7 @@ const BodyComposition = require('../models/mercury/BodyComposition');
 
 // Services
 const deviceSync = require('../services/mercury/deviceSync');
+const challengeEngine = require('../services/venus/challengeEngine');
 const biometricEngine = require('../services/mercury/biometricEngine');
 const recoveryCalc = require('../services/mercury/recoveryCalc');
 const dexaSimulator = require('../services/mercury/dexaSimulator');
@@ -553,6 +554,10 @@ exports.manualDataEntry = async (req, res) => {
       provider: 'manual',
       isManual: true
     });
+
+    challengeEngine.recordActivity(userId, 'wearable').catch(error => {
+      console.error('Challenge progress update error:', error.message);
+    });
     
     res.status(201).json({
       success: true,
@@ -1,7 +1,7 @@
 // ============================================
 // PHOENIX CONTROLLER - AI Butler & Intelligence System
 // ============================================
-// Total Methods: 76
+// Total Methods: 79
 // Systems: AI Companion, Correlation Engine, Predictions, 
 //          Interventions, Intelligence, Voice AI, ML Training, Butler Actions
 // ============================================
@@ -16,6 +16,7 @@ const User = require('../models/User');
 
 // Services
 const companionAI = require('../services/phoenix/companionAI');
+const companionMemory = require('../services/phoenix/companionMemory');
 const correlationEngine = require('../services/phoenix/correlationEngine');
 const predictionEngine = require('../services/phoenix/predictionEngine');
 const interventionEngine = require('../services/phoenix/interventionEngine');
@@ -25,9 +26,10 @@ const phoneAgent = require('../services/phoenix/phoneAgent');
 const emailAgent = require('../services/phoenix/emailAgent');
 const realtimeMonitor = require('../services/phoenix/realtimeMonitor');
 const mlTrainingOrchestrator = require('../services/phoenix/mlTrainingOrchestrator');
+const aiProvider = require('../services/ai/aiProvider');
 
 // ========================================
-// A. AI COMPANION (6 methods)
+// A. AI COMPANION (9 methods)
 // ========================================
 
 /**
@@ -57,18 +59,35 @@ exports.chat = async (req, res) => {
       context = await companionAI.buildUserContext(req.user.id);
     }
 
+    // Recall relevant memories beyond the recent history window
+    let memories = null;
+    let queryEmbedding = null;
+    try {
+      queryEmbedding = await companionMemory.embed(message.trim());
+      memories = await companionMemory.retrieve(req.user.id, message.trim(), {
+        excludeIds: history.map(msg => msg._id),
+        queryEmbedding
+      });
+    } catch (memoryError) {
+      console.error('Memory recall error:', memoryError.message);
+    }
+
     // Generate AI response
     const response = await companionAI.generateResponse(
       message,
       history.reverse(),
-      context
+      context,
+      req.user.id,
+      memories
     );
 
     // Save user message
-    await CompanionConversation.create({
+    const userMessage = await CompanionConversation.create({
       userId: req.user.id,
       role: 'user',
       message: message.trim(),
+      embedding: queryEmbedding?.vector,
+      embeddingModel: queryEmbedding?.model,
       context: {
         wearable: context.hasWearableData || false,
         workouts: context.recentWorkouts || 0,
@@ -80,7 +99,7 @@ exports.chat = async (req, res) => {
     });
 
     // Save assistant response
-    await CompanionConversation.create({
+    const assistantMessage = await CompanionConversation.create({
       userId: req.user.id,
       role: 'assistant',
       message: response.message,
@@ -89,6 +108,11 @@ exports.chat = async (req, res) => {
       }
     });
 
+    // Embed the reply and learn facts in the background
+    companionMemory.processTurn(userMessage, assistantMessage).catch(memoryError => {
+      console.error('Memory update error:', memoryError.message);
+    });
+
     res.status(200).json({
       success: true,
       data: {
@@ -158,12 +182,16 @@ exports.clearHistory = async (req, res) => {
       query.createdAt = { $lt: date };
     }
 
-    const result = await CompanionConversation.deleteMany(query);
+    // Facts the companion learned from these messages go with them
+    const messageIds = await CompanionConversation.find(query).distinct('_id');
+    const result = await CompanionConversation.deleteMany({ _id: { $in: messageIds } });
+    const forgottenFacts = await companionMemory.forgetSources(req.user.id, messageIds);
 
     res.status(200).json({
       success: true,
       message: `Deleted ${result.deletedCount} conversations`,
-      deletedCount: result.deletedCount
+      deletedCount: result.deletedCount,
+      forgottenFacts
     });
 
   } catch (error) {
@@ -265,6 +293,111 @@ exports.updatePersonality = async (req, res) => {
   }
 };
 
+/**
+ * @desc    List what the companion remembers
+ * @route   GET /api/phoenix/companion/memories
+ * @access  Private
+ */
+exports.getMemories = async (req, res) => {
+  try {
+    const { type = 'all', pinned, limit = 50 } = req.query;
+
+    if (!['all', 'facts', 'exchanges'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'type must be one of: all, facts, exchanges'
+      });
+    }
+
+    const memories = await companionMemory.listMemories(req.user.id, {
+      type,
+      pinned: pinned === undefined ? undefined : pinned === 'true',
+      limit: Math.min(parseInt(limit) || 50, 200)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: memories
+    });
+
+  } catch (error) {
+    console.error('Get memories error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to retrieve memories'
+    });
+  }
+};
+
+/**
+ * @desc    Pin or unpin a memory (pinned memories are always recalled)
+ * @route   PUT /api/phoenix/companion/memories/:id/pin
+ * @access  Private
+ */
+exports.pinMemory = async (req, res) => {
+  try {
+    const { pinned = true } = req.body;
+
+    if (![true, false, 'true', 'false'].includes(pinned)) {
+      return res.status(400).json({
+        success: false,
+        error: 'pinned must be true or false'
+      });
+    }
+
+    const result = await companionMemory.pinMemory(req.user.id, req.params.id, pinned === true || pinned === 'true');
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Pin memory error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to update memory'
+    });
+  }
+};
+
+/**
+ * @desc    Forget one memory, or all of them when no id is given
+ * @route   DELETE /api/phoenix/companion/memories/:id?
+ * @access  Private
+ */
+exports.forgetMemory = async (req, res) => {
+  try {
+    const { type = 'all' } = req.query;
+
+    if (!req.params.id && !['all', 'facts', 'exchanges'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'type must be one of: all, facts, exchanges'
+      });
+    }
+
+    const result = req.params.id
+      ? await companionMemory.forgetMemory(req.user.id, req.params.id)
+      : await companionMemory.forgetAll(req.user.id, {
+        type,
+        includePinned: req.query.includePinned === 'true'
+      });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Forget memory error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to forget memory'
+    });
+  }
+};
+
 // ========================================
 // B. CORRELATION ENGINE (6 methods)
 // ========================================
@@ -618,20 +751,23 @@ exports.recordOutcome = async (req, res) => {
       });
     }
 
-    prediction.actualValue = actualValue;
-    prediction.status = 'completed';
-    prediction.accuracy = predictionEngine.calculateAccuracy(
-      prediction.predictedValue,
-      actualValue
-    );
-    if (notes) prediction.notes = notes;
+    if (actualValue === undefined || isNaN(Number(actualValue))) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Numeric actualValue is required' 
+      });
+    }
+
+    prediction.recordActual(Number(actualValue));
+    if (notes) prediction.feedback = { ...prediction.feedback, comment: notes, submittedAt: new Date() };
 
     await prediction.save();
 
-    // Update ML model with feedback
+    // Update ML model with feedback (may queue retraining)
     await mlTrainingOrchestrator.recordPredictionFeedback(
       prediction._id,
-      prediction.accuracy
+      prediction.actual.accuracy,
+      Number(actualValue)
     );
 
     res.status(200).json({
@@ -952,7 +1088,7 @@ exports.recordInterventionOutcome = async (req, res) => {
     }
 
     intervention.status = 'completed';
-    intervention.successful = successful;
+    intervention.outcome = successful ? 'successful' : 'failed';
     intervention.completedAt = new Date();
     if (notes) intervention.outcomeNotes = notes;
     if (metrics) intervention.outcomeMetrics = metrics;
@@ -1128,7 +1264,7 @@ exports.requestManualIntervention = async (req, res) => {
 };
 
 // ========================================
-// E. INTELLIGENCE ENGINE (8 methods)
+// E. INTELLIGENCE ENGINE (9 methods)
 // ========================================
 
 /**
@@ -1370,6 +1506,31 @@ exports.autoOptimize = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get AI token/cost usage for the current user
+ * @route   GET /api/phoenix/intelligence/usage
+ * @access  Private
+ */
+exports.getAIUsage = async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+
+    const usage = await aiProvider.getUsageSummary(req.user.id, days);
+
+    res.status(200).json({
+      success: true,
+      data: usage
+    });
+
+  } catch (error) {
+    console.error('Get AI usage error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch AI usage' 
+    });
+  }
+};
+
 // ========================================
 // F. VOICE AI (4 methods)
 // ========================================
@@ -1516,15 +1677,15 @@ exports.trainModel = async (req, res) => {
 
     res.status(202).json({
       success: true,
-      message: 'Training started',
+      message: training.message,
       data: training
     });
 
   } catch (error) {
     console.error('Train model error:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      error: 'Failed to start training' 
+      error: error.statusCode ? error.message : 'Failed to start training' 
     });
   }
 };
@@ -1569,7 +1730,7 @@ exports.getTrainingStatus = async (req, res) => {
       });
     }
 
-    const status = await mlTrainingOrchestrator.getTrainingStatus(jobId);
+    const status = await mlTrainingOrchestrator.getTrainingStatus(jobId, req.user.id);
 
     res.status(200).json({
       success: true,
@@ -1578,9 +1739,9 @@ exports.getTrainingStatus = async (req, res) => {
 
   } catch (error) {
     console.error('Get training status error:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      error: 'Failed to retrieve training status' 
+      error: error.statusCode ? error.message : 'Failed to retrieve training status' 
     });
   }
 };
@@ -2442,10 +2603,12 @@ exports.createAutomation = async (req, res) => {
   try {
     const { 
       name, 
+      description,
       trigger, 
       actions = [],
       conditions = [],
-      enabled = true 
+      enabled = true,
+      cooldownMinutes
     } = req.body;
 
     if (!name || !trigger || !actions.length) {
@@ -2458,10 +2621,12 @@ exports.createAutomation = async (req, res) => {
     const automation = await butlerAutomation.createAutomation({
       userId: req.user.id,
       name,
+      description,
       trigger,
       actions,
       conditions,
-      enabled
+      enabled,
+      cooldownMinutes
     });
 
     res.status(201).json({
@@ -2471,9 +2636,9 @@ exports.createAutomation = async (req, res) => {
 
   } catch (error) {
     console.error('Create automation error:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      error: 'Failed to create automation' 
+      error: error.statusCode ? error.message : 'Failed to create automation' 
     });
   }
 };
@@ -2525,9 +2690,164 @@ exports.deleteAutomation = async (req, res) => {
 
   } catch (error) {
     console.error('Delete automation error:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.statusCode ? error.message : 'Failed to delete automation' 
+    });
+  }
+};
+
+/**
+ * @desc    Get single automation
+ * @route   GET /api/phoenix/butler/automations/:id
+ * @access  Private
+ */
+exports.getAutomation = async (req, res) => {
+  try {
+    const automation = await butlerAutomation.getAutomation(req.user.id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: automation
+    });
+
+  } catch (error) {
+    console.error('Get automation error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.statusCode ? error.message : 'Failed to retrieve automation' 
+    });
+  }
+};
+
+/**
+ * @desc    Update automation
+ * @route   PUT /api/phoenix/butler/automations/:id
+ * @access  Private
+ */
+exports.updateAutomation = async (req, res) => {
+  try {
+    const automation = await butlerAutomation.updateAutomation(
+      req.user.id,
+      req.params.id,
+      req.body
+    );
+
+    res.status(200).json({
+      success: true,
+      data: automation
+    });
+
+  } catch (error) {
+    console.error('Update automation error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.statusCode ? error.message : 'Failed to update automation' 
+    });
+  }
+};
+
+/**
+ * @desc    Enable automation
+ * @route   POST /api/phoenix/butler/automations/:id/enable
+ * @access  Private
+ */
+exports.enableAutomation = async (req, res) => {
+  await setAutomationState(req, res, 'enabled');
+};
+
+/**
+ * @desc    Disable automation
+ * @route   POST /api/phoenix/butler/automations/:id/disable
+ * @access  Private
+ */
+exports.disableAutomation = async (req, res) => {
+  await setAutomationState(req, res, 'disabled');
+};
+
+/**
+ * @desc    Pause automation until a date (default 24 hours)
+ * @route   POST /api/phoenix/butler/automations/:id/pause
+ * @access  Private
+ */
+exports.pauseAutomation = async (req, res) => {
+  await setAutomationState(req, res, 'paused');
+};
+
+async function setAutomationState(req, res, state) {
+  try {
+    const automation = await butlerAutomation.setAutomationState(
+      req.user.id,
+      req.params.id,
+      state,
+      req.body.until
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Automation ${state}`,
+      data: automation
+    });
+
+  } catch (error) {
+    console.error(`Set automation ${state} error:`, error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.statusCode ? error.message : 'Failed to update automation state' 
+    });
+  }
+}
+
+/**
+ * @desc    Run automation now (manual test run)
+ * @route   POST /api/phoenix/butler/automations/:id/run
+ * @access  Private
+ */
+exports.runAutomation = async (req, res) => {
+  try {
+    const automation = await butlerAutomation.getAutomation(req.user.id, req.params.id);
+    const run = await butlerAutomation.runAutomation(automation, 'manual', req.body.payload || {});
+
+    res.status(200).json({
+      success: run.status !== 'failed',
+      data: run
+    });
+
+  } catch (error) {
+    console.error('Run automation error:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      error: error.statusCode ? error.message : 'Failed to run automation' 
+    });
+  }
+};
+
+/**
+ * @desc    Get automation run history
+ * @route   GET /api/phoenix/butler/automations/:id/runs
+ * @access  Private
+ */
+exports.getAutomationRuns = async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+
+    const runs = await butlerAutomation.getAutomationRuns(
+      req.user.id,
+      req.params.id,
+      parseInt(limit)
+    );
+
+    res.status(200).json({
+      success: true,
+      count: runs.length,
+      data: runs
+    });
+
+  } catch (error) {
+    console.error('Get automation runs error:', error);
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      error: 'Failed to delete automation' 
+      error: error.statusCode ? error.message : 'Failed to retrieve automation runs' 
     });
   }
 };
@@ -2,12 +2,8 @@
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const Subscription = require('../models/Subscription');
 const User = require('../models/User');
-
-const PLANS = {
-  free: { price: 0, features: ['mercury', 'venus'], historyDays: 7, predictions: false },
-  pro: { priceId: process.env.STRIPE_PRO_PRICE_ID, price: 4900, features: ['all_planets'], historyDays: 30, predictions: true },
-  elite: { priceId: process.env.STRIPE_ELITE_PRICE_ID, price: 9900, features: ['all_planets', 'priority_support'], historyDays: 999, predictions: true }
-};
+const { PLANS, getPublicPlans } = require('../config/plans');
+const { clearPlanCache } = require('../middleware/subscriptionMiddleware');
 
 exports.createCheckoutSession = async (req, res) => {
   try {
@@ -68,12 +64,13 @@ exports.handleWebhook = async (req, res) => {
           currentPeriodEnd: new Date(session.subscription_data?.trial_end || Date.now() + 7 * 86400000),
           trialEndsAt: new Date(Date.now() + 7 * 86400000)
         });
+        clearPlanCache(userId);
         break;
       }
       
       case 'customer.subscription.updated': {
         const subscription = event.data.object;
-        await Subscription.findOneAndUpdate(
+        const updated = await Subscription.findOneAndUpdate(
           { stripeSubscriptionId: subscription.id },
           { 
             status: subscription.status,
@@ -81,15 +78,17 @@ exports.handleWebhook = async (req, res) => {
             currentPeriodEnd: new Date(subscription.current_period_end * 1000)
           }
         );
+        if (updated) clearPlanCache(updated.userId);
         break;
       }
       
       case 'customer.subscription.deleted': {
         const subscription = event.data.object;
-        await Subscription.findOneAndUpdate(
+        const canceled = await Subscription.findOneAndUpdate(
           { stripeSubscriptionId: subscription.id },
           { status: 'canceled', canceledAt: new Date() }
         );
+        if (canceled) clearPlanCache(canceled.userId);
         break;
       }
       
@@ -133,6 +132,10 @@ exports.getSubscription = async (req, res) => {
   }
 };
 
+exports.getPlans = async (req, res) => {
+  res.json({ success: true, plans: getPublicPlans() });
+};
+
 exports.cancelSubscription = async (req, res) => {
   try {
     const userId = req.user.id;
@@ -1,26 +1,51 @@
 // 🌟 VENUS CONTROLLER - Fitness & Training Intelligence
 // Workouts, Nutrition, Body Measurements, Exercises, Performance
-// Total Methods: 88
+// Total Methods: 124
 // Base Path: /api/venus
 
-// ========== A. WORKOUT TRACKING (8 methods) ==========
+const mongoose = require('mongoose');
+const supplementTracker = require('../services/venus/supplementTracker');
+const workoutSession = require('../services/venus/workoutSession');
+const mealPlanningAI = require('../services/venus/mealPlanningAI');
+const nutritionTracker = require('../services/venus/nutritionTracker');
+const foodDatabase = require('../services/venus/foodDatabase');
+const exerciseLibrary = require('../services/venus/exerciseLibrary');
+const workoutIntelligence = require('../services/venus/workoutIntelligence');
+const socialFeatures = require('../services/venus/socialFeatures');
+const socialGraph = require('../services/venus/socialGraph');
+const injuryRehab = require('../services/venus/injuryRehab');
+const injuryRiskAssessor = require('../services/venus/injuryRiskAssessor');
+const performanceTesting = require('../services/venus/performanceTesting');
+const progressiveOverload = require('../services/venus/progressiveOverload');
+const periodization = require('../services/venus/periodization');
+const bodyTracking = require('../services/venus/bodyTracking');
+const quantumWorkouts = require('../services/venus/quantumWorkouts');
+const progressEngine = require('../services/mars/progressEngine');
+
+// ========== A. WORKOUT TRACKING (10 methods) ==========
 
 // 1. Start workout
 exports.startWorkout = async (req, res) => {
   // POST /api/venus/workouts/start
-  // Body: { name, type, plannedExercises? }
+  // Body: { name?, type?, plannedExercises? } | { templateId } | { workoutId }
+  //       | { quantumWorkout } | { quantum: true, targetMuscles }
   // Creates in-progress workout session
   // Returns: { workout: { id, status: 'in_progress', startTime } }
   try {
-    // Implementation here
+    const workout = await workoutSession.startWorkout(req.user.id, req.body);
+
     res.status(201).json({
       success: true,
-      data: {}
+      data: {
+        workout: workoutSession.summarizeSession(workout),
+        startTime: workout.startedAt
+      }
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      ...(error.activeWorkoutId && { activeWorkoutId: error.activeWorkoutId })
     });
   }
 };
@@ -28,17 +53,57 @@ exports.startWorkout = async (req, res) => {
 // 2. Log exercise in workout
 exports.logExercise = async (req, res) => {
   // POST /api/venus/workouts/:workoutId/exercise
-  // Body: { exerciseId, sets: [{ weight, reps, rpe, restTime }] }
+  // Body: { exerciseIndex? | exerciseId? | exerciseName?, sets: [{ weight, reps, rpe, restTime }] }
   // Logs exercise during workout
   // Returns: { exercise logged, volume, trainingLoad }
   try {
-    // Implementation here
+    const data = await workoutSession.logSets(req.user.id, req.params.workoutId, req.body);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 2a. Pause workout
+exports.pauseWorkout = async (req, res) => {
+  // POST /api/venus/workouts/:id/pause
+  // Paused time is excluded from duration
+  // Returns: { workout }
+  try {
+    const workout = await workoutSession.pauseWorkout(req.user.id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: { workout }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 2b. Resume workout
+exports.resumeWorkout = async (req, res) => {
+  // POST /api/venus/workouts/:id/resume
+  // Returns: { workout }
+  try {
+    const workout = await workoutSession.resumeWorkout(req.user.id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: { workout }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -48,17 +113,18 @@ exports.logExercise = async (req, res) => {
 // 3. Complete workout
 exports.completeWorkout = async (req, res) => {
   // POST /api/venus/workouts/:id/complete
-  // Body: { duration, notes?, rpe? }
+  // Body: { duration?, notes?, rpe?, moodFeedback?, averagePainLevel? }
   // Finalizes workout, calculates metrics
-  // Returns: { workout, stats, trainingLoad, recovery }
+  // Returns: { workout, stats, personalRecords, trainingLoad, recovery }
   try {
-    // Implementation here
+    const data = await workoutSession.completeWorkout(req.user.id, req.params.id, req.body);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -71,13 +137,16 @@ exports.getWorkoutHistory = async (req, res) => {
   // Query: ?limit=30&type=strength&startDate=&endDate=
   // Returns: { workouts: [], total, volume, frequency }
   try {
-    // Implementation here
+    const { limit, type, startDate, endDate } = req.query;
+
+    const data = await workoutSession.getHistory(req.user.id, { limit, type, startDate, endDate });
+
     res.status(200).json({
       success: true,
-      data: {}
+      data
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -89,13 +158,26 @@ exports.getWorkout = async (req, res) => {
   // GET /api/venus/workouts/:id
   // Returns: { workout: full details, exercises: [], volume, notes }
   try {
-    // Implementation here
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workout not found'
+      });
+    }
+
+    const workout = await workoutSession.getWorkout(req.user.id, req.params.id);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: {
+        workout,
+        exercises: workout.exercises,
+        volume: workout.stats?.totalVolume ?? workout.totalVolume,
+        notes: workout.notes
+      }
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -108,13 +190,15 @@ exports.deleteWorkout = async (req, res) => {
   // Soft delete workout
   // Returns: { success, message }
   try {
-    // Implementation here
+    const data = await workoutSession.deleteWorkout(req.user.id, req.params.id);
+
     res.status(200).json({
       success: true,
-      data: {}
+      message: 'Workout deleted',
+      data
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -127,13 +211,14 @@ exports.updateWorkout = async (req, res) => {
   // Body: { name?, type?, exercises?, notes? }
   // Returns: { workout updated }
   try {
-    // Implementation here
+    const workout = await workoutSession.updateWorkout(req.user.id, req.params.id, req.body);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: { workout }
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -146,10 +231,13 @@ exports.getActiveWorkout = async (req, res) => {
   // Returns current in-progress workout if any
   // Returns: { workout: {} | null }
   try {
-    // Implementation here
+    const workout = await workoutSession.getActiveWorkout(req.user.id);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: {
+        workout: workout ? workoutSession.summarizeSession(workout) : null
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -159,23 +247,24 @@ exports.getActiveWorkout = async (req, res) => {
   }
 };
 
-// ========== B. WORKOUT INTELLIGENCE (12 methods) ==========
+// ========== B. WORKOUT INTELLIGENCE (15 methods) ==========
 
 // 9. Get workout recommendations
 exports.getWorkoutRecommendations = async (req, res) => {
   // POST /api/venus/workouts/recommend
   // Body: { goals?, equipment?, timeAvailable?, muscleGroups? }
   // AI-generated workout recommendations
-  // Returns: { workouts: [], reasoning: [], alternatives: [] }
-  // Service: workoutIntelligence.recommend(userId, preferences)
+  // Exercises that aggravate an active injury are left out
+  // Returns: { workouts: [], reasoning: [], alternatives: [], injuryAdjustments: [] }
   try {
-    // Implementation here
+    const recommendations = await workoutIntelligence.recommend(req.user.id, req.body);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: recommendations
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -345,16 +434,17 @@ exports.getIntensityZones = async (req, res) => {
 exports.getVolumeProgression = async (req, res) => {
   // GET /api/venus/workouts/volume-progression
   // Query: ?weeks=12&muscleGroup=chest
-  // Tracks volume progression over time
-  // Returns: { progression: [], trend: '', optimal: {}, needsDeload: boolean }
+  // Tracks weekly hard sets and tonnage per muscle group
+  // Returns: { weeks: [{ week, muscles: {}, totalSets, tonnage }], series?: [] }
   try {
-    // Implementation here
+    const result = await progressiveOverload.getWeeklyVolume(req.user.id, req.query);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -364,17 +454,17 @@ exports.getVolumeProgression = async (req, res) => {
 // 19. Plan deload week
 exports.planDeload = async (req, res) => {
   // GET /api/venus/workouts/deload-planning
-  // Determines if deload needed and plans it
-  // Returns: { deloadNeeded: boolean, recommendation: {}, deloadWorkouts: [] }
-  // Service: workoutIntelligence.planDeload(userId)
+  // Checks overtraining risk and, past the active plan's threshold, schedules a deload for next week
+  // Returns: { deloadNeeded, risk, recommendation, adjustment, plan, deloadWorkouts: [] }
   try {
-    // Implementation here
+    const result = await periodization.planDeload(req.user.id);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -384,18 +474,78 @@ exports.planDeload = async (req, res) => {
 // 20. Generate periodization plan
 exports.generatePeriodization = async (req, res) => {
   // POST /api/venus/workouts/periodization
-  // Body: { goal, duration: weeks, experience }
-  // Creates periodized training plan
-  // Returns: { plan: [], deloadWeeks: [], testing: [] }
-  // Service: workoutIntelligence.createPeriodizationPlan(userId, data)
+  // Body: { model: linear|undulating|block, focus, experience, goalId?, targetDate?, duration?: weeks,
+  //         startDate?, daysPerWeek? | trainingDays?, sessionTime?, sessionDuration?, calendarSync?, deloadThreshold? }
+  // Creates a persisted plan (mesocycles -> weekly microcycles) and schedules its sessions on the calendar
+  // Returns: { id, mesocycles: [], microcycles: [{ week, phase, deload, sessions: [] }], nextDeload, ... }
   try {
-    // Implementation here
+    const result = await periodization.createPlan(req.user.id, req.body);
+
     res.status(201).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 20a. Get training plans
+exports.getPeriodizationPlans = async (req, res) => {
+  // GET /api/venus/workouts/periodization
+  // Query: ?status=active|completed|cancelled
+  // Returns: [{ id, name, model, currentWeek, nextDeload, adherence, ... }]
+  try {
+    const result = await periodization.getPlans(req.user.id, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 20b. Get training plan
+exports.getPeriodizationPlan = async (req, res) => {
+  // GET /api/venus/workouts/periodization/:id
+  // Returns: { id, mesocycles: [], microcycles: [], adjustments: [], adherence, ... }
+  try {
+    const result = await periodization.getPlan(req.user.id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 20c. Cancel training plan
+exports.cancelPeriodizationPlan = async (req, res) => {
+  // DELETE /api/venus/workouts/periodization/:id
+  // Cancels the plan and removes its remaining sessions from the calendar
+  // Returns: { id, status, removedEvents }
+  try {
+    const result = await periodization.cancelPlan(req.user.id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -407,18 +557,25 @@ exports.generatePeriodization = async (req, res) => {
 // 21. Generate quantum workout
 exports.generateQuantumWorkout = async (req, res) => {
   // POST /api/venus/quantum/generate
-  // Body: { muscleGroups, equipment, duration, intensity }
-  // Generates chaos-theory based workout
-  // Returns: { workout, chaosMetrics, uniquenessScore }
-  // Service: quantumEngine.generate(userId, params)
-  try {
-    // Implementation here
+  // Body: { targetMuscles | muscleGroups, seed? } | { replayOf: quantumWorkoutId }
+  // Generates a seeded, reproducible workout and stores it with its inputs;
+  // replayOf rebuilds a stored workout from its seed to verify it
+  // Returns: { id, name, exercises: [], quantumSeed, chaos, plateauBreakProtocol, injuryAdjustments }
+  try {
+    const result = await req.body.replayOf
+      ? quantumWorkouts.replayQuantumWorkout(req.user.id, req.body.replayOf)
+      : quantumWorkouts.generateQuantumWorkout(
+        req.user.id,
+        req.body.targetMuscles || req.body.muscleGroups,
+        { seed: req.body.seed }
+      );
+
     res.status(201).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -428,15 +585,17 @@ exports.generateQuantumWorkout = async (req, res) => {
 // 22. Get quantum workout history
 exports.getQuantumHistory = async (req, res) => {
   // GET /api/venus/quantum/history
-  // Returns: { workouts: [], plateauStatus, neuralAdaptation }
+  // Query: ?limit=20&page=1
+  // Returns: { workouts: [{ id, seed, chaos, session, effectiveness }], total, page, plateauStatus }
   try {
-    // Implementation here
+    const result = await quantumWorkouts.getHistory(req.user.id, req.query);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -446,16 +605,19 @@ exports.getQuantumHistory = async (req, res) => {
 // 23. Analyze quantum effectiveness
 exports.analyzeQuantumEffectiveness = async (req, res) => {
   // GET /api/venus/quantum/effectiveness
-  // Query: ?workoutId=:id
-  // Returns: { chaosScore, plateauPrevention, muscleConfusion }
+  // Query: ?workoutId=:quantumWorkoutId
+  // Scores workouts from e1RM change, recovery and adherence in the 4 weeks after generation
+  // Returns: { score, verdict, performance, recovery, session }
+  //       | { averageScore, plateausBroken, verdict, byChaosLevel, workouts: [] }
   try {
-    // Implementation here
+    const result = await quantumWorkouts.analyzeEffectiveness(req.user.id, req.query);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -465,16 +627,17 @@ exports.analyzeQuantumEffectiveness = async (req, res) => {
 // 24. Get plateau detection
 exports.getPlateauDetection = async (req, res) => {
   // GET /api/venus/quantum/plateau-detection
-  // Detects training plateaus
-  // Returns: { plateauDetected: boolean, muscleGroups: [], recommendation: {} }
+  // Detects stalled lifts (e1RM over the last 3 weeks vs the 3 before)
+  // Returns: { plateauDetected: boolean, muscleGroups: [], exercises: [], recommendation: {} }
   try {
-    // Implementation here
+    const result = await quantumWorkouts.getPlateauDetection(req.user.id);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -485,15 +648,16 @@ exports.getPlateauDetection = async (req, res) => {
 exports.getQuantumSettings = async (req, res) => {
   // GET /api/venus/quantum/settings
   // Returns user's quantum workout preferences
-  // Returns: { chaosLevel, variationIntensity, seedRotation }
+  // Returns: { chaosLevel, variationIntensity, seedRotation, preferredExercises, seedBase }
   try {
-    // Implementation here
+    const result = await quantumWorkouts.getSettings(req.user.id);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -503,16 +667,18 @@ exports.getQuantumSettings = async (req, res) => {
 // 26. Update quantum settings
 exports.updateQuantumSettings = async (req, res) => {
   // PUT /api/venus/quantum/settings
-  // Body: { chaosLevel, variationIntensity, preferredExercises }
-  // Returns: { settings updated }
+  // Body: { chaosLevel: 'auto' | 0-1, variationIntensity: low|medium|high,
+  //         seedRotation: per-workout|daily|fixed, preferredExercises: [] }
+  // Returns: { chaosLevel, variationIntensity, seedRotation, preferredExercises, seedBase }
   try {
-    // Implementation here
+    const result = await quantumWorkouts.updateSettings(req.user.id, req.body);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -522,15 +688,16 @@ exports.updateQuantumSettings = async (req, res) => {
 // 27. Get chaos metrics
 exports.getChaosMetrics = async (req, res) => {
   // GET /api/venus/quantum/chaos-metrics
-  // Returns: { lorenzMetrics, bifurcationPoints, entropy }
+  // Returns: { current: chaos parameters, lorenz, selectionEntropy, history: [] }
   try {
-    // Implementation here
+    const result = await quantumWorkouts.getChaosMetrics(req.user.id);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -540,37 +707,56 @@ exports.getChaosMetrics = async (req, res) => {
 // 28. Regenerate quantum seeds
 exports.regenerateSeeds = async (req, res) => {
   // POST /api/venus/quantum/regenerate-seeds
-  // Forces new seed generation for fresh variations
-  // Returns: { seeds: 100 new seeds, seedHistory }
+  // Retires the current seed base for a fresh one
+  // Returns: { seedBase, seedHistory, ... settings }
   try {
-    // Implementation here
+    const result = await quantumWorkouts.regenerateSeeds(req.user.id);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
   }
 };
 
-// ========== D. EXERCISE LIBRARY (6 methods) ==========
+// ========== D. EXERCISE LIBRARY (8 methods) ==========
 
 // 29. Get exercise library
 exports.getExercises = async (req, res) => {
   // GET /api/venus/exercises
-  // Query: ?muscleGroup=chest&equipment=barbell&search=press
+  // Query: ?muscleGroup=chest&equipment=barbell,dumbbells&difficulty=beginner&muscle=triceps&mine=true&page=1&limit=50
+  // search= is forwarded to text search
   // Returns: { exercises: [], filters: available filters }
   try {
-    // Implementation here
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    if (req.query.search) {
+      const result = await exerciseLibrary.search(req.user.id, req.query.search, req.query, { limit });
+      return res.status(200).json({
+        success: true,
+        count: result.results.length,
+        data: { exercises: result.results, filters: result.filters, suggestions: result.suggestions }
+      });
+    }
+
+    const result = await exerciseLibrary.list(req.user.id, req.query, { page, limit });
+
     res.status(200).json({
       success: true,
-      data: {}
+      count: result.exercises.length,
+      total: result.total,
+      page: result.page,
+      pages: result.pages,
+      data: { exercises: result.exercises, filters: result.filters }
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -582,13 +768,21 @@ exports.getExercise = async (req, res) => {
   // GET /api/venus/exercises/:id
   // Returns: { exercise, instructions: [], videoUrl, commonMistakes: [], alternatives: [] }
   try {
-    // Implementation here
+    const exercise = await exerciseLibrary.getExercise(req.params.id, req.user.id);
+    const { alternatives } = await exerciseLibrary.findAlternatives(exercise._id, req.user.id, { limit: 3 });
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: {
+        exercise,
+        instructions: exercise.instructions,
+        videoUrl: exercise.videoUrl,
+        commonMistakes: exercise.commonMistakes,
+        alternatives
+      }
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -598,16 +792,57 @@ exports.getExercise = async (req, res) => {
 // 31. Create custom exercise
 exports.createExercise = async (req, res) => {
   // POST /api/venus/exercises
-  // Body: { name, muscleGroups, equipment, instructions }
+  // Body: { name, muscleCategory | muscleGroups, equipment, difficulty?, description?, instructions?, isPublic? }
+  // Private to the creator unless isPublic is true
   // Returns: { exercise created }
   try {
-    // Implementation here
+    const exercise = await exerciseLibrary.createExercise(req.user.id, req.body);
+
     res.status(201).json({
       success: true,
-      data: {}
+      data: exercise
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 31a. Update custom exercise
+exports.updateExercise = async (req, res) => {
+  // PUT /api/venus/exercises/:id
+  // Body: any createExercise field; { isPublic: true } shares it
+  // Returns: { exercise updated }
+  try {
+    const exercise = await exerciseLibrary.updateExercise(req.user.id, req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: exercise
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 31b. Delete custom exercise
+exports.deleteExercise = async (req, res) => {
+  // DELETE /api/venus/exercises/:id
+  // Returns: { message }
+  try {
+    await exerciseLibrary.deleteExercise(req.user.id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Exercise deleted'
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -617,18 +852,29 @@ exports.createExercise = async (req, res) => {
 // 32. Get exercise recommendations
 exports.getExerciseRecommendations = async (req, res) => {
   // POST /api/venus/exercises/recommend
-  // Body: { goal, equipment, experience }
+  // Body: { goal, equipment: [], experience, muscleGroups: [], avoidExercises: [] }
   // AI recommends best exercises
   // Returns: { recommended: [], reasoning: [] }
   // Service: workoutIntelligence.recommendExercises(params)
   try {
-    // Implementation here
+    const { goal, equipment, experience, muscleGroups, avoidExercises } = req.body;
+    const toArray = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+    const result = await workoutIntelligence.recommendExercises({
+      userId: req.user.id,
+      goal,
+      experience,
+      equipment: toArray(equipment),
+      muscleGroups: toArray(muscleGroups),
+      avoidExercises: toArray(avoidExercises)
+    });
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -638,16 +884,19 @@ exports.getExerciseRecommendations = async (req, res) => {
 // 33. Search exercises
 exports.searchExercises = async (req, res) => {
   // GET /api/venus/exercises/search
-  // Query: ?q=bench press&filters=...
-  // Returns: { results: [], suggestions: [] }
+  // Query: ?q=bench press&muscleCategory=chest&equipment=dumbbells&difficulty=beginner&limit=20
+  // Returns: { results: [], suggestions: [], filters: facet counts }
   try {
-    // Implementation here
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const result = await exerciseLibrary.search(req.user.id, req.query.q, req.query, { limit });
+
     res.status(200).json({
       success: true,
-      data: {}
+      count: result.results.length,
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -657,16 +906,25 @@ exports.searchExercises = async (req, res) => {
 // 34. Get exercise alternatives
 exports.getExerciseAlternatives = async (req, res) => {
   // GET /api/venus/exercises/:id/alternatives
-  // Query: ?reason=injury&equipment=dumbbell
+  // Query: ?reason=injury|equipment|variety&equipment=dumbbells,bands&limit=10
   // Returns: { alternatives: [], reasoning }
   try {
-    // Implementation here
+    const result = await exerciseLibrary.findAlternatives(req.params.id, req.user.id, {
+      reason: req.query.reason,
+      equipment: req.query.equipment,
+      limit: Math.min(parseInt(req.query.limit) || 10, 25)
+    });
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: {
+        exercise: { _id: result.exercise._id, name: result.exercise.name },
+        alternatives: result.alternatives,
+        reasoning: result.reasoning
+      }
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -678,16 +936,19 @@ exports.getExerciseAlternatives = async (req, res) => {
 // 35. Get progressive overload
 exports.getProgressiveOverload = async (req, res) => {
   // GET /api/venus/progress/overload
-  // Query: ?exercise=squat
-  // Returns: { currentLoad, recommendation, progression }
+  // Query: ?exercise=squat&weeks=8
+  // Next-session recommendation from the last sessions' reps and RPE; without
+  // an exercise, every exercise trained in the window plus weekly volume per muscle
+  // Returns: { currentLoad, recommendation, progression } | { exercises: [], weeklyVolume: [] }
   try {
-    // Implementation here
+    const result = await progressiveOverload.getOverload(req.user.id, req.query);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -697,17 +958,18 @@ exports.getProgressiveOverload = async (req, res) => {
 // 36. Calculate 1RM
 exports.calculateOneRepMax = async (req, res) => {
   // POST /api/venus/progress/1rm
-  // Body: { exercise, weight, reps }
+  // Body: { exercise, weight, reps, rpe? }
   // Calculates estimated 1RM using multiple formulas
-  // Returns: { oneRepMax, formulas: { brzycki, epley, lombardi }, accuracy }
+  // Returns: { oneRepMax, formulas: { epley, brzycki, lombardi, rpe }, accuracy, trainingLoads }
   try {
-    // Implementation here
+    const result = progressiveOverload.calculateOneRepMax(req.body);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -717,16 +979,17 @@ exports.calculateOneRepMax = async (req, res) => {
 // 37. Get strength standards
 exports.getStrengthStandards = async (req, res) => {
   // GET /api/venus/progress/standards
-  // Query: ?exercise=squat&bodyweight=80
-  // Returns: { untrained, novice, intermediate, advanced, elite, userLevel }
+  // Query: ?exercise=squat&bodyweight=80&sex=male&unit=kg|lb
+  // Returns: { beginner, novice, intermediate, advanced, elite, userLevel, best1RM }
   try {
-    // Implementation here
+    const result = await progressiveOverload.getStrengthStandards(req.user.id, req.query);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -736,36 +999,45 @@ exports.getStrengthStandards = async (req, res) => {
 // 38. Get personal records
 exports.getPersonalRecords = async (req, res) => {
   // GET /api/venus/progress/records
-  // Returns: { records: [{ exercise, weight, reps, date }], recent: [] }
+  // Query: ?exercise=squat&days=30
+  // Returns: { records: [{ exercise, repMaxes, estimated1RM }], recent: [] }
   try {
-    // Implementation here
+    const result = await progressiveOverload.getPersonalRecords(req.user.id, req.query);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
   }
 };
 
-// ========== F. NUTRITION LOGGING (10 methods) ==========
+// ========== F. NUTRITION LOGGING (17 methods) ==========
 
 // 39. Log meal
 exports.logMeal = async (req, res) => {
   // POST /api/venus/nutrition/log
-  // Body: { date, mealType, foods: [{ name, calories, protein, carbs, fat }] }
+  // Body: { date?, loggedAt?, mealType, foods: [{ name, servings?, calories?, protein, carbs, fat }], notes? }
   // Returns: { meal logged, macros, dailyTotal }
   try {
-    // Implementation here
+    const result = await nutritionTracker.logMeal(req.user.id, req.body);
+
     res.status(201).json({
       success: true,
-      data: {}
+      data: {
+        meal: result.meal,
+        macros: result.meal.totals,
+        dailyTotal: result.dailyTotal,
+        targets: result.targets,
+        remaining: result.remaining
+      }
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -776,15 +1048,21 @@ exports.logMeal = async (req, res) => {
 exports.getNutritionLogs = async (req, res) => {
   // GET /api/venus/nutrition/logs
   // Query: ?startDate=&endDate=&limit=30
-  // Returns: { logs: [], averages, trends }
+  // Returns: { logs: [], averages, weekly, trends }
   try {
-    // Implementation here
+    const limit = Math.min(parseInt(req.query.limit) || 30, 366);
+    const result = await nutritionTracker.getLogs(req.user.id, {
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+      limit
+    });
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -794,16 +1072,24 @@ exports.getNutritionLogs = async (req, res) => {
 // 41. Update meal
 exports.updateMeal = async (req, res) => {
   // PUT /api/venus/nutrition/logs/:id
-  // Body: { foods?, mealType? }
-  // Returns: { meal updated }
+  // Body: { foods?, mealType?, notes?, loggedAt? }
+  // Returns: { meal updated, dailyTotal }
   try {
-    // Implementation here
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Meal not found'
+      });
+    }
+
+    const result = await nutritionTracker.updateMeal(req.user.id, req.params.id, req.body);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -813,15 +1099,23 @@ exports.updateMeal = async (req, res) => {
 // 42. Delete meal
 exports.deleteMeal = async (req, res) => {
   // DELETE /api/venus/nutrition/logs/:id
-  // Returns: { success }
+  // Returns: { success, dailyTotal }
   try {
-    // Implementation here
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Meal not found'
+      });
+    }
+
+    const result = await nutritionTracker.deleteMeal(req.user.id, req.params.id);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -831,16 +1125,25 @@ exports.deleteMeal = async (req, res) => {
 // 43. Get macro summary
 exports.getMacroSummary = async (req, res) => {
   // GET /api/venus/nutrition/macros
-  // Query: ?date=2025-10-22
+  // Query: ?date=2025-10-22&period=day|week
   // Returns: { protein, carbs, fat, calories, targets, remaining }
   try {
-    // Implementation here
+    const period = req.query.period || 'day';
+    if (!['day', 'week'].includes(period)) {
+      return res.status(400).json({
+        success: false,
+        error: 'period must be day or week'
+      });
+    }
+
+    const summary = await nutritionTracker.getMacroSummary(req.user.id, { date: req.query.date, period });
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: summary
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -850,16 +1153,33 @@ exports.getMacroSummary = async (req, res) => {
 // 44. Set macro targets
 exports.setMacroTargets = async (req, res) => {
   // POST /api/venus/nutrition/targets
-  // Body: { protein, carbs, fat, calories }
+  // Body: { protein, carbs, fat, calories, water?, clientId? }
+  // Specialists may set targets for their own clients
   // Returns: { targets set }
   try {
-    // Implementation here
+    const { clientId, ...targets } = req.body;
+    const targetUserId = clientId || req.user.id;
+
+    if (String(targetUserId) !== String(req.user.id)) {
+      const roles = Array.isArray(req.user.roles) ? req.user.roles : [req.user.roles];
+      const isOwnClient = (req.user.clientIds || []).some(id => String(id) === String(targetUserId));
+
+      if (!isOwnClient && !roles.some(role => ['admin', 'owner'].includes(role))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to set targets for this client'
+        });
+      }
+    }
+
+    const result = await nutritionTracker.setTargets(targetUserId, targets, { assignedBy: req.user.id });
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: { targets: result }
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -869,18 +1189,20 @@ exports.setMacroTargets = async (req, res) => {
 // 45. Calculate macro targets
 exports.calculateMacroTargets = async (req, res) => {
   // POST /api/venus/nutrition/targets/calculate
-  // Body: { goal, bodyWeight, activityLevel, bodyFat }
-  // Auto-calculate macro targets
+  // Body: { goal, bodyWeight, height, age, sex, activityLevel, bodyFat?, unit?, climate?, save? }
+  // Auto-calculate macro targets (stored unless save is false)
   // Returns: { targets, reasoning }
   // Service: nutritionCalc.calculateTargets(data)
   try {
-    // Implementation here
+    const { save, ...data } = req.body;
+    const result = await nutritionTracker.calculateTargets(req.user.id, data, { save: save !== false });
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -890,16 +1212,19 @@ exports.calculateMacroTargets = async (req, res) => {
 // 46. Get nutrition insights
 exports.getNutritionInsights = async (req, res) => {
   // GET /api/venus/nutrition/insights
+  // Query: ?days=14
   // AI-generated nutrition insights
-  // Returns: { insights: [], recommendations: [], patterns: [] }
+  // Returns: { insights: [], recommendations: [], patterns: [], adherence }
   try {
-    // Implementation here
+    const days = Math.min(Math.max(parseInt(req.query.days) || 14, 7), 90);
+    const insights = await nutritionTracker.getInsights(req.user.id, { days });
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: insights
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -909,16 +1234,17 @@ exports.getNutritionInsights = async (req, res) => {
 // 47. Track water intake
 exports.trackWaterIntake = async (req, res) => {
   // POST /api/venus/nutrition/water
-  // Body: { amount: ml, timestamp }
+  // Body: { amount, unit?: 'ml'|'oz', timestamp }
   // Returns: { logged, todayTotal, dailyGoal }
   try {
-    // Implementation here
-    res.status(200).json({
-      success: true,
-      data: {}
+    const result = await nutritionTracker.logWater(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -931,13 +1257,175 @@ exports.getWaterTracking = async (req, res) => {
   // Query: ?date=2025-10-22
   // Returns: { intake: [], total, goal, percentage }
   try {
-    // Implementation here
+    const result = await nutritionTracker.getWater(req.user.id, req.query.date);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 48a. Search foods
+exports.searchFoods = async (req, res) => {
+  // GET /api/venus/nutrition/foods
+  // Query: ?q=chicken&category=&limit=20
+  // Fuzzy search over bundled, imported, cached and the user's own foods
+  // Returns: { foods: [] }
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const foods = await foodDatabase.search(req.query.q, {
+      userId: req.user.id,
+      category: req.query.category,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      count: foods.length,
+      data: { foods }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 48b. Get my custom foods and recipes
+exports.getCustomFoods = async (req, res) => {
+  // GET /api/venus/nutrition/foods/mine
+  // Returns: { foods: [] }
+  try {
+    const foods = await foodDatabase.listCustomFoods(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: foods.length,
+      data: { foods }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 48c. Get food
+exports.getFood = async (req, res) => {
+  // GET /api/venus/nutrition/foods/:id
+  // Returns: { food }
+  try {
+    const food = await foodDatabase.getFood(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { food }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 48d. Create custom food
+exports.createCustomFood = async (req, res) => {
+  // POST /api/venus/nutrition/foods
+  // Body: { name, brand?, barcode?, servingSize, calories?, protein, carbs, fat, fiber?, isPublic? }
+  // Returns: { food }
+  try {
+    const food = await foodDatabase.createCustomFood(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: { food }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 48e. Update custom food or recipe
+exports.updateCustomFood = async (req, res) => {
+  // PUT /api/venus/nutrition/foods/:id
+  // Body: any custom food field, or { ingredients?, yields?, instructions? } for recipes
+  // Returns: { food }
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Food not found'
+      });
+    }
+
+    const food = await foodDatabase.updateCustomFood(req.user.id, req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: { food }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 48f. Delete custom food or recipe
+exports.deleteCustomFood = async (req, res) => {
+  // DELETE /api/venus/nutrition/foods/:id
+  // Returns: { deleted }
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Food not found'
+      });
+    }
+
+    const result = await foodDatabase.deleteCustomFood(req.user.id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 48g. Create recipe
+exports.createRecipe = async (req, res) => {
+  // POST /api/venus/nutrition/recipes
+  // Body: { name, ingredients: [{ foodId, servings } | { name, calories, protein, carbs, fat, servings }],
+  //         yields, instructions?, isPublic? }
+  // Nutrients are stored per serving (total / yields)
+  // Returns: { recipe }
+  try {
+    const recipe = await foodDatabase.createRecipe(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: { recipe }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -954,10 +1442,32 @@ exports.generateMealPlan = async (req, res) => {
   // Returns: { mealPlan, shoppingList, macros }
   // Service: mealPlanningAI.generate(userId, preferences)
   try {
-    // Implementation here
+    const { preferences, ...options } = req.body;
+    const duration = options.duration !== undefined ? parseInt(options.duration) : 7;
+
+    if (!Number.isInteger(duration) || duration < 1 || duration > 14) {
+      return res.status(400).json({
+        success: false,
+        error: 'Duration must be between 1 and 14 days'
+      });
+    }
+
+    const result = await mealPlanningAI.generate(req.user.id, {
+      ...options,
+      duration,
+      dietaryPreferences: options.dietaryPreferences || (Array.isArray(preferences) ? preferences : [])
+    });
+
     res.status(201).json({
       success: true,
-      data: {}
+      data: {
+        mealPlan: result.mealPlan,
+        shoppingList: result.mealPlan.shoppingList,
+        macros: result.mealPlan.macros,
+        targets: result.targets,
+        source: result.source,
+        reasoning: result.reasoning
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -991,17 +1501,33 @@ exports.analyzeFoodPhoto = async (req, res) => {
 // 51. Scan barcode
 exports.scanBarcode = async (req, res) => {
   // POST /api/venus/nutrition/barcode-scan
-  // Body: { barcode }
-  // Barcode scanning support
-  // Returns: { food, macros, brand }
+  // Body: { barcode, servings? }
+  // Local food database first, then remote lookup adapters
+  // Returns: { food, macros, brand, source, logEntry }
   try {
-    // Implementation here
+    const { barcode, servings = 1 } = req.body;
+    if (!barcode) {
+      return res.status(400).json({
+        success: false,
+        error: 'barcode is required'
+      });
+    }
+
+    const { food, source, cached } = await foodDatabase.lookupBarcode(barcode, req.user.id);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: {
+        food,
+        macros: food.nutrients,
+        brand: food.brand || null,
+        source,
+        cached,
+        logEntry: foodDatabase.toLogEntry(food, Number(servings) || 1)
+      }
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1112,10 +1638,24 @@ exports.logSupplement = async (req, res) => {
   // Body: { supplements: [{ name, dosage, time }] }
   // Returns: { logged, interactions, timing }
   try {
-    // Implementation here
+    const { supplements } = req.body;
+
+    if (!Array.isArray(supplements) || supplements.length === 0 || supplements.some(s => !s.name)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Supplements array with a name for each supplement is required'
+      });
+    }
+
+    const result = await supplementTracker.logSupplements(req.user.id, req.body);
+
     res.status(201).json({
       success: true,
-      data: {}
+      data: {
+        logged: result.log,
+        interactions: result.interactions,
+        timing: result.timing
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -1130,10 +1670,13 @@ exports.getSupplementLog = async (req, res) => {
   // GET /api/venus/supplements
   // Returns: { supplements: [], adherence, history }
   try {
-    // Implementation here
+    const days = parseInt(req.query.days) || 30;
+
+    const data = await supplementTracker.getLog(req.user.id, days);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data
     });
   } catch (error) {
     res.status(500).json({
@@ -1148,10 +1691,16 @@ exports.checkSupplementInteractions = async (req, res) => {
   // GET /api/venus/supplements/interactions
   // Returns: { interactions: [], warnings: [], safe: boolean }
   try {
-    // Implementation here
+    // Optional ?supplements=iron,calcium - defaults to the user's current regimen
+    const names = req.query.supplements
+      ? String(req.query.supplements).split(',').map(s => s.trim()).filter(Boolean)
+      : [];
+
+    const data = await supplementTracker.checkUserInteractions(req.user.id, names);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data
     });
   } catch (error) {
     res.status(500).json({
@@ -1164,14 +1713,28 @@ exports.checkSupplementInteractions = async (req, res) => {
 // 60. Build supplement stack
 exports.buildSupplementStack = async (req, res) => {
   // POST /api/venus/supplements/stack-builder
-  // Body: { goals, budget }
+  // Body: { goals, budget, exclude? }
   // Supplement optimization recommendations
-  // Returns: { stack: [], costs, effectiveness }
+  // Returns: { stack: [], schedule: [], warnings: [], costs, effectiveness }
   try {
-    // Implementation here
+    const { goals = [], budget, exclude = [] } = req.body;
+
+    if (budget !== undefined && (typeof budget !== 'number' || budget < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Budget must be a positive monthly amount'
+      });
+    }
+
+    const data = await supplementTracker.buildStack(req.user.id, {
+      goals: Array.isArray(goals) ? goals : [goals],
+      budget: budget !== undefined ? budget : null,
+      exclude
+    });
+
     res.status(200).json({
       success: true,
-      data: {}
+      data
     });
   } catch (error) {
     res.status(500).json({
@@ -1181,21 +1744,23 @@ exports.buildSupplementStack = async (req, res) => {
   }
 };
 
-// ========== I. BODY MEASUREMENTS (9 methods) ==========
+// ========== I. BODY MEASUREMENTS (11 methods) ==========
 
 // 61. Log body measurement
 exports.logBodyMeasurement = async (req, res) => {
   // POST /api/venus/body/measurements
-  // Body: { date, weight, bodyFat, measurements: {}, skinfolds: {} }
+  // Body: { date, unit: 'imperial'|'metric', weight, bodyFat, muscleMass, measurements: {}, skinfolds: {} }
+  // measurements include per-side sites (upperArmLeft/Right, upperThighLeft/Right, calfLeft/Right, ...)
   // Returns: { measurement logged, changes, trends }
   try {
-    // Implementation here
+    const result = await bodyTracking.logMeasurement(req.user.id, req.body);
+
     res.status(201).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1205,16 +1770,17 @@ exports.logBodyMeasurement = async (req, res) => {
 // 62. Get body measurements
 exports.getBodyMeasurements = async (req, res) => {
   // GET /api/venus/body/measurements
-  // Query: ?limit=30
+  // Query: ?limit=30&startDate=&endDate=
   // Returns: { measurements: [], trends }
   try {
-    // Implementation here
+    const result = await bodyTracking.getMeasurements(req.user.id, req.query);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1226,15 +1792,15 @@ exports.getBodyCompositionAnalysis = async (req, res) => {
   // GET /api/venus/body/composition
   // Comprehensive body composition
   // Returns: { current, starting, changes, predictions }
-  // Service: progressEngine.analyzeComposition(userId)
   try {
-    // Implementation here
+    const result = await progressEngine.analyzeComposition(req.user.id);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1244,16 +1810,18 @@ exports.getBodyCompositionAnalysis = async (req, res) => {
 // 64. Upload progress photo
 exports.uploadProgressPhoto = async (req, res) => {
   // POST /api/venus/body/photos
-  // Body: multipart/form-data with photo
-  // Returns: { photo uploaded, comparison }
+  // Body: multipart/form-data with photo (JPEG/PNG/WebP), pose: 'front'|'back'|'left'|'right'|'other', takenAt?, tags?, notes?
+  // EXIF/location metadata is stripped before storage
+  // Returns: { photo uploaded, comparison: vs previous photo of the same pose }
   try {
-    // Implementation here
+    const result = await bodyTracking.uploadPhoto(req.user.id, req.file, req.body);
+
     res.status(201).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1263,15 +1831,17 @@ exports.uploadProgressPhoto = async (req, res) => {
 // 65. Get progress photos
 exports.getProgressPhotos = async (req, res) => {
   // GET /api/venus/body/photos
+  // Query: ?pose=front&tag=morning&startDate=&endDate=
   // Returns: { photos: [], timeline }
   try {
-    // Implementation here
+    const result = await bodyTracking.getPhotos(req.user.id, req.query);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1281,17 +1851,63 @@ exports.getProgressPhotos = async (req, res) => {
 // 66. Compare progress photos
 exports.compareProgressPhotos = async (req, res) => {
   // GET /api/venus/body/photos/compare
-  // Query: ?startDate=&endDate=
-  // Returns side-by-side photo comparison
-  // Returns: { before, after, changes: AI-detected }
+  // Query: ?startDate=&endDate=&pose=front
+  // Pairs the first and last photo of each pose in the range
+  // Returns: { pairs: [{ pose, before, after, daysBetween, changes }], period, changes }
   try {
-    // Implementation here
+    const result = await bodyTracking.comparePhotos(req.user.id, req.query);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 66a. Get progress photo image
+exports.getProgressPhotoImage = async (req, res) => {
+  // GET /api/venus/body/photos/:id/image
+  // Owner only; redirects to a short-lived URL when the storage backend provides one
+  // Returns: image bytes
+  try {
+    const file = await bodyTracking.getPhotoFile(req.user.id, req.params.id);
+
+    if (file.url) {
+      return res.redirect(302, file.url);
+    }
+
+    res.set({
+      'Content-Type': file.contentType,
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.status(200).send(file.buffer);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 66b. Delete progress photo
+exports.deleteProgressPhoto = async (req, res) => {
+  // DELETE /api/venus/body/photos/:id
+  // Removes the photo and its stored file
+  // Returns: { id, deleted }
+  try {
+    const result = await bodyTracking.deletePhoto(req.user.id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1301,17 +1917,17 @@ exports.compareProgressPhotos = async (req, res) => {
 // 67. Get body recomposition analysis
 exports.getRecompAnalysis = async (req, res) => {
   // GET /api/venus/body/recomp-analysis
-  // Analyzes fat loss + muscle gain simultaneously
+  // Analyzes fat loss + muscle gain simultaneously over the last 12 weeks
   // Returns: { recompScore: 0-100, fatLoss, muscleGain, rate, efficiency }
-  // Service: progressEngine.analyzeRecomp(userId)
   try {
-    // Implementation here
+    const result = await progressEngine.analyzeRecomp(req.user.id);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1321,17 +1937,17 @@ exports.getRecompAnalysis = async (req, res) => {
 // 68. Get muscle symmetry analysis
 exports.getMuscleSymmetry = async (req, res) => {
   // GET /api/venus/body/muscle-symmetry
-  // Analyzes muscle balance between sides
+  // Analyzes muscle balance between sides (per-side measurements, DEXA regions)
   // Returns: { symmetry: {}, imbalances: [], exercises: [] }
-  // Service: progressEngine.analyzeSymmetry(userId)
   try {
-    // Implementation here
+    const result = await progressEngine.analyzeSymmetry(req.user.id);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1341,17 +1957,17 @@ exports.getMuscleSymmetry = async (req, res) => {
 // 69. Get fat distribution
 exports.getFatDistribution = async (req, res) => {
   // GET /api/venus/body/fat-distribution
-  // Analyzes where fat is stored (DEXA-based estimate)
-  // Returns: { distribution: {}, pattern: '', healthRisk: {} }
-  // Service: progressEngine.analyzeFatDistribution(userId)
+  // Analyzes where fat is stored (waist/hip ratio, DEXA regions when available)
+  // Returns: { distribution: {}, pattern: '', healthRisk }
   try {
-    // Implementation here
+    const result = await progressEngine.analyzeFatDistribution(req.user.id);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1363,16 +1979,18 @@ exports.getFatDistribution = async (req, res) => {
 // 70. Create performance test
 exports.createPerformanceTest = async (req, res) => {
   // POST /api/venus/performance/tests
-  // Body: { type: 'strength' | 'endurance' | 'power', exercises: [] }
+  // Body: { type: 'strength' | 'endurance' | 'power' | 'flexibility' | ..., exercises?: [], scheduledFor?, intervalWeeks? }
+  // Omitting exercises uses the standard battery for the type
   // Returns: { test created, instructions }
   try {
-    // Implementation here
+    const result = await performanceTesting.createTest(req.user.id, req.body);
+
     res.status(201).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1382,16 +2000,17 @@ exports.createPerformanceTest = async (req, res) => {
 // 71. Record test results
 exports.recordTestResults = async (req, res) => {
   // POST /api/venus/performance/tests/:id/results
-  // Body: { results: exercise results }
-  // Returns: { test completed, improvements: vs last }
+  // Body: { results: [{ exerciseName, result: { weight, reps, time, distance, vo2max } }], unit?: 'kg' | 'lb', profile?: { sex, age, bodyweight } }
+  // Returns: { test completed, improvements: vs last, percentiles, nextTest }
   try {
-    // Implementation here
+    const result = await performanceTesting.recordResults(req.user.id, req.params.id, req.body);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1401,15 +2020,17 @@ exports.recordTestResults = async (req, res) => {
 // 72. Get performance tests
 exports.getPerformanceTests = async (req, res) => {
   // GET /api/venus/performance/tests
-  // Returns: { tests: [], latest: {}, trends: {} }
+  // Query: ?type=strength&status=scheduled|completed|missed|cancelled
+  // Returns: { tests: [], upcoming: [], latest: {}, trends: {} }
   try {
-    // Implementation here
+    const result = await performanceTesting.getTests(req.user.id, req.query);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1419,17 +2040,18 @@ exports.getPerformanceTests = async (req, res) => {
 // 73. Get performance benchmarks
 exports.getPerformanceBenchmarks = async (req, res) => {
   // GET /api/venus/performance/benchmarks
-  // Compares user to population benchmarks
+  // Compares user's latest results to population benchmarks
+  // Query: ?sex=male&age=30&bodyweight=80 (optional, defaults to profile)
   // Returns: { benchmarks: {}, category: '', nextMilestone: {} }
-  // Service: progressEngine.calculateBenchmarks(userId)
   try {
-    // Implementation here
+    const result = await performanceTesting.getBenchmarks(req.user.id, req.query);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1439,17 +2061,18 @@ exports.getPerformanceBenchmarks = async (req, res) => {
 // 74. Get strength standards detailed
 exports.getStrengthStandardsDetailed = async (req, res) => {
   // GET /api/venus/performance/standards
-  // Query: ?bodyweight=80&sex=male
+  // Query: ?bodyweight=80&sex=male&age=30&unit=kg|lb
   // Returns detailed strength standards chart
   // Returns: { standards: {}, userLevel: '', goals: {} }
   try {
-    // Implementation here
+    const result = await performanceTesting.getStandards(req.user.id, req.query);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1459,17 +2082,18 @@ exports.getStrengthStandardsDetailed = async (req, res) => {
 // 75. Get performance percentile
 exports.getPerformancePercentile = async (req, res) => {
   // GET /api/venus/performance/percentile
-  // Query: ?exercise=squat&weight=100&reps=5
-  // Where user ranks globally
-  // Returns: { percentile: 0-100, category: 'elite' | etc }
+  // Query: ?exercise=squat&weight=100&reps=5 (or distance/time, vo2max; plus optional sex/age/bodyweight/unit)
+  // Where user ranks against the population
+  // Returns: { percentile: 1-99, category: 'elite' | etc }
   try {
-    // Implementation here
+    const result = await performanceTesting.getPercentile(req.user.id, req.query);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1479,39 +2103,40 @@ exports.getPerformancePercentile = async (req, res) => {
 // 76. Get performance predictions
 exports.getPerformancePredictions = async (req, res) => {
   // GET /api/venus/performance/predictions
-  // ML predicts future performance
+  // Projects 1RMs from the training trend and race times from the latest time trial
   // Returns: { predictions: {}, confidence: 0-100, factors: [] }
-  // Service: predictionEngine.predictPerformance(userId)
   try {
-    // Implementation here
+    const result = await performanceTesting.predictPerformance(req.user.id);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
   }
 };
 
-// ========== K. SOCIAL FEATURES (6 methods) ==========
+// ========== K. SOCIAL FEATURES (24 methods) ==========
 
 // 77. Get social feed
 exports.getSocialFeed = async (req, res) => {
   // GET /api/venus/social/feed
-  // Query: ?page=1&filter=friends
+  // Query: ?page=1&filter=all|friends|following
+  // Only posts the user may see: own, public, followers (friends/followed users), friends
   // Returns: { posts: [], pagination: {} }
-  // Service: socialFeatures.getFeed(userId, page)
   try {
-    // Implementation here
+    const feed = await socialFeatures.getFeed(req.user.id, req.query.page, req.query.filter || 'all');
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: feed
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1521,17 +2146,121 @@ exports.getSocialFeed = async (req, res) => {
 // 78. Share workout
 exports.shareWorkout = async (req, res) => {
   // POST /api/venus/social/share
-  // Body: { workoutId, caption?, visibility }
-  // Shares workout to feed
-  // Returns: { post created, url }
+  // Body: { workoutId, caption?, visibility?: 'public'|'followers'|'friends'|'private' }
+  // Shares a completed workout to the feed (visibility defaults to privacy settings)
+  // Returns: { post, url }
   try {
-    // Implementation here
+    const { workoutId, caption, visibility } = req.body;
+    const post = await socialFeatures.shareWorkout(req.user.id, workoutId, caption, visibility);
+
     res.status(201).json({
       success: true,
-      data: {}
+      data: {
+        post,
+        url: `/api/venus/social/posts/${post._id}`
+      }
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 78a. Like post
+exports.likePost = async (req, res) => {
+  // POST /api/venus/social/posts/:id/like
+  // Returns: { liked, likeCount }
+  try {
+    const result = await socialFeatures.likePost(req.user.id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 78b. Unlike post
+exports.unlikePost = async (req, res) => {
+  // DELETE /api/venus/social/posts/:id/like
+  // Returns: { liked, likeCount }
+  try {
+    const result = await socialFeatures.unlikePost(req.user.id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 78c. Comment on post
+exports.commentOnPost = async (req, res) => {
+  // POST /api/venus/social/posts/:id/comments
+  // Body: { text } (max 300 characters)
+  // Returns: { comment, commentCount }
+  try {
+    const result = await socialFeatures.addComment(req.user.id, req.params.id, req.body.text);
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 78d. Delete comment
+exports.deleteComment = async (req, res) => {
+  // DELETE /api/venus/social/posts/:id/comments/:commentId
+  // Commenter or post author only
+  // Returns: { deleted, commentCount }
+  try {
+    const result = await socialFeatures.deleteComment(req.user.id, req.params.id, req.params.commentId);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 78e. Report post
+exports.reportPost = async (req, res) => {
+  // POST /api/venus/social/posts/:id/report
+  // Body: { reason: 'spam'|'harassment'|'hate'|'nudity'|'violence'|'misinformation'|'other', details? }
+  // Posts with several open reports are held from feeds until reviewed
+  // Returns: { reported, message }
+  try {
+    const result = await socialFeatures.reportPost(req.user.id, req.params.id, req.body.reason, req.body.details);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1541,15 +2270,37 @@ exports.shareWorkout = async (req, res) => {
 // 79. Get challenges
 exports.getChallenges = async (req, res) => {
   // GET /api/venus/social/challenges
-  // Returns: { active: [], available: [], completed: [] }
+  // Returns: { active: [], upcoming: [], available: [], completed: [] }
   try {
-    // Implementation here
+    const challenges = await socialFeatures.getChallenges(req.user.id);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: challenges
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 79a. Create challenge
+exports.createChallenge = async (req, res) => {
+  // POST /api/venus/social/challenges
+  // Body: { name, type, goal: { target, unit?, exerciseId? }, startDate?, endDate,
+  //         visibility?, updateFrequency?: 'realtime'|'daily'|'weekly', prizes?: [{ place, description, badge }], join? }
+  // Returns: { challenge }
+  try {
+    const challenge = await socialFeatures.createChallenge(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: challenge
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1560,15 +2311,61 @@ exports.getChallenges = async (req, res) => {
 exports.joinChallenge = async (req, res) => {
   // POST /api/venus/social/challenges/join
   // Body: { challengeId }
+  // Progress since the challenge started counts straight away
   // Returns: { joined, challenge, leaderboard }
   try {
-    // Implementation here
+    const result = await socialFeatures.joinChallenge(req.user.id, req.body.challengeId);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: {
+        joined: true,
+        challenge: result.challenge,
+        leaderboard: result.leaderboard
+      }
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 80a. Get challenge leaderboard
+exports.getChallengeLeaderboard = async (req, res) => {
+  // GET /api/venus/social/challenges/:id/leaderboard
+  // Standings as last published (realtime, daily or weekly); live updates on /ws/challenges
+  // Returns: { challenge, leaderboard: [], lastUpdated, myProgress, winners }
+  try {
+    const result = await socialFeatures.getChallengeLeaderboard(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 80b. Log challenge progress
+exports.logChallengeProgress = async (req, res) => {
+  // POST /api/venus/social/challenges/:id/progress
+  // Body: { value } - weight-loss and custom challenges only
+  // Returns: { progress, rank, leaderboard }
+  try {
+    const result = await socialFeatures.updateChallengeProgress(req.user.id, req.params.id, req.body.value);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1578,15 +2375,16 @@ exports.joinChallenge = async (req, res) => {
 // 81. Get friends
 exports.getFriends = async (req, res) => {
   // GET /api/venus/social/friends
-  // Returns: { friends: [], requests: [], suggestions: [] }
+  // Returns: { friends: [], requests: { received: [], sent: [] }, followers, following, blocked: [], suggestions: [] }
   try {
-    // Implementation here
+    const result = await socialGraph.getFriends(req.user.id);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1597,38 +2395,237 @@ exports.getFriends = async (req, res) => {
 exports.addFriend = async (req, res) => {
   // POST /api/venus/social/friends/add
   // Body: { userId }
-  // Sends friend request
-  // Returns: { request sent }
+  // Sends friend request (accepts theirs if they already asked)
+  // Returns: { request, status, message }
   try {
-    // Implementation here
+    const result = await socialGraph.sendFriendRequest(req.user.id, req.body.userId);
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 82a. Respond to friend request
+exports.respondToFriendRequest = async (req, res) => {
+  // POST /api/venus/social/friends/requests/:id
+  // Body: { action: 'accept'|'decline' }
+  // Returns: { request, status, message }
+  try {
+    const result = await socialGraph.respondToRequest(req.user.id, req.params.id, req.body.action);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 82b. Remove friend
+exports.removeFriend = async (req, res) => {
+  // DELETE /api/venus/social/friends/:userId
+  // Unfriends, or cancels a request the user sent
+  // Returns: { removed, message }
+  try {
+    const result = await socialGraph.removeFriend(req.user.id, req.params.userId);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
   }
 };
 
-// ========== L. INJURY RISK & PREVENTION (5 methods) ==========
+// 82c. Block user
+exports.blockUser = async (req, res) => {
+  // POST /api/venus/social/blocks
+  // Body: { userId }
+  // Ends any friendship, request or follow; hides each other's posts
+  // Returns: { blocked }
+  try {
+    const result = await socialGraph.blockUser(req.user.id, req.body.userId);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 82d. Unblock user
+exports.unblockUser = async (req, res) => {
+  // DELETE /api/venus/social/blocks/:userId
+  // Returns: { unblocked }
+  try {
+    const result = await socialGraph.unblockUser(req.user.id, req.params.userId);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 82e. Follow user
+exports.followUser = async (req, res) => {
+  // POST /api/venus/social/follow/:userId
+  // Returns: { following, since }
+  try {
+    const result = await socialGraph.follow(req.user.id, req.params.userId);
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 82f. Unfollow user
+exports.unfollowUser = async (req, res) => {
+  // DELETE /api/venus/social/follow/:userId
+  // Returns: { following }
+  try {
+    const result = await socialGraph.unfollow(req.user.id, req.params.userId);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 82g. Get privacy settings
+exports.getPrivacySettings = async (req, res) => {
+  // GET /api/venus/social/privacy
+  // Returns: { defaultVisibility, friendRequests, allowFollowers }
+  try {
+    const result = await socialGraph.getPrivacy(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 82h. Update privacy settings
+exports.updatePrivacySettings = async (req, res) => {
+  // PUT /api/venus/social/privacy
+  // Body: { defaultVisibility?, friendRequests?: 'everyone'|'friends-of-friends'|'nobody', allowFollowers?, autoSharePRs? }
+  // Returns: { defaultVisibility, friendRequests, allowFollowers, autoSharePRs }
+  try {
+    const result = await socialGraph.updatePrivacy(req.user.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 82i. Get moderation queue
+exports.getModerationQueue = async (req, res) => {
+  // GET /api/venus/social/moderation/queue (admin)
+  // Query: ?status=pending|hidden&page=1&limit=20
+  // Returns: { items: [{ post, moderationStatus, openReports, reasons }], pagination }
+  try {
+    const result = await socialFeatures.getModerationQueue(req.query);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 82j. Moderate post
+exports.moderatePost = async (req, res) => {
+  // POST /api/venus/social/moderation/:id (admin)
+  // Body: { action: 'hide'|'restore', note? }
+  // Resolves open reports on the post
+  // Returns: { postId, status, reviewedAt }
+  try {
+    const result = await socialFeatures.moderatePost(req.user.id, req.params.id, req.body.action, req.body.note);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// ========== L. INJURY RISK & PREVENTION (7 methods) ==========
 
 // 83. Get injury risk assessment
 exports.getInjuryRiskAssessment = async (req, res) => {
   // GET /api/venus/injury-risk/assessment
   // Analyzes injury risk factors
   // Returns: { overallRisk: '', factors: [], recommendations: [], warnings: [] }
-  // Service: injuryRiskAssessor.assess(userId)
   try {
-    // Implementation here
+    const result = await injuryRiskAssessor.assess(req.user.id);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1638,15 +2635,17 @@ exports.getInjuryRiskAssessment = async (req, res) => {
 // 84. Get injury history
 exports.getInjuryHistory = async (req, res) => {
   // GET /api/venus/injury-risk/history
-  // Returns: { injuries: [], patterns: [] }
+  // Query: ?status=active|recovering|healed|chronic&bodyPart=knee
+  // Returns: { injuries: [], patterns: {} }
   try {
-    // Implementation here
+    const result = await injuryRehab.getHistory(req.user.id, req.query);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1656,17 +2655,60 @@ exports.getInjuryHistory = async (req, res) => {
 // 85. Report injury
 exports.reportInjury = async (req, res) => {
   // POST /api/venus/injury-risk/report
-  // Body: { bodyPart, severity, description, cause? }
-  // Logs injury for tracking
-  // Returns: { injury logged, recommendedRest, modifications }
+  // Body: { bodyPart, injuryType?, severity, painLevel, description, cause?, relatedExercise?, relatedWorkout? }
+  // Logs injury and builds a phased rehab protocol; aggravating exercises are
+  // blocked or substituted in generated workouts until the protocol allows them
+  // Returns: { injury, recommendedRest, modifications, protocol }
   try {
-    // Implementation here
+    const result = await injuryRehab.reportInjury(req.user.id, req.body);
+
     res.status(201).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 85a. Log injury progress
+exports.logInjuryProgress = async (req, res) => {
+  // POST /api/venus/injury-risk/injuries/:id/progress
+  // Body: { painLevel, rangeOfMotion?, strength?, functionalAbility?, notes? }
+  // Advances the rehab phase once pain stays low, steps back on a flare-up
+  // Returns: { injury, transition, protocol, modifications }
+  try {
+    const result = await injuryRehab.logProgress(req.user.id, req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// 85b. Resolve injury
+exports.resolveInjury = async (req, res) => {
+  // PUT /api/venus/injury-risk/injuries/:id/resolve
+  // Body: { status: 'healed'|'chronic' }
+  // Returns: { injury, reinjuryRisk }
+  try {
+    const result = await injuryRehab.resolveInjury(req.user.id, req.params.id, req.body.status);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1676,17 +2718,18 @@ exports.reportInjury = async (req, res) => {
 // 86. Get prevention protocols
 exports.getPreventionProtocols = async (req, res) => {
   // GET /api/venus/injury-risk/prevention
-  // Query: ?bodyPart=shoulder
+  // Query: ?bodyPart=shoulder (defaults to the user's most injured areas)
   // Returns injury prevention exercises/protocols
   // Returns: { protocols: [], prehab: [], mobility: [] }
   try {
-    // Implementation here
+    const result = await injuryRehab.getPreventionProtocols(req.user.id, req.query.bodyPart);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1696,17 +2739,18 @@ exports.getPreventionProtocols = async (req, res) => {
 // 87. Get rehab protocols
 exports.getRehabProtocols = async (req, res) => {
   // GET /api/venus/injury-risk/rehab-protocols
-  // Query: ?injuryType=shoulder&phase=early
-  // Returns rehabilitation protocols
+  // Query: ?injuryId=:id | ?bodyPart=shoulder&injuryType=strain&severity=moderate, &phase=early|mid|late
+  // Without a query, returns protocols for the user's active injuries
   // Returns: { protocols: [], timeline: {}, milestones: [] }
   try {
-    // Implementation here
+    const result = await injuryRehab.getRehabProtocols(req.user.id, req.query);
+
     res.status(200).json({
       success: true,
-      data: {}
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1736,17 +2780,17 @@ exports.getOptimalTrainingWindow = async (req, res) => {
 };
 
 // ========== EXPORT MODULE ==========
-// Total: 88 methods
-// A. Workout Tracking: 8 methods
-// B. Workout Intelligence: 12 methods
+// Total: 124 methods
+// A. Workout Tracking: 10 methods
+// B. Workout Intelligence: 15 methods
 // C. Quantum Workouts: 8 methods
-// D. Exercise Library: 6 methods
+// D. Exercise Library: 8 methods
 // E. Progressive Overload: 4 methods
-// F. Nutrition Logging: 10 methods
+// F. Nutrition Logging: 17 methods
 // G. AI Meal Planning: 8 methods
 // H. Supplement Tracking: 4 methods
-// I. Body Measurements: 9 methods
+// I. Body Measurements: 11 methods
 // J. Performance Testing: 7 methods
-// K. Social Features: 6 methods
-// L. Injury Risk & Prevention: 5 methods
+// K. Social Features: 24 methods
+// L. Injury Risk & Prevention: 7 methods
 // M. Optimal Training Window: 1 method
@@ -7,6 +7,69 @@
 const User = require('../models/User');
 const ButlerAction = require('../models/phoenix/ButlerAction');
 
+// Estimated cost per action type (USD)
+const ACTION_COSTS = {
+  call: 1.00,
+  sms: 0.01,
+  email: 0,
+  intervention: 0,
+  calendar_block: 0,
+  default: 0.10
+};
+
+exports.ACTION_COSTS = ACTION_COSTS;
+
+/**
+ * Estimate the cost of a single action type
+ */
+exports.estimateActionCost = (actionType) => {
+  if (Object.prototype.hasOwnProperty.call(ACTION_COSTS, actionType)) {
+    return ACTION_COSTS[actionType];
+  }
+  return ACTION_COSTS.default;
+};
+
+/**
+ * Run the same checks as checkBudget outside of a request
+ * (used by background jobs such as butler automations).
+ * Never throws for budget problems - returns { approved: false, reason }.
+ */
+exports.evaluateBudget = async (userId, estimatedCost) => {
+  // Free actions never need a budget
+  if (!estimatedCost) {
+    return { approved: true, estimatedCost: 0, remaining: null };
+  }
+
+  const user = await User.findById(userId).select('phoenixSettings');
+
+  if (!user) {
+    return { approved: false, reason: 'User not found', estimatedCost };
+  }
+
+  if (!user.phoenixSettings?.callBudget?.enabled) {
+    return { approved: false, reason: 'Call/SMS budget not enabled', estimatedCost };
+  }
+
+  const budget = user.phoenixSettings.callBudget;
+  const remaining = budget.monthlyLimit - (budget.currentSpent || 0);
+
+  if (remaining < estimatedCost) {
+    return {
+      approved: false,
+      reason: `Insufficient budget. Need $${estimatedCost.toFixed(2)}, have $${remaining.toFixed(2)}`,
+      estimatedCost,
+      remaining
+    };
+  }
+
+  return {
+    approved: true,
+    estimatedCost,
+    remaining,
+    monthlyLimit: budget.monthlyLimit
+  };
+};
+
 /**
  * Main budget checking middleware
  * Validates user has sufficient budget before allowing expensive actions
@@ -39,25 +102,18 @@ exports.checkBudget = async (req, res, next) => {
 
     // Estimate cost based on action type
     const { actionType } = req.body;
-    let estimatedCost = 0;
-
-    switch (actionType) {
-      case 'call':
-        estimatedCost = 1.00; // Average phone call
-        break;
-      case 'sms':
-        estimatedCost = 0.01; // SMS message (slightly higher estimate)
-        break;
-      default:
-        estimatedCost = 0.10; // Default for unknown actions
+    let estimatedCost = ACTION_COSTS.default;
+
+    if (actionType === 'call' || actionType === 'sms') {
+      estimatedCost = ACTION_COSTS[actionType];
     }
 
     // Check endpoint path if actionType not provided
     if (!actionType) {
       if (req.path.includes('/call')) {
-        estimatedCost = 1.00;
+        estimatedCost = ACTION_COSTS.call;
       } else if (req.path.includes('/sms')) {
-        estimatedCost = 0.01;
+        estimatedCost = ACTION_COSTS.sms;
       }
     }
 
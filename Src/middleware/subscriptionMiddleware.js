@@ -0,0 +1,260 @@
+// ============================================
+// SUBSCRIPTION MIDDLEWARE - Plan-based feature gating
+// ============================================
+// Resolves the caller's Subscription and enforces the plan matrix
+// in Src/config/plans.js: feature access (402/403 with upgrade
+// metadata), history clamping and per-plan rate limits.
+// ============================================
+
+const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
+const Subscription = require('../models/Subscription');
+const {
+  PLANS,
+  RATE_LIMIT_WINDOW_MS,
+  getPlan,
+  planAllows,
+  getUpgradePlan,
+  getPublicPlans
+} = require('../config/plans');
+
+// Short-lived cache so rate limiting doesn't hit the DB on every request
+const CACHE_TTL_MS = 60 * 1000;
+const planCache = new Map();
+
+const FEATURE_LABELS = {
+  predictions: 'predictions',
+  earth: 'Earth (calendar & energy)',
+  mars: 'Mars (goals & habits)',
+  jupiter: 'Jupiter (finance)',
+  saturn: 'Saturn (legacy planning)'
+};
+
+/**
+ * Resolve the effective plan for a user
+ * @returns {object} { plan, subscribedPlan, status, entitled, limits }
+ */
+const resolvePlan = async (userId) => {
+  const key = String(userId);
+  const cached = planCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+  const subscription = await Subscription.findOne({ userId }).sort('-createdAt');
+  const subscribedPlan = subscription?.plan || 'free';
+  const entitled = subscription ? subscription.isEntitled() : true;
+  const plan = entitled ? subscribedPlan : 'free';
+
+  const value = {
+    plan,
+    subscribedPlan,
+    status: subscription?.status || 'active',
+    entitled,
+    limits: getPlan(plan)
+  };
+
+  planCache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+exports.resolvePlan = resolvePlan;
+
+/**
+ * Drop a cached plan (call after subscription changes)
+ */
+exports.clearPlanCache = (userId) => {
+  if (userId) {
+    planCache.delete(String(userId));
+  } else {
+    planCache.clear();
+  }
+};
+
+/**
+ * Structured upgrade payload shared by all blocked responses
+ */
+const buildUpgradeMetadata = (subscription, feature, requiredPlan = getUpgradePlan(subscription.plan, feature)) => {
+  return {
+    feature,
+    currentPlan: subscription.plan,
+    requiredPlan,
+    requiredPlanName: requiredPlan ? PLANS[requiredPlan].name : null,
+    price: requiredPlan ? PLANS[requiredPlan].price : null,
+    checkoutUrl: '/api/subscriptions/checkout',
+    plans: getPublicPlans()
+  };
+};
+
+/**
+ * Attach req.subscription for downstream middleware/controllers
+ * Must run after protect
+ */
+exports.loadSubscription = async (req, res, next) => {
+  try {
+    if (!req.subscription) {
+      req.subscription = await resolvePlan(req.user.id);
+    }
+    next();
+  } catch (error) {
+    console.error('Subscription lookup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve subscription'
+    });
+  }
+};
+
+/**
+ * Require a plan feature ('predictions' or a planet name)
+ * 402 - current plan doesn't include it (upgrade needed)
+ * 403 - paid plan includes it but the subscription isn't in good standing
+ */
+exports.requireFeature = (feature) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.subscription) {
+        req.subscription = await resolvePlan(req.user.id);
+      }
+
+      const subscription = req.subscription;
+      if (planAllows(subscription.plan, feature)) return next();
+
+      const label = FEATURE_LABELS[feature] || feature;
+
+      if (!subscription.entitled && planAllows(subscription.subscribedPlan, feature)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Subscription inactive',
+          code: 'SUBSCRIPTION_INACTIVE',
+          message: `Your ${getPlan(subscription.subscribedPlan).name} subscription is ${subscription.status.replace('_', ' ')}. Update billing to restore ${label}.`,
+          action: 'update_billing',
+          upgrade: {
+            ...buildUpgradeMetadata(subscription, feature, subscription.subscribedPlan),
+            portalUrl: '/api/subscriptions/portal'
+          }
+        });
+      }
+
+      return res.status(402).json({
+        success: false,
+        error: 'Upgrade required',
+        code: 'UPGRADE_REQUIRED',
+        message: `The ${subscription.limits.name} plan does not include ${label}`,
+        action: 'upgrade',
+        upgrade: buildUpgradeMetadata(subscription, feature)
+      });
+    } catch (error) {
+      console.error('Feature gate error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to verify subscription'
+      });
+    }
+  };
+};
+
+/**
+ * Clamp date-range query params to the plan's historyDays
+ * Handles ?days=N and ?startDate=...; sets req.historyLimit and an
+ * X-History-Clamped header when a request was narrowed.
+ * @param {number} [defaultDays] - route default applied when ?days is absent
+ */
+exports.clampHistory = (defaultDays) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.subscription) {
+        req.subscription = await resolvePlan(req.user.id);
+      }
+
+      const historyDays = req.subscription.limits.historyDays;
+      const earliest = new Date(Date.now() - historyDays * 24 * 60 * 60 * 1000);
+      let clamped = false;
+
+      if (req.query.days !== undefined) {
+        const requested = parseInt(req.query.days);
+        if (!isNaN(requested) && requested > historyDays) {
+          req.query.days = String(historyDays);
+          clamped = true;
+        }
+      } else if (defaultDays && defaultDays > historyDays) {
+        req.query.days = String(historyDays);
+        clamped = true;
+      }
+
+      if (req.query.startDate) {
+        const start = new Date(req.query.startDate);
+        if (!isNaN(start) && start < earliest) {
+          req.query.startDate = earliest.toISOString();
+          clamped = true;
+        }
+      }
+
+      req.historyLimit = { days: historyDays, earliest, clamped };
+      if (clamped) {
+        res.set('X-History-Clamped', 'true');
+        res.set('X-History-Days', String(historyDays));
+      }
+
+      next();
+    } catch (error) {
+      console.error('History clamp error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to verify subscription'
+      });
+    }
+  };
+};
+
+/**
+ * Identify the caller from the bearer token without enforcing auth,
+ * so per-plan limits can run before route-level protect.
+ * Anonymous/invalid tokens are left to the global IP limiter.
+ */
+exports.identifyPlan = async (req, res, next) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer')) return next();
+
+  try {
+    const decoded = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET);
+    req.planContext = { userId: String(decoded.id), ...(await resolvePlan(decoded.id)) };
+  } catch (error) {
+    // Invalid token - protect will reject it where auth is required
+  }
+  next();
+};
+
+/**
+ * Next plan with a higher rate limit
+ */
+const getUpgradePlanByLimit = (planKey) => {
+  const current = getPlan(planKey).rateLimit.max;
+  const next = getPublicPlans().find(p => p.rateLimit.max > current);
+  return next ? next.plan : null;
+};
+
+/**
+ * Per-plan rate limiter (mount after identifyPlan)
+ */
+exports.planRateLimiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  limit: (req) => req.planContext.limits.rateLimit.max,
+  keyGenerator: (req) => `user:${req.planContext.userId}`,
+  skip: (req) => !req.planContext,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    const { plan, limits } = req.planContext;
+    const requiredPlan = getUpgradePlanByLimit(plan);
+
+    res.status(429).json({
+      success: false,
+      error: 'Rate limit exceeded',
+      code: 'RATE_LIMITED',
+      message: `The ${limits.name} plan allows ${limits.rateLimit.max} requests per ${RATE_LIMIT_WINDOW_MS / 60000} minutes`,
+      action: requiredPlan ? 'upgrade' : 'retry_later',
+      upgrade: buildUpgradeMetadata(req.planContext, 'rate_limit', requiredPlan)
+    });
+  }
+});
+
+module.exports = exports;
@@ -0,0 +1,154 @@
+// ============================================
+// TWILIO WEBHOOK AUTH - Signature & replay verification
+// ============================================
+// Verifies X-Twilio-Signature against the public callback URL and
+// POST params, rejects stale/replayed deliveries and records every
+// rejection in WebhookRejection for auditing.
+//
+// Environment:
+//   TWILIO_AUTH_TOKEN                 signing secret (required)
+//   API_URL                           public base URL Twilio calls (recommended
+//                                     behind proxies; falls back to the request host)
+//   TWILIO_WEBHOOK_MAX_AGE_SECONDS    allowed age of payload Timestamp (default 300)
+//   TWILIO_WEBHOOK_VALIDATION=false   disable checks (local development only)
+// ============================================
+
+const crypto = require('crypto');
+const twilio = require('twilio');
+const WebhookNonce = require('../models/phoenix/WebhookNonce');
+const WebhookRejection = require('../models/phoenix/WebhookRejection');
+
+const PROVIDER = 'twilio';
+const MAX_AGE_SECONDS = parseInt(process.env.TWILIO_WEBHOOK_MAX_AGE_SECONDS) || 300;
+const NONCE_TTL_SECONDS = 24 * 60 * 60;
+
+const REJECTION_STATUS = {
+  not_configured: 503,
+  missing_signature: 403,
+  invalid_signature: 403,
+  stale: 403,
+  replay: 409
+};
+
+/**
+ * Full URL Twilio signed (must match the configured callback exactly)
+ */
+const buildWebhookUrl = (req) => {
+  const base = process.env.API_URL
+    ? process.env.API_URL.replace(/\/$/, '')
+    : `${req.protocol}://${req.get('host')}`;
+  return `${base}${req.originalUrl}`;
+};
+
+/**
+ * Compute the X-Twilio-Signature for a URL + params
+ * (used by the verifier and by scripts/signTwilioWebhook.js)
+ */
+const signTwilioRequest = (url, params = {}, authToken = process.env.TWILIO_AUTH_TOKEN) => {
+  return twilio.getExpectedTwilioSignature(authToken, url, params);
+};
+
+/**
+ * Stable key identifying a delivery. Twilio's idempotency token is
+ * preferred; otherwise the signature (unique per URL + params) is hashed.
+ */
+const getReplayKey = (req, signature) => {
+  const token = req.get('I-Twilio-Idempotency-Token');
+  if (token) return `token:${token}`;
+  return `sig:${crypto.createHash('sha256').update(signature).digest('hex')}`;
+};
+
+/**
+ * Record and send a rejection
+ */
+const reject = (req, res, reason, details) => {
+  const body = req.body || {};
+
+  WebhookRejection.create({
+    provider: PROVIDER,
+    reason,
+    method: req.method,
+    path: req.originalUrl,
+    url: buildWebhookUrl(req),
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    signaturePresent: !!req.get('X-Twilio-Signature'),
+    idempotencyToken: req.get('I-Twilio-Idempotency-Token'),
+    externalId: body.CallSid || body.MessageSid || body.SmsSid || body.RecordingSid,
+    from: body.From,
+    details
+  }).catch(error => {
+    console.error('Webhook rejection audit error:', error.message);
+  });
+
+  console.warn(`🚫 Twilio webhook rejected (${reason}): ${req.method} ${req.originalUrl}`);
+
+  res.status(REJECTION_STATUS[reason] || 403).type('text/plain').send('Webhook rejected');
+};
+
+/**
+ * Verify an inbound Twilio webhook
+ * GET requests (health checks) pass through untouched.
+ */
+const verifyTwilioWebhook = async (req, res, next) => {
+  if (req.method !== 'POST') return next();
+
+  if (process.env.TWILIO_WEBHOOK_VALIDATION === 'false') {
+    console.warn('⚠️  Twilio webhook validation disabled (TWILIO_WEBHOOK_VALIDATION=false)');
+    return next();
+  }
+
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    return reject(req, res, 'not_configured', 'TWILIO_AUTH_TOKEN is not set');
+  }
+
+  const signature = req.get('X-Twilio-Signature');
+  if (!signature) {
+    return reject(req, res, 'missing_signature');
+  }
+
+  const url = buildWebhookUrl(req);
+  if (!twilio.validateRequest(authToken, signature, url, req.body || {})) {
+    return reject(req, res, 'invalid_signature', `Signed URL expected: ${url}`);
+  }
+
+  // Status callbacks carry a Timestamp - refuse anything outside the window
+  if (req.body && req.body.Timestamp) {
+    const sentAt = Date.parse(req.body.Timestamp);
+    if (!isNaN(sentAt) && Math.abs(Date.now() - sentAt) > MAX_AGE_SECONDS * 1000) {
+      return reject(req, res, 'stale', `Timestamp ${req.body.Timestamp}`);
+    }
+  }
+
+  try {
+    const key = getReplayKey(req, signature);
+    const claimed = await WebhookNonce.claim(PROVIDER, key, NONCE_TTL_SECONDS, req.originalUrl);
+
+    if (!claimed) {
+      return reject(req, res, 'replay', key.split(':')[0]);
+    }
+
+    // Let Twilio retry deliveries we failed to process
+    res.on('finish', () => {
+      if (res.statusCode >= 500) {
+        WebhookNonce.release(PROVIDER, key).catch(error => {
+          console.error('Webhook nonce release error:', error.message);
+        });
+      }
+    });
+
+    req.twilioVerified = true;
+    next();
+  } catch (error) {
+    console.error('Twilio webhook verification error:', error);
+    res.status(500).type('text/plain').send('Verification failed');
+  }
+};
+
+module.exports = {
+  verifyTwilioWebhook,
+  signTwilioRequest,
+  buildWebhookUrl,
+  getReplayKey
+};
@@ -35,4 +35,9 @@ const subscriptionSchema = new mongoose.Schema({
   }]
 }, { timestamps: true });
 
+// Whether the subscription currently grants its paid plan
+subscriptionSchema.methods.isEntitled = function() {
+  return ['active', 'trialing'].includes(this.status);
+};
+
 module.exports = mongoose.model('Subscription', subscriptionSchema);
\ No newline at end of file
@@ -103,8 +103,7 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: false
       },
-      accessToken: String,
-      refreshToken: String,
+      // Tokens are held in TokenVault, not on the user document
       expiresAt: Date,
       externalUserId: String,
       lastSync: Date,
@@ -18,14 +18,37 @@ const CalendarEventSchema = new mongoose.Schema(
     },
     provider: {
       type: String,
-      enum: ['google', 'outlook', 'apple', 'manual'],
+      enum: ['google', 'outlook', 'apple', 'caldav', 'ics', 'manual'],
       required: [true, 'Provider is required']
     },
+    // CalDAV account or ICS subscription the event was imported from
+    feedId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CalendarFeed',
+      index: true,
+      sparse: true
+    },
+    externalCalendarId: {
+      type: String,
+      description: 'Source calendar within the feed (CalDAV collection URL)'
+    },
     externalEventId: {
       type: String,
       index: true,
       sparse: true // Only for synced events
     },
+    // iCalendar UID, shared by copies of one meeting across providers
+    icalUid: String,
+    isOrganizer: {
+      type: Boolean,
+      description: 'Synced from the organizer\'s own calendar'
+    },
+    // ⭐ Same meeting imported from another calendar (see calendarSync.mergeDuplicates)
+    duplicateOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CalendarEvent',
+      default: null
+    },
     title: {
       type: String,
       required: [true, 'Event title is required'],
@@ -99,11 +122,31 @@ const CalendarEventSchema = new mongoose.Schema(
       type: String,
       description: 'ID of the recurring event series'
     },
+    // ⭐ Copy of an auto-scheduled event written to the user's provider calendar
+    writeBack: {
+      provider: {
+        type: String,
+        enum: ['caldav', 'google', 'outlook']
+      },
+      // Google/Outlook event id of the copy
+      externalEventId: String,
+      feedId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CalendarFeed'
+      },
+      url: String,
+      etag: String,
+      syncedAt: Date,
+      error: String
+    },
     status: {
       type: String,
       enum: ['confirmed', 'tentative', 'cancelled'],
       default: 'confirmed'
     },
+    // Tombstone: cancelled or deleted at the provider; purged via TTL
+    tombstonedAt: Date,
+    purgeAt: Date,
     // AI insights
     aiSuggestions: [{
       type: {
@@ -132,6 +175,12 @@ CalendarEventSchema.index({ userId: 1, startTime: -1 });
 CalendarEventSchema.index({ userId: 1, provider: 1 });
 CalendarEventSchema.index({ userId: 1, meetingType: 1 });
 CalendarEventSchema.index({ externalEventId: 1, provider: 1 }, { sparse: true });
+CalendarEventSchema.index({ userId: 1, icalUid: 1 }, { sparse: true });
+CalendarEventSchema.index({ userId: 1, 'writeBack.externalEventId': 1 }, { sparse: true });
+
+// Tombstones are kept for a while so late notifications and stale pages
+// can't resurrect them, then expire
+CalendarEventSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
 
 // ================================================================
 // VIRTUAL FIELDS
@@ -253,15 +302,23 @@ CalendarEventSchema.statics.getUpcomingEvents = async function(userId, days = 7)
       $gte: now,
       $lte: future
     },
-    status: { $ne: 'cancelled' }
+    status: { $ne: 'cancelled' },
+    duplicateOf: null
   }).sort({ startTime: 1 });
 };
 
 /**
  * Find free slots in a given date range
+ * Cancelled events and cross-calendar duplicates don't block time.
  */
 CalendarEventSchema.statics.findFreeSlots = async function(userId, startDate, endDate, durationMinutes = 60) {
-  const events = await this.getEventsByDateRange(userId, startDate, endDate);
+  const events = await this.find({
+    userId,
+    startTime: { $lt: new Date(endDate) },
+    endTime: { $gt: new Date(startDate) },
+    status: { $ne: 'cancelled' },
+    duplicateOf: null
+  }).sort({ startTime: 1 });
   
   const freeSlots = [];
   let currentTime = new Date(startDate);
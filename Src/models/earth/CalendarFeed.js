@@ -0,0 +1,107 @@
+// ================================================================
+// CALENDAR FEED MODEL
+// ================================================================
+// File: Src/models/earth/CalendarFeed.js
+// Purpose: CalDAV accounts (iCloud, Fastmail, Nextcloud, generic) and
+//          read-only ICS subscriptions connected by a user
+// System: Earth (Calendar & Energy)
+// ================================================================
+// Secrets are not stored here: the app-specific password (CalDAV) or
+// the subscription URL (ICS, which often embeds a private token) live
+// in the TokenVault under provider 'caldav'/'ics' with this feed's id
+// as the accountRef.
+// ================================================================
+
+const mongoose = require('mongoose');
+
+const FeedCalendarSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  name: String,
+  color: String,
+  writable: {
+    type: Boolean,
+    default: true
+  },
+  syncEnabled: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const CalendarFeedSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    type: {
+      type: String,
+      enum: ['caldav', 'ics'],
+      required: [true, 'Feed type is required']
+    },
+    // CalDAV service preset (see caldavClient)
+    service: {
+      type: String,
+      enum: ['apple', 'fastmail', 'nextcloud', 'caldav']
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    serverUrl: String,
+    username: String,
+    // Host of an ICS subscription, for display (the full URL is a secret)
+    displayUrl: String,
+    // sha256 of the subscription URL, to spot duplicate subscriptions
+    sourceHash: String,
+    calendars: [FeedCalendarSchema],
+    // ⭐ Two-way: auto-scheduled Phoenix events are written to this calendar
+    writeBack: {
+      type: Boolean,
+      default: false
+    },
+    writeBackCalendarUrl: String,
+    refreshMinutes: {
+      type: Number,
+      default: 60,
+      min: 15,
+      max: 1440
+    },
+    status: {
+      type: String,
+      enum: ['active', 'error', 'disabled'],
+      default: 'active'
+    },
+    lastSyncedAt: Date,
+    nextSyncAt: {
+      type: Date,
+      index: true
+    },
+    lastError: String,
+    consecutiveFailures: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+CalendarFeedSchema.index({ status: 1, nextSyncAt: 1 });
+
+/**
+ * Calendar that receives write-back events, if write-back is on
+ */
+CalendarFeedSchema.methods.writeBackCalendar = function() {
+  if (this.type !== 'caldav' || !this.writeBack) return null;
+  return this.calendars.find(calendar => calendar.url === this.writeBackCalendarUrl && calendar.writable) || null;
+};
+
+module.exports = mongoose.model('CalendarFeed', CalendarFeedSchema);
@@ -0,0 +1,144 @@
+// ================================================================
+// CALENDAR SYNC STATE MODEL
+// ================================================================
+// File: Src/models/earth/CalendarSyncState.js
+// Purpose: Incremental sync cursor and push-notification channel for
+//          each OAuth calendar connection (Google, Outlook)
+// System: Earth (Calendar & Energy)
+// ================================================================
+// The cursor (Google nextSyncToken / Outlook deltaLink) is only valid
+// for the window it was opened with; calendarSync rolls the window
+// with a full resync before it runs short. Channel secrets are kept
+// as sha256 digests only.
+// ================================================================
+
+const mongoose = require('mongoose');
+
+const ChannelSchema = new mongoose.Schema({
+  // Google channel id / Graph subscription id
+  id: String,
+  // Google only: opaque id of the watched resource
+  resourceId: String,
+  // sha256 of X-Goog-Channel-Token / Graph clientState
+  tokenHash: String,
+  expiresAt: Date,
+  status: {
+    type: String,
+    enum: ['active', 'failed']
+  },
+  retryAt: Date,
+  error: String,
+  lastNotificationAt: Date
+}, { _id: false });
+
+const CalendarSyncStateSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    provider: {
+      type: String,
+      enum: ['google', 'outlook'],
+      required: [true, 'Provider is required']
+    },
+    syncToken: String,
+    deltaLink: String,
+    windowStart: Date,
+    windowEnd: Date,
+    lastSyncedAt: Date,
+    lastFullSyncAt: Date,
+    lastError: String,
+    consecutiveFailures: {
+      type: Number,
+      default: 0
+    },
+    // Single-flight lock; notifications arriving mid-sync set resyncRequested
+    lockedUntil: Date,
+    resyncRequested: {
+      type: Boolean,
+      default: false
+    },
+    channel: ChannelSchema
+  },
+  {
+    timestamps: true
+  }
+);
+
+CalendarSyncStateSchema.index({ userId: 1, provider: 1 }, { unique: true });
+CalendarSyncStateSchema.index({ 'channel.id': 1 }, { sparse: true });
+CalendarSyncStateSchema.index({ 'channel.expiresAt': 1 });
+
+// Never expose cursors or channel digests
+CalendarSyncStateSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.syncToken;
+    delete ret.deltaLink;
+    if (ret.channel) delete ret.channel.tokenHash;
+    return ret;
+  }
+});
+
+/**
+ * Take the sync lock, creating the state on first use
+ * @returns {Document|null} the locked state, or null if a sync is running
+ */
+CalendarSyncStateSchema.statics.acquire = async function(userId, provider, lockMs) {
+  await this.updateOne({ userId, provider }, { $setOnInsert: { userId, provider } }, { upsert: true });
+
+  const now = new Date();
+  const state = await this.findOneAndUpdate(
+    { userId, provider, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+    { $set: { lockedUntil: new Date(now.getTime() + lockMs), resyncRequested: false } },
+    { new: true }
+  );
+  if (state) return state;
+
+  await this.updateOne({ userId, provider }, { $set: { resyncRequested: true } });
+  return null;
+};
+
+/**
+ * Release the sync lock
+ * @returns {boolean} true if another sync was requested while locked
+ */
+CalendarSyncStateSchema.statics.release = async function(stateId) {
+  const previous = await this.findOneAndUpdate({ _id: stateId }, { $set: { lockedUntil: null } });
+  return Boolean(previous?.resyncRequested);
+};
+
+/**
+ * Channels expiring within the window, and failed channels due a retry
+ */
+CalendarSyncStateSchema.statics.findChannelsDue = function(windowMs, limit = 50) {
+  const now = new Date();
+  return this.find({
+    $or: [
+      { 'channel.status': 'active', 'channel.expiresAt': { $lte: new Date(now.getTime() + windowMs) } },
+      { 'channel.status': 'failed', 'channel.retryAt': { $lte: now } }
+    ]
+  })
+    .sort({ 'channel.expiresAt': 1 })
+    .limit(limit);
+};
+
+/**
+ * Connections not synced recently: without a live channel they are
+ * polled often; with one, occasionally in case notifications were lost
+ */
+CalendarSyncStateSchema.statics.findDueForPoll = function(pollMs, pushedPollMs, limit = 50) {
+  const now = Date.now();
+  return this.find({
+    $or: [
+      { 'channel.status': { $ne: 'active' }, lastSyncedAt: { $lte: new Date(now - pollMs) } },
+      { 'channel.status': 'active', lastSyncedAt: { $lte: new Date(now - pushedPollMs) } }
+    ]
+  })
+    .sort({ lastSyncedAt: 1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('CalendarSyncState', CalendarSyncStateSchema);
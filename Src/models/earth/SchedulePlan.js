@@ -0,0 +1,132 @@
+// ================================================================
+// SCHEDULE PLAN MODEL
+// ================================================================
+// File: Src/models/earth/SchedulePlan.js
+// Purpose: Focus, workout and recovery blocks proposed by the
+//          energy-aware auto-scheduler, and the user's decisions
+// System: Earth (Calendar & Energy)
+// ================================================================
+// Blocks start out 'proposed'. Accepting one creates an auto-scheduled
+// CalendarEvent (written back to the provider calendar); rejecting it
+// keeps the slot from being proposed again. When calendar changes make
+// a block collide, re-planning supersedes it (proposed) or flags it
+// (accepted) and proposes a replacement.
+// ================================================================
+
+const mongoose = require('mongoose');
+
+const BLOCK_TYPES = ['focus', 'workout', 'recovery'];
+const BLOCK_STATUSES = ['proposed', 'accepted', 'rejected', 'conflicted', 'superseded'];
+
+const BlockSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: BLOCK_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  // Predicted energy (0-100) over the block
+  energyScore: Number,
+  reason: String,
+  status: {
+    type: String,
+    enum: BLOCK_STATUSES,
+    default: 'proposed'
+  },
+  calendarEventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CalendarEvent'
+  },
+  // Training plan session the workout block schedules
+  trainingPlanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingPlan'
+  },
+  trainingSessionId: mongoose.Schema.Types.ObjectId,
+  // Events the block collided with when it was last checked
+  conflictsWith: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CalendarEvent'
+  }],
+  // A replacement for a conflicted accepted block moves it when accepted
+  replacesBlockId: mongoose.Schema.Types.ObjectId,
+  decidedAt: Date,
+  syncError: String
+});
+
+const SchedulePlanSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    rangeStart: {
+      type: Date,
+      required: true
+    },
+    rangeEnd: {
+      type: Date,
+      required: true
+    },
+    timezone: {
+      type: String,
+      default: 'UTC'
+    },
+    // Scheduling settings the plan was built with
+    settings: Object,
+    energySource: {
+      type: String,
+      enum: ['prediction', 'average', 'default'],
+      default: 'default'
+    },
+    status: {
+      type: String,
+      enum: ['active', 'completed'],
+      default: 'active'
+    },
+    blocks: [BlockSchema],
+    // Blocks that found no slot
+    unplaced: [{
+      _id: false,
+      type: { type: String, enum: BLOCK_TYPES },
+      date: Date,
+      reason: String
+    }],
+    lastReplannedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+SchedulePlanSchema.index({ userId: 1, status: 1, rangeEnd: 1 });
+
+/**
+ * Active plans overlapping a time range
+ */
+SchedulePlanSchema.statics.findActiveOverlapping = function(userId, start, end) {
+  return this.find({
+    userId,
+    status: 'active',
+    rangeStart: { $lt: end },
+    rangeEnd: { $gt: start }
+  }).sort({ rangeStart: 1 });
+};
+
+SchedulePlanSchema.statics.BLOCK_TYPES = BLOCK_TYPES;
+SchedulePlanSchema.statics.BLOCK_STATUSES = BLOCK_STATUSES;
+
+module.exports = mongoose.model('SchedulePlan', SchedulePlanSchema);
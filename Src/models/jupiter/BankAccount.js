@@ -4,7 +4,7 @@ const mongoose = require('mongoose');
 const bankAccountSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
   plaidAccountId: { type: String, required: true, unique: true },
-  plaidAccessToken: { type: String, required: true },
+  // Plaid access token lives in TokenVault (provider 'plaid', accountRef = plaidItemId)
   plaidItemId: { type: String, required: true },
   institutionName: { type: String, required: true },
   accountType: { type: String, enum: ['checking', 'savings', 'credit', 'investment'], required: true },
@@ -24,11 +24,8 @@ const financeSchema = new mongoose.Schema(
       index: true
     },
     
-    plaidAccessToken: {
-      type: String,
-      required: [true, 'Plaid access token is required']
-    },
-    
+    // Access token is stored encrypted in TokenVault
+    // (provider 'plaid', accountRef = plaidItemId)
     plaidItemId: {
       type: String,
       required: [true, 'Plaid item ID is required'],
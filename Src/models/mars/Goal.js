@@ -60,6 +60,38 @@ const goalSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    description: String,
+    category: String,
+    // What the target measures - SMART goals track a known baseline
+    // (bodyweight, strength:<exercise>, sleep_duration, monthly_spending)
+    metric: {
+        type: String,
+        default: 'custom'
+    },
+    unit: String,
+    milestones: [{
+        title: String,
+        targetValue: Number,
+        targetDate: Date,
+        completed: {
+            type: Boolean,
+            default: false
+        },
+        completedAt: Date
+    }],
+    // Generated SMART breakdown and how it was scored
+    smart: {
+        specific: String,
+        measurable: String,
+        achievable: String,
+        relevant: String,
+        timeBound: String,
+        source: String,          // 'rules' or the AI provider
+        confidence: Number,      // 0-1
+        feasibility: Number,     // 0-100
+        baselineDate: Date,
+        generatedAt: Date
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -102,4 +134,6 @@ goalSchema.pre('save', function(next) {
     next();
 });
 
+goalSchema.index({ metric: 1, completed: 1 });
+
 module.exports = mongoose.model('Goal', goalSchema);
\ No newline at end of file
@@ -0,0 +1,160 @@
+// Src/models/mars/Habit.js
+// Standalone habits with flexible schedules, optionally linked to a goal.
+// Completions live in HabitLog; the streak fields here are a cache that
+// habitTracker refreshes whenever the habit is logged or read.
+
+const mongoose = require('mongoose');
+
+const SCHEDULE_TYPES = ['daily', 'times_per_week', 'weekdays'];
+const CATEGORIES = [
+  'health', 'fitness', 'nutrition', 'sleep', 'mindfulness',
+  'productivity', 'learning', 'finance', 'social', 'other'
+];
+
+const habitSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  title: {
+    type: String,
+    required: [true, 'Habit title is required'],
+    trim: true,
+    maxlength: 120
+  },
+
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+
+  category: {
+    type: String,
+    enum: CATEGORIES,
+    default: 'other'
+  },
+
+  // Optional link to a goal the habit supports
+  goalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Goal',
+    index: true
+  },
+
+  // Schedule
+  schedule: {
+    type: {
+      type: String,
+      enum: SCHEDULE_TYPES,
+      default: 'daily'
+    },
+    timesPerWeek: {
+      type: Number,
+      min: 1,
+      max: 7
+    },
+    // 0 = Sunday ... 6 = Saturday
+    weekdays: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }]
+  },
+
+  // Misses forgiven per ISO week before a streak breaks
+  graceDays: {
+    type: Number,
+    min: 0,
+    max: 3,
+    default: 1
+  },
+
+  // Days are counted in this zone ('YYYY-MM-DD' log keys)
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+
+  startDate: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'archived'],
+    default: 'active',
+    index: true
+  },
+
+  // Paused stretches are left out of the schedule (end is null while paused)
+  pauses: [{
+    _id: false,
+    start: String,
+    end: String
+  }],
+
+  // Reminders are delivered as interventions
+  reminder: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    time: String,
+    nextAt: {
+      type: Date,
+      index: true
+    },
+    lastSentAt: Date
+  },
+
+  // Habit stacking: "After <anchor>, I will <title>"
+  stackedAfter: {
+    habitId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Habit'
+    },
+    label: String
+  },
+
+  // Cached statistics
+  currentStreak: {
+    type: Number,
+    default: 0
+  },
+  longestStreak: {
+    type: Number,
+    default: 0
+  },
+  streakUnit: {
+    type: String,
+    enum: ['days', 'weeks'],
+    default: 'days'
+  },
+  lastCompletedDate: String,
+  totalCompletions: {
+    type: Number,
+    default: 0
+  },
+  statsUpdatedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+habitSchema.index({ userId: 1, status: 1 });
+habitSchema.index({ 'stackedAfter.habitId': 1 });
+
+// motivationEngine reads habit.streak
+habitSchema.virtual('streak').get(function() {
+  return this.currentStreak;
+});
+
+habitSchema.statics.SCHEDULE_TYPES = SCHEDULE_TYPES;
+habitSchema.statics.CATEGORIES = CATEGORIES;
+
+module.exports = mongoose.model('Habit', habitSchema);
@@ -0,0 +1,50 @@
+// Src/models/mars/HabitLog.js
+// One entry per habit per local day. completed: false records an explicit miss.
+
+const mongoose = require('mongoose');
+
+const habitLogSchema = new mongoose.Schema({
+  habitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Habit',
+    required: true
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Local day in the habit's timezone
+  date: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+
+  completed: {
+    type: Boolean,
+    default: true
+  },
+
+  value: Number,
+
+  note: {
+    type: String,
+    maxlength: 500
+  },
+
+  loggedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+habitLogSchema.index({ habitId: 1, date: 1 }, { unique: true });
+habitLogSchema.index({ userId: 1, date: 1 });
+
+module.exports = mongoose.model('HabitLog', habitLogSchema);
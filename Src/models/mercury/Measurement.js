@@ -15,11 +15,18 @@ const measurementSchema = new mongoose.Schema({
         type: Date,
         required: true
     },
+    // imperial: weight in lbs, lengths in inches · metric: kg and cm
+    unit: {
+        type: String,
+        enum: ['imperial', 'metric'],
+        default: 'imperial'
+    },
     weight: {
         type: Number,
         required: true
     },
     bodyFat: Number,
+    muscleMass: Number,
     bmr: Number,
     bloodPressure: String,
     circumference: {
@@ -31,7 +38,16 @@ const measurementSchema = new mongoose.Schema({
         waist: Number,
         hips: Number,
         upperThigh: Number,
-        calf: Number
+        calf: Number,
+        // Per-side values for symmetry analysis
+        upperArmLeft: Number,
+        upperArmRight: Number,
+        lowerArmLeft: Number,
+        lowerArmRight: Number,
+        upperThighLeft: Number,
+        upperThighRight: Number,
+        calfLeft: Number,
+        calfRight: Number
     },
     caliper: {
         chest: Number,
@@ -51,4 +67,42 @@ const measurementSchema = new mongoose.Schema({
     }
 });
 
+measurementSchema.index({ clientId: 1, date: -1 });
+
+const LB_PER_KG = 2.20462;
+const CM_PER_INCH = 2.54;
+
+/**
+ * Plain copy of the body values in the given unit system, for comparing
+ * measurements that were entered in different units
+ */
+measurementSchema.methods.toUnit = function(unit = this.unit) {
+    const from = this.unit || 'imperial';
+    const mass = from === unit ? 1 : unit === 'metric' ? 1 / LB_PER_KG : LB_PER_KG;
+    const length = from === unit ? 1 : unit === 'metric' ? CM_PER_INCH : 1 / CM_PER_INCH;
+    const convert = (value, factor) => (value == null ? null : Math.round(value * factor * 10) / 10);
+
+    const circumference = {};
+    Object.entries(this.circumference?.toObject ? this.circumference.toObject() : (this.circumference || {}))
+        .forEach(([site, value]) => {
+            if (value != null) circumference[site] = convert(value, length);
+        });
+
+    return {
+        id: this._id,
+        date: this.date,
+        unit,
+        weight: convert(this.weight, mass),
+        bodyFat: this.bodyFat ?? null,
+        muscleMass: convert(this.muscleMass, mass),
+        circumference
+    };
+};
+
+// Weight in kg regardless of the unit it was entered in
+measurementSchema.virtual('weightKg').get(function() {
+    if (this.weight == null) return null;
+    return this.unit === 'metric' ? this.weight : Math.round(this.weight * 0.453592 * 10) / 10;
+});
+
 module.exports = mongoose.model('Measurement', measurementSchema);
\ No newline at end of file
@@ -30,13 +30,8 @@ const wearableDeviceSchema = new mongoose.Schema({
     default: true,
     index: true
   },
-  accessToken: {
-    type: String,
-    required: true
-  },
-  refreshToken: {
-    type: String
-  },
+  // Access/refresh tokens live encrypted in TokenVault (category 'wearable');
+  // expiry is mirrored here for display
   tokenExpiry: {
     type: Date
   },
@@ -0,0 +1,120 @@
+// ============================================
+// AI USAGE MODEL - Per-user token & cost accounting
+// ============================================
+// One document per AI provider call (including failures),
+// written by services/ai/aiProvider
+// ============================================
+
+const mongoose = require('mongoose');
+
+const aiUsageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+
+  feature: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  provider: {
+    type: String,
+    enum: ['gemini', 'openai', 'mock'],
+    required: true
+  },
+
+  model: {
+    type: String,
+    required: true
+  },
+
+  inputTokens: {
+    type: Number,
+    default: 0
+  },
+
+  outputTokens: {
+    type: Number,
+    default: 0
+  },
+
+  cost: {
+    type: Number,
+    default: 0
+  },
+
+  latencyMs: Number,
+
+  attempts: {
+    type: Number,
+    default: 1
+  },
+
+  success: {
+    type: Boolean,
+    default: true
+  },
+
+  error: String
+
+}, {
+  timestamps: true
+});
+
+aiUsageSchema.index({ userId: 1, createdAt: -1 });
+aiUsageSchema.index({ userId: 1, feature: 1 });
+
+// Static method to summarise usage for a user
+aiUsageSchema.statics.getUserSummary = async function(userId, days = 30) {
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - days);
+
+  const rows = await this.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(String(userId)),
+        createdAt: { $gte: startDate }
+      }
+    },
+    {
+      $group: {
+        _id: { feature: '$feature', provider: '$provider', model: '$model' },
+        calls: { $sum: 1 },
+        failures: { $sum: { $cond: ['$success', 0, 1] } },
+        inputTokens: { $sum: '$inputTokens' },
+        outputTokens: { $sum: '$outputTokens' },
+        cost: { $sum: '$cost' },
+        avgLatencyMs: { $avg: '$latencyMs' }
+      }
+    },
+    { $sort: { cost: -1 } }
+  ]);
+
+  const byFeature = rows.map(row => ({
+    feature: row._id.feature,
+    provider: row._id.provider,
+    model: row._id.model,
+    calls: row.calls,
+    failures: row.failures,
+    inputTokens: row.inputTokens,
+    outputTokens: row.outputTokens,
+    cost: Math.round(row.cost * 1000000) / 1000000,
+    avgLatencyMs: Math.round(row.avgLatencyMs || 0)
+  }));
+
+  return {
+    days,
+    totals: byFeature.reduce((totals, row) => ({
+      calls: totals.calls + row.calls,
+      inputTokens: totals.inputTokens + row.inputTokens,
+      outputTokens: totals.outputTokens + row.outputTokens,
+      cost: Math.round((totals.cost + row.cost) * 1000000) / 1000000
+    }), { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 }),
+    byFeature
+  };
+};
+
+module.exports = mongoose.model('AIUsage', aiUsageSchema);
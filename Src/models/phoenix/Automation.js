@@ -0,0 +1,186 @@
+// ============================================
+// AUTOMATION MODEL - Phoenix Butler Workflows
+// ============================================
+// User-defined "when X happens, do Y" workflows.
+// A trigger (cron, recovery threshold, budget alert, calendar
+// event start) fires one or more actions (SMS, email,
+// intervention, calendar block).
+// ============================================
+
+const mongoose = require('mongoose');
+
+const TRIGGER_TYPES = ['cron', 'recovery_threshold', 'budget_alert', 'calendar_event'];
+const ACTION_TYPES = ['sms', 'email', 'intervention', 'calendar_block'];
+
+const triggerSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: TRIGGER_TYPES,
+    required: [true, 'Trigger type is required']
+  },
+
+  // cron: standard 5/6 field expression, e.g. "0 7 * * 1-5"
+  schedule: String,
+  timezone: String,
+
+  // recovery_threshold: fire when today's recovery crosses the threshold
+  threshold: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  direction: {
+    type: String,
+    enum: ['below', 'above'],
+    default: 'below'
+  },
+
+  // budget_alert: optional category filter (any active budget when empty)
+  category: String,
+
+  // calendar_event: fire this many minutes before a matching event starts
+  minutesBefore: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  titleContains: String,
+  meetingType: String
+}, { _id: false });
+
+const actionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ACTION_TYPES,
+    required: [true, 'Action type is required']
+  },
+
+  // Action-specific parameters:
+  // sms            { phoneNumber, message }
+  // email          { to, subject, body }
+  // intervention   { interventionType, action, reason, severity }
+  // calendar_block { title, durationMinutes, offsetMinutes, meetingType }
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, { _id: false });
+
+const automationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Automation name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true
+  },
+
+  trigger: {
+    type: triggerSchema,
+    required: true
+  },
+
+  actions: {
+    type: [actionSchema],
+    validate: {
+      validator: (actions) => Array.isArray(actions) && actions.length > 0,
+      message: 'At least one action is required'
+    }
+  },
+
+  // Extra checks evaluated against the trigger payload before running,
+  // e.g. { field: 'score', operator: 'lt', value: 40 }
+  conditions: [{
+    field: String,
+    operator: {
+      type: String,
+      enum: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'contains']
+    },
+    value: mongoose.Schema.Types.Mixed,
+    _id: false
+  }],
+
+  // State
+  enabled: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  pausedUntil: {
+    type: Date
+  },
+
+  // Minimum minutes between two runs, so event triggers don't spam
+  cooldownMinutes: {
+    type: Number,
+    min: 0,
+    default: 60
+  },
+
+  // Run bookkeeping
+  lastRunAt: Date,
+  lastRunStatus: {
+    type: String,
+    enum: ['success', 'partial', 'failed', 'skipped']
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  failureCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Dedup key for event triggers (e.g. calendar event id already handled)
+  lastTriggerKey: String
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+automationSchema.index({ userId: 1, enabled: 1 });
+automationSchema.index({ 'trigger.type': 1, enabled: 1 });
+
+// Virtual status derived from enabled/pausedUntil
+automationSchema.virtual('state').get(function() {
+  if (!this.enabled) return 'disabled';
+  if (this.pausedUntil && this.pausedUntil > new Date()) return 'paused';
+  return 'active';
+});
+
+// Whether the automation may run right now
+automationSchema.methods.isRunnable = function(now = new Date()) {
+  if (this.state !== 'active') return false;
+  if (this.lastRunAt && this.cooldownMinutes > 0) {
+    const elapsed = (now - this.lastRunAt) / (1000 * 60);
+    if (elapsed < this.cooldownMinutes) return false;
+  }
+  return true;
+};
+
+// Static: all automations the scheduler should watch
+automationSchema.statics.getSchedulable = function(triggerType) {
+  const query = { enabled: true };
+  if (triggerType) query['trigger.type'] = triggerType;
+  return this.find(query);
+};
+
+automationSchema.statics.TRIGGER_TYPES = TRIGGER_TYPES;
+automationSchema.statics.ACTION_TYPES = ACTION_TYPES;
+
+module.exports = mongoose.model('Automation', automationSchema);
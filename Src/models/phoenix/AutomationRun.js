@@ -0,0 +1,91 @@
+// ============================================
+// AUTOMATION RUN MODEL - Automation Run History
+// ============================================
+// One document per automation execution, including the
+// trigger payload, the budget check and per-action results
+// ============================================
+
+const mongoose = require('mongoose');
+
+const automationRunSchema = new mongoose.Schema({
+  automationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Automation',
+    required: true,
+    index: true
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // What started the run
+  triggeredBy: {
+    type: String,
+    enum: ['cron', 'recovery_threshold', 'budget_alert', 'calendar_event', 'manual'],
+    required: true
+  },
+
+  triggerPayload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  status: {
+    type: String,
+    enum: ['running', 'success', 'partial', 'failed', 'skipped'],
+    default: 'running',
+    index: true
+  },
+
+  // Why a run was skipped (budget, conditions, paused...)
+  skipReason: String,
+
+  // Budget check performed before any action ran
+  budget: {
+    estimatedCost: { type: Number, default: 0 },
+    actualCost: { type: Number, default: 0 },
+    remaining: Number,
+    approved: Boolean
+  },
+
+  results: [{
+    actionType: String,
+    success: Boolean,
+    output: mongoose.Schema.Types.Mixed,
+    error: String,
+    _id: false
+  }],
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  finishedAt: Date,
+
+  durationMs: Number
+
+}, {
+  timestamps: true
+});
+
+automationRunSchema.index({ automationId: 1, startedAt: -1 });
+automationRunSchema.index({ userId: 1, startedAt: -1 });
+
+// Expire run history after 90 days
+automationRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Method to close out a run
+automationRunSchema.methods.finish = function(status, extra = {}) {
+  this.status = status;
+  this.finishedAt = new Date();
+  this.durationMs = this.finishedAt - this.startedAt;
+  Object.assign(this, extra);
+  return this.save();
+};
+
+module.exports = mongoose.model('AutomationRun', automationRunSchema);
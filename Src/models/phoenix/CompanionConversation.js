@@ -15,11 +15,16 @@ const companionConversationSchema = new mongoose.Schema({
   sentiment: { type: String, enum: ['positive', 'neutral', 'negative', 'urgent'] },
   actionTaken: String,
   tags: [String],
-  embedding: [Number]
+  // Semantic memory (services/phoenix/companionMemory)
+  embedding: { type: [Number], select: false },
+  embeddingModel: String,
+  pinned: { type: Boolean, default: false },
+  forgotten: { type: Boolean, default: false }
 }, { timestamps: true });
 
 companionConversationSchema.index({ userId: 1, createdAt: -1 });
 companionConversationSchema.index({ userId: 1, tags: 1 });
+companionConversationSchema.index({ userId: 1, role: 1, embeddingModel: 1, createdAt: -1 });
 
 companionConversationSchema.virtual('timestamp').get(function() {
   return this.createdAt;
@@ -0,0 +1,30 @@
+// Src/models/phoenix/CompanionMemory.js
+// Durable facts about a user extracted from companion conversations
+// ("allergic to peanuts", "training for a marathon in May"). Retrieved
+// by similarity alongside past exchanges and injected into chat prompts.
+const mongoose = require('mongoose');
+
+const companionMemorySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  text: { type: String, required: true, trim: true, maxlength: 300 },
+  category: {
+    type: String,
+    enum: ['preference', 'health', 'diet', 'goal', 'schedule', 'personal', 'other'],
+    default: 'other'
+  },
+  // Normalised text hash - one copy of each fact per user
+  key: { type: String, required: true },
+  source: { type: String, enum: ['rules', 'ai'], default: 'rules' },
+  sourceMessageId: { type: mongoose.Schema.Types.ObjectId, ref: 'CompanionConversation' },
+  confidence: { type: Number, min: 0, max: 1, default: 0.7 },
+  embedding: { type: [Number], select: false },
+  embeddingModel: String,
+  pinned: { type: Boolean, default: false },
+  recallCount: { type: Number, default: 0 },
+  lastRecalledAt: Date
+}, { timestamps: true });
+
+companionMemorySchema.index({ userId: 1, key: 1 }, { unique: true });
+companionMemorySchema.index({ userId: 1, pinned: -1, updatedAt: -1 });
+
+module.exports = mongoose.model('CompanionMemory', companionMemorySchema);
@@ -3,7 +3,7 @@ const mongoose = require('mongoose');
 
 const interventionSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
-  type: { type: String, enum: ['recovery_critical', 'hrv_low', 'overtraining', 'sleep_debt', 'goal_risk', 'illness_predicted', 'calendar_conflict', 'spending_alert'], required: true },
+  type: { type: String, enum: ['recovery_critical', 'hrv_low', 'overtraining', 'sleep_debt', 'goal_risk', 'illness_predicted', 'calendar_conflict', 'spending_alert', 'habit_reminder'], required: true },
   action: { type: String, required: true },
   reason: { type: String, required: true },
   severity: { type: String, enum: ['low', 'medium', 'high', 'critical'], required: true },
@@ -13,6 +13,7 @@ const interventionSchema = new mongoose.Schema({
   goalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Goal' },
   workoutId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workout' },
   eventId: { type: mongoose.Schema.Types.ObjectId, ref: 'CalendarEvent' },
+  habitId: { type: mongoose.Schema.Types.ObjectId, ref: 'Habit' },
   userAcknowledged: { type: Boolean, default: false },
   acknowledgedAt: Date,
   outcome: { type: String, enum: ['accepted', 'rejected', 'ignored', 'successful', 'failed'] },
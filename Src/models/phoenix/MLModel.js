@@ -1,12 +1,69 @@
 const mongoose = require('mongoose');
 
+// Per-user models trained by mlTrainingOrchestrator
+const MODEL_TYPES = ['recovery', 'performance', 'illness', 'injury', 'energy'];
+const ALGORITHMS = ['ridge', 'gbt'];
+
 const mlModelSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
   name: { type: String, required: true, index: true },
   version: { type: String, required: true },
-  modelType: { type: String, required: true, enum: ['prediction', 'classification', 'regression', 'clustering'] },
-  status: { type: String, enum: ['training', 'active', 'deprecated'], default: 'training' },
+  versionNumber: { type: Number, default: 1 },
+  modelType: { type: String, required: true, enum: ['prediction', 'classification', 'regression', 'clustering', ...MODEL_TYPES] },
+  algorithm: { type: String, enum: ALGORITHMS },
+  task: { type: String, enum: ['regression', 'classification'] },
+  status: { type: String, enum: ['queued', 'training', 'active', 'deprecated', 'failed'], default: 'training' },
+  trigger: { type: String, enum: ['manual', 'feedback', 'recovery'], default: 'manual' },
+  config: mongoose.Schema.Types.Mixed,
+
+  // Job progress
+  progress: { type: Number, default: 0, min: 0, max: 100 },
+  stage: String,
+  startedAt: Date,
+  completedAt: Date,
+  error: String,
+
+  // Learned parameters: scaler + ridge coefficients or boosted trees
+  features: [String],
+  weights: mongoose.Schema.Types.Mixed,
+
+  // Held-out evaluation (most recent rows)
+  metrics: {
+    trainSize: Number,
+    testSize: Number,
+    rmse: Number,
+    mae: Number,
+    r2: Number,
+    baselineRmse: Number,
+    accuracy: Number,
+    auc: Number,
+    brier: Number,
+    positiveRate: Number
+  },
   accuracy: Number,
+  promoted: Boolean,
+  promotionReason: String,
+
+  dataRange: { from: Date, to: Date },
+  feedbackSamples: {
+    predictions: { type: Number, default: 0 },
+    interventions: { type: Number, default: 0 }
+  },
+  // Outcomes recorded since this model was trained (drives retraining)
+  feedbackSinceTraining: { type: Number, default: 0 },
+
   trainedAt: { type: Date, default: Date.now }
 }, { timestamps: true });
 
+mlModelSchema.index({ userId: 1, modelType: 1, versionNumber: -1 });
+mlModelSchema.index({ userId: 1, modelType: 1, status: 1 });
+
+// Static method to get the model currently serving predictions
+mlModelSchema.statics.getActiveModel = function(userId, modelType) {
+  return this.findOne({ userId, modelType, status: 'active' }).sort({ versionNumber: -1 });
+};
+
+mlModelSchema.statics.MODEL_TYPES = MODEL_TYPES;
+mlModelSchema.statics.ALGORITHMS = ALGORITHMS;
+
 module.exports = mongoose.model('MLModel', mlModelSchema);
@@ -0,0 +1,79 @@
+// ============================================
+// OAUTH STATE MODEL - Pending authorization requests
+// ============================================
+// Issued when a user starts a device or calendar OAuth flow and
+// consumed exactly once by the callback. Only a hash of the state
+// is stored; MongoDB's TTL monitor removes abandoned flows.
+// ============================================
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const DEFAULT_TTL_SECONDS = parseInt(process.env.OAUTH_STATE_TTL_SECONDS) || 10 * 60;
+
+const hashState = (state) => crypto.createHash('sha256').update(String(state)).digest('hex');
+
+const oauthStateSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  provider: {
+    type: String,
+    required: true
+  },
+
+  purpose: {
+    type: String,
+    enum: ['wearable', 'calendar'],
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+
+}, {
+  timestamps: true
+});
+
+// TTL index - MongoDB removes expired states automatically
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to record a state for a new authorization request
+oauthStateSchema.statics.issue = async function(userId, provider, purpose, state, ttlSeconds = DEFAULT_TTL_SECONDS) {
+  await this.create({
+    stateHash: hashState(state),
+    userId,
+    provider,
+    purpose,
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000)
+  });
+  return state;
+};
+
+// Static method to consume a state (single use). The TTL monitor only
+// runs once a minute, so expiry is checked here as well.
+oauthStateSchema.statics.consume = async function(userId, provider, state) {
+  if (!state) return false;
+
+  const record = await this.findOneAndDelete({
+    stateHash: hashState(state),
+    userId,
+    provider,
+    expiresAt: { $gt: new Date() }
+  });
+
+  return !!record;
+};
+
+module.exports = mongoose.model('OAuthState', oauthStateSchema);
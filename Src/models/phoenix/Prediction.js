@@ -154,7 +154,7 @@ predictionSchema.methods.checkExpiration = function() {
 
 // Method to record actual outcome
 predictionSchema.methods.recordActual = function(actualValue) {
-  const accuracy = 100 - Math.abs((this.prediction.value - actualValue) / actualValue * 100);
+  const accuracy = 100 - Math.abs((this.prediction.value - actualValue) / (Math.abs(actualValue) || 1) * 100);
   
   this.actual = {
     value: actualValue,
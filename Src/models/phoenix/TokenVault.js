@@ -0,0 +1,111 @@
+// ============================================
+// TOKEN VAULT MODEL - Encrypted provider credentials
+// ============================================
+// One entry per user/provider/account holding OAuth or API tokens
+// for wearables, calendars and banking. Token fields only ever hold
+// ciphertext produced by services/phoenix/tokenVault (AES-256-GCM,
+// tagged with the key id so keys can be rotated).
+// ============================================
+
+const mongoose = require('mongoose');
+
+const TOKEN_CATEGORIES = ['wearable', 'calendar', 'banking'];
+
+const tokenVaultSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  provider: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  category: {
+    type: String,
+    enum: TOKEN_CATEGORIES,
+    required: true
+  },
+
+  // Distinguishes several connections to one provider (e.g. Plaid item id)
+  accountRef: {
+    type: String,
+    default: 'default'
+  },
+
+  // Ciphertext envelopes
+  accessToken: String,
+  refreshToken: String,
+
+  // Key that encrypted the envelopes above
+  keyId: {
+    type: String,
+    index: true
+  },
+
+  tokenType: String,
+  scopes: [String],
+  expiresAt: {
+    type: Date,
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'refresh_failed', 'revoked'],
+    default: 'active',
+    index: true
+  },
+
+  // Refresh bookkeeping (tokenRefreshScheduler)
+  lastRefreshedAt: Date,
+  refreshFailures: {
+    type: Number,
+    default: 0
+  },
+  nextRefreshAttemptAt: Date,
+  lastError: String,
+
+  rotatedAt: Date
+
+}, {
+  timestamps: true
+});
+
+tokenVaultSchema.index({ userId: 1, provider: 1, accountRef: 1 }, { unique: true });
+tokenVaultSchema.index({ status: 1, expiresAt: 1 });
+
+// Never leak ciphertext through toJSON
+tokenVaultSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.accessToken;
+    delete ret.refreshToken;
+    return ret;
+  }
+});
+
+// Static method to find entries whose access token expires within the window
+tokenVaultSchema.statics.findDueForRefresh = function(providers, windowMs, limit = 100) {
+  const now = new Date();
+  return this.find({
+    provider: { $in: providers },
+    status: 'active',
+    refreshToken: { $exists: true, $ne: null },
+    expiresAt: { $lte: new Date(now.getTime() + windowMs) },
+    $or: [
+      { nextRefreshAttemptAt: { $exists: false } },
+      { nextRefreshAttemptAt: null },
+      { nextRefreshAttemptAt: { $lte: now } }
+    ]
+  })
+    .sort({ expiresAt: 1 })
+    .limit(limit);
+};
+
+tokenVaultSchema.statics.TOKEN_CATEGORIES = TOKEN_CATEGORIES;
+
+module.exports = mongoose.model('TokenVault', tokenVaultSchema);
@@ -0,0 +1,56 @@
+// ============================================
+// WEBHOOK NONCE MODEL - Replay protection
+// ============================================
+// One document per accepted webhook delivery. The unique key makes
+// claiming atomic across server instances; documents expire via TTL.
+// ============================================
+
+const mongoose = require('mongoose');
+
+const webhookNonceSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+
+  // Idempotency token or signature digest
+  key: {
+    type: String,
+    required: true
+  },
+
+  path: String,
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+webhookNonceSchema.index({ provider: 1, key: 1 }, { unique: true });
+webhookNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Claim a nonce - resolves false if it was already used
+webhookNonceSchema.statics.claim = async function(provider, key, ttlSeconds, path) {
+  try {
+    await this.create({
+      provider,
+      key,
+      path,
+      expiresAt: new Date(Date.now() + ttlSeconds * 1000)
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Release a nonce so the provider can retry (e.g. after a 5xx)
+webhookNonceSchema.statics.release = function(provider, key) {
+  return this.deleteOne({ provider, key });
+};
+
+module.exports = mongoose.model('WebhookNonce', webhookNonceSchema);
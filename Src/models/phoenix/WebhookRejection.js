@@ -0,0 +1,78 @@
+// ============================================
+// WEBHOOK REJECTION MODEL - Audit log of refused callbacks
+// ============================================
+// Written by webhook verification (Twilio middleware, calendar push
+// notifications) whenever an inbound callback fails signature,
+// freshness or replay checks
+// ============================================
+
+const mongoose = require('mongoose');
+
+const REJECTION_REASONS = [
+  'not_configured',     // No auth token to verify against
+  'missing_signature',  // Signature header absent
+  'invalid_signature',  // Signature does not match URL + params
+  'stale',              // Timestamp outside the allowed window
+  'replay',             // Delivery already processed
+  'unknown_channel'     // Push channel/subscription we don't hold (calendar)
+];
+
+const webhookRejectionSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  reason: {
+    type: String,
+    enum: REJECTION_REASONS,
+    required: true,
+    index: true
+  },
+
+  method: String,
+  path: String,
+  url: String,
+  ip: String,
+  userAgent: String,
+
+  signaturePresent: {
+    type: Boolean,
+    default: false
+  },
+
+  idempotencyToken: String,
+
+  // Provider identifiers from the payload (CallSid, MessageSid, ...)
+  externalId: String,
+  from: String,
+
+  details: String
+
+}, {
+  timestamps: true
+});
+
+webhookRejectionSchema.index({ provider: 1, createdAt: -1 });
+
+// Auto-delete audit entries after 90 days
+webhookRejectionSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Static method to summarise recent rejections
+webhookRejectionSchema.statics.getSummary = async function(provider, days = 7) {
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - days);
+
+  const rows = await this.aggregate([
+    { $match: { provider, createdAt: { $gte: startDate } } },
+    { $group: { _id: '$reason', count: { $sum: 1 }, lastSeen: { $max: '$createdAt' } } },
+    { $sort: { count: -1 } }
+  ]);
+
+  return rows.map(row => ({ reason: row._id, count: row.count, lastSeen: row.lastSeen }));
+};
+
+webhookRejectionSchema.statics.REJECTION_REASONS = REJECTION_REASONS;
+
+module.exports = mongoose.model('WebhookRejection', webhookRejectionSchema);
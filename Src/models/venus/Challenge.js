@@ -16,6 +16,8 @@ const challengeSchema = new mongoose.Schema({
       'time-based',         // Exercise for X minutes
       'specific-exercise',  // Do X reps of specific exercise
       'weight-loss',        // Lose X weight
+      'steps',              // Walk X steps (wearable data)
+      'goal-completion',    // Complete X goals
       'custom'
     ],
     required: true
@@ -71,11 +73,22 @@ const challengeSchema = new mongoose.Schema({
         type: Number,
         default: 0
       },
-      lastUpdated: Date
+      lastUpdated: Date,
+      source: {
+        type: String,
+        enum: ['auto', 'manual'],
+        default: 'auto'
+      }
     },
     completed: Boolean,
     completedAt: Date,
-    rank: Number
+    rank: Number,
+    prize: {
+      place: Number,
+      description: String,
+      badge: String,
+      awardedAt: Date
+    }
   }],
   maxParticipants: {
     type: Number,
@@ -111,8 +124,32 @@ const challengeSchema = new mongoose.Schema({
       enum: ['realtime', 'daily', 'weekly'],
       default: 'daily'
     },
-    lastUpdated: Date
-  }
+    lastUpdated: Date,
+    // Published standings (refreshed at updateFrequency)
+    standings: [{
+      _id: false,
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      rank: Number,
+      current: Number,
+      percentage: Number,
+      completed: Boolean
+    }]
+  },
+  winners: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    place: Number,
+    value: Number,
+    prize: String,
+    badge: String
+  }],
+  finalizedAt: Date
 }, {
   timestamps: true
 });
@@ -174,8 +211,14 @@ challengeSchema.methods.addParticipant = function(userId) {
   return this.save();
 };
 
+// Types whose progress is computed by services/venus/challengeEngine
+challengeSchema.statics.AUTO_TYPES = [
+  'workout-count', 'total-volume', 'consistency', 'distance',
+  'time-based', 'specific-exercise', 'steps', 'goal-completion'
+];
+
 // Method to update participant progress
-challengeSchema.methods.updateProgress = function(userId, currentValue) {
+challengeSchema.methods.updateProgress = function(userId, currentValue, { save = true, source = 'manual' } = {}) {
   const participant = this.participants.find(p => 
     p.userId.toString() === userId.toString()
   );
@@ -189,6 +232,7 @@ challengeSchema.methods.updateProgress = function(userId, currentValue) {
     (currentValue / this.goal.target) * 100
   );
   participant.progress.lastUpdated = new Date();
+  participant.progress.source = source;
   
   // Check if completed
   if (currentValue >= this.goal.target && !participant.completed) {
@@ -196,16 +240,19 @@ challengeSchema.methods.updateProgress = function(userId, currentValue) {
     participant.completedAt = new Date();
   }
   
-  return this.save();
+  return save ? this.save() : participant;
 };
 
 // Method to get leaderboard
 challengeSchema.methods.getLeaderboard = function() {
   // Sort participants by progress
   const sorted = [...this.participants].sort((a, b) => {
-    if (b.completed !== a.completed) {
+    if (!!b.completed !== !!a.completed) {
       return b.completed ? 1 : -1;  // Completed first
     }
+    if (a.completed && b.completed && a.completedAt && b.completedAt) {
+      return a.completedAt - b.completedAt;  // Earliest finisher wins
+    }
     return b.progress.current - a.progress.current;  // Then by progress
   });
   
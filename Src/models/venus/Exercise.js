@@ -1,25 +1,51 @@
 const mongoose = require('mongoose');
 
+const MUSCLE_CATEGORIES = ['chest', 'back', 'shoulders', 'arms', 'legs', 'core', 'full-body', 'cardio'];
+const EQUIPMENT = ['none', 'barbell', 'dumbbells', 'kettlebell', 'machine', 'cable', 'bands', 'bodyweight', 'other'];
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
 const exerciseSchema = new mongoose.Schema({
     name: {
         type: String,
-        required: true
+        required: true,
+        trim: true,
+        maxlength: 120
+    },
+    // Stable id for library exercises (Src/data/exercises.json)
+    slug: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    source: {
+        type: String,
+        enum: ['library', 'user'],
+        default: 'user'
     },
     muscleCategory: {
         type: String,
-        required: true
+        required: true,
+        lowercase: true,
+        enum: MUSCLE_CATEGORIES
     },
+    primaryMuscles: [String], // e.g. quads, lats, front-delts
     secondaryMuscles: [String], // New: muscles also worked
     equipmentNeeded: {
         type: String,
-        enum: ['none', 'barbell', 'dumbbells', 'machine', 'cable', 'bands', 'bodyweight', 'other'],
+        enum: EQUIPMENT,
         default: 'none'
     },
     difficulty: {
         type: String,
-        enum: ['beginner', 'intermediate', 'advanced'],
+        enum: DIFFICULTIES,
         default: 'intermediate'
     },
+    movementPattern: String, // squat, hinge, push-horizontal, pull-vertical, ...
+    mechanics: {
+        type: String,
+        enum: ['compound', 'isolation'],
+        default: 'compound'
+    },
     description: {
         type: String,
         required: true
@@ -33,7 +59,12 @@ const exerciseSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     },
+    // User exercises are private until shared
     isPublic: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
         type: Boolean,
         default: true
     },
@@ -46,5 +77,20 @@ const exerciseSchema = new mongoose.Schema({
 
 // Add text index for better search
 exerciseSchema.index({ name: 'text', description: 'text', tags: 'text' });
+exerciseSchema.index({ muscleCategory: 1, equipmentNeeded: 1, difficulty: 1 });
+exerciseSchema.index({ createdBy: 1 });
+
+// Exercises a user can see: the library, shared exercises and their own
+exerciseSchema.statics.visibleTo = function(userId) {
+    const shared = [{ source: 'library' }, { isPublic: true }];
+    return {
+        isActive: { $ne: false },
+        $or: userId ? [...shared, { createdBy: userId }] : shared
+    };
+};
+
+exerciseSchema.statics.MUSCLE_CATEGORIES = MUSCLE_CATEGORIES;
+exerciseSchema.statics.EQUIPMENT = EQUIPMENT;
+exerciseSchema.statics.DIFFICULTIES = DIFFICULTIES;
 
-module.exports = mongoose.model('Exercise', exerciseSchema);
\ No newline at end of file
+module.exports = mongoose.model('Exercise', exerciseSchema);
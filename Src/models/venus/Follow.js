@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// One-way follow; followers see 'followers' posts without being friends
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+
+module.exports = mongoose.model('Follow', followSchema);
@@ -0,0 +1,122 @@
+// Src/models/venus/Food.js
+// Food database entries: bundled/imported foods, cached remote barcode
+// lookups, user custom foods and recipes. Nutrients are per serving.
+
+const mongoose = require('mongoose');
+
+const nutrientsSchema = {
+  calories: { type: Number, default: 0, min: 0 },
+  protein: { type: Number, default: 0, min: 0 },
+  carbs: { type: Number, default: 0, min: 0 },
+  fat: { type: Number, default: 0, min: 0 },
+  fiber: { type: Number, min: 0 },
+  sugar: { type: Number, min: 0 },
+  sodium: { type: Number, min: 0 }   // mg
+};
+
+const foodSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  brand: {
+    type: String,
+    trim: true
+  },
+
+  // GTIN normalised by foodDatabase.normalizeBarcode (EAN-8 or 13 digits)
+  barcode: {
+    type: String,
+    index: true
+  },
+
+  source: {
+    type: String,
+    enum: ['bundled', 'imported', 'remote', 'custom', 'recipe'],
+    required: true
+  },
+  provider: String,       // remote adapter name, e.g. 'openfoodfacts'
+  externalId: String,
+
+  category: String,
+  servingSize: {
+    type: String,
+    default: '1 serving'
+  },
+  servingGrams: Number,
+  nutrients: nutrientsSchema,
+  aliases: [String],
+
+  // Lower-cased name/brand/aliases for search prefiltering
+  searchText: {
+    type: String,
+    index: true
+  },
+
+  // Custom foods and recipes
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+
+  recipe: {
+    ingredients: [{
+      foodId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Food'
+      },
+      name: String,
+      servings: { type: Number, default: 1, min: 0 },
+      nutrients: nutrientsSchema   // snapshot of this ingredient's contribution
+    }],
+    yields: { type: Number, min: 1 },   // servings the recipe makes
+    instructions: String
+  },
+
+  lastFetchedAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+foodSchema.index({ createdBy: 1, source: 1 });
+foodSchema.index({ source: 1, externalId: 1 });
+
+// Accent-free, lower-cased words only
+const buildSearchText = (food) => [food.name, food.brand, ...(food.aliases || [])]
+  .filter(Boolean)
+  .join(' ')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+foodSchema.pre('save', function(next) {
+  this.searchText = buildSearchText(this);
+  next();
+});
+
+foodSchema.statics.buildSearchText = buildSearchText;
+
+// Foods a user can see: shared sources, their own, or public custom foods
+foodSchema.statics.visibleTo = function(userId) {
+  const shared = { source: { $in: ['bundled', 'imported', 'remote'] } };
+  if (!userId) return { isActive: true, ...shared };
+
+  return {
+    isActive: true,
+    $or: [shared, { createdBy: userId }, { isPublic: true }]
+  };
+};
+
+module.exports = mongoose.model('Food', foodSchema);
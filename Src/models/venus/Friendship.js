@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// One document per pair of users, whichever side made the first move.
+// A block reuses the same document so it overrides any friendship.
+const friendshipSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Sorted "<idA>:<idB>" so A→B and B→A collide on the unique index
+  pairKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'blocked'],
+    default: 'pending',
+    index: true
+  },
+  blockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  respondedAt: Date
+}, {
+  timestamps: true
+});
+
+friendshipSchema.index({ requester: 1, status: 1 });
+friendshipSchema.index({ recipient: 1, status: 1 });
+
+friendshipSchema.statics.pairKeyFor = function(userA, userB) {
+  return [String(userA), String(userB)].sort().join(':');
+};
+
+friendshipSchema.statics.findBetween = function(userA, userB) {
+  return this.findOne({ pairKey: this.pairKeyFor(userA, userB) });
+};
+
+// The other side of the relationship from userId's point of view
+friendshipSchema.methods.otherUser = function(userId) {
+  return String(this.requester) === String(userId) ? this.recipient : this.requester;
+};
+
+module.exports = mongoose.model('Friendship', friendshipSchema);
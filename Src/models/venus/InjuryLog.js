@@ -148,18 +148,63 @@ const injuryLogSchema = new mongoose.Schema({
       ref: 'Exercise'
     },
     alternative: String,
-    restrictions: String  // E.g., "No overhead pressing"
+    restrictions: String,  // E.g., "No overhead pressing"
+    // avoid: blocked from generated workouts · limit: allowed with a note
+    action: {
+      type: String,
+      enum: ['avoid', 'limit'],
+      default: 'avoid'
+    },
+    // Library exercises this rule applies to (any field matching is enough)
+    match: {
+      movementPatterns: [String],
+      muscles: [String],
+      categories: [String],
+      tags: [String],
+      keywords: [String]
+    },
+    except: {
+      tags: [String],
+      keywords: [String]
+    },
+    untilPhase: Number,  // Rule lifts once the rehab protocol passes this phase
+    source: {
+      type: String,
+      enum: ['protocol', 'report', 'manual'],
+      default: 'manual'
+    }
   }],
   rehabProtocol: {
+    key: String,  // <region>/<injury class>, e.g. "knee/soft-tissue"
     phases: [{
       phase: Number,
       name: String,  // E.g., "Acute", "Strength Building", "Return to Sport"
+      focus: String,
       duration: String,
+      durationDays: Number,
       exercises: [String],
       goals: [String],
+      // Advance once the last `sustainedLogs` pain logs in this phase are
+      // all <= maxPain and at least minDays have passed
+      advanceCriteria: {
+        maxPain: Number,
+        minDays: Number,
+        sustainedLogs: Number
+      },
+      startedAt: Date,
+      completedAt: Date,
       completed: Boolean
     }],
-    currentPhase: Number
+    currentPhase: Number,
+    transitions: [{
+      from: Number,
+      to: Number,
+      reason: String,
+      date: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   },
   progressNotes: [{
     date: {
@@ -1,5 +1,61 @@
 const mongoose = require('mongoose');
 
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack', 'pre_workout', 'post_workout', 'other'];
+
+// Macros are per serving; meal totals multiply by servings
+const foodSchema = new mongoose.Schema({
+    foodId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Food'
+    },
+    barcode: String,
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    servings: {
+        type: Number,
+        default: 1,
+        min: 0
+    },
+    servingSize: String,    // e.g. "100 g", "1 cup"
+    calories: { type: Number, default: 0, min: 0 },
+    protein: { type: Number, default: 0, min: 0 },
+    carbs: { type: Number, default: 0, min: 0 },
+    fat: { type: Number, default: 0, min: 0 },
+    fiber: { type: Number, min: 0 },
+    sugar: { type: Number, min: 0 },
+    sodium: { type: Number, min: 0 }   // mg
+});
+
+const mealSchema = new mongoose.Schema({
+    mealType: {
+        type: String,
+        enum: MEAL_TYPES,
+        default: 'other'
+    },
+    loggedAt: {
+        type: Date,
+        default: Date.now
+    },
+    foods: {
+        type: [foodSchema],
+        validate: {
+            validator: foods => foods.length > 0,
+            message: 'A meal needs at least one food'
+        }
+    },
+    totals: {
+        calories: { type: Number, default: 0 },
+        protein: { type: Number, default: 0 },
+        carbs: { type: Number, default: 0 },
+        fat: { type: Number, default: 0 },
+        fiber: { type: Number, default: 0 }
+    },
+    notes: String
+});
+
 const nutritionSchema = new mongoose.Schema({
     clientId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -28,21 +84,41 @@ const nutritionSchema = new mongoose.Schema({
         target: { type: Number, default: 0 },
         current: { type: Number, default: 0 }
     },
+    water: {
+        target: { type: Number, default: 0 },   // ml
+        current: { type: Number, default: 0 }
+    },
+    // Where the targets came from (calculated keeps the nutritionCalc breakdown)
+    targetSource: {
+        type: String,
+        enum: ['manual', 'calculated', 'specialist'],
+        default: 'manual'
+    },
+    targetCalculation: Object,
+    targetsUpdatedAt: Date,
     mealPlan: {
         breakfast: { type: String, default: '' },
         lunch: { type: String, default: '' },
         dinner: { type: String, default: '' },
         snacks: { type: String, default: '' }
     },
+    // One entry per day; the macro fields are rolled up from meals
     dailyLogs: [{
         date: {
             type: Date,
             default: Date.now
         },
+        meals: [mealSchema],
+        water: [{
+            amount: { type: Number, required: true, min: 1 },   // ml
+            timestamp: { type: Date, default: Date.now }
+        }],
         protein: Number,
         carbs: Number,
         fat: Number,
         calories: Number,
+        fiber: Number,
+        waterTotal: Number,
         notes: String
     }],
     createdAt: {
@@ -61,4 +137,44 @@ nutritionSchema.pre('save', function(next) {
     next();
 });
 
+// Roll a day's meals and water up into its totals
+nutritionSchema.methods.rollupDay = function(day) {
+    const totals = { calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0 };
+
+    day.meals.forEach(meal => {
+        const mealTotals = { calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0 };
+        meal.foods.forEach(food => {
+            const servings = food.servings ?? 1;
+            Object.keys(mealTotals).forEach(key => {
+                mealTotals[key] += (food[key] || 0) * servings;
+            });
+        });
+        Object.keys(mealTotals).forEach(key => {
+            meal.totals[key] = Math.round(mealTotals[key] * 10) / 10;
+            totals[key] += mealTotals[key];
+        });
+    });
+
+    Object.keys(totals).forEach(key => {
+        day[key] = Math.round(totals[key] * 10) / 10;
+    });
+    day.waterTotal = day.water.reduce((sum, entry) => sum + entry.amount, 0);
+
+    return day;
+};
+
+// Keep the *.current fields pointing at today's totals
+nutritionSchema.methods.syncCurrent = function() {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const day = this.dailyLogs.find(log => log.date.getTime() === today.getTime());
+
+    ['protein', 'carbs', 'fat', 'calories'].forEach(macro => {
+        this[macro].current = day?.[macro] || 0;
+    });
+    this.water.current = day?.waterTotal || 0;
+};
+
+nutritionSchema.statics.MEAL_TYPES = MEAL_TYPES;
+
 module.exports = mongoose.model('Nutrition', nutritionSchema);
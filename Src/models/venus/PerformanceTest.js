@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const norms = require('../../data/performanceNorms.json');
 
 const performanceTestSchema = new mongoose.Schema({
   userId: {
@@ -21,6 +22,31 @@ const performanceTestSchema = new mongoose.Schema({
     default: Date.now,
     index: true
   },
+  // Tests are scheduled first and completed when results are recorded
+  status: {
+    type: String,
+    enum: ['scheduled', 'completed', 'missed', 'cancelled'],
+    default: 'scheduled',
+    index: true
+  },
+  scheduledFor: Date,
+  completedAt: Date,
+  recurrence: {
+    intervalWeeks: Number,  // Re-test cadence; the next test is scheduled on completion
+    nextTestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PerformanceTest'
+    }
+  },
+  // Who was tested, for norm lookups (kg, years)
+  profile: {
+    sex: {
+      type: String,
+      enum: ['male', 'female']
+    },
+    age: Number,
+    bodyweight: Number
+  },
   exercises: [{
     exerciseId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -31,6 +57,7 @@ const performanceTestSchema = new mongoose.Schema({
       type: String,
       enum: ['1RM', '3RM', '5RM', 'VO2max', 'lactate_threshold', 'time_trial', 'distance', 'reps_to_failure']
     },
+    benchmark: String,      // Key into the bundled norms, e.g. 'squat', 'vo2max'
     result: {
       weight: Number,       // For strength tests
       reps: Number,         // For rep-based tests
@@ -39,7 +66,13 @@ const performanceTestSchema = new mongoose.Schema({
       vo2max: Number,       // For cardio tests
       heartRate: Number     // For cardio tests
     },
+    // Result reduced to the benchmark's metric (estimated 1RM, VO2max, reps, cm)
+    metric: {
+      value: Number,
+      unit: String
+    },
     percentile: Number,     // Compared to population
+    level: String,          // beginner → elite
     improvement: Number,    // % improvement from last test
     notes: String
   }],
@@ -76,12 +109,156 @@ const performanceTestSchema = new mongoose.Schema({
 // Compound indexes
 performanceTestSchema.index({ userId: 1, type: 1 });
 performanceTestSchema.index({ userId: 1, date: -1 });
+performanceTestSchema.index({ userId: 1, status: 1, scheduledFor: 1 });
+
+// ---------- Norms ----------
+
+// Epley estimate; rep-max tests above 12 reps say little about a single
+const estimateOneRepMax = (weight, reps) => {
+  if (!weight || !reps || reps > 12) return null;
+  return reps === 1 ? weight : weight * (1 + reps / 30);
+};
+
+// Daniels & Gilbert VDOT from a race/time trial (distance m, time s)
+const vdotFromRace = (distance, seconds) => {
+  const minutes = seconds / 60;
+  const velocity = distance / minutes; // m/min
+  const vo2 = -4.6 + 0.182258 * velocity + 0.000104 * velocity * velocity;
+  const fraction = 0.8 + 0.1894393 * Math.exp(-0.012778 * minutes) + 0.2989558 * Math.exp(-0.1932605 * minutes);
+  return vo2 / fraction;
+};
+
+const ageFactor = (age) => {
+  if (!age) return 1;
+  return norms.ageFactors.find(bracket => age <= bracket.maxAge).factor;
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Which bundled norm an exercise is measured against (explicit benchmark,
+ * aerobic test type, then exercise-name keywords)
+ */
+performanceTestSchema.statics.benchmarkFor = function(exercise = {}) {
+  if (exercise.benchmark && norms.tests[exercise.benchmark]) return exercise.benchmark;
+  if (['VO2max', 'time_trial'].includes(exercise.testType)) return 'vo2max';
+
+  const name = String(exercise.exerciseName || '').toLowerCase();
+  const match = Object.entries(norms.tests).find(([, test]) =>
+    test.keywords.some(keyword => name.includes(keyword)) &&
+    !(test.exclude || []).some(keyword => name.includes(keyword))
+  );
+  return match ? match[0] : null;
+};
+
+/**
+ * Reduce a raw result to the benchmark's metric
+ * @returns {{ benchmark, value, unit }|null}
+ */
+performanceTestSchema.statics.measure = function(exercise = {}, result = exercise.result || {}) {
+  const benchmark = this.benchmarkFor(exercise);
+  if (!benchmark) return null;
+  const test = norms.tests[benchmark];
+
+  let value = null;
+  switch (test.metric) {
+    case 'oneRepMax': {
+      const reps = { '1RM': 1, '3RM': 3, '5RM': 5 }[exercise.testType] || result.reps || 1;
+      value = estimateOneRepMax(result.weight, reps);
+      break;
+    }
+    case 'vo2max':
+      if (result.vo2max) {
+        value = result.vo2max;
+      } else if (result.distance && result.time === 720) {
+        value = (result.distance - 504.9) / 44.73;   // Cooper 12-minute run
+      } else if (result.distance && result.time) {
+        value = vdotFromRace(result.distance, result.time);
+      }
+      break;
+    case 'reps':
+      value = result.reps ?? null;
+      break;
+    case 'distance':
+      value = result.distance != null ? result.distance * 100 : null;   // stored in meters
+      break;
+  }
+
+  if (value == null || !Number.isFinite(value) || value < 0) return null;
+  return { benchmark, value: round1(value), unit: test.unit };
+};
+
+/**
+ * Absolute norm values for a profile, one per anchor percentile
+ * @returns {{ percentiles: number[], values: number[] }|null} null when the profile is missing what the norm needs
+ */
+performanceTestSchema.statics.normValues = function(benchmark, profile = {}) {
+  const test = norms.tests[benchmark];
+  if (!test || !['male', 'female'].includes(profile.sex)) return null;
+
+  let values = test.values[profile.sex];
+
+  switch (test.scaling) {
+    case 'bodyweight': {
+      if (!profile.bodyweight) return null;
+      // Strength scales with bodyweight^(2/3), so heavier lifters need a lower ratio
+      const reference = test.referenceBodyweight[profile.sex];
+      const scale = reference * Math.pow(profile.bodyweight / reference, 0.67) * ageFactor(profile.age);
+      values = values.map(ratio => ratio * scale);
+      break;
+    }
+    case 'age':
+      values = values.map(value => value * ageFactor(profile.age));
+      break;
+    case 'ageTable': {
+      const age = profile.age || 35;
+      const bracket = Object.keys(values).map(Number).sort((a, b) => a - b).find(max => age <= max);
+      values = values[String(bracket)];
+      break;
+    }
+  }
+
+  return { percentiles: test.percentiles, values: values.map(round1) };
+};
+
+performanceTestSchema.statics.levelFor = function(percentile) {
+  if (percentile == null) return null;
+  const reached = norms.levels.filter(level => percentile >= level.percentile);
+  return (reached[reached.length - 1] || norms.levels[0]).level;
+};
+
+/**
+ * Population percentile (1-99) for a metric value, interpolated between norm anchors
+ */
+performanceTestSchema.statics.percentileFor = function(benchmark, value, profile = {}) {
+  const normTable = this.normValues(benchmark, profile);
+  if (!normTable || value == null) return null;
+
+  const { percentiles, values } = normTable;
+  const last = values.length - 1;
+  let percentile;
+
+  if (value <= values[0]) {
+    percentile = values[0] > 0 ? percentiles[0] * (value / values[0]) : percentiles[0];
+  } else if (value >= values[last]) {
+    const span = values[last] - values[last - 1];
+    percentile = percentiles[last] + (span > 0 ? (value - values[last]) / span * (percentiles[last] - percentiles[last - 1]) : 0);
+  } else {
+    const i = values.findIndex(anchor => anchor > value);
+    const span = values[i] - values[i - 1];
+    percentile = percentiles[i - 1] + (span > 0 ? (value - values[i - 1]) / span * (percentiles[i] - percentiles[i - 1]) : 0);
+  }
+
+  percentile = Math.max(1, Math.min(99, Math.round(percentile)));
+  return { percentile, level: this.levelFor(percentile) };
+};
 
-// Calculate percentile based on population data
+// Calculate percentile based on population data (bundled norms)
 performanceTestSchema.methods.calculatePercentile = function(exercise, result) {
-  // Simplified percentile calculation
-  // In production, this would query a benchmarks database
-  return Math.floor(Math.random() * 100); // Placeholder
+  const measured = this.constructor.measure(exercise, result);
+  if (!measured) return null;
+  const ranked = this.constructor.percentileFor(measured.benchmark, measured.value, this.profile || {});
+  return ranked ? ranked.percentile : null;
 };
 
 // Get improvement from last test
@@ -89,22 +266,28 @@ performanceTestSchema.methods.getImprovement = async function() {
   const lastTest = await this.constructor.findOne({
     userId: this.userId,
     type: this.type,
+    status: 'completed',
     _id: { $ne: this._id },
     date: { $lt: this.date }
   }).sort({ date: -1 });
 
   if (!lastTest) return null;
 
+  const keyOf = (ex) => ex.benchmark || ex.exerciseId?.toString() || ex.exerciseName;
+
   const improvements = [];
-  this.exercises.forEach((currentEx, idx) => {
-    const prevEx = lastTest.exercises.find(e => 
-      e.exerciseId?.toString() === currentEx.exerciseId?.toString()
-    );
-    
-    if (prevEx && prevEx.result && currentEx.result) {
-      const improvement = ((currentEx.result.weight - prevEx.result.weight) / prevEx.result.weight) * 100;
+  this.exercises.forEach(currentEx => {
+    const prevEx = lastTest.exercises.find(e => keyOf(e) === keyOf(currentEx));
+    const previous = prevEx?.metric?.value;
+    const current = currentEx.metric?.value;
+
+    if (previous && current != null) {
+      const improvement = ((current - previous) / previous) * 100;
       improvements.push({
         exercise: currentEx.exerciseName,
+        previous,
+        current,
+        unit: currentEx.metric.unit,
         improvement: improvement.toFixed(2)
       });
     }
@@ -113,19 +296,21 @@ performanceTestSchema.methods.getImprovement = async function() {
   return improvements;
 };
 
-// Pre-save hook to set baseline flag
+// Pre-save hook to set baseline flag on the first completed test of a type
 performanceTestSchema.pre('save', async function(next) {
-  if (this.isNew) {
+  if (this.isModified('status') && this.status === 'completed') {
     const existingTests = await this.constructor.countDocuments({
       userId: this.userId,
-      type: this.type
+      type: this.type,
+      status: 'completed',
+      _id: { $ne: this._id }
     });
     
-    if (existingTests === 0) {
-      this.baseline = true;
-    }
+    this.baseline = existingTests === 0;
   }
   next();
 });
 
+performanceTestSchema.statics.norms = norms;
+
 module.exports = mongoose.model('PerformanceTest', performanceTestSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const POSES = ['front', 'back', 'left', 'right', 'other'];
+
+const progressPhotoSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  pose: {
+    type: String,
+    enum: POSES,
+    required: true
+  },
+  // When the photo was taken (defaults to upload time; EXIF dates are stripped)
+  takenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Where the file lives (see services/venus/photoStorage)
+  storage: {
+    backend: {
+      type: String,
+      required: true
+    },
+    key: {
+      type: String,
+      required: true
+    }
+  },
+  contentType: String,
+  size: Number,
+  width: Number,
+  height: Number,
+  orientation: {
+    type: Number,
+    min: 1,
+    max: 8,
+    default: 1
+  },
+  // Free-form labels, e.g. "morning", "fasted", "pump"
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 30
+  }],
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+  // Measurement logged closest to takenAt (within a week)
+  measurementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Measurement'
+  }
+}, {
+  timestamps: true
+});
+
+progressPhotoSchema.index({ userId: 1, pose: 1, takenAt: -1 });
+progressPhotoSchema.index({ userId: 1, takenAt: -1 });
+
+progressPhotoSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    // Storage keys are internal; clients fetch the image through the API
+    delete ret.storage;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+progressPhotoSchema.statics.POSES = POSES;
+
+module.exports = mongoose.model('ProgressPhoto', progressPhotoSchema);
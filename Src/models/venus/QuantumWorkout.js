@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// A generated quantum workout. Generation is a pure function of the seed
+// and the inputs snapshot, so the same pair reproduces the same workout.
+const quantumWorkoutSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  seed: {
+    type: Number,
+    required: true
+  },
+  targetMuscles: [String],
+  // Everything generation read besides the seed and the exercise library
+  inputs: {
+    plateauRisk: Number,
+    avgRecovery: Number,
+    workoutCount: Number,
+    recentExercises: [String],
+    weeksWithoutProgress: Number,
+    chaosLevel: mongoose.Schema.Types.Mixed,   // setting: 'auto' or 0-1
+    variationIntensity: String,
+    preferredExercises: [String],
+    restrictions: [mongoose.Schema.Types.Mixed]   // active injury rules at generation
+  },
+  chaos: {
+    chaosLevel: Number,
+    variationScore: Number,
+    entropy: Number,
+    lorenzX: Number,
+    lorenzY: Number,
+    lorenzZ: Number,
+    bifurcation: Boolean,
+    quantumFluctuation: Number
+  },
+  plateauBreakProtocol: {
+    type: Boolean,
+    default: false
+  },
+  exercises: [mongoose.Schema.Types.Mixed],
+  injuryAdjustments: [mongoose.Schema.Types.Mixed],
+  notes: String,
+  aiOptimization: String,
+  // Session started from this workout (see workoutSession.startWorkout)
+  workoutId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workout'
+  },
+  // Cached once the evaluation window has closed
+  effectiveness: {
+    score: Number,
+    verdict: String,
+    evaluatedAt: Date,
+    final: Boolean
+  }
+}, {
+  timestamps: true
+});
+
+quantumWorkoutSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('QuantumWorkout', quantumWorkoutSchema);
@@ -54,7 +54,8 @@ const socialPostSchema = new mongoose.Schema({
   },
   visibility: {
     type: String,
-    enum: ['public', 'friends', 'private'],
+    // public: everyone · followers: followers and friends · friends: friends only · private: author only
+    enum: ['public', 'followers', 'friends', 'private'],
     default: 'friends',
     index: true
   },
@@ -142,8 +143,50 @@ const socialPostSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
       },
-      reason: String,
-      date: Date
+      reason: {
+        type: String,
+        enum: ['spam', 'harassment', 'hate', 'nudity', 'violence', 'misinformation', 'other'],
+        default: 'other'
+      },
+      details: {
+        type: String,
+        maxlength: 500
+      },
+      date: Date,
+      reviewed: {
+        type: Boolean,
+        default: false
+      }
+    }]
+  },
+  // Moderation state. 'pending-review' is set automatically once enough users
+  // report a post and keeps it out of feeds until an admin hides or restores it.
+  moderation: {
+    status: {
+      type: String,
+      enum: ['visible', 'pending-review', 'hidden'],
+      default: 'visible',
+      index: true
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    history: [{
+      action: {
+        type: String,
+        enum: ['auto-hold', 'hide', 'restore']
+      },
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      note: String,
+      date: {
+        type: Date,
+        default: Date.now
+      }
     }]
   }
 }, {
@@ -154,6 +197,7 @@ const socialPostSchema = new mongoose.Schema({
 socialPostSchema.index({ userId: 1, createdAt: -1 });
 socialPostSchema.index({ visibility: 1, createdAt: -1 });
 socialPostSchema.index({ 'likes.userId': 1 });
+socialPostSchema.index({ 'reported.isReported': 1, updatedAt: 1 });
 
 // Virtual for like count (backup to engagement.likeCount)
 socialPostSchema.virtual('likeCount').get(function() {
@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+
+const MODELS = ['linear', 'undulating', 'block'];
+const FOCUSES = ['strength', 'hypertrophy', 'power', 'general'];
+
+const intensitySchema = {
+  min: Number,   // % of 1RM
+  max: Number
+};
+
+// A single training day inside a microcycle
+const sessionSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  day: Number,   // 1-based position within the week
+  focus: {
+    type: String,
+    enum: ['hypertrophy', 'strength', 'power', 'peak', 'deload', 'test']
+  },
+  sets: Number,
+  reps: String,
+  intensity: intensitySchema,
+  rpe: Number,
+  calendarEventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CalendarEvent'
+  },
+  workoutId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workout'
+  },
+  status: {
+    type: String,
+    enum: ['planned', 'completed', 'cancelled'],
+    default: 'planned'
+  }
+});
+
+// One training week
+const microcycleSchema = new mongoose.Schema({
+  week: {
+    type: Number,
+    required: true
+  },
+  mesocycle: Number,   // index into mesocycles
+  phase: String,
+  startDate: Date,
+  endDate: Date,
+  deload: {
+    type: Boolean,
+    default: false
+  },
+  deloadReason: {
+    type: String,
+    enum: ['scheduled', 'recovery']
+  },
+  volume: Number,      // multiplier of baseline working sets
+  sets: Number,
+  reps: String,
+  intensity: intensitySchema,
+  rpe: Number,
+  sessions: [sessionSchema]
+});
+
+// A block of weeks sharing one training emphasis
+const mesocycleSchema = new mongoose.Schema({
+  index: Number,
+  name: String,
+  focus: String,
+  startWeek: Number,
+  endWeek: Number,
+  startDate: Date,
+  endDate: Date
+}, { _id: false });
+
+const trainingPlanSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  model: {
+    type: String,
+    enum: MODELS,
+    required: true
+  },
+  focus: {
+    type: String,
+    enum: FOCUSES,
+    default: 'strength'
+  },
+  experience: {
+    type: String,
+    enum: ['beginner', 'intermediate', 'advanced'],
+    default: 'intermediate'
+  },
+  // Mars goal whose deadline fixes the target date
+  goalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Goal'
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  targetDate: {
+    type: Date,
+    required: true
+  },
+  totalWeeks: {
+    type: Number,
+    min: 1
+  },
+  daysPerWeek: {
+    type: Number,
+    min: 2,
+    max: 6
+  },
+  trainingDays: [{
+    type: Number,
+    min: 0,   // Sunday
+    max: 6
+  }],
+  sessionTime: {
+    type: String,
+    default: '18:00',
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  sessionDuration: {
+    type: Number,
+    default: 60,
+    min: 15,
+    max: 240
+  },
+  calendarSync: {
+    type: Boolean,
+    default: true
+  },
+  // Overtraining risk level that triggers an automatic deload
+  deloadThreshold: {
+    type: String,
+    enum: ['medium', 'high'],
+    default: 'high'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'cancelled'],
+    default: 'active'
+  },
+  mesocycles: [mesocycleSchema],
+  microcycles: [microcycleSchema],
+  // Changes made to the plan after it was generated
+  adjustments: [{
+    type: {
+      type: String,
+      enum: ['deload_moved', 'deload_converted', 'deload_inserted']
+    },
+    week: Number,
+    riskLevel: String,
+    indicators: [String],
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  lastRiskCheck: {
+    checkedAt: Date,
+    level: String
+  }
+}, {
+  timestamps: true
+});
+
+trainingPlanSchema.index({ userId: 1, status: 1 });
+
+/**
+ * Microcycle covering a date, if any
+ */
+trainingPlanSchema.methods.weekAt = function(date = new Date()) {
+  const time = new Date(date).getTime();
+  return this.microcycles.find(week =>
+    week.startDate.getTime() <= time && time <= week.endDate.getTime()
+  ) || null;
+};
+
+trainingPlanSchema.statics.MODELS = MODELS;
+trainingPlanSchema.statics.FOCUSES = FOCUSES;
+
+module.exports = mongoose.model('TrainingPlan', trainingPlanSchema);
@@ -6,6 +6,11 @@ const exerciseSchema = new mongoose.Schema({
         required: [true, 'Exercise name is required'],
         trim: true
     },
+    // Library exercise this entry refers to (optional)
+    exerciseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Exercise'
+    },
     sets: {
         type: Number,
         required: [true, 'Number of sets is required'],
@@ -63,11 +68,23 @@ const exerciseSchema = new mongoose.Schema({
         }
     },
     
+    // Prescription carried over from a template or quantum workout
+    // (e.g. per-set rep schemes like "12,10,8" or "2+3+2")
+    target: {
+        repScheme: String,
+        intensity: String,
+        tempo: String,
+        rest: String,
+        technique: String
+    },
+    
     // Track actual performance during workout
     actualSets: [{
         setNumber: Number,
         reps: Number,
         weight: Number,
+        rpe: { type: Number, min: 1, max: 10 },
+        restTime: Number, // seconds
         completed: { type: Boolean, default: true },
         notes: String,
         timestamp: { type: Date, default: Date.now }
@@ -115,11 +132,48 @@ const workoutSchema = new mongoose.Schema({
         index: true
     },
     
+    // Training modality
+    type: {
+        type: String,
+        enum: ['strength', 'cardio', 'flexibility', 'sports', 'hybrid'],
+        default: 'strength'
+    },
+    
+    // Session lifecycle (planned workouts become sessions when started)
+    status: {
+        type: String,
+        enum: ['planned', 'in_progress', 'paused', 'completed', 'abandoned'],
+        default: 'planned',
+        index: true
+    },
+    
+    // Where the session came from
+    source: {
+        type: String,
+        enum: ['manual', 'template', 'quantum', 'assigned'],
+        default: 'manual'
+    },
+    templateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WorkoutTemplate'
+    },
+    quantum: {
+        seed: Number,
+        chaosLevel: Number,
+        variationScore: Number,
+        generationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'QuantumWorkout'
+        }
+    },
+    
     // List of exercises in this workout
     exercises: {
         type: [exerciseSchema],
         validate: {
             validator: function(v) {
+                // Freestyle sessions may start empty and add exercises as they go
+                if (this.status === 'in_progress' || this.status === 'paused') return true;
                 return v && v.length > 0;
             },
             message: 'At least one exercise is required'
@@ -156,6 +210,64 @@ const workoutSchema = new mongoose.Schema({
         type: Date
     },
     
+    // Pause tracking (excluded from duration)
+    pausedAt: {
+        type: Date
+    },
+    pauses: [{
+        pausedAt: Date,
+        resumedAt: Date
+    }],
+    pausedSeconds: {
+        type: Number,
+        default: 0
+    },
+    
+    // Effort: session RPE reported at completion, average of logged set RPEs
+    sessionRPE: {
+        type: Number,
+        min: 1,
+        max: 10
+    },
+    averageRPE: {
+        type: Number,
+        min: 1,
+        max: 10
+    },
+    
+    // Session load (duration × RPE / 10) used by recovery load calculations
+    trainingLoad: {
+        type: Number,
+        min: 0
+    },
+    
+    // Actual performance computed on completion
+    stats: {
+        totalVolume: Number, // Σ reps × weight of logged sets
+        totalSets: Number,
+        totalReps: Number,
+        exercisesCompleted: Number,
+        volumeByExercise: [{
+            name: String,
+            volume: Number,
+            sets: Number,
+            topSet: { reps: Number, weight: Number }
+        }]
+    },
+    
+    personalRecords: [{
+        exercise: String,
+        type: {
+            type: String,
+            enum: ['max_weight', 'estimated_1rm', 'max_set_volume', 'rep_max']
+        },
+        repRange: String, // rep_max only: '1', '2-3', '4-6', '7-10', '11-15', '16+'
+        value: Number,
+        previous: Number,
+        reps: Number,
+        weight: Number
+    }],
+    
     // How long the workout took (in minutes)
     duration: {
         type: Number,
@@ -236,6 +348,8 @@ workoutSchema.index({ clientId: 1, completed: 1 });
 workoutSchema.index({ createdBy: 1 });
 workoutSchema.index({ clientId: 1, createdAt: -1 });
 workoutSchema.index({ scheduledDate: 1, completed: 1 });
+workoutSchema.index({ clientId: 1, status: 1 });
+workoutSchema.index({ clientId: 1, completedAt: -1 });
 
 // ============================================
 // VIRTUALS
@@ -417,6 +531,11 @@ workoutSchema.pre('save', function(next) {
         this.completedAt = new Date();
     }
     
+    // Keep lifecycle status in step with the completed flag
+    if (this.completed && this.status !== 'completed') {
+        this.status = 'completed';
+    }
+    
     // Auto-set assignedBy if not set
     if (!this.assignedBy && this.createdBy) {
         this.assignedBy = this.createdBy;
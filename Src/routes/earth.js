@@ -2,20 +2,43 @@ const express = require('express');
 const router = express.Router();
 const earthController = require('../controllers/earthController');
 const { protect } = require('../middleware/auth');
+const { requireFeature, clampHistory } = require('../middleware/subscriptionMiddleware');
+
+// Push notifications (no auth - verified against the channel secret in calendarSync)
+router.post('/calendar/webhook/google', earthController.handleGoogleCalendarWebhook);
+router.post('/calendar/webhook/outlook', earthController.handleOutlookCalendarWebhook);
+
+// All other Earth routes require authentication and a plan that includes Earth
+router.use(protect, requireFeature('earth'), clampHistory());
 
 // Calendar Integration (7 endpoints)
-router.get('/calendar/connect/:provider', protect, earthController.connectCalendar);
-router.post('/calendar/callback', protect, earthController.handleCalendarCallback);
-router.get('/calendar/events', protect, earthController.getCalendarEvents);
-router.post('/calendar/events', protect, earthController.createCalendarEvent);
-router.get('/calendar/energy-map', protect, earthController.getEnergyOptimizedSchedule);
-router.get('/calendar/conflicts', protect, earthController.detectConflicts);
-router.post('/calendar/sync', protect, earthController.syncCalendar);
+router.get('/calendar/connect/:provider', earthController.connectCalendar);
+router.post('/calendar/callback', earthController.handleCalendarCallback);
+router.get('/calendar/events', earthController.getCalendarEvents);
+router.post('/calendar/events', earthController.createCalendarEvent);
+router.get('/calendar/energy-map', earthController.getEnergyOptimizedSchedule);
+router.get('/calendar/conflicts', earthController.detectConflicts);
+router.post('/calendar/sync', earthController.syncCalendar);
+
+// CalDAV & ICS Feeds (5 endpoints)
+router.post('/calendar/caldav', earthController.connectCaldav);
+router.post('/calendar/ics', earthController.subscribeIcsFeed);
+router.get('/calendar/feeds', earthController.getCalendarFeeds);
+router.patch('/calendar/feeds/:feedId', earthController.updateCalendarFeed);
+router.delete('/calendar/feeds/:feedId', earthController.removeCalendarFeed);
+
+// Auto-Scheduling (6 endpoints)
+router.post('/calendar/auto-schedule', earthController.generateAutoSchedule);
+router.get('/calendar/auto-schedule', earthController.getAutoSchedules);
+router.get('/calendar/auto-schedule/settings', earthController.getAutoScheduleSettings);
+router.put('/calendar/auto-schedule/settings', earthController.updateAutoScheduleSettings);
+router.patch('/calendar/auto-schedule/:planId/blocks/:blockId', earthController.decideScheduleBlock);
+router.post('/calendar/auto-schedule/:planId/replan', earthController.replanAutoSchedule);
 
 // Energy Tracking (4 endpoints)
-router.get('/energy/pattern', protect, earthController.getEnergyPattern);
-router.post('/energy/log', protect, earthController.logEnergyLevel);
-router.get('/energy/optimal-times', protect, earthController.getOptimalMeetingTimes);
-router.get('/energy/prediction', protect, earthController.predictEnergy);
+router.get('/energy/pattern', earthController.getEnergyPattern);
+router.post('/energy/log', earthController.logEnergyLevel);
+router.get('/energy/optimal-times', earthController.getOptimalMeetingTimes);
+router.get('/energy/prediction', requireFeature('predictions'), earthController.predictEnergy);
 
 module.exports = router;
@@ -11,9 +11,10 @@ const express = require('express');
 const router = express.Router();
 const jupiterController = require('../controllers/jupiterController');
 const { protect } = require('../middleware/auth');
+const { requireFeature, clampHistory } = require('../middleware/subscriptionMiddleware');
 
-// Apply authentication to all routes
-router.use(protect);
+// Apply authentication and plan access to all routes
+router.use(protect, requireFeature('jupiter'), clampHistory());
 
 // ========================================
 // PLAID INTEGRATION (2 endpoints)
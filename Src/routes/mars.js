@@ -4,7 +4,7 @@
  * Phoenix Backend - Planetary System Architecture
  * File: Src/routes/mars.js
  * Base Path: /api/mars
- * Total Endpoints: 18
+ * Total Endpoints: 25
  * 
  * Controller: marsController.js
  * Middleware: protect (JWT auth) on all routes
@@ -14,9 +14,10 @@ const express = require('express');
 const router = express.Router();
 const marsController = require('../controllers/marsController');
 const { protect } = require('../middleware/auth');
+const { requireFeature } = require('../middleware/subscriptionMiddleware');
 
-// All routes require authentication
-router.use(protect);
+// All routes require authentication and a plan that includes Mars
+router.use(protect, requireFeature('mars'));
 
 // ========================================
 // GOAL MANAGEMENT (6 endpoints)
@@ -74,9 +75,10 @@ router.post('/goals/:id/complete', marsController.completeGoal);
 
 /**
  * @route   POST /api/mars/goals/generate-smart
- * @desc    Generate SMART goal from vague input
+ * @desc    Generate SMART goal from vague input, using the user's baseline
+ *          (weight, 1RMs, sleep, spending), with feasibility and confidence scores
  * @access  Private
- * @body    { generalGoal: "get stronger", domain: 'fitness' }
+ * @body    { generalGoal: "get stronger", domain: 'fitness', weeks?, deadline?, save?: boolean }
  */
 router.post('/goals/generate-smart', marsController.generateSmartGoal);
 
@@ -129,7 +131,7 @@ router.get('/progress/velocity', marsController.getProgressVelocity);
  * @access  Private
  * @query   ?goalId=:id
  */
-router.get('/progress/predictions', marsController.getProgressPredictions);
+router.get('/progress/predictions', requireFeature('predictions'), marsController.getProgressPredictions);
 
 /**
  * @route   GET /api/mars/progress/bottlenecks
@@ -159,25 +161,79 @@ router.post('/goals/:id/milestones', marsController.createMilestone);
 router.post('/milestones/:id/complete', marsController.completeMilestone);
 
 // ========================================
-// HABITS (2 endpoints)
+// HABITS (9 endpoints)
 // ========================================
 
 /**
  * @route   POST /api/mars/habits
- * @desc    Create habit
+ * @desc    Create habit (optionally linked to a goal)
  * @access  Private
- * @body    { name, frequency, linkedGoalId? }
+ * @body    { title, description?, category?, goalId?, schedule?: { type: 'daily' | 'times_per_week' | 'weekdays', timesPerWeek?, weekdays? }, graceDays?, timezone?, startDate?, reminder?: { enabled, time: 'HH:MM' }, stackedAfter?: { habitId? | label? } }
  */
 router.post('/habits', marsController.createHabit);
 
+/**
+ * @route   GET /api/mars/habits
+ * @desc    Get all habits with current streaks (archived only when asked for)
+ * @access  Private
+ * @query   ?status=active&goalId=:id&category=fitness
+ */
+router.get('/habits', marsController.getHabits);
+
+/**
+ * @route   GET /api/mars/habits/heatmap
+ * @desc    Get completion heatmap across all habits (levels 0-4)
+ * @access  Private
+ * @query   ?from=YYYY-MM-DD&to=YYYY-MM-DD (default last 365 days)
+ */
+router.get('/habits/heatmap', marsController.getHabitHeatmap);
+
+/**
+ * @route   GET /api/mars/habits/stacking-suggestions
+ * @desc    Suggest anchors to stack habits onto, from strong habits and behavior patterns
+ * @access  Private
+ * @query   ?habitId=:id (default: active habits not stacked yet)
+ */
+router.get('/habits/stacking-suggestions', marsController.getStackingSuggestions);
+
+/**
+ * @route   GET /api/mars/habits/:id
+ * @desc    Get single habit with streak and recent logs
+ * @access  Private
+ */
+router.get('/habits/:id', marsController.getHabit);
+
+/**
+ * @route   PUT /api/mars/habits/:id
+ * @desc    Update habit (schedule, reminder, stacking, status: active | paused | archived)
+ * @access  Private
+ * @body    Habit fields to update
+ */
+router.put('/habits/:id', marsController.updateHabit);
+
+/**
+ * @route   DELETE /api/mars/habits/:id
+ * @desc    Delete habit and its logs
+ * @access  Private
+ */
+router.delete('/habits/:id', marsController.deleteHabit);
+
 /**
  * @route   POST /api/mars/habits/:id/log
- * @desc    Log habit completion
+ * @desc    Log habit completion (completed: false records a miss)
  * @access  Private
- * @body    { completed: boolean, date? }
+ * @body    { completed?: boolean, date?: 'YYYY-MM-DD', value?, note? }
  */
 router.post('/habits/:id/log', marsController.logHabit);
 
+/**
+ * @route   GET /api/mars/habits/:id/calendar
+ * @desc    Get day-by-day completion calendar for a habit
+ * @access  Private
+ * @query   ?from=YYYY-MM-DD&to=YYYY-MM-DD (default last 12 weeks)
+ */
+router.get('/habits/:id/calendar', marsController.getHabitCalendar);
+
 // ========================================
 // MOTIVATIONAL SYSTEMS (2 endpoints)
 // ========================================
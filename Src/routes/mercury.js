@@ -7,6 +7,7 @@ const express = require('express');
 const router = express.Router();
 const mercuryController = require('../controllers/mercuryController');
 const { protect } = require('../middleware/auth');
+const { requireFeature, clampHistory } = require('../middleware/subscriptionMiddleware');
 
 // ========================================
 // BIOMETRIC ANALYSIS (10 endpoints)
@@ -29,7 +30,7 @@ router.get('/biometrics/bone-density', protect, mercuryController.getBoneDensity
 router.get('/biometrics/hydration', protect, mercuryController.getHydration);
 
 // Trends and correlations
-router.get('/biometrics/trends', protect, mercuryController.getBiometricTrends);
+router.get('/biometrics/trends', protect, clampHistory(30), mercuryController.getBiometricTrends);
 router.get('/biometrics/correlations', protect, mercuryController.getBiometricCorrelations);
 
 // ========================================
@@ -51,8 +52,8 @@ router.post('/webhook/:provider', mercuryController.handleWebhook);
 // ========================================
 
 // Data retrieval
-router.get('/data', protect, mercuryController.getWearableData);
-router.get('/data/raw', protect, mercuryController.getRawData);
+router.get('/data', protect, clampHistory(7), mercuryController.getWearableData);
+router.get('/data/raw', protect, clampHistory(3), mercuryController.getRawData);
 router.post('/data/manual', protect, mercuryController.manualDataEntry);
 
 // AI insights
@@ -77,7 +78,7 @@ router.get('/biometrics/readiness', protect, mercuryController.getReadinessScore
 // ========================================
 
 // Sleep data and analysis
-router.get('/sleep', protect, mercuryController.getSleep);
+router.get('/sleep', protect, clampHistory(7), mercuryController.getSleep);
 router.get('/sleep/analysis', protect, mercuryController.getSleepAnalysis);
 router.get('/sleep/recommendations', protect, mercuryController.getSleepRecommendations);
 
@@ -87,18 +88,18 @@ router.get('/sleep/recommendations', protect, mercuryController.getSleepRecommen
 
 // Recovery scores
 router.get('/recovery/latest', protect, mercuryController.getLatestRecovery);
-router.get('/recovery/history', protect, mercuryController.getRecoveryHistory);
+router.get('/recovery/history', protect, clampHistory(30), mercuryController.getRecoveryHistory);
 router.post('/recovery/calculate', protect, mercuryController.recalculateRecovery);
 router.get('/recovery/trends', protect, mercuryController.getRecoveryTrends);
 
 // Recovery prediction and protocols
-router.get('/recovery/prediction', protect, mercuryController.getRecoveryPrediction);
+router.get('/recovery/prediction', protect, requireFeature('predictions'), mercuryController.getRecoveryPrediction);
 router.get('/recovery/protocols', protect, mercuryController.getRecoveryProtocols);
 router.get('/recovery/debt', protect, mercuryController.getRecoveryDebt);
 
 // Training load and risk assessment
 router.get('/recovery/overtraining-risk', protect, mercuryController.getOvertrainingRisk);
-router.get('/recovery/training-load', protect, mercuryController.getTrainingLoad);
+router.get('/recovery/training-load', protect, clampHistory(7), mercuryController.getTrainingLoad);
 
 // Recovery insights and dashboard
 router.get('/recovery/insights', protect, mercuryController.getRecoveryInsights);
@@ -1,7 +1,7 @@
 // ============================================
 // PHOENIX ROUTES - AI Butler & Intelligence System
 // ============================================
-// Total Endpoints: 81 (76 original + 5 new SMS/Budget)
+// Total Endpoints: 85 (76 original + 5 new SMS/Budget + 4 companion memory)
 // Base Path: /api/phoenix
 // Authentication: All routes require JWT auth (protect middleware)
 // ============================================
@@ -10,20 +10,25 @@ const express = require('express');
 const router = express.Router();
 const phoenixController = require('../controllers/phoenixController');
 const { protect } = require('../middleware/auth');
+const { requireFeature, clampHistory } = require('../middleware/subscriptionMiddleware');
 
 // Apply authentication to all Phoenix routes
 router.use(protect);
 
 // ========================================
-// A. AI COMPANION (6 endpoints)
+// A. AI COMPANION (10 endpoints)
 // ========================================
 
 router.post('/companion/chat', phoenixController.chat);
-router.get('/companion/history', phoenixController.getHistory);
+router.get('/companion/history', clampHistory(30), phoenixController.getHistory);
 router.delete('/companion/history', phoenixController.clearHistory);
 router.get('/companion/context', phoenixController.getContext);
 router.get('/companion/personality', phoenixController.getPersonality);
 router.put('/companion/personality', phoenixController.updatePersonality);
+router.get('/companion/memories', phoenixController.getMemories);
+router.put('/companion/memories/:id/pin', phoenixController.pinMemory);
+router.delete('/companion/memories', phoenixController.forgetMemory);
+router.delete('/companion/memories/:id', phoenixController.forgetMemory);
 
 // ========================================
 // B. CORRELATION ENGINE (6 endpoints)
@@ -40,6 +45,9 @@ router.get('/insights', phoenixController.getInsights);
 // C. PREDICTION ENGINE (10 endpoints)
 // ========================================
 
+// Predictions are a paid-plan feature
+router.use('/predictions', requireFeature('predictions'));
+
 router.get('/predictions', phoenixController.getPredictions);
 router.get('/predictions/active', phoenixController.getActivePredictions);
 router.get('/predictions/:id', phoenixController.getPredictionById);
@@ -55,28 +63,29 @@ router.get('/predictions/weight-change', phoenixController.getWeightPrediction);
 // D. INTERVENTION ENGINE (9 endpoints)
 // ========================================
 
-router.get('/interventions', phoenixController.getInterventions);
+router.get('/interventions', clampHistory(30), phoenixController.getInterventions);
 router.get('/interventions/active', phoenixController.getActiveInterventions);
 router.get('/interventions/pending', phoenixController.getPendingInterventions);
 router.post('/interventions/:id/acknowledge', phoenixController.acknowledgeIntervention);
 router.put('/interventions/:id/outcome', phoenixController.recordInterventionOutcome);
-router.get('/interventions/stats', phoenixController.getInterventionStats);
-router.get('/interventions/history', phoenixController.getInterventionHistory);
+router.get('/interventions/stats', clampHistory(90), phoenixController.getInterventionStats);
+router.get('/interventions/history', clampHistory(90), phoenixController.getInterventionHistory);
 router.post('/interventions/settings', phoenixController.configureInterventionSettings);
 router.post('/interventions/request', phoenixController.requestManualIntervention);
 
 // ========================================
-// E. INTELLIGENCE ENGINE (8 endpoints)
+// E. INTELLIGENCE ENGINE (9 endpoints)
 // ========================================
 
 router.get('/intelligence', phoenixController.getIntelligence);
 router.post('/intelligence/analyze', phoenixController.triggerAnalysis);
-router.get('/intelligence/insights', phoenixController.getAIInsights);
+router.get('/intelligence/insights', clampHistory(7), phoenixController.getAIInsights);
 router.post('/intelligence/query', phoenixController.naturalLanguageQuery);
 router.get('/intelligence/summary', phoenixController.getDailySummary);
 router.post('/intelligence/deep-dive', phoenixController.getDeepDive);
 router.get('/intelligence/recommendations', phoenixController.getRecommendations);
 router.post('/intelligence/auto-optimize', phoenixController.autoOptimize);
+router.get('/intelligence/usage', phoenixController.getAIUsage);
 
 // ========================================
 // F. VOICE AI (4 endpoints)
@@ -84,20 +93,20 @@ router.post('/intelligence/auto-optimize', phoenixController.autoOptimize);
 
 router.post('/voice/session', phoenixController.createVoiceSession);
 router.delete('/voice/session', phoenixController.endVoiceSession);
-router.get('/voice/transcriptions', phoenixController.getTranscriptions);
-router.get('/voice/history', phoenixController.getVoiceHistory);
+router.get('/voice/transcriptions', clampHistory(7), phoenixController.getTranscriptions);
+router.get('/voice/history', clampHistory(30), phoenixController.getVoiceHistory);
 
 // ========================================
 // G. ML & LEARNING (7 endpoints)
 // ========================================
 
-router.post('/ml/train', phoenixController.trainModel);
+router.post('/ml/train', requireFeature('predictions'), phoenixController.trainModel);
 router.get('/ml/models', phoenixController.getModels);
 router.get('/ml/training-status', phoenixController.getTrainingStatus);
 router.post('/behavior/track', phoenixController.trackBehavior);
-router.get('/behavior/patterns', phoenixController.getBehaviorPatterns);
-router.get('/behavior/insights', phoenixController.getBehaviorInsights);
-router.get('/behavior/:type', phoenixController.getBehaviorByType);
+router.get('/behavior/patterns', clampHistory(30), phoenixController.getBehaviorPatterns);
+router.get('/behavior/insights', clampHistory(30), phoenixController.getBehaviorInsights);
+router.get('/behavior/:type', clampHistory(30), phoenixController.getBehaviorByType);
 
 // ========================================
 // H. BUTLER ACTIONS (31 endpoints - 26 original + 5 new)
@@ -109,24 +118,24 @@ router.get('/butler/reservations', phoenixController.getReservations);
 
 // --------- Food Ordering (3) ---------
 router.post('/butler/food', phoenixController.orderFood);
-router.get('/butler/food/history', phoenixController.getFoodHistory);
+router.get('/butler/food/history', clampHistory(90), phoenixController.getFoodHistory);
 router.post('/butler/food/reorder', phoenixController.reorderFood);
 
 // --------- Rides (2) ---------
 router.post('/butler/ride', phoenixController.bookRide);
-router.get('/butler/rides', phoenixController.getRideHistory);
+router.get('/butler/rides', clampHistory(90), phoenixController.getRideHistory);
 
 // --------- Phone Calls (2) ---------
 router.post('/butler/call', phoenixController.makePhoneCall);
-router.get('/butler/calls', phoenixController.getCallHistory);
+router.get('/butler/calls', clampHistory(90), phoenixController.getCallHistory);
 
 // --------- SMS/Text Messages (2 NEW) ---------
 router.post('/butler/sms', phoenixController.sendSMS);
-router.get('/butler/sms', phoenixController.getSMSHistory);
+router.get('/butler/sms', clampHistory(90), phoenixController.getSMSHistory);
 
 // --------- Email (3) ---------
 router.post('/butler/email', phoenixController.sendEmail);
-router.get('/butler/emails', phoenixController.getEmailHistory);
+router.get('/butler/emails', clampHistory(90), phoenixController.getEmailHistory);
 router.post('/butler/email/reply', phoenixController.replyToEmail);
 
 // --------- Calendar (2) ---------
@@ -141,10 +150,17 @@ router.post('/butler/web-task', phoenixController.performWebTask);
 router.post('/butler/summarize', phoenixController.summarizeContent);
 router.post('/butler/summarize/batch', phoenixController.batchSummarize);
 
-// --------- Task Automation (3) ---------
+// --------- Task Automation (9) ---------
 router.post('/butler/automate', phoenixController.createAutomation);
 router.get('/butler/automations', phoenixController.getAutomations);
+router.get('/butler/automations/:id', phoenixController.getAutomation);
+router.put('/butler/automations/:id', phoenixController.updateAutomation);
 router.delete('/butler/automations/:id', phoenixController.deleteAutomation);
+router.post('/butler/automations/:id/enable', phoenixController.enableAutomation);
+router.post('/butler/automations/:id/disable', phoenixController.disableAutomation);
+router.post('/butler/automations/:id/pause', phoenixController.pauseAutomation);
+router.post('/butler/automations/:id/run', phoenixController.runAutomation);
+router.get('/butler/automations/:id/runs', phoenixController.getAutomationRuns);
 
 // --------- Budget Management (3 NEW) ---------
 router.get('/butler/budget', phoenixController.manageBudget);
@@ -8,6 +8,7 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
+const aiProvider = require('../services/ai/aiProvider');
 
 // Personality-specific system prompts
 const PERSONALITY_PROMPTS = {
@@ -50,7 +51,7 @@ router.post('/chat', protect, async (req, res) => {
             return res.status(400).json({ success: false, error: 'No message provided' });
         }
 
-        if (!process.env.OPENAI_API_KEY) {
+        if (!aiProvider.isAvailable('voice_chat')) {
             return res.status(503).json({ success: false, error: 'Service unavailable' });
         }
 
@@ -78,45 +79,29 @@ Current: ${new Date().toLocaleDateString('en-US', { weekday: 'long', month: 'lon
 
 Keep responses SHORT for voice (2-3 sentences). Reference user data when relevant. Be proactive.`;
 
-        // Build messages for GPT-4
-        const messages = [
-            { role: 'system', content: systemPrompt },
-            ...conversationHistory.slice(-10),
-            { role: 'user', content: message }
-        ];
-
-        // Call OpenAI GPT-4
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                model: 'gpt-4',
-                messages: messages,
-                temperature: 0.7,
-                max_tokens: 200,
-                presence_penalty: 0.6,
-                frequency_penalty: 0.3
-            })
-        });
-
-        if (!response.ok) {
-            const error = await response.text();
-            console.error('[Phoenix Voice] GPT-4 error:', response.status, error);
+        let result;
+        try {
+            result = await aiProvider.generate({
+                feature: 'voice_chat',
+                userId,
+                system: systemPrompt,
+                history: conversationHistory.slice(-10),
+                prompt: message
+            });
+        } catch (error) {
+            console.error('[Phoenix Voice] AI error:', error.code, error.message);
             return res.status(502).json({ 
                 success: false, 
                 error: 'AI chat failed',
-                status: response.status 
+                code: error.code 
             });
         }
 
-        const data = await response.json();
-        const aiResponse = data.choices[0].message.content;
+        const aiResponse = result.text;
+        const tokensUsed = result.usage.inputTokens + result.usage.outputTokens;
 
         console.log(`[Phoenix Voice] Response: "${aiResponse}"`);
-        console.log(`[Phoenix Voice] Tokens: ${data.usage.total_tokens}`);
+        console.log(`[Phoenix Voice] Tokens: ${tokensUsed} (${result.provider}/${result.model})`);
 
         res.json({ 
             success: true,
@@ -124,7 +109,7 @@ Keep responses SHORT for voice (2-3 sentences). Reference user data when relevan
             personality: personality,
             voice: voice,
             timestamp: new Date().toISOString(),
-            tokensUsed: data.usage.total_tokens
+            tokensUsed
         });
 
     } catch (error) {
@@ -11,9 +11,10 @@ const express = require('express');
 const router = express.Router();
 const saturnController = require('../controllers/saturnController');
 const { protect } = require('../middleware/auth');
+const { requireFeature } = require('../middleware/subscriptionMiddleware');
 
-// All Saturn routes require authentication
-router.use(protect);
+// All Saturn routes require authentication and a plan that includes Saturn
+router.use(protect, requireFeature('saturn'));
 
 // ========================================
 // LEGACY VISION ROUTES (6 endpoints)
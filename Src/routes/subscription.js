@@ -10,6 +10,9 @@ router.post('/checkout', protect, subscriptionController.createCheckoutSession);
 // Webhooks (no auth - Stripe will authenticate)
 router.post('/webhook', express.raw({ type: 'application/json' }), subscriptionController.handleWebhook);
 
+// Plan matrix (public)
+router.get('/plans', subscriptionController.getPlans);
+
 // Subscription Management
 router.get('/status', protect, subscriptionController.getSubscription);
 router.post('/cancel', protect, subscriptionController.cancelSubscription);
@@ -2,7 +2,8 @@
 // TWILIO WEBHOOKS - Voice & SMS Status Updates
 // ============================================
 // Handles Twilio callbacks for call/SMS status updates
-// These routes MUST be publicly accessible (no auth)
+// These routes MUST be publicly accessible (no auth) - every POST
+// is verified against X-Twilio-Signature instead (twilioWebhookAuth)
 // ============================================
 
 const express = require('express');
@@ -10,6 +11,13 @@ const router = express.Router();
 const phoneAgent = require('../services/phoenix/phoneAgent');
 const smsAgent = require('../services/phoenix/smsAgent');
 const VoiceSession = require('../models/phoenix/VoiceSession');
+const WebhookRejection = require('../models/phoenix/WebhookRejection');
+const { protect } = require('../middleware/auth');
+const { checkRole } = require('../middleware/roleCheck');
+const { verifyTwilioWebhook } = require('../middleware/twilioWebhookAuth');
+
+// Verify signature, freshness and replay for every Twilio callback
+router.use(verifyTwilioWebhook);
 
 // ============================================
 // MAIN VOICE/CALL WEBHOOK
@@ -263,6 +271,42 @@ router.post('/sms/incoming', async (req, res) => {
   }
 });
 
+// ============================================
+// AUDIT LOG
+// ============================================
+
+/**
+ * @route   GET /api/webhooks/twilio/rejections
+ * @desc    Recent rejected callbacks (signature, stale, replay)
+ * @access  Private (admin)
+ */
+router.get('/rejections', protect, checkRole('admin'), async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 7, 90);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const query = { provider: 'twilio' };
+    if (req.query.reason) query.reason = req.query.reason;
+
+    const [rejections, summary] = await Promise.all([
+      WebhookRejection.find(query).sort({ createdAt: -1 }).limit(limit),
+      WebhookRejection.getSummary('twilio', days)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      summary,
+      count: rejections.length,
+      data: rejections
+    });
+  } catch (error) {
+    console.error('Webhook rejection log error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook rejections'
+    });
+  }
+});
+
 // ============================================
 // HEALTH CHECK
 // ============================================
@@ -277,6 +321,7 @@ router.get('/health', (req, res) => {
     status: 'OK',
     service: 'Twilio Webhooks',
     timestamp: new Date().toISOString(),
+    signatureValidation: process.env.TWILIO_WEBHOOK_VALIDATION === 'false' ? 'disabled' : 'enabled',
     endpoints: {
       voice: [
         'POST /voice - Main incoming call handler',
@@ -1,29 +1,60 @@
 // 🌟 VENUS ROUTES - Fitness & Training Intelligence
 // Workouts, Nutrition, Body Measurements, Exercises, Performance
-// Total Endpoints: 88
+// Total Endpoints: 124
 // Base Path: /api/venus
 
 const express = require('express');
 const router = express.Router();
 const venusController = require('../controllers/venusController');
 const { protect } = require('../middleware/auth');
+const { checkRole } = require('../middleware/roleCheck');
+const { requireFeature, clampHistory } = require('../middleware/subscriptionMiddleware');
 const multer = require('multer');
+const { SUPPORTED_TYPES: PHOTO_TYPES } = require('../utils/imageMetadata');
+const ErrorResponse = require('../utils/errorResponse');
 const upload = multer({ dest: 'uploads/' });
 
+// Progress photos are kept in memory so metadata is stripped before anything touches disk
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 15 * 1024 * 1024, files: 1 }, // 15MB
+  fileFilter: (req, file, cb) => {
+    if (PHOTO_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new ErrorResponse('Photos must be JPEG, PNG or WebP images', 415), false);
+    }
+  }
+});
+
+// Upload mistakes are client errors: 413 for an oversized photo, 415 for an
+// unsupported type (fileFilter, same as bodyTracking.uploadPhoto), 400 otherwise
+const singlePhoto = (req, res, next) => {
+  photoUpload.single('photo')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return next(err.code === 'LIMIT_FILE_SIZE'
+        ? new ErrorResponse('Photos must be 15MB or smaller', 413)
+        : new ErrorResponse(err.message, 400));
+    }
+    next(err);
+  });
+};
+
 // All routes require authentication
 router.use(protect);
 
-// ========== WORKOUT TRACKING (8 endpoints) ==========
+// ========== WORKOUT TRACKING (10 endpoints) ==========
 router.post('/workouts/start', venusController.startWorkout);
 router.post('/workouts/:workoutId/exercise', venusController.logExercise);
+router.post('/workouts/:id/pause', venusController.pauseWorkout);
+router.post('/workouts/:id/resume', venusController.resumeWorkout);
 router.post('/workouts/:id/complete', venusController.completeWorkout);
-router.get('/workouts', venusController.getWorkoutHistory);
+router.get('/workouts', clampHistory(), venusController.getWorkoutHistory);
 router.get('/workouts/active', venusController.getActiveWorkout);
-router.get('/workouts/:id', venusController.getWorkout);
 router.put('/workouts/:id', venusController.updateWorkout);
 router.delete('/workouts/:id', venusController.deleteWorkout);
 
-// ========== WORKOUT INTELLIGENCE (13 endpoints) ==========
+// ========== WORKOUT INTELLIGENCE (16 endpoints) ==========
 router.post('/workouts/recommend', venusController.getWorkoutRecommendations);
 router.get('/workouts/similar', venusController.getSimilarWorkouts);
 router.get('/workouts/templates/library', venusController.getWorkoutTemplates);
@@ -36,11 +67,17 @@ router.get('/workouts/intensity-zones', venusController.getIntensityZones);
 router.get('/workouts/volume-progression', venusController.getVolumeProgression);
 router.get('/workouts/deload-planning', venusController.planDeload);
 router.post('/workouts/periodization', venusController.generatePeriodization);
+router.get('/workouts/periodization', venusController.getPeriodizationPlans);
+router.get('/workouts/periodization/:id', venusController.getPeriodizationPlan);
+router.delete('/workouts/periodization/:id', venusController.cancelPeriodizationPlan);
 router.get('/workouts/optimal-window', venusController.getOptimalTrainingWindow);
 
+// Registered after the named /workouts/* routes so it doesn't shadow them
+router.get('/workouts/:id', venusController.getWorkout);
+
 // ========== QUANTUM WORKOUTS (8 endpoints) ==========
 router.post('/quantum/generate', venusController.generateQuantumWorkout);
-router.get('/quantum/history', venusController.getQuantumHistory);
+router.get('/quantum/history', clampHistory(), venusController.getQuantumHistory);
 router.get('/quantum/effectiveness', venusController.analyzeQuantumEffectiveness);
 router.get('/quantum/plateau-detection', venusController.getPlateauDetection);
 router.get('/quantum/settings', venusController.getQuantumSettings);
@@ -48,31 +85,40 @@ router.put('/quantum/settings', venusController.updateQuantumSettings);
 router.get('/quantum/chaos-metrics', venusController.getChaosMetrics);
 router.post('/quantum/regenerate-seeds', venusController.regenerateSeeds);
 
-// ========== EXERCISE LIBRARY (6 endpoints) ==========
+// ========== EXERCISE LIBRARY (8 endpoints) ==========
 router.get('/exercises', venusController.getExercises);
 router.get('/exercises/search', venusController.searchExercises);
 router.get('/exercises/:id', venusController.getExercise);
 router.get('/exercises/:id/alternatives', venusController.getExerciseAlternatives);
 router.post('/exercises', venusController.createExercise);
 router.post('/exercises/recommend', venusController.getExerciseRecommendations);
+router.put('/exercises/:id', venusController.updateExercise);
+router.delete('/exercises/:id', venusController.deleteExercise);
 
 // ========== PROGRESSIVE OVERLOAD (4 endpoints) ==========
 router.get('/progress/overload', venusController.getProgressiveOverload);
 router.post('/progress/1rm', venusController.calculateOneRepMax);
 router.get('/progress/standards', venusController.getStrengthStandards);
-router.get('/progress/records', venusController.getPersonalRecords);
+router.get('/progress/records', clampHistory(30), venusController.getPersonalRecords);
 
-// ========== NUTRITION LOGGING (10 endpoints) ==========
+// ========== NUTRITION LOGGING (17 endpoints) ==========
 router.post('/nutrition/log', venusController.logMeal);
-router.get('/nutrition/logs', venusController.getNutritionLogs);
+router.get('/nutrition/logs', clampHistory(), venusController.getNutritionLogs);
 router.put('/nutrition/logs/:id', venusController.updateMeal);
 router.delete('/nutrition/logs/:id', venusController.deleteMeal);
 router.get('/nutrition/macros', venusController.getMacroSummary);
 router.post('/nutrition/targets', venusController.setMacroTargets);
 router.post('/nutrition/targets/calculate', venusController.calculateMacroTargets);
-router.get('/nutrition/insights', venusController.getNutritionInsights);
+router.get('/nutrition/insights', clampHistory(14), venusController.getNutritionInsights);
 router.post('/nutrition/water', venusController.trackWaterIntake);
 router.get('/nutrition/water', venusController.getWaterTracking);
+router.get('/nutrition/foods', venusController.searchFoods);
+router.get('/nutrition/foods/mine', venusController.getCustomFoods);
+router.get('/nutrition/foods/:id', venusController.getFood);
+router.post('/nutrition/foods', venusController.createCustomFood);
+router.put('/nutrition/foods/:id', venusController.updateCustomFood);
+router.delete('/nutrition/foods/:id', venusController.deleteCustomFood);
+router.post('/nutrition/recipes', venusController.createRecipe);
 
 // ========== AI MEAL PLANNING (8 endpoints) ==========
 router.post('/nutrition/meal-plan/generate', venusController.generateMealPlan);
@@ -86,17 +132,19 @@ router.post('/nutrition/restaurants/analyze', venusController.getRestaurantRecom
 
 // ========== SUPPLEMENT TRACKING (4 endpoints) ==========
 router.post('/supplements/log', venusController.logSupplement);
-router.get('/supplements', venusController.getSupplementLog);
+router.get('/supplements', clampHistory(30), venusController.getSupplementLog);
 router.get('/supplements/interactions', venusController.checkSupplementInteractions);
 router.post('/supplements/stack-builder', venusController.buildSupplementStack);
 
-// ========== BODY MEASUREMENTS (9 endpoints) ==========
+// ========== BODY MEASUREMENTS (11 endpoints) ==========
 router.post('/body/measurements', venusController.logBodyMeasurement);
-router.get('/body/measurements', venusController.getBodyMeasurements);
+router.get('/body/measurements', clampHistory(), venusController.getBodyMeasurements);
 router.get('/body/composition', venusController.getBodyCompositionAnalysis);
-router.post('/body/photos', upload.single('photo'), venusController.uploadProgressPhoto);
-router.get('/body/photos', venusController.getProgressPhotos);
-router.get('/body/photos/compare', venusController.compareProgressPhotos);
+router.post('/body/photos', singlePhoto, venusController.uploadProgressPhoto);
+router.get('/body/photos', clampHistory(), venusController.getProgressPhotos);
+router.get('/body/photos/compare', clampHistory(), venusController.compareProgressPhotos);
+router.get('/body/photos/:id/image', venusController.getProgressPhotoImage);
+router.delete('/body/photos/:id', venusController.deleteProgressPhoto);
 router.get('/body/recomp-analysis', venusController.getRecompAnalysis);
 router.get('/body/muscle-symmetry', venusController.getMuscleSymmetry);
 router.get('/body/fat-distribution', venusController.getFatDistribution);
@@ -108,39 +156,59 @@ router.get('/performance/tests', venusController.getPerformanceTests);
 router.get('/performance/benchmarks', venusController.getPerformanceBenchmarks);
 router.get('/performance/standards', venusController.getStrengthStandardsDetailed);
 router.get('/performance/percentile', venusController.getPerformancePercentile);
-router.get('/performance/predictions', venusController.getPerformancePredictions);
+router.get('/performance/predictions', requireFeature('predictions'), venusController.getPerformancePredictions);
 
-// ========== SOCIAL FEATURES (6 endpoints) ==========
+// ========== SOCIAL FEATURES (24 endpoints) ==========
 router.get('/social/feed', venusController.getSocialFeed);
 router.post('/social/share', venusController.shareWorkout);
+router.post('/social/posts/:id/like', venusController.likePost);
+router.delete('/social/posts/:id/like', venusController.unlikePost);
+router.post('/social/posts/:id/comments', venusController.commentOnPost);
+router.delete('/social/posts/:id/comments/:commentId', venusController.deleteComment);
+router.post('/social/posts/:id/report', venusController.reportPost);
 router.get('/social/challenges', venusController.getChallenges);
+router.post('/social/challenges', venusController.createChallenge);
 router.post('/social/challenges/join', venusController.joinChallenge);
+router.get('/social/challenges/:id/leaderboard', venusController.getChallengeLeaderboard);
+router.post('/social/challenges/:id/progress', venusController.logChallengeProgress);
 router.get('/social/friends', venusController.getFriends);
 router.post('/social/friends/add', venusController.addFriend);
-
-// ========== INJURY RISK & PREVENTION (5 endpoints) ==========
+router.post('/social/friends/requests/:id', venusController.respondToFriendRequest);
+router.delete('/social/friends/:userId', venusController.removeFriend);
+router.post('/social/blocks', venusController.blockUser);
+router.delete('/social/blocks/:userId', venusController.unblockUser);
+router.post('/social/follow/:userId', venusController.followUser);
+router.delete('/social/follow/:userId', venusController.unfollowUser);
+router.get('/social/privacy', venusController.getPrivacySettings);
+router.put('/social/privacy', venusController.updatePrivacySettings);
+router.get('/social/moderation/queue', checkRole('admin', 'owner', 'engineer'), venusController.getModerationQueue);
+router.post('/social/moderation/:id', checkRole('admin', 'owner', 'engineer'), venusController.moderatePost);
+
+// ========== INJURY RISK & PREVENTION (7 endpoints) ==========
 router.get('/injury-risk/assessment', venusController.getInjuryRiskAssessment);
-router.get('/injury-risk/history', venusController.getInjuryHistory);
+router.get('/injury-risk/history', clampHistory(), venusController.getInjuryHistory);
 router.post('/injury-risk/report', venusController.reportInjury);
+router.post('/injury-risk/injuries/:id/progress', venusController.logInjuryProgress);
+router.put('/injury-risk/injuries/:id/resolve', venusController.resolveInjury);
 router.get('/injury-risk/prevention', venusController.getPreventionProtocols);
 router.get('/injury-risk/rehab-protocols', venusController.getRehabProtocols);
 
 module.exports = router;
 
 // ========== ENDPOINT SUMMARY ==========
-// Total: 88 endpoints
+// Total: 124 endpoints
 // 
-// Workout Tracking: 8 endpoints
-// Workout Intelligence: 13 endpoints
+// Workout Tracking: 10 endpoints
+// Workout Intelligence: 16 endpoints
 // Quantum Workouts: 8 endpoints
-// Exercise Library: 6 endpoints
+// Exercise Library: 8 endpoints
 // Progressive Overload: 4 endpoints
-// Nutrition Logging: 10 endpoints
+// Nutrition Logging: 17 endpoints
 // AI Meal Planning: 8 endpoints
 // Supplement Tracking: 4 endpoints
-// Body Measurements: 9 endpoints
+// Body Measurements: 11 endpoints
 // Performance Testing: 7 endpoints
-// Social Features: 6 endpoints
-// Injury Risk & Prevention: 5 endpoints
+// Social Features: 24 endpoints
+// Injury Risk & Prevention: 7 endpoints
 // 
 // ✅ 100% Feature Parity with Blueprint
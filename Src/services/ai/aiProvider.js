@@ -0,0 +1,246 @@
+// ============================================
+// AI PROVIDER - Single entry point for text generation
+// ============================================
+// Picks a provider/model per feature (Src/config/ai.js), applies
+// timeouts and retries, and records token/cost usage per user.
+//
+// Adapters: gemini, openai, mock (deterministic, offline).
+// When no real provider has credentials and mock was not selected
+// explicitly, generate() throws AIProviderError('NOT_CONFIGURED')
+// so callers fall back to their rule-based responses.
+// ============================================
+
+const mongoose = require('mongoose');
+const aiConfig = require('../../config/ai');
+const AIUsage = require('../../models/phoenix/AIUsage');
+const GeminiProvider = require('./providers/geminiProvider');
+const OpenAIProvider = require('./providers/openaiProvider');
+const MockProvider = require('./providers/mockProvider');
+
+class AIProviderError extends Error {
+  constructor(message, code, cause) {
+    super(message);
+    this.name = 'AIProviderError';
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+class AIProvider {
+  constructor() {
+    this.providers = new Map();
+    this.registerProvider(new GeminiProvider());
+    this.registerProvider(new OpenAIProvider());
+    this.registerProvider(new MockProvider());
+  }
+
+  /**
+   * Register (or replace) a provider adapter.
+   * Adapters implement { name, isConfigured(), generate(request) }.
+   */
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Resolve which provider/model a feature will use
+   */
+  resolve(feature = 'default') {
+    const config = aiConfig.getFeatureConfig(feature);
+    const requested = this.providers.get(config.provider);
+
+    if (requested && requested.isConfigured()) {
+      return { ...config, configured: true };
+    }
+
+    // Requested provider has no credentials - try the others in order
+    const fallbackName = aiConfig.fallbackOrder.find(name =>
+      name !== config.provider && this.providers.get(name)?.isConfigured()
+    );
+
+    if (fallbackName) {
+      return {
+        ...config,
+        provider: fallbackName,
+        model: aiConfig.PROVIDER_MODELS[fallbackName][config.tier],
+        configured: true
+      };
+    }
+
+    return { ...config, configured: false };
+  }
+
+  /**
+   * Whether a feature has a usable provider (real, or mock selected explicitly)
+   */
+  isAvailable(feature = 'default') {
+    return this.resolve(feature).configured;
+  }
+
+  /**
+   * Generate text
+   * @param {object} options
+   * @param {string} options.feature - feature key for model selection/accounting
+   * @param {string} [options.userId] - user the call is billed to
+   * @param {string} [options.prompt] - user prompt (appended after history)
+   * @param {string} [options.system] - system instruction
+   * @param {Array}  [options.history] - [{ role: 'user'|'assistant', content }]
+   * @param {boolean} [options.json] - ask for a JSON response
+   * @param {*} [options.mockResponse] - fixed response/function used only by the mock provider
+   * @returns {object} { text, provider, model, usage, cost, attempts, latencyMs }
+   */
+  async generate(options = {}) {
+    const {
+      feature = 'default',
+      userId,
+      prompt,
+      system,
+      history = [],
+      json = false,
+      mockResponse
+    } = options;
+
+    const resolved = this.resolve(feature);
+    if (!resolved.configured) {
+      throw new AIProviderError(`No AI provider configured for ${feature}`, 'NOT_CONFIGURED');
+    }
+
+    const provider = this.providers.get(resolved.provider);
+    const messages = [...history];
+    if (prompt) messages.push({ role: 'user', content: prompt });
+
+    const request = {
+      feature,
+      model: resolved.model,
+      system,
+      messages,
+      maxTokens: options.maxTokens || resolved.maxTokens,
+      temperature: options.temperature !== undefined ? options.temperature : resolved.temperature,
+      json,
+      timeoutMs: options.timeoutMs || aiConfig.timeoutMs
+    };
+    if (provider.name === 'mock') request.mockResponse = mockResponse;
+
+    const maxRetries = options.retries !== undefined ? options.retries : aiConfig.maxRetries;
+    const startedAt = Date.now();
+    let attempts = 0;
+    let lastError;
+
+    while (attempts <= maxRetries) {
+      attempts++;
+      try {
+        const result = await this.withTimeout(signal => provider.generate({ ...request, signal }), request.timeoutMs);
+        const cost = aiConfig.calculateCost(resolved.model, result.usage.inputTokens, result.usage.outputTokens);
+        const latencyMs = Date.now() - startedAt;
+
+        this.recordUsage({
+          userId,
+          feature,
+          provider: provider.name,
+          model: resolved.model,
+          inputTokens: result.usage.inputTokens,
+          outputTokens: result.usage.outputTokens,
+          cost,
+          latencyMs,
+          attempts,
+          success: true
+        });
+
+        return {
+          text: result.text,
+          provider: provider.name,
+          model: resolved.model,
+          usage: result.usage,
+          cost,
+          attempts,
+          latencyMs
+        };
+      } catch (error) {
+        lastError = error;
+        if (attempts > maxRetries || !this.isRetryable(error)) break;
+        await this.delay(aiConfig.retryBaseDelayMs * Math.pow(2, attempts - 1));
+      }
+    }
+
+    this.recordUsage({
+      userId,
+      feature,
+      provider: provider.name,
+      model: resolved.model,
+      latencyMs: Date.now() - startedAt,
+      attempts,
+      success: false,
+      error: lastError.message
+    });
+
+    if (lastError instanceof AIProviderError) throw lastError;
+    throw new AIProviderError(`${provider.name} request failed: ${lastError.message}`, 'PROVIDER_ERROR', lastError);
+  }
+
+  /**
+   * Generate and parse a JSON response
+   */
+  async generateJSON(options = {}) {
+    const result = await this.generate({ ...options, json: true });
+    const cleaned = result.text.trim().replace(/^```(?:json)?\s*/i, '').replace(/```$/, '').trim();
+
+    try {
+      return { ...result, data: JSON.parse(cleaned) };
+    } catch (error) {
+      throw new AIProviderError(`Invalid JSON from ${result.provider}`, 'INVALID_JSON', error);
+    }
+  }
+
+  /**
+   * Per-user usage summary
+   */
+  async getUsageSummary(userId, days = 30) {
+    return await AIUsage.getUserSummary(userId, days);
+  }
+
+  /**
+   * Run a provider call with a deadline; the call gets an AbortSignal so a
+   * timed-out request is cancelled rather than left running beside the retry
+   * @param {function} run - (signal) => Promise
+   */
+  withTimeout(run, timeoutMs) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      // Reject first so the race settles as TIMEOUT (retryable), not as the abort error
+      timer = setTimeout(() => {
+        reject(new AIProviderError(`AI request timed out after ${timeoutMs}ms`, 'TIMEOUT'));
+        controller.abort();
+      }, timeoutMs);
+    });
+    return Promise.race([run(controller.signal), timeout]).finally(() => clearTimeout(timer));
+  }
+
+  isRetryable(error) {
+    if (error.code === 'TIMEOUT') return true;
+    const status = error.status || error.statusCode || error.response?.status;
+    if (status === 429 || (status >= 500 && status < 600)) return true;
+    return /ECONNRESET|ETIMEDOUT|ENOTFOUND|fetch failed|socket hang up/i.test(error.message || '');
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Persist usage without blocking the caller (skipped when the DB is not connected)
+   */
+  recordUsage(entry) {
+    if (mongoose.connection.readyState !== 1) return;
+    if (entry.userId && !mongoose.Types.ObjectId.isValid(String(entry.userId))) delete entry.userId;
+
+    AIUsage.create(entry).catch(error => {
+      console.error('AI usage recording error:', error.message);
+    });
+  }
+}
+
+const aiProvider = new AIProvider();
+aiProvider.AIProviderError = AIProviderError;
+
+module.exports = aiProvider;
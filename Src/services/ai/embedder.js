@@ -0,0 +1,105 @@
+// ============================================
+// EMBEDDER - Text embeddings for semantic memory
+// ============================================
+// Adapters: openai, gemini, local (feature hashing, always available).
+// EMBEDDING_PROVIDER picks the adapter (defaults to AI_PROVIDER); when it
+// has no credentials or a call fails, the local embedder is used instead.
+//
+// Every vector is tagged with the model that produced it
+// ("<adapter>:<model>") - vectors from different models are not
+// comparable, so similarity is only computed within one model.
+// ============================================
+
+const aiConfig = require('../../config/ai');
+const LocalEmbedder = require('./embedders/localEmbedder');
+const OpenAIEmbedder = require('./embedders/openaiEmbedder');
+const GeminiEmbedder = require('./embedders/geminiEmbedder');
+
+class Embedder {
+  constructor() {
+    this.adapters = new Map();
+    this.registerAdapter(new LocalEmbedder());
+    this.registerAdapter(new OpenAIEmbedder(aiConfig.EMBEDDING_MODELS.openai));
+    this.registerAdapter(new GeminiEmbedder(aiConfig.EMBEDDING_MODELS.gemini));
+  }
+
+  /**
+   * Register (or replace) an adapter.
+   * Adapters implement { name, model, isConfigured(), embed(texts, options) }
+   * and optionally similarities(query, vectors).
+   */
+  registerAdapter(adapter) {
+    this.adapters.set(adapter.name, adapter);
+  }
+
+  /**
+   * Adapter used for new vectors
+   */
+  resolve() {
+    const requested = this.adapters.get(aiConfig.embeddingProvider);
+    return requested && requested.isConfigured() ? requested : this.adapters.get('local');
+  }
+
+  modelId(adapter) {
+    return `${adapter.name}:${adapter.model}`;
+  }
+
+  /**
+   * Adapter for a stored model id, if it can still embed
+   */
+  adapterFor(modelId) {
+    const [name, ...rest] = String(modelId || '').split(':');
+    const adapter = this.adapters.get(name);
+    if (!adapter || !adapter.isConfigured() || adapter.model !== rest.join(':')) return null;
+    return adapter;
+  }
+
+  /**
+   * Embed texts with the active adapter (local on failure)
+   * @param {string[]} texts
+   * @param {object} [options] - { model } to force a stored model id
+   * @returns {Array<{ vector: number[], model: string }>}
+   */
+  async embedMany(texts, { model } = {}) {
+    if (texts.length === 0) return [];
+
+    const adapter = model ? this.adapterFor(model) : this.resolve();
+    if (!adapter) throw new Error(`Embedding model ${model} is not available`);
+
+    try {
+      const vectors = await adapter.embed(texts.map(text => String(text).slice(0, 8000)), {
+        timeoutMs: aiConfig.timeoutMs
+      });
+      return vectors.map(vector => ({ vector, model: this.modelId(adapter) }));
+    } catch (error) {
+      if (adapter.name === 'local' || model) throw error;
+      console.error(`Embedding via ${adapter.name} failed, using local embedder:`, error.message);
+      return this.embedMany(texts, { model: this.modelId(this.adapters.get('local')) });
+    }
+  }
+
+  async embed(text, options = {}) {
+    const [result] = await this.embedMany([text], options);
+    return result;
+  }
+
+  /**
+   * Similarity of a query vector to vectors from the same model
+   */
+  similarities(modelId, query, vectors) {
+    const adapter = this.adapters.get(String(modelId).split(':')[0]);
+    if (adapter?.similarities) return adapter.similarities(query, vectors);
+
+    return vectors.map(vector => {
+      let dot = 0, normA = 0, normB = 0;
+      for (let i = 0; i < Math.min(query.length, vector.length); i++) {
+        dot += query[i] * vector[i];
+        normA += query[i] * query[i];
+        normB += vector[i] * vector[i];
+      }
+      return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+    });
+  }
+}
+
+module.exports = new Embedder();
@@ -0,0 +1,25 @@
+// Src/services/ai/embedders/geminiEmbedder.js - Google embeddings adapter
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+class GeminiEmbedder {
+  constructor(model = 'text-embedding-004') {
+    this.name = 'gemini';
+    this.model = model;
+    this.apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_AI_API_KEY;
+    this.client = this.apiKey ? new GoogleGenerativeAI(this.apiKey) : null;
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  async embed(texts, { timeoutMs } = {}) {
+    const model = this.client.getGenerativeModel({ model: this.model }, { timeout: timeoutMs });
+    const result = await model.batchEmbedContents({
+      requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+    });
+    return result.embeddings.map(embedding => embedding.values);
+  }
+}
+
+module.exports = GeminiEmbedder;
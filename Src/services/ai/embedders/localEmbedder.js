@@ -0,0 +1,100 @@
+// Src/services/ai/embedders/localEmbedder.js - Offline hashing embedder
+// Signed feature hashing of unigrams and bigrams with sublinear TF.
+// Vectors carry no corpus statistics, so similarities() applies IDF
+// weights computed over the candidate set at query time (TF-IDF).
+const DIMENSIONS = 256;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'if', 'then', 'so', 'to', 'of', 'in', 'on', 'at', 'by', 'for',
+  'with', 'about', 'from', 'as', 'is', 'are', 'was', 'were', 'be', 'been', 'am', 'do', 'does', 'did',
+  'have', 'has', 'had', 'it', 'its', 'this', 'that', 'these', 'those', 'i', 'me', 'my', 'you', 'your',
+  'we', 'our', 'he', 'she', 'they', 'them', 'what', 'which', 'who', 'how', 'can', 'could', 'would',
+  'should', 'will', 'just', 'im', 'ive', 'dont', 'not', 'no', 'yes', 'very', 'really', 'some', 'any'
+]);
+
+// Crude suffix stripping so "runs"/"running"/"ran" cluster a little
+const stem = (word) => {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/'/g, '')
+  .split(/[^a-z0-9]+/)
+  .filter(word => word.length > 1 && !STOPWORDS.has(word))
+  .map(stem);
+
+// FNV-1a 32-bit
+const hash = (text) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+const normalize = (vector) => {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm ? vector.map(v => v / norm) : vector;
+};
+
+class LocalEmbedder {
+  constructor() {
+    this.name = 'local';
+    this.model = `hash-${DIMENSIONS}`;
+    this.dimensions = DIMENSIONS;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+
+  embedOne(text) {
+    const tokens = tokenize(text);
+    const counts = new Map();
+    const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+
+    tokens.forEach((token, index) => {
+      add(token, 1);
+      if (index > 0) add(`${tokens[index - 1]} ${token}`, 0.5);
+    });
+
+    const vector = new Array(DIMENSIONS).fill(0);
+    counts.forEach((count, feature) => {
+      const h = hash(feature);
+      const sign = (h & 0x80000000) ? -1 : 1;
+      vector[h % DIMENSIONS] += sign * (1 + Math.log(count));
+    });
+
+    return normalize(vector).map(v => Math.round(v * 1e5) / 1e5);
+  }
+
+  /**
+   * Cosine similarity after IDF weighting over the candidate set
+   */
+  similarities(query, vectors) {
+    const documents = vectors.length + 1;
+    const idf = new Array(DIMENSIONS).fill(0).map((_, dim) => {
+      const df = vectors.reduce((count, vector) => count + (vector[dim] ? 1 : 0), query[dim] ? 1 : 0);
+      return Math.log((documents + 1) / (df + 1)) + 1;
+    });
+
+    const weigh = (vector) => normalize(vector.map((v, dim) => v * idf[dim]));
+    const q = weigh(query);
+
+    return vectors.map(vector => {
+      const v = weigh(vector);
+      return v.reduce((sum, value, dim) => sum + value * q[dim], 0);
+    });
+  }
+}
+
+module.exports = LocalEmbedder;
@@ -0,0 +1,24 @@
+// Src/services/ai/embedders/openaiEmbedder.js - OpenAI embeddings adapter
+const OpenAI = require('openai');
+
+class OpenAIEmbedder {
+  constructor(model = 'text-embedding-3-small') {
+    this.name = 'openai';
+    this.model = model;
+    this.apiKey = process.env.OPENAI_API_KEY;
+    this.client = this.apiKey ? new OpenAI({ apiKey: this.apiKey, maxRetries: 1 }) : null;
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  async embed(texts, { timeoutMs } = {}) {
+    const response = await this.client.embeddings.create({ model: this.model, input: texts }, { timeout: timeoutMs });
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+module.exports = OpenAIEmbedder;
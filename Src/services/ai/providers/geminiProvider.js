@@ -0,0 +1,51 @@
+// Src/services/ai/providers/geminiProvider.js - Google Gemini adapter
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+class GeminiProvider {
+  constructor() {
+    this.name = 'gemini';
+    this.apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_AI_API_KEY;
+    this.client = this.apiKey ? new GoogleGenerativeAI(this.apiKey) : null;
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  /**
+   * Generate a completion
+   * @param {object} request - { model, system, messages, maxTokens, temperature, json, timeoutMs, signal }
+   * @returns {object} { text, usage: { inputTokens, outputTokens } }
+   */
+  async generate({ model, system, messages, maxTokens, temperature, json, timeoutMs, signal }) {
+    const generationConfig = {
+      maxOutputTokens: maxTokens,
+      temperature
+    };
+    if (json) generationConfig.responseMimeType = 'application/json';
+
+    const modelParams = { model, generationConfig };
+    if (system) modelParams.systemInstruction = system;
+
+    const generativeModel = this.client.getGenerativeModel(modelParams, { timeout: timeoutMs });
+
+    const result = await generativeModel.generateContent({
+      contents: messages.map(msg => ({
+        role: msg.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: msg.content }]
+      }))
+    }, { signal });
+
+    const usage = result.response.usageMetadata || {};
+
+    return {
+      text: result.response.text(),
+      usage: {
+        inputTokens: usage.promptTokenCount || 0,
+        outputTokens: usage.candidatesTokenCount || 0
+      }
+    };
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,49 @@
+// Src/services/ai/providers/openaiProvider.js - OpenAI chat completions adapter
+const OpenAI = require('openai');
+
+class OpenAIProvider {
+  constructor() {
+    this.name = 'openai';
+    this.apiKey = process.env.OPENAI_API_KEY;
+    // Retries are handled by aiProvider so every provider behaves the same
+    this.client = this.apiKey ? new OpenAI({ apiKey: this.apiKey, maxRetries: 0 }) : null;
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  /**
+   * Generate a completion
+   * @param {object} request - { model, system, messages, maxTokens, temperature, json, timeoutMs, signal }
+   * @returns {object} { text, usage: { inputTokens, outputTokens } }
+   */
+  async generate({ model, system, messages, maxTokens, temperature, json, timeoutMs, signal }) {
+    const chatMessages = [];
+    if (system) chatMessages.push({ role: 'system', content: system });
+    messages.forEach(msg => chatMessages.push({
+      role: msg.role === 'assistant' ? 'assistant' : 'user',
+      content: msg.content
+    }));
+
+    const params = {
+      model,
+      messages: chatMessages,
+      max_tokens: maxTokens,
+      temperature
+    };
+    if (json) params.response_format = { type: 'json_object' };
+
+    const completion = await this.client.chat.completions.create(params, { timeout: timeoutMs, signal });
+
+    return {
+      text: completion.choices?.[0]?.message?.content || '',
+      usage: {
+        inputTokens: completion.usage?.prompt_tokens || 0,
+        outputTokens: completion.usage?.completion_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,972 @@
+// ================================================================
+// AUTO-SCHEDULER
+// ================================================================
+// File: Src/services/earth/autoScheduler.js
+// Purpose: Constraint-based placement of focus, workout and recovery
+//          blocks around the user's calendar and energy curve
+// System: Earth (Calendar & Energy)
+//
+// Hard constraints: existing events (plus each side's buffer from
+// CalendarEvent.getOptimalBufferTime), working hours for focus blocks,
+// the workout window, and slots the user already rejected. Within them
+// blocks go where predicted energy (EnergyPattern) is highest, with a
+// bonus for peak hours. Placement order:
+//   1. recovery breaks after long meeting runs or stressful meetings
+//   2. active training plan sessions without a calendar event, near
+//      the plan's session time
+//   3. focus blocks on work days
+//   4. weekly workouts on non-adjacent days, unless a training plan
+//      already covers the range
+//
+// Plans are previewed (dryRun) or saved as SchedulePlans whose blocks
+// are accepted or rejected one at a time. Accepted blocks become
+// auto-scheduled CalendarEvents written back to the provider calendar.
+// Calendar changes trigger replan(), which moves displaced blocks.
+// ================================================================
+
+const moment = require('moment-timezone');
+const SchedulePlan = require('../../models/earth/SchedulePlan');
+const CalendarEvent = require('../../models/earth/CalendarEvent');
+const EnergyPattern = require('../../models/earth/EnergyPattern');
+const TrainingPlan = require('../../models/venus/TrainingPlan');
+const User = require('../../models/User');
+const calendarSync = require('./calendarSync');
+const ErrorResponse = require('../../utils/errorResponse');
+
+// ================================================================
+// CONFIGURATION
+// ================================================================
+
+const MINUTE_MS = 60 * 1000;
+const SLOT_MINUTES = 15;
+const SLOT_MS = SLOT_MINUTES * MINUTE_MS;
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 14;
+
+// Top share of waking hours treated as peaks, and their score bonus
+const PEAK_SHARE = 0.2;
+const PEAK_BONUS = 15;
+const WAKING_HOURS = { start: 6, end: 22 };
+
+// Meetings closer than this form one run; recovery goes within the hour after
+const MEETING_RUN_GAP_MINUTES = 15;
+const RECOVERY_WINDOW_MINUTES = 60;
+const STRESSFUL_RUN_MINUTES = 60;
+
+// All-day entries (holidays, birthdays, OOO markers) don't block time
+const ALL_DAY_MS = 20 * 60 * MINUTE_MS;
+
+const CLOCK = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DEFAULT_SETTINGS = {
+  timezone: 'UTC',
+  workingHours: { start: '09:00', end: '17:30' },
+  workDays: [1, 2, 3, 4, 5],
+  focus: { minutes: 90, minMinutes: 45, perDay: 2 },
+  workout: { minutes: 60, perWeek: 3, earliest: '06:00', latest: '21:00' },
+  recovery: { minutes: 15, afterMeetingMinutes: 120 },
+  syncToCalendar: true
+};
+
+// Typical energy (0-100) by hour, used until the user has logged some
+const DEFAULT_ENERGY = [
+  20, 15, 10, 10, 10, 15, 35, 55, 70, 80, 85, 80,
+  65, 55, 60, 70, 72, 68, 60, 50, 45, 35, 30, 25
+];
+
+const BLOCK_DEFAULTS = {
+  focus: { title: 'Focus time', meetingType: 'focus', energyRequirement: 4, bufferMinutes: 15 },
+  workout: { title: 'Workout', meetingType: 'workout', energyRequirement: 4, bufferMinutes: 15 },
+  // Recovery is itself the buffer after meetings
+  recovery: { title: 'Recovery break', meetingType: 'other', energyRequirement: 1, bufferMinutes: 0 }
+};
+
+const LIVE_STATUSES = ['proposed', 'accepted', 'conflicted'];
+
+// ================================================================
+// SETTINGS
+// ================================================================
+
+/**
+ * Scheduling settings stored under user.preferences.scheduling, with defaults
+ */
+const settingsFrom = (stored = {}) => ({
+  ...DEFAULT_SETTINGS,
+  ...stored,
+  workingHours: { ...DEFAULT_SETTINGS.workingHours, ...(stored.workingHours || {}) },
+  focus: { ...DEFAULT_SETTINGS.focus, ...(stored.focus || {}) },
+  workout: { ...DEFAULT_SETTINGS.workout, ...(stored.workout || {}) },
+  recovery: { ...DEFAULT_SETTINGS.recovery, ...(stored.recovery || {}) }
+});
+
+const loadSettings = async (userId) => {
+  const user = await User.findById(userId).select('preferences');
+  if (!user) throw new ErrorResponse('User not found', 404);
+  return { user, settings: settingsFrom(user.preferences?.scheduling) };
+};
+
+const clockValue = (value, field) => {
+  if (!CLOCK.test(String(value))) throw new ErrorResponse(`${field} must be a time in HH:MM format`, 400);
+  return String(value);
+};
+
+const boundedNumber = (value, field, min, max) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new ErrorResponse(`${field} must be a whole number between ${min} and ${max}`, 400);
+  }
+  return number;
+};
+
+const minutesOf = (clock) => {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+exports.getSettings = async (userId) => {
+  const { settings } = await loadSettings(userId);
+  return settings;
+};
+
+exports.updateSettings = async (userId, updates = {}) => {
+  const { user, settings } = await loadSettings(userId);
+
+  if (updates.timezone !== undefined) {
+    if (!moment.tz.zone(String(updates.timezone))) {
+      throw new ErrorResponse('timezone must be an IANA time zone such as Europe/Berlin', 400);
+    }
+    settings.timezone = String(updates.timezone);
+  }
+  if (updates.workingHours !== undefined) {
+    const start = clockValue(updates.workingHours.start ?? settings.workingHours.start, 'workingHours.start');
+    const end = clockValue(updates.workingHours.end ?? settings.workingHours.end, 'workingHours.end');
+    if (minutesOf(end) - minutesOf(start) < 60) {
+      throw new ErrorResponse('workingHours must span at least an hour', 400);
+    }
+    settings.workingHours = { start, end };
+  }
+  if (updates.workDays !== undefined) {
+    if (!Array.isArray(updates.workDays)) {
+      throw new ErrorResponse('workDays must be a list of weekdays (0 = Sunday)', 400);
+    }
+    settings.workDays = [...new Set(updates.workDays.map(day => boundedNumber(day, 'workDays', 0, 6)))].sort();
+  }
+  if (updates.focus !== undefined) {
+    const focus = { ...settings.focus, ...updates.focus };
+    focus.minutes = boundedNumber(focus.minutes, 'focus.minutes', 30, 240);
+    focus.minMinutes = boundedNumber(focus.minMinutes, 'focus.minMinutes', 15, focus.minutes);
+    focus.perDay = boundedNumber(focus.perDay, 'focus.perDay', 0, 4);
+    settings.focus = focus;
+  }
+  if (updates.workout !== undefined) {
+    const workout = { ...settings.workout, ...updates.workout };
+    workout.minutes = boundedNumber(workout.minutes, 'workout.minutes', 15, 180);
+    workout.perWeek = boundedNumber(workout.perWeek, 'workout.perWeek', 0, 7);
+    workout.earliest = clockValue(workout.earliest, 'workout.earliest');
+    workout.latest = clockValue(workout.latest, 'workout.latest');
+    if (minutesOf(workout.latest) - minutesOf(workout.earliest) < workout.minutes) {
+      throw new ErrorResponse('workout.earliest to workout.latest must fit a workout', 400);
+    }
+    settings.workout = workout;
+  }
+  if (updates.recovery !== undefined) {
+    const recovery = { ...settings.recovery, ...updates.recovery };
+    recovery.minutes = boundedNumber(recovery.minutes, 'recovery.minutes', 5, 60);
+    recovery.afterMeetingMinutes = boundedNumber(recovery.afterMeetingMinutes, 'recovery.afterMeetingMinutes', 30, 480);
+    settings.recovery = recovery;
+  }
+  if (updates.syncToCalendar !== undefined) {
+    settings.syncToCalendar = updates.syncToCalendar === true || updates.syncToCalendar === 'true';
+  }
+
+  user.preferences = { ...(user.preferences || {}), scheduling: settings };
+  user.markModified('preferences');
+  await user.save();
+  return settings;
+};
+
+// ================================================================
+// CONTEXT
+// ================================================================
+
+const blocksTime = (event) => event.endTime - event.startTime < ALL_DAY_MS;
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * Hourly energy for one day: the weekday prediction, else the recent
+ * average, else DEFAULT_ENERGY; hours without data use the default
+ */
+const energyFor = async (userId, date, cache) => {
+  const weekday = date.getDay();
+  if (!cache.byWeekday.has(weekday)) {
+    const predicted = await EnergyPattern.predictPattern(userId, date);
+    cache.byWeekday.set(weekday, predicted?.prediction?.length ? predicted.prediction : null);
+  }
+
+  let hours = cache.byWeekday.get(weekday);
+  let source = 'prediction';
+  if (!hours) {
+    if (cache.average === undefined) {
+      const average = await EnergyPattern.getAveragePattern(userId, 30);
+      cache.average = average?.averagePattern?.length ? average.averagePattern : null;
+    }
+    hours = cache.average;
+    source = hours ? 'average' : 'default';
+  }
+
+  const energy = [...DEFAULT_ENERGY];
+  (hours || []).forEach(({ hour, energyLevel }) => { energy[hour] = energyLevel; });
+
+  const waking = energy
+    .map((level, hour) => ({ level, hour }))
+    .filter(({ hour }) => hour >= WAKING_HOURS.start && hour < WAKING_HOURS.end)
+    .sort((a, b) => b.level - a.level);
+  const peaks = new Set(waking.slice(0, Math.ceil(waking.length * PEAK_SHARE)).map(({ hour }) => hour));
+
+  return { energy, peaks, source };
+};
+
+/**
+ * Everything placement needs for [rangeStart, rangeEnd): days in the
+ * user's time zone with their energy, calendar events, and busy time
+ */
+const loadContext = async (userId, settings, rangeStart, rangeEnd) => {
+  const tz = settings.timezone;
+  const events = await CalendarEvent.find({
+    userId,
+    startTime: { $lt: rangeEnd },
+    endTime: { $gt: rangeStart },
+    status: { $ne: 'cancelled' },
+    duplicateOf: null
+  }).sort({ startTime: 1 });
+
+  const cache = { byWeekday: new Map(), average: undefined };
+  const sources = new Set();
+  const days = [];
+  for (let day = moment.tz(rangeStart, tz).startOf('day'); day.valueOf() < rangeEnd.getTime(); day = day.clone().add(1, 'day')) {
+    const { energy, peaks, source } = await energyFor(userId, day.toDate(), cache);
+    sources.add(source);
+    days.push({ index: days.length, date: day, key: day.format('YYYY-MM-DD'), weekday: day.day(), energy, peaks });
+  }
+
+  const busy = events.filter(blocksTime).map(event => ({
+    start: event.startTime.getTime(),
+    end: event.endTime.getTime(),
+    buffer: event.getOptimalBufferTime(),
+    eventId: String(event._id)
+  }));
+
+  return {
+    userId,
+    settings,
+    tz,
+    now: Date.now(),
+    events,
+    days,
+    busy,
+    avoid: [],
+    energySource: ['prediction', 'average', 'default'].find(source => sources.has(source)) || 'default'
+  };
+};
+
+const dayOf = (ctx, time) => ctx.days.find(day => day.key === moment.tz(time, ctx.tz).format('YYYY-MM-DD')) || null;
+
+const atClock = (day, clock) => {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return day.date.clone().hour(hours).minute(minutes).second(0).millisecond(0).valueOf();
+};
+
+const isWorkDay = (ctx, day) => ctx.settings.workDays.includes(day.weekday);
+
+/**
+ * Free of busy time (keeping both sides' buffers) and rejected slots
+ */
+const isFree = (ctx, start, end, type, ignoreEventId = null) => {
+  const ownBuffer = BLOCK_DEFAULTS[type].bufferMinutes;
+  const clearOfBusy = ctx.busy.every(interval => {
+    if (ignoreEventId && interval.eventId === ignoreEventId) return true;
+    const gap = type === 'recovery' ? 0 : Math.max(interval.buffer, ownBuffer) * MINUTE_MS;
+    return end + gap <= interval.start || start >= interval.end + gap;
+  });
+  return clearOfBusy && ctx.avoid.every(interval => !overlaps({ start, end }, interval));
+};
+
+const energyOver = (ctx, day, start, end) => {
+  let total = 0;
+  let slots = 0;
+  let peak = false;
+  for (let time = start; time < end; time += SLOT_MS) {
+    const hour = moment.tz(time, ctx.tz).hour();
+    total += day.energy[hour];
+    peak = peak || day.peaks.has(hour);
+    slots++;
+  }
+  return { energy: Math.round(total / Math.max(1, slots)), peak };
+};
+
+/**
+ * Windows a block type may use on a day, as [from, to] pairs
+ */
+const windowsFor = (ctx, type, day, { pinned = false, near = null } = {}) => {
+  const { workingHours, workout } = ctx.settings;
+
+  if (type === 'focus') {
+    return isWorkDay(ctx, day) ? [[atClock(day, workingHours.start), atClock(day, workingHours.end)]] : [];
+  }
+  if (type === 'recovery') {
+    return [[near, near + (RECOVERY_WINDOW_MINUTES + ctx.settings.recovery.minutes) * MINUTE_MS]];
+  }
+
+  const earliest = atClock(day, workout.earliest);
+  const latest = atClock(day, workout.latest);
+  // Plan sessions keep their own time; other workouts stay out of work hours
+  if (pinned || !isWorkDay(ctx, day)) return [[earliest, latest]];
+  return [
+    [earliest, Math.min(latest, atClock(day, workingHours.start))],
+    [Math.max(earliest, atClock(day, workingHours.end)), latest]
+  ].filter(([from, to]) => to > from);
+};
+
+/**
+ * Best free slot on a day
+ * Scored by energy (+ peak bonus), or by closeness to `near` when given.
+ * Long blocks shrink in slot steps down to minMinutes if nothing fits.
+ */
+const findSlot = (ctx, type, day, { minutes, minMinutes = minutes, near = null, pinned = false, ignoreEventId = null }) => {
+  const earliestStart = Math.ceil(ctx.now / SLOT_MS) * SLOT_MS;
+  const windows = windowsFor(ctx, type, day, { pinned, near });
+
+  for (let length = minutes; length >= minMinutes; length -= SLOT_MINUTES) {
+    let best = null;
+    for (const [from, to] of windows) {
+      for (let start = from; start + length * MINUTE_MS <= to; start += SLOT_MS) {
+        if (start < earliestStart) continue;
+        const end = start + length * MINUTE_MS;
+        if (!isFree(ctx, start, end, type, ignoreEventId)) continue;
+
+        const { energy, peak } = energyOver(ctx, day, start, end);
+        const score = near !== null
+          ? -Math.abs(start - near) / MINUTE_MS + energy / 100
+          : energy + (peak ? PEAK_BONUS : 0);
+        if (!best || score > best.score) best = { start, end, energy, peak, score };
+      }
+    }
+    if (best) return best;
+  }
+  return null;
+};
+
+const occupy = (ctx, type, start, end) => {
+  ctx.busy.push({ start, end, buffer: BLOCK_DEFAULTS[type].bufferMinutes });
+};
+
+const formatHours = (ms) => `${Math.round(ms / (60 * MINUTE_MS) * 10) / 10}h`;
+
+const blockFrom = (type, slot, fields = {}) => ({
+  type,
+  title: BLOCK_DEFAULTS[type].title,
+  start: new Date(slot.start),
+  end: new Date(slot.end),
+  energyScore: slot.energy,
+  reason: slot.peak
+    ? `Peak energy window (${slot.energy}/100)`
+    : `Best free window by energy (${slot.energy}/100)`,
+  status: 'proposed',
+  ...fields
+});
+
+// ================================================================
+// PLACEMENT
+// ================================================================
+
+/**
+ * Runs of back-to-back meetings (recovery candidates)
+ */
+const meetingRuns = (ctx) => {
+  const meetings = ctx.events.filter(event =>
+    blocksTime(event) && !event.autoScheduled && !['focus', 'workout'].includes(event.meetingType)
+  );
+
+  const runs = [];
+  meetings.forEach(event => {
+    const last = runs[runs.length - 1];
+    if (last && event.startTime.getTime() - last.end <= MEETING_RUN_GAP_MINUTES * MINUTE_MS) {
+      last.end = Math.max(last.end, event.endTime.getTime());
+      last.stressful = last.stressful || event.meetingType === 'stressful';
+    } else {
+      runs.push({ start: event.startTime.getTime(), end: event.endTime.getTime(), stressful: event.meetingType === 'stressful' });
+    }
+  });
+  return runs;
+};
+
+const placeRecovery = (ctx, blocks, unplaced) => {
+  const { recovery } = ctx.settings;
+
+  meetingRuns(ctx).forEach(run => {
+    const length = run.end - run.start;
+    const long = length >= recovery.afterMeetingMinutes * MINUTE_MS;
+    if (!long && !(run.stressful && length >= STRESSFUL_RUN_MINUTES * MINUTE_MS)) return;
+    if (run.end < ctx.now) return;
+
+    const day = dayOf(ctx, run.end);
+    if (!day || moment.tz(run.end, ctx.tz).hour() >= WAKING_HOURS.end) return;
+
+    // Already followed by a recovery break from an earlier plan
+    const hasBreak = ctx.events.some(event => event.autoScheduled && event.meetingType === BLOCK_DEFAULTS.recovery.meetingType &&
+      event.startTime.getTime() >= run.end && event.startTime.getTime() <= run.end + RECOVERY_WINDOW_MINUTES * MINUTE_MS);
+    if (hasBreak) return;
+
+    const slot = findSlot(ctx, 'recovery', day, { minutes: recovery.minutes, near: run.end });
+    if (!slot) {
+      unplaced.push({ type: 'recovery', date: new Date(run.end), reason: 'No free time within an hour of the meetings' });
+      return;
+    }
+
+    occupy(ctx, 'recovery', slot.start, slot.end);
+    blocks.push(blockFrom('recovery', slot, {
+      reason: long
+        ? `After ${formatHours(length)} of back-to-back meetings`
+        : 'After a stressful meeting'
+    }));
+  });
+};
+
+/**
+ * Active training plans overlapping the range, and their sessions in it
+ * that have no calendar event yet
+ */
+const loadTraining = async (ctx, rangeStart, rangeEnd) => {
+  const plans = await TrainingPlan.find({
+    userId: ctx.userId,
+    status: 'active',
+    startDate: { $lt: rangeEnd },
+    targetDate: { $gte: rangeStart }
+  });
+
+  const sessions = [];
+  plans.forEach(plan => plan.microcycles.forEach(week => week.sessions.forEach(session => {
+    if (session.status !== 'planned' || session.calendarEventId) return;
+    if (session.date < rangeStart || session.date >= rangeEnd) return;
+    sessions.push({ plan, week, session });
+  })));
+
+  return { plans, sessions };
+};
+
+const sessionTitle = (plan, session) => `${plan.name}${session.focus ? ` - ${session.focus}` : ''}`;
+
+const placeSessions = (ctx, sessions, blocks, unplaced) => {
+  sessions.forEach(({ plan, session }) => {
+    const day = dayOf(ctx, session.date);
+    if (!day) return;
+
+    const slot = findSlot(ctx, 'workout', day, {
+      minutes: plan.sessionDuration,
+      near: session.date.getTime(),
+      pinned: true
+    });
+    if (!slot) {
+      unplaced.push({ type: 'workout', date: session.date, reason: `No free time for the ${plan.name} session` });
+      return;
+    }
+
+    occupy(ctx, 'workout', slot.start, slot.end);
+    blocks.push(blockFrom('workout', slot, {
+      title: sessionTitle(plan, session),
+      reason: slot.start === session.date.getTime()
+        ? `${plan.name} session at its planned time`
+        : `${plan.name} session, moved to the nearest free time`,
+      trainingPlanId: plan._id,
+      trainingSessionId: session._id
+    }));
+  });
+};
+
+const placeFocus = (ctx, blocks, unplaced) => {
+  const { focus } = ctx.settings;
+
+  ctx.days.filter(day => isWorkDay(ctx, day)).forEach(day => {
+    const existing = ctx.events.filter(event =>
+      event.meetingType === 'focus' && dayOf(ctx, event.startTime.getTime()) === day
+    ).length;
+
+    for (let count = existing; count < focus.perDay; count++) {
+      const slot = findSlot(ctx, 'focus', day, { minutes: focus.minutes, minMinutes: focus.minMinutes });
+      if (!slot) {
+        // Days already over are not worth reporting
+        if (atClock(day, ctx.settings.workingHours.end) > ctx.now) {
+          unplaced.push({ type: 'focus', date: day.date.toDate(), reason: 'Not enough free time in working hours' });
+        }
+        return;
+      }
+      occupy(ctx, 'focus', slot.start, slot.end);
+      blocks.push(blockFrom('focus', slot));
+    }
+  });
+};
+
+/**
+ * Weekly workouts on the best-energy days, keeping a rest day between
+ * workouts where the week allows
+ */
+const placeWorkouts = (ctx, blocks, unplaced) => {
+  const { workout } = ctx.settings;
+  const workoutDays = new Set([
+    ...ctx.events.filter(event => event.meetingType === 'workout').map(event => dayOf(ctx, event.startTime.getTime())?.index),
+    ...blocks.filter(block => block.type === 'workout').map(block => dayOf(ctx, block.start.getTime())?.index)
+  ].filter(index => index !== undefined));
+
+  let wanted = Math.round(workout.perWeek * ctx.days.length / 7) - workoutDays.size;
+  if (wanted <= 0) return;
+
+  const options = ctx.days
+    .filter(day => !workoutDays.has(day.index))
+    .map(day => ({ day, slot: findSlot(ctx, 'workout', day, { minutes: workout.minutes }) }))
+    .filter(option => option.slot)
+    .sort((a, b) => b.slot.score - a.slot.score);
+
+  const restful = (option) => ![option.day.index - 1, option.day.index + 1].some(index => workoutDays.has(index));
+  for (const pass of [restful, () => true]) {
+    for (const option of options) {
+      if (wanted <= 0) return;
+      if (workoutDays.has(option.day.index) || !pass(option)) continue;
+
+      // Slots found per day are still free unless an earlier pick took them
+      const slot = findSlot(ctx, 'workout', option.day, { minutes: workout.minutes });
+      if (!slot) continue;
+      occupy(ctx, 'workout', slot.start, slot.end);
+      blocks.push(blockFrom('workout', slot, {
+        reason: `Best energy outside working hours (${slot.energy}/100)`
+      }));
+      workoutDays.add(option.day.index);
+      wanted--;
+    }
+  }
+
+  if (wanted > 0) {
+    unplaced.push({ type: 'workout', date: ctx.days[0].date.toDate(), reason: `${wanted} weekly workout(s) found no free slot` });
+  }
+};
+
+const parseTypes = (types) => {
+  if (types === undefined || types === null || types === '') return [...SchedulePlan.BLOCK_TYPES];
+  const list = Array.isArray(types) ? types : String(types).split(',');
+  const invalid = list.filter(type => !SchedulePlan.BLOCK_TYPES.includes(type));
+  if (invalid.length > 0 || list.length === 0) {
+    throw new ErrorResponse(`types must be any of: ${SchedulePlan.BLOCK_TYPES.join(', ')}`, 400);
+  }
+  return list;
+};
+
+// ================================================================
+// PLANS
+// ================================================================
+
+const completeExpiredPlans = (userId) => SchedulePlan.updateMany(
+  { userId, status: 'active', rangeEnd: { $lte: new Date() } },
+  { $set: { status: 'completed' } }
+);
+
+const getPlan = async (userId, planId) => {
+  const plan = await SchedulePlan.findOne({ _id: planId, userId });
+  if (!plan) throw new ErrorResponse('Schedule plan not found', 404);
+  return plan;
+};
+
+/**
+ * Rejected slots are not proposed again
+ */
+const avoidRejected = (ctx, plans) => {
+  plans.forEach(plan => plan.blocks.forEach(block => {
+    if (block.status === 'rejected') ctx.avoid.push({ start: block.start.getTime(), end: block.end.getTime() });
+  }));
+};
+
+/**
+ * Build a schedule for a range of days
+ * @param {object} options - { startDate, days (1-14), dryRun, types: focus|workout|recovery list }
+ * @returns {object} { dryRun, plan, superseded }
+ */
+exports.generatePlan = async (userId, options = {}) => {
+  const { settings } = await loadSettings(userId);
+  const days = boundedNumber(options.days ?? DEFAULT_DAYS, 'days', 1, MAX_DAYS);
+  const types = parseTypes(options.types);
+
+  const start = options.startDate ? moment.tz(options.startDate, settings.timezone) : moment.tz(settings.timezone);
+  if (!start.isValid()) throw new ErrorResponse('startDate must be a valid date', 400);
+  const rangeStart = start.startOf('day').toDate();
+  const rangeEnd = start.clone().add(days, 'days').toDate();
+  if (rangeEnd.getTime() <= Date.now()) throw new ErrorResponse('The schedule range is already over', 400);
+
+  const existing = await SchedulePlan.findActiveOverlapping(userId, rangeStart, rangeEnd);
+  const ctx = await loadContext(userId, settings, rangeStart, rangeEnd);
+  avoidRejected(ctx, existing);
+
+  const blocks = [];
+  const unplaced = [];
+  if (types.includes('recovery')) placeRecovery(ctx, blocks, unplaced);
+  if (types.includes('workout')) {
+    const training = await loadTraining(ctx, rangeStart, rangeEnd);
+    placeSessions(ctx, training.sessions, blocks, unplaced);
+    if (types.includes('focus')) placeFocus(ctx, blocks, unplaced);
+    if (training.plans.length === 0) placeWorkouts(ctx, blocks, unplaced);
+  } else if (types.includes('focus')) {
+    placeFocus(ctx, blocks, unplaced);
+  }
+  blocks.sort((a, b) => a.start - b.start);
+
+  const draft = {
+    userId,
+    rangeStart,
+    rangeEnd,
+    timezone: settings.timezone,
+    settings,
+    energySource: ctx.energySource,
+    blocks,
+    unplaced
+  };
+  if (options.dryRun) return { dryRun: true, plan: draft, superseded: 0 };
+
+  await completeExpiredPlans(userId);
+
+  // The new plan replaces earlier proposals for the same days
+  const superseded = existing.reduce((count, plan) =>
+    count + plan.blocks.filter(block => block.status === 'proposed').length, 0);
+  if (superseded > 0) {
+    await SchedulePlan.updateMany(
+      { _id: { $in: existing.map(plan => plan._id) } },
+      { $set: { 'blocks.$[block].status': 'superseded' } },
+      { arrayFilters: [{ 'block.status': 'proposed' }] }
+    );
+  }
+
+  const plan = await SchedulePlan.create(draft);
+  return { dryRun: false, plan, superseded };
+};
+
+/**
+ * Recent schedule plans
+ * @param {object} options - { status: active|completed, limit }
+ */
+exports.getPlans = async (userId, { status = 'active', limit = 10 } = {}) => {
+  await completeExpiredPlans(userId);
+  return await SchedulePlan.find({ userId, status })
+    .sort({ rangeStart: -1 })
+    .limit(Math.min(50, Math.max(1, parseInt(limit) || 10)));
+};
+
+// ================================================================
+// DECISIONS
+// ================================================================
+
+const linkSession = (userId, block, eventId) => {
+  if (!block.trainingPlanId || !block.trainingSessionId) return null;
+  return TrainingPlan.updateOne(
+    { _id: block.trainingPlanId, userId },
+    eventId
+      ? { $set: { 'microcycles.$[].sessions.$[session].calendarEventId': eventId } }
+      : { $unset: { 'microcycles.$[].sessions.$[session].calendarEventId': 1 } },
+    { arrayFilters: [{ 'session._id': block.trainingSessionId }] }
+  );
+};
+
+/**
+ * Events overlapping a block, except its own (or the one it replaces)
+ */
+const findConflicts = async (userId, block, ownEventIds = []) => {
+  const events = await CalendarEvent.find({
+    userId,
+    _id: { $nin: ownEventIds.filter(Boolean) },
+    startTime: { $lt: block.end },
+    endTime: { $gt: block.start },
+    status: { $ne: 'cancelled' },
+    duplicateOf: null
+  }).select('title startTime endTime').lean();
+  return events.filter(blocksTime);
+};
+
+/**
+ * Cancel a block's calendar event and its provider copy
+ */
+const releaseEvent = async (userId, block) => {
+  if (!block.calendarEventId) return;
+  const event = await CalendarEvent.findOneAndUpdate(
+    { _id: block.calendarEventId, userId },
+    { $set: { status: 'cancelled' } },
+    { new: true }
+  );
+  await linkSession(userId, block, null);
+  if (!event?.writeBack) return;
+
+  try {
+    await calendarSync.removeWriteBack(userId, event);
+  } catch (error) {
+    console.error(`Could not remove calendar copy of ${event._id}: ${error.message}`);
+  }
+};
+
+/**
+ * Write an accepted block's event to the provider calendar
+ * @returns {object} write-back result, recorded on the block
+ */
+const syncBlock = async (userId, settings, block, event) => {
+  if (!settings.syncToCalendar) return { pushed: false, reason: 'Calendar sync is turned off' };
+
+  try {
+    const result = await calendarSync.writeBackEvent(userId, event);
+    block.syncError = result.pushed ? null : result.reason;
+    return result;
+  } catch (error) {
+    block.syncError = error.message;
+    return { pushed: false, reason: error.message };
+  }
+};
+
+/**
+ * Drop pending replacements of a block that stays (or goes) as it is
+ */
+const supersedeReplacements = (plan, block) => {
+  plan.blocks.forEach(other => {
+    if (other.status === 'proposed' && String(other.replacesBlockId) === String(block._id)) other.status = 'superseded';
+  });
+};
+
+const acceptBlock = async (userId, plan, block) => {
+  if (block.status === 'accepted') return { block, sync: null };
+  if (block.status === 'superseded') {
+    throw new ErrorResponse('This block was replaced - accept its replacement instead', 409);
+  }
+  if (block.end.getTime() <= Date.now()) throw new ErrorResponse('This block is already over', 400);
+
+  const replaced = block.replacesBlockId ? plan.blocks.id(block.replacesBlockId) : null;
+  const conflicts = await findConflicts(userId, block, [block.calendarEventId, replaced?.calendarEventId]);
+
+  // A conflicted accepted block the user keeps anyway
+  if (block.status === 'conflicted' && block.calendarEventId) {
+    block.set({ status: 'accepted', decidedAt: new Date() });
+    supersedeReplacements(plan, block);
+    await plan.save();
+    return { block, sync: null, conflicts };
+  }
+
+  if (conflicts.length > 0) {
+    block.set({ status: 'conflicted', conflictsWith: conflicts.map(event => event._id) });
+    await plan.save();
+    throw new ErrorResponse(`This block now overlaps "${conflicts[0].title}" - re-plan to get a new slot`, 409);
+  }
+
+  const defaults = BLOCK_DEFAULTS[block.type];
+  const fields = {
+    title: block.title,
+    description: block.reason,
+    startTime: block.start,
+    endTime: block.end,
+    meetingType: defaults.meetingType,
+    energyRequirement: defaults.energyRequirement
+  };
+
+  // Accepting a replacement moves the original event (and its copy)
+  let event = replaced?.calendarEventId
+    ? await CalendarEvent.findOneAndUpdate(
+      { _id: replaced.calendarEventId, userId, status: { $ne: 'cancelled' } },
+      { $set: fields },
+      { new: true }
+    )
+    : null;
+  if (event) {
+    replaced.set({ status: 'superseded', calendarEventId: null, conflictsWith: [] });
+  } else {
+    event = await CalendarEvent.create({ userId, provider: 'manual', autoScheduled: true, ...fields });
+    if (replaced && replaced.status === 'conflicted') {
+      replaced.set({ status: 'superseded', conflictsWith: [] });
+    }
+  }
+
+  block.set({ status: 'accepted', calendarEventId: event._id, conflictsWith: [], decidedAt: new Date() });
+  await linkSession(userId, block, event._id);
+
+  const sync = await syncBlock(userId, settingsFrom(plan.settings), block, event);
+  await plan.save();
+  return { block, sync, event };
+};
+
+const rejectBlock = async (userId, plan, block) => {
+  if (block.status === 'rejected') return { block };
+  if (block.status === 'superseded') throw new ErrorResponse('This block was already replaced', 409);
+
+  await releaseEvent(userId, block);
+  block.set({ status: 'rejected', decidedAt: new Date() });
+  supersedeReplacements(plan, block);
+
+  await plan.save();
+  return { block };
+};
+
+/**
+ * Accept or reject one block
+ * @param {string} decision - accept | reject
+ * @returns {object} { plan, block, sync?, event? }
+ */
+exports.decideBlock = async (userId, planId, blockId, decision) => {
+  if (!['accept', 'reject'].includes(decision)) {
+    throw new ErrorResponse('decision must be accept or reject', 400);
+  }
+
+  const plan = await getPlan(userId, planId);
+  const block = plan.blocks.id(blockId);
+  if (!block) throw new ErrorResponse('Block not found in this plan', 404);
+  if (plan.status !== 'active' && decision === 'accept') {
+    throw new ErrorResponse('This plan is no longer active', 409);
+  }
+
+  const result = decision === 'accept'
+    ? await acceptBlock(userId, plan, block)
+    : await rejectBlock(userId, plan, block);
+
+  return { plan, ...result };
+};
+
+// ================================================================
+// RE-PLANNING
+// ================================================================
+
+const replacementFor = (ctx, block, movingEventId) => {
+  const day = dayOf(ctx, block.start.getTime());
+  if (!day) return null;
+
+  // The event being moved doesn't block its own new slot
+  const ignoreEventId = movingEventId;
+  const minutes = Math.round((block.end - block.start) / MINUTE_MS);
+  let slot;
+  if (block.type === 'recovery') {
+    slot = findSlot(ctx, 'recovery', day, { minutes, near: block.start.getTime(), ignoreEventId });
+  } else if (block.trainingSessionId) {
+    slot = findSlot(ctx, 'workout', day, { minutes, near: block.start.getTime(), pinned: true, ignoreEventId });
+  } else if (block.type === 'focus') {
+    slot = findSlot(ctx, 'focus', day, { minutes, minMinutes: Math.min(minutes, ctx.settings.focus.minMinutes), ignoreEventId });
+  } else {
+    slot = findSlot(ctx, 'workout', day, { minutes, ignoreEventId });
+  }
+  if (!slot) return null;
+
+  occupy(ctx, block.type, slot.start, slot.end);
+  return blockFrom(block.type, slot, {
+    title: block.title,
+    reason: `Moved for a calendar change - ${blockFrom(block.type, slot).reason.toLowerCase()}`,
+    trainingPlanId: block.trainingPlanId,
+    trainingSessionId: block.trainingSessionId,
+    // Replacing a replacement still moves the original
+    replacesBlockId: block.calendarEventId ? block._id : block.replacesBlockId
+  });
+};
+
+/**
+ * Check one plan against the calendar and move displaced blocks
+ */
+const replanOne = async (plan, summary) => {
+  const ctx = await loadContext(plan.userId, settingsFrom(plan.settings), plan.rangeStart, plan.rangeEnd);
+  const upcoming = plan.blocks.filter(block => LIVE_STATUSES.includes(block.status) && block.end.getTime() > ctx.now);
+
+  // Accepted blocks follow their events; removing one in the calendar rejects it
+  const linked = upcoming.filter(block => block.calendarEventId);
+  const linkedEvents = new Map((await CalendarEvent.find({ _id: { $in: linked.map(block => block.calendarEventId) } })
+    .select('startTime endTime status').lean()).map(event => [String(event._id), event]));
+  for (const block of linked) {
+    const event = linkedEvents.get(String(block.calendarEventId));
+    if (!event || event.status === 'cancelled') {
+      block.set({ status: 'rejected', decidedAt: new Date() });
+      await linkSession(plan.userId, block, null);
+      summary.removed++;
+    } else if (event.startTime.getTime() !== block.start.getTime() || event.endTime.getTime() !== block.end.getTime()) {
+      block.set({ start: event.startTime, end: event.endTime });
+    }
+  }
+
+  const live = upcoming.filter(block => LIVE_STATUSES.includes(block.status));
+  const blockEventId = (id) => {
+    const original = id && plan.blocks.id(id);
+    return original?.calendarEventId ? String(original.calendarEventId) : null;
+  };
+  const hasReplacement = (block) => plan.blocks.some(other =>
+    other.status === 'proposed' && String(other.replacesBlockId) === String(block._id));
+
+  const displaced = [];
+  for (const block of live) {
+    const own = [String(block.calendarEventId || ''), blockEventId(block.replacesBlockId)];
+    const clashes = ctx.events.filter(event =>
+      blocksTime(event) && !own.includes(String(event._id)) &&
+      overlaps({ start: block.start, end: block.end }, { start: event.startTime, end: event.endTime })
+    );
+
+    if (!block.calendarEventId) {
+      // Not accepted yet: a colliding proposal is replaced outright
+      if (clashes.length === 0) {
+        if (block.status === 'conflicted') block.set({ status: 'proposed', conflictsWith: [] });
+        continue;
+      }
+      block.set({ status: 'superseded', conflictsWith: clashes.map(event => event._id) });
+      displaced.push(block);
+      summary.conflicts++;
+    } else if (clashes.length > 0) {
+      if (block.status === 'accepted') summary.conflicts++;
+      block.set({ status: 'conflicted', conflictsWith: clashes.map(event => event._id) });
+      if (!hasReplacement(block)) displaced.push(block);
+    } else if (block.status === 'conflicted') {
+      // The clash went away - keep the block where it is
+      block.set({ status: 'accepted', conflictsWith: [] });
+      supersedeReplacements(plan, block);
+      summary.resolved++;
+    }
+  }
+
+  // Proposals still standing hold their time
+  plan.blocks
+    .filter(block => block.status === 'proposed')
+    .forEach(block => occupy(ctx, block.type, block.start.getTime(), block.end.getTime()));
+  avoidRejected(ctx, [plan]);
+
+  for (const block of displaced) {
+    const replacement = replacementFor(ctx, block, block.calendarEventId ? String(block.calendarEventId) : blockEventId(block.replacesBlockId));
+    if (replacement) {
+      plan.blocks.push(replacement);
+      summary.replacements++;
+    } else {
+      plan.unplaced.push({ type: block.type, date: block.start, reason: 'No free time left that day after a calendar change' });
+      summary.unplaced++;
+    }
+  }
+
+  plan.blocks.sort((a, b) => a.start - b.start);
+  plan.lastReplannedAt = new Date();
+  await plan.save();
+  summary.plans++;
+};
+
+/**
+ * Re-check active plans against the calendar: blocks that now collide
+ * are superseded (proposed) or flagged (accepted) and a replacement is
+ * proposed on the same day
+ * @returns {object} { plans, conflicts, replacements, resolved, removed, unplaced }
+ */
+exports.replan = async (userId, planId = null) => {
+  await completeExpiredPlans(userId);
+
+  const plans = planId
+    ? [await getPlan(userId, planId)]
+    : await SchedulePlan.find({ userId, status: 'active' });
+
+  const summary = { plans: 0, conflicts: 0, replacements: 0, resolved: 0, removed: 0, unplaced: 0 };
+  for (const plan of plans) {
+    if (plan.status !== 'active') {
+      if (planId) throw new ErrorResponse('This plan is no longer active', 409);
+      continue;
+    }
+    await replanOne(plan, summary);
+  }
+  return summary;
+};
+
+// New, moved or cancelled events from a calendar sync can collide with blocks
+calendarSync.onEventsChanged((userId) => exports.replan(userId));
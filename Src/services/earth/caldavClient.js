@@ -0,0 +1,436 @@
+// ================================================================
+// CALDAV CLIENT
+// ================================================================
+// File: Src/services/earth/caldavClient.js
+// Purpose: Minimal CalDAV (RFC 4791) client for iCloud, Fastmail,
+//          Nextcloud and other servers using app-specific passwords
+// Covers: principal/calendar-home discovery, calendar listing,
+//         time-range REPORT queries, and PUT/DELETE of single events
+//
+// Every URL the client requests - the server URL, each redirect hop and
+// every href the server hands back - must resolve to a public address
+// unless CALENDAR_ALLOW_PRIVATE_URLS is 'true'. Hostnames are checked
+// in the connection's own DNS lookup (publicAgents), so the address that
+// passed is the address connected to.
+// ================================================================
+
+const axios = require('axios');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const ErrorResponse = require('../../utils/errorResponse');
+const { formatDateTime } = require('../../utils/ical');
+
+const REQUEST_TIMEOUT_MS = 20000;
+const MAX_RESPONSE_BYTES = 10 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const READ_ONLY_MESSAGE = 'This CalDAV calendar is read-only';
+
+// Well-known servers; generic CalDAV and Nextcloud need a server URL
+const SERVICES = {
+  apple: 'https://caldav.icloud.com/',
+  fastmail: 'https://caldav.fastmail.com/dav/',
+  nextcloud: null,
+  caldav: null
+};
+
+// ================================================================
+// XML
+// ================================================================
+
+const decodeEntities = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * Parse XML into { name, attributes, children, text } nodes
+ * Element names are reduced to their local part - every server picks
+ * its own namespace prefixes, and the DAV/CalDAV names don't collide.
+ */
+const parseXml = (xml) => {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tokens = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  const localName = (name) => name.slice(name.indexOf(':') + 1);
+  const readAttributes = (source = '') => {
+    const attributes = {};
+    const pattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let attribute;
+    while ((attribute = pattern.exec(source)) !== null) {
+      attributes[localName(attribute[1])] = decodeEntities(attribute[2] ?? attribute[3]);
+    }
+    return attributes;
+  };
+
+  let match;
+  while ((match = tokens.exec(xml)) !== null) {
+    const current = stack[stack.length - 1];
+    const [, cdata, closing, opening, attributeSource, selfClosing, text] = match;
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closing) {
+      if (stack.length > 1) stack.pop();
+    } else if (opening) {
+      const node = { name: localName(opening), attributes: readAttributes(attributeSource), children: [], text: '' };
+      current.children.push(node);
+      if (!selfClosing) stack.push(node);
+    } else if (text !== undefined) {
+      current.text += decodeEntities(text);
+    }
+  }
+
+  return root;
+};
+
+const findAll = (node, name, found = []) => {
+  node.children.forEach(child => {
+    if (child.name === name) found.push(child);
+    findAll(child, name, found);
+  });
+  return found;
+};
+
+const find = (node, name) => findAll(node, name)[0] || null;
+const textOf = (node) => (node ? (node.text + node.children.map(textOf).join('')).trim() : '');
+
+/**
+ * Parse a 207 Multi-Status body
+ * @returns {Array} [{ href, props: { localName: node } }] - only 2xx propstats
+ */
+const parseMultistatus = (xml) => findAll(parseXml(xml), 'response').map(response => {
+  const props = {};
+  findAll(response, 'propstat').forEach(propstat => {
+    const status = textOf(find(propstat, 'status'));
+    if (status && !/\s2\d\d\s/.test(` ${status} `)) return;
+    const prop = find(propstat, 'prop');
+    prop?.children.forEach(child => { props[child.name] = child; });
+  });
+  return { href: textOf(find(response, 'href')), props };
+});
+
+// ================================================================
+// HTTP
+// ================================================================
+
+const isPrivateAddress = (address) => {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 100 && b >= 64 && b <= 127);
+  }
+  const lower = address.toLowerCase();
+  if (lower.startsWith('::ffff:')) return isPrivateAddress(lower.slice(7));
+  return lower === '::1' || lower === '::' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+};
+
+const PRIVATE_ADDRESS_MESSAGE = 'Calendar URLs must point to a public server';
+const allowPrivate = () => process.env.CALENDAR_ALLOW_PRIVATE_URLS === 'true';
+
+/**
+ * dns.lookup for outgoing calendar connections that refuses internal
+ * addresses (the server connects on the user's behalf, with the user's
+ * credentials). Checking here rather than in a separate resolve means a
+ * rebinding hostname can't pass the check and connect elsewhere.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!allowPrivate() && addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new ErrorResponse(PRIVATE_ADDRESS_MESSAGE, 400));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// axios agents for every calendar fetch (CalDAV here, ICS in calendarSync)
+const publicAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * Refuse URLs whose host is a literal internal address; those connect
+ * without a DNS lookup, so publicLookup never sees them
+ */
+const assertPublicUrl = (url) => {
+  if (allowPrivate()) return;
+
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+    throw new ErrorResponse(PRIVATE_ADDRESS_MESSAGE, 400);
+  }
+};
+
+/**
+ * Send a WebDAV request
+ * Redirects are followed by hand so every hop passes the address check.
+ * @param {object} auth - { username, password }
+ * @returns {object} { status, data, headers, url } - url is the final URL after redirects
+ */
+const request = async (method, url, auth, { body, depth, headers = {} } = {}) => {
+  let response;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    if (!['https:', 'http:'].includes(new URL(url).protocol)) {
+      throw new ErrorResponse('CalDAV server returned a non-http(s) URL', 502);
+    }
+    assertPublicUrl(url);
+    try {
+      response = await axios({
+        method,
+        url,
+        data: body,
+        auth,
+        ...publicAgents,
+        headers: {
+          ...(body && !headers['Content-Type'] && { 'Content-Type': 'application/xml; charset=utf-8' }),
+          ...(depth !== undefined && { Depth: String(depth) }),
+          ...headers
+        },
+        timeout: REQUEST_TIMEOUT_MS,
+        maxContentLength: MAX_RESPONSE_BYTES,
+        maxRedirects: 0,
+        responseType: 'text',
+        transformResponse: [data => data],
+        validateStatus: () => true
+      });
+    } catch (error) {
+      if (error.cause instanceof ErrorResponse) throw error.cause;
+      throw new ErrorResponse(`CalDAV server unreachable: ${error.message}`, 502);
+    }
+    if (response.status < 300 || response.status >= 400 || !response.headers.location) break;
+    if (hop === MAX_REDIRECTS) throw new ErrorResponse('CalDAV server redirected too many times', 502);
+
+    url = new URL(response.headers.location, url).toString();
+    // 303 See Other always continues as a plain GET
+    if (response.status === 303 && method !== 'HEAD') {
+      method = 'GET';
+      body = undefined;
+      depth = undefined;
+    }
+  }
+
+  // A 403 on a write means the calendar is read-only, not bad credentials
+  if (response.status === 401 || (response.status === 403 && method === 'PROPFIND')) {
+    throw new ErrorResponse('CalDAV server rejected the credentials - check the username and app-specific password', 400);
+  }
+
+  const finalUrl = new URL(url);
+  finalUrl.username = '';
+  finalUrl.password = '';
+
+  return {
+    status: response.status,
+    data: response.data || '',
+    headers: response.headers,
+    url: finalUrl.toString()
+  };
+};
+
+const expectMultistatus = (response, action) => {
+  if (response.status !== 207) {
+    throw new ErrorResponse(`CalDAV ${action} failed (HTTP ${response.status})`, 502);
+  }
+  return parseMultistatus(response.data);
+};
+
+const propfind = async (url, auth, depth, props) => request('PROPFIND', url, auth, {
+  depth,
+  body: '<?xml version="1.0" encoding="utf-8"?>' +
+    '<d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav" ' +
+    'xmlns:cs="http://calendarserver.org/ns/" xmlns:ic="http://apple.com/ns/ical/">' +
+    `<d:prop>${props.join('')}</d:prop></d:propfind>`
+});
+
+const resolve = (href, base) => new URL(href, base).toString();
+
+/**
+ * Absolute URL held in an href-valued property of a Depth 0 PROPFIND, if any
+ */
+const hrefProperty = (response, name) => {
+  if (response.status !== 207) return null;
+  const property = parseMultistatus(response.data)[0]?.props[name];
+  const href = property && find(property, 'href');
+  return href ? resolve(textOf(href), response.url) : null;
+};
+
+// ================================================================
+// DISCOVERY
+// ================================================================
+
+/**
+ * Base URL for a service preset or a user-supplied server
+ */
+exports.serverUrlFor = (service, serverUrl) => {
+  if (!Object.prototype.hasOwnProperty.call(SERVICES, service)) {
+    throw new ErrorResponse(`Unsupported CalDAV service. Must be one of: ${Object.keys(SERVICES).join(', ')}`, 400);
+  }
+  if (SERVICES[service] && !serverUrl) return SERVICES[service];
+  if (!serverUrl) throw new ErrorResponse(`serverUrl is required for ${service}`, 400);
+
+  let url;
+  try {
+    url = new URL(serverUrl);
+  } catch (error) {
+    throw new ErrorResponse('serverUrl must be a valid URL', 400);
+  }
+  if (!['https:', 'http:'].includes(url.protocol)) {
+    throw new ErrorResponse('serverUrl must be an http(s) URL', 400);
+  }
+  if (service === 'nextcloud' && !url.pathname.includes('/remote.php/dav')) {
+    url.pathname = `${url.pathname.replace(/\/$/, '')}/remote.php/dav/`;
+  }
+  return url.toString();
+};
+
+/**
+ * Find the user's calendars: principal -> calendar home -> calendar collections
+ * @returns {object} { principalUrl, homeUrl, calendars: [{ url, name, color, writable }] }
+ */
+exports.discover = async (serverUrl, auth) => {
+  // Principal, falling back to the well-known path (RFC 6764)
+  let principalUrl = hrefProperty(await propfind(serverUrl, auth, 0, ['<d:current-user-principal/>']), 'current-user-principal');
+  if (!principalUrl) {
+    const wellKnown = resolve('/.well-known/caldav', serverUrl);
+    principalUrl = hrefProperty(await propfind(wellKnown, auth, 0, ['<d:current-user-principal/>']), 'current-user-principal');
+  }
+  if (!principalUrl) throw new ErrorResponse('No CalDAV principal found at this server URL', 400);
+
+  // Calendar home
+  const homeUrl = hrefProperty(await propfind(principalUrl, auth, 0, ['<c:calendar-home-set/>']), 'calendar-home-set');
+  if (!homeUrl) throw new ErrorResponse('CalDAV server did not report a calendar home', 502);
+
+  // Calendars in the home
+  const response = await propfind(homeUrl, auth, 1, [
+    '<d:resourcetype/>',
+    '<d:displayname/>',
+    '<ic:calendar-color/>',
+    '<c:supported-calendar-component-set/>',
+    '<d:current-user-privilege-set/>'
+  ]);
+
+  const calendars = expectMultistatus(response, 'calendar listing')
+    .filter(({ props }) => props.resourcetype && find(props.resourcetype, 'calendar'))
+    .filter(({ props }) => {
+      // Skip task-only (VTODO) lists
+      const components = props['supported-calendar-component-set'];
+      if (!components || components.children.length === 0) return true;
+      return findAll(components, 'comp').some(comp => String(comp.attributes.name).toUpperCase() === 'VEVENT');
+    })
+    .map(({ href, props }) => {
+      const privileges = props['current-user-privilege-set'];
+      return {
+        url: resolve(href, response.url),
+        name: textOf(props.displayname) || href.split('/').filter(Boolean).pop(),
+        color: textOf(props['calendar-color']) || undefined,
+        writable: !privileges || ['write', 'write-content', 'all'].some(name => find(privileges, name))
+      };
+    });
+
+  return { principalUrl, homeUrl, calendars };
+};
+
+// ================================================================
+// EVENTS
+// ================================================================
+
+/**
+ * VEVENT resources with any instance in [start, end]
+ * Recurring series come back as their master resource; expansion is
+ * done locally (utils/ical) so every server behaves the same.
+ * @returns {Array} [{ href, etag, data }]
+ */
+exports.fetchEvents = async (calendarUrl, auth, start, end) => {
+  const response = await request('REPORT', calendarUrl, auth, {
+    depth: 1,
+    body: '<?xml version="1.0" encoding="utf-8"?>' +
+      '<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">' +
+      '<d:prop><d:getetag/><c:calendar-data/></d:prop>' +
+      '<c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT">' +
+      `<c:time-range start="${formatDateTime(start)}" end="${formatDateTime(end)}"/>` +
+      '</c:comp-filter></c:comp-filter></c:filter>' +
+      '</c:calendar-query>'
+  });
+
+  return expectMultistatus(response, 'event query')
+    .filter(({ props }) => props['calendar-data'])
+    .map(({ href, props }) => ({
+      href: resolve(href, response.url),
+      etag: textOf(props.getetag) || null,
+      data: textOf(props['calendar-data'])
+    }));
+};
+
+/**
+ * One event resource
+ * @returns {object|null} { href, etag, data } - null when it no longer exists
+ */
+exports.getEvent = async (url, auth) => {
+  const response = await request('GET', url, auth, { headers: { Accept: 'text/calendar' } });
+
+  if (response.status === 404 || response.status === 410) return null;
+  if (response.status < 200 || response.status >= 300) {
+    throw new ErrorResponse(`CalDAV read failed (HTTP ${response.status})`, 502);
+  }
+  return { href: url, etag: response.headers.etag || null, data: response.data };
+};
+
+/**
+ * Create or replace one event resource
+ * @param {string} etag - current etag when updating (If-Match), omit to create
+ * @returns {object} { href, etag, conflict } - conflict when the resource changed remotely
+ */
+exports.putEvent = async (url, auth, ics, etag) => {
+  const response = await request('PUT', url, auth, {
+    body: ics,
+    headers: {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      ...(etag ? { 'If-Match': etag } : { 'If-None-Match': '*' })
+    }
+  });
+
+  if (response.status === 403) throw new ErrorResponse(READ_ONLY_MESSAGE, 400);
+  if (response.status === 412) return { href: url, etag, conflict: true };
+  if (response.status < 200 || response.status >= 300) {
+    throw new ErrorResponse(`CalDAV write failed (HTTP ${response.status})`, 502);
+  }
+
+  return { href: url, etag: response.headers.etag || null, conflict: false };
+};
+
+/**
+ * Delete one event resource (already gone counts as deleted)
+ */
+exports.deleteEvent = async (url, auth, etag) => {
+  const response = await request('DELETE', url, auth, {
+    headers: etag ? { 'If-Match': etag } : {}
+  });
+
+  if (response.status === 403) throw new ErrorResponse(READ_ONLY_MESSAGE, 400);
+  if (response.status === 412) return { deleted: false, conflict: true };
+  if (response.status !== 404 && (response.status < 200 || response.status >= 300)) {
+    throw new ErrorResponse(`CalDAV delete failed (HTTP ${response.status})`, 502);
+  }
+  return { deleted: true, conflict: false };
+};
+
+/**
+ * Resource URL for a new event in a calendar collection
+ */
+exports.eventUrl = (calendarUrl, uid) => resolve(`${encodeURIComponent(uid)}.ics`, calendarUrl.endsWith('/') ? calendarUrl : `${calendarUrl}/`);
+
+exports.assertPublicUrl = assertPublicUrl;
+exports.publicAgents = publicAgents;
+exports.SERVICES = Object.keys(SERVICES);
+
+module.exports = exports;
@@ -0,0 +1,94 @@
+// ============================================
+// CALENDAR FEED SCHEDULER - Background refresh of CalDAV/ICS feeds
+// ============================================
+// Every few minutes, syncs CalendarFeeds whose nextSyncAt has passed
+// (each feed sets its own refreshMinutes). Failed syncs back off inside
+// calendarSync.syncFeed and park the feed as 'error' after repeated
+// failures; a manual sync or reconnect reactivates it.
+// ============================================
+
+const cron = require('node-cron');
+const calendarSync = require('./calendarSync');
+
+const TICK_SCHEDULE = '*/5 * * * *';
+const BATCH_SIZE = 25;
+
+class CalendarFeedScheduler {
+  constructor() {
+    this.isRunning = false;
+    this.isTicking = false;
+    this.task = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start the scheduler
+   */
+  start() {
+    if (this.isRunning) {
+      console.warn('⚠️ Calendar feed scheduler already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.task = cron.schedule(TICK_SCHEDULE, () => this.tick(), { noOverlap: true });
+
+    console.log('✅ Calendar feed scheduler started');
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.task) this.task.stop();
+    this.task = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * One pass: sync every feed that is due
+   */
+  async tick() {
+    if (this.isTicking) return null;
+    this.isTicking = true;
+
+    const summary = { synced: 0, failed: 0 };
+
+    try {
+      const due = await calendarSync.findDueFeeds(BATCH_SIZE);
+
+      for (const feed of due) {
+        try {
+          await calendarSync.syncFeed(feed);
+          summary.synced++;
+        } catch (error) {
+          summary.failed++;
+          console.error(`Calendar feed sync failed for ${feed._id} (${feed.type}): ${error.message}`);
+        }
+      }
+
+      if (due.length > 0) {
+        console.log(`📅 Calendar feeds: ${summary.synced} synced, ${summary.failed} failed`);
+      }
+    } catch (error) {
+      console.error('❌ Calendar feed scheduler error:', error);
+    } finally {
+      this.isTicking = false;
+      this.lastRun = new Date();
+    }
+
+    return summary;
+  }
+
+  /**
+   * Scheduler state for health checks
+   */
+  getStatus() {
+    return {
+      running: this.isRunning,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = new CalendarFeedScheduler();
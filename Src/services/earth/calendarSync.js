@@ -3,11 +3,39 @@
 // ================================================================
 // File: Src/services/earth/calendarSync.js
 // Purpose: Handle OAuth and syncing with calendar providers
-// Providers: Google Calendar, Outlook Calendar, Apple Calendar
+// Providers: Google Calendar, Outlook Calendar (OAuth), CalDAV
+//            accounts (iCloud, Fastmail, Nextcloud) and ICS
+//            subscriptions (see CALDAV & ICS FEEDS)
+//
+// Google and Outlook sync incrementally (sync tokens / delta links in
+// CalendarSyncState) and are kept fresh by push notifications; provider
+// deletions and cancellations become tombstones, and one meeting found
+// in several calendars is merged (see DUPLICATES). Auto-scheduled
+// events are written back to the user's calendar (see PROVIDER
+// WRITE-BACK), and listeners registered with onEventsChanged hear about
+// syncs that changed anything.
+//
+// Environment:
+//   CALENDAR_ALLOW_PRIVATE_URLS   'true' allows CalDAV/ICS URLs on
+//                                 private or loopback addresses (local
+//                                 Nextcloud, scripts/caldavFixture.js)
+//   CALENDAR_WEBHOOK_URL          public https base URL for Google/Outlook
+//                                 push notifications (defaults to API_URL;
+//                                 without one, connections are polled)
 // ================================================================
 
 const axios = require('axios');
+const mongoose = require('mongoose');
 const CalendarEvent = require('../../models/earth/CalendarEvent');
+const CalendarFeed = require('../../models/earth/CalendarFeed');
+const CalendarSyncState = require('../../models/earth/CalendarSyncState');
+const OAuthState = require('../../models/phoenix/OAuthState');
+const WebhookNonce = require('../../models/phoenix/WebhookNonce');
+const WebhookRejection = require('../../models/phoenix/WebhookRejection');
+const tokenVault = require('../phoenix/tokenVault');
+const caldavClient = require('./caldavClient');
+const ical = require('../../utils/ical');
+const ErrorResponse = require('../../utils/errorResponse');
 const { google } = require('googleapis');
 const crypto = require('crypto');
 
@@ -32,6 +60,39 @@ const OUTLOOK_CONFIG = {
   scopes: ['Calendars.Read', 'Calendars.ReadWrite']
 };
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Window kept in sync for every calendar; provider cursors are rolled
+// with a full resync once less than half of daysForward remains
+const SYNC_WINDOW = { daysBack: 7, daysForward: 30 };
+const SYNC_LOCK_MS = 5 * 60 * 1000;
+const MAX_SYNC_PASSES = 3;
+const MAX_SYNC_PAGES = 50;
+const TOMBSTONE_RETENTION_DAYS = 30;
+
+// Push notification channels
+const WEBHOOK_PATHS = {
+  google: '/api/earth/calendar/webhook/google',
+  outlook: '/api/earth/calendar/webhook/outlook'
+};
+const GOOGLE_CHANNEL_TTL_SECONDS = 7 * 24 * 60 * 60;
+const OUTLOOK_SUBSCRIPTION_MINUTES = 4230;
+const CHANNEL_RENEW_WINDOW_MS = DAY_MS;
+const CHANNEL_RETRY_MS = 60 * 60 * 1000;
+const POLL_INTERVAL_MS = 30 * 60 * 1000;
+const PUSHED_POLL_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const WEBHOOK_NONCE_TTL_SECONDS = 24 * 60 * 60;
+
+const GRAPH_URL = 'https://graph.microsoft.com/v1.0';
+
+// CalDAV accounts and ICS subscriptions (CalendarFeed), credentials per feed
+const FEED_TYPES = ['caldav', 'ics'];
+const FEED_MAX_FAILURES = 5;
+const ICS_MAX_BYTES = 10 * 1024 * 1024;
+
+// Marks the copies of Phoenix events written back to a CalDAV calendar
+const WRITE_BACK_PROPERTY = 'X-PHOENIX-EVENT-ID';
+
 // ================================================================
 // OAUTH FLOW
 // ================================================================
@@ -51,15 +112,47 @@ exports.initiateOAuth = async (provider, userId) => {
       authUrl = await initiateOutlookOAuth(state);
       break;
     case 'apple':
-      authUrl = await initiateAppleOAuth(state);
-      break;
+      throw new ErrorResponse('Apple Calendar connects over CalDAV with an app-specific password - use POST /api/earth/calendar/caldav', 400);
     default:
       throw new Error('Unsupported calendar provider');
   }
 
+  // Persist state for the callback (expires via TTL)
+  await OAuthState.issue(userId, provider, 'calendar', state);
+
   return { authUrl, state };
 };
 
+/**
+ * Complete OAuth: verify state, exchange the code and store tokens in the vault
+ */
+exports.handleOAuthCallback = async (userId, provider, code, state) => {
+  const validState = await OAuthState.consume(userId, provider, state);
+  if (!validState) {
+    throw new ErrorResponse('Invalid or expired OAuth state', 400);
+  }
+
+  const tokens = await exports.exchangeCode(provider, code);
+  const entry = await tokenVault.saveTokens(userId, provider, tokens, { category: 'calendar' });
+
+  // A reconnect may be a different account - start from a full listing
+  await CalendarSyncState.updateOne({ userId, provider }, { $unset: { syncToken: 1, deltaLink: 1 } });
+
+  // Push is best effort; connections without a channel are polled
+  const watch = await exports.watchCalendar(userId, provider).catch(error => {
+    console.error(`Calendar watch failed for ${provider}: ${error.message}`);
+    return { push: false };
+  });
+
+  return {
+    provider,
+    connected: true,
+    push: watch.push,
+    expiresAt: entry.expiresAt,
+    scopes: entry.scopes
+  };
+};
+
 /**
  * Google Calendar OAuth
  */
@@ -95,15 +188,6 @@ const initiateOutlookOAuth = async (state) => {
   return authUrl;
 };
 
-/**
- * Apple Calendar OAuth (iCloud)
- */
-const initiateAppleOAuth = async (state) => {
-  // Apple uses CloudKit for calendar access
-  // This is a placeholder - actual implementation would use CloudKit JS
-  throw new Error('Apple Calendar integration coming soon');
-};
-
 /**
  * Exchange authorization code for access token
  */
@@ -113,8 +197,6 @@ exports.exchangeCode = async (provider, code) => {
       return await exchangeGoogleCode(code);
     case 'outlook':
       return await exchangeOutlookCode(code);
-    case 'apple':
-      return await exchangeAppleCode(code);
     default:
       throw new Error('Unsupported calendar provider');
   }
@@ -155,333 +237,1894 @@ const exchangeOutlookCode = async (code) => {
   return response.data;
 };
 
-/**
- * Exchange Apple authorization code
- */
-const exchangeAppleCode = async (code) => {
-  // Placeholder for Apple CloudKit
-  throw new Error('Apple Calendar integration coming soon');
-};
-
 // ================================================================
 // CALENDAR SYNCING
 // ================================================================
 
 /**
- * Sync calendar events from provider
+ * Access token for a connected calendar, refreshed if about to expire
  */
-exports.syncEvents = async (userId, provider, accessToken, daysBack = 7, daysForward = 30) => {
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - daysBack);
-  const endDate = new Date();
-  endDate.setDate(endDate.getDate() + daysForward);
+exports.getAccessToken = async (userId, provider) => {
+  const tokens = await tokenVault.getTokens(userId, provider);
+  if (!tokens || tokens.category !== 'calendar') {
+    throw new ErrorResponse(`${provider} calendar is not connected`, 404);
+  }
 
-  let events = [];
+  if (tokenVault.isExpiring(tokens) && tokens.refreshToken) {
+    const refreshed = await exports.refreshAccessToken(provider, tokens.refreshToken);
+    await tokenVault.saveTokens(userId, provider, refreshed, { category: 'calendar' });
+    return refreshed.access_token;
+  }
 
-  switch (provider) {
-    case 'google':
-      events = await syncGoogleEvents(accessToken, startDate, endDate);
-      break;
-    case 'outlook':
-      events = await syncOutlookEvents(accessToken, startDate, endDate);
-      break;
-    case 'apple':
-      events = await syncAppleEvents(accessToken, startDate, endDate);
-      break;
-    default:
-      throw new Error('Unsupported calendar provider');
+  return tokens.accessToken;
+};
+
+/**
+ * Sync one connected calendar using its stored credentials
+ * @param {object} options - { full } forces a full resync (OAuth calendars)
+ */
+exports.syncCalendar = async (userId, provider, options = {}) => {
+  if (FEED_TYPES.includes(provider)) {
+    return await exports.syncFeeds(userId, { type: provider });
   }
 
-  // Save or update events in database
-  let added = 0;
-  let updated = 0;
-  let skipped = 0;
+  const accessToken = await exports.getAccessToken(userId, provider);
+  const result = await exports.syncEvents(userId, provider, accessToken, options);
 
-  for (const event of events) {
-    const existingEvent = await CalendarEvent.findOne({
-      userId,
-      externalEventId: event.externalEventId,
-      provider
-    });
+  return { ...result, eventsImported: result.added };
+};
 
-    if (existingEvent) {
-      // Update existing event
-      Object.assign(existingEvent, event);
-      existingEvent.lastSynced = new Date();
-      await existingEvent.save();
-      updated++;
-    } else {
-      // Create new event
-      await CalendarEvent.create({
-        userId,
-        provider,
-        ...event,
-        lastSynced: new Date()
-      });
-      added++;
+/**
+ * Sync every calendar the user has connected
+ */
+exports.syncAllCalendars = async (userId) => {
+  const connections = await tokenVault.listConnections(userId, 'calendar');
+  const results = [];
+
+  // CalDAV/ICS credentials are per feed and synced below
+  for (const connection of connections.filter(c => !FEED_TYPES.includes(c.provider))) {
+    try {
+      results.push(await exports.syncCalendar(userId, connection.provider));
+    } catch (error) {
+      results.push({ success: false, provider: connection.provider, error: error.message });
     }
   }
 
-  return {
-    success: true,
-    added,
-    updated,
-    skipped,
-    total: events.length,
-    provider,
-    syncedAt: new Date()
-  };
+  const feeds = await CalendarFeed.find({ userId, status: { $ne: 'disabled' } });
+  for (const feed of feeds) {
+    try {
+      results.push(await exports.syncFeed(feed));
+    } catch (error) {
+      results.push({ success: false, provider: feed.type, feedId: feed._id, error: error.message });
+    }
+  }
+
+  return results;
 };
 
+const eventsChangedListeners = [];
+
 /**
- * Sync Google Calendar events
+ * Register a listener for syncs that changed a user's events
+ * @param {function} listener - (userId, { start, end }) => Promise
  */
-const syncGoogleEvents = async (accessToken, startDate, endDate) => {
-  const oauth2Client = new google.auth.OAuth2(
-    GOOGLE_CONFIG.clientId,
-    GOOGLE_CONFIG.clientSecret,
-    GOOGLE_CONFIG.redirectUri
-  );
-  oauth2Client.setCredentials({ access_token: accessToken });
-
-  const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+exports.onEventsChanged = (listener) => {
+  eventsChangedListeners.push(listener);
+};
 
-  const response = await calendar.events.list({
-    calendarId: 'primary',
-    timeMin: startDate.toISOString(),
-    timeMax: endDate.toISOString(),
-    singleEvents: true,
-    orderBy: 'startTime',
-    maxResults: 250
+const notifyEventsChanged = (userId, window) => {
+  eventsChangedListeners.forEach(listener => {
+    Promise.resolve()
+      .then(() => listener(userId, window))
+      .catch(error => console.error(`Calendar change listener failed for ${userId}: ${error.message}`));
   });
-
-  const events = response.data.items.map(event => ({
-    externalEventId: event.id,
-    title: event.summary || 'Untitled Event',
-    description: event.description || '',
-    startTime: new Date(event.start.dateTime || event.start.date),
-    endTime: new Date(event.end.dateTime || event.end.date),
-    location: event.location || '',
-    attendees: event.attendees ? event.attendees.map(a => a.email) : [],
-    meetingType: inferMeetingType(event.summary, event.description),
-    energyRequirement: inferEnergyRequirement(event.summary, event.description),
-    isRecurring: !!event.recurringEventId,
-    recurringEventId: event.recurringEventId || null,
-    status: event.status === 'cancelled' ? 'cancelled' : 'confirmed'
-  }));
-
-  return events;
 };
 
+const changedAnything = (counts) => (counts.added || 0) + (counts.updated || 0) + (counts.removed || 0) + (counts.pulled || 0) > 0;
+
 /**
- * Sync Outlook Calendar events
+ * Sync calendar events from provider
+ * Incremental from the stored cursor while it still covers the window;
+ * otherwise (first sync, window running short, expired cursor, or
+ * { full: true }) a full listing of a fresh window. One sync runs per
+ * connection at a time - requests arriving meanwhile are folded into a
+ * follow-up pass.
+ * @param {object} options - { full, daysBack, daysForward }
  */
-const syncOutlookEvents = async (accessToken, startDate, endDate) => {
-  const response = await axios.get(
-    'https://graph.microsoft.com/v1.0/me/calendarview',
-    {
-      params: {
-        startDateTime: startDate.toISOString(),
-        endDateTime: endDate.toISOString(),
-        $top: 250,
-        $orderby: 'start/dateTime'
-      },
-      headers: {
-        Authorization: `Bearer ${accessToken}`
-      }
-    }
-  );
+exports.syncEvents = async (userId, provider, accessToken, options = {}) => {
+  if (!CHANGE_FETCHERS[provider]) {
+    throw new Error('Unsupported calendar provider');
+  }
 
-  const events = response.data.value.map(event => ({
-    externalEventId: event.id,
-    title: event.subject || 'Untitled Event',
-    description: event.bodyPreview || '',
-    startTime: new Date(event.start.dateTime),
-    endTime: new Date(event.end.dateTime),
-    location: event.location?.displayName || '',
-    attendees: event.attendees ? event.attendees.map(a => a.emailAddress.address) : [],
-    meetingType: inferMeetingType(event.subject, event.bodyPreview),
-    energyRequirement: inferEnergyRequirement(event.subject, event.bodyPreview),
-    isRecurring: !!event.recurrence,
-    status: event.isCancelled ? 'cancelled' : 'confirmed'
-  }));
+  let state = await CalendarSyncState.acquire(userId, provider, SYNC_LOCK_MS);
+  if (!state) {
+    return {
+      success: true,
+      inProgress: true,
+      added: 0,
+      updated: 0,
+      removed: 0,
+      skipped: 0,
+      total: 0,
+      provider,
+      syncedAt: new Date()
+    };
+  }
+
+  let result = null;
+  for (let pass = 0; state; pass++) {
+    let rerun = false;
+    try {
+      const passResult = await runSync(state, accessToken, pass === 0 ? options : {});
+      result = result
+        ? { ...passResult, ...sumCounts(result, passResult, ['added', 'updated', 'removed', 'pulled', 'skipped', 'total']), mode: result.mode }
+        : passResult;
+    } finally {
+      rerun = await CalendarSyncState.release(state._id);
+    }
+    state = rerun && pass + 1 < MAX_SYNC_PASSES
+      ? await CalendarSyncState.acquire(userId, provider, SYNC_LOCK_MS)
+      : null;
+  }
 
-  return events;
+  return result;
 };
 
+const sumCounts = (a, b, keys) => Object.fromEntries(keys.map(key => [key, (a[key] || 0) + (b[key] || 0)]));
+
 /**
- * Sync Apple Calendar events
+ * One sync pass for a locked CalendarSyncState
  */
-const syncAppleEvents = async (accessToken, startDate, endDate) => {
-  // Placeholder for Apple CloudKit implementation
-  throw new Error('Apple Calendar integration coming soon');
-};
+const runSync = async (state, accessToken, { full = false, daysBack = SYNC_WINDOW.daysBack, daysForward = SYNC_WINDOW.daysForward } = {}) => {
+  const now = new Date();
+  const { userId, provider } = state;
+  const cursor = provider === 'google' ? state.syncToken : state.deltaLink;
+  const windowRunningShort = !state.windowEnd ||
+    state.windowEnd.getTime() - now.getTime() < (daysForward / 2) * DAY_MS;
+  const incremental = Boolean(cursor) && !full && !windowRunningShort;
 
-// ================================================================
-// AI CLASSIFICATION
-// ================================================================
+  const window = incremental
+    ? { start: state.windowStart, end: state.windowEnd }
+    : { start: new Date(now.getTime() - daysBack * DAY_MS), end: new Date(now.getTime() + daysForward * DAY_MS) };
+
+  try {
+    let changes;
+    try {
+      changes = await CHANGE_FETCHERS[provider](accessToken, { cursor: incremental ? cursor : null, window });
+    } catch (error) {
+      const status = error.code || error.response?.status;
+      if (!incremental || status !== 410) throw error;
+      // Cursor expired or invalidated by the provider (HTTP 410 Gone)
+      return await runSync(state, accessToken, { full: true, daysBack, daysForward });
+    }
+
+    const counts = await applyChanges(userId, provider, changes, window, { full: !incremental, now });
+
+    state.set({
+      [provider === 'google' ? 'syncToken' : 'deltaLink']: changes.cursor,
+      windowStart: window.start,
+      windowEnd: window.end,
+      lastSyncedAt: now,
+      ...(!incremental && { lastFullSyncAt: now }),
+      lastError: null,
+      consecutiveFailures: 0
+    });
+    await state.save();
+
+    const merge = await exports.mergeDuplicates(userId, window.start, window.end);
+    if (changedAnything(counts)) notifyEventsChanged(userId, window);
+
+    return {
+      success: true,
+      mode: incremental ? 'incremental' : 'full',
+      ...counts,
+      duplicates: merge.duplicates,
+      provider,
+      syncedAt: now
+    };
+  } catch (error) {
+    state.set({
+      lastError: providerErrorMessage(error),
+      consecutiveFailures: (state.consecutiveFailures || 0) + 1
+    });
+    await state.save();
+    throw error;
+  }
+};
 
 /**
- * Infer meeting type from title and description
+ * Write provider changes: upsert live events and tombstone deleted or
+ * cancelled ones. A full listing also tombstones anything in the window
+ * the provider no longer returns.
  */
-const inferMeetingType = (title, description) => {
-  const text = `${title} ${description}`.toLowerCase();
+const applyChanges = async (userId, provider, changes, window, { full, now }) => {
+  const own = await applyOwnCopies(userId, provider, changes, now);
 
-  // Keywords for each meeting type
-  const typeKeywords = {
-    focus: ['deep work', 'focus', 'coding', 'development', 'writing', 'analysis', 'strategy'],
-    stressful: ['performance review', 'difficult', 'conflict', 'negotiation', 'presentation', 'pitch', 'board'],
-    social: ['coffee', 'lunch', 'dinner', 'happy hour', 'team building', 'celebration', 'party'],
-    travel: ['flight', 'drive', 'travel', 'commute', 'trip'],
-    workout: ['gym', 'workout', 'exercise', 'training', 'run', 'yoga', 'fitness']
-  };
+  // Incremental pages can reach past the window (e.g. an edited series);
+  // those instances are picked up when the window rolls
+  const events = full ? own.events : own.events.filter(event => event.startTime <= window.end);
 
-  for (const [type, keywords] of Object.entries(typeKeywords)) {
-    if (keywords.some(keyword => text.includes(keyword))) {
-      return type;
+  const operations = events.map(event => ({
+    updateOne: {
+      filter: { userId, provider, externalEventId: event.externalEventId },
+      update: {
+        $set: {
+          ...event,
+          // CalendarEvent needs end > start; point-in-time entries get a minute
+          endTime: new Date(Math.max(event.endTime.getTime(), event.startTime.getTime() + 60 * 1000)),
+          lastSynced: now
+        },
+        $unset: { tombstonedAt: 1, purgeAt: 1 }
+      },
+      upsert: true
     }
+  }));
+
+  let added = 0;
+  let updated = 0;
+  if (operations.length > 0) {
+    const result = await CalendarEvent.bulkWrite(operations, { ordered: false });
+    added = result.upsertedCount;
+    updated = result.modifiedCount;
   }
 
-  // Check if it's a 1:1 meeting
-  if (text.includes('1:1') || text.includes('one-on-one') || text.includes('1-on-1')) {
-    return 'focus';
+  let removed = 0;
+  if (own.tombstones.length > 0) {
+    removed += await tombstoneEvents({ userId, provider, externalEventId: { $in: own.tombstones } }, now);
+  }
+  if (full) {
+    removed += await tombstoneEvents({
+      userId,
+      provider,
+      startTime: { $gte: window.start, $lte: window.end },
+      externalEventId: { $nin: events.map(event => event.externalEventId) }
+    }, now);
   }
 
-  return 'other';
+  return {
+    added,
+    updated,
+    removed,
+    pulled: own.pulled,
+    skipped: own.events.length - events.length,
+    total: changes.events.length + changes.tombstones.length
+  };
 };
 
 /**
- * Infer energy requirement from title and description
+ * Copies of auto-scheduled events written back to this provider come
+ * back through the sync. They aren't imported: a remote move or rename
+ * is applied to the local event, and a remote delete cancels it.
+ * @returns {object} { events, tombstones, pulled } - the remaining changes
  */
-const inferEnergyRequirement = (title, description) => {
-  const text = `${title} ${description}`.toLowerCase();
+const applyOwnCopies = async (userId, provider, changes, now) => {
+  const copyIds = [...changes.events.map(event => event.externalEventId), ...changes.tombstones];
+  if (copyIds.length === 0) return { events: changes.events, tombstones: changes.tombstones, pulled: 0 };
 
-  // High energy (5)
-  const highEnergyKeywords = ['presentation', 'pitch', 'keynote', 'all-hands', 'performance review', 'negotiation'];
-  if (highEnergyKeywords.some(keyword => text.includes(keyword))) {
-    return 5;
-  }
+  // Google keeps the iCalUID we set, so copies are recognized even
+  // before the insert has been recorded locally
+  const localIds = changes.events.map(event => writeBackLocalId(event.icalUid)).filter(Boolean);
 
-  // Medium-high energy (4)
-  const mediumHighKeywords = ['meeting', 'interview', 'workshop', 'brainstorm', 'planning'];
-  if (mediumHighKeywords.some(keyword => text.includes(keyword))) {
-    return 4;
-  }
+  const locals = await CalendarEvent.find({
+    userId,
+    provider: 'manual',
+    $or: [
+      { 'writeBack.provider': provider, 'writeBack.externalEventId': { $in: copyIds } },
+      { _id: { $in: localIds } }
+    ]
+  });
+  if (locals.length === 0) return { events: changes.events, tombstones: changes.tombstones, pulled: 0 };
 
-  // Low energy (2)
-  const lowEnergyKeywords = ['coffee', 'lunch', 'catch up', 'casual', 'social'];
-  if (lowEnergyKeywords.some(keyword => text.includes(keyword))) {
-    return 2;
+  const byCopyId = new Map();
+  locals.forEach(local => {
+    if (local.writeBack?.externalEventId) byCopyId.set(local.writeBack.externalEventId, local);
+  });
+  const localFor = (event) => byCopyId.get(event.externalEventId) ||
+    locals.find(local => String(local._id) === writeBackLocalId(event.icalUid));
+
+  let pulled = 0;
+  const events = [];
+  for (const event of changes.events) {
+    const local = localFor(event);
+    if (!local) {
+      events.push(event);
+      continue;
+    }
+
+    const moved = local.startTime.getTime() !== event.startTime.getTime() ||
+      local.endTime.getTime() !== event.endTime.getTime() ||
+      local.title !== event.title;
+    await CalendarEvent.updateOne(
+      { _id: local._id },
+      {
+        $set: {
+          ...(moved && { title: event.title, startTime: event.startTime, endTime: event.endTime }),
+          'writeBack.provider': provider,
+          'writeBack.externalEventId': event.externalEventId,
+          'writeBack.syncedAt': now
+        }
+      },
+      { timestamps: false }
+    );
+    if (moved) pulled++;
   }
 
-  // Very low energy (1)
-  const veryLowKeywords = ['break', 'buffer', 'hold', 'placeholder'];
-  if (veryLowKeywords.some(keyword => text.includes(keyword))) {
-    return 1;
+  const tombstones = [];
+  for (const id of changes.tombstones) {
+    const local = byCopyId.get(id);
+    if (!local) {
+      tombstones.push(id);
+      continue;
+    }
+    if (local.status !== 'cancelled') {
+      await CalendarEvent.updateOne({ _id: local._id }, { $set: { status: 'cancelled' }, $unset: { writeBack: 1 } }, { timestamps: false });
+      pulled++;
+    }
   }
 
-  // Default: medium energy (3)
-  return 3;
+  return { events, tombstones, pulled };
 };
 
-// ================================================================
-// TOKEN REFRESH
-// ================================================================
-
 /**
- * Refresh access token if expired
+ * Mark matching synced events as cancelled tombstones
+ * @returns {number} events newly tombstoned
  */
-exports.refreshAccessToken = async (provider, refreshToken) => {
-  switch (provider) {
-    case 'google':
-      return await refreshGoogleToken(refreshToken);
-    case 'outlook':
-      return await refreshOutlookToken(refreshToken);
-    case 'apple':
-      return await refreshAppleToken(refreshToken);
-    default:
-      throw new Error('Unsupported calendar provider');
-  }
+const tombstoneEvents = async (filter, now = new Date()) => {
+  const { modifiedCount } = await CalendarEvent.updateMany(
+    { ...filter, tombstonedAt: null },
+    {
+      $set: {
+        status: 'cancelled',
+        tombstonedAt: now,
+        purgeAt: new Date(now.getTime() + TOMBSTONE_RETENTION_DAYS * DAY_MS),
+        duplicateOf: null,
+        lastSynced: now
+      }
+    }
+  );
+  return modifiedCount;
 };
 
 /**
- * Refresh Google access token
+ * Readable message from googleapis/axios errors
  */
-const refreshGoogleToken = async (refreshToken) => {
+const providerErrorMessage = (error) => error.response?.data?.error?.message ||
+  error.response?.data?.error_description ||
+  error.message;
+
+/**
+ * Authorized Google Calendar client
+ */
+const googleCalendarClient = (accessToken) => {
   const oauth2Client = new google.auth.OAuth2(
     GOOGLE_CONFIG.clientId,
     GOOGLE_CONFIG.clientSecret,
     GOOGLE_CONFIG.redirectUri
   );
+  oauth2Client.setCredentials({ access_token: accessToken });
 
-  oauth2Client.setCredentials({ refresh_token: refreshToken });
-  const { credentials } = await oauth2Client.refreshAccessToken();
-  
-  return credentials;
+  return google.calendar({ version: 'v3', auth: oauth2Client });
 };
 
 /**
- * Refresh Outlook access token
+ * Google Calendar changes: a window listing, or everything since the sync token
+ * @returns {object} { events, tombstones, cursor }
  */
-const refreshOutlookToken = async (refreshToken) => {
-  const response = await axios.post(
-    'https://login.microsoftonline.com/common/oauth2/v2.0/token',
-    new URLSearchParams({
-      client_id: OUTLOOK_CONFIG.clientId,
-      client_secret: OUTLOOK_CONFIG.clientSecret,
-      refresh_token: refreshToken,
-      grant_type: 'refresh_token'
-    }),
-    {
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+const fetchGoogleChanges = async (accessToken, { cursor, window }) => {
+  const calendar = googleCalendarClient(accessToken);
+  // syncToken can't be combined with a time range - it keeps the initial one
+  const range = cursor
+    ? { syncToken: cursor }
+    : { timeMin: window.start.toISOString(), timeMax: window.end.toISOString() };
+
+  const changes = { events: [], tombstones: [], cursor: null };
+  let pageToken;
+
+  for (let page = 0; page < MAX_SYNC_PAGES; page++) {
+    const response = await calendar.events.list({
+      calendarId: 'primary',
+      singleEvents: true,
+      showDeleted: true,
+      maxResults: 250,
+      ...range,
+      ...(pageToken && { pageToken })
+    });
+
+    (response.data.items || []).forEach(event => {
+      if (event.status === 'cancelled') changes.tombstones.push(event.id);
+      else changes.events.push(mapGoogleEvent(event));
+    });
+
+    pageToken = response.data.nextPageToken;
+    if (!pageToken) {
+      changes.cursor = response.data.nextSyncToken;
+      return changes;
     }
-  );
+  }
 
-  return response.data;
+  throw new ErrorResponse('Google Calendar returned too many changes in one sync - try again', 502);
 };
 
+const mapGoogleEvent = (event) => ({
+  externalEventId: event.id,
+  icalUid: event.iCalUID,
+  title: event.summary || 'Untitled Event',
+  description: event.description || '',
+  startTime: new Date(event.start.dateTime || event.start.date),
+  endTime: new Date(event.end.dateTime || event.end.date),
+  location: event.location || '',
+  attendees: event.attendees ? event.attendees.map(a => a.email) : [],
+  meetingType: inferMeetingType(event.summary, event.description),
+  energyRequirement: inferEnergyRequirement(event.summary, event.description),
+  isRecurring: !!event.recurringEventId,
+  recurringEventId: event.recurringEventId || null,
+  isOrganizer: Boolean(event.organizer?.self),
+  status: event.status === 'tentative' ? 'tentative' : 'confirmed'
+});
+
 /**
- * Refresh Apple access token
+ * Outlook changes: calendarView delta - the first request opens the window,
+ * the returned deltaLink yields everything changed since
+ * @returns {object} { events, tombstones, cursor }
  */
-const refreshAppleToken = async (refreshToken) => {
-  throw new Error('Apple Calendar integration coming soon');
-};
+const fetchOutlookChanges = async (accessToken, { cursor, window }) => {
+  let url = cursor || `${GRAPH_URL}/me/calendarView/delta?` + new URLSearchParams({
+    startDateTime: window.start.toISOString(),
+    endDateTime: window.end.toISOString()
+  });
 
-// ================================================================
-// WEBHOOK HANDLERS (for real-time updates)
-// ================================================================
+  const changes = { events: [], tombstones: [], cursor: null };
+
+  for (let page = 0; page < MAX_SYNC_PAGES; page++) {
+    const response = await axios.get(url, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        Prefer: 'outlook.timezone="UTC", odata.maxpagesize=100'
+      }
+    });
+
+    (response.data.value || []).forEach(event => {
+      if (event['@removed'] || event.isCancelled) changes.tombstones.push(event.id);
+      else changes.events.push(mapOutlookEvent(event));
+    });
+
+    if (response.data['@odata.nextLink']) {
+      url = response.data['@odata.nextLink'];
+    } else {
+      changes.cursor = response.data['@odata.deltaLink'];
+      return changes;
+    }
+  }
+
+  throw new ErrorResponse('Outlook returned too many changes in one sync - try again', 502);
+};
 
 /**
- * Handle Google Calendar webhook
+ * Graph dateTimeTimeZone -> Date (times are requested in UTC)
  */
-exports.handleGoogleWebhook = async (req, res) => {
-  // Google sends notifications to watch resources
-  const { resourceId, resourceState } = req.headers;
-  
-  if (resourceState === 'sync') {
-    // Initial sync - acknowledge
-    return { success: true };
-  }
+const graphDate = ({ dateTime, timeZone } = {}) => new Date(
+  timeZone === 'UTC' && !/(Z|[+-]\d{2}:\d{2})$/.test(dateTime) ? `${dateTime}Z` : dateTime
+);
 
-  // Trigger sync for this user's calendar
-  // Extract userId from resourceId or channel metadata
-  // Then call syncEvents
-  
-  return { success: true, message: 'Webhook processed' };
+const mapOutlookEvent = (event) => ({
+  externalEventId: event.id,
+  icalUid: event.iCalUId,
+  title: event.subject || 'Untitled Event',
+  description: event.bodyPreview || '',
+  startTime: graphDate(event.start),
+  endTime: graphDate(event.end),
+  location: event.location?.displayName || '',
+  attendees: event.attendees ? event.attendees.map(a => a.emailAddress?.address).filter(Boolean) : [],
+  meetingType: inferMeetingType(event.subject, event.bodyPreview),
+  energyRequirement: inferEnergyRequirement(event.subject, event.bodyPreview),
+  isRecurring: Boolean(event.seriesMasterId || event.recurrence),
+  recurringEventId: event.seriesMasterId || null,
+  isOrganizer: Boolean(event.isOrganizer),
+  status: event.showAs === 'tentative' ? 'tentative' : 'confirmed'
+});
+
+const CHANGE_FETCHERS = {
+  google: fetchGoogleChanges,
+  outlook: fetchOutlookChanges
 };
 
+// ================================================================
+// DUPLICATES
+// ================================================================
+// The same meeting often reaches Phoenix through several calendars
+// (invited on both a Google and an Outlook account, a shared ICS feed,
+// ...). Copies are matched by iCalendar UID + start, or by identical
+// title and times, but only across different sources. One copy stays
+// canonical - the organizer's, else by SOURCE_PRECEDENCE, else the
+// oldest - and the others point at it through duplicateOf, so free/busy
+// and conflict checks count the meeting once.
+
+const SOURCE_PRECEDENCE = ['google', 'outlook', 'caldav', 'ics'];
+
+const normalizeTitle = (title = '') => title.toLowerCase().replace(/\s+/g, ' ').trim();
+
+const compareCanonical = (a, b) =>
+  (Number(Boolean(b.isOrganizer)) - Number(Boolean(a.isOrganizer))) ||
+  (SOURCE_PRECEDENCE.indexOf(a.provider) - SOURCE_PRECEDENCE.indexOf(b.provider)) ||
+  String(a._id).localeCompare(String(b._id));
+
 /**
- * Handle Outlook Calendar webhook
+ * Recompute duplicateOf for synced events overlapping [start, end]
+ * @returns {object} { groups, duplicates }
  */
-exports.handleOutlookWebhook = async (req, res) => {
-  const { subscriptionId, resource, changeType } = req.body;
-  
-  if (changeType === 'created' || changeType === 'updated' || changeType === 'deleted') {
-    // Trigger sync for affected calendar
-    // Extract userId and sync
-  }
-  
-  return { success: true, message: 'Webhook processed' };
+exports.mergeDuplicates = async (userId, start, end) => {
+  const events = await CalendarEvent.find({
+    userId,
+    provider: { $ne: 'manual' },
+    startTime: { $lt: end },
+    endTime: { $gt: start },
+    $or: [{ status: { $ne: 'cancelled' } }, { duplicateOf: { $ne: null } }]
+  })
+    .select('provider feedId icalUid isOrganizer title startTime endTime status duplicateOf')
+    .lean();
+
+  const sourceOf = (event) => `${event.provider}:${event.feedId || ''}`;
+  const live = events.filter(event => event.status !== 'cancelled');
+
+  // Union copies sharing either key
+  const parent = live.map((event, index) => index);
+  const root = (index) => (parent[index] === index ? index : (parent[index] = root(parent[index])));
+  const firstByKey = new Map();
+  live.forEach((event, index) => {
+    const keys = [`at:${event.startTime.getTime()}:${event.endTime.getTime()}:${normalizeTitle(event.title)}`];
+    if (event.icalUid) keys.push(`uid:${event.icalUid}:${event.startTime.getTime()}`);
+    keys.forEach(key => {
+      if (firstByKey.has(key)) parent[root(index)] = root(firstByKey.get(key));
+      else firstByKey.set(key, index);
+    });
+  });
+
+  const groups = new Map();
+  live.forEach((event, index) => {
+    const key = root(index);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(event);
+  });
+
+  const desired = new Map(events.map(event => [String(event._id), null]));
+  let merged = 0;
+  let duplicates = 0;
+
+  for (const group of groups.values()) {
+    if (new Set(group.map(sourceOf)).size < 2) continue;
+
+    const canonical = [...group].sort(compareCanonical)[0];
+    group
+      .filter(event => sourceOf(event) !== sourceOf(canonical))
+      .forEach(event => {
+        desired.set(String(event._id), canonical._id);
+        duplicates++;
+      });
+    merged++;
+  }
+
+  const operations = events
+    .filter(event => String(event.duplicateOf ?? null) !== String(desired.get(String(event._id)) ?? null))
+    .map(event => ({
+      updateOne: {
+        filter: { _id: event._id },
+        update: { $set: { duplicateOf: desired.get(String(event._id)) } },
+        timestamps: false
+      }
+    }));
+  if (operations.length > 0) await CalendarEvent.bulkWrite(operations, { ordered: false });
+
+  return { groups: merged, duplicates };
+};
+
+// ================================================================
+// CALDAV & ICS FEEDS
+// ================================================================
+// CalDAV accounts (iCloud, Fastmail, Nextcloud, any RFC 4791 server)
+// connect with an app-specific password; ICS subscriptions are any
+// webcal/https .ics URL and are read-only. Both are re-read over the
+// same window as OAuth calendars, with RRULE series expanded locally.
+// A CalDAV feed with write-back enabled also receives Phoenix's
+// auto-scheduled events (autoScheduled: true) and hands remote edits
+// to those copies back to Phoenix.
+
+const { assertPublicUrl, publicAgents } = caldavClient;
+
+const describeFeed = (feed) => ({
+  id: feed._id,
+  type: feed.type,
+  service: feed.service,
+  name: feed.name,
+  serverUrl: feed.serverUrl,
+  username: feed.username,
+  displayUrl: feed.displayUrl,
+  calendars: feed.calendars.map(calendar => ({
+    url: calendar.url,
+    name: calendar.name,
+    color: calendar.color,
+    writable: calendar.writable,
+    syncEnabled: calendar.syncEnabled
+  })),
+  writeBack: feed.writeBack,
+  writeBackCalendarUrl: feed.writeBack ? feed.writeBackCalendarUrl : null,
+  refreshMinutes: feed.refreshMinutes,
+  status: feed.status,
+  lastSyncedAt: feed.lastSyncedAt,
+  nextSyncAt: feed.nextSyncAt,
+  lastError: feed.lastError
+});
+
+const getFeed = async (userId, feedId) => {
+  const feed = mongoose.Types.ObjectId.isValid(feedId)
+    ? await CalendarFeed.findOne({ _id: feedId, userId })
+    : null;
+  if (!feed) throw new ErrorResponse('Calendar feed not found', 404);
+  return feed;
+};
+
+/**
+ * Pick (and validate) the calendar that receives write-back events
+ */
+const chooseWriteBackCalendar = (feed, requestedUrl) => {
+  const writable = feed.calendars.filter(calendar => calendar.writable);
+  if (requestedUrl) {
+    const calendar = writable.find(c => c.url === requestedUrl);
+    if (!calendar) throw new ErrorResponse('writeBackCalendarUrl must be one of the account\'s writable calendars', 400);
+    return calendar.url;
+  }
+  if (writable.length === 0) throw new ErrorResponse('This account has no writable calendar for write-back', 400);
+  return (writable.find(c => c.url === feed.writeBackCalendarUrl) || writable[0]).url;
+};
+
+/**
+ * Only one feed per user receives write-back events
+ */
+const claimWriteBack = async (feed) => {
+  const others = await CalendarFeed.find({ userId: feed.userId, _id: { $ne: feed._id }, writeBack: true });
+  for (const other of others) {
+    await retractWriteBack(other);
+    other.writeBack = false;
+    await other.save();
+  }
+};
+
+/**
+ * Connect a CalDAV account and import its calendars
+ * @param {object} data - { service: apple|fastmail|nextcloud|caldav, serverUrl?, username,
+ *   password (app-specific), name?, writeBack?, writeBackCalendarUrl? }
+ */
+exports.connectCaldav = async (userId, data = {}) => {
+  const { service = 'caldav', username, password, name, writeBack = false, writeBackCalendarUrl } = data;
+  if (!username || !password) {
+    throw new ErrorResponse('username and an app-specific password are required', 400);
+  }
+
+  const serverUrl = caldavClient.serverUrlFor(service, data.serverUrl);
+  const { calendars } = await caldavClient.discover(serverUrl, { username, password });
+  if (calendars.length === 0) {
+    throw new ErrorResponse('No event calendars found for this account', 400);
+  }
+
+  // Reconnecting the same account updates it in place
+  const feed = await CalendarFeed.findOne({ userId, type: 'caldav', serverUrl, username }) ||
+    new CalendarFeed({ userId, type: 'caldav', serverUrl, username });
+
+  const previous = new Map(feed.calendars.map(calendar => [calendar.url, calendar]));
+  feed.set({
+    service,
+    name: name || feed.name || `${service === 'apple' ? 'iCloud' : service} (${username})`,
+    calendars: calendars.map(calendar => ({
+      ...calendar,
+      syncEnabled: previous.get(calendar.url)?.syncEnabled ?? true
+    })),
+    status: 'active',
+    consecutiveFailures: 0,
+    lastError: null
+  });
+
+  if (writeBack) {
+    feed.writeBackCalendarUrl = chooseWriteBackCalendar(feed, writeBackCalendarUrl);
+    feed.writeBack = true;
+  }
+
+  await feed.save();
+  if (feed.writeBack) await claimWriteBack(feed);
+  await tokenVault.saveTokens(userId, 'caldav', { accessToken: password }, {
+    category: 'calendar',
+    accountRef: String(feed._id)
+  });
+
+  const sync = await exports.syncFeed(feed);
+  return { feed: describeFeed(feed), sync };
+};
+
+/**
+ * Download and parse an ICS feed
+ */
+const fetchIcs = async (url) => {
+  let response;
+  // Redirects are followed by hand so every hop passes the address check
+  for (let hop = 0; hop <= 3; hop++) {
+    assertPublicUrl(url);
+    try {
+      response = await axios.get(url, {
+        ...publicAgents,
+        headers: { Accept: 'text/calendar, text/plain;q=0.8' },
+        timeout: 20000,
+        maxContentLength: ICS_MAX_BYTES,
+        maxRedirects: 0,
+        responseType: 'text',
+        transformResponse: [data => data],
+        validateStatus: () => true
+      });
+    } catch (error) {
+      if (error.cause instanceof ErrorResponse) throw error.cause;
+      throw new ErrorResponse(`ICS feed unreachable: ${error.message}`, 502);
+    }
+    if (response.status < 300 || response.status >= 400 || !response.headers.location) break;
+    url = new URL(response.headers.location, url).toString();
+  }
+  if (response.status < 200 || response.status >= 300) {
+    throw new ErrorResponse(`ICS feed returned HTTP ${response.status}`, 502);
+  }
+
+  try {
+    return ical.parse(response.data);
+  } catch (error) {
+    throw new ErrorResponse('URL did not return an iCalendar (.ics) feed', 400);
+  }
+};
+
+/**
+ * Subscribe to a read-only ICS feed
+ * @param {object} data - { url (https/http/webcal), name?, refreshMinutes? }
+ */
+exports.subscribeIcs = async (userId, data = {}) => {
+  let url;
+  try {
+    url = new URL(String(data.url || '').trim().replace(/^webcals?:\/\//i, 'https://'));
+  } catch (error) {
+    throw new ErrorResponse('A valid ICS feed url is required', 400);
+  }
+  if (!['https:', 'http:'].includes(url.protocol)) {
+    throw new ErrorResponse('ICS feeds must use https, http or webcal', 400);
+  }
+
+  const sourceHash = crypto.createHash('sha256').update(url.toString()).digest('hex');
+  if (await CalendarFeed.exists({ userId, type: 'ics', sourceHash })) {
+    throw new ErrorResponse('You are already subscribed to this calendar', 409);
+  }
+
+  const calendar = await fetchIcs(url.toString());
+  const declaredName = calendar.properties.find(property => property.name === 'X-WR-CALNAME')?.value;
+
+  const feed = await CalendarFeed.create({
+    userId,
+    type: 'ics',
+    name: data.name || declaredName || url.hostname,
+    displayUrl: url.hostname,
+    sourceHash,
+    ...(data.refreshMinutes && { refreshMinutes: data.refreshMinutes })
+  });
+  await tokenVault.saveTokens(userId, 'ics', { accessToken: url.toString() }, {
+    category: 'calendar',
+    accountRef: String(feed._id)
+  });
+
+  const sync = await exports.syncFeed(feed);
+  return { feed: describeFeed(feed), sync };
+};
+
+exports.listFeeds = async (userId) => {
+  const feeds = await CalendarFeed.find({ userId }).sort({ createdAt: 1 });
+  return feeds.map(describeFeed);
+};
+
+/**
+ * Update a feed's name, enabled calendars, write-back target, refresh
+ * interval or status (active/disabled), or replace its app password
+ */
+exports.updateFeed = async (userId, feedId, updates = {}) => {
+  const feed = await getFeed(userId, feedId);
+
+  if (updates.name !== undefined) feed.name = updates.name;
+  if (updates.refreshMinutes !== undefined) feed.refreshMinutes = updates.refreshMinutes;
+  if (updates.status !== undefined) {
+    if (!['active', 'disabled'].includes(updates.status)) {
+      throw new ErrorResponse('status must be active or disabled', 400);
+    }
+    feed.status = updates.status;
+    if (updates.status === 'active') feed.consecutiveFailures = 0;
+  }
+
+  if (Array.isArray(updates.calendars)) {
+    const disabled = [];
+    updates.calendars.forEach(({ url, syncEnabled }) => {
+      const calendar = feed.calendars.find(c => c.url === url);
+      if (!calendar) throw new ErrorResponse(`Unknown calendar: ${url}`, 400);
+      if (calendar.syncEnabled && syncEnabled === false) disabled.push(url);
+      calendar.syncEnabled = syncEnabled !== false;
+    });
+    // Events from calendars no longer synced are removed
+    if (disabled.length) {
+      await CalendarEvent.deleteMany({ userId, feedId: feed._id, externalCalendarId: { $in: disabled } });
+    }
+  }
+
+  if (updates.writeBack !== undefined || updates.writeBackCalendarUrl !== undefined) {
+    if (feed.type !== 'caldav') throw new ErrorResponse('Write-back is only available for CalDAV accounts', 400);
+    const enable = updates.writeBack !== undefined ? Boolean(updates.writeBack) : feed.writeBack;
+    const target = enable ? chooseWriteBackCalendar(feed, updates.writeBackCalendarUrl) : null;
+
+    // Copies in a calendar that no longer receives write-back are removed
+    if (feed.writeBack && (!enable || target !== feed.writeBackCalendarUrl)) {
+      await retractWriteBack(feed);
+    }
+    feed.writeBack = enable;
+    if (enable) {
+      feed.writeBackCalendarUrl = target;
+      await claimWriteBack(feed);
+    }
+  }
+
+  if (updates.password) {
+    if (feed.type !== 'caldav') throw new ErrorResponse('Only CalDAV accounts have a password', 400);
+    await caldavClient.discover(feed.serverUrl, { username: feed.username, password: updates.password });
+    await tokenVault.saveTokens(userId, 'caldav', { accessToken: updates.password }, {
+      category: 'calendar',
+      accountRef: String(feed._id)
+    });
+    feed.status = 'active';
+    feed.consecutiveFailures = 0;
+  }
+
+  await feed.save();
+  return describeFeed(feed);
+};
+
+/**
+ * Disconnect a feed: its imported events and write-back copies are removed
+ */
+exports.removeFeed = async (userId, feedId) => {
+  const feed = await getFeed(userId, feedId);
+
+  const retracted = await retractWriteBack(feed);
+  const { deletedCount } = await CalendarEvent.deleteMany({ userId, feedId: feed._id });
+  await tokenVault.revoke(userId, feed.type, String(feed._id));
+  await feed.deleteOne();
+
+  return { id: feed._id, removedEvents: deletedCount, removedWriteBackCopies: retracted };
+};
+
+/**
+ * Sync every (non-disabled) feed of the user, optionally of one type
+ */
+exports.syncFeeds = async (userId, { type } = {}) => {
+  const query = { userId, status: { $ne: 'disabled' } };
+  if (type) query.type = type;
+  const feeds = await CalendarFeed.find(query);
+  if (feeds.length === 0) throw new ErrorResponse(`No ${type || 'CalDAV or ICS'} calendars connected`, 404);
+
+  const results = [];
+  for (const feed of feeds) {
+    try {
+      results.push(await exports.syncFeed(feed));
+    } catch (error) {
+      results.push({ success: false, feedId: feed._id, provider: feed.type, error: error.message });
+    }
+  }
+
+  const total = (key) => results.reduce((sum, result) => sum + (result[key] || 0), 0);
+  return {
+    success: results.some(result => result.success),
+    provider: type,
+    added: total('added'),
+    updated: total('updated'),
+    removed: total('removed'),
+    eventsImported: total('added'),
+    feeds: results,
+    syncedAt: new Date()
+  };
+};
+
+exports.syncFeedById = async (userId, feedId) => exports.syncFeed(await getFeed(userId, feedId));
+
+/**
+ * Sync one feed; failures back off and park the feed after repeated errors
+ */
+exports.syncFeed = async (feed, { daysBack = SYNC_WINDOW.daysBack, daysForward = SYNC_WINDOW.daysForward } = {}) => {
+  const now = new Date();
+  const window = {
+    start: new Date(now.getTime() - daysBack * DAY_MS),
+    end: new Date(now.getTime() + daysForward * DAY_MS)
+  };
+
+  try {
+    const secret = await tokenVault.getTokens(feed.userId, feed.type, String(feed._id));
+    if (!secret?.accessToken) {
+      throw new ErrorResponse('Calendar feed credentials are missing - reconnect it', 404);
+    }
+
+    const result = feed.type === 'ics'
+      ? await syncIcsFeed(feed, secret.accessToken, window)
+      : await syncCaldavFeed(feed, { username: feed.username, password: secret.accessToken }, window);
+
+    feed.set({
+      status: 'active',
+      lastSyncedAt: now,
+      nextSyncAt: new Date(now.getTime() + feed.refreshMinutes * 60 * 1000),
+      lastError: null,
+      consecutiveFailures: 0
+    });
+    await feed.save();
+
+    const merge = await exports.mergeDuplicates(feed.userId, window.start, window.end);
+    if (changedAnything(result) || result.writeBack?.pulled || result.writeBack?.cancelledLocally) {
+      notifyEventsChanged(feed.userId, window);
+    }
+
+    return {
+      success: true,
+      feedId: feed._id,
+      provider: feed.type,
+      name: feed.name,
+      ...result,
+      eventsImported: result.added,
+      duplicates: merge.duplicates,
+      syncedAt: now
+    };
+  } catch (error) {
+    const failures = (feed.consecutiveFailures || 0) + 1;
+    const backoffMinutes = Math.min(24 * 60, feed.refreshMinutes * 2 ** (failures - 1));
+    feed.set({
+      consecutiveFailures: failures,
+      lastError: error.message,
+      nextSyncAt: new Date(now.getTime() + backoffMinutes * 60 * 1000),
+      ...(failures >= FEED_MAX_FAILURES && feed.status === 'active' && { status: 'error' })
+    });
+    await feed.save();
+    throw error;
+  }
+};
+
+/**
+ * Upsert expanded occurrences for one feed calendar and tombstone events
+ * in the window that the source no longer has
+ */
+const storeOccurrences = async (feed, calendarUrl, occurrences, window) => {
+  const externalCalendarId = calendarUrl || null;
+  const now = new Date();
+
+  const operations = occurrences.map(occurrence => {
+    const title = occurrence.summary || 'Untitled Event';
+    return {
+      updateOne: {
+        filter: { userId: feed.userId, feedId: feed._id, externalEventId: occurrence.instanceId },
+        update: {
+          $set: {
+            provider: feed.type,
+            ...(externalCalendarId && { externalCalendarId }),
+            icalUid: occurrence.uid,
+            title,
+            description: occurrence.description,
+            startTime: occurrence.start,
+            // CalendarEvent needs end > start; point-in-time entries get a minute
+            endTime: new Date(Math.max(occurrence.end.getTime(), occurrence.start.getTime() + 60 * 1000)),
+            location: occurrence.location,
+            attendees: occurrence.attendees,
+            meetingType: inferMeetingType(title, occurrence.description),
+            energyRequirement: inferEnergyRequirement(title, occurrence.description),
+            isRecurring: occurrence.recurring,
+            recurringEventId: occurrence.recurring ? occurrence.uid : null,
+            status: occurrence.status,
+            lastSynced: now
+          },
+          $unset: { tombstonedAt: 1, purgeAt: 1 }
+        },
+        upsert: true
+      }
+    };
+  });
+
+  let added = 0;
+  let updated = 0;
+  if (operations.length > 0) {
+    const result = await CalendarEvent.bulkWrite(operations, { ordered: false });
+    added = result.upsertedCount;
+    updated = result.modifiedCount;
+  }
+
+  const removed = await tombstoneEvents({
+    userId: feed.userId,
+    feedId: feed._id,
+    externalCalendarId,
+    startTime: { $gte: window.start, $lte: window.end },
+    externalEventId: { $nin: occurrences.map(occurrence => occurrence.instanceId) }
+  }, now);
+
+  return { added, updated, removed, total: occurrences.length };
+};
+
+const syncIcsFeed = async (feed, url, window) => {
+  const events = ical.readEvents(await fetchIcs(url));
+  return await storeOccurrences(feed, null, ical.expandEvents(events, window.start, window.end), window);
+};
+
+const syncCaldavFeed = async (feed, auth, window) => {
+  const writeBackCalendar = feed.writeBackCalendar();
+  const summary = { added: 0, updated: 0, removed: 0, total: 0, calendars: [] };
+  let firstError = null;
+
+  for (const calendar of feed.calendars) {
+    const isWriteBackTarget = writeBackCalendar?.url === calendar.url;
+    if (!calendar.syncEnabled && !isWriteBackTarget) continue;
+
+    try {
+      const resources = await caldavClient.fetchEvents(calendar.url, auth, window.start, window.end);
+
+      // Our own write-back copies are reconciled rather than imported
+      const imported = [];
+      const copies = new Map();
+      resources.forEach(resource => {
+        let events;
+        try {
+          events = ical.readEvents(resource.data);
+        } catch (error) {
+          return;   // one malformed resource shouldn't fail the calendar
+        }
+        events.forEach(event => {
+          const localId = event.extra[WRITE_BACK_PROPERTY];
+          if (localId) copies.set(localId, { url: resource.href, etag: resource.etag, event });
+          else imported.push(event);
+        });
+      });
+
+      const counts = calendar.syncEnabled
+        ? await storeOccurrences(feed, calendar.url, ical.expandEvents(imported, window.start, window.end), window)
+        : { added: 0, updated: 0, removed: 0, total: 0 };
+      ['added', 'updated', 'removed', 'total'].forEach(key => { summary[key] += counts[key]; });
+
+      const calendarSummary = { url: calendar.url, name: calendar.name, ...counts };
+      if (isWriteBackTarget) {
+        calendarSummary.writeBack = await reconcileWriteBack(feed, calendar, auth, copies, window);
+        summary.writeBack = calendarSummary.writeBack;
+      }
+      summary.calendars.push(calendarSummary);
+    } catch (error) {
+      firstError = firstError || error;
+      summary.calendars.push({ url: calendar.url, name: calendar.name, error: error.message });
+    }
+  }
+
+  if (firstError && summary.calendars.every(calendar => calendar.error)) throw firstError;
+  return summary;
+};
+
+// ----------------------------------------------------------------
+// Write-back
+// ----------------------------------------------------------------
+
+const writeBackUid = (event) => `phoenix-${event._id}@phoenix`;
+
+const writeBackLocalId = (uid) => (/^phoenix-([0-9a-f]{24})@phoenix$/.exec(uid || '') || [])[1] || null;
+
+/**
+ * Record write-back state without touching updatedAt, which is how
+ * local edits made after the last push are detected
+ */
+const markWriteBack = (eventId, fields) => CalendarEvent.updateOne(
+  { _id: eventId },
+  { $set: Object.fromEntries(Object.entries(fields).map(([key, value]) => [`writeBack.${key}`, value])) },
+  { timestamps: false }
+);
+
+/**
+ * Apply an edit made in the provider calendar to the local event
+ */
+const applyRemoteEdit = async (event, copy) => {
+  const remote = copy.event;
+  const start = remote.start;
+  const end = new Date(Math.max(start.getTime() + 60 * 1000, start.getTime() + remote.durationMs));
+
+  await CalendarEvent.updateOne(
+    { _id: event._id },
+    {
+      $set: {
+        title: remote.summary || event.title,
+        description: remote.description,
+        location: remote.location,
+        startTime: start,
+        endTime: end,
+        status: remote.status,
+        'writeBack.etag': copy.etag,
+        'writeBack.syncedAt': new Date(),
+        'writeBack.error': null
+      }
+    },
+    { timestamps: false }
+  );
+};
+
+/**
+ * Push a local event to the write-back calendar (create or update)
+ * @returns {string} 'pushed' | 'conflict'
+ */
+const pushEvent = async (feed, calendar, auth, event, etag) => {
+  const url = event.writeBack?.url || caldavClient.eventUrl(calendar.url, writeBackUid(event));
+  const ics = ical.serializeEvent({
+    uid: writeBackUid(event),
+    summary: event.title,
+    description: event.description,
+    location: event.location,
+    start: event.startTime,
+    end: event.endTime,
+    status: event.status,
+    lastModified: event.updatedAt,
+    extra: { [WRITE_BACK_PROPERTY]: String(event._id) }
+  });
+
+  const result = await caldavClient.putEvent(url, auth, ics, etag);
+  if (result.conflict) return 'conflict';
+
+  // Servers may omit the ETag when they rewrite the resource
+  let newEtag = result.etag;
+  if (!newEtag) newEtag = (await caldavClient.getEvent(url, auth))?.etag || null;
+
+  await markWriteBack(event._id, { provider: 'caldav', feedId: feed._id, url, etag: newEtag, syncedAt: new Date(), error: null });
+  return 'pushed';
+};
+
+/**
+ * Two-way reconciliation of auto-scheduled events with their copies
+ * - local only: created remotely
+ * - edited locally since the last push: pushed (If-Match)
+ * - edited remotely: applied locally, unless the local edit is newer
+ * - deleted remotely: cancelled locally
+ * - cancelled or deleted locally: deleted remotely
+ */
+const reconcileWriteBack = async (feed, calendar, auth, copies, window) => {
+  const counts = { created: 0, updated: 0, pulled: 0, deleted: 0, cancelledLocally: 0, conflicts: 0, failed: 0 };
+
+  // Events already written back to Google/Outlook stay there
+  const events = await CalendarEvent.find({
+    userId: feed.userId,
+    provider: 'manual',
+    autoScheduled: true,
+    'writeBack.provider': { $nin: ['google', 'outlook'] },
+    startTime: { $lte: window.end },
+    endTime: { $gte: window.start }
+  });
+
+  for (const event of events) {
+    const id = String(event._id);
+    let copy = copies.get(id);
+    copies.delete(id);
+    const pushedHere = Boolean(event.writeBack?.url) && String(event.writeBack.feedId) === String(feed._id);
+
+    try {
+      if (pushedHere && !copy) {
+        // Missing from the window: moved out of it, or deleted remotely
+        const resource = await caldavClient.getEvent(event.writeBack.url, auth);
+        const remote = resource && ical.readEvents(resource.data)[0];
+        if (!remote) {
+          if (event.status !== 'cancelled') {
+            await CalendarEvent.updateOne({ _id: event._id }, { $set: { status: 'cancelled' }, $unset: { writeBack: 1 } }, { timestamps: false });
+            counts.cancelledLocally++;
+          } else {
+            await CalendarEvent.updateOne({ _id: event._id }, { $unset: { writeBack: 1 } }, { timestamps: false });
+          }
+          continue;
+        }
+        copy = { url: resource.href, etag: resource.etag, event: remote };
+      }
+
+      if (event.status === 'cancelled') {
+        if (copy) {
+          const result = await caldavClient.deleteEvent(copy.url, auth, copy.etag);
+          if (result.conflict) { counts.conflicts++; continue; }
+          counts.deleted++;
+        }
+        if (pushedHere) await CalendarEvent.updateOne({ _id: event._id }, { $unset: { writeBack: 1 } }, { timestamps: false });
+        continue;
+      }
+
+      const changedLocally = !pushedHere || !event.writeBack.syncedAt || event.updatedAt > event.writeBack.syncedAt;
+      const changedRemotely = copy && pushedHere && copy.etag !== event.writeBack.etag;
+
+      if (changedRemotely) {
+        const remoteModified = copy.event.lastModified || new Date();
+        if (!changedLocally || remoteModified > event.updatedAt) {
+          await applyRemoteEdit(event, copy);
+          counts.pulled++;
+          continue;
+        }
+      }
+
+      if (!changedLocally) continue;
+
+      const outcome = await pushEvent(feed, calendar, auth, event, copy?.etag);
+      if (outcome === 'conflict') counts.conflicts++;
+      else if (pushedHere || copy) counts.updated++;
+      else counts.created++;
+    } catch (error) {
+      counts.failed++;
+      await markWriteBack(event._id, { error: error.message });
+    }
+  }
+
+  // Copies whose local event was deleted (e.g. a cancelled training plan)
+  const orphanIds = [...copies.keys()].filter(id => mongoose.Types.ObjectId.isValid(id));
+  const stillExisting = new Set((await CalendarEvent.find({ _id: { $in: orphanIds }, userId: feed.userId }).select('_id').lean())
+    .map(event => String(event._id)));
+
+  for (const [id, copy] of copies) {
+    if (stillExisting.has(id)) continue;
+    try {
+      const result = await caldavClient.deleteEvent(copy.url, auth, copy.etag);
+      if (result.conflict) counts.conflicts++;
+      else counts.deleted++;
+    } catch (error) {
+      counts.failed++;
+    }
+  }
+
+  return counts;
+};
+
+/**
+ * Delete every write-back copy a feed created and clear the local links
+ * @returns {number} copies removed
+ */
+const retractWriteBack = async (feed) => {
+  const events = await CalendarEvent.find({ userId: feed.userId, 'writeBack.feedId': feed._id });
+  if (events.length === 0) return 0;
+
+  const secret = await tokenVault.getTokens(feed.userId, feed.type, String(feed._id));
+  const auth = { username: feed.username, password: secret?.accessToken };
+
+  let removed = 0;
+  for (const event of events) {
+    if (secret?.accessToken && event.writeBack.url) {
+      try {
+        const result = await caldavClient.deleteEvent(event.writeBack.url, auth);
+        if (result.deleted) removed++;
+      } catch (error) {
+        console.error(`Calendar feed ${feed._id}: could not delete write-back copy ${event.writeBack.url}:`, error.message);
+      }
+    }
+    await CalendarEvent.updateOne({ _id: event._id }, { $unset: { writeBack: 1 } }, { timestamps: false });
+  }
+  return removed;
+};
+
+/**
+ * Feeds due for a background refresh (calendarFeedScheduler)
+ */
+exports.findDueFeeds = (limit = 50) => CalendarFeed.find({
+  status: 'active',
+  $or: [{ nextSyncAt: { $exists: false } }, { nextSyncAt: null }, { nextSyncAt: { $lte: new Date() } }]
+}).sort({ nextSyncAt: 1 }).limit(limit);
+
+// ================================================================
+// PROVIDER WRITE-BACK
+// ================================================================
+// Auto-scheduled events are copied into one calendar the user owns:
+// the CalDAV feed with write-back enabled if there is one, otherwise
+// the connected Google (preferred) or Outlook calendar. CalDAV copies
+// are kept reconciled by feed syncs; Google/Outlook copies come back
+// through incremental sync and are matched in applyOwnCopies.
+
+const WRITE_BACK_OAUTH_PROVIDERS = ['google', 'outlook'];
+
+/**
+ * Calendar that receives a user's auto-scheduled events
+ * @returns {object|null} { provider, feed?, calendar? }
+ */
+const writeBackTarget = async (userId) => {
+  const feed = await CalendarFeed.findOne({ userId, type: 'caldav', writeBack: true, status: { $ne: 'disabled' } });
+  const calendar = feed?.writeBackCalendar();
+  if (calendar) return { provider: 'caldav', feed, calendar };
+
+  const connections = await tokenVault.listConnections(userId, 'calendar');
+  const provider = WRITE_BACK_OAUTH_PROVIDERS.find(name => connections.some(c => c.provider === name));
+  return provider ? { provider } : null;
+};
+
+const feedAuth = async (feed) => {
+  const secret = await tokenVault.getTokens(feed.userId, feed.type, String(feed._id));
+  if (!secret?.accessToken) {
+    throw new ErrorResponse('Calendar feed credentials are missing - reconnect it', 404);
+  }
+  return { username: feed.username, password: secret.accessToken };
+};
+
+const googleEventBody = (event) => ({
+  summary: event.title,
+  description: event.description || '',
+  location: event.location || '',
+  start: { dateTime: event.startTime.toISOString() },
+  end: { dateTime: event.endTime.toISOString() },
+  status: event.status === 'tentative' ? 'tentative' : 'confirmed'
+});
+
+const outlookEventBody = (event) => ({
+  subject: event.title,
+  body: { contentType: 'text', content: event.description || '' },
+  start: { dateTime: event.startTime.toISOString().replace(/Z$/, ''), timeZone: 'UTC' },
+  end: { dateTime: event.endTime.toISOString().replace(/Z$/, ''), timeZone: 'UTC' },
+  location: { displayName: event.location || '' },
+  showAs: event.status === 'tentative' ? 'tentative' : 'busy'
+});
+
+/**
+ * Create or update the provider copy of an auto-scheduled event
+ * A copy already in Google/Outlook is updated where it is.
+ * @returns {object} { provider, pushed, reason? }
+ */
+exports.writeBackEvent = async (userId, event) => {
+  const existing = WRITE_BACK_OAUTH_PROVIDERS.includes(event.writeBack?.provider) && event.writeBack.externalEventId
+    ? { provider: event.writeBack.provider }
+    : null;
+  const target = existing || await writeBackTarget(userId);
+  if (!target) {
+    return { provider: null, pushed: false, reason: 'No calendar is connected for write-back' };
+  }
+
+  const { provider } = target;
+  try {
+    if (provider === 'caldav') {
+      const outcome = await pushEvent(target.feed, target.calendar, await feedAuth(target.feed), event, event.writeBack?.etag);
+      return outcome === 'conflict'
+        ? { provider, pushed: false, reason: 'The calendar copy changed since the last sync' }
+        : { provider, pushed: true };
+    }
+
+    const accessToken = await exports.getAccessToken(userId, provider);
+    let externalEventId = event.writeBack?.externalEventId;
+
+    if (provider === 'google') {
+      const calendar = googleCalendarClient(accessToken);
+      const response = externalEventId
+        ? await calendar.events.patch({ calendarId: 'primary', eventId: externalEventId, requestBody: googleEventBody(event) })
+        : await calendar.events.insert({ calendarId: 'primary', requestBody: { ...googleEventBody(event), iCalUID: writeBackUid(event) } });
+      externalEventId = response.data.id;
+    } else {
+      const headers = { Authorization: `Bearer ${accessToken}` };
+      const response = externalEventId
+        ? await axios.patch(`${GRAPH_URL}/me/events/${encodeURIComponent(externalEventId)}`, outlookEventBody(event), { headers })
+        : await axios.post(`${GRAPH_URL}/me/events`, outlookEventBody(event), { headers });
+      externalEventId = response.data.id;
+    }
+
+    await markWriteBack(event._id, { provider, externalEventId, syncedAt: new Date(), error: null });
+    return { provider, pushed: true };
+  } catch (error) {
+    await markWriteBack(event._id, { error: providerErrorMessage(error) });
+    throw error;
+  }
+};
+
+/**
+ * Delete the provider copy of an event cancelled or moved away locally
+ * @returns {boolean} true if a copy was deleted
+ */
+exports.removeWriteBack = async (userId, event) => {
+  const copy = event.writeBack || {};
+  let deleted = false;
+
+  try {
+    if (copy.url && copy.feedId) {
+      const feed = await CalendarFeed.findOne({ _id: copy.feedId, userId });
+      if (feed) {
+        const result = await caldavClient.deleteEvent(copy.url, await feedAuth(feed));
+        deleted = Boolean(result.deleted);
+      }
+    } else if (WRITE_BACK_OAUTH_PROVIDERS.includes(copy.provider) && copy.externalEventId) {
+      const accessToken = await exports.getAccessToken(userId, copy.provider);
+      if (copy.provider === 'google') {
+        await googleCalendarClient(accessToken).events.delete({ calendarId: 'primary', eventId: copy.externalEventId });
+      } else {
+        await axios.delete(`${GRAPH_URL}/me/events/${encodeURIComponent(copy.externalEventId)}`, {
+          headers: { Authorization: `Bearer ${accessToken}` }
+        });
+      }
+      deleted = true;
+    }
+  } catch (error) {
+    // Already deleted in the calendar
+    const status = error.code || error.response?.status;
+    if (status !== 404 && status !== 410) throw error;
+  }
+
+  await CalendarEvent.updateOne({ _id: event._id }, { $unset: { writeBack: 1 } }, { timestamps: false });
+  return deleted;
+};
+
+// ================================================================
+// AI CLASSIFICATION
+// ================================================================
+
+/**
+ * Infer meeting type from title and description
+ */
+const inferMeetingType = (title, description) => {
+  const text = `${title} ${description}`.toLowerCase();
+
+  // Keywords for each meeting type
+  const typeKeywords = {
+    focus: ['deep work', 'focus', 'coding', 'development', 'writing', 'analysis', 'strategy'],
+    stressful: ['performance review', 'difficult', 'conflict', 'negotiation', 'presentation', 'pitch', 'board'],
+    social: ['coffee', 'lunch', 'dinner', 'happy hour', 'team building', 'celebration', 'party'],
+    travel: ['flight', 'drive', 'travel', 'commute', 'trip'],
+    workout: ['gym', 'workout', 'exercise', 'training', 'run', 'yoga', 'fitness']
+  };
+
+  for (const [type, keywords] of Object.entries(typeKeywords)) {
+    if (keywords.some(keyword => text.includes(keyword))) {
+      return type;
+    }
+  }
+
+  // Check if it's a 1:1 meeting
+  if (text.includes('1:1') || text.includes('one-on-one') || text.includes('1-on-1')) {
+    return 'focus';
+  }
+
+  return 'other';
+};
+
+/**
+ * Infer energy requirement from title and description
+ */
+const inferEnergyRequirement = (title, description) => {
+  const text = `${title} ${description}`.toLowerCase();
+
+  // High energy (5)
+  const highEnergyKeywords = ['presentation', 'pitch', 'keynote', 'all-hands', 'performance review', 'negotiation'];
+  if (highEnergyKeywords.some(keyword => text.includes(keyword))) {
+    return 5;
+  }
+
+  // Medium-high energy (4)
+  const mediumHighKeywords = ['meeting', 'interview', 'workshop', 'brainstorm', 'planning'];
+  if (mediumHighKeywords.some(keyword => text.includes(keyword))) {
+    return 4;
+  }
+
+  // Low energy (2)
+  const lowEnergyKeywords = ['coffee', 'lunch', 'catch up', 'casual', 'social'];
+  if (lowEnergyKeywords.some(keyword => text.includes(keyword))) {
+    return 2;
+  }
+
+  // Very low energy (1)
+  const veryLowKeywords = ['break', 'buffer', 'hold', 'placeholder'];
+  if (veryLowKeywords.some(keyword => text.includes(keyword))) {
+    return 1;
+  }
+
+  // Default: medium energy (3)
+  return 3;
+};
+
+// ================================================================
+// TOKEN REFRESH
+// ================================================================
+
+/**
+ * Refresh access token if expired
+ */
+exports.refreshAccessToken = async (provider, refreshToken) => {
+  switch (provider) {
+    case 'google':
+      return await refreshGoogleToken(refreshToken);
+    case 'outlook':
+      return await refreshOutlookToken(refreshToken);
+    default:
+      throw new Error('Unsupported calendar provider');
+  }
+};
+
+/**
+ * Refresh Google access token
+ */
+const refreshGoogleToken = async (refreshToken) => {
+  const oauth2Client = new google.auth.OAuth2(
+    GOOGLE_CONFIG.clientId,
+    GOOGLE_CONFIG.clientSecret,
+    GOOGLE_CONFIG.redirectUri
+  );
+
+  oauth2Client.setCredentials({ refresh_token: refreshToken });
+  const { credentials } = await oauth2Client.refreshAccessToken();
+  
+  return credentials;
+};
+
+/**
+ * Refresh Outlook access token
+ */
+const refreshOutlookToken = async (refreshToken) => {
+  const response = await axios.post(
+    'https://login.microsoftonline.com/common/oauth2/v2.0/token',
+    new URLSearchParams({
+      client_id: OUTLOOK_CONFIG.clientId,
+      client_secret: OUTLOOK_CONFIG.clientSecret,
+      refresh_token: refreshToken,
+      grant_type: 'refresh_token'
+    }),
+    {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    }
+  );
+
+  return response.data;
+};
+
+// ================================================================
+// PUSH NOTIFICATIONS
+// ================================================================
+// Google watch channels and Microsoft Graph subscriptions notify the
+// public webhook routes, which verify the per-channel secret and queue
+// an incremental sync. Channels expire (Google ~7 days, Graph ~3 days)
+// and are renewed by calendarSyncScheduler, which also polls any
+// connection without a live channel.
+
+const WEBHOOK_PROVIDERS = {
+  google: 'google_calendar',
+  outlook: 'outlook_calendar'
+};
+
+const WEBHOOK_REJECTION_STATUS = {
+  missing_signature: 403,
+  invalid_signature: 403,
+  unknown_channel: 404,
+  replay: 409
+};
+
+const hashSecret = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const secretMatches = (value, digest) => {
+  if (!value || !digest) return false;
+  const expected = Buffer.from(digest, 'hex');
+  const actual = Buffer.from(hashSecret(value), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Public https base URL providers can reach, or null (polling only)
+ */
+const webhookBaseUrl = () => {
+  const base = process.env.CALENDAR_WEBHOOK_URL || process.env.API_URL;
+  return base && base.startsWith('https://') ? base.replace(/\/$/, '') : null;
+};
+
+/**
+ * Open a Google watch channel on the primary calendar
+ */
+const createGoogleChannel = async (accessToken, address, secret) => {
+  const response = await googleCalendarClient(accessToken).events.watch({
+    calendarId: 'primary',
+    requestBody: {
+      id: crypto.randomUUID(),
+      type: 'web_hook',
+      address,
+      token: secret,
+      params: { ttl: String(GOOGLE_CHANNEL_TTL_SECONDS) }
+    }
+  });
+
+  return {
+    id: response.data.id,
+    resourceId: response.data.resourceId,
+    expiresAt: new Date(Number(response.data.expiration))
+  };
+};
+
+/**
+ * Create a Graph subscription on the user's events
+ */
+const createOutlookSubscription = async (accessToken, address, secret) => {
+  const response = await axios.post(`${GRAPH_URL}/subscriptions`, {
+    changeType: 'created,updated,deleted',
+    notificationUrl: address,
+    lifecycleNotificationUrl: address,
+    resource: 'me/events',
+    expirationDateTime: new Date(Date.now() + OUTLOOK_SUBSCRIPTION_MINUTES * 60 * 1000).toISOString(),
+    clientState: secret
+  }, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+
+  return {
+    id: response.data.id,
+    expiresAt: new Date(response.data.expirationDateTime)
+  };
+};
+
+/**
+ * Stop a channel at the provider (best effort - it expires anyway)
+ */
+const closeChannel = async (provider, accessToken, channel) => {
+  if (provider === 'google') {
+    await googleCalendarClient(accessToken).channels.stop({
+      requestBody: { id: channel.id, resourceId: channel.resourceId }
+    });
+  } else {
+    await axios.delete(`${GRAPH_URL}/subscriptions/${encodeURIComponent(channel.id)}`, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+  }
+};
+
+/**
+ * Replace the state's channel with a new one, stopping the old one
+ */
+const openChannel = async (state, accessToken, base) => {
+  const previous = state.channel?.status === 'active' ? { id: state.channel.id, resourceId: state.channel.resourceId } : null;
+  const secret = crypto.randomBytes(32).toString('hex');
+  const address = `${base}${WEBHOOK_PATHS[state.provider]}`;
+
+  const channel = state.provider === 'google'
+    ? await createGoogleChannel(accessToken, address, secret)
+    : await createOutlookSubscription(accessToken, address, secret);
+
+  state.channel = { ...channel, tokenHash: hashSecret(secret), status: 'active' };
+  await state.save();
+
+  if (previous?.id) {
+    await closeChannel(state.provider, accessToken, previous).catch(error => {
+      console.error(`Failed to stop old ${state.provider} channel: ${providerErrorMessage(error)}`);
+    });
+  }
+
+  return { push: true, expiresAt: state.channel.expiresAt };
+};
+
+/**
+ * Record a failed channel operation; the scheduler retries later.
+ * A 404 from getAccessToken means the calendar was disconnected.
+ */
+const channelFailed = async (state, error) => {
+  if (error.statusCode === 404) {
+    await CalendarSyncState.deleteOne({ _id: state._id });
+    return;
+  }
+
+  state.set({
+    'channel.status': 'failed',
+    'channel.retryAt': new Date(Date.now() + CHANNEL_RETRY_MS),
+    'channel.error': providerErrorMessage(error)
+  });
+  await state.save();
+};
+
+/**
+ * Subscribe to push notifications for a connected calendar
+ * @returns {object} { push, expiresAt?, reason? }
+ */
+exports.watchCalendar = async (userId, provider) => {
+  if (!WEBHOOK_PATHS[provider]) {
+    throw new ErrorResponse(`Push notifications are not available for ${provider}`, 400);
+  }
+
+  const base = webhookBaseUrl();
+  if (!base) {
+    return { push: false, reason: 'CALENDAR_WEBHOOK_URL (or API_URL) must be a public https URL' };
+  }
+
+  const state = await CalendarSyncState.findOneAndUpdate(
+    { userId, provider },
+    { $setOnInsert: { userId, provider } },
+    { upsert: true, new: true }
+  );
+
+  try {
+    const accessToken = await exports.getAccessToken(userId, provider);
+    return await openChannel(state, accessToken, base);
+  } catch (error) {
+    await channelFailed(state, error);
+    throw error;
+  }
+};
+
+/**
+ * Renew an expiring (or retry a failed) channel
+ * Graph subscriptions are extended in place; Google channels can't be,
+ * so a new one replaces the old.
+ */
+exports.renewChannel = async (state) => {
+  const base = webhookBaseUrl();
+  if (!base) {
+    await CalendarSyncState.updateOne({ _id: state._id }, { $unset: { channel: 1 } });
+    return { push: false };
+  }
+
+  try {
+    const accessToken = await exports.getAccessToken(state.userId, state.provider);
+
+    if (state.provider === 'outlook' && state.channel?.status === 'active') {
+      try {
+        const response = await axios.patch(`${GRAPH_URL}/subscriptions/${encodeURIComponent(state.channel.id)}`, {
+          expirationDateTime: new Date(Date.now() + OUTLOOK_SUBSCRIPTION_MINUTES * 60 * 1000).toISOString()
+        }, {
+          headers: { Authorization: `Bearer ${accessToken}` }
+        });
+        state.set({ 'channel.expiresAt': new Date(response.data.expirationDateTime), 'channel.error': null });
+        await state.save();
+        return { push: true, renewed: true, expiresAt: state.channel.expiresAt };
+      } catch (error) {
+        // Subscription already gone - create a new one below
+        if (error.response?.status !== 404) throw error;
+      }
+    }
+
+    return await openChannel(state, accessToken, base);
+  } catch (error) {
+    await channelFailed(state, error);
+    throw error;
+  }
+};
+
+/**
+ * Channels due for renewal or retry
+ */
+exports.findChannelsDue = (limit = 50) => CalendarSyncState.findChannelsDue(CHANNEL_RENEW_WINDOW_MS, limit);
+
+/**
+ * Connections due for a polling sync
+ */
+exports.findConnectionsDueForPoll = (limit = 50) =>
+  CalendarSyncState.findDueForPoll(POLL_INTERVAL_MS, PUSHED_POLL_INTERVAL_MS, limit);
+
+/**
+ * Scheduled sync of one connection; forgets disconnected calendars
+ */
+exports.pollConnection = async (state) => {
+  try {
+    return await exports.syncCalendar(state.userId, state.provider);
+  } catch (error) {
+    if (error.statusCode === 404) await CalendarSyncState.deleteOne({ _id: state._id });
+    throw error;
+  }
+};
+
+/**
+ * Run a sync in the background (webhooks must be answered quickly)
+ */
+const queueSync = (userId, provider, options = {}) => {
+  setImmediate(() => {
+    exports.syncCalendar(userId, provider, options).catch(error => {
+      console.error(`Calendar push sync failed for ${userId} (${provider}): ${error.message}`);
+    });
+  });
+};
+
+/**
+ * Record a refused notification and build the error to answer with
+ */
+const rejectWebhook = (req, provider, reason, { details, externalId, signaturePresent } = {}) => {
+  WebhookRejection.create({
+    provider: WEBHOOK_PROVIDERS[provider],
+    reason,
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    signaturePresent: Boolean(signaturePresent),
+    externalId,
+    details
+  }).catch(error => {
+    console.error('Webhook rejection audit error:', error.message);
+  });
+
+  console.warn(`🚫 ${provider} calendar webhook rejected (${reason})`);
+
+  return new ErrorResponse('Webhook rejected', WEBHOOK_REJECTION_STATUS[reason]);
+};
+
+/**
+ * Handle Google Calendar webhook
+ * Verified by the channel token chosen when the channel was opened;
+ * X-Goog-Message-Number guards against replays.
+ */
+exports.handleGoogleWebhook = async (req) => {
+  const channelId = req.get('X-Goog-Channel-ID');
+  const token = req.get('X-Goog-Channel-Token');
+  const resourceId = req.get('X-Goog-Resource-ID');
+  const resourceState = req.get('X-Goog-Resource-State');
+  const messageNumber = req.get('X-Goog-Message-Number');
+
+  if (!channelId || !token) {
+    throw rejectWebhook(req, 'google', 'missing_signature', { externalId: channelId, signaturePresent: Boolean(token) });
+  }
+
+  const state = await CalendarSyncState.findOne({ provider: 'google', 'channel.id': channelId });
+  if (!state) {
+    throw rejectWebhook(req, 'google', 'unknown_channel', { externalId: channelId, signaturePresent: true });
+  }
+  if (!secretMatches(token, state.channel.tokenHash) || (state.channel.resourceId && resourceId !== state.channel.resourceId)) {
+    throw rejectWebhook(req, 'google', 'invalid_signature', { externalId: channelId, signaturePresent: true });
+  }
+
+  // The first message on a new channel only confirms it
+  if (resourceState === 'sync') {
+    return { success: true, acknowledged: true };
+  }
+
+  if (messageNumber) {
+    const claimed = await WebhookNonce.claim(WEBHOOK_PROVIDERS.google, `${channelId}:${messageNumber}`, WEBHOOK_NONCE_TTL_SECONDS, req.originalUrl);
+    if (!claimed) {
+      throw rejectWebhook(req, 'google', 'replay', { externalId: channelId, details: `message ${messageNumber}`, signaturePresent: true });
+    }
+  }
+
+  await CalendarSyncState.updateOne({ _id: state._id }, { $set: { 'channel.lastNotificationAt': new Date() } });
+  queueSync(state.userId, 'google');
+
+  return { success: true, queued: true };
+};
+
+/**
+ * Handle Outlook Calendar webhook
+ * Graph first validates the URL (validationToken must be echoed as
+ * text/plain), then posts batches of change and lifecycle notifications,
+ * each carrying the subscription's clientState.
+ */
+exports.handleOutlookWebhook = async (req) => {
+  if (req.query.validationToken) {
+    return { validationToken: String(req.query.validationToken) };
+  }
+
+  const notifications = Array.isArray(req.body?.value) ? req.body.value : [];
+  if (notifications.length === 0) {
+    throw rejectWebhook(req, 'outlook', 'missing_signature', { details: 'No notifications in payload' });
+  }
+
+  const subscriptionIds = [...new Set(notifications.map(notification => notification.subscriptionId).filter(Boolean))];
+  const states = await CalendarSyncState.find({ provider: 'outlook', 'channel.id': { $in: subscriptionIds } });
+  const stateBySubscription = new Map(states.map(state => [state.channel.id, state]));
+
+  // Per connection: renew when the subscription needs reauthorizing or
+  // was removed; every notification (including 'missed') queues a sync -
+  // the delta link catches up on anything not delivered
+  const actions = new Map();
+  let rejection = null;
+
+  notifications.forEach(notification => {
+    const state = stateBySubscription.get(notification.subscriptionId);
+    const signaturePresent = Boolean(notification.clientState);
+    if (!state) {
+      rejection = rejectWebhook(req, 'outlook', 'unknown_channel', { externalId: notification.subscriptionId, signaturePresent });
+      return;
+    }
+    if (!secretMatches(notification.clientState, state.channel.tokenHash)) {
+      rejection = rejectWebhook(req, 'outlook', 'invalid_signature', { externalId: notification.subscriptionId, signaturePresent });
+      return;
+    }
+
+    const key = String(state._id);
+    const renew = ['reauthorizationRequired', 'subscriptionRemoved'].includes(notification.lifecycleEvent);
+    actions.set(key, { state, renew: renew || Boolean(actions.get(key)?.renew) });
+  });
+
+  if (actions.size === 0) throw rejection;
+
+  for (const { state, renew } of actions.values()) {
+    await CalendarSyncState.updateOne({ _id: state._id }, { $set: { 'channel.lastNotificationAt': new Date() } });
+
+    if (renew) {
+      setImmediate(() => {
+        exports.renewChannel(state)
+          .catch(error => console.error(`Outlook subscription renewal failed for ${state.userId}: ${error.message}`))
+          .finally(() => queueSync(state.userId, 'outlook'));
+      });
+    } else {
+      queueSync(state.userId, 'outlook');
+    }
+  }
+
+  return { success: true, accepted: actions.size };
 };
 
 module.exports = exports;
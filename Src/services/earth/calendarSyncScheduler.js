@@ -0,0 +1,104 @@
+// ============================================
+// CALENDAR SYNC SCHEDULER - Push channel renewal and polling fallback
+// ============================================
+// Google/Outlook connections are kept fresh by push notifications.
+// Every few minutes this renews channels close to expiry (and retries
+// failed ones), then polls connections that have no live channel - or
+// that haven't heard from theirs in a while - with an incremental sync.
+// ============================================
+
+const cron = require('node-cron');
+const calendarSync = require('./calendarSync');
+
+const TICK_SCHEDULE = '*/10 * * * *';
+const BATCH_SIZE = 25;
+
+class CalendarSyncScheduler {
+  constructor() {
+    this.isRunning = false;
+    this.isTicking = false;
+    this.task = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start the scheduler
+   */
+  start() {
+    if (this.isRunning) {
+      console.warn('⚠️ Calendar sync scheduler already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.task = cron.schedule(TICK_SCHEDULE, () => this.tick(), { noOverlap: true });
+
+    console.log('✅ Calendar sync scheduler started');
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.task) this.task.stop();
+    this.task = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * One pass: renew due channels, then poll stale connections
+   */
+  async tick() {
+    if (this.isTicking) return null;
+    this.isTicking = true;
+
+    const summary = { renewed: 0, polled: 0, failed: 0 };
+
+    try {
+      const channels = await calendarSync.findChannelsDue(BATCH_SIZE);
+      for (const state of channels) {
+        try {
+          await calendarSync.renewChannel(state);
+          summary.renewed++;
+        } catch (error) {
+          summary.failed++;
+          console.error(`Calendar channel renewal failed for ${state.userId} (${state.provider}): ${error.message}`);
+        }
+      }
+
+      const stale = await calendarSync.findConnectionsDueForPoll(BATCH_SIZE);
+      for (const state of stale) {
+        try {
+          await calendarSync.pollConnection(state);
+          summary.polled++;
+        } catch (error) {
+          summary.failed++;
+          console.error(`Calendar poll failed for ${state.userId} (${state.provider}): ${error.message}`);
+        }
+      }
+
+      if (channels.length > 0 || stale.length > 0) {
+        console.log(`📅 Calendar sync: ${summary.renewed} channels renewed, ${summary.polled} polled, ${summary.failed} failed`);
+      }
+    } catch (error) {
+      console.error('❌ Calendar sync scheduler error:', error);
+    } finally {
+      this.isTicking = false;
+      this.lastRun = new Date();
+    }
+
+    return summary;
+  }
+
+  /**
+   * Scheduler state for health checks
+   */
+  getStatus() {
+    return {
+      running: this.isRunning,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = new CalendarSyncScheduler();
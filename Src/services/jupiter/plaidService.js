@@ -8,6 +8,7 @@
 const { Configuration, PlaidApi, PlaidEnvironments } = require('plaid');
 const Finance = require('../../models/jupiter/Finance');
 const Transaction = require('../../models/jupiter/Transaction');
+const tokenVault = require('../phoenix/tokenVault');
 
 // Plaid Configuration
 const configuration = new Configuration({
@@ -80,6 +81,9 @@ exports.exchangeToken = async (publicToken, userId) => {
     const accessToken = tokenResponse.data.access_token;
     const itemId = tokenResponse.data.item_id;
 
+    // Store the access token encrypted, keyed by Plaid item
+    await tokenVault.saveTokens(userId, 'plaid', { accessToken }, { category: 'banking', accountRef: itemId });
+
     // Get account information
     const accountsResponse = await plaidClient.accountsGet({
       access_token: accessToken
@@ -107,7 +111,6 @@ exports.exchangeToken = async (publicToken, userId) => {
       const financeAccount = await Finance.create({
         userId,
         plaidAccountId: account.account_id,
-        plaidAccessToken: accessToken,
         plaidItemId: itemId,
         institutionName,
         institutionId: institution,
@@ -141,6 +144,19 @@ exports.exchangeToken = async (publicToken, userId) => {
   }
 };
 
+/**
+ * Decrypted Plaid access token for a Finance account's item
+ * @param {Object} account - Finance document
+ * @returns {String} Plaid access token
+ */
+exports.getAccessToken = async (account) => {
+  const tokens = await tokenVault.getTokens(account.userId, 'plaid', account.plaidItemId);
+  if (!tokens) {
+    throw new Error('Bank connection credentials not found - reconnect the account');
+  }
+  return tokens.accessToken;
+};
+
 // ========================================
 // TRANSACTION SYNCING
 // ========================================
@@ -281,8 +297,9 @@ exports.removeItem = async (itemId) => {
 
     // Remove item from Plaid
     await plaidClient.itemRemove({
-      access_token: account.plaidAccessToken
+      access_token: await this.getAccessToken(account)
     });
+    await tokenVault.revoke(account.userId, 'plaid', itemId);
 
     return { success: true };
   } catch (error) {
@@ -355,7 +372,7 @@ exports.handleTransactionWebhook = async (webhookData) => {
 
   // Sync transactions based on webhook code
   if (webhook_code === 'INITIAL_UPDATE' || webhook_code === 'HISTORICAL_UPDATE' || webhook_code === 'DEFAULT_UPDATE') {
-    await this.syncTransactions(account.plaidAccessToken, null, account.userId);
+    await this.syncTransactions(await this.getAccessToken(account), null, account.userId);
   }
 };
 
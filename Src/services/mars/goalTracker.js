@@ -8,28 +8,39 @@
  */
 
 const Goal = require('../../models/mars/Goal');
+const habitTracker = require('./habitTracker');
 
 /**
  * Generate milestones for a goal
+ * Accepts both Goal documents (target/current/deadline) and the
+ * targetValue/currentValue/targetDate shape used by generated goals.
+ * Milestone dates are spread evenly between creation and the deadline.
  * @param {Object} goal - Goal document
  * @returns {Array} Array of milestone objects
  */
 const generateMilestones = async (goal) => {
-  if (!goal.targetValue || !goal.targetDate) {
+  const targetValue = goal.targetValue !== undefined ? goal.targetValue : goal.target;
+  const currentValue = goal.currentValue !== undefined ? goal.currentValue : (goal.current || 0);
+  const targetDate = goal.targetDate || goal.deadline;
+
+  if (targetValue === undefined || targetValue === null || !targetDate) {
     return [];
   }
 
   const milestones = [];
-  const totalValue = goal.targetValue - goal.currentValue;
+  const totalValue = targetValue - currentValue;
+  const startTime = new Date(goal.createdAt || Date.now()).getTime();
+  const span = new Date(targetDate).getTime() - startTime;
   const milestoneCount = 4; // 25%, 50%, 75%, 100%
 
   for (let i = 1; i <= milestoneCount; i++) {
     const percentage = (i / milestoneCount) * 100;
-    const targetValue = goal.currentValue + (totalValue * (i / milestoneCount));
+    const value = currentValue + (totalValue * (i / milestoneCount));
     
     milestones.push({
       title: `${percentage}% Complete`,
-      targetValue: Math.round(targetValue),
+      targetValue: Math.round(value * 10) / 10,
+      targetDate: new Date(startTime + span * (i / milestoneCount)),
       completed: false
     });
   }
@@ -200,7 +211,8 @@ const analyzeBottlenecks = async (goalId) => {
   }
   
   // Check for broken habit streaks
-  const brokenHabits = goal.habits.filter(h => h.streak === 0);
+  const habits = await habitTracker.getGoalHabits(goal._id);
+  const brokenHabits = habits.filter(h => h.status === 'active' && h.currentStreak === 0 && h.totalCompletions > 0);
   if (brokenHabits.length > 0) {
     bottlenecks.push({
       issue: 'Habit streaks broken',
@@ -0,0 +1,84 @@
+// ============================================
+// HABIT REMINDER SCHEDULER - Background habit reminders
+// ============================================
+// Every few minutes, sends the habit reminders whose nextAt has passed.
+// A reminder only goes out if the habit is still due today (weekly
+// habits: the week's target isn't met yet); it is recorded as a
+// 'habit_reminder' Intervention and pushed to connected clients.
+// ============================================
+
+const cron = require('node-cron');
+const habitTracker = require('./habitTracker');
+
+const TICK_SCHEDULE = '*/5 * * * *';
+const BATCH_SIZE = 100;
+
+class HabitReminderScheduler {
+  constructor() {
+    this.isRunning = false;
+    this.isTicking = false;
+    this.task = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start the scheduler
+   */
+  start() {
+    if (this.isRunning) {
+      console.warn('⚠️ Habit reminder scheduler already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.task = cron.schedule(TICK_SCHEDULE, () => this.tick(), { noOverlap: true });
+
+    console.log('✅ Habit reminder scheduler started');
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.task) this.task.stop();
+    this.task = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * One pass: send every reminder that is due
+   */
+  async tick() {
+    if (this.isTicking) return null;
+    this.isTicking = true;
+
+    let summary = null;
+
+    try {
+      summary = await habitTracker.processDueReminders(BATCH_SIZE);
+
+      if (summary.sent > 0) {
+        console.log(`⏰ Habit reminders: ${summary.sent} sent, ${summary.skipped} skipped`);
+      }
+    } catch (error) {
+      console.error('❌ Habit reminder scheduler error:', error);
+    } finally {
+      this.isTicking = false;
+      this.lastRun = new Date();
+    }
+
+    return summary;
+  }
+
+  /**
+   * Scheduler state for health checks
+   */
+  getStatus() {
+    return {
+      running: this.isRunning,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = new HabitReminderScheduler();
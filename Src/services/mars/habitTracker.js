@@ -0,0 +1,1065 @@
+/**
+ * HABIT TRACKER SERVICE
+ *
+ * Mars System - Standalone Habits
+ * File: Src/services/mars/habitTracker.js
+ *
+ * Habit CRUD, completion logging, streaks with grace days, completion
+ * calendars/heatmaps, reminders (delivered as interventions) and habit
+ * stacking suggestions.
+ *
+ * Streaks:
+ * - daily / weekdays habits count scheduled days. Up to `graceDays`
+ *   scheduled days per ISO week may be missed without breaking the
+ *   streak; they just don't extend it.
+ * - times_per_week habits count weeks that hit the target (prorated in
+ *   the first week and around pauses). A week short by at most
+ *   `graceDays` completions is forgiven the same way.
+ * - Today (or the current week) never breaks a streak while it's open.
+ *
+ * All day arithmetic works on 'YYYY-MM-DD' labels in the habit's timezone.
+ */
+
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const Habit = require('../../models/mars/Habit');
+const HabitLog = require('../../models/mars/HabitLog');
+const Goal = require('../../models/mars/Goal');
+const User = require('../../models/User');
+const BehaviorPattern = require('../../models/phoenix/BehaviorPattern');
+const Intervention = require('../../models/phoenix/Intervention');
+const interventionWebSocket = require('../phoenix/interventionWebSocket');
+const ErrorResponse = require('../../utils/errorResponse');
+
+const DAY = 'YYYY-MM-DD';
+const CLOCK = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_RANGE_DAYS = 400;
+const DEFAULT_CALENDAR_DAYS = 84;
+const DEFAULT_HEATMAP_DAYS = 365;
+
+// Stacking
+const STRONG_HABIT_RATE = 0.8;
+const STRENGTH_WINDOW_DAYS = 28;
+const MIN_STRENGTH_SAMPLES = 7;
+const SUGGESTIONS_PER_HABIT = 3;
+const PATTERN_TIMES = {
+  morning: '08:00',
+  midday: '12:00',
+  noon: '12:00',
+  afternoon: '15:00',
+  evening: '19:00',
+  night: '22:00'
+};
+const CATEGORY_PATTERNS = {
+  health: ['sleep', 'nutrition', 'recovery', 'stress'],
+  fitness: ['exercise', 'recovery', 'energy'],
+  nutrition: ['nutrition'],
+  sleep: ['sleep', 'recovery'],
+  mindfulness: ['stress', 'mood', 'recovery'],
+  productivity: ['productivity', 'energy', 'goal_progress'],
+  learning: ['productivity', 'goal_progress'],
+  finance: ['financial'],
+  social: ['social', 'mood'],
+  other: []
+};
+
+// ========================================
+// HELPERS
+// ========================================
+
+const label = (value) => moment.utc(value, DAY, true);
+
+const todayFor = (habit) => moment.tz(habit.timezone || 'UTC').format(DAY);
+
+const weekKey = (day) => `${day.isoWeekYear()}-${day.isoWeek()}`;
+
+const isPaused = (habit, day) => (habit.pauses || []).some(pause =>
+  day >= pause.start && (!pause.end || day <= pause.end)
+);
+
+/**
+ * Whether a day counts for the habit (weekly habits: any eligible day)
+ * @param {Object} habit - Habit document
+ * @param {Object} day - moment (UTC) for the day label
+ */
+const isScheduledDay = (habit, day) => {
+  const date = day.format(DAY);
+  if (date < habit.startDate || isPaused(habit, date)) return false;
+  if (habit.schedule.type === 'weekdays') return habit.schedule.weekdays.includes(day.day());
+  return true;
+};
+
+const weekTarget = (habit, eligibleDays) =>
+  Math.min(habit.schedule.timesPerWeek, Math.ceil(habit.schedule.timesPerWeek * eligibleDays / 7));
+
+const assertObjectId = (id, field) => {
+  if (!mongoose.isValidObjectId(id)) throw new ErrorResponse(`${field} is not a valid id`, 400);
+};
+
+const resolveTimezone = async (userId) => {
+  const user = await User.findById(userId).select('preferences');
+  const zone = user?.preferences?.scheduling?.timezone;
+  return zone && moment.tz.zone(zone) ? zone : 'UTC';
+};
+
+const minutesOf = (clock) => {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const clockOf = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Validate a from/to query range (defaults to the `days` up to today)
+ */
+const parseRange = (query, today, days) => {
+  const to = query.to ? label(query.to) : label(today);
+  const from = query.from ? label(query.from) : to.clone().subtract(days - 1, 'days');
+
+  if (!from.isValid() || !to.isValid()) {
+    throw new ErrorResponse('from and to must be dates in YYYY-MM-DD format', 400);
+  }
+  if (from.isAfter(to)) throw new ErrorResponse('from must be on or before to', 400);
+  if (to.diff(from, 'days') + 1 > MAX_RANGE_DAYS) {
+    throw new ErrorResponse(`Range cannot exceed ${MAX_RANGE_DAYS} days`, 400);
+  }
+  return { from: from.format(DAY), to: to.format(DAY) };
+};
+
+// ========================================
+// STREAKS
+// ========================================
+
+/**
+ * Walk the schedule of a daily/weekdays habit from its start to today
+ */
+const scanDays = (habit, completed, today) => {
+  const days = [];
+  let current = 0;
+  let longest = 0;
+  let week = null;
+  let graceLeft = 0;
+
+  for (const day = label(habit.startDate); day.format(DAY) <= today; day.add(1, 'day')) {
+    const date = day.format(DAY);
+    if (weekKey(day) !== week) {
+      week = weekKey(day);
+      graceLeft = habit.graceDays;
+    }
+
+    let status;
+    if (!isScheduledDay(habit, day)) {
+      status = completed.has(date) ? 'extra' : 'off';
+    } else if (completed.has(date)) {
+      status = 'completed';
+      current++;
+      longest = Math.max(longest, current);
+    } else if (date === today) {
+      status = 'pending';
+    } else if (graceLeft > 0) {
+      graceLeft--;
+      status = 'grace';
+    } else {
+      status = 'missed';
+      current = 0;
+    }
+    days.push({ date, status });
+  }
+
+  return { current, longest, unit: 'days', days, weeks: [] };
+};
+
+/**
+ * Walk the ISO weeks of a times_per_week habit from its start to today
+ */
+const scanWeeks = (habit, completed, today) => {
+  const days = [];
+  const weeks = [];
+  let current = 0;
+  let longest = 0;
+
+  for (const weekStart = label(habit.startDate).startOf('isoWeek'); weekStart.format(DAY) <= today; weekStart.add(1, 'week')) {
+    let eligible = 0;
+    let done = 0;
+
+    for (const day = weekStart.clone(); day.isBefore(weekStart.clone().add(1, 'week')); day.add(1, 'day')) {
+      const date = day.format(DAY);
+      const scheduled = isScheduledDay(habit, day);
+      if (scheduled) eligible++;
+      if (completed.has(date) && date >= habit.startDate) done++;
+      if (date <= today && date >= habit.startDate) {
+        days.push({ date, status: completed.has(date) ? 'completed' : (scheduled ? 'open' : 'off') });
+      }
+    }
+
+    if (eligible === 0) {
+      weeks.push({ weekStart: weekStart.format(DAY), target: 0, completed: done, status: 'off' });
+      continue;
+    }
+
+    const target = weekTarget(habit, eligible);
+    const isCurrent = weekStart.clone().add(1, 'week').format(DAY) > today;
+    let status;
+
+    if (done >= target) {
+      status = 'met';
+      current++;
+      longest = Math.max(longest, current);
+    } else if (isCurrent) {
+      status = 'pending';
+    } else if (target - done <= habit.graceDays) {
+      status = 'grace';
+    } else {
+      status = 'missed';
+      current = 0;
+    }
+    weeks.push({ weekStart: weekStart.format(DAY), target, completed: done, status });
+  }
+
+  return { current, longest, unit: 'weeks', days, weeks };
+};
+
+/**
+ * Evaluate a habit's schedule against its completed days
+ * @param {Object} habit - Habit document
+ * @param {Set} completed - Completed 'YYYY-MM-DD' days
+ * @returns {Object} { current, longest, unit, days, weeks }
+ */
+const evaluate = (habit, completed, today = todayFor(habit)) => (
+  habit.schedule.type === 'times_per_week'
+    ? scanWeeks(habit, completed, today)
+    : scanDays(habit, completed, today)
+);
+
+const applyStats = (habit, completed) => {
+  const result = evaluate(habit, completed);
+  const dates = [...completed].sort();
+
+  habit.currentStreak = result.current;
+  habit.longestStreak = result.longest;
+  habit.streakUnit = result.unit;
+  habit.lastCompletedDate = dates[dates.length - 1];
+  habit.totalCompletions = dates.length;
+  habit.statsUpdatedAt = new Date();
+  return result;
+};
+
+const completedDays = async (habitIds) => {
+  const logs = await HabitLog.find({ habitId: { $in: habitIds }, completed: true })
+    .select('habitId date')
+    .lean();
+
+  const byHabit = new Map(habitIds.map(id => [id.toString(), new Set()]));
+  for (const log of logs) byHabit.get(log.habitId.toString())?.add(log.date);
+  return byHabit;
+};
+
+/**
+ * Recompute and persist the cached streak statistics
+ * @param {Array} habits - Habit documents
+ * @returns {Map} habitId -> evaluation
+ */
+const refreshStats = async (habits) => {
+  const results = new Map();
+  if (habits.length === 0) return results;
+
+  const completed = await completedDays(habits.map(h => h._id));
+
+  for (const habit of habits) {
+    // Archived habits keep the numbers they were archived with
+    if (habit.status === 'archived' && habit.statsUpdatedAt) continue;
+    results.set(habit._id.toString(), applyStats(habit, completed.get(habit._id.toString())));
+    if (habit.isModified()) await habit.save();
+  }
+  return results;
+};
+
+/**
+ * Completion rate over the last few weeks (null when there's too little history)
+ */
+const recentStrength = (evaluation, today) => {
+  const since = label(today).subtract(STRENGTH_WINDOW_DAYS, 'days').format(DAY);
+
+  const samples = evaluation.unit === 'weeks'
+    ? evaluation.weeks.filter(w => w.weekStart >= since && ['met', 'grace', 'missed'].includes(w.status))
+      .map(w => w.status === 'met')
+    : evaluation.days.filter(d => d.date >= since && ['completed', 'grace', 'missed'].includes(d.status))
+      .map(d => d.status === 'completed');
+
+  const minimum = evaluation.unit === 'weeks' ? 2 : MIN_STRENGTH_SAMPLES;
+  if (samples.length < minimum) return null;
+  return samples.filter(Boolean).length / samples.length;
+};
+
+// ========================================
+// REMINDERS
+// ========================================
+
+/**
+ * Next reminder time after `after`, on a day the habit is scheduled
+ * @param {Object} habit - Habit document
+ * @param {Date} after - Lower bound
+ * @returns {Date|null}
+ */
+const nextReminderAt = (habit, after = new Date()) => {
+  if (!habit.reminder?.enabled || !habit.reminder.time || habit.status !== 'active') return null;
+
+  const tz = habit.timezone || 'UTC';
+  const first = moment.tz(after, tz).format(DAY);
+
+  for (let offset = 0; offset <= 14; offset++) {
+    const day = label(first).add(offset, 'days');
+    const at = moment.tz(`${day.format(DAY)} ${habit.reminder.time}`, 'YYYY-MM-DD HH:mm', tz);
+    if (at.isAfter(after) && isScheduledDay(habit, day)) return at.toDate();
+  }
+  return null;
+};
+
+/**
+ * Whether the habit still needs doing today
+ */
+const isDueToday = async (habit) => {
+  if (habit.status !== 'active') return false;
+
+  const today = todayFor(habit);
+  if (!isScheduledDay(habit, label(today))) return false;
+
+  if (habit.schedule.type !== 'times_per_week') {
+    const log = await HabitLog.findOne({ habitId: habit._id, date: today, completed: true }).select('_id').lean();
+    return !log;
+  }
+
+  const weekStart = label(today).startOf('isoWeek');
+  const weekEnd = weekStart.clone().add(6, 'days');
+  const logs = await HabitLog.find({
+    habitId: habit._id,
+    completed: true,
+    date: { $gte: weekStart.format(DAY), $lte: weekEnd.format(DAY) }
+  }).select('date').lean();
+
+  if (logs.some(log => log.date === today)) return false;
+
+  let eligible = 0;
+  for (const day = weekStart.clone(); day.isSameOrBefore(weekEnd); day.add(1, 'day')) {
+    if (isScheduledDay(habit, day)) eligible++;
+  }
+  return logs.filter(log => log.date >= habit.startDate).length < weekTarget(habit, eligible);
+};
+
+const alreadySentToday = (habit) => Boolean(
+  habit.reminder?.lastSentAt &&
+  moment.tz(habit.reminder.lastSentAt, habit.timezone || 'UTC').format(DAY) === todayFor(habit)
+);
+
+/**
+ * Record a reminder in the intervention channel and push it to a connected client
+ */
+const deliverReminder = async (habit, { action, reason, severity = 'low' }) => {
+  const intervention = await Intervention.create({
+    userId: habit.userId,
+    type: 'habit_reminder',
+    action,
+    reason,
+    severity,
+    habitId: habit._id,
+    goalId: habit.goalId
+  });
+
+  habit.reminder.lastSentAt = new Date();
+
+  const socket = interventionWebSocket.getInstance();
+  if (socket) {
+    await socket.sendIntervention(habit.userId.toString(), intervention).catch(error => {
+      console.error(`Habit reminder push failed for ${habit._id}: ${error.message}`);
+    });
+  }
+  return intervention;
+};
+
+/**
+ * Send the reminders whose time has come
+ * @param {Number} limit - Max habits per pass
+ * @returns {Object} { sent, skipped }
+ */
+const processDueReminders = async (limit = 50) => {
+  const now = new Date();
+  const summary = { sent: 0, skipped: 0 };
+
+  const habits = await Habit.find({
+    status: 'active',
+    'reminder.enabled': true,
+    'reminder.nextAt': { $lte: now }
+  })
+    .sort({ 'reminder.nextAt': 1 })
+    .limit(limit);
+
+  for (const habit of habits) {
+    try {
+      if (await isDueToday(habit) && !alreadySentToday(habit)) {
+        const protecting = habit.currentStreak >= 3;
+        await deliverReminder(habit, {
+          action: `Time for "${habit.title}"`,
+          reason: protecting
+            ? `Keep your ${habit.currentStreak}-${habit.streakUnit === 'weeks' ? 'week' : 'day'} streak going`
+            : 'Scheduled habit reminder',
+          severity: protecting ? 'medium' : 'low'
+        });
+        summary.sent++;
+      } else {
+        summary.skipped++;
+      }
+    } catch (error) {
+      console.error(`Habit reminder failed for ${habit._id}: ${error.message}`);
+    }
+
+    habit.reminder.nextAt = nextReminderAt(habit, now);
+    await habit.save();
+  }
+
+  return summary;
+};
+
+/**
+ * Cue habits stacked after an anchor the user just completed
+ */
+const cueStackedHabits = async (anchor) => {
+  const stacked = await Habit.find({
+    userId: anchor.userId,
+    status: 'active',
+    'stackedAfter.habitId': anchor._id
+  });
+
+  for (const habit of stacked) {
+    if (alreadySentToday(habit) || !(await isDueToday(habit))) continue;
+    await deliverReminder(habit, {
+      action: `Now: "${habit.title}"`,
+      reason: `After "${anchor.title}", you planned to ${habit.title}`
+    });
+    await habit.save();
+  }
+};
+
+// ========================================
+// CRUD
+// ========================================
+
+const findOwned = async (userId, habitId) => {
+  assertObjectId(habitId, 'habitId');
+  const habit = await Habit.findOne({ _id: habitId, userId });
+  if (!habit) throw new ErrorResponse('Habit not found', 404);
+  return habit;
+};
+
+/**
+ * Follow the stacking chain from a candidate anchor; true if it reaches the habit
+ */
+const createsCycle = async (userId, habitId, anchorId) => {
+  const seen = new Set();
+  let cursor = anchorId;
+
+  while (cursor && !seen.has(cursor.toString())) {
+    if (habitId && cursor.toString() === habitId.toString()) return true;
+    seen.add(cursor.toString());
+    const next = await Habit.findOne({ _id: cursor, userId }).select('stackedAfter').lean();
+    cursor = next?.stackedAfter?.habitId;
+  }
+  return false;
+};
+
+const parseStartDate = (value) => {
+  const start = label(String(value).slice(0, 10));
+  if (!start.isValid()) throw new ErrorResponse('startDate must be a date in YYYY-MM-DD format', 400);
+  return start.format(DAY);
+};
+
+const applySchedule = (habit, input) => {
+  // Legacy { frequency: 'daily' | 'weekly' } from the embedded goal habits
+  const schedule = typeof input === 'string'
+    ? (input === 'weekly' ? { type: 'times_per_week', timesPerWeek: 1 } : { type: input })
+    : input;
+
+  if (!schedule || !Habit.SCHEDULE_TYPES.includes(schedule.type)) {
+    throw new ErrorResponse(`schedule.type must be one of: ${Habit.SCHEDULE_TYPES.join(', ')}`, 400);
+  }
+
+  if (schedule.type === 'times_per_week') {
+    const times = Number(schedule.timesPerWeek);
+    if (!Number.isInteger(times) || times < 1 || times > 7) {
+      throw new ErrorResponse('schedule.timesPerWeek must be a whole number between 1 and 7', 400);
+    }
+    habit.schedule = { type: 'times_per_week', timesPerWeek: times, weekdays: [] };
+  } else if (schedule.type === 'weekdays') {
+    const weekdays = [...new Set((schedule.weekdays || []).map(Number))].sort();
+    if (weekdays.length === 0 || weekdays.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      throw new ErrorResponse('schedule.weekdays must list days from 0 (Sunday) to 6 (Saturday)', 400);
+    }
+    habit.schedule = { type: 'weekdays', weekdays };
+  } else {
+    habit.schedule = { type: 'daily', weekdays: [] };
+  }
+};
+
+const applyStatus = (habit, status) => {
+  if (!['active', 'paused', 'archived'].includes(status)) {
+    throw new ErrorResponse('status must be active, paused or archived', 400);
+  }
+  if (status === habit.status) return;
+
+  const today = todayFor(habit);
+  const open = habit.pauses.find(pause => !pause.end);
+
+  if (status === 'active') {
+    if (open) open.end = label(today).subtract(1, 'day').format(DAY);
+    habit.pauses = habit.pauses.filter(pause => !pause.end || pause.end >= pause.start);
+  } else if (!open) {
+    habit.pauses.push({ start: today, end: null });
+  }
+  habit.status = status;
+};
+
+/**
+ * Validate and copy request fields onto a habit
+ */
+const applyFields = async (habit, userId, body) => {
+  const title = body.title !== undefined ? body.title : body.name;
+  if (title !== undefined) {
+    if (!String(title).trim()) throw new ErrorResponse('title cannot be empty', 400);
+    habit.title = String(title).trim();
+  }
+
+  if (body.description !== undefined) habit.description = body.description;
+
+  if (body.category !== undefined) {
+    if (!Habit.CATEGORIES.includes(body.category)) {
+      throw new ErrorResponse(`category must be one of: ${Habit.CATEGORIES.join(', ')}`, 400);
+    }
+    habit.category = body.category;
+  }
+
+  const goalId = body.goalId !== undefined ? body.goalId : body.linkedGoalId;
+  if (goalId !== undefined) {
+    if (!goalId) {
+      habit.goalId = undefined;
+    } else {
+      assertObjectId(goalId, 'goalId');
+      const goal = await Goal.findOne({ _id: goalId, clientId: userId }).select('_id');
+      if (!goal) throw new ErrorResponse('Goal not found', 404);
+      habit.goalId = goal._id;
+    }
+  }
+
+  if (body.timezone !== undefined) {
+    if (!moment.tz.zone(String(body.timezone))) {
+      throw new ErrorResponse('timezone must be an IANA time zone such as Europe/Berlin', 400);
+    }
+    habit.timezone = String(body.timezone);
+  }
+
+  const schedule = body.schedule !== undefined ? body.schedule : body.frequency;
+  if (schedule !== undefined) applySchedule(habit, schedule);
+
+  if (body.graceDays !== undefined) {
+    const grace = Number(body.graceDays);
+    if (!Number.isInteger(grace) || grace < 0 || grace > 3) {
+      throw new ErrorResponse('graceDays must be a whole number between 0 and 3', 400);
+    }
+    habit.graceDays = grace;
+  }
+
+  if (body.reminder !== undefined) {
+    const reminder = body.reminder || { enabled: false };
+    const time = reminder.time !== undefined ? reminder.time : habit.reminder?.time;
+    const enabled = reminder.enabled !== undefined ? Boolean(reminder.enabled) : Boolean(time);
+
+    if (enabled && !CLOCK.test(String(time))) {
+      throw new ErrorResponse('reminder.time must be a time in HH:MM format', 400);
+    }
+    habit.reminder.enabled = enabled;
+    habit.reminder.time = time || undefined;
+  }
+
+  if (body.stackedAfter !== undefined) {
+    const stack = body.stackedAfter;
+    if (!stack || (!stack.habitId && !stack.label)) {
+      habit.stackedAfter = undefined;
+    } else if (stack.habitId) {
+      assertObjectId(stack.habitId, 'stackedAfter.habitId');
+      if (stack.habitId.toString() === habit._id.toString()) {
+        throw new ErrorResponse('A habit cannot be stacked after itself', 400);
+      }
+      const anchor = await Habit.findOne({ _id: stack.habitId, userId }).select('title');
+      if (!anchor) throw new ErrorResponse('Anchor habit not found', 404);
+      if (await createsCycle(userId, habit._id, anchor._id)) {
+        throw new ErrorResponse('Stacking this habit would create a loop', 400);
+      }
+      habit.stackedAfter = { habitId: anchor._id, label: anchor.title };
+    } else {
+      habit.stackedAfter = { label: String(stack.label).slice(0, 200) };
+    }
+  }
+
+  if (body.status !== undefined) applyStatus(habit, body.status);
+
+  habit.reminder.nextAt = nextReminderAt(habit);
+};
+
+/**
+ * Create a habit
+ * @param {String} userId - Owner
+ * @param {Object} body - Habit fields
+ * @returns {Object} Habit document
+ */
+const createHabit = async (userId, body = {}) => {
+  if (!String(body.title || body.name || '').trim()) {
+    throw new ErrorResponse('title is required', 400);
+  }
+
+  const habit = new Habit({ userId, timezone: await resolveTimezone(userId) });
+
+  await applyFields(habit, userId, { ...body, status: undefined });
+
+  habit.startDate = body.startDate !== undefined ? parseStartDate(body.startDate) : todayFor(habit);
+
+  if (body.status === 'paused' || body.status === 'archived') applyStatus(habit, body.status);
+  habit.reminder.nextAt = nextReminderAt(habit);
+  habit.streakUnit = habit.schedule.type === 'times_per_week' ? 'weeks' : 'days';
+
+  await habit.save();
+  return habit;
+};
+
+/**
+ * List habits with fresh streaks
+ * @param {String} userId - Owner
+ * @param {Object} filters - { status?, goalId?, category? }
+ */
+const getHabits = async (userId, filters = {}) => {
+  const query = { userId };
+  query.status = filters.status || { $ne: 'archived' };
+  if (filters.goalId) {
+    assertObjectId(filters.goalId, 'goalId');
+    query.goalId = filters.goalId;
+  }
+  if (filters.category) query.category = filters.category;
+
+  const habits = await Habit.find(query).sort({ createdAt: 1 });
+  await refreshStats(habits);
+  return habits;
+};
+
+/**
+ * Habits linked to a goal, with fresh streaks
+ */
+const getGoalHabits = async (goalId) => {
+  const habits = await Habit.find({ goalId, status: { $ne: 'archived' } });
+  await refreshStats(habits);
+  return habits;
+};
+
+/**
+ * One habit with fresh streak and the last two weeks
+ */
+const getHabit = async (userId, habitId) => {
+  const habit = await findOwned(userId, habitId);
+  const evaluation = (await refreshStats([habit])).get(habit._id.toString());
+  const recent = await HabitLog.find({ habitId: habit._id }).sort({ date: -1 }).limit(14).lean();
+
+  return {
+    habit,
+    completionRate: evaluation ? recentStrength(evaluation, todayFor(habit)) : null,
+    recentLogs: recent
+  };
+};
+
+const updateHabit = async (userId, habitId, body = {}) => {
+  const habit = await findOwned(userId, habitId);
+
+  await applyFields(habit, userId, body);
+
+  if (body.startDate !== undefined) {
+    habit.startDate = parseStartDate(body.startDate);
+    habit.reminder.nextAt = nextReminderAt(habit);
+  }
+
+  // Schedule, grace or start changes can move the streak
+  await refreshStats([habit]);
+  await habit.save();
+  return habit;
+};
+
+/**
+ * Delete a habit and its logs; stacked habits keep the anchor as a label
+ */
+const deleteHabit = async (userId, habitId) => {
+  const habit = await findOwned(userId, habitId);
+
+  await HabitLog.deleteMany({ habitId: habit._id });
+  await Habit.updateMany(
+    { userId, 'stackedAfter.habitId': habit._id },
+    { $set: { stackedAfter: { label: habit.title } } }
+  );
+  await habit.deleteOne();
+
+  return { id: habit._id, title: habit.title };
+};
+
+/**
+ * Log (or undo) a completion
+ * @param {String} userId - Owner
+ * @param {String} habitId - Habit
+ * @param {Object} entry - { completed = true, date?, value?, note? }
+ * @returns {Object} { habit, log }
+ */
+const logHabit = async (userId, habitId, entry = {}) => {
+  const habit = await findOwned(userId, habitId);
+  if (habit.status === 'archived') throw new ErrorResponse('Archived habits cannot be logged', 400);
+
+  const today = todayFor(habit);
+  let date = today;
+  if (entry.date) {
+    date = /^\d{4}-\d{2}-\d{2}$/.test(String(entry.date))
+      ? entry.date
+      : moment.tz(new Date(entry.date), habit.timezone).format(DAY);
+    if (!label(date).isValid()) throw new ErrorResponse('date must be a date in YYYY-MM-DD format', 400);
+  }
+  if (date > today) throw new ErrorResponse('Cannot log a habit for a future date', 400);
+  if (date < habit.startDate) throw new ErrorResponse('Cannot log a habit before its start date', 400);
+
+  const completed = entry.completed === undefined ? true : Boolean(entry.completed);
+  const update = { userId, completed, loggedAt: new Date() };
+  if (entry.value !== undefined) {
+    if (!Number.isFinite(Number(entry.value))) throw new ErrorResponse('value must be a number', 400);
+    update.value = Number(entry.value);
+  }
+  if (entry.note !== undefined) update.note = entry.note;
+
+  const log = await HabitLog.findOneAndUpdate(
+    { habitId: habit._id, date },
+    { $set: update },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  await refreshStats([habit]);
+
+  if (completed && date === today) {
+    await cueStackedHabits(habit).catch(error => {
+      console.error(`Stacked habit cue failed after ${habit._id}: ${error.message}`);
+    });
+  }
+
+  return { habit, log };
+};
+
+// ========================================
+// CALENDARS & HEATMAPS
+// ========================================
+
+/**
+ * Day-by-day completion calendar for one habit
+ * @param {String} userId - Owner
+ * @param {String} habitId - Habit
+ * @param {Object} query - { from?, to? } (YYYY-MM-DD, default last 12 weeks)
+ */
+const getHabitCalendar = async (userId, habitId, query = {}) => {
+  const habit = await findOwned(userId, habitId);
+  const today = todayFor(habit);
+  const { from, to } = parseRange(query, today, DEFAULT_CALENDAR_DAYS);
+
+  const evaluation = (await refreshStats([habit])).get(habit._id.toString()) ||
+    evaluate(habit, (await completedDays([habit._id])).get(habit._id.toString()));
+  const statusByDay = new Map(evaluation.days.map(d => [d.date, d.status]));
+
+  const logs = await HabitLog.find({ habitId: habit._id, date: { $gte: from, $lte: to } }).lean();
+  const logByDay = new Map(logs.map(log => [log.date, log]));
+
+  const days = [];
+  const summary = { scheduled: 0, completed: 0, missed: 0, grace: 0 };
+
+  for (const day = label(from); day.format(DAY) <= to; day.add(1, 'day')) {
+    const date = day.format(DAY);
+    let status = statusByDay.get(date);
+    if (!status) status = date > today && isScheduledDay(habit, day) ? 'upcoming' : 'off';
+
+    const log = logByDay.get(date);
+    days.push({
+      date,
+      weekday: day.day(),
+      status,
+      value: log?.value,
+      note: log?.note
+    });
+
+    if (['completed', 'missed', 'grace'].includes(status)) summary.scheduled++;
+    if (status === 'completed' || status === 'extra') summary.completed++;
+    if (status === 'missed') summary.missed++;
+    if (status === 'grace') summary.grace++;
+  }
+
+  const weeks = evaluation.weeks.filter(w =>
+    w.weekStart <= to && label(w.weekStart).add(6, 'days').format(DAY) >= from
+  );
+  if (habit.schedule.type === 'times_per_week') {
+    summary.scheduled = weeks.filter(w => ['met', 'grace', 'missed'].includes(w.status)).length;
+    summary.missed = weeks.filter(w => w.status === 'missed').length;
+    summary.grace = weeks.filter(w => w.status === 'grace').length;
+    summary.completionRate = summary.scheduled > 0
+      ? Math.round(weeks.filter(w => w.status === 'met').length / summary.scheduled * 100)
+      : null;
+  } else {
+    summary.completionRate = summary.scheduled > 0
+      ? Math.round(days.filter(d => d.status === 'completed').length / summary.scheduled * 100)
+      : null;
+  }
+
+  return {
+    habitId: habit._id,
+    title: habit.title,
+    timezone: habit.timezone,
+    schedule: habit.schedule,
+    from,
+    to,
+    streak: {
+      current: habit.currentStreak,
+      longest: habit.longestStreak,
+      unit: habit.streakUnit
+    },
+    days,
+    weeks,
+    summary
+  };
+};
+
+/**
+ * Completion heatmap across all of the user's habits
+ * @param {String} userId - Owner
+ * @param {Object} query - { from?, to? } (YYYY-MM-DD, default last 365 days)
+ * @returns {Object} Days with completed/due counts and a 0-4 intensity level
+ */
+const getHeatmap = async (userId, query = {}) => {
+  const tz = await resolveTimezone(userId);
+  const { from, to } = parseRange(query, moment.tz(tz).format(DAY), DEFAULT_HEATMAP_DAYS);
+
+  const habits = await Habit.find({ userId, status: { $ne: 'archived' } });
+  const evaluations = await refreshStats(habits);
+
+  const cells = new Map();
+  for (const day = label(from); day.format(DAY) <= to; day.add(1, 'day')) {
+    cells.set(day.format(DAY), { date: day.format(DAY), completed: 0, due: 0 });
+  }
+
+  for (const habit of habits) {
+    const evaluation = evaluations.get(habit._id.toString());
+    if (!evaluation) continue;
+
+    for (const { date, status } of evaluation.days) {
+      const cell = cells.get(date);
+      if (!cell) continue;
+      if (status === 'completed' || status === 'extra') cell.completed++;
+      // Weekly habits have no per-day expectation; only completions count as due
+      if (['completed', 'extra', 'missed', 'grace', 'pending'].includes(status)) cell.due++;
+    }
+  }
+
+  const days = [...cells.values()].map(cell => ({
+    ...cell,
+    level: cell.completed === 0
+      ? 0
+      : Math.min(4, Math.max(1, Math.ceil(cell.completed / Math.max(cell.due, 1) * 4)))
+  }));
+
+  const best = days.reduce((top, cell) => (cell.completed > (top?.completed || 0) ? cell : top), null);
+
+  return {
+    from,
+    to,
+    timezone: tz,
+    habits: habits.length,
+    days,
+    totals: {
+      completions: days.reduce((sum, cell) => sum + cell.completed, 0),
+      activeDays: days.filter(cell => cell.completed > 0).length,
+      bestDay: best ? { date: best.date, completed: best.completed } : null
+    }
+  };
+};
+
+// ========================================
+// HABIT STACKING
+// ========================================
+
+const patternTime = (value) => {
+  const text = String(value || '').toLowerCase().trim();
+  if (CLOCK.test(text)) return text;
+  if (/^\d{1,2}$/.test(text) && Number(text) < 24) return `${text.padStart(2, '0')}:00`;
+  return PATTERN_TIMES[text] || null;
+};
+
+/**
+ * Usual time of day a habit gets done (reminder time, else median log time)
+ */
+const usualTime = (habit, logs) => {
+  if (habit.reminder?.time) return habit.reminder.time;
+
+  const minutes = logs
+    .map(log => moment.tz(log.loggedAt, habit.timezone || 'UTC'))
+    .filter((at, i) => at.format(DAY) === logs[i].date)
+    .map(at => at.hours() * 60 + at.minutes());
+
+  const middle = median(minutes);
+  return middle === null ? null : clockOf(middle);
+};
+
+const proximity = (anchorTime, targetTime) => {
+  if (!anchorTime || !targetTime) return 0.5;
+  const gap = minutesOf(targetTime) - minutesOf(anchorTime);
+  // Anchors just before the habit work best
+  const distance = gap >= 0 ? gap : Math.abs(gap) * 2;
+  return Math.max(0, 1 - distance / 180);
+};
+
+/**
+ * Suggest anchors to stack habits onto, from strong existing habits and
+ * learned behavior patterns
+ * @param {String} userId - Owner
+ * @param {Object} query - { habitId? } (default: active habits that aren't stacked yet)
+ */
+const getStackingSuggestions = async (userId, query = {}) => {
+  const habits = await Habit.find({ userId, status: { $ne: 'archived' } });
+  const evaluations = await refreshStats(habits);
+
+  let targets;
+  if (query.habitId) {
+    assertObjectId(query.habitId, 'habitId');
+    targets = habits.filter(h => h._id.toString() === query.habitId.toString());
+    if (targets.length === 0) throw new ErrorResponse('Habit not found', 404);
+  } else {
+    targets = habits.filter(h => h.status === 'active' && !h.stackedAfter?.habitId && !h.stackedAfter?.label);
+  }
+
+  const logs = await HabitLog.find({
+    habitId: { $in: habits.map(h => h._id) },
+    completed: true,
+    date: { $gte: moment.utc().subtract(STRENGTH_WINDOW_DAYS + 1, 'days').format(DAY) }
+  }).select('habitId date loggedAt').lean();
+
+  const logsByHabit = new Map();
+  for (const log of logs) {
+    const key = log.habitId.toString();
+    if (!logsByHabit.has(key)) logsByHabit.set(key, []);
+    logsByHabit.get(key).push(log);
+  }
+
+  const anchors = [];
+
+  for (const habit of habits) {
+    if (habit.status !== 'active') continue;
+    const evaluation = evaluations.get(habit._id.toString());
+    const strength = evaluation ? recentStrength(evaluation, todayFor(habit)) : null;
+    if (strength === null || strength < STRONG_HABIT_RATE) continue;
+
+    anchors.push({
+      type: 'habit',
+      habitId: habit._id,
+      label: habit.title,
+      category: habit.category,
+      time: usualTime(habit, logsByHabit.get(habit._id.toString()) || []),
+      reliability: strength,
+      evidence: `completed ${Math.round(strength * 100)}% of the time over the last ${STRENGTH_WINDOW_DAYS} days`
+    });
+  }
+
+  const patterns = await BehaviorPattern.getActivePatterns(userId);
+  for (const pattern of patterns) {
+    const triggers = pattern.triggers || [];
+    const activity = triggers.find(t => ['activity', 'event'].includes(t.type) && t.value);
+    const time = triggers.filter(t => t.type === 'time').map(t => patternTime(t.value)).find(Boolean);
+    if (!activity && !time) continue;
+
+    anchors.push({
+      type: 'pattern',
+      patternId: pattern._id,
+      patternType: pattern.patternType,
+      label: activity ? activity.value : pattern.pattern,
+      time: time || null,
+      reliability: pattern.confidence,
+      evidence: `${pattern.patternType} pattern seen ${pattern.frequency} times (${Math.round(pattern.confidence * 100)}% confidence)`
+    });
+  }
+
+  const results = [];
+
+  for (const target of targets) {
+    const targetTime = usualTime(target, logsByHabit.get(target._id.toString()) || []);
+    const suggestions = [];
+
+    for (const anchor of anchors) {
+      if (anchor.type === 'habit') {
+        if (anchor.habitId.toString() === target._id.toString()) continue;
+        if (target.stackedAfter?.habitId?.toString() === anchor.habitId.toString()) continue;
+        if (await createsCycle(userId, target._id, anchor.habitId)) continue;
+      }
+
+      const affinity = anchor.type === 'habit'
+        ? (anchor.category === target.category ? 1 : 0.3)
+        : ((CATEGORY_PATTERNS[target.category] || []).includes(anchor.patternType) ? 1 : 0.3);
+      const closeness = proximity(anchor.time, targetTime);
+      const score = anchor.reliability * 0.5 + closeness * 0.3 + affinity * 0.2;
+
+      const reasons = [anchor.evidence];
+      if (anchor.time && targetTime && closeness >= 0.5) {
+        reasons.push(`usually around ${anchor.time}, close to when you do "${target.title}" (${targetTime})`);
+      }
+      if (affinity === 1) reasons.push(`fits the ${target.category} category`);
+
+      suggestions.push({
+        anchor: {
+          type: anchor.type,
+          habitId: anchor.habitId,
+          patternId: anchor.patternId,
+          label: anchor.label,
+          time: anchor.time
+        },
+        score: Math.round(score * 100),
+        formula: `After ${anchor.label}, I will ${target.title}`,
+        reasons,
+        // Body for PUT /api/mars/habits/:id
+        apply: { stackedAfter: anchor.habitId ? { habitId: anchor.habitId } : { label: anchor.label } }
+      });
+    }
+
+    results.push({
+      habitId: target._id,
+      title: target.title,
+      stackedAfter: target.stackedAfter?.label ? target.stackedAfter : null,
+      suggestions: suggestions.sort((a, b) => b.score - a.score).slice(0, SUGGESTIONS_PER_HABIT)
+    });
+  }
+
+  return {
+    anchorsConsidered: anchors.length,
+    habits: results
+  };
+};
+
+module.exports = {
+  createHabit,
+  getHabits,
+  getGoalHabits,
+  getHabit,
+  updateHabit,
+  deleteHabit,
+  logHabit,
+  getHabitCalendar,
+  getHeatmap,
+  getStackingSuggestions,
+  processDueReminders,
+  nextReminderAt,
+  evaluate
+};
@@ -9,6 +9,7 @@
 
 const Goal = require('../../models/mars/Goal');
 const User = require('../../models/User');
+const habitTracker = require('./habitTracker');
 
 /**
  * Generate celebration message when goal is completed
@@ -181,21 +182,6 @@ const getInterventions = async (userId) => {
       });
     }
 
-    // Check for broken habit streaks
-    for (const habit of goal.habits) {
-      if (habit.streak === 0 && habit.lastCompleted && isOlderThan(habit.lastCompleted, 3)) {
-        interventions.push({
-          type: 'broken_streak',
-          goalId: goal._id,
-          habitTitle: habit.title,
-          message: `Your "${habit.title}" streak was broken. Restart today!`,
-          action: 'Log habit completion',
-          priority: 'medium',
-          createdAt: new Date()
-        });
-      }
-    }
-
     // Schedule upcoming encouragement
     if (goal.progress >= 25 && goal.progress < 30) {
       upcoming.push({
@@ -208,6 +194,23 @@ const getInterventions = async (userId) => {
     }
   }
 
+  // Check for broken habit streaks (standalone or goal-linked)
+  const habits = await habitTracker.getHabits(userId, { status: 'active' });
+  for (const habit of habits) {
+    if (habit.currentStreak === 0 && habit.lastCompletedDate && isOlderThan(habit.lastCompletedDate, 3)) {
+      interventions.push({
+        type: 'broken_streak',
+        goalId: habit.goalId,
+        habitId: habit._id,
+        habitTitle: habit.title,
+        message: `Your "${habit.title}" streak was broken. Restart today!`,
+        action: 'Log habit completion',
+        priority: 'medium',
+        createdAt: new Date()
+      });
+    }
+  }
+
   return {
     interventions: interventions.sort((a, b) => 
       priorityWeight(b.priority) - priorityWeight(a.priority)
@@ -2,16 +2,41 @@
 // Body composition analysis, recomp tracking, symmetry analysis
 
 const Measurement = require('../../models/mercury/Measurement');
+const BodyComposition = require('../../models/mercury/BodyComposition');
 const Workout = require('../../models/venus/Workout');
+const User = require('../../models/User');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const round = (value, digits = 1) => (value === null || value === undefined ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+/**
+ * Measurements as plain objects in the unit of the most recent one
+ */
+const loadMeasurements = async (userId, { since, limit = 30 } = {}) => {
+  const query = { clientId: userId };
+  if (since) query.date = { $gte: since };
+
+  const measurements = await Measurement.find(query)
+    .sort({ date: -1 })
+    .limit(limit);
+
+  if (measurements.length === 0) return [];
+  const unit = measurements[0].unit || 'imperial';
+  return measurements.map(m => m.toUnit(unit));
+};
+
+// Fat and lean mass from weight and body fat %
+const massSplit = (m) => (m.bodyFat ? {
+  fatMass: m.weight * m.bodyFat / 100,
+  leanMass: m.weight * (1 - m.bodyFat / 100)
+} : null);
 
 /**
  * Analyze body composition with predictions
  */
 exports.analyzeComposition = async (userId) => {
   try {
-    const measurements = await Measurement.find({ userId })
-      .sort({ date: -1 })
-      .limit(30);
+    const measurements = await loadMeasurements(userId, { limit: 30 });
 
     if (measurements.length === 0) {
       return {
@@ -25,64 +50,59 @@ exports.analyzeComposition = async (userId) => {
 
     const current = measurements[0];
     const starting = measurements[measurements.length - 1];
+    const change = (field) => (current[field] != null && starting[field] != null ? {
+      value: round(current[field] - starting[field]),
+      percentage: starting[field] ? round((current[field] - starting[field]) / starting[field] * 100) : null
+    } : null);
 
-    // Calculate changes
     const changes = {
-      weight: {
-        value: current.weight - starting.weight,
-        percentage: ((current.weight - starting.weight) / starting.weight * 100).toFixed(1)
-      },
-      bodyFat: {
-        value: (current.bodyFat - starting.bodyFat).toFixed(1),
-        percentage: ((current.bodyFat - starting.bodyFat) / starting.bodyFat * 100).toFixed(1)
-      },
-      muscleMass: current.muscleMass && starting.muscleMass ? {
-        value: (current.muscleMass - starting.muscleMass).toFixed(1),
-        percentage: ((current.muscleMass - starting.muscleMass) / starting.muscleMass * 100).toFixed(1)
-      } : null
+      weight: change('weight'),
+      bodyFat: change('bodyFat'),
+      muscleMass: change('muscleMass')
     };
 
-    // Calculate weekly rate of change
-    const daysDiff = (current.date - starting.date) / (1000 * 60 * 60 * 24);
+    // Calculate weekly rate of change (needs at least a week of data)
+    const daysDiff = (current.date - starting.date) / DAY_MS;
     const weeksDiff = daysDiff / 7;
-    
-    const weeklyChange = {
-      weight: (changes.weight.value / weeksDiff).toFixed(2),
-      bodyFat: current.bodyFat && starting.bodyFat ? 
-        ((current.bodyFat - starting.bodyFat) / weeksDiff).toFixed(2) : null
-    };
 
-    // Predict 4 weeks out
-    const predictions = {
-      fourWeeks: {
-        weight: (current.weight + (weeklyChange.weight * 4)).toFixed(1),
-        bodyFat: current.bodyFat && weeklyChange.bodyFat ? 
-          (current.bodyFat + (weeklyChange.bodyFat * 4)).toFixed(1) : null
-      },
-      twelveWeeks: {
-        weight: (current.weight + (weeklyChange.weight * 12)).toFixed(1),
-        bodyFat: current.bodyFat && weeklyChange.bodyFat ? 
-          (current.bodyFat + (weeklyChange.bodyFat * 12)).toFixed(1) : null
-      }
-    };
+    let weeklyChange = null;
+    let predictions = null;
+    if (weeksDiff >= 1) {
+      weeklyChange = {
+        weight: round(changes.weight.value / weeksDiff, 2),
+        bodyFat: changes.bodyFat ? round(changes.bodyFat.value / weeksDiff, 2) : null
+      };
+
+      const project = (weeks) => ({
+        weight: round(current.weight + weeklyChange.weight * weeks),
+        bodyFat: weeklyChange.bodyFat !== null ? round(current.bodyFat + weeklyChange.bodyFat * weeks) : null
+      });
+      predictions = {
+        fourWeeks: project(4),
+        twelveWeeks: project(12)
+      };
+    }
+
+    const snapshot = (m) => ({
+      weight: m.weight,
+      bodyFat: m.bodyFat,
+      muscleMass: m.muscleMass,
+      ...(massSplit(m) && {
+        fatMass: round(massSplit(m).fatMass),
+        leanMass: round(massSplit(m).leanMass)
+      }),
+      date: m.date
+    });
 
     return {
-      current: {
-        weight: current.weight,
-        bodyFat: current.bodyFat,
-        muscleMass: current.muscleMass,
-        date: current.date
-      },
-      starting: {
-        weight: starting.weight,
-        bodyFat: starting.bodyFat,
-        muscleMass: starting.muscleMass,
-        date: starting.date
-      },
+      unit: current.unit,
+      current: snapshot(current),
+      starting: snapshot(starting),
       changes,
       weeklyChange,
       predictions,
-      daysTracked: Math.round(daysDiff)
+      daysTracked: Math.round(daysDiff),
+      ...(!predictions && { message: 'Log measurements over at least a week for rates and predictions' })
     };
 
   } catch (error) {
@@ -96,66 +116,82 @@ exports.analyzeComposition = async (userId) => {
  */
 exports.analyzeRecomp = async (userId) => {
   try {
-    const measurements = await Measurement.find({ userId })
-      .sort({ date: -1 })
-      .limit(12); // 12 weeks
+    const measurements = await loadMeasurements(userId, {
+      since: new Date(Date.now() - 12 * 7 * DAY_MS), // 12 weeks
+      limit: 100
+    });
 
     if (measurements.length < 2) {
       return {
         recompScore: 0,
-        message: 'Need at least 2 measurements to analyze recomposition'
+        message: 'Need at least 2 measurements in the last 12 weeks to analyze recomposition'
       };
     }
 
     const current = measurements[0];
     const start = measurements[measurements.length - 1];
+    const imperial = current.unit === 'imperial';
+
+    // Score thresholds are in lbs
+    const toLbs = (value) => (imperial ? value : value * 2.20462);
 
-    // Calculate changes
     const weightChange = current.weight - start.weight;
-    const bodyFatChange = current.bodyFat - start.bodyFat;
-    const muscleMassChange = current.muscleMass && start.muscleMass ? 
-      current.muscleMass - start.muscleMass : null;
+    const bodyFatChange = current.bodyFat != null && start.bodyFat != null ? current.bodyFat - start.bodyFat : null;
+
+    // Muscle mass when tracked, otherwise lean mass from weight and body fat %
+    const currentSplit = massSplit(current);
+    const startSplit = massSplit(start);
+    const fatMassChange = currentSplit && startSplit ? currentSplit.fatMass - startSplit.fatMass : null;
+    const muscleMassChange = current.muscleMass != null && start.muscleMass != null
+      ? current.muscleMass - start.muscleMass
+      : currentSplit && startSplit ? currentSplit.leanMass - startSplit.leanMass : null;
+
+    if (bodyFatChange === null && muscleMassChange === null) {
+      return {
+        recompScore: 0,
+        message: 'Log body fat % or muscle mass to analyze recomposition'
+      };
+    }
 
     // Recomp is happening if:
     // 1. Weight stays stable or slightly decreases
     // 2. Body fat decreases
-    // 3. Muscle mass increases (if tracked)
+    // 3. Muscle (or lean) mass increases
 
     let recompScore = 0;
 
     // Weight component (20 points for staying within 5 lbs)
-    if (Math.abs(weightChange) <= 5) {
+    if (Math.abs(toLbs(weightChange)) <= 5) {
       recompScore += 20;
     }
 
     // Body fat component (40 points for decrease)
-    if (bodyFatChange < 0) {
+    if (bodyFatChange !== null && bodyFatChange < 0) {
       recompScore += Math.min(40, Math.abs(bodyFatChange) * 10);
     }
 
     // Muscle mass component (40 points for increase)
-    if (muscleMassChange && muscleMassChange > 0) {
-      recompScore += Math.min(40, muscleMassChange * 4);
-    } else {
-      // If no muscle mass data, estimate from weight + body fat
-      const estimatedLeanGain = -weightChange - (weightChange * (bodyFatChange / 100));
-      if (estimatedLeanGain > 0) {
-        recompScore += Math.min(40, estimatedLeanGain * 4);
-      }
+    if (muscleMassChange !== null && muscleMassChange > 0) {
+      recompScore += Math.min(40, toLbs(muscleMassChange) * 4);
     }
 
-    const daysDiff = (current.date - start.date) / (1000 * 60 * 60 * 24);
-    const weeksDiff = daysDiff / 7;
+    const weeksDiff = Math.max(1, (current.date - start.date) / DAY_MS / 7);
+    const fatLoss = fatMassChange !== null ? -fatMassChange : null;
 
     return {
+      unit: current.unit,
       recompScore: Math.min(100, Math.round(recompScore)),
-      fatLoss: bodyFatChange < 0 ? Math.abs(bodyFatChange).toFixed(1) : 0,
-      muscleGain: muscleMassChange > 0 ? muscleMassChange.toFixed(1) : 0,
+      fatLoss: fatLoss !== null && fatLoss > 0 ? round(fatLoss) : 0,
+      bodyFatChange: round(bodyFatChange),
+      muscleGain: muscleMassChange > 0 ? round(muscleMassChange) : 0,
+      muscleBasis: current.muscleMass != null && start.muscleMass != null ? 'muscleMass' : 'leanMass',
+      weightChange: round(weightChange),
       rate: {
-        fatLossPerWeek: (Math.abs(bodyFatChange) / weeksDiff).toFixed(2),
-        muscleGainPerWeek: muscleMassChange ? (muscleMassChange / weeksDiff).toFixed(2) : 'N/A'
+        fatLossPerWeek: fatLoss !== null ? round(fatLoss / weeksDiff, 2) : null,
+        muscleGainPerWeek: muscleMassChange !== null ? round(muscleMassChange / weeksDiff, 2) : null
       },
       efficiency: recompScore >= 80 ? 'excellent' : recompScore >= 60 ? 'good' : 'moderate',
+      period: { from: start.date, to: current.date, measurements: measurements.length },
       recommendations: generateRecompRecommendations(recompScore, bodyFatChange, muscleMassChange)
     };
 
@@ -165,90 +201,97 @@ exports.analyzeRecomp = async (userId) => {
   }
 };
 
+// Left/right circumference pairs and unilateral work for the smaller side
+const SYMMETRY_SITES = {
+  arms: { label: 'Arms', left: 'upperArmLeft', right: 'upperArmRight', exercises: ['Single-arm dumbbell curls', 'Single-arm overhead triceps extensions'] },
+  forearms: { label: 'Forearms', left: 'lowerArmLeft', right: 'lowerArmRight', exercises: ['Single-arm wrist curls', 'Suitcase carries'] },
+  thighs: { label: 'Thighs', left: 'upperThighLeft', right: 'upperThighRight', exercises: ['Bulgarian split squats', 'Single-leg deadlifts'] },
+  calves: { label: 'Calves', left: 'calfLeft', right: 'calfRight', exercises: ['Single-leg calf raises'] }
+};
+
+// Side-to-side difference (% of the average) counted as an imbalance
+const MINOR_IMBALANCE_PCT = 3;
+const MODERATE_IMBALANCE_PCT = 6;
+
 /**
- * Analyze muscle symmetry
+ * Analyze muscle symmetry from per-side circumferences (and DEXA regional
+ * lean mass when a scan is on file)
  */
 exports.analyzeSymmetry = async (userId) => {
   try {
-    const latest = await Measurement.findOne({ userId })
-      .sort({ date: -1 });
+    const sidedQuery = Object.values(SYMMETRY_SITES).map(site => ({
+      [`circumference.${site.left}`]: { $gt: 0 },
+      [`circumference.${site.right}`]: { $gt: 0 }
+    }));
+
+    const [latest, scan] = await Promise.all([
+      Measurement.findOne({ clientId: userId, $or: sidedQuery }).sort({ date: -1 }),
+      BodyComposition.findOne({ userId, 'regions.arms.left.leanMass': { $gt: 0 } }).sort({ measurementDate: -1 })
+    ]);
 
-    if (!latest || !latest.circumferences) {
+    if (!latest && !scan) {
       return {
         symmetry: null,
-        message: 'No circumference measurements found'
+        message: 'No left/right measurements found - log upperArmLeft/upperArmRight, upperThighLeft/upperThighRight, etc.'
       };
     }
 
-    const { circumferences } = latest;
     const imbalances = [];
     const exercises = [];
+    const symmetry = {};
+
+    const compare = (key, label, left, right, unit, siteExercises) => {
+      const diff = Math.abs(left - right);
+      const diffPercent = diff / ((left + right) / 2) * 100;
+      const smaller = left < right ? 'left' : 'right';
+
+      symmetry[key] = {
+        left,
+        right,
+        difference: round(diff, 2),
+        differencePercent: round(diffPercent),
+        balanced: diffPercent < MINOR_IMBALANCE_PCT
+      };
 
-    // Check arm symmetry
-    if (circumferences.bicepLeft && circumferences.bicepRight) {
-      const diff = Math.abs(circumferences.bicepLeft - circumferences.bicepRight);
-      const avgSize = (circumferences.bicepLeft + circumferences.bicepRight) / 2;
-      const diffPercent = (diff / avgSize * 100).toFixed(1);
-
-      if (diff > 0.5) {
+      if (diffPercent >= MINOR_IMBALANCE_PCT) {
         imbalances.push({
-          bodyPart: 'Arms',
-          difference: `${diff}" (${diffPercent}%)`,
-          concern: diff > 1 ? 'moderate' : 'minor'
+          bodyPart: label,
+          smallerSide: smaller,
+          difference: `${round(diff, 2)} ${unit} (${round(diffPercent)}%)`,
+          concern: diffPercent >= MODERATE_IMBALANCE_PCT ? 'moderate' : 'minor'
         });
-        exercises.push('Single-arm dumbbell curls (focus on weaker side)');
+        siteExercises.forEach(exercise => exercises.push(`${exercise} (start with your ${smaller} side)`));
       }
-    }
-
-    // Check leg symmetry
-    if (circumferences.thighLeft && circumferences.thighRight) {
-      const diff = Math.abs(circumferences.thighLeft - circumferences.thighRight);
-      const avgSize = (circumferences.thighLeft + circumferences.thighRight) / 2;
-      const diffPercent = (diff / avgSize * 100).toFixed(1);
+    };
 
-      if (diff > 0.5) {
-        imbalances.push({
-          bodyPart: 'Thighs',
-          difference: `${diff}" (${diffPercent}%)`,
-          concern: diff > 1 ? 'moderate' : 'minor'
-        });
-        exercises.push('Bulgarian split squats');
-        exercises.push('Single-leg deadlifts');
-      }
+    if (latest) {
+      const m = latest.toUnit(latest.unit);
+      const unit = latest.unit === 'metric' ? 'cm' : 'in';
+      Object.entries(SYMMETRY_SITES).forEach(([key, site]) => {
+        const left = m.circumference[site.left];
+        const right = m.circumference[site.right];
+        if (left && right) compare(key, site.label, left, right, unit, site.exercises);
+      });
     }
 
-    // Check calf symmetry
-    if (circumferences.calfLeft && circumferences.calfRight) {
-      const diff = Math.abs(circumferences.calfLeft - circumferences.calfRight);
-      if (diff > 0.5) {
-        imbalances.push({
-          bodyPart: 'Calves',
-          difference: `${diff}"`,
-          concern: 'minor'
-        });
-        exercises.push('Single-leg calf raises');
+    if (scan) {
+      const { arms, legs } = scan.regions;
+      if (arms?.left?.leanMass && arms?.right?.leanMass) {
+        compare('armLeanMass', 'Arm lean mass (scan)', arms.left.leanMass, arms.right.leanMass, 'kg', SYMMETRY_SITES.arms.exercises);
+      }
+      if (legs?.left?.leanMass && legs?.right?.leanMass) {
+        compare('legLeanMass', 'Leg lean mass (scan)', legs.left.leanMass, legs.right.leanMass, 'kg', SYMMETRY_SITES.thighs.exercises);
       }
     }
 
     return {
-      symmetry: {
-        arms: circumferences.bicepLeft && circumferences.bicepRight ? {
-          left: circumferences.bicepLeft,
-          right: circumferences.bicepRight,
-          difference: Math.abs(circumferences.bicepLeft - circumferences.bicepRight).toFixed(2),
-          balanced: Math.abs(circumferences.bicepLeft - circumferences.bicepRight) < 0.5
-        } : null,
-        legs: circumferences.thighLeft && circumferences.thighRight ? {
-          left: circumferences.thighLeft,
-          right: circumferences.thighRight,
-          difference: Math.abs(circumferences.thighLeft - circumferences.thighRight).toFixed(2),
-          balanced: Math.abs(circumferences.thighLeft - circumferences.thighRight) < 0.5
-        } : null
-      },
+      symmetry,
       imbalances,
-      exercises,
-      overallBalance: imbalances.length === 0 ? 'excellent' : 
-        imbalances.length <= 2 ? 'good' : 'needs-attention'
+      exercises: [...new Set(exercises)],
+      overallBalance: imbalances.length === 0 ? 'excellent' :
+        imbalances.every(i => i.concern === 'minor') && imbalances.length <= 2 ? 'good' : 'needs-attention',
+      measuredAt: latest?.date || null,
+      scannedAt: scan?.measurementDate || null
     };
 
   } catch (error) {
@@ -257,50 +300,72 @@ exports.analyzeSymmetry = async (userId) => {
   }
 };
 
+// Waist-to-hip ratio above which abdominal obesity risk rises (WHO)
+const WHR_RISK = { male: 0.90, female: 0.85 };
+
 /**
- * Analyze fat distribution pattern
+ * Analyze fat distribution pattern from waist/hip measurements (and DEXA
+ * android/gynoid regions when a scan is on file)
  */
 exports.analyzeFatDistribution = async (userId) => {
   try {
-    const latest = await Measurement.findOne({ userId })
-      .sort({ date: -1 });
-
-    if (!latest || !latest.circumferences) {
+    const [latest, scan, user] = await Promise.all([
+      Measurement.findOne({
+        clientId: userId,
+        'circumference.waist': { $gt: 0 },
+        'circumference.hips': { $gt: 0 }
+      }).sort({ date: -1 }),
+      BodyComposition.findOne({ userId, 'regions.android.fatMass': { $gt: 0 } }).sort({ measurementDate: -1 }),
+      User.findById(userId).select('preferences')
+    ]);
+
+    if (!latest && !scan) {
       return {
         distribution: null,
-        message: 'No measurements found'
+        message: 'No waist and hip measurements found'
       };
     }
 
-    const { waist, hips, chest, bodyFat } = latest;
+    const sex = ['male', 'female'].includes(user?.preferences?.sex) ? user.preferences.sex : null;
+    const riskThreshold = sex ? WHR_RISK[sex] : 0.90;
+    const pearThreshold = sex === 'female' ? 0.75 : 0.80;
 
-    // Calculate waist-to-hip ratio
-    const whr = waist && hips ? (waist / hips).toFixed(2) : null;
+    const waist = latest?.circumference?.waist;
+    const hips = latest?.circumference?.hips;
+    const whr = latest ? round(waist / hips, 2) : null;
 
     // Determine pattern
     let pattern = 'balanced';
     let healthRisk = 'low';
 
     if (whr) {
-      if (whr > 0.90) {
+      if (whr > riskThreshold) {
         pattern = 'apple'; // Android - more visceral fat
         healthRisk = 'moderate-high';
-      } else if (whr < 0.80) {
+      } else if (whr < pearThreshold) {
         pattern = 'pear'; // Gynoid - subcutaneous fat
-        healthRisk = 'low';
       }
     }
 
-    // Estimate regional fat
     const distribution = {
       android: null,  // Upper body/abdomen
       gynoid: null,   // Hips/thighs
-      trunk: null,
-      limbs: null
+      androidGynoidRatio: null
     };
 
-    if (bodyFat && waist && hips) {
-      // Simplified estimation
+    if (scan) {
+      // Measured regional fat beats the waist/hip estimate
+      const { android, gynoid } = scan.regions;
+      distribution.android = { fatMass: android.fatMass, fatPercentage: android.fatPercentage ?? null };
+      distribution.gynoid = gynoid?.fatMass ? { fatMass: gynoid.fatMass, fatPercentage: gynoid.fatPercentage ?? null } : null;
+      if (gynoid?.fatMass) {
+        distribution.androidGynoidRatio = round(android.fatMass / gynoid.fatMass, 2);
+        if (distribution.androidGynoidRatio > 1) {
+          pattern = 'apple';
+          healthRisk = 'moderate-high';
+        }
+      }
+    } else if (whr) {
       distribution.android = pattern === 'apple' ? 'high' : pattern === 'pear' ? 'low' : 'moderate';
       distribution.gynoid = pattern === 'pear' ? 'high' : pattern === 'apple' ? 'low' : 'moderate';
     }
@@ -309,12 +374,16 @@ exports.analyzeFatDistribution = async (userId) => {
       distribution,
       pattern,
       whr,
+      waist: waist ? { value: waist, unit: latest.unit === 'metric' ? 'cm' : 'in' } : null,
       healthRisk,
+      source: scan ? 'scan' : 'measurements',
+      measuredAt: scan?.measurementDate || latest?.date,
+      ...(!sex && { note: 'Set your sex in your profile for sex-specific waist-to-hip thresholds' }),
       recommendations: [
-        pattern === 'apple' ? 'Focus on reducing visceral fat through cardio' : 
+        pattern === 'apple' ? 'Focus on reducing visceral fat through cardio' :
         'Continue balanced training approach',
         'Monitor waist circumference monthly',
-        healthRisk !== 'low' ? 'Consider consulting with a healthcare provider' : 
+        healthRisk !== 'low' ? 'Consider consulting with a healthcare provider' :
         'Current fat distribution is healthy'
       ]
     };
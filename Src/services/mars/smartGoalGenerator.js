@@ -4,148 +4,656 @@
  * Mars System - AI Goal Creation
  * File: Src/services/mars/smartGoalGenerator.js
  * 
- * Converts vague goals into SMART goals using AI
- * Provides personalized goal suggestions and templates
+ * Converts vague goals into SMART goals built on the user's own baseline
+ * (latest weigh-in, estimated 1RMs, sleep average, monthly spending),
+ * scores feasibility against how fast similar goals actually moved, and
+ * provides personalized goal suggestions and templates.
+ *
+ * The AI provider ('smart_goals' feature) writes the proposal when one is
+ * configured; its target is only accepted if it stays within a sane pace.
+ * Without a provider (or on bad output) the rule-based proposal is used,
+ * which is deterministic for the same input and data.
  */
 
 const User = require('../../models/User');
 const Goal = require('../../models/mars/Goal');
-// const aiService = require('../aiService'); // Your Gemini AI service
+const Measurement = require('../../models/mercury/Measurement');
+const SleepData = require('../../models/mercury/SleepData');
+const Transaction = require('../../models/jupiter/Transaction');
+const progressiveOverload = require('../venus/progressiveOverload');
+const goalTracker = require('./goalTracker');
+const aiProvider = require('../ai/aiProvider');
+const ErrorResponse = require('../../utils/errorResponse');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const MIN_WEEKS = 2;
+const MAX_WEEKS = 104;
+
+// Baseline windows
+const SLEEP_WINDOW_DAYS = 30;
+const MIN_SLEEP_NIGHTS = 5;
+const SPENDING_WINDOW_DAYS = 90;
+const MIN_TRANSACTIONS = 10;
+const STALE_BASELINE_DAYS = 30;
+
+// Feasibility
+const SIMILAR_GOAL_LIMIT = 200;
+const MIN_SIMILAR_GOALS = 3;
+// AI targets faster than this multiple of the typical pace are rejected
+const MAX_PACE_MULTIPLE = 3;
+
+// Typical sustainable weekly change as a fraction of the baseline
+// (custom goals: fraction of the planned change)
+const METRICS = {
+  bodyweight: {
+    domain: 'fitness',
+    defaultWeeks: 12,
+    typicalRate: { decrease: 0.0075, increase: 0.0035 },
+    basis: { decrease: '0.5-1% of bodyweight per week', increase: '0.25-0.5% of bodyweight per week' }
+  },
+  strength: {
+    domain: 'fitness',
+    defaultWeeks: 12,
+    typicalRate: { increase: 0.0075, decrease: 0.0075 },
+    basis: { increase: '0.5-1% estimated 1RM per week for trained lifters', decrease: 'a gradual deload' }
+  },
+  sleep_duration: {
+    domain: 'health',
+    defaultWeeks: 6,
+    typicalRate: { increase: 0.012, decrease: 0.012 },
+    basis: { increase: '15-30 minutes more sleep per night every few weeks', decrease: '15-30 minutes less sleep per night every few weeks' }
+  },
+  monthly_spending: {
+    domain: 'financial',
+    defaultWeeks: 12,
+    typicalRate: { decrease: 0.0125, increase: 0.0125 },
+    basis: { decrease: 'about 5% less spending per month', increase: 'about 5% more per month' }
+  },
+  custom: {
+    defaultWeeks: 12,
+    typicalRate: { increase: 1 / 12, decrease: 1 / 12 },
+    basis: { increase: 'an even pace over 12 weeks', decrease: 'an even pace over 12 weeks' }
+  }
+};
+
+const LIFT_KEYWORDS = ['bench', 'squat', 'deadlift', 'overhead press', 'press', 'row', 'pull'];
+
+const round = (value, step) => Math.round(value / step) * step;
+const percent = (fraction) => Math.round(fraction * 10000) / 100;
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// ========================================
+// INPUT PARSING
+// ========================================
 
 /**
- * Convert vague goal to SMART goal using AI
- * @param {String} userId - User ID
- * @param {Object} input - { generalGoal, domain }
- * @returns {Object} SMART goal structure
+ * Which metric a free-text goal is about, and which way it should move
  */
-const generate = async (userId, input) => {
-  const { generalGoal, domain } = input;
+const detectMetric = (text, domain) => {
+  const t = text.toLowerCase();
 
-  // For now, rule-based generation
-  // TODO: Replace with AI (Gemini) for better results
-  
-  const smartGoal = {
-    specific: makeSpecific(generalGoal, domain),
-    measurable: makeMeasurable(generalGoal, domain),
-    achievable: makeAchievable(generalGoal, domain),
-    relevant: makeRelevant(generalGoal, domain),
-    timeBound: makeTimeBound(generalGoal, domain)
-  };
+  if (/\b(sleep\w*|bedtime)\b/.test(t)) {
+    return { metric: 'sleep_duration', direction: /\b(less|reduce|cut)\b/.test(t) ? 'decrease' : 'increase' };
+  }
+  if (/\b(spend|spending|budget|save|saving|savings|money|expenses?)\b/.test(t)) {
+    return { metric: 'monthly_spending', direction: 'decrease' };
+  }
+  if (/\b(bench|squat|deadlift|press|1rm|stronger|strength|lift|lifts|pull-?ups?|row)\b/.test(t)) {
+    return { metric: 'strength', direction: 'increase' };
+  }
+  if (/\b(weight|fat|lbs?|kg|pounds|lean|slim|bulk|mass|cut)\b/.test(t)) {
+    return { metric: 'bodyweight', direction: /\b(gain|bulk|put on|increase)\b/.test(t) ? 'increase' : 'decrease' };
+  }
+  if (domain === 'financial') return { metric: 'monthly_spending', direction: 'decrease' };
+  return { metric: 'custom', direction: 'increase' };
+};
+
+/**
+ * Explicit amount in the goal text ("lose 10 lbs", "by 20%", "to 225", "$300")
+ */
+const parseAmount = (text) => {
+  const absolute = text.match(/\b(?:to|reach|hit)\s+\$?(\d+(?:\.\d+)?)/i);
+  if (absolute) return { value: Number(absolute[1]), kind: 'absolute' };
 
-  // Generate milestones
-  const milestones = generateSmartMilestones(smartGoal);
+  const money = text.match(/\$\s*(\d+(?:\.\d+)?)/);
+  if (money) return { value: Number(money[1]), kind: 'delta' };
 
-  // Generate reasoning
-  const reasoning = `Converted "${generalGoal}" into a SMART goal framework to increase success probability by 42% (research-backed).`;
+  const match = text.match(/(\d+(?:\.\d+)?)\s*(%|percent|lbs?|pounds?|kgs?|kilos?|hours?|hrs?|minutes?|mins?|dollars?|usd)\b/i) ||
+    text.match(/(\d+(?:\.\d+)?)\s*(%)/);
+  if (!match) return null;
 
-  return {
-    smartGoal,
-    milestones,
-    reasoning,
-    suggestedGoal: {
-      title: smartGoal.specific,
-      description: `${smartGoal.specific}. ${smartGoal.measurable}. ${smartGoal.timeBound}.`,
-      category: mapDomainToCategory(domain),
-      type: 'outcome',
-      targetValue: extractTargetValue(smartGoal.measurable),
-      unit: extractUnit(smartGoal.measurable),
-      targetDate: extractDate(smartGoal.timeBound)
-    }
-  };
+  const unit = match[2].toLowerCase();
+  if (unit === '%' || unit === 'percent') return { value: Number(match[1]), kind: 'percent' };
+  if (/^min/.test(unit)) return { value: Number(match[1]) / 60, kind: 'delta' };
+  return { value: Number(match[1]), kind: 'delta' };
+};
+
+/**
+ * Timeframe in weeks ("in 8 weeks", "within 3 months"), or null
+ */
+const parseWeeks = (text) => {
+  const match = text.match(/\b(?:in|within|over|for|next)\s+(\d+)\s*(days?|weeks?|months?)\b/i);
+  if (!match) return null;
+
+  const count = Number(match[1]);
+  const unit = match[2].toLowerCase();
+  if (unit.startsWith('day')) return Math.ceil(count / 7);
+  if (unit.startsWith('month')) return Math.round(count * 4.345);
+  return count;
 };
 
+const clampWeeks = (weeks) => Math.min(MAX_WEEKS, Math.max(MIN_WEEKS, Math.round(weeks)));
+
+// ========================================
+// BASELINE
+// ========================================
+
 /**
- * Make goal specific
+ * The user's current numbers across domains
+ * @param {String} userId - User ID
+ * @returns {Object} { bodyweight, strength[], sleep, spending } (null when there is no data)
  */
-const makeSpecific = (generalGoal, domain) => {
-  // Add specific details based on domain
-  const specifics = {
-    fitness: `Improve ${generalGoal} through structured training`,
-    health: `Enhance ${generalGoal} with measurable health metrics`,
-    nutrition: `Optimize ${generalGoal} through planned nutrition`,
-    lifestyle: `Transform ${generalGoal} with daily habits`,
-    financial: `Achieve ${generalGoal} through budgeting and tracking`,
-    career: `Advance ${generalGoal} through skill development`,
-    personal: `Develop ${generalGoal} through consistent practice`
+const getBaseline = async (userId) => {
+  const now = Date.now();
+
+  const [measurement, records, nights, transactions] = await Promise.all([
+    Measurement.findOne({ clientId: userId }).sort({ date: -1 }),
+    progressiveOverload.getPersonalRecords(userId, { days: 90 }).catch(() => ({ records: [] })),
+    SleepData.find({ userId, date: { $gte: new Date(now - SLEEP_WINDOW_DAYS * DAY_MS) } })
+      .select('date duration')
+      .lean(),
+    Transaction.find({
+      userId,
+      date: { $gte: new Date(now - SPENDING_WINDOW_DAYS * DAY_MS) },
+      amount: { $gt: 0 }, // Only spending
+      pending: { $ne: true },
+      category: { $nin: ['income', 'transfer'] }
+    })
+      .select('date amount isoCurrencyCode')
+      .lean()
+  ]);
+
+  // Loads are logged in the same unit system as the user's weigh-ins
+  const weightUnit = measurement?.unit === 'metric' ? 'kg' : 'lbs';
+
+  const baseline = {
+    bodyweight: measurement
+      ? { value: measurement.weight, unit: weightUnit, date: measurement.date }
+      : null,
+    strength: (records.records || [])
+      .filter(record => record.estimated1RM?.value > 0)
+      .slice(0, 5)
+      .map(record => ({
+        exercise: record.exercise,
+        value: record.estimated1RM.value,
+        unit: weightUnit,
+        date: record.estimated1RM.date
+      })),
+    sleep: null,
+    spending: null
   };
 
-  return specifics[domain] || `Achieve ${generalGoal}`;
+  if (nights.length >= MIN_SLEEP_NIGHTS) {
+    const minutes = nights.reduce((sum, night) => sum + night.duration, 0) / nights.length;
+    baseline.sleep = {
+      value: Math.round(minutes / 6) / 10,
+      unit: 'hours',
+      nights: nights.length,
+      date: new Date(Math.max(...nights.map(night => new Date(night.date).getTime())))
+    };
+  }
+
+  if (transactions.length >= MIN_TRANSACTIONS) {
+    const earliest = Math.min(...transactions.map(txn => new Date(txn.date).getTime()));
+    const days = Math.max(30, (now - earliest) / DAY_MS);
+    const total = transactions.reduce((sum, txn) => sum + txn.amount, 0);
+    baseline.spending = {
+      value: Math.round(total / days * 30),
+      unit: transactions[0].isoCurrencyCode || 'USD',
+      transactions: transactions.length,
+      date: new Date(now)
+    };
+  }
+
+  return baseline;
 };
 
 /**
- * Make goal measurable
+ * Pick the baseline the goal is measured against
  */
-const makeMeasurable = (generalGoal, domain) => {
-  const measurements = {
-    fitness: 'Track progress with weight lifted, reps completed, and body measurements',
-    health: 'Monitor with HRV, resting heart rate, and sleep quality scores',
-    nutrition: 'Measure daily protein intake, calorie targets, and macro adherence',
-    lifestyle: 'Log daily habit completion and streak tracking',
-    financial: 'Track monthly savings, expense reduction, and net worth growth',
-    career: 'Measure certifications earned, projects completed, and skills acquired',
-    personal: 'Document weekly practice hours and milestone achievements'
-  };
+const baselineFor = (baseline, metric, text) => {
+  if (metric === 'bodyweight') return baseline.bodyweight;
+  if (metric === 'sleep_duration') return baseline.sleep;
+  if (metric === 'monthly_spending') return baseline.spending;
+  if (metric !== 'strength' || baseline.strength.length === 0) return null;
+
+  const t = text.toLowerCase();
+  const named = baseline.strength.find(lift => t.includes(lift.exercise.toLowerCase())) ||
+    LIFT_KEYWORDS.filter(keyword => t.includes(keyword))
+      .map(keyword => baseline.strength.find(lift => lift.exercise.toLowerCase().includes(keyword)))
+      .find(Boolean);
+
+  return named || baseline.strength[0];
+};
 
-  return measurements[domain] || 'Track progress weekly with quantifiable metrics';
+// ========================================
+// RULE-BASED PROPOSAL
+// ========================================
+
+const roundTarget = (metric, value, unit) => {
+  if (metric === 'bodyweight') return round(value, 0.5);
+  if (metric === 'strength') return round(value, unit === 'kg' ? 2.5 : 5);
+  if (metric === 'sleep_duration') return round(value, 0.25);
+  if (metric === 'monthly_spending') return round(value, 10);
+  return Math.round(value);
 };
 
 /**
- * Make goal achievable
+ * Target from an explicit amount, else from the typical pace over the timeframe
  */
-const makeAchievable = (generalGoal, domain) => {
-  return 'Break down into weekly sub-goals with realistic daily actions that fit your schedule';
+const proposeTarget = ({ metric, direction, start, weeks, amount }) => {
+  const sign = direction === 'decrease' ? -1 : 1;
+  let target;
+
+  if (metric === 'custom') {
+    target = amount?.kind === 'absolute' ? amount.value : 100;
+  } else if (amount?.kind === 'absolute') {
+    target = amount.value;
+  } else if (amount?.kind === 'percent') {
+    target = start.value * (1 + sign * amount.value / 100);
+  } else if (amount) {
+    target = start.value + sign * amount.value;
+  } else {
+    target = start.value * (1 + sign * METRICS[metric].typicalRate[direction] * weeks);
+  }
+
+  // Keep sleep goals inside a healthy range
+  if (metric === 'sleep_duration') target = Math.min(9, Math.max(6, target));
+  return roundTarget(metric, Math.max(0, target), start?.unit);
+};
+
+const describeMetric = (metric, start) => {
+  if (metric === 'bodyweight') return 'bodyweight';
+  if (metric === 'strength') return `${start.exercise} estimated 1RM`;
+  if (metric === 'sleep_duration') return 'average nightly sleep';
+  if (metric === 'monthly_spending') return 'monthly spending';
+  return 'progress';
 };
 
 /**
- * Make goal relevant
+ * Deterministic SMART breakdown for the proposal
  */
-const makeRelevant = (generalGoal, domain) => {
-  return `Aligns with your ${domain} objectives and overall life vision`;
+const buildRuleProposal = ({ generalGoal, domain, metric, direction, start, targetValue, unit, weeks, deadline }) => {
+  const what = describeMetric(metric, start);
+  const verb = direction === 'decrease' ? 'Reduce' : 'Increase';
+  const checkIn = metric === 'monthly_spending' ? 'monthly reviews' : 'weekly check-ins';
+
+  if (metric === 'custom') {
+    return {
+      title: `${generalGoal.charAt(0).toUpperCase()}${generalGoal.slice(1)} in ${weeks} weeks`,
+      specific: `Achieve "${generalGoal}" by working through four defined milestones`,
+      measurable: 'Track completion from 0 to 100% and log progress at least weekly',
+      achievable: `Plan about ${Math.ceil(100 / weeks)}% of the work per week - small, scheduled actions`,
+      relevant: `Supports your ${domain || 'personal'} priorities`,
+      timeBound: `Complete by ${formatDate(deadline)} (${weeks} weeks) with ${checkIn}`
+    };
+  }
+
+  const change = Math.abs(targetValue - start.value);
+  const measuredOn = start.date ? ` (measured ${formatDate(start.date)})` : '';
+
+  return {
+    title: `${verb} ${what} from ${start.value} to ${targetValue} ${unit}`,
+    specific: `${verb} ${what} from ${start.value} ${unit} to ${targetValue} ${unit}`,
+    measurable: `Current ${what}: ${start.value} ${unit}${measuredOn}. Target: ${targetValue} ${unit} ` +
+      `(${direction === 'decrease' ? '-' : '+'}${Math.round(change * 100) / 100} ${unit}, ${percent(change / start.value)}%)`,
+    achievable: `Requires about ${percent(change / start.value / weeks)}% per week; a typical sustainable pace is ${METRICS[metric].basis[direction]}`,
+    relevant: `Moves your ${what} toward "${generalGoal}"`,
+    timeBound: `Reach ${targetValue} ${unit} by ${formatDate(deadline)} (${weeks} weeks) with ${checkIn}`
+  };
 };
 
+// ========================================
+// AI PROPOSAL
+// ========================================
+
+const buildSmartGoalPrompt = ({ generalGoal, domain, metric, direction, start, baseline, rules, weeks }) =>
+  `Turn this goal into a SMART goal using the user's real data.
+
+Goal: "${generalGoal}"
+Domain: ${domain || 'unspecified'}
+Tracked metric: ${metric} (${direction})
+Current value: ${start ? `${start.value} ${start.unit}` : 'none - track percent complete (0-100)'}
+Timeframe: ${weeks} weeks
+Typical sustainable pace: ${METRICS[metric].basis[direction]}
+Baseline data: ${JSON.stringify(baseline)}
+Rule-based proposal: target ${rules.targetValue} in ${weeks} weeks
+
+Keep the target realistic for this user. Respond with JSON only:
+{"title":"...","specific":"...","measurable":"...","achievable":"...","relevant":"...","timeBound":"...","targetValue":0,"weeks":0,"reasoning":"..."}`;
+
 /**
- * Make goal time-bound
+ * Validate AI output; returns null if unusable or unrealistic
  */
-const makeTimeBound = (generalGoal, domain) => {
-  const timeframes = {
-    fitness: 'Complete within 12 weeks with weekly check-ins',
-    health: 'Achieve within 8 weeks with daily tracking',
-    nutrition: 'Establish within 6 weeks with meal planning',
-    lifestyle: 'Build habit within 90 days using streak tracking',
-    financial: 'Reach target within 6 months with monthly reviews',
-    career: 'Complete within 3 months with bi-weekly milestones',
-    personal: 'Master within 10 weeks with deliberate practice'
+const normalizeAIProposal = (data, { metric, direction, start, rules }) => {
+  if (!data || typeof data !== 'object') return null;
+
+  const text = ['title', 'specific', 'measurable', 'achievable', 'relevant', 'timeBound'];
+  if (!text.every(field => typeof data[field] === 'string' && data[field].trim())) return null;
+
+  const targetValue = Number(data.targetValue);
+  const weeks = Number(data.weeks);
+  if (!Number.isFinite(targetValue) || targetValue < 0) return null;
+  if (!Number.isFinite(weeks) || weeks < MIN_WEEKS || weeks > MAX_WEEKS) return null;
+
+  if (start) {
+    const change = targetValue - start.value;
+    if (change !== 0 && (change < 0) !== (direction === 'decrease')) return null;
+    const pace = Math.abs(change) / start.value / weeks;
+    if (pace > METRICS[metric].typicalRate[direction] * MAX_PACE_MULTIPLE) return null;
+  }
+
+  const proposal = { targetValue: roundTarget(metric, targetValue, start?.unit), weeks: Math.round(weeks) };
+  text.forEach(field => { proposal[field] = data[field].trim().slice(0, 300); });
+  proposal.reasoning = typeof data.reasoning === 'string' ? data.reasoning.trim().slice(0, 600) : rules.reasoning;
+  return proposal;
+};
+
+// ========================================
+// FEASIBILITY
+// ========================================
+
+/**
+ * Weekly pace a goal moved at toward its target (fraction of its scale)
+ */
+const historicalRate = (goal, metric) => {
+  const history = [...(goal.progressHistory || [])]
+    .filter(entry => Number.isFinite(entry.value) && entry.date)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  if (history.length < 2) return null;
+
+  const first = history[0];
+  const last = history[history.length - 1];
+  const weeks = (new Date(last.date) - new Date(first.date)) / WEEK_MS;
+  if (weeks < 1) return null;
+
+  const startValue = goal.startingValue || first.value;
+  const scale = metric === 'custom' ? Math.abs(goal.target - startValue) : Math.abs(startValue);
+  if (!scale) return null;
+
+  const towardTarget = Math.sign(goal.target - startValue) || 1;
+  return ((last.value - first.value) * towardTarget) / scale / weeks;
+};
+
+const paceScore = (ratio) => {
+  if (ratio <= 0.75) return 95;
+  if (ratio <= 1) return 85;
+  if (ratio <= 1.5) return 65;
+  if (ratio <= 2) return 45;
+  if (ratio <= 3) return 25;
+  return 10;
+};
+
+const ratingFor = (score) => {
+  if (score >= 75) return 'high';
+  if (score >= 50) return 'moderate';
+  if (score >= 25) return 'stretch';
+  return 'unrealistic';
+};
+
+/**
+ * Score how achievable a target is (0-100): the pace it needs against the
+ * typical pace, blended with how fast similar goals actually progressed
+ * @param {Object} params - { userId, metric, metricKey, direction, startValue, targetValue, weeks }
+ * @returns {Object} Feasibility breakdown
+ */
+const scoreFeasibility = async ({ userId, metric, metricKey, direction, startValue, targetValue, weeks }) => {
+  const change = Math.abs(targetValue - startValue);
+  const scale = metric === 'custom' ? (change || 1) : startValue;
+  const requiredRate = change / scale / weeks;
+  const typicalRate = METRICS[metric].typicalRate[direction];
+  const normScore = paceScore(requiredRate / typicalRate);
+
+  // Any strength goal is comparable; other metrics must match exactly
+  const similarQuery = metric === 'strength'
+    ? { metric: /^strength:/ }
+    : { metric: metricKey };
+  const similar = await Goal.find({ ...similarQuery, 'progressHistory.1': { $exists: true } })
+    .select('clientId target startingValue progressHistory')
+    .sort({ createdAt: -1 })
+    .limit(SIMILAR_GOAL_LIMIT)
+    .lean();
+
+  const rates = similar
+    .map(goal => historicalRate(goal, metric))
+    .filter(rate => rate !== null && Number.isFinite(rate))
+    .sort((a, b) => a - b);
+  const ownGoals = similar.filter(goal => String(goal.clientId) === String(userId)).length;
+
+  let score = normScore;
+  let historyScore = null;
+  if (rates.length >= MIN_SIMILAR_GOALS) {
+    historyScore = Math.round(rates.filter(rate => rate >= requiredRate).length / rates.length * 100);
+    const weight = Math.min(0.7, rates.length / 10);
+    score = Math.round(normScore * (1 - weight) + historyScore * weight);
+  }
+
+  const feasibility = {
+    score,
+    rating: ratingFor(score),
+    requiredWeeklyRate: percent(requiredRate),
+    typicalWeeklyRate: percent(typicalRate),
+    basis: historyScore === null ? 'norms' : 'history+norms',
+    similarGoals: rates.length,
+    ownSimilarGoals: ownGoals,
+    historicalMedianWeeklyRate: rates.length ? percent(rates[Math.floor(rates.length / 2)]) : null,
+    historyScore
   };
 
-  return timeframes[domain] || 'Complete within 12 weeks';
+  if (score < 50 && change > 0) {
+    feasibility.suggestedWeeks = clampWeeks(Math.ceil(requiredRate * weeks / typicalRate));
+  }
+
+  return feasibility;
 };
 
 /**
- * Generate SMART milestones
+ * Confidence (0-1) in the generated goal: measured baseline, how fresh it
+ * is, comparable history and whether the AI proposal passed validation
  */
-const generateSmartMilestones = (smartGoal) => {
-  return [
-    {
-      title: 'Foundation Phase (Week 1-3)',
-      targetValue: 25,
-      description: 'Establish baseline and build initial momentum'
-    },
-    {
-      title: 'Growth Phase (Week 4-6)',
-      targetValue: 50,
-      description: 'Increase intensity and consistency'
-    },
-    {
-      title: 'Mastery Phase (Week 7-9)',
-      targetValue: 75,
-      description: 'Optimize performance and overcome plateaus'
-    },
-    {
-      title: 'Achievement Phase (Week 10-12)',
-      targetValue: 100,
-      description: 'Reach target and establish maintenance'
+const scoreConfidence = ({ start, feasibility, source, explicit }) => {
+  let confidence = 0.35;
+
+  if (start) {
+    const ageDays = start.date ? (Date.now() - new Date(start.date)) / DAY_MS : 0;
+    confidence += ageDays <= STALE_BASELINE_DAYS ? 0.3 : 0.15;
+  }
+  confidence += 0.2 * Math.min(1, feasibility.similarGoals / 10);
+  if (explicit) confidence += 0.05;
+  if (source !== 'rules') confidence += 0.1;
+
+  return Math.round(Math.min(0.95, confidence) * 100) / 100;
+};
+
+// ========================================
+// GENERATION
+// ========================================
+
+/**
+ * Convert vague goal to SMART goal grounded in the user's baseline
+ * @param {String} userId - User ID
+ * @param {Object} input - { generalGoal, domain?, weeks?, deadline?, save? }
+ * @returns {Object} SMART goal, baseline, feasibility, confidence and milestones
+ */
+const generate = async (userId, input) => {
+  const { generalGoal, domain, save = false } = input;
+  const text = String(generalGoal || '').trim();
+  if (!text) throw new ErrorResponse('Please provide a general goal', 400);
+
+  // Timeframe: explicit deadline, then weeks, then text, then the metric default
+  const { metric, direction } = detectMetric(text, domain);
+  let weeks = input.weeks !== undefined ? Number(input.weeks) : parseWeeks(text);
+  if (input.deadline) {
+    const deadline = new Date(input.deadline);
+    if (Number.isNaN(deadline.getTime()) || deadline <= new Date()) {
+      throw new ErrorResponse('deadline must be a future date', 400);
     }
-  ];
+    weeks = (deadline - Date.now()) / WEEK_MS;
+  }
+  if (weeks !== null && weeks !== undefined && !Number.isFinite(weeks)) {
+    throw new ErrorResponse('weeks must be a number', 400);
+  }
+  weeks = clampWeeks(weeks || METRICS[metric].defaultWeeks);
+
+  const baseline = await getBaseline(userId);
+  const measured = baselineFor(baseline, metric, text);
+  // No data for the metric - fall back to a percent-complete goal
+  const resolvedMetric = measured ? metric : 'custom';
+  const resolvedDirection = measured ? direction : 'increase';
+  const start = measured || null;
+  const unit = start ? start.unit : 'percent';
+  const metricKey = resolvedMetric === 'strength' ? `strength:${start.exercise.toLowerCase()}` : resolvedMetric;
+  const amount = parseAmount(text);
+
+  const rulesTarget = proposeTarget({ metric: resolvedMetric, direction: resolvedDirection, start, weeks, amount });
+  const rulesDeadline = new Date(Date.now() + weeks * WEEK_MS);
+  const rules = {
+    ...buildRuleProposal({
+      generalGoal: text,
+      domain,
+      metric: resolvedMetric,
+      direction: resolvedDirection,
+      start,
+      targetValue: rulesTarget,
+      unit,
+      weeks,
+      deadline: rulesDeadline
+    }),
+    targetValue: rulesTarget,
+    weeks,
+    reasoning: start
+      ? `Built from your current ${describeMetric(resolvedMetric, start)} (${start.value} ${unit}) at ${METRICS[resolvedMetric].basis[resolvedDirection]}.`
+      : `No ${metric === 'custom' ? '' : `${metric.replace('_', ' ')} `}data to build on yet, so progress is tracked as percent complete.`
+  };
+
+  let proposal = rules;
+  let source = 'rules';
+
+  if (aiProvider.isAvailable('smart_goals')) {
+    try {
+      const result = await aiProvider.generateJSON({
+        feature: 'smart_goals',
+        userId,
+        prompt: buildSmartGoalPrompt({
+          generalGoal: text,
+          domain,
+          metric: resolvedMetric,
+          direction: resolvedDirection,
+          start,
+          baseline,
+          rules,
+          weeks
+        }),
+        mockResponse: rules
+      });
+      const normalized = normalizeAIProposal(result.data, {
+        metric: resolvedMetric,
+        direction: resolvedDirection,
+        start,
+        rules
+      });
+      if (normalized) {
+        proposal = normalized;
+        source = result.provider;
+      }
+    } catch (error) {
+      console.error('AI SMART goal failed, using rules:', error.message);
+    }
+  }
+
+  const targetDate = new Date(Date.now() + proposal.weeks * WEEK_MS);
+  const startValue = start ? start.value : 0;
+
+  const feasibility = await scoreFeasibility({
+    userId,
+    metric: resolvedMetric,
+    metricKey,
+    direction: resolvedDirection,
+    startValue,
+    targetValue: proposal.targetValue,
+    weeks: proposal.weeks
+  });
+  const confidence = scoreConfidence({ start, feasibility, source, explicit: Boolean(amount) });
+
+  const smartGoal = {
+    specific: proposal.specific,
+    measurable: proposal.measurable,
+    achievable: `${proposal.achievable}. Feasibility: ${feasibility.score}/100 (${feasibility.rating})`,
+    relevant: proposal.relevant,
+    timeBound: proposal.timeBound
+  };
+
+  const suggestedGoal = {
+    title: proposal.title,
+    description: `${smartGoal.specific}. ${smartGoal.measurable}. ${smartGoal.timeBound}.`,
+    category: mapDomainToCategory(domain || METRICS[resolvedMetric].domain),
+    type: 'outcome',
+    metric: metricKey,
+    currentValue: startValue,
+    targetValue: proposal.targetValue,
+    unit,
+    targetDate
+  };
+
+  let goal = null;
+  let milestones;
+
+  if (save) {
+    goal = await Goal.create({
+      name: suggestedGoal.title,
+      description: suggestedGoal.description,
+      category: suggestedGoal.category,
+      metric: metricKey,
+      unit,
+      clientId: userId,
+      assignedBy: userId,
+      createdBy: userId,
+      target: proposal.targetValue,
+      current: startValue,
+      startingValue: startValue,
+      deadline: targetDate,
+      smart: {
+        ...smartGoal,
+        source,
+        confidence,
+        feasibility: feasibility.score,
+        baselineDate: start?.date,
+        generatedAt: new Date()
+      }
+    });
+    goal.milestones = await goalTracker.generateMilestones(goal);
+    await goal.save();
+    milestones = goal.milestones;
+  } else {
+    milestones = await goalTracker.generateMilestones({ ...suggestedGoal, createdAt: new Date() });
+  }
+
+  return {
+    smartGoal,
+    milestones,
+    reasoning: proposal.reasoning,
+    suggestedGoal,
+    baseline: {
+      metric: metricKey,
+      current: start,
+      all: baseline
+    },
+    feasibility,
+    confidence,
+    source,
+    goal
+  };
 };
 
 /**
@@ -165,32 +673,6 @@ const mapDomainToCategory = (domain) => {
   return mapping[domain] || 'personal';
 };
 
-/**
- * Extract target value from measurable text
- */
-const extractTargetValue = (measurableText) => {
-  // Simple extraction - can be enhanced with AI
-  return 100; // Default to 100% completion
-};
-
-/**
- * Extract unit from measurable text
- */
-const extractUnit = (measurableText) => {
-  // Simple extraction - can be enhanced with AI
-  return 'percent';
-};
-
-/**
- * Extract date from time-bound text
- */
-const extractDate = (timeBoundText) => {
-  // Default to 12 weeks from now
-  const date = new Date();
-  date.setDate(date.getDate() + 84); // 12 weeks
-  return date;
-};
-
 /**
  * Get personalized goal suggestions
  * @param {String} userId - User ID
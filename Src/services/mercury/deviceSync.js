@@ -1,6 +1,9 @@
 // Src/services/mercury/deviceSync.js
 const WearableDevice = require('../../models/mercury/WearableDevice');
 const WearableData = require('../../models/mercury/WearableData');
+const OAuthState = require('../../models/phoenix/OAuthState');
+const tokenVault = require('../phoenix/tokenVault');
+const challengeEngine = require('../venus/challengeEngine');
 const axios = require('axios');
 const crypto = require('crypto');
 
@@ -69,7 +72,7 @@ class DeviceSyncService {
     // Generate state for OAuth security
     const state = crypto.randomBytes(32).toString('hex');
 
-    // Store state temporarily (in production, use Redis)
+    // Store state until the callback (expires via TTL)
     await this.storeOAuthState(userId, provider, state);
 
     // Build authorization URL
@@ -126,7 +129,10 @@ class DeviceSyncService {
         }
       });
 
-      const { access_token, refresh_token, expires_in, user_id } = tokenResponse.data;
+      const { access_token, user_id } = tokenResponse.data;
+
+      // Tokens go to the encrypted vault, never onto the device record
+      const vaultEntry = await tokenVault.saveTokens(userId, provider, tokenResponse.data, { category: 'wearable' });
 
       // Create or update device record
       const device = await WearableDevice.findOneAndUpdate(
@@ -134,9 +140,7 @@ class DeviceSyncService {
         {
           userId,
           provider,
-          accessToken: access_token,
-          refreshToken: refresh_token,
-          tokenExpiry: new Date(Date.now() + expires_in * 1000),
+          tokenExpiry: vaultEntry.expiresAt,
           providerUserId: user_id,
           isActive: true,
           status: 'connected',
@@ -168,10 +172,12 @@ class DeviceSyncService {
 
     // Revoke token with provider (if supported)
     try {
-      await this.revokeToken(provider, device.accessToken);
+      const tokens = await tokenVault.getTokens(userId, provider);
+      if (tokens) await this.revokeToken(provider, tokens.accessToken);
     } catch (error) {
       console.error('Token revocation error:', error);
     }
+    await tokenVault.revoke(userId, provider);
 
     // Deactivate device
     device.isActive = false;
@@ -191,13 +197,10 @@ class DeviceSyncService {
       throw new Error('Device not found or not active');
     }
 
-    // Check if token needs refresh
-    if (new Date() > device.tokenExpiry) {
-      await this.refreshAccessToken(device);
-    }
+    const accessToken = await this.getAccessToken(device);
 
     // Sync last 7 days
-    const syncResult = await this.syncDeviceData(userId, provider, device.accessToken);
+    const syncResult = await this.syncDeviceData(userId, provider, accessToken);
 
     // Update last sync time
     device.lastSync = new Date();
@@ -249,6 +252,13 @@ class DeviceSyncService {
         recordsAdded++;
       }
 
+      // Steps/distance challenges
+      if (recordsAdded > 0) {
+        challengeEngine.recordActivity(userId, 'wearable').catch(error => {
+          console.error('Challenge progress update error:', error.message);
+        });
+      }
+
       return { recordsAdded };
     } catch (error) {
       console.error(`Sync error for ${provider}:`, error);
@@ -619,31 +629,69 @@ class DeviceSyncService {
     return weights[metric] || {};
   }
 
+  /**
+   * Current access token for a device, refreshed first if it is
+   * about to expire
+   */
+  async getAccessToken(device) {
+    const tokens = await tokenVault.getTokens(device.userId, device.provider);
+    if (!tokens) {
+      throw new Error(`No stored credentials for ${device.provider} - reconnect the device`);
+    }
+
+    if (tokenVault.isExpiring(tokens) && tokens.refreshToken) {
+      const refreshed = await this.refreshAccessToken(device);
+      if (!refreshed) {
+        throw new Error(`${device.provider} authorization expired - reconnect the device`);
+      }
+      return (await tokenVault.getTokens(device.userId, device.provider)).accessToken;
+    }
+
+    return tokens.accessToken;
+  }
+
+  /**
+   * Call the provider token endpoint with a refresh token
+   * @returns {object} raw token response
+   */
+  async requestTokenRefresh(provider, refreshToken) {
+    const config = PROVIDER_CONFIGS[provider.toLowerCase()];
+    if (!config || !config.tokenUrl) {
+      throw new Error(`Token refresh not supported for ${provider}`);
+    }
+
+    const response = await axios.post(config.tokenUrl, new URLSearchParams({
+      grant_type: 'refresh_token',
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+      refresh_token: refreshToken
+    }), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      // Fitbit requires client credentials as Basic auth
+      ...(provider === 'fitbit' && { auth: { username: config.clientId, password: config.clientSecret } })
+    });
+
+    return response.data;
+  }
+
   /**
    * Refresh access token
    */
   async refreshAccessToken(device) {
-    const config = PROVIDER_CONFIGS[device.provider.toLowerCase()];
-
     try {
-      const response = await axios.post(config.tokenUrl, {
-        grant_type: 'refresh_token',
-        client_id: config.clientId,
-        client_secret: config.clientSecret,
-        refresh_token: device.refreshToken
-      });
-
-      device.accessToken = response.data.access_token;
-      device.tokenExpiry = new Date(Date.now() + response.data.expires_in * 1000);
-      
-      if (response.data.refresh_token) {
-        device.refreshToken = response.data.refresh_token;
+      const tokens = await tokenVault.getTokens(device.userId, device.provider);
+      if (!tokens || !tokens.refreshToken) {
+        throw new Error('No refresh token stored');
       }
 
+      const data = await this.requestTokenRefresh(device.provider, tokens.refreshToken);
+      const entry = await tokenVault.saveTokens(device.userId, device.provider, data, { category: 'wearable' });
+
+      device.tokenExpiry = entry.expiresAt;
       await device.save();
       return true;
     } catch (error) {
-      console.error('Token refresh error:', error);
+      console.error('Token refresh error:', error.message);
       device.status = 'token_expired';
       await device.save();
       return false;
@@ -660,20 +708,18 @@ class DeviceSyncService {
   }
 
   /**
-   * Store OAuth state (use Redis in production)
+   * Store OAuth state (expires via TTL index)
    */
   async storeOAuthState(userId, provider, state) {
-    // In production, store in Redis with TTL
-    // For now, store in memory or database
+    await OAuthState.issue(userId, provider, 'wearable', state);
     return true;
   }
 
   /**
-   * Verify OAuth state
+   * Verify OAuth state (single use)
    */
   async verifyOAuthState(userId, provider, state) {
-    // In production, verify from Redis
-    return true; // Simplified for now
+    return await OAuthState.consume(userId, provider, state);
   }
 }
 
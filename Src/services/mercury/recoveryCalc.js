@@ -194,15 +194,17 @@ class RecoveryCalculator {
 
     // Get recent workouts
     const recentWorkouts = await Workout.find({
-      userId,
-      date: { $gte: sevenDaysAgo },
-      status: 'completed'
+      clientId: userId,
+      completed: true,
+      completedAt: { $gte: sevenDaysAgo },
+      isActive: { $ne: false }
     }).lean();
 
     const chronicWorkouts = await Workout.find({
-      userId,
-      date: { $gte: twentyEightDaysAgo },
-      status: 'completed'
+      clientId: userId,
+      completed: true,
+      completedAt: { $gte: twentyEightDaysAgo },
+      isActive: { $ne: false }
     }).lean();
 
     // Calculate acute load (last 7 days)
@@ -232,8 +234,11 @@ class RecoveryCalculator {
    */
   calculateTotalLoad(workouts) {
     return workouts.reduce((total, workout) => {
+      // Sessions store their own load (duration × session RPE / 10)
+      if (workout.trainingLoad !== undefined) return total + workout.trainingLoad;
+
       const duration = workout.duration || 60;
-      const intensity = workout.averageRPE || 7;
+      const intensity = workout.sessionRPE || workout.averageRPE || 7;
       const load = (duration * intensity) / 10; // Simplified load calculation
       return total + load;
     }, 0);
@@ -610,15 +615,17 @@ class RecoveryCalculator {
     const twentyEightDaysAgo = new Date(Date.now() - 28 * 24 * 60 * 60 * 1000);
 
     const recentWorkouts = await Workout.find({
-      userId,
-      date: { $gte: startDate },
-      status: 'completed'
+      clientId: userId,
+      completed: true,
+      completedAt: { $gte: startDate },
+      isActive: { $ne: false }
     }).lean();
 
     const chronicWorkouts = await Workout.find({
-      userId,
-      date: { $gte: twentyEightDaysAgo },
-      status: 'completed'
+      clientId: userId,
+      completed: true,
+      completedAt: { $gte: twentyEightDaysAgo },
+      isActive: { $ne: false }
     }).lean();
 
     const acuteLoad = this.calculateTotalLoad(recentWorkouts);
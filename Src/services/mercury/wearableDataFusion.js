@@ -1,14 +1,10 @@
 // Src/services/wearableDataFusion.js - Multi-Device Data Fusion Engine
 const WearableData = require('../../models/mercury/WearableData');
 const User = require('../../models/User');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const aiProvider = require('../ai/aiProvider');
 
 class WearableDataFusionService {
   constructor() {
-    this.genAI = process.env.GOOGLE_AI_API_KEY 
-      ? new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY) 
-      : null;
-    
     // Device priority for different metrics
     this.metricPriorities = {
       hrv: ['whoop', 'oura', 'fitbit', 'garmin', 'polar'],
@@ -86,8 +82,8 @@ class WearableDataFusionService {
       fusedData.unifiedScores = await this.calculateUnifiedScores(fusedData);
 
       // Generate AI insights if available
-      if (this.genAI) {
-        fusedData.aiInsights = await this.generateAIInsights(fusedData, dataByProvider);
+      if (aiProvider.isAvailable('data_fusion')) {
+        fusedData.aiInsights = await this.generateAIInsights(fusedData, dataByProvider, userId);
       }
 
       // Store fused data
@@ -502,18 +498,10 @@ class WearableDataFusionService {
   /**
    * Generate AI insights from fused data
    */
-  async generateAIInsights(fusedData, dataByProvider) {
-    if (!this.genAI) return null;
+  async generateAIInsights(fusedData, dataByProvider, userId) {
+    if (!aiProvider.isAvailable('data_fusion')) return null;
     
     try {
-      const model = this.genAI.getGenerativeModel({ 
-        model: 'gemini-1.5-flash',
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 500
-        }
-      });
-      
       const prompt = `Analyze this multi-device wearable data fusion and provide insights:
 
 Fused Data Summary:
@@ -534,8 +522,12 @@ Provide:
 
 Keep response under 100 words, be specific.`;
       
-      const result = await model.generateContent(prompt);
-      return result.response.text();
+      const { text } = await aiProvider.generate({
+        feature: 'data_fusion',
+        userId,
+        prompt
+      });
+      return text;
       
     } catch (error) {
       console.error('AI insights generation failed:', error);
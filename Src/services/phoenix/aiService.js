@@ -1,5 +1,5 @@
 // Src/services/aiService.js
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const aiProvider = require('../ai/aiProvider');
 const WearableData = require('../../models/mercury/WearableData');
 const Workout = require('../../models/venus/Workout');
 const Goal = require('../../models/mars/Goal');
@@ -9,30 +9,19 @@ const CalendarEvent = require('../../models/earth/CalendarEvent');
 const CompanionConversation = require('../../models/phoenix/CompanionConversation');
 
 class AIService {
-  constructor() {
-    this.genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY || '');
-    this.isConfigured = !!process.env.GOOGLE_AI_API_KEY;
-    
-    // Model configurations for different use cases
-    this.models = {
-      fast: 'gemini-2.0-flash-exp',      // Quick responses
-      balanced: 'gemini-1.5-pro-latest',  // General purpose
-      advanced: 'gemini-2.0-pro'          // Complex analysis
-    };
-  }
-
   /**
    * Check if AI service is available
+   * @param {string} [feature] - feature key from Src/config/ai.js
    */
-  isAvailable() {
-    return this.isConfigured;
+  isAvailable(feature = 'default') {
+    return aiProvider.isAvailable(feature);
   }
 
   /**
    * Generate comprehensive health analysis
    */
   async analyzeHealthData(userId, options = {}) {
-    if (!this.isConfigured) {
+    if (!this.isAvailable('health_analysis')) {
       return this.getFallbackAnalysis();
     }
 
@@ -44,17 +33,14 @@ class AIService {
       const prompt = this.buildHealthAnalysisPrompt(userData);
       
       // Get AI analysis
-      const model = this.genAI.getGenerativeModel({ 
-        model: this.models.balanced,
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 1024
-        }
+      const { text: analysis } = await aiProvider.generate({
+        feature: 'health_analysis',
+        userId,
+        prompt,
+        temperature: 0.7,
+        maxTokens: 1024
       });
       
-      const result = await model.generateContent(prompt);
-      const analysis = result.response.text();
-      
       // Structure the response
       return {
         success: true,
@@ -74,7 +60,7 @@ class AIService {
    * Generate workout recommendations
    */
   async generateWorkoutPlan(userId, preferences = {}) {
-    if (!this.isConfigured) {
+    if (!this.isAvailable('workout_plan')) {
       return this.getFallbackWorkout(preferences);
     }
 
@@ -87,14 +73,6 @@ class AIService {
         Goal.find({ clientId: userId, completed: false })
       ]);
       
-      const model = this.genAI.getGenerativeModel({ 
-        model: this.models.fast,
-        generationConfig: {
-          temperature: 0.8,
-          maxOutputTokens: 500
-        }
-      });
-      
       const prompt = `Create a workout plan for the next 7 days:
       
       User Recovery: ${wearableData?.recoveryScore || 'unknown'}/100
@@ -113,8 +91,13 @@ class AIService {
       
       Format as structured workout plan with sets, reps, and rest periods.`;
       
-      const result = await model.generateContent(prompt);
-      const workoutPlan = result.response.text();
+      const { text: workoutPlan } = await aiProvider.generate({
+        feature: 'workout_plan',
+        userId,
+        prompt,
+        temperature: 0.8,
+        maxTokens: 500
+      });
       
       // Parse and structure the workout plan
       const structuredPlan = this.parseWorkoutPlan(workoutPlan);
@@ -139,7 +122,7 @@ class AIService {
    * Chat conversation with context
    */
   async chat(userId, message, conversationHistory = []) {
-    if (!this.isConfigured) {
+    if (!this.isAvailable('companion')) {
       return {
         success: false,
         response: "I'm currently offline but here's what I know: Focus on consistent training and recovery.",
@@ -151,14 +134,6 @@ class AIService {
       // Get user context
       const context = await this.getUserContext(userId);
       
-      const model = this.genAI.getGenerativeModel({ 
-        model: this.models.fast,
-        generationConfig: {
-          temperature: 0.8,
-          maxOutputTokens: 300
-        }
-      });
-      
       // Build conversation with Phoenix personality
       const systemPrompt = this.getPhoenixPersonality(context);
       
@@ -177,8 +152,13 @@ class AIService {
       
       Phoenix (respond as the AI coach, brief and actionable):`;
       
-      const result = await model.generateContent(fullPrompt);
-      const response = result.response.text();
+      const { text: response } = await aiProvider.generate({
+        feature: 'companion',
+        userId,
+        prompt: fullPrompt,
+        temperature: 0.8,
+        maxTokens: 300
+      });
       
       // Store conversation
       await CompanionConversation.create([
@@ -208,7 +188,7 @@ class AIService {
    * Predict health outcomes
    */
   async predictOutcomes(userId, days = 30) {
-    if (!this.isConfigured) {
+    if (!this.isAvailable('predictions')) {
       return this.getFallbackPredictions();
     }
 
@@ -225,14 +205,6 @@ class AIService {
         };
       }
       
-      const model = this.genAI.getGenerativeModel({ 
-        model: this.models.advanced,
-        generationConfig: {
-          temperature: 0.6,
-          maxOutputTokens: 600
-        }
-      });
-      
       const dataPoints = historicalData.map(d => ({
         date: d.date,
         recovery: d.recoveryScore,
@@ -256,8 +228,13 @@ class AIService {
       Base predictions on data patterns, seasonality, and typical human physiology.
       Provide confidence levels for each prediction.`;
       
-      const result = await model.generateContent(prompt);
-      const predictions = result.response.text();
+      const { text: predictions } = await aiProvider.generate({
+        feature: 'predictions',
+        userId,
+        prompt,
+        temperature: 0.6,
+        maxTokens: 600
+      });
       
       return {
         success: true,
@@ -276,7 +253,7 @@ class AIService {
    * Analyze nutrition and suggest improvements
    */
   async analyzeNutrition(userId, mealData = null) {
-    if (!this.isConfigured) {
+    if (!this.isAvailable('nutrition')) {
       return this.getFallbackNutritionAnalysis();
     }
 
@@ -293,14 +270,6 @@ class AIService {
         })
       ]);
       
-      const model = this.genAI.getGenerativeModel({ 
-        model: this.models.balanced,
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 500
-        }
-      });
-      
       const prompt = `Analyze nutrition and provide recommendations:
       
       Current Plan:
@@ -322,8 +291,13 @@ class AIService {
       
       Keep recommendations practical and actionable.`;
       
-      const result = await model.generateContent(prompt);
-      const analysis = result.response.text();
+      const { text: analysis } = await aiProvider.generate({
+        feature: 'nutrition',
+        userId,
+        prompt,
+        temperature: 0.7,
+        maxTokens: 500
+      });
       
       return {
         success: true,
@@ -341,7 +315,7 @@ class AIService {
    * Generate injury prevention insights
    */
   async analyzeInjuryRisk(userId) {
-    if (!this.isConfigured) {
+    if (!this.isAvailable('injury_risk')) {
       return { risk: 'unknown', recommendations: ['Maintain proper form', 'Listen to your body'] };
     }
 
@@ -358,14 +332,6 @@ class AIService {
           .limit(5)
       ]);
       
-      const model = this.genAI.getGenerativeModel({ 
-        model: this.models.advanced,
-        generationConfig: {
-          temperature: 0.6,
-          maxOutputTokens: 400
-        }
-      });
-      
       const workloadData = this.calculateWorkload(workouts);
       const recoveryTrend = this.calculateRecoveryTrend(wearableData);
       
@@ -386,8 +352,13 @@ class AIService {
       
       Be specific and evidence-based.`;
       
-      const result = await model.generateContent(prompt);
-      const riskAnalysis = result.response.text();
+      const { text: riskAnalysis } = await aiProvider.generate({
+        feature: 'injury_risk',
+        userId,
+        prompt,
+        temperature: 0.6,
+        maxTokens: 400
+      });
       
       return {
         success: true,
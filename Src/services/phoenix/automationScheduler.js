@@ -0,0 +1,274 @@
+// ============================================
+// AUTOMATION SCHEDULER - Butler Automation Triggers
+// ============================================
+// Keeps one cron task per cron-triggered automation and polls
+// event triggers (recovery threshold, budget alert, calendar
+// event start) once a minute. Runs go through
+// butlerAutomation.runAutomation, which records history and
+// performs the budget check.
+// ============================================
+
+const cron = require('node-cron');
+const Automation = require('../../models/phoenix/Automation');
+const RecoveryScore = require('../../models/mercury/RecoveryScore');
+const Budget = require('../../models/jupiter/Budget');
+const CalendarEvent = require('../../models/earth/CalendarEvent');
+const butlerAutomation = require('./butlerAutomation');
+
+const TICK_SCHEDULE = '* * * * *';
+const TICK_MINUTES = 1;
+
+class AutomationScheduler {
+  constructor() {
+    this.isRunning = false;
+    this.isTicking = false;
+    this.tickTask = null;
+    this.cronTasks = new Map(); // automationId -> { task, version }
+  }
+
+  /**
+   * Start the scheduler
+   */
+  start() {
+    if (this.isRunning) {
+      console.warn('⚠️ Automation scheduler already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.tickTask = cron.schedule(TICK_SCHEDULE, () => this.tick(), { noOverlap: true });
+
+    // Register cron automations right away instead of waiting a minute
+    this.syncCronTasks().catch(error => {
+      console.error('❌ Automation cron sync error:', error);
+    });
+
+    console.log('✅ Automation scheduler started');
+  }
+
+  /**
+   * Stop the scheduler and all cron tasks
+   */
+  stop() {
+    if (this.tickTask) this.tickTask.stop();
+    this.cronTasks.forEach(({ task }) => task.stop());
+    this.cronTasks.clear();
+    this.tickTask = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * One scheduler pass: refresh cron tasks and evaluate event triggers
+   */
+  async tick() {
+    if (this.isTicking) return;
+    this.isTicking = true;
+
+    try {
+      await this.syncCronTasks();
+
+      const automations = await Automation.find({
+        enabled: true,
+        'trigger.type': { $in: ['recovery_threshold', 'budget_alert', 'calendar_event'] }
+      });
+
+      for (const automation of automations) {
+        if (!automation.isRunnable()) continue;
+
+        try {
+          await this.evaluateTrigger(automation);
+        } catch (error) {
+          console.error(`❌ Automation ${automation._id} trigger error:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Automation scheduler tick error:', error);
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  /**
+   * Reconcile in-memory cron tasks with the stored cron automations.
+   * Tasks are rebuilt when the automation document changes.
+   */
+  async syncCronTasks() {
+    const automations = await Automation.getSchedulable('cron').select('_id trigger updatedAt').lean();
+    const seen = new Set();
+
+    automations.forEach(automation => {
+      const id = automation._id.toString();
+      const version = new Date(automation.updatedAt).getTime();
+      const existing = this.cronTasks.get(id);
+      seen.add(id);
+
+      if (existing && existing.version === version) return;
+      if (existing) existing.task.stop();
+
+      if (!cron.validate(automation.trigger.schedule)) {
+        console.warn(`⚠️ Automation ${id} has an invalid cron schedule: ${automation.trigger.schedule}`);
+        this.cronTasks.delete(id);
+        return;
+      }
+
+      const options = { noOverlap: true };
+      if (automation.trigger.timezone) options.timezone = automation.trigger.timezone;
+
+      const task = cron.schedule(automation.trigger.schedule, () => this.runCron(id), options);
+      this.cronTasks.set(id, { task, version });
+    });
+
+    // Drop tasks for deleted/disabled automations
+    this.cronTasks.forEach(({ task }, id) => {
+      if (!seen.has(id)) {
+        task.stop();
+        this.cronTasks.delete(id);
+      }
+    });
+  }
+
+  /**
+   * Run a cron automation (reloaded so pause/disable is respected)
+   */
+  async runCron(automationId) {
+    try {
+      const automation = await Automation.findById(automationId);
+      if (!automation) return;
+
+      await butlerAutomation.runAutomation(
+        automation,
+        'cron',
+        { firedAt: new Date().toISOString(), schedule: automation.trigger.schedule },
+        { ignoreCooldown: true }
+      );
+    } catch (error) {
+      console.error(`❌ Cron automation ${automationId} error:`, error.message);
+    }
+  }
+
+  /**
+   * Check whether an event trigger fired and run the automation if so
+   */
+  async evaluateTrigger(automation) {
+    const evaluators = {
+      recovery_threshold: () => this.checkRecoveryThreshold(automation),
+      budget_alert: () => this.checkBudgetAlert(automation),
+      calendar_event: () => this.checkCalendarEvent(automation)
+    };
+
+    const fired = await evaluators[automation.trigger.type]();
+    if (!fired) return null;
+
+    // Same underlying event already handled
+    if (fired.key && fired.key === automation.lastTriggerKey) return null;
+
+    return await butlerAutomation.runAutomation(
+      automation,
+      automation.trigger.type,
+      fired.payload,
+      { triggerKey: fired.key }
+    );
+  }
+
+  /**
+   * Recovery trigger: today's Mercury recovery score crossed the threshold
+   */
+  async checkRecoveryThreshold(automation) {
+    const { threshold, direction = 'below' } = automation.trigger;
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const score = await RecoveryScore.findOne({
+      userId: automation.userId,
+      date: { $gte: today }
+    }).sort({ date: -1 });
+
+    if (!score) return null;
+
+    const crossed = direction === 'above'
+      ? score.totalScore >= threshold
+      : score.totalScore <= threshold;
+
+    if (!crossed) return null;
+
+    return {
+      key: `recovery:${score._id}`,
+      payload: {
+        score: score.totalScore,
+        threshold,
+        direction,
+        date: score.date
+      }
+    };
+  }
+
+  /**
+   * Budget trigger: a Jupiter budget reached its alert threshold
+   */
+  async checkBudgetAlert(automation) {
+    const query = {
+      userId: automation.userId,
+      isActive: true,
+      alertEnabled: true
+    };
+    if (automation.trigger.category) query.category = automation.trigger.category;
+
+    const budgets = await Budget.find(query);
+    const alerting = budgets.find(budget => budget.shouldAlert);
+
+    if (!alerting) return null;
+
+    // One alert per budget per period
+    const periodStart = new Date(alerting.lastReset || alerting.startDate).getTime();
+
+    return {
+      key: `budget:${alerting._id}:${periodStart}`,
+      payload: {
+        budgetId: alerting._id,
+        category: alerting.category,
+        amount: alerting.amount,
+        spent: alerting.spent,
+        percentUsed: Math.round(alerting.percentUsed),
+        status: alerting.status
+      }
+    };
+  }
+
+  /**
+   * Calendar trigger: a matching event starts within minutesBefore
+   */
+  async checkCalendarEvent(automation) {
+    const { minutesBefore = 0, titleContains, meetingType } = automation.trigger;
+    const windowStart = new Date(Date.now() + minutesBefore * 60 * 1000);
+    const windowEnd = new Date(windowStart.getTime() + TICK_MINUTES * 60 * 1000);
+
+    const query = {
+      userId: automation.userId,
+      startTime: { $gte: windowStart, $lt: windowEnd },
+      status: { $ne: 'cancelled' },
+      autoScheduled: { $ne: true }
+    };
+    if (meetingType) query.meetingType = meetingType;
+
+    const events = await CalendarEvent.find(query).sort({ startTime: 1 });
+    const event = titleContains
+      ? events.find(e => e.title.toLowerCase().includes(titleContains.toLowerCase()))
+      : events[0];
+
+    if (!event) return null;
+
+    return {
+      key: `calendar:${event._id}`,
+      payload: {
+        eventId: event._id,
+        eventTitle: event.title,
+        eventStart: event.startTime,
+        eventEnd: event.endTime,
+        meetingType: event.meetingType,
+        minutesBefore
+      }
+    };
+  }
+}
+
+module.exports = new AutomationScheduler();
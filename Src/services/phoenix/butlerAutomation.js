@@ -1,7 +1,27 @@
 // Src/services/phoenix/butlerAutomation.js
 // SIMPLIFIED VERSION - No Puppeteer dependency
 
+const cron = require('node-cron');
 const ButlerAction = require('../../models/phoenix/ButlerAction');
+const Automation = require('../../models/phoenix/Automation');
+const AutomationRun = require('../../models/phoenix/AutomationRun');
+const Intervention = require('../../models/phoenix/Intervention');
+const CalendarEvent = require('../../models/earth/CalendarEvent');
+const User = require('../../models/User');
+const smsAgent = require('./smsAgent');
+const emailAgent = require('./emailAgent');
+const { estimateActionCost, evaluateBudget } = require('../../middleware/budgetMiddleware');
+const ErrorResponse = require('../../utils/errorResponse');
+
+// Default intervention type per trigger when the action doesn't name one
+const TRIGGER_INTERVENTION_TYPES = {
+  recovery_threshold: 'recovery_critical',
+  budget_alert: 'spending_alert',
+  calendar_event: 'calendar_conflict'
+};
+
+// Fields a user may change on an existing automation
+const UPDATABLE_FIELDS = ['name', 'description', 'trigger', 'actions', 'conditions', 'cooldownMinutes', 'enabled'];
 
 class ButlerAutomation {
   // Make restaurant reservation
@@ -83,6 +103,338 @@ class ButlerAutomation {
     }).sort({ createdAt: -1 }).limit(50).lean();
   }
 
+  // ========================================
+  // TASK AUTOMATION
+  // ========================================
+
+  /**
+   * Validate trigger and actions before they are persisted
+   */
+  validateAutomation({ trigger, actions }) {
+    if (!trigger || !Automation.TRIGGER_TYPES.includes(trigger.type)) {
+      throw new ErrorResponse(`Trigger type must be one of: ${Automation.TRIGGER_TYPES.join(', ')}`, 400);
+    }
+
+    if (trigger.type === 'cron' && (!trigger.schedule || !cron.validate(trigger.schedule))) {
+      throw new ErrorResponse('A valid cron schedule is required for cron triggers', 400);
+    }
+
+    if (trigger.type === 'recovery_threshold' && typeof trigger.threshold !== 'number') {
+      throw new ErrorResponse('A numeric threshold (0-100) is required for recovery triggers', 400);
+    }
+
+    if (!Array.isArray(actions) || actions.length === 0) {
+      throw new ErrorResponse('At least one action is required', 400);
+    }
+
+    actions.forEach((action, index) => {
+      const params = action.params || {};
+
+      if (!Automation.ACTION_TYPES.includes(action.type)) {
+        throw new ErrorResponse(`Action ${index + 1}: type must be one of: ${Automation.ACTION_TYPES.join(', ')}`, 400);
+      }
+      if (action.type === 'sms' && !params.message) {
+        throw new ErrorResponse(`Action ${index + 1}: SMS actions need a message`, 400);
+      }
+      if (action.type === 'email' && (!params.subject || !params.body)) {
+        throw new ErrorResponse(`Action ${index + 1}: email actions need a subject and body`, 400);
+      }
+      if (action.type === 'intervention' && !params.interventionType && !TRIGGER_INTERVENTION_TYPES[trigger.type]) {
+        throw new ErrorResponse(`Action ${index + 1}: interventionType is required for ${trigger.type} triggers`, 400);
+      }
+      if (action.type === 'calendar_block' && !params.title) {
+        throw new ErrorResponse(`Action ${index + 1}: calendar blocks need a title`, 400);
+      }
+    });
+  }
+
+  async createAutomation({ userId, name, description, trigger, actions, conditions = [], enabled = true, cooldownMinutes }) {
+    this.validateAutomation({ trigger, actions });
+
+    return await Automation.create({
+      userId,
+      name,
+      description,
+      trigger,
+      actions,
+      conditions,
+      enabled,
+      cooldownMinutes
+    });
+  }
+
+  async getAutomations(query) {
+    return await Automation.find(query).sort({ createdAt: -1 });
+  }
+
+  async getAutomation(userId, automationId) {
+    const automation = await Automation.findOne({ _id: automationId, userId });
+    if (!automation) {
+      throw new ErrorResponse('Automation not found', 404);
+    }
+    return automation;
+  }
+
+  async updateAutomation(userId, automationId, updates) {
+    const automation = await this.getAutomation(userId, automationId);
+
+    UPDATABLE_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) {
+        automation[field] = updates[field];
+      }
+    });
+
+    this.validateAutomation({ trigger: automation.trigger, actions: automation.actions });
+
+    // A changed trigger starts a fresh dedup window
+    if (updates.trigger) {
+      automation.lastTriggerKey = undefined;
+    }
+
+    return await automation.save();
+  }
+
+  async deleteAutomation(userId, automationId) {
+    const automation = await this.getAutomation(userId, automationId);
+    await AutomationRun.deleteMany({ automationId: automation._id });
+    await automation.deleteOne();
+    return { deleted: true };
+  }
+
+  /**
+   * Enable, disable or pause an automation
+   * @param {String} state - 'enabled' | 'disabled' | 'paused'
+   * @param {Date} [until] - pause end (defaults to 24 hours)
+   */
+  async setAutomationState(userId, automationId, state, until) {
+    const automation = await this.getAutomation(userId, automationId);
+
+    switch (state) {
+      case 'enabled':
+        automation.enabled = true;
+        automation.pausedUntil = undefined;
+        break;
+      case 'disabled':
+        automation.enabled = false;
+        automation.pausedUntil = undefined;
+        break;
+      case 'paused': {
+        const pausedUntil = until ? new Date(until) : new Date(Date.now() + 24 * 60 * 60 * 1000);
+        if (isNaN(pausedUntil.getTime()) || pausedUntil <= new Date()) {
+          throw new ErrorResponse('Pause end must be a future date', 400);
+        }
+        automation.enabled = true;
+        automation.pausedUntil = pausedUntil;
+        break;
+      }
+      default:
+        throw new ErrorResponse('State must be enabled, disabled or paused', 400);
+    }
+
+    return await automation.save();
+  }
+
+  async getAutomationRuns(userId, automationId, limit = 50) {
+    await this.getAutomation(userId, automationId);
+
+    return await AutomationRun.find({ automationId, userId })
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Estimated cost of running every action once
+   */
+  estimateAutomationCost(automation) {
+    return automation.actions.reduce((sum, action) => sum + estimateActionCost(action.type), 0);
+  }
+
+  /**
+   * Evaluate automation conditions against the trigger payload
+   */
+  conditionsMet(conditions = [], payload = {}) {
+    return conditions.every(({ field, operator, value }) => {
+      const actual = String(field || '').split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), payload);
+
+      switch (operator) {
+        case 'eq': return String(actual) === String(value);
+        case 'ne': return String(actual) !== String(value);
+        case 'gt': return actual > value;
+        case 'gte': return actual >= value;
+        case 'lt': return actual < value;
+        case 'lte': return actual <= value;
+        case 'contains': return String(actual || '').toLowerCase().includes(String(value).toLowerCase());
+        default: return true;
+      }
+    });
+  }
+
+  /**
+   * Replace {{placeholders}} in action text with trigger payload values
+   */
+  renderTemplate(text, payload = {}) {
+    if (typeof text !== 'string') return text;
+    return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+      const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), payload);
+      return value === undefined || value === null ? match : String(value);
+    });
+  }
+
+  /**
+   * Run an automation once.
+   * Every run is recorded in AutomationRun and passes a budget check first.
+   * @param {Object} automation - Automation document
+   * @param {String} triggeredBy - trigger type or 'manual'
+   * @param {Object} payload - data describing what fired the trigger
+   * @param {Object} options - { triggerKey, ignoreCooldown }
+   */
+  async runAutomation(automation, triggeredBy, payload = {}, options = {}) {
+    const { triggerKey, ignoreCooldown = false } = options;
+    const now = new Date();
+
+    const run = new AutomationRun({
+      automationId: automation._id,
+      userId: automation.userId,
+      triggeredBy,
+      triggerPayload: payload,
+      startedAt: now
+    });
+
+    // Paused/disabled or still cooling down (manual test runs always go through)
+    const runnable = ignoreCooldown ? automation.state === 'active' : automation.isRunnable(now);
+    if (triggeredBy !== 'manual' && !runnable) {
+      return await run.finish('skipped', { skipReason: `Automation is ${automation.state === 'active' ? 'cooling down' : automation.state}` });
+    }
+
+    if (!this.conditionsMet(automation.conditions, payload)) {
+      return await run.finish('skipped', { skipReason: 'Conditions not met' });
+    }
+
+    // Budget check before any action runs
+    const estimatedCost = this.estimateAutomationCost(automation);
+    const budgetCheck = await evaluateBudget(automation.userId, estimatedCost);
+    run.budget = {
+      estimatedCost,
+      remaining: budgetCheck.remaining,
+      approved: budgetCheck.approved
+    };
+
+    if (!budgetCheck.approved) {
+      await this.recordRun(automation, 'skipped', now, triggerKey);
+      return await run.finish('skipped', { skipReason: budgetCheck.reason });
+    }
+
+    const user = await User.findById(automation.userId).select('name email phone');
+    const context = { ...payload, userName: user?.name, automationName: automation.name };
+
+    for (const action of automation.actions) {
+      try {
+        const output = await this.executeAction(automation, action, context, user);
+        run.results.push({ actionType: action.type, success: true, output });
+        run.budget.actualCost += output?.cost || 0;
+      } catch (error) {
+        console.error(`Automation ${automation._id} ${action.type} action error:`, error.message);
+        run.results.push({ actionType: action.type, success: false, error: error.message });
+      }
+    }
+
+    const succeeded = run.results.filter(r => r.success).length;
+    const status = succeeded === run.results.length ? 'success' : succeeded === 0 ? 'failed' : 'partial';
+
+    await this.recordRun(automation, status, now, triggerKey);
+
+    await ButlerAction.create({
+      userId: automation.userId,
+      actionType: 'automation',
+      description: `Automation "${automation.name}" ran (${triggeredBy})`,
+      status: status === 'failed' ? 'failed' : 'completed',
+      completedAt: new Date(),
+      metadata: { automationId: automation._id, runId: run._id, status, actualCost: run.budget.actualCost }
+    });
+
+    return await run.finish(status);
+  }
+
+  /**
+   * Update automation bookkeeping after a run
+   */
+  async recordRun(automation, status, ranAt, triggerKey) {
+    automation.lastRunAt = ranAt;
+    automation.lastRunStatus = status;
+    automation.runCount += 1;
+    if (status === 'failed') automation.failureCount += 1;
+    // A skipped run leaves the trigger unhandled so it can fire again
+    if (triggerKey && status !== 'skipped') automation.lastTriggerKey = triggerKey;
+    await automation.save();
+  }
+
+  /**
+   * Execute a single automation action
+   */
+  async executeAction(automation, action, context, user) {
+    const params = action.params || {};
+
+    switch (action.type) {
+      case 'sms': {
+        const phoneNumber = params.phoneNumber || user?.phone;
+        if (!phoneNumber) throw new Error('No phone number for SMS action');
+
+        return await smsAgent.sendSMS({
+          userId: automation.userId,
+          phoneNumber,
+          message: this.renderTemplate(params.message, context)
+        });
+      }
+
+      case 'email': {
+        const to = params.to || user?.email;
+        if (!to) throw new Error('No recipient for email action');
+
+        return await emailAgent.sendEmail({
+          userId: automation.userId,
+          to,
+          subject: this.renderTemplate(params.subject, context),
+          body: this.renderTemplate(params.body, context)
+        });
+      }
+
+      case 'intervention': {
+        const intervention = await Intervention.create({
+          userId: automation.userId,
+          type: params.interventionType || TRIGGER_INTERVENTION_TYPES[automation.trigger.type],
+          action: this.renderTemplate(params.action || automation.name, context),
+          reason: this.renderTemplate(params.reason || `Triggered by automation "${automation.name}"`, context),
+          severity: params.severity || 'medium',
+          eventId: context.eventId
+        });
+        return { interventionId: intervention._id, type: intervention.type };
+      }
+
+      case 'calendar_block': {
+        // Calendar triggers block time right after the triggering event
+        const anchor = context.eventEnd ? new Date(context.eventEnd) : new Date();
+        const startTime = new Date(anchor.getTime() + (params.offsetMinutes || 0) * 60 * 1000);
+        const endTime = new Date(startTime.getTime() + (params.durationMinutes || 30) * 60 * 1000);
+
+        const event = await CalendarEvent.create({
+          userId: automation.userId,
+          provider: 'manual',
+          title: this.renderTemplate(params.title, context),
+          description: `Added by automation "${automation.name}"`,
+          startTime,
+          endTime,
+          meetingType: params.meetingType || 'focus',
+          autoScheduled: true
+        });
+        return { eventId: event._id, startTime, endTime };
+      }
+
+      default:
+        throw new Error(`Unsupported action type: ${action.type}`);
+    }
+  }
+
   async cleanup() {
     // No browser to cleanup in simplified version
     return Promise.resolve();
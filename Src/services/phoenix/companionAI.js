@@ -1,10 +1,10 @@
 // ============================================
 // COMPANION AI SERVICE - FULLY IMPLEMENTED
 // ============================================
-// Complete Gemini AI integration with real business logic
+// AI generation goes through services/ai/aiProvider
 // ============================================
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const aiProvider = require('../ai/aiProvider');
 const WearableData = require('../../models/mercury/WearableData');
 const Workout = require('../../models/venus/Workout');
 const Goal = require('../../models/mars/Goal');
@@ -13,9 +13,8 @@ const CorrelationPattern = require('../../models/phoenix/CorrelationPattern');
 const CalendarEvent = require('../../models/earth/CalendarEvent');
 const Transaction = require('../../models/jupiter/Transaction');
 const Budget = require('../../models/jupiter/Budget');
-
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || 'dummy_key');
+const nutritionTracker = require('../venus/nutritionTracker');
+const companionMemory = require('./companionMemory');
 
 /**
  * Build comprehensive user context for AI
@@ -209,6 +208,12 @@ exports.buildUserContext = async (userId) => {
       };
     }
 
+    // Get nutrition against stored targets
+    const nutrition = await nutritionTracker.getContextSummary(userId);
+    if (nutrition) {
+      context.nutrition = nutrition;
+    }
+
     // Build comprehensive summary
     const summaryParts = [];
     
@@ -231,6 +236,10 @@ exports.buildUserContext = async (userId) => {
       summaryParts.push(`${context.upcomingEvents} events today/tomorrow`);
     }
     
+    if (context.nutrition?.targets) {
+      summaryParts.push(`Nutrition today: ${Math.round(context.nutrition.today.calories)}/${context.nutrition.targets.calories} kcal, ${Math.round(context.nutrition.today.protein)}/${context.nutrition.targets.protein}g protein`);
+    }
+    
     if (context.budgetStatus && context.budgetStatus.overBudget > 0) {
       summaryParts.push(`⚠️ ${context.budgetStatus.overBudget} budgets exceeded`);
     }
@@ -252,11 +261,12 @@ exports.buildUserContext = async (userId) => {
 };
 
 /**
- * Generate AI response using Gemini
+ * Generate AI companion response
+ * @param {object} [memories] - companionMemory.retrieve() result
  */
-exports.generateResponse = async (message, history, context) => {
+exports.generateResponse = async (message, history, context, userId, memories = null) => {
   try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-pro' });
+    const memoryBlock = companionMemory.formatForPrompt(memories);
 
     // Build comprehensive system prompt
     const systemPrompt = `You are Phoenix, an advanced AI health and performance coach with deep expertise in fitness, nutrition, recovery, and life optimization. You analyze data from wearables, workouts, goals, calendar, and finances to provide personalized, actionable insights.
@@ -273,40 +283,41 @@ Key Instructions:
 - If workouts are frequent (5+ this week), acknowledge consistency
 - If goals are near completion, provide encouragement
 - Keep responses concise but informative (2-4 paragraphs max)
-- Use a coaching tone that's motivating but realistic`;
+- Use a coaching tone that's motivating but realistic${memoryBlock ? `
+
+Long-term Memory:
+${memoryBlock}
+
+Use these memories naturally when relevant (e.g. respect allergies, injuries and preferences, follow up on earlier topics). Don't recite them or mention that you have a memory.` : ''}`;
 
     // Build conversation history for context
     const conversationHistory = history.slice(-10).map(msg => ({
-      role: msg.role === 'user' ? 'user' : 'model',
-      parts: [{ text: msg.message }]
+      role: msg.role === 'user' ? 'user' : 'assistant',
+      content: msg.message
     }));
 
-    // Start chat with history
-    const chat = model.startChat({
+    const result = await aiProvider.generate({
+      feature: 'companion',
+      userId,
+      system: systemPrompt,
       history: conversationHistory,
-      generationConfig: {
-        maxOutputTokens: 800,
-        temperature: 0.8,
-        topP: 0.9,
-        topK: 40,
-      },
+      prompt: message
     });
-
-    // Send message with full context
-    const prompt = `${systemPrompt}\n\nUser: ${message}`;
-    const result = await chat.sendMessage(prompt);
-    const response = await result.response;
     
     // Generate follow-up suggestions based on context
     const suggestions = generateSuggestions(context, message);
     
     return {
-      message: response.text(),
+      message: result.text,
       contextUsed: {
         recoveryScore: context.recoveryScore,
         recentWorkouts: context.recentWorkouts,
         activeGoals: context.activeGoals,
-        dataAvailable: context.hasWearableData
+        dataAvailable: context.hasWearableData,
+        memoriesUsed: {
+          facts: memories?.facts.length || 0,
+          exchanges: memories?.exchanges.length || 0
+        }
       },
       suggestions
     };
@@ -692,9 +703,6 @@ exports.runComprehensiveAnalysis = async (userId, scope, depth) => {
 exports.generateInsights = async (userId, category, days) => {
   try {
     const context = await this.buildUserContext(userId);
-    
-    // Use Gemini to generate insights
-    const model = genAI.getGenerativeModel({ model: 'gemini-pro' });
 
     const prompt = `Based on this user's health and fitness data, generate 3-5 actionable insights for the ${category || 'overall'} category:
 
@@ -709,9 +717,7 @@ Generate insights that are:
 
 Format: Return a numbered list of insights.`;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
+    const { text } = await aiProvider.generate({ feature: 'insights', userId, prompt });
     
     // Parse insights from response
     const insights = text
@@ -751,7 +757,6 @@ Format: Return a numbered list of insights.`;
 exports.processNaturalLanguageQuery = async (userId, query) => {
   try {
     const context = await this.buildUserContext(userId);
-    const model = genAI.getGenerativeModel({ model: 'gemini-pro' });
 
     const prompt = `You are Phoenix, an AI health coach. Answer this user's question based on their data.
 
@@ -762,12 +767,11 @@ User Question: ${query}
 
 Provide a helpful, data-driven answer in 2-3 paragraphs. Reference specific metrics when relevant.`;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
+    const { text } = await aiProvider.generate({ feature: 'query', userId, prompt });
     
     return {
       query,
-      answer: response.text(),
+      answer: text,
       contextUsed: {
         hasData: context.hasWearableData,
         dataPoints: {
@@ -882,7 +886,6 @@ exports.generateDailySummary = async (userId, date) => {
 exports.performDeepDive = async (userId, topic, timeframe) => {
   try {
     const context = await this.buildUserContext(userId);
-    const model = genAI.getGenerativeModel({ model: 'gemini-pro' });
 
     const prompt = `Perform a deep dive analysis on "${topic}" for this user over ${timeframe}.
 
@@ -897,13 +900,12 @@ Provide:
 
 Be specific, data-driven, and actionable.`;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
+    const { text } = await aiProvider.generate({ feature: 'deep_dive', userId, prompt });
     
     return {
       topic,
       timeframe,
-      analysis: response.text(),
+      analysis: text,
       generatedAt: new Date(),
       dataQuality: context.hasWearableData ? 'comprehensive' : 'limited'
     };
@@ -0,0 +1,467 @@
+// ============================================
+// COMPANION MEMORY - Semantic long-term memory for the companion
+// ============================================
+// Every chat message is embedded (services/ai/embedder) and stored on
+// CompanionConversation. Durable facts are extracted from user messages
+// into CompanionMemory. On each chat turn the most similar past
+// exchanges and facts are retrieved and added to the system prompt.
+//
+// Users can list, pin (always recalled) and forget memories.
+//
+// Environment:
+//   COMPANION_MEMORY_TOP_K   exchanges/facts recalled per turn (default 5)
+// ============================================
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const CompanionConversation = require('../../models/phoenix/CompanionConversation');
+const CompanionMemory = require('../../models/phoenix/CompanionMemory');
+const embedder = require('../ai/embedder');
+const aiProvider = require('../ai/aiProvider');
+const ErrorResponse = require('../../utils/errorResponse');
+
+const TOP_K = parseInt(process.env.COMPANION_MEMORY_TOP_K) || 5;
+const EXCHANGE_CANDIDATES = 500;
+const FACT_CANDIDATES = 200;
+const MAX_PINNED_FACTS = 10;
+const BACKFILL_BATCH = 20;
+const PIN_BOOST = 0.15;
+const DUPLICATE_SIMILARITY = 0.92;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Below this similarity a memory is noise; hashed vectors score lower
+const minSimilarity = (model) => String(model).startsWith('local:') ? 0.12 : 0.3;
+
+// ========================================
+// FACT EXTRACTION
+// ========================================
+
+const FACT_PATTERNS = [
+  { pattern: /\bi(?:'m| am) allergic to ([^.,!?;]+)/i, category: 'health', format: m => `Allergic to ${m}` },
+  { pattern: /\bi(?:'m| am) (vegetarian|vegan|pescatarian|keto|paleo|gluten[- ]free|dairy[- ]free|lactose intolerant)\b/i, category: 'diet', format: m => `Is ${m.toLowerCase()}` },
+  { pattern: /\bi (?:don't|do not|never|can't|cannot) eat ([^.,!?;]+)/i, category: 'diet', format: m => `Doesn't eat ${m}` },
+  { pattern: /\bi (?:have|had|'ve got) (?:an? )?((?:bad|injured|sore|torn|sprained|broken|weak|dodgy) [^.,!?;]+)/i, category: 'health', format: m => `Has a ${m}` },
+  { pattern: /\bmy ((?:left |right )?(?:knee|back|shoulder|ankle|hip|wrist|elbow|neck|hamstring)s?) (?:is|are|has been|have been) (?:injured|hurt|hurting|sore|painful|bad|tight)/i, category: 'health', format: m => `Has ${m} trouble` },
+  { pattern: /\bi(?:'m| am) (?:training|preparing) for (?:an? |the )?([^.,!?;]+)/i, category: 'goal', format: m => `Training for ${m}` },
+  { pattern: /\bmy (?:main |big )?goal is (?:to )?([^.,!?;]+)/i, category: 'goal', format: m => `Goal: ${m}` },
+  { pattern: /\bi (?:really )?(?:love|enjoy|prefer) ([^.,!?;]+)/i, category: 'preference', format: m => `Likes ${m}` },
+  { pattern: /\bi (?:really )?(?:hate|dislike|can't stand) ([^.,!?;]+)/i, category: 'preference', format: m => `Dislikes ${m}` },
+  { pattern: /\bi (?:usually |normally |always )?(?:wake up|get up) (?:at |around )([^.,!?;]+)/i, category: 'schedule', format: m => `Usually wakes up at ${m}` },
+  { pattern: /\bi (?:usually |normally |always )?(?:train|work out|workout|go to the gym|lift) ((?:in the|at|on|before|after) [^.,!?;]+)/i, category: 'schedule', format: m => `Usually trains ${m}` },
+  { pattern: /\bi work (?:as an? |at |in |from )([^.,!?;]+)/i, category: 'personal', format: m => `Works ${m}` },
+  { pattern: /\b[Mm]y (wife|husband|partner|son|daughter|dog|cat)(?:'s name)? is ([A-Z][a-z]+)/, category: 'personal', format: (m, match) => `Has a ${match[1].toLowerCase()} named ${match[2]}` }
+];
+
+// Keep the fact clause, drop trailing "and/but ..." and filler
+const trimClause = (text) => text
+  .split(/\b(?:and|but|because|although|though|so|lately|recently)\b/i)[0]
+  .replace(/\s+/g, ' ')
+  .trim()
+  .slice(0, 120);
+
+const extractWithRules = (message) => {
+  const facts = [];
+  FACT_PATTERNS.forEach(({ pattern, category, format }) => {
+    const match = message.match(pattern);
+    if (!match) return;
+    const clause = trimClause(match[1]);
+    if (clause.length < 2) return;
+    facts.push({ text: format(clause, match), category, confidence: 0.6 });
+  });
+  return facts;
+};
+
+const buildExtractionPrompt = (message) =>
+  `Extract durable facts about the user from their message - things worth remembering for future coaching conversations (health conditions, injuries, allergies, diet, preferences, goals, schedule, personal details). Ignore moods, one-off events and questions.
+
+Message: """${message}"""
+
+Respond with JSON only:
+{"facts":[{"text":"Allergic to peanuts","category":"health"}]}
+Categories: preference, health, diet, goal, schedule, personal, other. Return {"facts":[]} if there is nothing durable.`;
+
+const factKey = (text) => crypto.createHash('sha1')
+  .update(text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim())
+  .digest('hex');
+
+/**
+ * Extract facts from a user message (AI when available, rules otherwise)
+ */
+exports.extractFacts = async (userId, message) => {
+  const ruleFacts = extractWithRules(message);
+  if (!aiProvider.isAvailable('memory')) return ruleFacts;
+
+  try {
+    const result = await aiProvider.generateJSON({
+      feature: 'memory',
+      userId,
+      prompt: buildExtractionPrompt(message),
+      mockResponse: { facts: ruleFacts }
+    });
+
+    const categories = CompanionMemory.schema.path('category').enumValues;
+    const facts = (Array.isArray(result.data?.facts) ? result.data.facts : [])
+      .filter(fact => fact && typeof fact.text === 'string' && fact.text.trim().length > 2)
+      .slice(0, 5)
+      .map(fact => ({
+        text: fact.text.trim().slice(0, 300),
+        category: categories.includes(fact.category) ? fact.category : 'other',
+        confidence: 0.8,
+        source: 'ai'
+      }));
+
+    return facts;
+  } catch (error) {
+    console.error('AI fact extraction failed, using rules:', error.message);
+    return ruleFacts;
+  }
+};
+
+/**
+ * Store facts, merging exact and near duplicates
+ */
+const storeFacts = async (userId, facts, sourceMessageId) => {
+  if (facts.length === 0) return [];
+
+  const embeddings = await embedder.embedMany(facts.map(fact => fact.text));
+  const existing = await CompanionMemory.find({ userId }).select('+embedding').sort({ updatedAt: -1 }).limit(FACT_CANDIDATES);
+  const stored = [];
+
+  for (let i = 0; i < facts.length; i++) {
+    const fact = facts[i];
+    const { vector, model } = embeddings[i];
+
+    // Near-duplicate of a fact in the same category - refresh it instead
+    const sameModel = existing.filter(memory => memory.embeddingModel === model && memory.category === fact.category);
+    const scores = sameModel.length ? embedder.similarities(model, vector, sameModel.map(m => m.embedding)) : [];
+    const duplicateIndex = scores.findIndex(score => score >= DUPLICATE_SIMILARITY);
+
+    const filter = duplicateIndex >= 0
+      ? { _id: sameModel[duplicateIndex]._id }
+      : { userId, key: factKey(fact.text) };
+
+    const memory = await CompanionMemory.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          text: fact.text,
+          category: fact.category,
+          key: factKey(fact.text),
+          source: fact.source || 'rules',
+          sourceMessageId,
+          embedding: vector,
+          embeddingModel: model
+        },
+        $max: { confidence: fact.confidence || 0.6 },
+        $setOnInsert: { userId }
+      },
+      { upsert: true, new: true, runValidators: true }
+    ).catch(error => {
+      // Renaming onto an existing key - keep the original
+      if (error.code === 11000) return null;
+      throw error;
+    });
+
+    if (memory) stored.push(memory);
+  }
+
+  return stored;
+};
+
+// ========================================
+// EMBEDDING & STORAGE
+// ========================================
+
+/**
+ * Embed a chat message
+ * @returns {object} { vector, model }
+ */
+exports.embed = async (text) => embedder.embed(text);
+
+/**
+ * After a chat turn: embed the reply, extract facts from the user
+ * message and embed a batch of older messages that have no vector yet
+ */
+exports.processTurn = async (userMessage, assistantMessage) => {
+  const userId = userMessage.userId;
+
+  if (assistantMessage && !assistantMessage.embeddingModel) {
+    const { vector, model } = await embedder.embed(assistantMessage.message);
+    await CompanionConversation.updateOne({ _id: assistantMessage._id }, { embedding: vector, embeddingModel: model });
+  }
+
+  const facts = await exports.extractFacts(userId, userMessage.message);
+  const stored = await storeFacts(userId, facts, userMessage._id);
+
+  await exports.backfill(userId);
+
+  return { facts: stored };
+};
+
+/**
+ * Embed older messages that predate memory (or a model change)
+ */
+exports.backfill = async (userId, limit = BACKFILL_BATCH) => {
+  const activeModel = embedder.modelId(embedder.resolve());
+  const pending = await CompanionConversation.find({
+    userId,
+    role: { $in: ['user', 'assistant'] },
+    forgotten: { $ne: true },
+    embeddingModel: { $ne: activeModel }
+  }).sort({ createdAt: -1 }).limit(limit);
+
+  if (pending.length === 0) return 0;
+
+  const embeddings = await embedder.embedMany(pending.map(message => message.message));
+  await CompanionConversation.bulkWrite(pending.map((message, i) => ({
+    updateOne: {
+      filter: { _id: message._id },
+      update: { embedding: embeddings[i].vector, embeddingModel: embeddings[i].model }
+    }
+  })));
+
+  return pending.length;
+};
+
+// ========================================
+// RETRIEVAL
+// ========================================
+
+/**
+ * Score candidates per embedding model against the query
+ */
+const scoreCandidates = async (candidates, query, queryEmbedding) => {
+  const byModel = new Map();
+  candidates.forEach(candidate => {
+    if (!candidate.embedding?.length) return;
+    if (!byModel.has(candidate.embeddingModel)) byModel.set(candidate.embeddingModel, []);
+    byModel.get(candidate.embeddingModel).push(candidate);
+  });
+
+  const scored = [];
+  for (const [model, group] of byModel) {
+    let vector = queryEmbedding?.model === model ? queryEmbedding.vector : null;
+    if (!vector) {
+      if (!embedder.adapterFor(model)) continue;
+      vector = (await embedder.embed(query, { model })).vector;
+    }
+
+    const similarities = embedder.similarities(model, vector, group.map(candidate => candidate.embedding));
+    group.forEach((candidate, i) => {
+      const ageDays = (Date.now() - new Date(candidate.createdAt).getTime()) / DAY_MS;
+      const relevant = similarities[i] >= minSimilarity(model);
+      if (!relevant && !candidate.pinned) return;
+
+      scored.push({
+        candidate,
+        similarity: similarities[i],
+        score: similarities[i] + (candidate.pinned ? PIN_BOOST : 0) + 0.05 * Math.exp(-ageDays / 90)
+      });
+    });
+  }
+
+  return scored.sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Top-k past exchanges and facts relevant to a message
+ * @param {object} [options] - { k, excludeIds, queryEmbedding }
+ * @returns {object} { facts: [], exchanges: [] }
+ */
+exports.retrieve = async (userId, message, { k = TOP_K, excludeIds = [], queryEmbedding } = {}) => {
+  const [messages, facts] = await Promise.all([
+    CompanionConversation.find({
+      userId,
+      role: 'user',
+      forgotten: { $ne: true },
+      embeddingModel: { $exists: true },
+      _id: { $nin: excludeIds }
+    }).select('+embedding').sort({ createdAt: -1 }).limit(EXCHANGE_CANDIDATES),
+    CompanionMemory.find({ userId }).select('+embedding').sort({ pinned: -1, updatedAt: -1 }).limit(FACT_CANDIDATES)
+  ]);
+
+  const [scoredMessages, scoredFacts] = await Promise.all([
+    scoreCandidates(messages, message, queryEmbedding),
+    scoreCandidates(facts, message, queryEmbedding)
+  ]);
+
+  // Pinned facts are always recalled
+  const pinnedFacts = facts.filter(fact => fact.pinned).slice(0, MAX_PINNED_FACTS);
+  const recalledFacts = [
+    ...pinnedFacts.map(fact => ({ candidate: fact, similarity: null })),
+    ...scoredFacts.filter(s => !s.candidate.pinned).slice(0, k)
+  ];
+
+  // Pair each recalled user message with the reply that followed it
+  const exchanges = await Promise.all(scoredMessages.slice(0, k).map(async ({ candidate, similarity }) => {
+    const reply = await CompanionConversation.findOne({
+      userId,
+      role: 'assistant',
+      createdAt: { $gte: candidate.createdAt }
+    }).sort({ createdAt: 1 });
+
+    return {
+      id: candidate._id,
+      date: candidate.createdAt,
+      userMessage: candidate.message,
+      assistantMessage: reply && !reply.forgotten ? reply.message : null,
+      pinned: candidate.pinned,
+      similarity: similarity !== null ? Math.round(similarity * 1000) / 1000 : null
+    };
+  }));
+
+  if (recalledFacts.length > 0) {
+    await CompanionMemory.updateMany(
+      { _id: { $in: recalledFacts.map(f => f.candidate._id) } },
+      { $inc: { recallCount: 1 }, $set: { lastRecalledAt: new Date() } },
+      { timestamps: false }
+    );
+  }
+
+  return {
+    facts: recalledFacts.map(({ candidate, similarity }) => ({
+      id: candidate._id,
+      text: candidate.text,
+      category: candidate.category,
+      pinned: candidate.pinned,
+      similarity: similarity !== null ? Math.round(similarity * 1000) / 1000 : null
+    })),
+    exchanges
+  };
+};
+
+const truncate = (text, length) => text.length > length ? `${text.slice(0, length - 1)}…` : text;
+
+/**
+ * Memory block for the companion system prompt
+ */
+exports.formatForPrompt = (memories) => {
+  if (!memories || (memories.facts.length === 0 && memories.exchanges.length === 0)) return '';
+
+  const lines = [];
+  if (memories.facts.length > 0) {
+    lines.push('What you know about the user:');
+    memories.facts.forEach(fact => lines.push(`- ${fact.text}`));
+  }
+  if (memories.exchanges.length > 0) {
+    if (lines.length) lines.push('');
+    lines.push('Relevant earlier conversations:');
+    memories.exchanges.forEach(exchange => {
+      const date = new Date(exchange.date).toISOString().split('T')[0];
+      lines.push(`- [${date}] User: ${truncate(exchange.userMessage, 300)}`);
+      if (exchange.assistantMessage) lines.push(`  You replied: ${truncate(exchange.assistantMessage, 300)}`);
+    });
+  }
+
+  return lines.join('\n');
+};
+
+// ========================================
+// MANAGEMENT
+// ========================================
+
+/**
+ * Stored facts and remembered exchanges
+ * @param {object} [options] - { type: 'facts'|'exchanges'|'all', pinned, limit }
+ */
+exports.listMemories = async (userId, { type = 'all', pinned, limit = 50 } = {}) => {
+  const result = {};
+  const pinFilter = pinned !== undefined ? { pinned } : {};
+
+  if (type === 'all' || type === 'facts') {
+    result.facts = await CompanionMemory.find({ userId, ...pinFilter })
+      .sort({ pinned: -1, updatedAt: -1 })
+      .limit(limit);
+  }
+
+  if (type === 'all' || type === 'exchanges') {
+    result.exchanges = await CompanionConversation.find({
+      userId,
+      role: 'user',
+      forgotten: { $ne: true },
+      embeddingModel: { $exists: true },
+      ...pinFilter
+    })
+      .select('message pinned embeddingModel createdAt')
+      .sort({ pinned: -1, createdAt: -1 })
+      .limit(limit);
+  }
+
+  return result;
+};
+
+const findMemory = async (userId, memoryId) => {
+  if (!mongoose.Types.ObjectId.isValid(memoryId)) throw new ErrorResponse('Memory not found', 404);
+
+  const fact = await CompanionMemory.findOne({ _id: memoryId, userId });
+  if (fact) return { kind: 'fact', doc: fact };
+
+  const message = await CompanionConversation.findOne({ _id: memoryId, userId, forgotten: { $ne: true } });
+  if (message) return { kind: 'exchange', doc: message };
+
+  throw new ErrorResponse('Memory not found', 404);
+};
+
+/**
+ * Pin (always recall) or unpin a fact or exchange
+ */
+exports.pinMemory = async (userId, memoryId, pinned = true) => {
+  const { kind, doc } = await findMemory(userId, memoryId);
+  doc.pinned = !!pinned;
+  await doc.save();
+  return { kind, id: doc._id, pinned: doc.pinned };
+};
+
+/**
+ * Forget a fact (deleted) or an exchange (vector removed and never
+ * recalled again; the message stays in chat history)
+ */
+exports.forgetMemory = async (userId, memoryId) => {
+  const { kind, doc } = await findMemory(userId, memoryId);
+
+  if (kind === 'fact') {
+    await CompanionMemory.deleteOne({ _id: doc._id });
+  } else {
+    await CompanionConversation.updateOne(
+      { _id: doc._id },
+      { $set: { forgotten: true, pinned: false }, $unset: { embedding: 1, embeddingModel: 1 } }
+    );
+    // Facts learned from that message go too
+    await CompanionMemory.deleteMany({ userId, sourceMessageId: doc._id });
+  }
+
+  return { kind, id: doc._id, forgotten: true };
+};
+
+/**
+ * Forget everything (or only facts/exchanges); pinned memories are kept
+ * unless includePinned is set
+ */
+exports.forgetAll = async (userId, { type = 'all', includePinned = false } = {}) => {
+  const pinFilter = includePinned ? {} : { pinned: { $ne: true } };
+  const result = { facts: 0, exchanges: 0 };
+
+  if (type === 'all' || type === 'facts') {
+    result.facts = (await CompanionMemory.deleteMany({ userId, ...pinFilter })).deletedCount;
+  }
+
+  if (type === 'all' || type === 'exchanges') {
+    result.exchanges = (await CompanionConversation.updateMany(
+      { userId, forgotten: { $ne: true }, ...pinFilter },
+      { $set: { forgotten: true, pinned: false }, $unset: { embedding: 1, embeddingModel: 1 } }
+    )).modifiedCount;
+  }
+
+  return result;
+};
+
+/**
+ * Forget the facts learned from messages that are being deleted
+ * @returns {number} facts removed
+ */
+exports.forgetSources = async (userId, messageIds) => {
+  if (messageIds.length === 0) return 0;
+  return (await CompanionMemory.deleteMany({ userId, sourceMessageId: { $in: messageIds } })).deletedCount;
+};
+
+module.exports = exports;
@@ -0,0 +1,301 @@
+// ML Algorithms - Pure JS models used by mlTrainingOrchestrator
+// Ridge regression (closed form) and gradient-boosted regression trees,
+// plus preprocessing and evaluation metrics. No native dependencies.
+
+// Yield to the event loop between expensive steps (single-process server)
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Deterministic PRNG (mulberry32) so training runs are reproducible
+ */
+const createRng = (seed = 42) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// ========================================
+// PREPROCESSING
+// ========================================
+
+/**
+ * Column means/standard deviations, ignoring missing values
+ */
+exports.fitScaler = (X) => {
+  const width = X[0]?.length || 0;
+  const means = new Array(width).fill(0);
+  const stds = new Array(width).fill(1);
+
+  for (let j = 0; j < width; j++) {
+    const values = X.map(row => row[j]).filter(v => v !== null && v !== undefined && !isNaN(v));
+    if (values.length === 0) continue;
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const variance = values.reduce((a, b) => a + (b - mean) ** 2, 0) / values.length;
+    means[j] = mean;
+    stds[j] = Math.sqrt(variance) || 1;
+  }
+
+  return { means, stds };
+};
+
+/**
+ * Impute missing values with the column mean and standardise
+ */
+exports.transform = (X, scaler) => X.map(row => row.map((value, j) => {
+  const v = value === null || value === undefined || isNaN(value) ? scaler.means[j] : value;
+  return (v - scaler.means[j]) / scaler.stds[j];
+}));
+
+/**
+ * Chronological split - the most recent rows are held out for evaluation
+ */
+exports.timeSeriesSplit = (rows, testFraction = 0.2) => {
+  const testSize = Math.max(1, Math.round(rows.length * testFraction));
+  return {
+    train: rows.slice(0, rows.length - testSize),
+    test: rows.slice(rows.length - testSize)
+  };
+};
+
+// ========================================
+// RIDGE REGRESSION
+// ========================================
+
+/**
+ * Solve A x = b with Gaussian elimination (partial pivoting)
+ */
+const solve = (A, b) => {
+  const n = A.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    }
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    if (Math.abs(M[col][col]) < 1e-12) continue;
+
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const factor = M[r][col] / M[col][col];
+      for (let c = col; c <= n; c++) M[r][c] -= factor * M[col][c];
+    }
+  }
+
+  return M.map((row, i) => (Math.abs(row[i]) < 1e-12 ? 0 : row[n] / row[i]));
+};
+
+/**
+ * Fit ridge regression on standardised features
+ * @param {number[][]} X - standardised features
+ * @param {number[]} y - targets
+ * @param {object} options - { lambda, weights }
+ * @returns {object} { coefficients, intercept, lambda }
+ */
+exports.fitRidge = (X, y, { lambda = 1, weights } = {}) => {
+  const n = X.length;
+  const p = X[0].length;
+  const w = weights || new Array(n).fill(1);
+  const totalWeight = w.reduce((a, b) => a + b, 0);
+  const yMean = y.reduce((sum, v, i) => sum + v * w[i], 0) / totalWeight;
+
+  const XtX = Array.from({ length: p }, () => new Array(p).fill(0));
+  const Xty = new Array(p).fill(0);
+
+  for (let i = 0; i < n; i++) {
+    const yc = y[i] - yMean;
+    for (let a = 0; a < p; a++) {
+      Xty[a] += w[i] * X[i][a] * yc;
+      for (let b = a; b < p; b++) XtX[a][b] += w[i] * X[i][a] * X[i][b];
+    }
+  }
+  for (let a = 0; a < p; a++) {
+    for (let b = 0; b < a; b++) XtX[a][b] = XtX[b][a];
+    XtX[a][a] += lambda;
+  }
+
+  return { coefficients: solve(XtX, Xty), intercept: yMean, lambda };
+};
+
+exports.predictRidge = (model, x) => {
+  return x.reduce((sum, v, j) => sum + v * model.coefficients[j], model.intercept);
+};
+
+// ========================================
+// GRADIENT-BOOSTED TREES
+// ========================================
+
+/**
+ * Best split for one node by squared-error reduction
+ */
+const findBestSplit = (X, residuals, indices, minSamplesLeaf) => {
+  const total = indices.reduce((sum, i) => sum + residuals[i], 0);
+  const count = indices.length;
+  let best = null;
+
+  for (let j = 0; j < X[0].length; j++) {
+    const sorted = [...indices].sort((a, b) => X[a][j] - X[b][j]);
+    let leftSum = 0;
+
+    for (let k = 0; k < count - 1; k++) {
+      leftSum += residuals[sorted[k]];
+      const leftCount = k + 1;
+      const rightCount = count - leftCount;
+      if (leftCount < minSamplesLeaf || rightCount < minSamplesLeaf) continue;
+
+      const current = X[sorted[k]][j];
+      const next = X[sorted[k + 1]][j];
+      if (current === next) continue;
+
+      const rightSum = total - leftSum;
+      const gain = (leftSum * leftSum) / leftCount + (rightSum * rightSum) / rightCount - (total * total) / count;
+
+      if (!best || gain > best.gain) {
+        best = { feature: j, threshold: (current + next) / 2, gain };
+      }
+    }
+  }
+
+  return best && best.gain > 1e-9 ? best : null;
+};
+
+const buildTree = (X, residuals, indices, depth, options) => {
+  const value = indices.reduce((sum, i) => sum + residuals[i], 0) / indices.length;
+  if (depth >= options.maxDepth || indices.length < options.minSamplesLeaf * 2) {
+    return { value };
+  }
+
+  const split = findBestSplit(X, residuals, indices, options.minSamplesLeaf);
+  if (!split) return { value };
+
+  const left = indices.filter(i => X[i][split.feature] <= split.threshold);
+  const right = indices.filter(i => X[i][split.feature] > split.threshold);
+
+  return {
+    feature: split.feature,
+    threshold: split.threshold,
+    left: buildTree(X, residuals, left, depth + 1, options),
+    right: buildTree(X, residuals, right, depth + 1, options)
+  };
+};
+
+const predictTree = (node, x) => {
+  while (node.value === undefined) {
+    node = x[node.feature] <= node.threshold ? node.left : node.right;
+  }
+  return node.value;
+};
+
+/**
+ * Fit gradient-boosted regression trees (squared loss)
+ * @param {object} options - { nEstimators, learningRate, maxDepth, minSamplesLeaf, subsample, seed, onProgress }
+ * @returns {object} { baseScore, learningRate, trees }
+ */
+exports.fitGBT = async (X, y, options = {}) => {
+  const {
+    nEstimators = 100,
+    learningRate = 0.1,
+    maxDepth = 3,
+    minSamplesLeaf = 3,
+    subsample = 0.8,
+    seed = 42,
+    onProgress
+  } = options;
+
+  const rng = createRng(seed);
+  const baseScore = y.reduce((a, b) => a + b, 0) / y.length;
+  const predictions = new Array(y.length).fill(baseScore);
+  const trees = [];
+
+  for (let t = 0; t < nEstimators; t++) {
+    const residuals = y.map((v, i) => v - predictions[i]);
+    const sample = y.map((_, i) => i).filter(() => rng() < subsample);
+    const indices = sample.length >= minSamplesLeaf * 2 ? sample : y.map((_, i) => i);
+
+    const tree = buildTree(X, residuals, indices, 0, { maxDepth, minSamplesLeaf });
+    trees.push(tree);
+
+    for (let i = 0; i < y.length; i++) {
+      predictions[i] += learningRate * predictTree(tree, X[i]);
+    }
+
+    if (onProgress) await onProgress((t + 1) / nEstimators);
+    await tick();
+  }
+
+  return { baseScore, learningRate, trees };
+};
+
+exports.predictGBT = (model, x) => {
+  return model.trees.reduce((sum, tree) => sum + model.learningRate * predictTree(tree, x), model.baseScore);
+};
+
+// ========================================
+// METRICS
+// ========================================
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Regression metrics
+ */
+exports.regressionMetrics = (actual, predicted) => {
+  const n = actual.length;
+  const mean = actual.reduce((a, b) => a + b, 0) / n;
+  let sse = 0;
+  let sae = 0;
+  let sst = 0;
+
+  for (let i = 0; i < n; i++) {
+    sse += (actual[i] - predicted[i]) ** 2;
+    sae += Math.abs(actual[i] - predicted[i]);
+    sst += (actual[i] - mean) ** 2;
+  }
+
+  return {
+    rmse: round(Math.sqrt(sse / n)),
+    mae: round(sae / n),
+    r2: sst > 0 ? round(1 - sse / sst) : 0
+  };
+};
+
+/**
+ * Binary classification metrics on probability scores
+ */
+exports.classificationMetrics = (actual, scores) => {
+  const n = actual.length;
+  const clipped = scores.map(s => Math.min(1, Math.max(0, s)));
+  const correct = clipped.filter((s, i) => (s >= 0.5 ? 1 : 0) === actual[i]).length;
+  const brier = clipped.reduce((sum, s, i) => sum + (s - actual[i]) ** 2, 0) / n;
+
+  // AUC via rank statistic
+  const positives = actual.filter(a => a === 1).length;
+  const negatives = n - positives;
+  let auc = null;
+  if (positives > 0 && negatives > 0) {
+    const ranked = clipped.map((s, i) => ({ s, a: actual[i] })).sort((a, b) => a.s - b.s);
+    let rankSum = 0;
+    ranked.forEach((item, index) => {
+      if (item.a === 1) rankSum += index + 1;
+    });
+    auc = round((rankSum - (positives * (positives + 1)) / 2) / (positives * negatives));
+  }
+
+  return {
+    accuracy: round(correct / n),
+    brier: round(brier),
+    auc,
+    positiveRate: round(positives / n)
+  };
+};
+
+exports.createRng = createRng;
+exports.tick = tick;
+
+module.exports = exports;
@@ -1,63 +1,718 @@
-// ML Training Orchestrator - TensorFlow.js Ready
+// ML Training Orchestrator - Per-user model training pipeline
+// Queues training jobs, builds daily feature rows from WearableData,
+// Workout, Intervention, EnergyPattern and InjuryLog, trains ridge
+// regression or gradient-boosted trees (mlAlgorithms), evaluates on the
+// most recent days and stores versioned weights + metrics in MLModel.
+// Recorded prediction/intervention outcomes feed back into retraining.
 const MLModel = require('../../models/phoenix/MLModel');
 const BehaviorPattern = require('../../models/phoenix/BehaviorPattern');
+const Prediction = require('../../models/phoenix/Prediction');
+const Intervention = require('../../models/phoenix/Intervention');
+const WearableData = require('../../models/mercury/WearableData');
+const Workout = require('../../models/venus/Workout');
+const InjuryLog = require('../../models/venus/InjuryLog');
+const EnergyPattern = require('../../models/earth/EnergyPattern');
+const ErrorResponse = require('../../utils/errorResponse');
+const ml = require('./mlAlgorithms');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_TRAINING_ROWS = 21;
+const RETRAIN_FEEDBACK_THRESHOLD = 10;
+const FEEDBACK_SAMPLE_WEIGHT = 2;
+const PROMOTION_TOLERANCE = 1.05;
+
+const FEATURES = [
+  'hrv', 'restingHeartRate', 'sleepHours', 'deepSleep', 'sleepScore', 'recoveryScore',
+  'strain', 'steps', 'activeMinutes', 'trainingLoad',
+  'hrvDelta7d', 'rhrDelta7d', 'sleepDebt7d',
+  'workoutMinutes', 'workouts7d', 'avgPain7d', 'daysSinceRest',
+  'interventions3d', 'interventionSuccessRate14d'
+];
+
+// Per model type: what is predicted and the default algorithm
+const MODEL_DEFINITIONS = {
+  recovery: { task: 'regression', algorithm: 'ridge', target: 'Next-day recovery score' },
+  energy: { task: 'regression', algorithm: 'ridge', target: 'Next-day average energy' },
+  performance: { task: 'regression', algorithm: 'gbt', target: 'Next-day workout mood (1-5)' },
+  illness: { task: 'classification', algorithm: 'gbt', target: 'Illness signal within 3 days' },
+  injury: { task: 'classification', algorithm: 'gbt', target: 'Injury or high pain within 7 days' }
+};
+
+// Prediction types whose recorded outcomes become training labels
+// (illness/injury actual values record whether it happened: 0 or 1)
+const PREDICTION_MODEL_TYPES = {
+  illness_risk: 'illness',
+  injury_risk: 'injury',
+  energy_level: 'energy'
+};
+
+// In-process job queue (one job at a time)
+const queue = [];
+let processing = false;
+
+const dayKey = (date) => new Date(date).toISOString().split('T')[0];
+const mean = (values) => {
+  const valid = values.filter(v => v !== null && v !== undefined && !isNaN(v));
+  return valid.length ? valid.reduce((a, b) => a + b, 0) / valid.length : null;
+};
+
+/**
+ * Validate and fill training config
+ */
+const resolveConfig = (modelType, config = {}) => {
+  const definition = MODEL_DEFINITIONS[modelType];
+  const algorithm = config.algorithm || definition.algorithm;
+
+  if (!MLModel.ALGORITHMS.includes(algorithm)) {
+    throw new ErrorResponse(`Algorithm must be one of: ${MLModel.ALGORITHMS.join(', ')}`, 400);
+  }
+
+  const clamp = (value, min, max, fallback) => {
+    const number = Number(value);
+    return isNaN(number) || value === undefined ? fallback : Math.min(max, Math.max(min, number));
+  };
+
+  return {
+    algorithm,
+    days: clamp(config.days, 30, 730, 180),
+    lambda: config.lambda !== undefined ? clamp(config.lambda, 0, 1000, 1) : undefined,
+    nEstimators: Math.round(clamp(config.nEstimators, 10, 300, 80)),
+    learningRate: clamp(config.learningRate, 0.01, 1, 0.1),
+    maxDepth: Math.round(clamp(config.maxDepth, 1, 5, 3)),
+    minSamplesLeaf: Math.round(clamp(config.minSamplesLeaf, 1, 20, 3)),
+    testFraction: clamp(config.testFraction, 0.1, 0.4, 0.2)
+  };
+};
+
+// ========================================
+// JOB QUEUE
+// ========================================
+
+exports.startTraining = async (userId, modelType, config = {}, trigger = 'manual') => {
+  if (!MODEL_DEFINITIONS[modelType]) {
+    throw new ErrorResponse(`Model type must be one of: ${Object.keys(MODEL_DEFINITIONS).join(', ')}`, 400);
+  }
+
+  // One pending job per user/model type
+  const pending = await MLModel.findOne({ userId, modelType, status: { $in: ['queued', 'training'] } });
+  if (pending) {
+    return {
+      jobId: pending._id,
+      modelType,
+      status: pending.status,
+      version: pending.version,
+      startedAt: pending.startedAt,
+      alreadyQueued: true,
+      message: 'A training job for this model is already in progress.'
+    };
+  }
+
+  const resolvedConfig = resolveConfig(modelType, config);
+  const latest = await MLModel.findOne({ userId, modelType }).sort({ versionNumber: -1 }).select('versionNumber');
+  const versionNumber = (latest?.versionNumber || 0) + 1;
 
-exports.startTraining = async (userId, modelType, config) => {
   const trainingJob = await MLModel.create({
     userId,
+    name: `${modelType}_model`,
+    version: `v${versionNumber}`,
+    versionNumber,
     modelType,
-    config,
+    algorithm: resolvedConfig.algorithm,
+    task: MODEL_DEFINITIONS[modelType].task,
+    config: resolvedConfig,
+    trigger,
     status: 'queued',
+    stage: 'queued',
+    progress: 0,
     startedAt: new Date()
   });
 
-  // In production, this would trigger actual ML training
-  setTimeout(async () => {
-    trainingJob.status = 'training';
-    trainingJob.progress = 50;
-    await trainingJob.save();
-  }, 1000);
+  enqueue(trainingJob._id);
 
   return {
     jobId: trainingJob._id,
     modelType,
+    algorithm: resolvedConfig.algorithm,
+    version: trainingJob.version,
     status: 'queued',
+    position: queue.length,
     startedAt: trainingJob.startedAt,
-    message: 'Training job queued. TensorFlow.js integration required for production.'
+    message: 'Training job queued.'
   };
 };
 
-exports.getUserModels = async (userId) => {
-  return await MLModel.find({ userId }).sort({ createdAt: -1 });
+const enqueue = (jobId) => {
+  queue.push(String(jobId));
+  setImmediate(processQueue);
+};
+
+const processQueue = async () => {
+  if (processing) return;
+  processing = true;
+
+  while (queue.length > 0) {
+    const jobId = queue.shift();
+    try {
+      await runTrainingJob(jobId);
+    } catch (error) {
+      console.error(`ML training job ${jobId} failed:`, error.message);
+    }
+  }
+
+  processing = false;
+};
+
+/**
+ * Re-queue jobs interrupted by a restart (call once the DB is connected)
+ */
+exports.recoverJobs = async () => {
+  await MLModel.updateMany(
+    { status: 'training' },
+    { status: 'queued', stage: 'requeued after restart', progress: 0 }
+  );
+
+  const jobs = await MLModel.find({ status: 'queued' }).sort({ createdAt: 1 }).select('_id');
+  jobs.forEach(job => enqueue(job._id));
+
+  if (jobs.length > 0) {
+    console.log(`🧠 Re-queued ${jobs.length} ML training job(s)`);
+  }
+  return jobs.length;
+};
+
+/**
+ * Persist progress (throttled to meaningful changes)
+ */
+const reportProgress = async (job, progress, stage) => {
+  const rounded = Math.round(progress);
+  if (stage === job.stage && rounded - (job.progress || 0) < 5 && rounded < 100) return;
+
+  job.progress = rounded;
+  job.stage = stage;
+  await MLModel.updateOne({ _id: job._id }, { progress: rounded, stage });
 };
 
-exports.getTrainingStatus = async (jobId) => {
+// ========================================
+// DATASET
+// ========================================
+
+/**
+ * Load raw sources and build one feature row per day with wearable data
+ * @returns {object} { days: [{ date, key, features, raw }], sources }
+ */
+const buildDailyFeatures = async (userId, from, to = new Date()) => {
+  // Extra lookback so rolling features are populated from day one
+  const lookback = new Date(from.getTime() - 14 * DAY_MS);
+  // Labels look up to 7 days ahead
+  const horizon = new Date(to.getTime() + 7 * DAY_MS);
+
+  const [wearables, workouts, interventions, energy, injuries] = await Promise.all([
+    WearableData.find({ userId, date: { $gte: lookback, $lte: horizon } }).sort({ date: 1 }).lean(),
+    Workout.find({ clientId: userId, completed: true, completedAt: { $gte: lookback, $lte: horizon } }).lean(),
+    Intervention.find({ userId, timestamp: { $gte: lookback, $lte: horizon } }).lean(),
+    EnergyPattern.find({ userId, date: { $gte: lookback, $lte: horizon } }).lean(),
+    InjuryLog.find({ userId, dateOccurred: { $gte: lookback, $lte: horizon } }).lean()
+  ]);
+
+  // Wearables: prefer fused records, otherwise average providers
+  const wearableByDay = {};
+  wearables.forEach(w => {
+    const key = dayKey(w.date);
+    if (!wearableByDay[key]) wearableByDay[key] = [];
+    wearableByDay[key].push(w);
+  });
+
+  const daily = {};
+  Object.entries(wearableByDay).forEach(([key, records]) => {
+    const fused = records.find(r => r.provider === 'fused');
+    const pick = (field) => (fused ? fused[field] : mean(records.map(r => r[field])));
+    daily[key] = {
+      hrv: pick('hrv'),
+      restingHeartRate: pick('restingHeartRate'),
+      sleepHours: pick('sleepDuration') !== null && pick('sleepDuration') !== undefined ? pick('sleepDuration') / 60 : null,
+      deepSleep: pick('deepSleep'),
+      sleepScore: pick('sleepScore'),
+      recoveryScore: pick('recoveryScore'),
+      strain: pick('strain'),
+      steps: pick('steps') !== null && pick('steps') !== undefined ? pick('steps') / 1000 : null,
+      activeMinutes: pick('activeMinutes'),
+      trainingLoad: pick('trainingLoad')
+    };
+  });
+
+  const workoutsByDay = {};
+  workouts.forEach(w => {
+    const key = dayKey(w.completedAt);
+    if (!workoutsByDay[key]) workoutsByDay[key] = [];
+    workoutsByDay[key].push(w);
+  });
+
+  const interventionsByDay = {};
+  interventions.forEach(i => {
+    const key = dayKey(i.timestamp);
+    if (!interventionsByDay[key]) interventionsByDay[key] = [];
+    interventionsByDay[key].push(i);
+  });
+
+  const energyByDay = {};
+  energy.forEach(e => {
+    if (e.avgDailyEnergy !== undefined) energyByDay[dayKey(e.date)] = e.avgDailyEnergy;
+  });
+
+  const injuryDays = new Set(injuries.map(i => dayKey(i.dateOccurred)));
+
+  const keysInRange = (key, offsetStart, offsetEnd) => {
+    const base = new Date(`${key}T00:00:00.000Z`).getTime();
+    const keys = [];
+    for (let offset = offsetStart; offset <= offsetEnd; offset++) {
+      keys.push(dayKey(base + offset * DAY_MS));
+    }
+    return keys;
+  };
+
+  const fromKey = dayKey(from);
+  const toKey = dayKey(to);
+  const days = Object.keys(daily)
+    .filter(key => key >= fromKey && key <= toKey)
+    .sort()
+    .map(key => {
+      const today = daily[key];
+      const previous7 = keysInRange(key, -7, -1).map(k => daily[k]).filter(Boolean);
+      const workouts7 = keysInRange(key, -6, 0).flatMap(k => workoutsByDay[k] || []);
+      const interventions3 = keysInRange(key, -2, 0).flatMap(k => interventionsByDay[k] || []);
+      const interventions14 = keysInRange(key, -13, 0).flatMap(k => interventionsByDay[k] || []);
+
+      const hrvBaseline = mean(previous7.map(d => d.hrv));
+      const rhrBaseline = mean(previous7.map(d => d.restingHeartRate));
+      const sleepBaseline = mean(previous7.map(d => d.sleepHours));
+
+      let daysSinceRest = 0;
+      for (let offset = 0; offset < 14; offset++) {
+        if (!workoutsByDay[keysInRange(key, -offset, -offset)[0]]) break;
+        daysSinceRest++;
+      }
+
+      const resolved = interventions14.filter(i => i.outcome === 'successful' || i.outcome === 'failed');
+
+      const features = {
+        ...today,
+        hrvDelta7d: today.hrv !== null && hrvBaseline !== null ? today.hrv - hrvBaseline : null,
+        rhrDelta7d: today.restingHeartRate !== null && rhrBaseline !== null ? today.restingHeartRate - rhrBaseline : null,
+        sleepDebt7d: sleepBaseline !== null ? Math.max(0, 8 - sleepBaseline) * 7 : null,
+        workoutMinutes: (workoutsByDay[key] || []).reduce((sum, w) => sum + (w.duration || 0), 0),
+        workouts7d: workouts7.length,
+        avgPain7d: mean(workouts7.map(w => w.averagePainLevel)) || 0,
+        daysSinceRest,
+        interventions3d: interventions3.length,
+        interventionSuccessRate14d: resolved.length
+          ? resolved.filter(i => i.outcome === 'successful').length / resolved.length
+          : null
+      };
+
+      return {
+        key,
+        date: new Date(`${key}T00:00:00.000Z`),
+        features,
+        vector: FEATURES.map(name => (features[name] === undefined ? null : features[name])),
+        hrvBaseline,
+        rhrBaseline
+      };
+    });
+
+  // Label helpers need lookups across days
+  const context = { daily, workoutsByDay, interventionsByDay, energyByDay, injuryDays, keysInRange };
+
+  return {
+    days,
+    context,
+    sources: {
+      wearableDays: Object.keys(daily).length,
+      workouts: workouts.length,
+      interventions: interventions.length,
+      energyDays: Object.keys(energyByDay).length,
+      injuries: injuries.length
+    }
+  };
+};
+
+/**
+ * Label for a day, or null when the outcome isn't known yet
+ */
+const labelFor = (modelType, day, context) => {
+  const { daily, workoutsByDay, interventionsByDay, energyByDay, injuryDays, keysInRange } = context;
+  const [nextKey] = keysInRange(day.key, 1, 1);
+
+  switch (modelType) {
+    case 'recovery': {
+      const value = daily[nextKey]?.recoveryScore;
+      return value === null || value === undefined ? null : value;
+    }
+    case 'energy': {
+      const value = energyByDay[nextKey];
+      return value === undefined ? null : value;
+    }
+    case 'performance': {
+      return mean((workoutsByDay[nextKey] || []).map(w => w.moodFeedback));
+    }
+    case 'illness': {
+      const ahead = keysInRange(day.key, 1, 3);
+      if (!ahead.some(k => daily[k])) return null;
+      const physiological = ahead.some(k => {
+        const d = daily[k];
+        return d && day.rhrBaseline !== null && day.hrvBaseline !== null &&
+          d.restingHeartRate >= day.rhrBaseline + 5 && d.hrv <= day.hrvBaseline * 0.85;
+      });
+      const confirmed = ahead.some(k => (interventionsByDay[k] || []).some(i =>
+        i.type === 'illness_predicted' && i.outcome === 'successful'
+      ));
+      return physiological || confirmed ? 1 : 0;
+    }
+    case 'injury': {
+      const ahead = keysInRange(day.key, 1, 7);
+      const injured = ahead.some(k => injuryDays.has(k));
+      const pain = ahead.some(k => (workoutsByDay[k] || []).some(w => (w.averagePainLevel || 0) >= 6));
+      return injured || pain ? 1 : 0;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Labelled training rows, with recorded prediction outcomes overriding
+ * derived labels (and weighted higher)
+ */
+const buildTrainingSet = async (userId, modelType, days) => {
+  const from = new Date(Date.now() - days * DAY_MS);
+  const dataset = await buildDailyFeatures(userId, from);
+  const isClassification = MODEL_DEFINITIONS[modelType].task === 'classification';
+
+  const predictionTypes = Object.keys(PREDICTION_MODEL_TYPES).filter(t => PREDICTION_MODEL_TYPES[t] === modelType);
+  const feedback = predictionTypes.length
+    ? await Prediction.find({
+      userId,
+      predictionType: { $in: predictionTypes },
+      'actual.value': { $ne: null },
+      createdAt: { $gte: from }
+    }).lean()
+    : [];
+
+  const feedbackByDay = {};
+  feedback.forEach(p => {
+    const value = isClassification ? (p.actual.value >= 0.5 ? 1 : 0) : p.actual.value;
+    feedbackByDay[dayKey(p.createdAt)] = value;
+  });
+
+  const rows = [];
+  let predictionSamples = 0;
+
+  dataset.days.forEach(day => {
+    let label = labelFor(modelType, day, dataset.context);
+    let weight = 1;
+
+    if (feedbackByDay[day.key] !== undefined) {
+      label = feedbackByDay[day.key];
+      weight = FEEDBACK_SAMPLE_WEIGHT;
+      predictionSamples++;
+    }
+
+    if (label !== null && label !== undefined && !isNaN(label)) {
+      rows.push({ key: day.key, date: day.date, x: day.vector, y: label, weight });
+    }
+  });
+
+  return {
+    rows,
+    sources: dataset.sources,
+    predictionSamples,
+    interventionSamples: dataset.sources.interventions
+  };
+};
+
+// ========================================
+// TRAINING
+// ========================================
+
+const predictRow = (weights, x) => {
+  const value = weights.algorithm === 'ridge'
+    ? ml.predictRidge(weights.model, x)
+    : ml.predictGBT(weights.model, x);
+  return weights.task === 'classification' ? Math.min(1, Math.max(0, value)) : value;
+};
+
+/**
+ * Lower is better for regression (rmse); classification uses brier
+ */
+const primaryLoss = (task, metrics) => (task === 'classification' ? metrics.brier : metrics.rmse);
+
+const runTrainingJob = async (jobId) => {
   const job = await MLModel.findById(jobId);
+  if (!job || job.status !== 'queued') return;
+
+  const definition = MODEL_DEFINITIONS[job.modelType];
+  const config = job.config || resolveConfig(job.modelType);
+  job.status = 'training';
+  job.stage = 'loading';
+  job.progress = 0;
+  await job.save();
+
+  try {
+    // 1. Data
+    const { rows, sources, predictionSamples, interventionSamples } = await buildTrainingSet(job.userId, job.modelType, config.days);
+    await reportProgress(job, 20, 'features');
+
+    if (rows.length < MIN_TRAINING_ROWS) {
+      throw new Error(`Not enough data: need at least ${MIN_TRAINING_ROWS} labelled days, found ${rows.length}`);
+    }
+
+    const { train, test } = ml.timeSeriesSplit(rows, config.testFraction);
+    const scaler = ml.fitScaler(train.map(r => r.x));
+    const Xtrain = ml.transform(train.map(r => r.x), scaler);
+    const ytrain = train.map(r => r.y);
+    const wtrain = train.map(r => r.weight);
+    const Xtest = ml.transform(test.map(r => r.x), scaler);
+    const ytest = test.map(r => r.y);
+
+    // 2. Fit
+    let model;
+    if (config.algorithm === 'ridge') {
+      // Pick lambda on the tail of the training window unless fixed
+      const candidates = config.lambda !== undefined ? [config.lambda] : [0.1, 1, 10, 100];
+      let bestLambda = candidates[0];
+
+      if (candidates.length > 1 && train.length >= MIN_TRAINING_ROWS) {
+        const inner = ml.timeSeriesSplit(train.map((r, i) => i), 0.2);
+        let bestLoss = Infinity;
+
+        for (let c = 0; c < candidates.length; c++) {
+          const fitted = ml.fitRidge(inner.train.map(i => Xtrain[i]), inner.train.map(i => ytrain[i]), {
+            lambda: candidates[c],
+            weights: inner.train.map(i => wtrain[i])
+          });
+          const loss = ml.regressionMetrics(
+            inner.test.map(i => ytrain[i]),
+            inner.test.map(i => ml.predictRidge(fitted, Xtrain[i]))
+          ).rmse;
+          if (loss < bestLoss) {
+            bestLoss = loss;
+            bestLambda = candidates[c];
+          }
+          await reportProgress(job, 25 + (55 * (c + 1)) / candidates.length, 'training');
+          await ml.tick();
+        }
+      }
+
+      model = ml.fitRidge(Xtrain, ytrain, { lambda: bestLambda, weights: wtrain });
+    } else {
+      // Feedback rows count double via duplication
+      const Xweighted = [];
+      const yweighted = [];
+      Xtrain.forEach((x, i) => {
+        for (let k = 0; k < wtrain[i]; k++) {
+          Xweighted.push(x);
+          yweighted.push(ytrain[i]);
+        }
+      });
+
+      model = await ml.fitGBT(Xweighted, yweighted, {
+        nEstimators: config.nEstimators,
+        learningRate: config.learningRate,
+        maxDepth: config.maxDepth,
+        minSamplesLeaf: config.minSamplesLeaf,
+        onProgress: (fraction) => reportProgress(job, 25 + 60 * fraction, 'training')
+      });
+    }
+
+    // 3. Evaluate on the held-out recent days
+    await reportProgress(job, 90, 'evaluating');
+    const weights = { algorithm: config.algorithm, task: definition.task, scaler, model };
+    const predictions = Xtest.map(x => predictRow(weights, x));
+    const trainMean = ytrain.reduce((a, b) => a + b, 0) / ytrain.length;
+
+    const metrics = {
+      trainSize: train.length,
+      testSize: test.length,
+      ...ml.regressionMetrics(ytest, predictions),
+      baselineRmse: ml.regressionMetrics(ytest, ytest.map(() => trainMean)).rmse
+    };
+    if (definition.task === 'classification') {
+      Object.assign(metrics, ml.classificationMetrics(ytest, predictions));
+    }
+
+    // 4. Version & promote
+    const active = await MLModel.getActiveModel(job.userId, job.modelType);
+    let promoted = true;
+    let promotionReason = active ? `Outperformed ${active.version}` : 'First trained version';
+
+    if (active && active.metrics) {
+      const currentLoss = primaryLoss(definition.task, active.metrics);
+      const newLoss = primaryLoss(definition.task, metrics);
+      if (currentLoss !== undefined && newLoss > currentLoss * PROMOTION_TOLERANCE) {
+        promoted = false;
+        promotionReason = `Kept ${active.version}: held-out loss ${newLoss} vs ${currentLoss}`;
+      }
+    }
+
+    if (promoted) {
+      await MLModel.updateMany(
+        { userId: job.userId, modelType: job.modelType, status: 'active' },
+        { status: 'deprecated' }
+      );
+    }
+
+    job.status = promoted ? 'active' : 'deprecated';
+    job.promoted = promoted;
+    job.promotionReason = promotionReason;
+    job.features = FEATURES;
+    job.weights = weights;
+    job.metrics = metrics;
+    job.accuracy = definition.task === 'classification' ? metrics.accuracy : Math.max(0, metrics.r2);
+    job.dataRange = { from: rows[0].date, to: rows[rows.length - 1].date };
+    job.feedbackSamples = { predictions: predictionSamples, interventions: interventionSamples };
+    job.feedbackSinceTraining = 0;
+    job.progress = 100;
+    job.stage = 'completed';
+    job.completedAt = new Date();
+    job.trainedAt = job.completedAt;
+    job.markModified('weights');
+    await job.save();
+
+    console.log(`🧠 Trained ${job.modelType} ${job.version} for ${job.userId} (${rows.length} rows, ${sources.wearableDays} wearable days)`);
+  } catch (error) {
+    job.status = 'failed';
+    job.stage = 'failed';
+    job.error = error.message;
+    job.completedAt = new Date();
+    await job.save();
+    throw error;
+  }
+};
+
+// ========================================
+// MODELS & INFERENCE
+// ========================================
+
+exports.getUserModels = async (userId) => {
+  return await MLModel.find({ userId }).select('-weights').sort({ createdAt: -1 });
+};
+
+exports.getTrainingStatus = async (jobId, userId) => {
+  const query = { _id: jobId };
+  if (userId) query.userId = userId;
+  const job = await MLModel.findOne(query).select('-weights');
   
   if (!job) {
-    throw new Error('Training job not found');
+    throw new ErrorResponse('Training job not found', 404);
   }
 
   return {
     jobId: job._id,
     status: job.status,
+    stage: job.stage,
     progress: job.progress || 0,
+    position: job.status === 'queued' ? queue.indexOf(String(job._id)) + 1 || null : null,
     startedAt: job.startedAt,
     completedAt: job.completedAt,
-    modelType: job.modelType
+    modelType: job.modelType,
+    algorithm: job.algorithm,
+    version: job.version,
+    metrics: job.metrics,
+    promoted: job.promoted,
+    promotionReason: job.promotionReason,
+    error: job.error
+  };
+};
+
+/**
+ * Predict with the user's active model for the most recent day
+ * @returns {object|null} null when no trained model or no recent data
+ */
+exports.predict = async (userId, modelType) => {
+  const model = await MLModel.getActiveModel(userId, modelType);
+  if (!model || !model.weights) return null;
+
+  const { days } = await buildDailyFeatures(userId, new Date(Date.now() - 3 * DAY_MS));
+  const latest = days[days.length - 1];
+  if (!latest) return null;
+
+  const [x] = ml.transform([latest.vector], model.weights.scaler);
+  const value = predictRow(model.weights, x);
+
+  return {
+    value: model.task === 'classification' ? Math.round(value * 100) : Math.round(value * 10) / 10,
+    unit: model.task === 'classification' ? 'risk_percent' : MODEL_DEFINITIONS[modelType].target,
+    asOf: latest.date,
+    modelId: model._id,
+    version: model.version,
+    algorithm: model.algorithm,
+    metrics: model.metrics
   };
 };
 
-exports.recordPredictionFeedback = async (predictionId, accuracy) => {
-  // Store feedback for model retraining
-  return { success: true, predictionId, accuracy };
+// ========================================
+// FEEDBACK
+// ========================================
+
+/**
+ * Count an outcome against the active models and queue retraining
+ * once enough new outcomes have accumulated
+ */
+const registerFeedback = async (userId, modelTypes) => {
+  const retraining = [];
+
+  for (const modelType of modelTypes) {
+    const active = await MLModel.findOneAndUpdate(
+      { userId, modelType, status: 'active' },
+      { $inc: { feedbackSinceTraining: 1 } },
+      { new: true, sort: { versionNumber: -1 } }
+    );
+
+    if (active && active.feedbackSinceTraining >= RETRAIN_FEEDBACK_THRESHOLD) {
+      const job = await exports.startTraining(userId, modelType, active.config || {}, 'feedback');
+      if (!job.alreadyQueued) retraining.push(modelType);
+    }
+  }
+
+  return retraining;
+};
+
+exports.recordPredictionFeedback = async (predictionId, accuracy, actualValue) => {
+  const prediction = await Prediction.findById(predictionId);
+  if (!prediction) return { success: false, predictionId, error: 'Prediction not found' };
+
+  const value = actualValue !== undefined ? Number(actualValue) : prediction.actual?.value;
+  prediction.actual = {
+    value,
+    accuracy,
+    recordedAt: new Date(),
+    difference: value !== undefined && prediction.prediction?.value !== undefined
+      ? value - prediction.prediction.value
+      : undefined
+  };
+  await prediction.save();
+
+  const modelType = PREDICTION_MODEL_TYPES[prediction.predictionType];
+  const retraining = modelType ? await registerFeedback(prediction.userId, [modelType]) : [];
+
+  return { success: true, predictionId, accuracy, modelType: modelType || null, retraining };
 };
 
 exports.recordInterventionOutcome = async (interventionId, successful) => {
-  // Store outcome for model improvement
-  return { success: true, interventionId, successful };
+  const intervention = await Intervention.findById(interventionId);
+  if (!intervention) return { success: false, interventionId, error: 'Intervention not found' };
+
+  // Outcomes feed the interventionSuccessRate14d feature of every model
+  intervention.outcome = successful ? 'successful' : 'failed';
+  await intervention.save();
+
+  const retraining = await registerFeedback(intervention.userId, Object.keys(MODEL_DEFINITIONS));
+
+  return { success: true, interventionId, successful, retraining };
 };
 
+exports.MODEL_DEFINITIONS = MODEL_DEFINITIONS;
+exports.FEATURES = FEATURES;
+
 exports.analyzeBehaviorPatterns = async (patterns) => {
   if (patterns.length === 0) {
     return { trends: [], insights: [] };
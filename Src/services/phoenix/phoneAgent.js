@@ -237,8 +237,8 @@ GUIDELINES:
       });
 
       // Generate TwiML URL for the call
-      const twimlUrl = `${this.apiUrl}/api/phoenix/voice/twiml/${voiceSession._id}`;
-      const statusCallbackUrl = `${this.apiUrl}/api/phoenix/voice/status/${voiceSession._id}`;
+      const twimlUrl = `${this.apiUrl}/api/webhooks/twilio/voice/twiml/${voiceSession._id}`;
+      const statusCallbackUrl = `${this.apiUrl}/api/webhooks/twilio/voice/status/${voiceSession._id}`;
 
       // Initiate the call via Twilio
       const call = await this.client.calls.create({
@@ -246,7 +246,7 @@ GUIDELINES:
         to: phoneNumber,
         from: this.twilioPhoneNumber,
         record: recordCall ? 'record-from-answer' : 'do-not-record',
-        recordingStatusCallback: recordCall ? `${this.apiUrl}/api/phoenix/voice/recording/${voiceSession._id}` : undefined,
+        recordingStatusCallback: recordCall ? `${this.apiUrl}/api/webhooks/twilio/voice/recording/${voiceSession._id}` : undefined,
         statusCallback: statusCallbackUrl,
         statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
         timeout: 30, // Ring for 30 seconds before giving up
@@ -309,7 +309,7 @@ GUIDELINES:
     // Gather response with speech recognition
     const gather = response.gather({
       input: 'speech',
-      action: `${this.apiUrl}/api/phoenix/voice/gather/${sessionId}`,
+      action: `${this.apiUrl}/api/webhooks/twilio/voice/gather/${sessionId}`,
       timeout: 5,
       speechTimeout: 'auto',
       language: 'en-US'
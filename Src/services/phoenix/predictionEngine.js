@@ -10,6 +10,7 @@ const RecoveryScore = require('../../models/mercury/RecoveryScore');
 const Workout = require('../../models/venus/Workout');
 const Goal = require('../../models/mars/Goal');
 const BodyMeasurement = require('../../models/phoenix/BodyMeasurement');
+const mlTrainingOrchestrator = require('./mlTrainingOrchestrator');
 
 /**
  * Generate prediction using historical data and algorithms
@@ -20,7 +21,16 @@ exports.generatePrediction = async (userId, type, horizon, confidence) => {
     let predictionModel;
     let factors = [];
 
-    switch (type) {
+    // Prefer the user's trained model when one is active
+    const trained = mlTrainingOrchestrator.MODEL_DEFINITIONS[type]
+      ? await mlTrainingOrchestrator.predict(userId, type)
+      : null;
+
+    if (trained) {
+      predictedValue = trained.value;
+      predictionModel = `${trained.algorithm}_${trained.version}`;
+      factors = [{ name: `Trained ${type} model ${trained.version}`, currentValue: trained.value, source: 'wearable' }];
+    } else switch (type) {
       case 'recovery':
         const recoveryPred = await predictRecoveryScore(userId, horizon);
         predictedValue = recoveryPred.value;
@@ -173,7 +173,7 @@ class SMSAgent {
         body: message,
         to: phoneNumber,
         from: this.twilioPhoneNumber,
-        statusCallback: `${process.env.API_URL}/api/phoenix/sms/status/${action._id}`
+        statusCallback: `${process.env.API_URL}/api/webhooks/twilio/sms/status/${action._id}`
       };
 
       // Add media if provided
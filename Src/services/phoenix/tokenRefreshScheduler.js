@@ -0,0 +1,154 @@
+// ============================================
+// TOKEN REFRESH SCHEDULER - Renew provider tokens before expiry
+// ============================================
+// Every few minutes, finds TokenVault entries for Fitbit, Oura, Whoop,
+// Google and Outlook whose access token expires within the refresh
+// window and renews them with the stored refresh token. Failures back
+// off exponentially; after repeated failures the connection is marked
+// refresh_failed (and the wearable device disconnected) so the user
+// is asked to reconnect.
+//
+// Environment:
+//   TOKEN_REFRESH_WINDOW_MINUTES   refresh this long before expiry (default 15)
+// ============================================
+
+const cron = require('node-cron');
+const TokenVault = require('../../models/phoenix/TokenVault');
+const WearableDevice = require('../../models/mercury/WearableDevice');
+const tokenVault = require('./tokenVault');
+const deviceSync = require('../mercury/deviceSync');
+const calendarSync = require('../earth/calendarSync');
+
+const TICK_SCHEDULE = '*/5 * * * *';
+const REFRESH_WINDOW_MS = (parseInt(process.env.TOKEN_REFRESH_WINDOW_MINUTES) || 15) * 60 * 1000;
+const MAX_FAILURES = 5;
+const BATCH_SIZE = 50;
+
+// Provider -> function(refreshToken) returning a raw token response
+const REFRESHERS = {
+  fitbit: (refreshToken) => deviceSync.requestTokenRefresh('fitbit', refreshToken),
+  oura: (refreshToken) => deviceSync.requestTokenRefresh('oura', refreshToken),
+  whoop: (refreshToken) => deviceSync.requestTokenRefresh('whoop', refreshToken),
+  google: (refreshToken) => calendarSync.refreshAccessToken('google', refreshToken),
+  outlook: (refreshToken) => calendarSync.refreshAccessToken('outlook', refreshToken)
+};
+
+class TokenRefreshScheduler {
+  constructor() {
+    this.isRunning = false;
+    this.isTicking = false;
+    this.task = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start the scheduler
+   */
+  start() {
+    if (this.isRunning) {
+      console.warn('⚠️ Token refresh scheduler already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.task = cron.schedule(TICK_SCHEDULE, () => this.tick(), { noOverlap: true });
+
+    // Catch tokens that expired while the server was down
+    this.tick().catch(error => {
+      console.error('❌ Token refresh error:', error);
+    });
+
+    console.log('✅ Token refresh scheduler started');
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.task) this.task.stop();
+    this.task = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * One pass: refresh everything due within the window
+   */
+  async tick() {
+    if (this.isTicking) return null;
+    this.isTicking = true;
+
+    const summary = { refreshed: 0, failed: 0 };
+
+    try {
+      const due = await TokenVault.findDueForRefresh(Object.keys(REFRESHERS), REFRESH_WINDOW_MS, BATCH_SIZE);
+
+      for (const entry of due) {
+        const ok = await this.refreshEntry(entry);
+        summary[ok ? 'refreshed' : 'failed']++;
+      }
+
+      if (due.length > 0) {
+        console.log(`🔑 Token refresh: ${summary.refreshed} refreshed, ${summary.failed} failed`);
+      }
+    } finally {
+      this.isTicking = false;
+      this.lastRun = new Date();
+    }
+
+    return summary;
+  }
+
+  /**
+   * Refresh a single vault entry
+   * @returns {boolean} success
+   */
+  async refreshEntry(entry) {
+    try {
+      const { refreshToken } = tokenVault.readEntry(entry);
+      const raw = await REFRESHERS[entry.provider](refreshToken);
+
+      const updated = await tokenVault.saveTokens(entry.userId, entry.provider, raw, {
+        category: entry.category,
+        accountRef: entry.accountRef
+      });
+      await TokenVault.updateOne({ _id: updated._id }, { lastRefreshedAt: new Date() });
+
+      if (entry.category === 'wearable') {
+        await WearableDevice.updateOne(
+          { userId: entry.userId, provider: entry.provider },
+          { tokenExpiry: updated.expiresAt }
+        );
+      }
+
+      return true;
+    } catch (error) {
+      const message = error.response?.data?.error_description || error.response?.data?.error || error.message;
+      const failed = await tokenVault.recordRefreshFailure(entry, new Error(String(message)), MAX_FAILURES);
+
+      console.error(`Token refresh failed for ${entry.provider} (${entry.userId}): ${message}`);
+
+      if (failed.status === 'refresh_failed' && entry.category === 'wearable') {
+        await WearableDevice.updateOne(
+          { userId: entry.userId, provider: entry.provider },
+          { connected: false, disconnectedAt: new Date(), disconnectedReason: 'token_refresh_failed' }
+        );
+      }
+
+      return false;
+    }
+  }
+
+  /**
+   * Scheduler state for health checks
+   */
+  getStatus() {
+    return {
+      running: this.isRunning,
+      lastRun: this.lastRun,
+      providers: Object.keys(REFRESHERS),
+      windowMinutes: REFRESH_WINDOW_MS / 60000
+    };
+  }
+}
+
+module.exports = new TokenRefreshScheduler();
@@ -0,0 +1,322 @@
+// ============================================
+// TOKEN VAULT - Encrypted storage for provider credentials
+// ============================================
+// Wearable, calendar and banking tokens are stored in the TokenVault
+// collection as AES-256-GCM envelopes. Each envelope carries the id of
+// the key that produced it and is bound (AAD) to its user/provider/
+// account, so ciphertext cannot be swapped between records.
+//
+// Environment:
+//   TOKEN_VAULT_KEYS        comma-separated "keyId:key" pairs; keys are
+//                           32 bytes as base64 or hex. Keep retired keys
+//                           listed until rotateKeys() has re-encrypted
+//                           everything.
+//   TOKEN_VAULT_ACTIVE_KEY  key id used for new envelopes (defaults to
+//                           the first key listed)
+//
+// Without TOKEN_VAULT_KEYS a key is derived from JWT_SECRET outside
+// production so local setups keep working.
+// ============================================
+
+const crypto = require('crypto');
+const TokenVault = require('../../models/phoenix/TokenVault');
+const ErrorResponse = require('../../utils/errorResponse');
+
+const ENVELOPE_VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+let keyring = null;
+
+// ========================================
+// KEYS & ENCRYPTION
+// ========================================
+
+const decodeKey = (value) => {
+  const trimmed = value.trim();
+  const key = /^[0-9a-fA-F]{64}$/.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+  return key.length === 32 ? key : null;
+};
+
+/**
+ * Parse the keyring from the environment (cached)
+ * @returns {object} { activeKeyId, keys: Map<keyId, Buffer> }
+ */
+exports.getKeyring = () => {
+  if (keyring) return keyring;
+
+  const keys = new Map();
+  const configured = (process.env.TOKEN_VAULT_KEYS || '').split(',').map(s => s.trim()).filter(Boolean);
+
+  configured.forEach(pair => {
+    const separator = pair.indexOf(':');
+    const keyId = pair.slice(0, separator);
+    const key = separator > 0 ? decodeKey(pair.slice(separator + 1)) : null;
+
+    if (!KEY_ID_PATTERN.test(keyId) || !key) {
+      throw new Error(`Invalid TOKEN_VAULT_KEYS entry "${keyId || pair}": expected keyId:<32-byte base64 or hex key>`);
+    }
+    keys.set(keyId, key);
+  });
+
+  if (keys.size === 0) {
+    if (process.env.NODE_ENV === 'production' || !process.env.JWT_SECRET) {
+      throw new Error('TOKEN_VAULT_KEYS must be configured to store provider tokens');
+    }
+    console.warn('⚠️  TOKEN_VAULT_KEYS not set - deriving a development key from JWT_SECRET');
+    keys.set('dev', crypto.createHash('sha256').update(`token-vault:${process.env.JWT_SECRET}`).digest());
+  }
+
+  const activeKeyId = process.env.TOKEN_VAULT_ACTIVE_KEY || keys.keys().next().value;
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`TOKEN_VAULT_ACTIVE_KEY "${activeKeyId}" is not in TOKEN_VAULT_KEYS`);
+  }
+
+  keyring = { activeKeyId, keys };
+  return keyring;
+};
+
+/**
+ * Forget the cached keyring (after changing environment variables)
+ */
+exports.reloadKeyring = () => {
+  keyring = null;
+  return exports.getKeyring();
+};
+
+/**
+ * Encrypt a token with the active key
+ * @param {string} plaintext
+ * @param {string} aad - context the envelope is bound to
+ * @returns {string} v1.<keyId>.<iv>.<tag>.<ciphertext> (base64url parts)
+ */
+exports.encrypt = (plaintext, aad = '') => {
+  if (plaintext === undefined || plaintext === null || plaintext === '') return undefined;
+
+  const { activeKeyId, keys } = exports.getKeyring();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(activeKeyId), iv);
+  cipher.setAAD(Buffer.from(aad));
+
+  const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [ENVELOPE_VERSION, activeKeyId, iv.toString('base64url'), tag.toString('base64url'), data.toString('base64url')].join('.');
+};
+
+/**
+ * Decrypt an envelope produced by encrypt()
+ */
+exports.decrypt = (envelope, aad = '') => {
+  if (!envelope) return undefined;
+
+  const [version, keyId, iv, tag, data] = envelope.split('.');
+  if (version !== ENVELOPE_VERSION || !data) {
+    throw new Error('Unrecognised token envelope');
+  }
+
+  const key = exports.getKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Token vault key "${keyId}" is not configured`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]).toString('utf8');
+};
+
+exports.isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${ENVELOPE_VERSION}.`);
+
+const contextFor = (userId, provider, accountRef) => `${userId}:${provider}:${accountRef}`;
+
+// ========================================
+// TOKEN STORAGE
+// ========================================
+
+/**
+ * Normalise provider token responses (OAuth snake_case, googleapis
+ * credentials or our own camelCase shape)
+ */
+exports.normalizeTokens = (raw = {}) => {
+  let expiresAt = raw.expiresAt ? new Date(raw.expiresAt) : undefined;
+  if (raw.expiry_date) expiresAt = new Date(raw.expiry_date);
+  if (raw.expires_in) expiresAt = new Date(Date.now() + Number(raw.expires_in) * 1000);
+
+  const scope = raw.scopes || raw.scope;
+
+  return {
+    accessToken: raw.accessToken || raw.access_token,
+    refreshToken: raw.refreshToken || raw.refresh_token,
+    tokenType: raw.tokenType || raw.token_type,
+    scopes: Array.isArray(scope) ? scope : scope ? String(scope).split(/[ ,]+/).filter(Boolean) : undefined,
+    expiresAt
+  };
+};
+
+/**
+ * Store (or replace) tokens for a connection. A missing refresh token
+ * keeps the previously stored one - most providers only send it once.
+ */
+exports.saveTokens = async (userId, provider, raw, { category, accountRef = 'default' } = {}) => {
+  const tokens = exports.normalizeTokens(raw);
+  if (!tokens.accessToken) {
+    throw new ErrorResponse(`No access token received from ${provider}`, 502);
+  }
+
+  const context = contextFor(userId, provider, accountRef);
+  const update = {
+    category,
+    accessToken: exports.encrypt(tokens.accessToken, context),
+    keyId: exports.getKeyring().activeKeyId,
+    tokenType: tokens.tokenType,
+    expiresAt: tokens.expiresAt,
+    status: 'active',
+    refreshFailures: 0,
+    nextRefreshAttemptAt: null,
+    lastError: null
+  };
+  if (tokens.scopes) update.scopes = tokens.scopes;
+
+  const existing = await TokenVault.findOne({ userId, provider, accountRef });
+  if (tokens.refreshToken) {
+    update.refreshToken = exports.encrypt(tokens.refreshToken, context);
+  } else if (existing?.refreshToken && existing.keyId !== update.keyId) {
+    // Re-encrypt the kept refresh token so the entry uses a single key
+    update.refreshToken = exports.encrypt(exports.decrypt(existing.refreshToken, context), context);
+  }
+
+  return await TokenVault.findOneAndUpdate(
+    { userId, provider, accountRef },
+    { $set: update, $setOnInsert: { userId, provider, accountRef } },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+/**
+ * Decrypted tokens for a connection
+ * @returns {object|null} null when not connected or revoked
+ */
+exports.getTokens = async (userId, provider, accountRef = 'default') => {
+  const entry = await TokenVault.findOne({ userId, provider, accountRef, status: { $ne: 'revoked' } });
+  if (!entry) return null;
+  return exports.readEntry(entry);
+};
+
+/**
+ * Decrypt a TokenVault document
+ */
+exports.readEntry = (entry) => {
+  const context = contextFor(entry.userId, entry.provider, entry.accountRef);
+  return {
+    id: entry._id,
+    userId: entry.userId,
+    provider: entry.provider,
+    category: entry.category,
+    accountRef: entry.accountRef,
+    accessToken: exports.decrypt(entry.accessToken, context),
+    refreshToken: exports.decrypt(entry.refreshToken, context),
+    expiresAt: entry.expiresAt,
+    scopes: entry.scopes,
+    status: entry.status
+  };
+};
+
+/**
+ * True when the access token expires within the given window
+ */
+exports.isExpiring = (tokens, windowMs = 60 * 1000) => {
+  return !!tokens?.expiresAt && new Date(tokens.expiresAt).getTime() - Date.now() <= windowMs;
+};
+
+/**
+ * Active connections for a user (metadata only)
+ */
+exports.listConnections = async (userId, category) => {
+  const query = { userId, status: { $ne: 'revoked' } };
+  if (category) query.category = category;
+  return await TokenVault.find(query).select('-accessToken -refreshToken').sort({ provider: 1 });
+};
+
+/**
+ * Record a failed refresh with exponential backoff; after maxFailures
+ * the entry is parked as refresh_failed until the user reconnects
+ */
+exports.recordRefreshFailure = async (entry, error, maxFailures = 5) => {
+  const failures = (entry.refreshFailures || 0) + 1;
+  const backoffMinutes = Math.min(240, 5 * 2 ** (failures - 1));
+
+  entry.refreshFailures = failures;
+  entry.lastError = error.message;
+  entry.nextRefreshAttemptAt = new Date(Date.now() + backoffMinutes * 60 * 1000);
+  if (failures >= maxFailures) entry.status = 'refresh_failed';
+
+  await entry.save();
+  return entry;
+};
+
+/**
+ * Wipe stored tokens for a connection
+ */
+exports.revoke = async (userId, provider, accountRef = 'default') => {
+  return await TokenVault.findOneAndUpdate(
+    { userId, provider, accountRef },
+    { $set: { status: 'revoked' }, $unset: { accessToken: 1, refreshToken: 1, expiresAt: 1 } },
+    { new: true }
+  );
+};
+
+// ========================================
+// KEY ROTATION
+// ========================================
+
+/**
+ * Re-encrypt every entry not yet on the active key. Safe to re-run;
+ * retired keys can be removed from TOKEN_VAULT_KEYS once it reports
+ * nothing remaining.
+ */
+exports.rotateKeys = async ({ batchSize = 100 } = {}) => {
+  const { activeKeyId } = exports.getKeyring();
+  const result = { activeKeyId, rotated: 0, failed: [] };
+
+  const cursor = TokenVault.find({ keyId: { $ne: activeKeyId }, status: { $ne: 'revoked' } })
+    .batchSize(batchSize)
+    .cursor();
+
+  for (let entry = await cursor.next(); entry; entry = await cursor.next()) {
+    try {
+      const context = contextFor(entry.userId, entry.provider, entry.accountRef);
+      entry.accessToken = exports.encrypt(exports.decrypt(entry.accessToken, context), context);
+      entry.refreshToken = exports.encrypt(exports.decrypt(entry.refreshToken, context), context);
+      entry.keyId = activeKeyId;
+      entry.rotatedAt = new Date();
+      await entry.save();
+      result.rotated++;
+    } catch (error) {
+      result.failed.push({ id: entry._id, keyId: entry.keyId, error: error.message });
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Entry counts per key id and status
+ */
+exports.getStatus = async () => {
+  const rows = await TokenVault.aggregate([
+    { $group: { _id: { keyId: '$keyId', status: '$status' }, count: { $sum: 1 } } },
+    { $sort: { '_id.keyId': 1 } }
+  ]);
+
+  return {
+    activeKeyId: exports.getKeyring().activeKeyId,
+    configuredKeys: [...exports.getKeyring().keys.keys()],
+    entries: rows.map(row => ({ keyId: row._id.keyId, status: row._id.status, count: row.count }))
+  };
+};
+
+module.exports = exports;
@@ -0,0 +1,441 @@
+// Body Tracking Service
+// Body measurement entry (Measurement snapshot + per-metric BodyMeasurement
+// history for predictions), progress photo upload/storage and photo
+// comparisons paired by pose and date range
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Measurement = require('../../models/mercury/Measurement');
+const BodyMeasurement = require('../../models/phoenix/BodyMeasurement');
+const ProgressPhoto = require('../../models/venus/ProgressPhoto');
+const photoStorage = require('./photoStorage');
+const { stripMetadata } = require('../../utils/imageMetadata');
+const ErrorResponse = require('../../utils/errorResponse');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A photo is linked to a measurement logged within this many days of it
+const PHOTO_MEASUREMENT_WINDOW_DAYS = 7;
+const MAX_TAGS = 10;
+
+const UNITS = ['imperial', 'metric'];
+const CIRCUMFERENCE_SITES = Object.keys(Measurement.schema.tree.circumference);
+const CALIPER_SITES = Object.keys(Measurement.schema.tree.caliper);
+
+// Measurement snapshot fields mirrored to BodyMeasurement for the Phoenix prediction engine
+const BODY_MEASUREMENT_TYPES = {
+  weight: { type: 'weight', kind: 'mass' },
+  bodyFat: { type: 'body_fat_percentage', kind: 'percentage' },
+  muscleMass: { type: 'muscle_mass', kind: 'mass' },
+  'circumference.waist': { type: 'waist', kind: 'length' },
+  'circumference.chest': { type: 'chest', kind: 'length' },
+  'circumference.hips': { type: 'hips', kind: 'length' },
+  'circumference.neck': { type: 'neck', kind: 'length' },
+  'circumference.shoulders': { type: 'shoulders', kind: 'length' },
+  'circumference.upperArm': { type: 'arms', kind: 'length' },
+  'circumference.upperThigh': { type: 'thighs', kind: 'length' },
+  'circumference.calf': { type: 'calves', kind: 'length' }
+};
+const UNIT_LABELS = {
+  imperial: { mass: 'lbs', length: 'inches', percentage: 'percentage' },
+  metric: { mass: 'kg', length: 'cm', percentage: 'percentage' }
+};
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const parseDate = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new ErrorResponse(`${field} must be a valid date`, 400);
+  return date;
+};
+
+const positiveNumbers = (values = {}, allowed, label) => {
+  const result = {};
+  Object.entries(values || {}).forEach(([site, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    if (!allowed.includes(site)) {
+      throw new ErrorResponse(`Unknown ${label} "${site}". Allowed: ${allowed.join(', ')}`, 400);
+    }
+    const number = Number(value);
+    if (!(number > 0)) throw new ErrorResponse(`${label} ${site} must be a positive number`, 400);
+    result[site] = number;
+  });
+  return result;
+};
+
+/**
+ * Differences between two measurements, expressed in the unit of the later one
+ */
+const measurementChanges = (before, after) => {
+  if (!before || !after) return null;
+  const a = before.toUnit(after.unit);
+  const b = after.toUnit(after.unit);
+  const diff = (x, y) => (x != null && y != null ? round(y - x) : null);
+
+  const circumference = {};
+  Object.keys(b.circumference).forEach(site => {
+    const change = diff(a.circumference[site], b.circumference[site]);
+    if (change !== null) circumference[site] = change;
+  });
+
+  return {
+    unit: after.unit,
+    days: Math.round((after.date - before.date) / DAY_MS),
+    weight: diff(a.weight, b.weight),
+    bodyFat: diff(a.bodyFat, b.bodyFat),
+    muscleMass: diff(a.muscleMass, b.muscleMass),
+    circumference
+  };
+};
+
+// ========================================
+// MEASUREMENTS
+// ========================================
+
+/**
+ * Log a measurement snapshot
+ * @param {object} data - { date?, unit?: 'imperial'|'metric', weight, bodyFat?, muscleMass?,
+ *   measurements?: { waist, hips, upperArmLeft, ... }, skinfolds?: { chest, abdominal, ... },
+ *   bloodPressure?, notes? }
+ */
+exports.logMeasurement = async (userId, data = {}) => {
+  const unit = data.unit || 'imperial';
+  if (!UNITS.includes(unit)) throw new ErrorResponse(`unit must be one of: ${UNITS.join(', ')}`, 400);
+
+  const weight = Number(data.weight);
+  if (!(weight > 0)) throw new ErrorResponse('weight is required and must be a positive number', 400);
+
+  const bodyFat = data.bodyFat !== undefined && data.bodyFat !== null && data.bodyFat !== '' ? Number(data.bodyFat) : undefined;
+  if (bodyFat !== undefined && !(bodyFat >= 2 && bodyFat <= 70)) {
+    throw new ErrorResponse('bodyFat must be a percentage between 2 and 70', 400);
+  }
+  const muscleMass = data.muscleMass !== undefined && data.muscleMass !== null && data.muscleMass !== '' ? Number(data.muscleMass) : undefined;
+  if (muscleMass !== undefined && !(muscleMass > 0 && muscleMass < weight)) {
+    throw new ErrorResponse('muscleMass must be positive and less than weight', 400);
+  }
+
+  const date = parseDate(data.date, 'date') || new Date();
+  if (date.getTime() > Date.now() + DAY_MS) throw new ErrorResponse('date cannot be in the future', 400);
+
+  const circumference = positiveNumbers(data.measurements || data.circumference, CIRCUMFERENCE_SITES, 'measurement');
+  const caliper = positiveNumbers(data.skinfolds || data.caliper, CALIPER_SITES, 'skinfold');
+
+  const previous = await Measurement.findOne({ clientId: userId, date: { $lt: date } }).sort({ date: -1 });
+
+  const measurement = await Measurement.create({
+    clientId: userId,
+    createdBy: userId,
+    date,
+    unit,
+    weight,
+    bodyFat,
+    muscleMass,
+    bloodPressure: data.bloodPressure,
+    circumference,
+    caliper,
+    notes: data.notes
+  });
+
+  // Per-metric history for the prediction engine
+  const rows = Object.entries(BODY_MEASUREMENT_TYPES)
+    .map(([field, { type, kind }]) => {
+      const value = field.split('.').reduce((obj, key) => obj?.[key], measurement);
+      return value ? { userId, measurementType: type, value, unit: UNIT_LABELS[unit][kind], measuredAt: date, source: 'manual' } : null;
+    })
+    .filter(Boolean);
+  if (rows.length) {
+    await BodyMeasurement.insertMany(rows).catch(error => {
+      console.error('Body measurement history error:', error.message);
+    });
+  }
+
+  const { trends } = await exports.getMeasurements(userId, { limit: 12 });
+
+  return {
+    measurement,
+    changes: measurementChanges(previous, measurement),
+    trends
+  };
+};
+
+/**
+ * Measurement history with weekly rates of change (in the latest entry's unit)
+ */
+exports.getMeasurements = async (userId, { limit = 30, startDate, endDate } = {}) => {
+  const query = { clientId: userId };
+  const start = parseDate(startDate, 'startDate');
+  const end = parseDate(endDate, 'endDate');
+  if (start || end) {
+    query.date = {};
+    if (start) query.date.$gte = start;
+    if (end) query.date.$lte = end;
+  }
+
+  const measurements = await Measurement.find(query)
+    .sort({ date: -1 })
+    .limit(Math.min(Math.max(parseInt(limit) || 30, 1), 365));
+
+  if (measurements.length < 2) {
+    return { measurements, trends: null };
+  }
+
+  const latest = measurements[0];
+  const earliest = measurements[measurements.length - 1];
+  const changes = measurementChanges(earliest, latest);
+  const weeks = Math.max(changes.days / 7, 1 / 7);
+  const perWeek = (value) => (value === null || value === undefined ? null : round(value / weeks, 2));
+
+  const direction = (value, threshold) => (value === null ? null : value > threshold ? 'up' : value < -threshold ? 'down' : 'stable');
+
+  return {
+    measurements,
+    trends: {
+      unit: latest.unit,
+      period: { from: earliest.date, to: latest.date, days: changes.days, entries: measurements.length },
+      total: changes,
+      weeklyRate: {
+        weight: perWeek(changes.weight),
+        bodyFat: perWeek(changes.bodyFat),
+        waist: perWeek(changes.circumference.waist)
+      },
+      direction: {
+        weight: direction(perWeek(changes.weight), latest.unit === 'metric' ? 0.1 : 0.25),
+        bodyFat: direction(perWeek(changes.bodyFat), 0.1),
+        waist: direction(perWeek(changes.circumference.waist), latest.unit === 'metric' ? 0.2 : 0.1)
+      }
+    }
+  };
+};
+
+// ========================================
+// PROGRESS PHOTOS
+// ========================================
+
+const nearestMeasurement = async (userId, date) => {
+  const window = PHOTO_MEASUREMENT_WINDOW_DAYS * DAY_MS;
+  const candidates = await Measurement.find({
+    clientId: userId,
+    date: { $gte: new Date(date.getTime() - window), $lte: new Date(date.getTime() + window) }
+  });
+  return candidates.reduce((best, m) => (
+    !best || Math.abs(m.date - date) < Math.abs(best.date - date) ? m : best
+  ), null);
+};
+
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))].slice(0, MAX_TAGS);
+};
+
+/**
+ * Store an uploaded photo with its metadata stripped
+ * @param {object} file - multer file (memory storage: { buffer, size })
+ * @param {object} data - { pose, takenAt?, tags?, notes? }
+ */
+exports.uploadPhoto = async (userId, file, data = {}) => {
+  if (!file || !file.buffer) throw new ErrorResponse('A photo file is required', 400);
+  if (!ProgressPhoto.POSES.includes(data.pose)) {
+    throw new ErrorResponse(`pose must be one of: ${ProgressPhoto.POSES.join(', ')}`, 400);
+  }
+
+  const takenAt = parseDate(data.takenAt, 'takenAt') || new Date();
+  if (takenAt.getTime() > Date.now() + DAY_MS) throw new ErrorResponse('takenAt cannot be in the future', 400);
+
+  let image;
+  try {
+    image = stripMetadata(file.buffer);
+  } catch (error) {
+    throw new ErrorResponse('The image file is corrupt or truncated', 400);
+  }
+  if (!image) throw new ErrorResponse('Photos must be JPEG, PNG or WebP images', 415);
+
+  const key = `${userId}/${crypto.randomUUID()}.${image.format === 'jpeg' ? 'jpg' : image.format}`;
+  const stored = await photoStorage.put(key, image.buffer, { contentType: image.contentType });
+
+  let photo;
+  try {
+    const measurement = await nearestMeasurement(userId, takenAt);
+    photo = await ProgressPhoto.create({
+      userId,
+      pose: data.pose,
+      takenAt,
+      storage: { backend: stored.backend, key: stored.key },
+      contentType: image.contentType,
+      size: stored.size,
+      width: image.width,
+      height: image.height,
+      orientation: image.orientation,
+      tags: normalizeTags(data.tags),
+      notes: data.notes,
+      measurementId: measurement?._id
+    });
+  } catch (error) {
+    // Don't leave orphaned files behind
+    await photoStorage.remove(stored.backend, stored.key).catch(() => {});
+    throw error;
+  }
+
+  // Compare with the previous photo of the same pose
+  const previous = await ProgressPhoto.findOne({
+    userId,
+    pose: photo.pose,
+    _id: { $ne: photo._id },
+    takenAt: { $lt: photo.takenAt }
+  }).sort({ takenAt: -1 });
+
+  return {
+    photo,
+    comparison: previous ? await comparePair(previous, photo) : null
+  };
+};
+
+/**
+ * Photos with a timeline of photo sessions (one entry per day)
+ */
+exports.getPhotos = async (userId, { pose, tag, startDate, endDate, limit = 100 } = {}) => {
+  const query = { userId };
+  if (pose) {
+    if (!ProgressPhoto.POSES.includes(pose)) throw new ErrorResponse(`pose must be one of: ${ProgressPhoto.POSES.join(', ')}`, 400);
+    query.pose = pose;
+  }
+  if (tag) query.tags = String(tag).toLowerCase();
+  const start = parseDate(startDate, 'startDate');
+  const end = parseDate(endDate, 'endDate');
+  if (start || end) {
+    query.takenAt = {};
+    if (start) query.takenAt.$gte = start;
+    if (end) query.takenAt.$lte = end;
+  }
+
+  const photos = await ProgressPhoto.find(query)
+    .sort({ takenAt: -1 })
+    .limit(Math.min(Math.max(parseInt(limit) || 100, 1), 500))
+    .populate('measurementId', 'date unit weight bodyFat');
+
+  const sessions = new Map();
+  photos.forEach(photo => {
+    const day = photo.takenAt.toISOString().slice(0, 10);
+    if (!sessions.has(day)) sessions.set(day, { date: day, poses: {}, measurement: null });
+    const session = sessions.get(day);
+    session.poses[photo.pose] = photo._id;
+    if (!session.measurement && photo.measurementId) session.measurement = photo.measurementId;
+  });
+
+  return {
+    photos,
+    timeline: [...sessions.values()]
+  };
+};
+
+const ownedPhoto = async (userId, photoId) => {
+  if (!mongoose.Types.ObjectId.isValid(photoId)) throw new ErrorResponse('Photo not found', 404);
+  const photo = await ProgressPhoto.findOne({ _id: photoId, userId });
+  if (!photo) throw new ErrorResponse('Photo not found', 404);
+  return photo;
+};
+
+/**
+ * Image for the owner: a direct URL when the backend provides one,
+ * otherwise the file contents
+ * @returns {{ url }|{ buffer, contentType }}
+ */
+exports.getPhotoFile = async (userId, photoId) => {
+  const photo = await ownedPhoto(userId, photoId);
+
+  const url = await photoStorage.getUrl(photo.storage.backend, photo.storage.key, { expiresIn: 300 });
+  if (url) return { url };
+
+  try {
+    const buffer = await photoStorage.get(photo.storage.backend, photo.storage.key);
+    return { buffer, contentType: photo.contentType || 'application/octet-stream' };
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new ErrorResponse('Photo file is missing from storage', 404);
+    throw error;
+  }
+};
+
+exports.deletePhoto = async (userId, photoId) => {
+  const photo = await ownedPhoto(userId, photoId);
+  await photoStorage.remove(photo.storage.backend, photo.storage.key);
+  await photo.deleteOne();
+  return { id: photo._id, deleted: true };
+};
+
+// ========================================
+// COMPARISON
+// ========================================
+
+const photoSummary = (photo) => ({
+  id: photo._id,
+  pose: photo.pose,
+  takenAt: photo.takenAt,
+  tags: photo.tags,
+  imageUrl: `/api/venus/body/photos/${photo._id}/image`
+});
+
+/**
+ * Two photos of a pose with the body changes between them (from the
+ * measurements logged closest to each photo)
+ */
+const comparePair = async (before, after) => {
+  const [beforeMeasurement, afterMeasurement] = await Promise.all([
+    before.measurementId ? Measurement.findById(before.measurementId) : nearestMeasurement(before.userId, before.takenAt),
+    after.measurementId ? Measurement.findById(after.measurementId) : nearestMeasurement(after.userId, after.takenAt)
+  ]);
+
+  return {
+    pose: after.pose,
+    before: photoSummary(before),
+    after: photoSummary(after),
+    daysBetween: Math.round((after.takenAt - before.takenAt) / DAY_MS),
+    changes: beforeMeasurement && afterMeasurement && String(beforeMeasurement._id) !== String(afterMeasurement._id)
+      ? measurementChanges(beforeMeasurement, afterMeasurement)
+      : null
+  };
+};
+
+/**
+ * Pair the first and last photo of each pose within a date range
+ * @param {object} query - { startDate?, endDate?, pose? }
+ */
+exports.comparePhotos = async (userId, { startDate, endDate, pose } = {}) => {
+  const start = parseDate(startDate, 'startDate');
+  const end = parseDate(endDate, 'endDate');
+  if (start && end && start >= end) throw new ErrorResponse('startDate must be before endDate', 400);
+  if (pose && !ProgressPhoto.POSES.includes(pose)) {
+    throw new ErrorResponse(`pose must be one of: ${ProgressPhoto.POSES.join(', ')}`, 400);
+  }
+
+  const poses = pose ? [pose] : ProgressPhoto.POSES;
+  const range = {};
+  if (start) range.$gte = start;
+  if (end) range.$lte = end;
+  const base = { userId, ...(start || end ? { takenAt: range } : {}) };
+
+  const pairs = [];
+  for (const p of poses) {
+    const [before, after] = await Promise.all([
+      ProgressPhoto.findOne({ ...base, pose: p }).sort({ takenAt: 1 }),
+      ProgressPhoto.findOne({ ...base, pose: p }).sort({ takenAt: -1 })
+    ]);
+    if (before && after && String(before._id) !== String(after._id)) {
+      pairs.push(await comparePair(before, after));
+    }
+  }
+
+  if (pairs.length === 0) {
+    throw new ErrorResponse('Need at least two photos of the same pose in this date range to compare', 404);
+  }
+
+  return {
+    pairs,
+    period: {
+      from: pairs.reduce((min, pair) => (pair.before.takenAt < min ? pair.before.takenAt : min), pairs[0].before.takenAt),
+      to: pairs.reduce((max, pair) => (pair.after.takenAt > max ? pair.after.takenAt : max), pairs[0].after.takenAt)
+    },
+    changes: pairs.find(pair => pair.changes)?.changes || null
+  };
+};
+
+module.exports = exports;
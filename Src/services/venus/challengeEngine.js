@@ -0,0 +1,443 @@
+// ============================================
+// CHALLENGE ENGINE - Automatic progress, leaderboards and lifecycle
+// ============================================
+// Progress for automatic challenge types is computed from completed
+// Workouts, WearableData (steps/distance) and Goal completions between
+// the challenge start and now. It is recomputed when a participant
+// finishes a workout or syncs a wearable (recordActivity) and on every
+// tick.
+//
+// Leaderboard standings are published at the challenge's
+// leaderboard.updateFrequency (realtime, daily or weekly) and pushed to
+// /ws/challenges subscribers. The tick also moves challenges
+// upcoming -> active -> completed; completion publishes final standings
+// and awards prizes to the top places.
+// ============================================
+
+const cron = require('node-cron');
+const Challenge = require('../../models/venus/Challenge');
+const Workout = require('../../models/venus/Workout');
+const WearableData = require('../../models/mercury/WearableData');
+const Goal = require('../../models/mars/Goal');
+const challengeWebSocket = require('./challengeWebSocket');
+
+const TICK_SCHEDULE = '*/5 * * * *';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MILES_TO_KM = 1.60934;
+
+// Which challenge types an activity can move
+const ACTIVITY_TYPES = {
+  workout: ['workout-count', 'total-volume', 'consistency', 'time-based', 'specific-exercise'],
+  wearable: ['steps', 'distance'],
+  goal: ['goal-completion']
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Local calendar day, matching how the rest of the app buckets days
+const dayKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const longestStreak = (dates) => {
+  const days = [...new Set(dates.map(dayKey))].sort();
+  let best = 0;
+  let current = 0;
+  let previous = null;
+
+  days.forEach(day => {
+    const time = new Date(`${day}T00:00:00`).getTime();
+    // Round to absorb DST shifts
+    current = previous !== null && Math.round((time - previous) / DAY_MS) === 1 ? current + 1 : 1;
+    best = Math.max(best, current);
+    previous = time;
+  });
+
+  return best;
+};
+
+const sumBy = (rows) => new Map(rows.map(row => [String(row._id), row.value]));
+
+class ChallengeEngine {
+  constructor() {
+    this.isRunning = false;
+    this.isTicking = false;
+    this.task = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start the scheduler
+   */
+  start() {
+    if (this.isRunning) {
+      console.warn('⚠️ Challenge engine already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.task = cron.schedule(TICK_SCHEDULE, () => this.tick(), { noOverlap: true });
+
+    // Catch transitions missed while the server was down
+    this.tick().catch(error => {
+      console.error('❌ Challenge engine error:', error);
+    });
+
+    console.log('✅ Challenge engine started');
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.task) this.task.stop();
+    this.task = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * One pass: status transitions, then due leaderboard refreshes
+   */
+  async tick(now = new Date()) {
+    if (this.isTicking) return null;
+    this.isTicking = true;
+
+    const summary = { started: 0, completed: 0, refreshed: 0, failed: 0 };
+
+    try {
+      const starting = await Challenge.find({ status: 'upcoming', 'duration.startDate': { $lte: now } });
+      for (const challenge of starting) {
+        await this.safely(summary, () => this.activate(challenge, now), 'started');
+      }
+
+      const ending = await Challenge.find({ status: 'active', 'duration.endDate': { $lt: now } });
+      for (const challenge of ending) {
+        await this.safely(summary, () => this.finalize(challenge, now), 'completed');
+      }
+
+      const active = await Challenge.find({ status: 'active', 'duration.endDate': { $gte: now } });
+      for (const challenge of active) {
+        if (!this.isRefreshDue(challenge, now)) continue;
+        await this.safely(summary, () => this.refresh(challenge, { now }), 'refreshed');
+      }
+
+      this.lastRun = now;
+      return summary;
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  async safely(summary, fn, counter) {
+    try {
+      await fn();
+      summary[counter]++;
+    } catch (error) {
+      summary.failed++;
+      console.error('Challenge engine error:', error.message);
+    }
+  }
+
+  /**
+   * Whether a challenge's published standings are stale for its frequency
+   */
+  isRefreshDue(challenge, now = new Date()) {
+    const lastUpdated = challenge.leaderboard?.lastUpdated;
+    if (!lastUpdated) return true;
+
+    switch (challenge.leaderboard?.updateFrequency) {
+      case 'realtime':
+        return true;
+      case 'weekly':
+        return now - lastUpdated >= 7 * DAY_MS;
+      default: {
+        const today = new Date(now);
+        today.setHours(0, 0, 0, 0);
+        return lastUpdated < today;
+      }
+    }
+  }
+
+  // ========================================
+  // PROGRESS
+  // ========================================
+
+  /**
+   * Progress values for participants of an automatic challenge
+   * @returns {Map<string, number>|null} userId -> value, null for manual types
+   */
+  async computeProgress(challenge, userIds, now = new Date()) {
+    if (!Challenge.AUTO_TYPES.includes(challenge.type)) return null;
+
+    const start = challenge.duration.startDate;
+    const end = new Date(Math.min(now.getTime(), challenge.duration.endDate.getTime()));
+    const unit = String(challenge.goal.unit || '').toLowerCase();
+
+    const workoutMatch = {
+      clientId: { $in: userIds },
+      completed: true,
+      isActive: { $ne: false },
+      completedAt: { $gte: start, $lte: end }
+    };
+
+    let values;
+    switch (challenge.type) {
+      case 'workout-count':
+        values = sumBy(await Workout.aggregate([
+          { $match: workoutMatch },
+          { $group: { _id: '$clientId', value: { $sum: 1 } } }
+        ]));
+        break;
+
+      case 'total-volume':
+        values = sumBy(await Workout.aggregate([
+          { $match: workoutMatch },
+          { $group: { _id: '$clientId', value: { $sum: { $ifNull: ['$stats.totalVolume', 0] } } } }
+        ]));
+        break;
+
+      case 'time-based':
+        values = sumBy(await Workout.aggregate([
+          { $match: workoutMatch },
+          { $group: { _id: '$clientId', value: { $sum: { $ifNull: ['$duration', 0] } } } }
+        ]));
+        break;
+
+      case 'consistency': {
+        const workouts = await Workout.find(workoutMatch).select('clientId completedAt').lean();
+        const byUser = new Map();
+        workouts.forEach(w => {
+          const key = String(w.clientId);
+          if (!byUser.has(key)) byUser.set(key, []);
+          byUser.get(key).push(w.completedAt);
+        });
+        values = new Map([...byUser].map(([userId, dates]) => [userId, longestStreak(dates)]));
+        break;
+      }
+
+      case 'specific-exercise': {
+        // Reps by default; "sets" counts sets, weight units sum volume
+        const setValue = unit === 'sets' ? 1
+          : ['kg', 'lbs', 'lb', 'volume'].includes(unit) ? { $multiply: ['$exercises.actualSets.reps', { $ifNull: ['$exercises.actualSets.weight', 0] }] }
+          : '$exercises.actualSets.reps';
+        values = sumBy(await Workout.aggregate([
+          { $match: workoutMatch },
+          { $unwind: '$exercises' },
+          { $match: { 'exercises.exerciseId': challenge.goal.exerciseId } },
+          { $unwind: '$exercises.actualSets' },
+          { $group: { _id: '$clientId', value: { $sum: setValue } } }
+        ]));
+        break;
+      }
+
+      case 'steps':
+      case 'distance': {
+        // Several providers can report the same day - count the best one
+        const field = challenge.type === 'steps' ? '$steps' : '$distance';
+        values = sumBy(await WearableData.aggregate([
+          { $match: { userId: { $in: userIds }, date: { $gte: start, $lte: end } } },
+          { $group: { _id: { userId: '$userId', day: { $dateToString: { format: '%Y-%m-%d', date: '$date' } } }, value: { $max: { $ifNull: [field, 0] } } } },
+          { $group: { _id: '$_id.userId', value: { $sum: '$value' } } }
+        ]));
+        if (challenge.type === 'distance' && ['km', 'kilometers', 'kilometres'].includes(unit)) {
+          values.forEach((value, userId) => values.set(userId, value * MILES_TO_KM));
+        }
+        break;
+      }
+
+      case 'goal-completion':
+        values = sumBy(await Goal.aggregate([
+          { $match: { clientId: { $in: userIds }, completed: true, completedDate: { $gte: start, $lte: end } } },
+          { $group: { _id: '$clientId', value: { $sum: 1 } } }
+        ]));
+        break;
+
+      default:
+        return null;
+    }
+
+    values.forEach((value, userId) => values.set(userId, round(value)));
+    return values;
+  }
+
+  /**
+   * Recompute every participant's progress on the document (unsaved)
+   * @returns {boolean} whether progress is automatic for this challenge
+   */
+  async applyProgress(challenge, userIds, now = new Date()) {
+    const values = await this.computeProgress(challenge, userIds, now);
+    if (!values) return false;
+
+    userIds.forEach(userId => {
+      const participant = challenge.participants.find(p => String(p.userId) === String(userId));
+      if (!participant || participant.progress?.source === 'manual') return;
+
+      const value = values.get(String(userId)) || 0;
+      if (participant.progress.current === value && participant.progress.lastUpdated) return;
+      challenge.updateProgress(userId, value, { save: false, source: 'auto' });
+    });
+
+    return true;
+  }
+
+  // ========================================
+  // LEADERBOARD
+  // ========================================
+
+  standingsOf(challenge) {
+    return challenge.getLeaderboard().map(participant => ({
+      userId: participant.userId?._id || participant.userId,
+      rank: participant.rank,
+      current: participant.progress.current,
+      percentage: round(participant.progress.percentage || 0),
+      completed: !!participant.completed
+    }));
+  }
+
+  /**
+   * Recompute progress for everyone and publish standings
+   */
+  async refresh(challenge, { now = new Date(), reason = 'scheduled' } = {}) {
+    await this.applyProgress(challenge, challenge.participants.map(p => p.userId), now);
+    return this.publish(challenge, { now, reason });
+  }
+
+  async publish(challenge, { now = new Date(), reason = 'scheduled' } = {}) {
+    const standings = this.standingsOf(challenge);
+    challenge.leaderboard.standings = standings;
+    challenge.leaderboard.lastUpdated = now;
+    await challenge.save();
+
+    this.notify(challenge._id, {
+      type: 'leaderboard_update',
+      reason,
+      updateFrequency: challenge.leaderboard.updateFrequency,
+      standings,
+      lastUpdated: now
+    });
+
+    return standings;
+  }
+
+  notify(challengeId, payload) {
+    const sockets = challengeWebSocket.getInstance();
+    return sockets ? sockets.broadcast(challengeId, payload) : 0;
+  }
+
+  /**
+   * A participant did something that may move their challenges.
+   * Progress is saved straight away; standings are republished now only
+   * for realtime challenges.
+   * @param {string} kind - 'workout' | 'wearable' | 'goal'
+   */
+  async recordActivity(userId, kind) {
+    const types = ACTIVITY_TYPES[kind];
+    if (!types) return [];
+
+    const challenges = await Challenge.find({
+      status: 'active',
+      type: { $in: types },
+      'participants.userId': userId
+    });
+
+    const updates = [];
+    for (const challenge of challenges) {
+      await this.applyProgress(challenge, [userId]);
+
+      if (challenge.leaderboard.updateFrequency === 'realtime') {
+        await this.publish(challenge, { reason: 'activity' });
+      } else {
+        await challenge.save();
+      }
+
+      const participant = challenge.participants.find(p => String(p.userId) === String(userId));
+      const sockets = challengeWebSocket.getInstance();
+      if (sockets) {
+        sockets.sendToUser(userId, {
+          type: 'challenge_progress',
+          challengeId: String(challenge._id),
+          progress: participant.progress,
+          completed: !!participant.completed
+        });
+      }
+      updates.push({ challengeId: challenge._id, progress: participant.progress });
+    }
+
+    return updates;
+  }
+
+  // ========================================
+  // LIFECYCLE
+  // ========================================
+
+  async activate(challenge, now = new Date()) {
+    challenge.status = 'active';
+    await this.refresh(challenge, { now, reason: 'started' });
+    this.notify(challenge._id, { type: 'challenge_status', status: 'active' });
+  }
+
+  /**
+   * Close a challenge: final progress, final standings, winners and prizes
+   */
+  async finalize(challenge, now = new Date()) {
+    await this.applyProgress(challenge, challenge.participants.map(p => p.userId), challenge.duration.endDate);
+
+    const ranked = challenge.getLeaderboard();
+    const prizes = [...(challenge.prizes || [])].sort((a, b) => a.place - b.place);
+
+    // Only participants who made progress can place
+    const winners = [];
+    prizes.forEach(prize => {
+      const participant = ranked[prize.place - 1];
+      if (!participant || !(participant.progress.current > 0)) return;
+
+      participant.prize = {
+        place: prize.place,
+        description: prize.description,
+        badge: prize.badge,
+        awardedAt: now
+      };
+      winners.push({
+        userId: participant.userId,
+        place: prize.place,
+        value: participant.progress.current,
+        prize: prize.description,
+        badge: prize.badge
+      });
+    });
+
+    challenge.winners = winners;
+    challenge.status = 'completed';
+    challenge.finalizedAt = now;
+    await this.publish(challenge, { now, reason: 'final' });
+
+    this.notify(challenge._id, { type: 'challenge_status', status: 'completed', winners });
+
+    const sockets = challengeWebSocket.getInstance();
+    if (sockets) {
+      winners.forEach(winner => sockets.sendToUser(winner.userId, {
+        type: 'challenge_won',
+        challengeId: String(challenge._id),
+        name: challenge.name,
+        place: winner.place,
+        prize: winner.prize,
+        badge: winner.badge
+      }));
+    }
+
+    return winners;
+  }
+
+  /**
+   * Status a challenge should have for its dates
+   */
+  statusFor(challenge, now = new Date()) {
+    if (challenge.status === 'cancelled') return 'cancelled';
+    if (challenge.duration.startDate > now) return 'upcoming';
+    if (challenge.duration.endDate < now) return 'completed';
+    return 'active';
+  }
+}
+
+module.exports = new ChallengeEngine();
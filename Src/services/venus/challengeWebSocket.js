@@ -0,0 +1,203 @@
+// Src/services/venus/challengeWebSocket.js
+// Live challenge leaderboards. Clients connect to /ws/challenges?token=<jwt>
+// and send { type: 'subscribe', challengeId } to receive leaderboard_update
+// and challenge_status messages for that challenge.
+const WebSocket = require('ws');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Challenge = require('../../models/venus/Challenge');
+
+class ChallengeWebSocketService {
+  constructor(wss) {
+    this.wss = wss;
+    this.userConnections = new Map();   // userId -> Set<ws>
+    this.rooms = new Map();             // challengeId -> Set<ws>
+
+    this.setupWebSocketServer();
+  }
+
+  /**
+   * Setup WebSocket server for challenge updates
+   */
+  setupWebSocketServer() {
+    this.wss.on('connection', (ws, req) => {
+      const url = new URL(req.url, `http://${req.headers.host}`);
+      const token = url.searchParams.get('token');
+
+      if (!token) {
+        ws.close(1008, 'No token provided');
+        return;
+      }
+
+      this.authenticateConnection(ws, token);
+    });
+  }
+
+  /**
+   * Authenticate WebSocket connection
+   */
+  authenticateConnection(ws, token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const userId = String(decoded.id || decoded.userId);
+
+      ws.userId = userId;
+      ws.challenges = new Set();
+      if (!this.userConnections.has(userId)) this.userConnections.set(userId, new Set());
+      this.userConnections.get(userId).add(ws);
+
+      this.send(ws, { type: 'auth_success', userId, message: 'Connected to challenge updates' });
+      this.setupMessageHandlers(ws, userId);
+      this.setupHeartbeat(ws);
+
+    } catch (error) {
+      this.send(ws, { type: 'auth_error', message: 'Invalid token' });
+      ws.close(1008, 'Invalid token');
+    }
+  }
+
+  /**
+   * Setup message handlers for WebSocket
+   */
+  setupMessageHandlers(ws, userId) {
+    ws.on('message', async (message) => {
+      try {
+        const data = JSON.parse(message);
+
+        switch (data.type) {
+          case 'subscribe':
+            await this.subscribe(ws, userId, data.challengeId);
+            break;
+
+          case 'unsubscribe':
+            this.unsubscribe(ws, data.challengeId);
+            break;
+
+          case 'ping':
+            this.send(ws, { type: 'pong' });
+            break;
+
+          default:
+            this.send(ws, { type: 'error', message: `Unknown message type: ${data.type}` });
+        }
+      } catch (error) {
+        this.send(ws, { type: 'error', message: 'Invalid message' });
+      }
+    });
+
+    ws.on('close', () => {
+      ws.challenges.forEach(challengeId => this.unsubscribe(ws, challengeId));
+      const connections = this.userConnections.get(userId);
+      if (connections) {
+        connections.delete(ws);
+        if (connections.size === 0) this.userConnections.delete(userId);
+      }
+    });
+
+    ws.on('error', (error) => {
+      console.error(`Challenge WebSocket error for user ${userId}:`, error.message);
+    });
+  }
+
+  /**
+   * Setup heartbeat to keep connection alive
+   */
+  setupHeartbeat(ws) {
+    const interval = setInterval(() => {
+      if (ws.readyState === WebSocket.OPEN) {
+        this.send(ws, { type: 'heartbeat', timestamp: Date.now() });
+      } else {
+        clearInterval(interval);
+      }
+    }, 30000);
+
+    ws.on('close', () => clearInterval(interval));
+  }
+
+  /**
+   * Join a challenge room (public/invite-only challenges, or ones the
+   * user takes part in or created)
+   */
+  async subscribe(ws, userId, challengeId) {
+    if (!mongoose.Types.ObjectId.isValid(challengeId)) {
+      return this.send(ws, { type: 'error', message: 'Challenge not found' });
+    }
+
+    const challenge = await Challenge.findById(challengeId).select('visibility createdBy participants.userId leaderboard status');
+    const canView = challenge && (
+      challenge.visibility !== 'private' ||
+      String(challenge.createdBy) === userId ||
+      challenge.participants.some(p => String(p.userId) === userId)
+    );
+    if (!canView) return this.send(ws, { type: 'error', message: 'Challenge not found' });
+
+    const room = String(challenge._id);
+    if (!this.rooms.has(room)) this.rooms.set(room, new Set());
+    this.rooms.get(room).add(ws);
+    ws.challenges.add(room);
+
+    this.send(ws, {
+      type: 'subscribed',
+      challengeId: room,
+      status: challenge.status,
+      standings: challenge.leaderboard?.standings || [],
+      lastUpdated: challenge.leaderboard?.lastUpdated || null
+    });
+  }
+
+  unsubscribe(ws, challengeId) {
+    const room = this.rooms.get(String(challengeId));
+    if (room) {
+      room.delete(ws);
+      if (room.size === 0) this.rooms.delete(String(challengeId));
+    }
+    ws.challenges?.delete(String(challengeId));
+  }
+
+  send(ws, payload) {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(payload));
+  }
+
+  /**
+   * Send to everyone watching a challenge
+   * @returns {number} sockets reached
+   */
+  broadcast(challengeId, payload) {
+    const room = this.rooms.get(String(challengeId));
+    if (!room) return 0;
+
+    const message = JSON.stringify({ ...payload, challengeId: String(challengeId) });
+    let sent = 0;
+    room.forEach(ws => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(message);
+        sent++;
+      }
+    });
+    return sent;
+  }
+
+  /**
+   * Send to all of a user's connections
+   */
+  sendToUser(userId, payload) {
+    const connections = this.userConnections.get(String(userId));
+    if (!connections) return 0;
+    connections.forEach(ws => this.send(ws, payload));
+    return connections.size;
+  }
+}
+
+// Export singleton instance
+let instance = null;
+
+module.exports = {
+  getInstance: (wss) => {
+    if (!instance && wss) {
+      instance = new ChallengeWebSocketService(wss);
+    }
+    return instance;
+  },
+
+  ChallengeWebSocketService
+};
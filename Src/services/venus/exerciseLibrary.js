@@ -0,0 +1,389 @@
+// Exercise Library Service
+// Bundled movement library, text + faceted search, scored alternatives and
+// user-contributed exercises
+//
+// The library (Src/data/exercises.json) is upserted by slug at startup.
+// User exercises are private unless isPublic is set; everyone sees the
+// library, shared exercises and their own.
+
+const path = require('path');
+const mongoose = require('mongoose');
+const Exercise = require('../../models/venus/Exercise');
+const ErrorResponse = require('../../utils/errorResponse');
+
+const LIBRARY_PATH = path.join(__dirname, '../../data/exercises.json');
+const ALWAYS_AVAILABLE = ['none', 'bodyweight'];
+const LOW_LOAD_EQUIPMENT = ['machine', 'cable', 'bands', 'bodyweight'];
+const USER_FIELDS = [
+  'name', 'description', 'muscleCategory', 'primaryMuscles', 'secondaryMuscles', 'equipmentNeeded',
+  'difficulty', 'movementPattern', 'mechanics', 'instructions', 'tips', 'commonMistakes',
+  'imageUrl', 'videoUrl', 'tags', 'isPublic'
+];
+
+// ========================================
+// LIBRARY
+// ========================================
+
+/**
+ * Load the bundled library when it is missing or has grown
+ */
+exports.ensureLibrary = async () => {
+  const records = require(LIBRARY_PATH);
+  const existing = await Exercise.countDocuments({ source: 'library' });
+  if (existing >= records.length) return { inserted: 0, updated: 0 };
+
+  const operations = records.map(record => ({
+    updateOne: {
+      filter: { slug: record.slug },
+      update: {
+        $set: { ...record, source: 'library', isPublic: true, isActive: true },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      upsert: true
+    }
+  }));
+
+  const result = { inserted: 0, updated: 0 };
+  for (let i = 0; i < operations.length; i += 500) {
+    const bulk = await Exercise.bulkWrite(operations.slice(i, i + 500), { ordered: false });
+    result.inserted += bulk.upsertedCount;
+    result.updated += bulk.modifiedCount;
+  }
+
+  console.log(`💪 Exercise library: ${result.inserted} exercises loaded`);
+  return result;
+};
+
+// ========================================
+// SEARCH
+// ========================================
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim().toLowerCase())
+    .filter(Boolean);
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Facet filters from query parameters. Accepts single values or
+ * comma-separated lists: muscleCategory (alias muscleGroup), equipment
+ * (alias equipmentNeeded), difficulty, muscle (primary muscle), pattern.
+ */
+const buildFilter = (userId, filters = {}) => {
+  // Cast here: the same filter feeds aggregate(), which does not cast ids
+  const owner = userId ? new mongoose.Types.ObjectId(String(userId)) : null;
+  const clauses = [Exercise.visibleTo(owner)];
+
+  const categories = toList(filters.muscleCategory || filters.muscleGroup);
+  const equipment = toList(filters.equipment || filters.equipmentNeeded);
+  const difficulties = toList(filters.difficulty);
+  const muscles = toList(filters.muscle);
+  const patterns = toList(filters.pattern);
+
+  if (categories.length) clauses.push({ muscleCategory: { $in: categories } });
+  if (equipment.length) clauses.push({ equipmentNeeded: { $in: equipment } });
+  if (difficulties.length) clauses.push({ difficulty: { $in: difficulties } });
+  if (muscles.length) clauses.push({ $or: [{ primaryMuscles: { $in: muscles } }, { secondaryMuscles: { $in: muscles } }] });
+  if (patterns.length) clauses.push({ movementPattern: { $in: patterns } });
+  if (filters.mine === true || filters.mine === 'true') clauses.push({ createdBy: owner });
+
+  return { $and: clauses };
+};
+
+const countBy = (field) => [
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+/**
+ * Counts per muscleCategory, equipmentNeeded and difficulty for a filter
+ */
+const facetCounts = async (match) => {
+  const [facets] = await Exercise.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        muscleCategory: countBy('muscleCategory'),
+        equipmentNeeded: countBy('equipmentNeeded'),
+        difficulty: countBy('difficulty')
+      }
+    }
+  ]);
+  return facets;
+};
+
+/**
+ * Browse the library with facet filters
+ * @returns {object} { exercises, total, page, pages, filters }
+ */
+exports.list = async (userId, filters = {}, { page = 1, limit = 50 } = {}) => {
+  const match = buildFilter(userId, filters);
+
+  const [exercises, total, facets] = await Promise.all([
+    Exercise.find(match)
+      .sort({ muscleCategory: 1, name: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Exercise.countDocuments(match),
+    facetCounts(match)
+  ]);
+
+  return { exercises, total, page, pages: Math.ceil(total / limit), filters: facets };
+};
+
+/**
+ * Text search with facet filters. Full-word matches come from the text
+ * index; partial words ("bench pr") fall back to name matching.
+ * @returns {object} { results, suggestions, filters }
+ */
+exports.search = async (userId, query, filters = {}, { limit = 20 } = {}) => {
+  const phrase = String(query || '').trim();
+  if (phrase.length < 2) {
+    throw new ErrorResponse('Search query must contain at least 2 characters', 400);
+  }
+
+  const match = buildFilter(userId, filters);
+  const tokens = phrase.toLowerCase().split(/\s+/).filter(token => token.length >= 2);
+
+  const textMatches = await Exercise.find(
+    { $text: { $search: phrase }, ...match },
+    { score: { $meta: 'textScore' } }
+  ).sort({ score: { $meta: 'textScore' } }).limit(limit).lean();
+
+  const results = textMatches.map(exercise => ({ ...exercise, score: Math.round(exercise.score * 100) / 100 }));
+
+  if (results.length < limit && tokens.length) {
+    const partial = await Exercise.find({
+      $and: [
+        match,
+        ...tokens.map(token => ({ name: { $regex: escapeRegex(token), $options: 'i' } })),
+        { _id: { $nin: results.map(exercise => exercise._id) } }
+      ]
+    }).sort({ name: 1 }).limit(limit - results.length).lean();
+
+    results.push(...partial.map(exercise => ({ ...exercise, score: 0 })));
+  }
+
+  // Nothing found: offer names sharing a word prefix ("did you mean")
+  let suggestions = [];
+  if (results.length === 0 && tokens.length) {
+    const prefixes = tokens.map(token => escapeRegex(token.slice(0, 3)));
+    const near = await Exercise.find({
+      $and: [Exercise.visibleTo(userId), { name: { $regex: `\\b(${prefixes.join('|')})`, $options: 'i' } }]
+    }).select('name').limit(5).lean();
+    suggestions = near.map(exercise => exercise.name);
+  }
+
+  const facets = results.length
+    ? await facetCounts({ _id: { $in: results.map(exercise => exercise._id) } })
+    : { muscleCategory: [], equipmentNeeded: [], difficulty: [] };
+
+  return { results, suggestions, filters: facets };
+};
+
+/**
+ * An exercise the user can see
+ */
+exports.getExercise = async (exerciseId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(exerciseId)) throw new ErrorResponse('Exercise not found', 404);
+
+  const exercise = await Exercise.findOne({ _id: exerciseId, ...Exercise.visibleTo(userId) });
+  if (!exercise) throw new ErrorResponse('Exercise not found', 404);
+  return exercise;
+};
+
+// ========================================
+// ALTERNATIVES
+// ========================================
+
+const overlap = (a = [], b = []) => {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const union = new Set([...setA, ...setB]);
+  if (union.size === 0) return 0;
+  let shared = 0;
+  setA.forEach(item => { if (setB.has(item)) shared++; });
+  return shared / union.size;
+};
+
+const DIFFICULTY_RANK = { beginner: 0, intermediate: 1, advanced: 2 };
+
+/**
+ * Score a candidate as a replacement for an exercise
+ */
+const scoreAlternative = (base, candidate, reason) => {
+  const basePrimary = base.primaryMuscles?.length ? base.primaryMuscles : [base.muscleCategory];
+  const candidatePrimary = candidate.primaryMuscles?.length ? candidate.primaryMuscles : [candidate.muscleCategory];
+  const reasons = [];
+
+  const primaryShare = overlap(basePrimary, candidatePrimary);
+  const allShare = overlap(
+    [...basePrimary, ...(base.secondaryMuscles || [])],
+    [...candidatePrimary, ...(candidate.secondaryMuscles || [])]
+  );
+  let score = 0.5 * primaryShare + 0.15 * allShare;
+
+  const shared = candidatePrimary.filter(muscle => basePrimary.includes(muscle));
+  if (shared.length) reasons.push(`Trains the same primary muscles (${shared.join(', ')})`);
+
+  const samePattern = base.movementPattern && base.movementPattern === candidate.movementPattern;
+  if (reason === 'injury') {
+    // Same muscles through a different, lower-load path
+    if (!samePattern) { score += 0.1; reasons.push('Different movement pattern'); }
+    if (LOW_LOAD_EQUIPMENT.includes(candidate.equipmentNeeded)) { score += 0.1; reasons.push('Easier to load gradually'); }
+    if (DIFFICULTY_RANK[candidate.difficulty] <= DIFFICULTY_RANK[base.difficulty]) score += 0.05;
+  } else if (samePattern) {
+    score += 0.2;
+    reasons.push(`Same ${candidate.movementPattern} pattern`);
+  }
+
+  if (base.mechanics === candidate.mechanics) score += 0.1;
+
+  const difficultyGap = Math.abs((DIFFICULTY_RANK[base.difficulty] ?? 1) - (DIFFICULTY_RANK[candidate.difficulty] ?? 1));
+  score += 0.05 * (1 - difficultyGap / 2);
+
+  // Closest swap keeps the equipment; variety asks for something different
+  const sameEquipment = candidate.equipmentNeeded === base.equipmentNeeded;
+  if (reason === 'variety' ? !sameEquipment : sameEquipment && !reason) score += 0.05;
+  if (!sameEquipment) reasons.push(`Uses ${candidate.equipmentNeeded}`);
+
+  return { score: Math.round(score * 100) / 100, reasons };
+};
+
+/**
+ * Alternatives ranked by shared muscles, movement pattern and equipment
+ * @param {object} [options] - { equipment: available equipment list, reason: 'injury'|'equipment'|'variety', limit }
+ * @returns {object} { exercise, alternatives: [{ exercise, score, reasons }], reasoning }
+ */
+exports.findAlternatives = async (exerciseId, userId, { equipment, reason, limit = 10 } = {}) => {
+  const base = await exports.getExercise(exerciseId, userId);
+  const available = toList(equipment);
+  const baseMuscles = base.primaryMuscles?.length ? base.primaryMuscles : [];
+
+  const clauses = [
+    Exercise.visibleTo(userId),
+    { _id: { $ne: base._id } },
+    { $or: [{ muscleCategory: base.muscleCategory }, { primaryMuscles: { $in: baseMuscles } }] }
+  ];
+  if (available.length) clauses.push({ equipmentNeeded: { $in: [...available, ...ALWAYS_AVAILABLE] } });
+  if (reason === 'equipment') clauses.push({ equipmentNeeded: { $ne: base.equipmentNeeded } });
+
+  const candidates = await Exercise.find({ $and: clauses }).limit(500).lean();
+
+  const alternatives = candidates
+    .map(candidate => ({ exercise: candidate, ...scoreAlternative(base, candidate, reason) }))
+    .filter(alternative => alternative.score >= 0.25)
+    .sort((a, b) => b.score - a.score || a.exercise.name.localeCompare(b.exercise.name))
+    .slice(0, limit);
+
+  const reasoning = [`Ranked ${candidates.length} ${base.muscleCategory} exercises by shared muscles and movement pattern`];
+  if (available.length) reasoning.push(`Limited to available equipment: ${available.join(', ')} (plus bodyweight)`);
+  if (reason === 'injury') reasoning.push('Favoured different movement patterns and lower-load equipment');
+  if (reason === 'equipment') reasoning.push(`Excluded ${base.equipmentNeeded} exercises`);
+
+  return { exercise: base, alternatives, reasoning };
+};
+
+// ========================================
+// USER EXERCISES
+// ========================================
+
+const validateExercise = (data, { partial = false } = {}) => {
+  const exercise = {};
+  USER_FIELDS.forEach(field => {
+    if (data[field] !== undefined) exercise[field] = data[field];
+  });
+
+  // Accept the looser { muscleGroups, equipment } shape as well
+  if (data.equipment !== undefined && exercise.equipmentNeeded === undefined) exercise.equipmentNeeded = data.equipment;
+  if (Array.isArray(data.muscleGroups) && data.muscleGroups.length) {
+    const groups = toList(data.muscleGroups);
+    if (!exercise.muscleCategory) exercise.muscleCategory = groups.find(group => Exercise.MUSCLE_CATEGORIES.includes(group));
+    if (!exercise.primaryMuscles) exercise.primaryMuscles = groups.filter(group => !Exercise.MUSCLE_CATEGORIES.includes(group));
+  }
+
+  if (exercise.name !== undefined) exercise.name = String(exercise.name).trim();
+  if (!partial && !exercise.name) throw new ErrorResponse('Exercise name is required', 400);
+  if (exercise.name !== undefined && !exercise.name) throw new ErrorResponse('Exercise name cannot be empty', 400);
+
+  if (exercise.muscleCategory !== undefined) {
+    exercise.muscleCategory = String(exercise.muscleCategory).toLowerCase();
+    if (!Exercise.MUSCLE_CATEGORIES.includes(exercise.muscleCategory)) {
+      throw new ErrorResponse(`muscleCategory must be one of: ${Exercise.MUSCLE_CATEGORIES.join(', ')}`, 400);
+    }
+  } else if (!partial) {
+    throw new ErrorResponse('muscleCategory (or muscleGroups) is required', 400);
+  }
+
+  if (exercise.equipmentNeeded !== undefined && !Exercise.EQUIPMENT.includes(exercise.equipmentNeeded)) {
+    throw new ErrorResponse(`equipment must be one of: ${Exercise.EQUIPMENT.join(', ')}`, 400);
+  }
+  if (exercise.difficulty !== undefined && !Exercise.DIFFICULTIES.includes(exercise.difficulty)) {
+    throw new ErrorResponse(`difficulty must be one of: ${Exercise.DIFFICULTIES.join(', ')}`, 400);
+  }
+
+  ['primaryMuscles', 'secondaryMuscles', 'tags'].forEach(field => {
+    if (exercise[field] !== undefined) exercise[field] = toList(exercise[field]);
+  });
+  if (exercise.isPublic !== undefined) exercise.isPublic = exercise.isPublic === true || exercise.isPublic === 'true';
+
+  return exercise;
+};
+
+/**
+ * Create a user exercise (private unless isPublic)
+ */
+exports.createExercise = async (userId, data = {}) => {
+  const fields = validateExercise(data);
+
+  const duplicate = await Exercise.findOne({
+    createdBy: userId,
+    isActive: { $ne: false },
+    name: { $regex: `^${escapeRegex(fields.name)}$`, $options: 'i' }
+  });
+  if (duplicate) throw new ErrorResponse('You already have an exercise with this name', 409);
+
+  return Exercise.create({
+    description: `Custom ${fields.muscleCategory} exercise`,
+    ...fields,
+    source: 'user',
+    createdBy: userId,
+    isPublic: fields.isPublic === true
+  });
+};
+
+const findOwnExercise = async (userId, exerciseId) => {
+  const exercise = await exports.getExercise(exerciseId, userId);
+  if (exercise.source === 'library' || String(exercise.createdBy) !== String(userId)) {
+    throw new ErrorResponse('You can only change exercises you created', 403);
+  }
+  return exercise;
+};
+
+/**
+ * Update a user exercise, including sharing it via isPublic
+ */
+exports.updateExercise = async (userId, exerciseId, data = {}) => {
+  const exercise = await findOwnExercise(userId, exerciseId);
+  Object.assign(exercise, validateExercise(data, { partial: true }));
+  await exercise.save();
+  return exercise;
+};
+
+/**
+ * Remove a user exercise. Soft delete so logged workouts keep their reference.
+ */
+exports.deleteExercise = async (userId, exerciseId) => {
+  const exercise = await findOwnExercise(userId, exerciseId);
+  exercise.isActive = false;
+  exercise.isPublic = false;
+  await exercise.save();
+  return exercise;
+};
+
+module.exports = exports;
@@ -0,0 +1,462 @@
+// Food Database Service
+// Bundled/imported foods, fuzzy search, custom foods, recipes and barcode lookup
+//
+// Barcode scans resolve locally first, then through the remote adapters
+// listed in FOOD_LOOKUP_PROVIDERS (default "openfoodfacts,usda"; USDA
+// needs USDA_API_KEY). Remote hits are cached as source 'remote' foods.
+// Adapters implement { name, isConfigured(), lookupBarcode(barcode, options) }.
+
+const path = require('path');
+const mongoose = require('mongoose');
+const Food = require('../../models/venus/Food');
+const ErrorResponse = require('../../utils/errorResponse');
+const OpenFoodFactsProvider = require('./foodProviders/openFoodFactsProvider');
+const USDAProvider = require('./foodProviders/usdaProvider');
+
+const BUNDLED_FOODS_PATH = path.join(__dirname, '../../data/foods.json');
+const LOOKUP_TIMEOUT_MS = parseInt(process.env.FOOD_LOOKUP_TIMEOUT_MS) || 5000;
+const MISS_CACHE_MS = 60 * 60 * 1000;
+const NUTRIENT_KEYS = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar', 'sodium'];
+
+const providers = new Map();
+const missCache = new Map();   // barcode -> time of last remote miss
+
+// ========================================
+// REMOTE ADAPTERS
+// ========================================
+
+/**
+ * Register (or replace) a remote lookup adapter
+ */
+exports.registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+exports.registerProvider(new OpenFoodFactsProvider());
+exports.registerProvider(new USDAProvider());
+
+const lookupOrder = () => (process.env.FOOD_LOOKUP_PROVIDERS ?? 'openfoodfacts,usda')
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => providers.get(name)?.isConfigured());
+
+// ========================================
+// NORMALISATION
+// ========================================
+
+const isValidCheckDigit = (digits) => {
+  const body = digits.slice(0, -1).split('').reverse();
+  const sum = body.reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === Number(digits.slice(-1));
+};
+
+/**
+ * Canonical GTIN: EAN-8 stays 8 digits, UPC-A/EAN-13/GTIN-14 become 13
+ * digits where possible
+ * @returns {string|null} null when not a valid GTIN
+ */
+exports.normalizeBarcode = (value) => {
+  let digits = String(value || '').replace(/\D/g, '');
+  if (![8, 12, 13, 14].includes(digits.length) || !isValidCheckDigit(digits)) return null;
+
+  if (digits.length === 12) digits = `0${digits}`;
+  if (digits.length === 14 && digits.startsWith('0')) digits = digits.slice(1);
+  return digits;
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const toNutrient = (value, field) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new ErrorResponse(`${field} must be a non-negative number`, 400);
+  }
+  return round(number);
+};
+
+/**
+ * Flat or nested ({ nutrients: {...} }) record -> Food fields
+ */
+const normalizeRecord = (record = {}) => {
+  const name = typeof record.name === 'string' ? record.name.trim() : '';
+  if (!name) throw new ErrorResponse('Food name is required', 400);
+
+  const source = record.nutrients || record;
+  const nutrients = {};
+  NUTRIENT_KEYS.forEach(key => {
+    const value = toNutrient(source[key], key);
+    if (value !== undefined) nutrients[key] = value;
+  });
+  if (nutrients.calories === undefined) {
+    nutrients.calories = Math.round((nutrients.protein || 0) * 4 + (nutrients.carbs || 0) * 4 + (nutrients.fat || 0) * 9);
+  }
+
+  let barcode;
+  if (record.barcode) {
+    barcode = exports.normalizeBarcode(record.barcode);
+    if (!barcode) throw new ErrorResponse(`Invalid barcode: ${record.barcode}`, 400);
+  }
+
+  return {
+    name,
+    brand: record.brand || undefined,
+    barcode,
+    category: record.category || undefined,
+    servingSize: record.servingSize || '1 serving',
+    servingGrams: toNutrient(record.servingGrams, 'servingGrams'),
+    nutrients,
+    aliases: Array.isArray(record.aliases) ? record.aliases.filter(Boolean) : []
+  };
+};
+
+/**
+ * Food -> entry accepted by nutritionTracker.logMeal
+ */
+exports.toLogEntry = (food, servings = 1) => ({
+  foodId: food._id,
+  barcode: food.barcode,
+  name: food.brand ? `${food.brand} ${food.name}` : food.name,
+  servings,
+  servingSize: food.servingSize,
+  ...NUTRIENT_KEYS.reduce((entry, key) => {
+    if (food.nutrients?.[key] !== undefined) entry[key] = food.nutrients[key];
+    return entry;
+  }, {})
+});
+
+// ========================================
+// IMPORT
+// ========================================
+
+/**
+ * Upsert food records. Records with a barcode are keyed on it; others
+ * on source + name + brand, so re-importing a file is idempotent.
+ * @returns {object} { inserted, updated, skipped, errors: [{ index, error }] }
+ */
+exports.importFoods = async (records = [], { source = 'imported', provider } = {}) => {
+  const result = { inserted: 0, updated: 0, skipped: 0, errors: [] };
+  const operations = [];
+
+  records.forEach((record, index) => {
+    try {
+      const food = normalizeRecord(record);
+      const filter = food.barcode
+        ? { barcode: food.barcode, source: { $in: ['bundled', 'imported', 'remote'] } }
+        : { source, name: food.name, brand: food.brand || null };
+
+      operations.push({
+        updateOne: {
+          filter,
+          update: {
+            $set: { ...food, source, provider, searchText: Food.buildSearchText(food), isActive: true },
+            $setOnInsert: { isPublic: false }
+          },
+          upsert: true
+        }
+      });
+    } catch (error) {
+      result.skipped++;
+      result.errors.push({ index, error: error.message });
+    }
+  });
+
+  for (let i = 0; i < operations.length; i += 500) {
+    const bulk = await Food.bulkWrite(operations.slice(i, i + 500), { ordered: false });
+    result.inserted += bulk.upsertedCount;
+    result.updated += bulk.modifiedCount;
+  }
+
+  return result;
+};
+
+/**
+ * Load the bundled food list when it is missing or has grown
+ */
+exports.ensureBundled = async () => {
+  const records = require(BUNDLED_FOODS_PATH);
+  const existing = await Food.countDocuments({ source: 'bundled' });
+  if (existing >= records.length) return { inserted: 0, updated: 0, skipped: 0, errors: [] };
+
+  const result = await exports.importFoods(records, { source: 'bundled' });
+  console.log(`🥗 Food database: ${result.inserted} bundled foods loaded`);
+  return result;
+};
+
+// ========================================
+// SEARCH
+// ========================================
+
+const trigrams = (word) => {
+  const padded = `  ${word} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3));
+  return grams;
+};
+
+// Dice coefficient over trigrams - tolerant of typos and plurals
+const similarity = (a, b) => {
+  const gramsA = trigrams(a);
+  const gramsB = trigrams(b);
+  let shared = 0;
+  gramsA.forEach(gram => { if (gramsB.has(gram)) shared++; });
+  return (2 * shared) / (gramsA.size + gramsB.size);
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const scoreFood = (food, tokens, phrase, userId) => {
+  const words = food.searchText.split(' ');
+
+  const tokenScores = tokens.map(token => {
+    let best = 0;
+    words.forEach(word => {
+      const score = word === token ? 1
+        : word.startsWith(token) ? 0.9
+        : similarity(token, word);
+      if (score > best) best = score;
+    });
+    return best >= 0.45 ? best : 0;
+  });
+
+  const matched = tokenScores.filter(Boolean).length;
+  if (matched === 0) return 0;
+
+  let score = tokenScores.reduce((sum, s) => sum + s, 0) / tokens.length;
+  score += 0.3 * similarity(phrase, food.searchText.slice(0, phrase.length + 10));
+  if (food.searchText.startsWith(phrase)) score += 0.2;
+  if (userId && String(food.createdBy) === String(userId)) score += 0.1;
+
+  return Math.round(score * 100) / 100;
+};
+
+/**
+ * Fuzzy text search over foods the user can see
+ * @returns {Array} foods with a relevance score, best first
+ */
+exports.search = async (query, { userId, category, limit = 20 } = {}) => {
+  const phrase = Food.buildSearchText({ name: String(query || '') });
+  const tokens = [...new Set(phrase.split(' ').filter(token => token.length >= 2))];
+  if (tokens.length === 0) {
+    throw new ErrorResponse('Search query must contain at least 2 characters', 400);
+  }
+
+  // Prefilter on word fragments, then rank in memory
+  const fragments = tokens.map(token => escapeRegex(token.slice(0, 3)));
+  const filter = { ...Food.visibleTo(userId), searchText: { $regex: fragments.join('|') } };
+  if (category) filter.category = category;
+
+  const candidates = await Food.find(filter).limit(1000).lean();
+
+  return candidates
+    .map(food => ({ ...food, score: scoreFood(food, tokens, phrase, userId) }))
+    .filter(food => food.score > 0)
+    .sort((a, b) => b.score - a.score || a.name.length - b.name.length)
+    .slice(0, limit);
+};
+
+/**
+ * A food the user can see
+ */
+exports.getFood = async (foodId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(foodId)) throw new ErrorResponse('Food not found', 404);
+
+  const food = await Food.findOne({ _id: foodId, ...Food.visibleTo(userId) });
+  if (!food) throw new ErrorResponse('Food not found', 404);
+  return food;
+};
+
+// ========================================
+// BARCODES
+// ========================================
+
+/**
+ * Resolve a barcode: local database (including the user's custom foods),
+ * then each remote adapter in order. Remote hits are cached locally.
+ * @returns {object} { food, source: 'local'|<provider>, cached }
+ */
+exports.lookupBarcode = async (value, userId) => {
+  const barcode = exports.normalizeBarcode(value);
+  if (!barcode) throw new ErrorResponse('Invalid barcode', 400);
+
+  const local = await Food.findOne({ barcode, ...Food.visibleTo(userId) })
+    .sort({ createdBy: -1 });   // the user's own entry wins over shared ones
+  if (local) return { food: local, source: 'local', cached: local.source === 'remote' };
+
+  const lastMiss = missCache.get(barcode);
+  if (lastMiss && Date.now() - lastMiss < MISS_CACHE_MS) {
+    throw new ErrorResponse('Product not found', 404);
+  }
+
+  for (const name of lookupOrder()) {
+    try {
+      const record = await providers.get(name).lookupBarcode(barcode, {
+        timeoutMs: LOOKUP_TIMEOUT_MS,
+        normalizeBarcode: exports.normalizeBarcode
+      });
+      if (!record) continue;
+
+      const normalized = normalizeRecord({ ...record, barcode });
+      const food = await Food.findOneAndUpdate(
+        { barcode, source: 'remote' },
+        {
+          $set: {
+            ...normalized,
+            source: 'remote',
+            provider: name,
+            externalId: record.externalId,
+            searchText: Food.buildSearchText(normalized),
+            lastFetchedAt: new Date(),
+            isActive: true
+          }
+        },
+        { upsert: true, new: true, runValidators: true }
+      );
+
+      return { food, source: name, cached: false };
+    } catch (error) {
+      console.error(`Food lookup via ${name} failed:`, error.message);
+    }
+  }
+
+  missCache.set(barcode, Date.now());
+  throw new ErrorResponse('Product not found', 404);
+};
+
+// ========================================
+// CUSTOM FOODS & RECIPES
+// ========================================
+
+// Ingredient nutrients are totals for the amount used
+const perServing = (ingredients, yields) => {
+  const totals = {};
+  ingredients.forEach(ingredient => {
+    NUTRIENT_KEYS.forEach(key => {
+      if (ingredient.nutrients?.[key] === undefined) return;
+      totals[key] = (totals[key] || 0) + ingredient.nutrients[key];
+    });
+  });
+
+  const nutrients = {};
+  Object.entries(totals).forEach(([key, total]) => {
+    nutrients[key] = round(total / yields);
+  });
+  return nutrients;
+};
+
+/**
+ * Resolve ingredients and sum them into per-serving nutrients
+ */
+const buildRecipe = async (userId, ingredients, yields) => {
+  if (!Array.isArray(ingredients) || ingredients.length === 0) {
+    throw new ErrorResponse('A recipe needs at least one ingredient', 400);
+  }
+  const servingsMade = Number(yields) || 1;
+  if (servingsMade < 1) throw new ErrorResponse('yields must be at least 1', 400);
+
+  const resolved = [];
+
+  for (const ingredient of ingredients) {
+    const servings = ingredient.servings !== undefined ? toNutrient(ingredient.servings, 'servings') : 1;
+    const base = ingredient.foodId
+      ? await exports.getFood(ingredient.foodId, userId)
+      : normalizeRecord(ingredient);
+
+    const nutrients = {};
+    NUTRIENT_KEYS.forEach(key => {
+      if (base.nutrients?.[key] === undefined) return;
+      nutrients[key] = round(base.nutrients[key] * servings);
+    });
+
+    resolved.push({ foodId: base._id, name: base.name, servings, nutrients });
+  }
+
+  return { ingredients: resolved, yields: servingsMade, nutrients: perServing(resolved, servingsMade) };
+};
+
+/**
+ * Create a private (or public) custom food
+ */
+exports.createCustomFood = async (userId, data = {}) => {
+  const food = normalizeRecord(data);
+  return await Food.create({
+    ...food,
+    source: 'custom',
+    createdBy: userId,
+    isPublic: !!data.isPublic
+  });
+};
+
+/**
+ * Create a recipe from foods (by foodId) and/or inline ingredients
+ */
+exports.createRecipe = async (userId, data = {}) => {
+  const { name, ingredients, yields, instructions, servingSize, category, isPublic } = data;
+  const recipe = await buildRecipe(userId, ingredients, yields);
+
+  return await Food.create({
+    ...normalizeRecord({ name, category, servingSize, nutrients: recipe.nutrients }),
+    source: 'recipe',
+    createdBy: userId,
+    isPublic: !!isPublic,
+    recipe: { ingredients: recipe.ingredients, yields: recipe.yields, instructions }
+  });
+};
+
+/**
+ * Update a custom food or recipe owned by the user
+ */
+exports.updateCustomFood = async (userId, foodId, data = {}) => {
+  const food = await Food.findOne({ _id: foodId, createdBy: userId, isActive: true });
+  if (!food) throw new ErrorResponse('Food not found', 404);
+
+  if (food.source === 'recipe') {
+    if (data.ingredients) {
+      const recipe = await buildRecipe(userId, data.ingredients, data.yields || food.recipe.yields);
+      food.nutrients = recipe.nutrients;
+      food.recipe.ingredients = recipe.ingredients;
+      food.recipe.yields = recipe.yields;
+    } else if (data.yields) {
+      const yields = Number(data.yields);
+      if (!(yields >= 1)) throw new ErrorResponse('yields must be at least 1', 400);
+      food.recipe.yields = yields;
+      food.nutrients = perServing(food.recipe.ingredients.map(i => i.toObject()), yields);
+    }
+    if (data.instructions !== undefined) food.recipe.instructions = data.instructions;
+    ['name', 'category', 'servingSize'].forEach(key => {
+      if (data[key] !== undefined) food[key] = data[key];
+    });
+  } else {
+    // Flatten so partial nutrient updates merge with the stored values;
+    // changed macros without calories means calories are re-derived
+    const current = food.toObject();
+    const changes = { ...data, ...(data.nutrients || {}) };
+    const merged = { ...current, ...current.nutrients, ...changes, nutrients: undefined };
+    if (['protein', 'carbs', 'fat'].some(key => changes[key] !== undefined) && changes.calories === undefined) {
+      delete merged.calories;
+    }
+    Object.assign(food, normalizeRecord(merged));
+  }
+
+  if (data.isPublic !== undefined) food.isPublic = !!data.isPublic;
+  await food.save();
+  return food;
+};
+
+/**
+ * Soft-delete a custom food or recipe
+ */
+exports.deleteCustomFood = async (userId, foodId) => {
+  const result = await Food.updateOne({ _id: foodId, createdBy: userId, isActive: true }, { isActive: false });
+  if (result.matchedCount === 0) throw new ErrorResponse('Food not found', 404);
+  return { deleted: true };
+};
+
+/**
+ * The user's custom foods and recipes
+ */
+exports.listCustomFoods = async (userId) => {
+  return await Food.find({ createdBy: userId, isActive: true }).sort({ source: 1, name: 1 });
+};
+
+module.exports = exports;
@@ -0,0 +1,67 @@
+// Src/services/venus/foodProviders/openFoodFactsProvider.js - Open Food Facts barcode lookup
+// Public API, no key required. OFF asks clients to identify themselves
+// with a User-Agent (OPENFOODFACTS_USER_AGENT).
+const axios = require('axios');
+
+const BASE_URL = process.env.OPENFOODFACTS_URL || 'https://world.openfoodfacts.org';
+const FIELDS = 'code,product_name,brands,serving_size,serving_quantity,nutriments,categories_tags';
+
+class OpenFoodFactsProvider {
+  constructor() {
+    this.name = 'openfoodfacts';
+    this.userAgent = process.env.OPENFOODFACTS_USER_AGENT || 'PhoenixBackend/1.0';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Look up a product by GTIN
+   * @returns {object|null} food record (per serving) or null when unknown
+   */
+  async lookupBarcode(barcode, { timeoutMs } = {}) {
+    const response = await axios.get(`${BASE_URL}/api/v2/product/${barcode}.json`, {
+      params: { fields: FIELDS },
+      headers: { 'User-Agent': this.userAgent },
+      timeout: timeoutMs,
+      validateStatus: status => status === 200 || status === 404
+    });
+
+    const product = response.data?.product;
+    if (response.status === 404 || response.data?.status !== 1 || !product?.product_name) {
+      return null;
+    }
+
+    const n = product.nutriments || {};
+    const grams = Number(product.serving_quantity) || null;
+
+    // Prefer the label's per-serving values, else scale per-100 g values
+    const value = (key) => {
+      if (n[`${key}_serving`] !== undefined) return Number(n[`${key}_serving`]);
+      if (n[`${key}_100g`] === undefined) return undefined;
+      return grams ? Number(n[`${key}_100g`]) * grams / 100 : Number(n[`${key}_100g`]);
+    };
+    const hasServing = n['energy-kcal_serving'] !== undefined || !!grams;
+    const sodiumGrams = value('sodium');
+
+    return {
+      name: product.product_name,
+      brand: product.brands ? product.brands.split(',')[0].trim() : undefined,
+      barcode: product.code || barcode,
+      externalId: product.code || barcode,
+      category: product.categories_tags?.[0]?.replace(/^[a-z]{2}:/, ''),
+      servingSize: hasServing ? (product.serving_size || `${grams} g`) : '100 g',
+      servingGrams: hasServing ? grams : 100,
+      calories: value('energy-kcal'),
+      protein: value('proteins'),
+      carbs: value('carbohydrates'),
+      fat: value('fat'),
+      fiber: value('fiber'),
+      sugar: value('sugars'),
+      sodium: sodiumGrams !== undefined ? sodiumGrams * 1000 : undefined
+    };
+  }
+}
+
+module.exports = OpenFoodFactsProvider;
@@ -0,0 +1,68 @@
+// Src/services/venus/foodProviders/usdaProvider.js - USDA FoodData Central branded foods
+// Requires USDA_API_KEY (free from api.data.gov).
+const axios = require('axios');
+
+const BASE_URL = 'https://api.nal.usda.gov/fdc/v1';
+
+// FDC nutrient numbers; branded values are reported per 100 g/ml
+const NUTRIENTS = {
+  208: 'calories',
+  203: 'protein',
+  205: 'carbs',
+  204: 'fat',
+  291: 'fiber',
+  269: 'sugar',
+  307: 'sodium'
+};
+
+class USDAProvider {
+  constructor() {
+    this.name = 'usda';
+    this.apiKey = process.env.USDA_API_KEY;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Look up a branded food by GTIN/UPC
+   * @param {Function} normalizeBarcode - used to compare FDC's gtinUpc values
+   */
+  async lookupBarcode(barcode, { timeoutMs, normalizeBarcode } = {}) {
+    const response = await axios.get(`${BASE_URL}/foods/search`, {
+      params: { api_key: this.apiKey, query: barcode, dataType: 'Branded', pageSize: 5 },
+      timeout: timeoutMs
+    });
+
+    const food = (response.data?.foods || []).find(item =>
+      item.gtinUpc && (normalizeBarcode ? normalizeBarcode(item.gtinUpc) === barcode : item.gtinUpc === barcode)
+    );
+    if (!food) return null;
+
+    const per100 = {};
+    (food.foodNutrients || []).forEach(nutrient => {
+      const key = NUTRIENTS[nutrient.nutrientNumber];
+      if (key && per100[key] === undefined) per100[key] = Number(nutrient.value);
+    });
+
+    const grams = ['g', 'ml'].includes(String(food.servingSizeUnit).toLowerCase()) ? Number(food.servingSize) : null;
+    const scale = grams ? grams / 100 : 1;
+    const record = {
+      name: food.description,
+      brand: food.brandName || food.brandOwner,
+      barcode,
+      externalId: String(food.fdcId),
+      category: food.foodCategory,
+      servingSize: grams ? (food.householdServingFullText || `${grams} ${food.servingSizeUnit.toLowerCase()}`) : '100 g',
+      servingGrams: grams || 100
+    };
+    Object.entries(per100).forEach(([key, value]) => {
+      record[key] = value * scale;
+    });
+
+    return record;
+  }
+}
+
+module.exports = USDAProvider;
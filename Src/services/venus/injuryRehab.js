@@ -0,0 +1,721 @@
+// Injury Rehab Service
+// Injury reporting, phased rehab protocols, pain-driven phase progression
+// and the exercise restrictions workout generation has to respect
+
+const mongoose = require('mongoose');
+const InjuryLog = require('../../models/venus/InjuryLog');
+const Exercise = require('../../models/venus/Exercise');
+const exerciseLibrary = require('./exerciseLibrary');
+const ErrorResponse = require('../../utils/errorResponse');
+const library = require('../../data/rehabProtocols.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A pain log at or above this sends the protocol back a phase
+const REGRESS_PAIN = 6;
+// ...as does a log this far above what the current phase allows
+const FLARE_MARGIN = 3;
+
+const PHASE_STAGES = {
+  early: [1, 2],
+  mid: [3],
+  late: [4]
+};
+
+const BODY_PARTS = InjuryLog.schema.path('bodyPart').enumValues;
+const INJURY_TYPES = InjuryLog.schema.path('injuryType').enumValues;
+const SEVERITIES = InjuryLog.schema.path('severity').enumValues;
+
+const lower = (value) => String(value || '').toLowerCase();
+
+const formatDuration = (days) => {
+  if (days < 14) return `${days} day${days === 1 ? '' : 's'}`;
+  return `${Math.round(days / 7)} weeks`;
+};
+
+// ========================================
+// PROTOCOL LIBRARY
+// ========================================
+
+const resolveProtocol = (bodyPart, injuryType = 'other') => {
+  const region = library.bodyParts[bodyPart] || 'other';
+  const injuryClass = library.injuryClasses[injuryType] || 'soft-tissue';
+  return {
+    key: `${region}/${injuryClass}`,
+    region,
+    injuryClass,
+    rules: library.regions[region]
+  };
+};
+
+/**
+ * Phased protocol for a body part and injury type, scaled by severity
+ */
+const buildPhases = (bodyPart, injuryType, severity = 'moderate') => {
+  const { rules, injuryClass } = resolveProtocol(bodyPart, injuryType);
+  const scale = library.severityScale[severity] || 1;
+
+  return library.phaseTemplates[injuryClass].map((template, index) => {
+    const durationDays = Math.max(1, Math.round(template.days * scale));
+    return {
+      phase: index + 1,
+      name: template.name,
+      focus: template.focus,
+      duration: formatDuration(durationDays),
+      durationDays,
+      exercises: rules.exercises[template.focus] || [],
+      goals: template.goals,
+      advanceCriteria: {
+        maxPain: template.advance.maxPain,
+        minDays: Math.max(1, Math.round(template.advance.minDays * scale)),
+        sustainedLogs: template.advance.sustainedLogs
+      },
+      completed: false
+    };
+  });
+};
+
+/**
+ * Aggravating-exercise rules for the region that still apply at a phase
+ */
+const protocolModifications = (bodyPart, injuryType, phase) => {
+  const { rules } = resolveProtocol(bodyPart, injuryType);
+  return rules.aggravating
+    .filter(rule => phase <= rule.untilPhase)
+    .map(rule => ({
+      action: rule.action,
+      match: rule.match,
+      except: rule.except || {},
+      untilPhase: rule.untilPhase,
+      restrictions: rule.restriction,
+      source: 'protocol'
+    }));
+};
+
+/**
+ * Swap protocol modifications for the current phase, keeping report/manual ones
+ */
+const refreshModifications = (injury) => {
+  const phase = injury.rehabProtocol.currentPhase || 1;
+  const kept = injury.modifications.filter(mod => mod.source !== 'protocol');
+  injury.modifications = [
+    ...kept,
+    ...protocolModifications(injury.bodyPart, injury.injuryType, phase)
+  ];
+};
+
+const describeCriteria = ({ maxPain, minDays, sustainedLogs }) =>
+  `Pain at or below ${maxPain}/10 on ${sustainedLogs} consecutive logs, at least ${minDays} days into the phase`;
+
+const buildTimeline = (phases) => {
+  let day = 0;
+  const timeline = phases.map(phase => {
+    const startDay = day;
+    day += phase.durationDays;
+    return {
+      phase: phase.phase,
+      name: phase.name,
+      startDay,
+      endDay: day,
+      duration: phase.duration
+    };
+  });
+  return { totalDays: day, estimatedWeeks: Math.ceil(day / 7), phases: timeline };
+};
+
+const buildMilestones = (phases) => phases.map(phase => ({
+  phase: phase.phase,
+  name: phase.name,
+  goals: phase.goals,
+  criteria: phase.phase === phases.length
+    ? `${describeCriteria(phase.advanceCriteria)} - then the injury is marked healed`
+    : describeCriteria(phase.advanceCriteria),
+  completed: Boolean(phase.completed),
+  completedAt: phase.completedAt || null
+}));
+
+// ========================================
+// REPORTING & PROGRESS
+// ========================================
+
+/**
+ * Log a new injury and generate its rehab protocol and exercise modifications
+ */
+exports.reportInjury = async (userId, data = {}) => {
+  const {
+    bodyPart,
+    specificArea,
+    injuryType = 'other',
+    severity = 'moderate',
+    painLevel,
+    description,
+    cause,
+    causeDescription,
+    relatedWorkout,
+    relatedExercise,
+    dateOccurred
+  } = data;
+
+  if (!BODY_PARTS.includes(bodyPart)) {
+    throw new ErrorResponse(`bodyPart must be one of: ${BODY_PARTS.join(', ')}`, 400);
+  }
+  if (!INJURY_TYPES.includes(injuryType)) {
+    throw new ErrorResponse(`injuryType must be one of: ${INJURY_TYPES.join(', ')}`, 400);
+  }
+  if (!SEVERITIES.includes(severity)) {
+    throw new ErrorResponse(`severity must be one of: ${SEVERITIES.join(', ')}`, 400);
+  }
+  const pain = Number(painLevel);
+  if (painLevel === undefined || !Number.isFinite(pain) || pain < 0 || pain > 10) {
+    throw new ErrorResponse('painLevel must be a number from 0 to 10', 400);
+  }
+  if (!description || !String(description).trim()) {
+    throw new ErrorResponse('description is required', 400);
+  }
+
+  const now = new Date();
+
+  const previous = await InjuryLog.find({ userId, bodyPart }).sort({ dateOccurred: -1 }).select('_id');
+
+  const phases = buildPhases(bodyPart, injuryType, severity);
+  phases[0].startedAt = now;
+
+  const injury = new InjuryLog({
+    userId,
+    bodyPart,
+    specificArea,
+    injuryType,
+    severity,
+    painLevel: {
+      current: pain,
+      initial: pain,
+      history: [{ date: now, level: pain, notes: 'Reported' }]
+    },
+    description,
+    cause,
+    causeDescription,
+    relatedWorkout: mongoose.Types.ObjectId.isValid(relatedWorkout) ? relatedWorkout : undefined,
+    dateOccurred: dateOccurred ? new Date(dateOccurred) : now,
+    status: 'active',
+    recurrence: {
+      isPreviousInjury: previous.length > 0,
+      previousInjuryId: previous[0]?._id,
+      recurrenceCount: previous.length
+    },
+    rehabProtocol: {
+      key: resolveProtocol(bodyPart, injuryType).key,
+      phases,
+      currentPhase: 1
+    },
+    modifications: protocolModifications(bodyPart, injuryType, 1)
+  });
+
+  const totalDays = phases.reduce((sum, phase) => sum + phase.durationDays, 0);
+  injury.estimatedRecoveryTime = totalDays < 14
+    ? { value: totalDays, unit: 'days' }
+    : { value: Math.ceil(totalDays / 7), unit: 'weeks' };
+
+  // The exercise that caused it stays out until the final phase
+  if (mongoose.Types.ObjectId.isValid(relatedExercise)) {
+    const exercise = await Exercise.findById(relatedExercise).select('name');
+    if (exercise) {
+      injury.relatedExercise = exercise._id;
+      const alternative = await pickAlternative(exercise._id, userId, injury);
+      injury.modifications.unshift({
+        exerciseToAvoid: exercise.name,
+        exerciseId: exercise._id,
+        alternative: alternative?.name,
+        action: 'avoid',
+        untilPhase: phases.length - 1,
+        restrictions: `Avoid ${exercise.name} until the return-to-training phase`,
+        source: 'report'
+      });
+    }
+  }
+
+  await injury.save();
+
+  return {
+    injury,
+    recommendedRest: recommendedRest(injury),
+    modifications: injury.modifications,
+    protocol: exports.summarizeProtocol(injury)
+  };
+};
+
+/**
+ * Best library alternative for an exercise that doesn't break the injury's own rules
+ */
+async function pickAlternative(exerciseId, userId, injury) {
+  try {
+    const { alternatives } = await exerciseLibrary.findAlternatives(exerciseId, userId, { reason: 'injury', limit: 10 });
+    const restrictions = injury.modifications.map(mod => toRestriction(injury, mod));
+    const safe = alternatives.find(alt => !exports.checkExercise(alt.exercise, restrictions).blocked);
+    return safe?.exercise || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function recommendedRest(injury) {
+  const first = injury.rehabProtocol.phases[0];
+  let guidance = `Rest the ${injury.bodyPart} for about ${first.duration} and keep training unaffected areas`;
+
+  if (injury.severity === 'critical' || resolveProtocol(injury.bodyPart, injury.injuryType).injuryClass === 'bone') {
+    guidance = `Get a medical assessment before loading the ${injury.bodyPart}; train unaffected areas only`;
+  } else if (injury.painLevel.current >= 7) {
+    guidance = `Pain is high - take ${first.duration} off training the ${injury.bodyPart} and reassess`;
+  }
+
+  return {
+    days: first.durationDays,
+    guidance,
+    seeProfessional: injury.severity === 'severe' || injury.severity === 'critical' || injury.painLevel.current >= 7
+  };
+}
+
+/**
+ * Log pain (and optional ROM/strength notes) and move the protocol on or back
+ */
+exports.logProgress = async (userId, injuryId, data = {}) => {
+  const pain = Number(data.painLevel);
+  if (data.painLevel === undefined || !Number.isFinite(pain) || pain < 0 || pain > 10) {
+    throw new ErrorResponse('painLevel must be a number from 0 to 10', 400);
+  }
+
+  const injury = await loadInjury(userId, injuryId);
+  if (injury.status === 'healed') {
+    throw new ErrorResponse('Injury is already healed', 400);
+  }
+
+  await injury.addProgressNote({
+    painLevel: pain,
+    rangeOfMotion: data.rangeOfMotion,
+    strength: data.strength,
+    functionalAbility: data.functionalAbility,
+    notes: data.notes
+  });
+
+  const transition = exports.evaluatePhase(injury);
+  if (transition) await injury.save();
+
+  return {
+    injury,
+    transition,
+    protocol: exports.summarizeProtocol(injury),
+    modifications: injury.modifications
+  };
+};
+
+/**
+ * Advance or regress the rehab phase from the pain logged during it
+ * @returns {object|null} the transition, or null when the phase stands
+ */
+exports.evaluatePhase = (injury, now = new Date()) => {
+  const protocol = injury.rehabProtocol;
+  if (!protocol?.phases?.length || injury.status === 'healed') return null;
+
+  const current = protocol.currentPhase || 1;
+  const phase = protocol.phases[current - 1];
+  const startedAt = phase.startedAt || injury.dateReported || injury.createdAt;
+  const criteria = phase.advanceCriteria || {};
+
+  const logs = injury.painLevel.history
+    .filter(entry => entry.date && entry.date >= startedAt)
+    .sort((a, b) => a.date - b.date);
+  const latest = logs[logs.length - 1];
+  if (!latest) return null;
+
+  let transition = null;
+
+  // Flare-up: step back a phase
+  const flareAt = Math.min(REGRESS_PAIN, (criteria.maxPain ?? 2) + FLARE_MARGIN);
+  if (current > 1 && latest.level >= flareAt) {
+    const previous = protocol.phases[current - 2];
+    phase.startedAt = undefined;
+    previous.completed = false;
+    previous.completedAt = undefined;
+    previous.startedAt = now;
+    protocol.currentPhase = current - 1;
+    transition = { from: current, to: current - 1, reason: `Pain flared to ${latest.level}/10` };
+  } else {
+    const daysInPhase = (now - startedAt) / DAY_MS;
+    const recent = logs.slice(-(criteria.sustainedLogs || 1));
+    const sustained = recent.length >= (criteria.sustainedLogs || 1) &&
+      recent.every(entry => entry.level <= criteria.maxPain);
+
+    if (daysInPhase >= (criteria.minDays || 0) && sustained) {
+      phase.completed = true;
+      phase.completedAt = now;
+
+      if (current === protocol.phases.length) {
+        transition = { from: current, to: null, reason: 'Protocol complete' };
+        injury.status = 'healed';
+        injury.recoveryDate = now;
+      } else {
+        protocol.phases[current].startedAt = now;
+        protocol.currentPhase = current + 1;
+        transition = {
+          from: current,
+          to: current + 1,
+          reason: `Pain at or below ${criteria.maxPain}/10 on ${recent.length} logs`
+        };
+      }
+    }
+  }
+
+  if (!transition) return null;
+
+  if (injury.status !== 'healed') {
+    injury.status = protocol.currentPhase > 1 ? 'recovering' : 'active';
+  }
+  protocol.transitions.push({ ...transition, date: now });
+  refreshModifications(injury);
+
+  return {
+    ...transition,
+    phase: transition.to ? protocol.phases[transition.to - 1].name : null,
+    healed: injury.status === 'healed'
+  };
+};
+
+/**
+ * Close an injury by hand: healed, or chronic (keeps its restrictions)
+ */
+exports.resolveInjury = async (userId, injuryId, status = 'healed') => {
+  if (!['healed', 'chronic'].includes(status)) {
+    throw new ErrorResponse("status must be 'healed' or 'chronic'", 400);
+  }
+
+  const injury = await loadInjury(userId, injuryId);
+
+  if (status === 'healed') {
+    await injury.markAsHealed();
+  } else {
+    injury.status = 'chronic';
+    await injury.save();
+  }
+
+  return { injury, reinjuryRisk: injury.calculateReinjuryRisk() };
+};
+
+async function loadInjury(userId, injuryId) {
+  if (!mongoose.Types.ObjectId.isValid(injuryId)) {
+    throw new ErrorResponse('Injury not found', 404);
+  }
+  const injury = await InjuryLog.findOne({ _id: injuryId, userId });
+  if (!injury) throw new ErrorResponse('Injury not found', 404);
+  return injury;
+}
+
+exports.summarizeProtocol = (injury) => {
+  const protocol = injury.rehabProtocol;
+  const current = protocol.phases[(protocol.currentPhase || 1) - 1];
+
+  return {
+    key: protocol.key,
+    currentPhase: protocol.currentPhase,
+    totalPhases: protocol.phases.length,
+    phase: current && {
+      name: current.name,
+      exercises: current.exercises,
+      goals: current.goals,
+      advanceWhen: describeCriteria(current.advanceCriteria),
+      startedAt: current.startedAt
+    },
+    timeline: buildTimeline(protocol.phases)
+  };
+};
+
+// ========================================
+// HISTORY, PREVENTION & PROTOCOL LOOKUP
+// ========================================
+
+exports.getHistory = async (userId, { status, bodyPart } = {}) => {
+  const query = { userId };
+  if (status) query.status = status;
+  if (bodyPart) query.bodyPart = bodyPart;
+
+  const [injuries, patterns] = await Promise.all([
+    InjuryLog.find(query).sort({ dateOccurred: -1 }),
+    InjuryLog.getInjuryPatterns(userId)
+  ]);
+
+  return {
+    injuries: injuries.map(injury => ({
+      ...injury.toObject({ virtuals: true }),
+      reinjuryRisk: injury.calculateReinjuryRisk()
+    })),
+    patterns
+  };
+};
+
+/**
+ * Prehab and mobility for a body part, or for the areas the user's history
+ * says need it most
+ */
+exports.getPreventionProtocols = async (userId, bodyPart) => {
+  let targets;
+
+  if (bodyPart) {
+    if (!BODY_PARTS.includes(bodyPart)) {
+      throw new ErrorResponse(`bodyPart must be one of: ${BODY_PARTS.join(', ')}`, 400);
+    }
+    targets = [{ bodyPart, reason: 'Requested' }];
+  } else {
+    const injuries = await InjuryLog.find({ userId }).sort({ dateOccurred: -1 }).select('bodyPart status');
+    const counts = {};
+    injuries.forEach(injury => { counts[injury.bodyPart] = (counts[injury.bodyPart] || 0) + 1; });
+
+    targets = Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([part, count]) => ({
+        bodyPart: part,
+        reason: injuries.some(i => i.bodyPart === part && i.status !== 'healed')
+          ? 'Current injury'
+          : `${count} previous injur${count === 1 ? 'y' : 'ies'}`
+      }));
+
+    // Most commonly injured areas in strength training
+    if (targets.length === 0) {
+      targets = ['lower-back', 'shoulder', 'knee'].map(part => ({ bodyPart: part, reason: 'Common injury site' }));
+    }
+  }
+
+  const protocols = targets.map(({ bodyPart: part, reason }) => {
+    const { region, rules } = resolveProtocol(part);
+    return {
+      bodyPart: part,
+      region,
+      reason,
+      prehab: rules.prevention.prehab,
+      mobility: rules.prevention.mobility,
+      tips: rules.prevention.tips,
+      frequency: '2-3x per week, 10-15 minutes'
+    };
+  });
+
+  const unique = (lists) => [...new Set(lists.flat())];
+
+  return {
+    protocols,
+    prehab: unique(protocols.map(p => p.prehab)),
+    mobility: unique(protocols.map(p => p.mobility))
+  };
+};
+
+/**
+ * Rehab protocols for one of the user's injuries, a body part/injury type
+ * preview, or all of the user's active injuries
+ */
+exports.getRehabProtocols = async (userId, { injuryId, bodyPart, injuryType = 'other', severity = 'moderate', phase } = {}) => {
+  let protocols;
+
+  if (injuryId) {
+    const injury = await loadInjury(userId, injuryId);
+    protocols = [protocolView(injury.rehabProtocol, injury)];
+  } else if (bodyPart) {
+    if (!BODY_PARTS.includes(bodyPart)) {
+      throw new ErrorResponse(`bodyPart must be one of: ${BODY_PARTS.join(', ')}`, 400);
+    }
+    if (!INJURY_TYPES.includes(injuryType)) {
+      throw new ErrorResponse(`injuryType must be one of: ${INJURY_TYPES.join(', ')}`, 400);
+    }
+    if (!SEVERITIES.includes(severity)) {
+      throw new ErrorResponse(`severity must be one of: ${SEVERITIES.join(', ')}`, 400);
+    }
+    const { key, rules } = resolveProtocol(bodyPart, injuryType);
+    protocols = [{
+      bodyPart,
+      injuryType,
+      severity,
+      key,
+      currentPhase: null,
+      phases: buildPhases(bodyPart, injuryType, severity),
+      avoid: rules.aggravating.map(rule => ({ restriction: rule.restriction, action: rule.action, untilPhase: rule.untilPhase }))
+    }];
+  } else {
+    const active = await InjuryLog.getActiveInjuries(userId);
+    protocols = active
+      .filter(injury => injury.rehabProtocol?.phases?.length)
+      .map(injury => protocolView(injury.rehabProtocol, injury));
+  }
+
+  if (phase !== undefined) {
+    const wanted = PHASE_STAGES[phase] || [parseInt(phase)].filter(Number.isFinite);
+    if (wanted.length === 0) {
+      throw new ErrorResponse("phase must be 'early', 'mid', 'late' or a phase number", 400);
+    }
+    protocols = protocols.map(p => ({ ...p, phases: p.phases.filter(ph => wanted.includes(ph.phase)) }));
+  }
+
+  const primary = protocols[0];
+  return {
+    protocols,
+    timeline: primary ? buildTimeline(primary.phases) : null,
+    milestones: primary ? buildMilestones(primary.phases) : []
+  };
+};
+
+function protocolView(protocol, injury) {
+  const plain = typeof protocol.toObject === 'function' ? protocol.toObject() : protocol;
+  return {
+    injuryId: injury._id,
+    bodyPart: injury.bodyPart,
+    injuryType: injury.injuryType,
+    severity: injury.severity,
+    key: plain.key,
+    currentPhase: plain.currentPhase,
+    phases: plain.phases,
+    transitions: plain.transitions
+  };
+}
+
+// ========================================
+// WORKOUT GENERATION RESTRICTIONS
+// ========================================
+
+function toRestriction(injury, mod) {
+  return {
+    injuryId: injury._id,
+    bodyPart: injury.bodyPart,
+    action: mod.action || 'avoid',
+    match: mod.match || {},
+    except: mod.except || {},
+    exerciseId: mod.exerciseId,
+    exerciseToAvoid: mod.exerciseToAvoid,
+    alternative: mod.alternative,
+    restriction: mod.restrictions
+  };
+}
+
+/**
+ * Modifications in force across the user's active, recovering and chronic injuries
+ */
+exports.getActiveRestrictions = async (userId) => {
+  const injuries = await InjuryLog.find({
+    userId,
+    status: { $in: ['active', 'recovering', 'chronic'] }
+  }).select('bodyPart modifications rehabProtocol.currentPhase');
+
+  return injuries.flatMap(injury => {
+    const phase = injury.rehabProtocol?.currentPhase || 1;
+    return injury.modifications
+      .filter(mod => mod.untilPhase == null || phase <= mod.untilPhase)
+      .map(mod => toRestriction(injury, mod));
+  });
+};
+
+const matchesRestriction = (exercise, restriction) => {
+  const name = lower(exercise.name);
+
+  if (restriction.exerciseId && String(restriction.exerciseId) === String(exercise._id || exercise.exerciseId)) return true;
+  if (restriction.exerciseToAvoid && lower(restriction.exerciseToAvoid) === name) return true;
+
+  const tags = exercise.tags || [];
+  const except = restriction.except || {};
+  if ((except.tags || []).some(tag => tags.includes(tag))) return false;
+  if ((except.keywords || []).some(keyword => name.includes(lower(keyword)))) return false;
+
+  const match = restriction.match || {};
+  return Boolean(
+    (match.movementPatterns || []).includes(exercise.movementPattern) ||
+    (match.muscles || []).some(muscle => (exercise.primaryMuscles || []).includes(muscle)) ||
+    (match.categories || []).includes(exercise.muscleCategory) ||
+    (match.tags || []).some(tag => tags.includes(tag)) ||
+    (match.keywords || []).some(keyword => name.includes(lower(keyword)))
+  );
+};
+
+/**
+ * @returns {{ blocked: object|null, limits: object[] }} the first 'avoid' rule hit and any 'limit' notes
+ */
+exports.checkExercise = (exercise, restrictions = []) => {
+  const hits = restrictions.filter(restriction => matchesRestriction(exercise, restriction));
+  return {
+    blocked: hits.find(hit => hit.action === 'avoid') || null,
+    limits: hits.filter(hit => hit.action === 'limit')
+  };
+};
+
+/**
+ * Drop aggravating exercises from a candidate pool (for generators that pick from it)
+ */
+exports.filterExercises = (exercises, restrictions = []) => {
+  const allowed = [];
+  const blocked = [];
+
+  exercises.forEach(exercise => {
+    const { blocked: rule, limits } = exports.checkExercise(exercise, restrictions);
+    if (rule) {
+      blocked.push({ exercise: exercise.name, bodyPart: rule.bodyPart, reason: rule.restriction });
+    } else {
+      allowed.push(limits.length
+        ? { ...exercise, injuryNotes: limits.map(limit => limit.restriction) }
+        : exercise);
+    }
+  });
+
+  return { allowed, blocked };
+};
+
+/**
+ * Replace aggravating exercises in an already-chosen list with safe ones from
+ * the pool (same muscles first); drop them when nothing fits
+ */
+exports.substituteExercises = (selected, restrictions = [], pool = []) => {
+  if (restrictions.length === 0) return { exercises: selected, adjustments: [] };
+
+  const chosen = new Set(selected.map(exercise => exercise.name));
+  const exercises = [];
+  const adjustments = [];
+
+  selected.forEach(exercise => {
+    const { blocked, limits } = exports.checkExercise(exercise, restrictions);
+
+    if (!blocked) {
+      if (limits.length) {
+        exercises.push({ ...exercise, injuryNotes: limits.map(limit => limit.restriction) });
+        adjustments.push({ action: 'limited', exercise: exercise.name, reason: limits[0].restriction });
+      } else {
+        exercises.push(exercise);
+      }
+      return;
+    }
+
+    const muscles = exercise.primaryMuscles || [];
+    const candidates = pool
+      .filter(candidate => !chosen.has(candidate.name))
+      .filter(candidate => !exports.checkExercise(candidate, restrictions).blocked)
+      .map(candidate => ({
+        candidate,
+        score: (blocked.alternative && lower(candidate.name) === lower(blocked.alternative) ? 10 : 0) +
+          (candidate.primaryMuscles || []).filter(muscle => muscles.includes(muscle)).length +
+          (candidate.muscleCategory === exercise.muscleCategory ? 0.5 : 0)
+      }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    const substitute = candidates[0]?.candidate;
+    if (substitute) {
+      chosen.add(substitute.name);
+      exercises.push({ ...substitute, substitutedFor: exercise.name, injuryNotes: [blocked.restriction] });
+      adjustments.push({
+        action: 'substituted',
+        exercise: exercise.name,
+        substitute: substitute.name,
+        bodyPart: blocked.bodyPart,
+        reason: blocked.restriction
+      });
+    } else {
+      adjustments.push({ action: 'blocked', exercise: exercise.name, bodyPart: blocked.bodyPart, reason: blocked.restriction });
+    }
+  });
+
+  return { exercises, adjustments };
+};
+
+exports.REGRESS_PAIN = REGRESS_PAIN;
+
+module.exports = exports;
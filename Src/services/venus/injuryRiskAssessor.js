@@ -81,10 +81,10 @@ async function analyzeTrainingLoad(userId) {
   fourWeeksAgo.setDate(fourWeeksAgo.getDate() - 28);
 
   const workouts = await Workout.find({
-    userId,
-    date: { $gte: fourWeeksAgo },
+    clientId: userId,
+    completedAt: { $gte: fourWeeksAgo },
     completed: true
-  }).sort({ date: 1 });
+  }).sort({ completedAt: 1 });
 
   if (workouts.length < 4) {
     return {
@@ -104,7 +104,7 @@ async function analyzeTrainingLoad(userId) {
     const weekEnd = new Date(weekStart.getTime() + sevenDaysMs);
 
     const weekWorkouts = workouts.filter(w => 
-      w.date >= weekStart && w.date < weekEnd
+      w.completedAt >= weekStart && w.completedAt < weekEnd
     );
 
     const load = weekWorkouts.reduce((sum, w) => {
@@ -275,9 +275,9 @@ async function analyzeInjuryHistory(userId) {
  */
 async function analyzeMovementPatterns(userId) {
   const recentWorkouts = await Workout.find({
-    userId,
+    clientId: userId,
     completed: true
-  }).sort({ date: -1 }).limit(20);
+  }).sort({ completedAt: -1 }).limit(20);
 
   if (recentWorkouts.length < 5) {
     return {
@@ -1,10 +1,116 @@
 // AI Meal Planning Service
 // Meal plan generation, photo analysis, recipe suggestions
 
+const crypto = require('crypto');
 const nutritionCalc = require('./nutritionCalc');
+const nutritionTracker = require('./nutritionTracker');
+const aiProvider = require('../ai/aiProvider');
+
+// Sample meal database (in production, this would be extensive)
+const MEAL_DATABASE = {
+  breakfast: [
+    { name: 'Oatmeal with berries', protein: 15, carbs: 60, fat: 8, calories: 350, cost: 3 },
+    { name: 'Greek yogurt parfait', protein: 25, carbs: 40, fat: 10, calories: 340, cost: 4 },
+    { name: 'Scrambled eggs with toast', protein: 20, carbs: 30, fat: 15, calories: 330, cost: 3 },
+    { name: 'Protein smoothie', protein: 30, carbs: 45, fat: 12, calories: 400, cost: 5 }
+  ],
+  lunch: [
+    { name: 'Chicken breast with rice', protein: 40, carbs: 60, fat: 12, calories: 500, cost: 6 },
+    { name: 'Salmon salad', protein: 35, carbs: 20, fat: 20, calories: 420, cost: 8 },
+    { name: 'Turkey sandwich', protein: 30, carbs: 50, fat: 15, calories: 450, cost: 5 },
+    { name: 'Quinoa bowl', protein: 25, carbs: 55, fat: 18, calories: 480, cost: 6 }
+  ],
+  dinner: [
+    { name: 'Grilled chicken with vegetables', protein: 45, carbs: 30, fat: 15, calories: 450, cost: 7 },
+    { name: 'Lean steak with sweet potato', protein: 50, carbs: 40, fat: 20, calories: 550, cost: 10 },
+    { name: 'Fish tacos', protein: 35, carbs: 45, fat: 18, calories: 480, cost: 8 },
+    { name: 'Pasta with lean meat', protein: 40, carbs: 70, fat: 15, calories: 580, cost: 6 }
+  ],
+  snack: [
+    { name: 'Protein bar', protein: 20, carbs: 25, fat: 8, calories: 240, cost: 2 },
+    { name: 'Apple with peanut butter', protein: 5, carbs: 30, fat: 10, calories: 220, cost: 2 },
+    { name: 'Cottage cheese', protein: 15, carbs: 10, fat: 5, calories: 140, cost: 2 }
+  ]
+};
+
+const MEAL_SLOTS = [
+  { mealType: 'Breakfast', time: '8:00 AM', category: 'breakfast' },
+  { mealType: 'Lunch', time: '12:00 PM', category: 'lunch' },
+  { mealType: 'Dinner', time: '6:00 PM', category: 'dinner' },
+  { mealType: 'Snack', time: '3:00 PM', category: 'snack' }
+];
+
+/**
+ * Stable pick from a list - same seed always yields the same item
+ */
+const pickSeeded = (items, seed) => {
+  const digest = crypto.createHash('sha1').update(seed).digest('hex');
+  return items[parseInt(digest.slice(0, 8), 16) % items.length];
+};
+
+/**
+ * Rule-based day plans from the meal database (deterministic per user/day)
+ */
+const buildTemplateDays = (userId, duration, mealsPerDay) => {
+  const slots = MEAL_SLOTS.slice(0, mealsPerDay > 3 ? 4 : 3);
+  const days = [];
+
+  for (let day = 1; day <= duration; day++) {
+    days.push({
+      day,
+      meals: slots.map(slot => ({
+        mealType: slot.mealType,
+        time: slot.time,
+        ...pickSeeded(MEAL_DATABASE[slot.category], `${userId}:${day}:${slot.category}`)
+      }))
+    });
+  }
+
+  return days;
+};
+
+const buildMealPlanPrompt = ({ goals, dietaryPreferences, allergies, budget, duration, mealsPerDay, calorieTarget, macroTargets }) =>
+  `Create a ${duration}-day meal plan with ${mealsPerDay} meals per day.
+
+Goal: ${goals}
+Calories per day: ${calorieTarget}
+Macros per day: protein ${macroTargets.protein}g, carbs ${macroTargets.carbs}g, fat ${macroTargets.fat}g
+Dietary preferences: ${dietaryPreferences.join(', ') || 'none'}
+Allergies (never include): ${allergies.join(', ') || 'none'}
+Budget: ${budget}
+
+Respond with JSON only:
+{"days":[{"day":1,"meals":[{"mealType":"Breakfast","time":"8:00 AM","name":"...","protein":0,"carbs":0,"fat":0,"calories":0,"cost":0}]}]}`;
+
+/**
+ * Validate AI output into the day plan shape; returns null if unusable
+ */
+const normalizeAIDays = (data, duration) => {
+  if (!data || !Array.isArray(data.days) || data.days.length === 0) return null;
+
+  const days = data.days.slice(0, duration).map((day, index) => ({
+    day: index + 1,
+    meals: (Array.isArray(day.meals) ? day.meals : [])
+      .filter(meal => meal && meal.name)
+      .map(meal => ({
+        mealType: meal.mealType || 'Meal',
+        time: meal.time,
+        name: String(meal.name),
+        protein: Number(meal.protein) || 0,
+        carbs: Number(meal.carbs) || 0,
+        fat: Number(meal.fat) || 0,
+        calories: Number(meal.calories) || 0,
+        cost: Number(meal.cost) || 0
+      }))
+  }));
+
+  return days.every(day => day.meals.length > 0) ? days : null;
+};
 
 /**
  * Generate AI-powered meal plan
+ * Uses the configured AI provider for the 'meal_plan' feature and falls
+ * back to the rule-based templates when it is unavailable or returns junk.
  */
 exports.generate = async (userId, preferences = {}) => {
   try {
@@ -14,11 +120,21 @@ exports.generate = async (userId, preferences = {}) => {
       allergies = [],
       budget = 'medium',
       duration = 7,  // days
-      mealsPerDay = 3,
-      calorieTarget = 2000,
-      macroTargets = { protein: 150, carbs: 200, fat: 65 }
+      mealsPerDay = 3
     } = preferences;
 
+    // Explicit targets win, then the user's stored targets, then defaults
+    let { calorieTarget, macroTargets } = preferences;
+    let targetSource = 'request';
+    if (!calorieTarget || !macroTargets) {
+      const stored = await nutritionTracker.getTargets(userId);
+      targetSource = stored.isSet ? 'stored' : 'default';
+      calorieTarget = calorieTarget || (stored.isSet ? stored.calories : 2000);
+      macroTargets = macroTargets || (stored.isSet
+        ? { protein: stored.protein, carbs: stored.carbs, fat: stored.fat }
+        : { protein: 150, carbs: 200, fat: 65 });
+    }
+
     const mealPlan = {
       days: [],
       shoppingList: [],
@@ -26,60 +142,36 @@ exports.generate = async (userId, preferences = {}) => {
       estimatedCost: 0
     };
 
-    // Sample meal database (in production, this would be extensive)
-    const mealDatabase = {
-      breakfast: [
-        { name: 'Oatmeal with berries', protein: 15, carbs: 60, fat: 8, calories: 350, cost: 3 },
-        { name: 'Greek yogurt parfait', protein: 25, carbs: 40, fat: 10, calories: 340, cost: 4 },
-        { name: 'Scrambled eggs with toast', protein: 20, carbs: 30, fat: 15, calories: 330, cost: 3 },
-        { name: 'Protein smoothie', protein: 30, carbs: 45, fat: 12, calories: 400, cost: 5 }
-      ],
-      lunch: [
-        { name: 'Chicken breast with rice', protein: 40, carbs: 60, fat: 12, calories: 500, cost: 6 },
-        { name: 'Salmon salad', protein: 35, carbs: 20, fat: 20, calories: 420, cost: 8 },
-        { name: 'Turkey sandwich', protein: 30, carbs: 50, fat: 15, calories: 450, cost: 5 },
-        { name: 'Quinoa bowl', protein: 25, carbs: 55, fat: 18, calories: 480, cost: 6 }
-      ],
-      dinner: [
-        { name: 'Grilled chicken with vegetables', protein: 45, carbs: 30, fat: 15, calories: 450, cost: 7 },
-        { name: 'Lean steak with sweet potato', protein: 50, carbs: 40, fat: 20, calories: 550, cost: 10 },
-        { name: 'Fish tacos', protein: 35, carbs: 45, fat: 18, calories: 480, cost: 8 },
-        { name: 'Pasta with lean meat', protein: 40, carbs: 70, fat: 15, calories: 580, cost: 6 }
-      ],
-      snack: [
-        { name: 'Protein bar', protein: 20, carbs: 25, fat: 8, calories: 240, cost: 2 },
-        { name: 'Apple with peanut butter', protein: 5, carbs: 30, fat: 10, calories: 220, cost: 2 },
-        { name: 'Cottage cheese', protein: 15, carbs: 10, fat: 5, calories: 140, cost: 2 }
-      ]
-    };
+    const templateDays = buildTemplateDays(userId, duration, mealsPerDay);
+    let days = null;
+    let source = 'rules';
+
+    if (aiProvider.isAvailable('meal_plan')) {
+      try {
+        const result = await aiProvider.generateJSON({
+          feature: 'meal_plan',
+          userId,
+          prompt: buildMealPlanPrompt({
+            goals, dietaryPreferences, allergies, budget, duration, mealsPerDay, calorieTarget, macroTargets
+          }),
+          mockResponse: { days: templateDays }
+        });
+        days = normalizeAIDays(result.data, duration);
+        if (days) source = result.provider;
+      } catch (error) {
+        console.error('AI meal plan failed, using templates:', error.message);
+      }
+    }
 
     // Generate meal plan for each day
-    for (let day = 1; day <= duration; day++) {
+    (days || templateDays).forEach(({ day, meals }) => {
       const dayPlan = {
         day,
         date: new Date(Date.now() + (day - 1) * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-        meals: [],
+        meals,
         dailyMacros: { protein: 0, carbs: 0, fat: 0, calories: 0 }
       };
 
-      // Add breakfast
-      const breakfast = mealDatabase.breakfast[Math.floor(Math.random() * mealDatabase.breakfast.length)];
-      dayPlan.meals.push({ mealType: 'Breakfast', time: '8:00 AM', ...breakfast });
-
-      // Add lunch
-      const lunch = mealDatabase.lunch[Math.floor(Math.random() * mealDatabase.lunch.length)];
-      dayPlan.meals.push({ mealType: 'Lunch', time: '12:00 PM', ...lunch });
-
-      // Add dinner
-      const dinner = mealDatabase.dinner[Math.floor(Math.random() * mealDatabase.dinner.length)];
-      dayPlan.meals.push({ mealType: 'Dinner', time: '6:00 PM', ...dinner });
-
-      // Add snack if needed
-      if (mealsPerDay > 3) {
-        const snack = mealDatabase.snack[Math.floor(Math.random() * mealDatabase.snack.length)];
-        dayPlan.meals.push({ mealType: 'Snack', time: '3:00 PM', ...snack });
-      }
-
       // Calculate daily macros
       dayPlan.meals.forEach(meal => {
         dayPlan.dailyMacros.protein += meal.protein;
@@ -89,7 +181,7 @@ exports.generate = async (userId, preferences = {}) => {
       });
 
       mealPlan.days.push(dayPlan);
-    }
+    });
 
     // Generate shopping list
     const ingredients = new Set();
@@ -112,18 +204,21 @@ exports.generate = async (userId, preferences = {}) => {
     });
 
     // Average per day
-    mealPlan.macros.protein = Math.round(mealPlan.macros.protein / duration);
-    mealPlan.macros.carbs = Math.round(mealPlan.macros.carbs / duration);
-    mealPlan.macros.fat = Math.round(mealPlan.macros.fat / duration);
-    mealPlan.macros.calories = Math.round(mealPlan.macros.calories / duration);
+    const dayCount = mealPlan.days.length || 1;
+    mealPlan.macros.protein = Math.round(mealPlan.macros.protein / dayCount);
+    mealPlan.macros.carbs = Math.round(mealPlan.macros.carbs / dayCount);
+    mealPlan.macros.fat = Math.round(mealPlan.macros.fat / dayCount);
+    mealPlan.macros.calories = Math.round(mealPlan.macros.calories / dayCount);
 
     return {
       mealPlan,
+      source,
+      targets: { calories: calorieTarget, ...macroTargets, source: targetSource },
       adherenceScore: 95, // Estimated
       reasoning: [
-        `Generated ${duration}-day meal plan`,
+        `Generated ${mealPlan.days.length}-day meal plan`,
         `${mealsPerDay} meals per day`,
-        `Target: ${calorieTarget} calories/day`,
+        `Target: ${calorieTarget} calories/day (${targetSource} targets)`,
         `Estimated cost: $${mealPlan.estimatedCost.toFixed(2)}`
       ]
     };
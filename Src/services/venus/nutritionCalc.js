@@ -200,7 +200,7 @@ function calculateMacros(calories, goal, weightKg, bodyFat = null) {
 /**
  * Calculate daily water intake recommendation
  */
-exports.calculateWaterIntake = (weightKg, activityLevel = 'moderate', climate = 'normal') {
+exports.calculateWaterIntake = (weightKg, activityLevel = 'moderate', climate = 'normal') => {
   // Base: 35ml per kg of body weight
   let waterMl = weightKg * 35;
 
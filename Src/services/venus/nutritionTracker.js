@@ -0,0 +1,735 @@
+// Nutrition Tracker Service
+// Meal logging, macro rollups against stored targets, water tracking and insights
+
+const Nutrition = require('../../models/venus/Nutrition');
+const nutritionCalc = require('./nutritionCalc');
+const foodDatabase = require('./foodDatabase');
+const aiProvider = require('../ai/aiProvider');
+const ErrorResponse = require('../../utils/errorResponse');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WATER_TARGET_ML = 2500;
+const OZ_TO_ML = 29.5735;
+const MACROS = ['calories', 'protein', 'carbs', 'fat'];
+
+// Same band nutritionCalc.analyzeMacroBalance treats as on-track
+const ADHERENCE_BAND = { min: 0.85, max: 1.15 };
+
+/**
+ * Midnight (server time) of a date; "YYYY-MM-DD" is read as a local date
+ */
+const startOfDay = (value) => {
+  const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T00:00:00`)
+    : value ? new Date(value) : new Date();
+
+  if (isNaN(date.getTime())) {
+    throw new ErrorResponse(`Invalid date: ${value}`, 400);
+  }
+
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const toNumber = (value, field) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new ErrorResponse(`${field} must be a non-negative number`, 400);
+  }
+  return number;
+};
+
+/**
+ * Validate a food entry; calories default to 4/4/9 kcal per gram of macros
+ */
+const normalizeFood = (food = {}) => {
+  if (!food.name || typeof food.name !== 'string') {
+    throw new ErrorResponse('Each food needs a name', 400);
+  }
+
+  const normalized = {
+    foodId: food.foodId,
+    barcode: food.barcode,
+    name: food.name.trim(),
+    servings: toNumber(food.servings, `${food.name} servings`) ?? 1,
+    servingSize: food.servingSize,
+    protein: toNumber(food.protein, `${food.name} protein`) || 0,
+    carbs: toNumber(food.carbs, `${food.name} carbs`) || 0,
+    fat: toNumber(food.fat, `${food.name} fat`) || 0,
+    fiber: toNumber(food.fiber, `${food.name} fiber`),
+    sugar: toNumber(food.sugar, `${food.name} sugar`),
+    sodium: toNumber(food.sodium, `${food.name} sodium`)
+  };
+
+  const calories = toNumber(food.calories, `${food.name} calories`);
+  normalized.calories = calories !== undefined
+    ? calories
+    : round(normalized.protein * 4 + normalized.carbs * 4 + normalized.fat * 9, 0);
+
+  return normalized;
+};
+
+/**
+ * Fill foods given as { foodId | barcode, servings } from the food
+ * database; explicit fields on the entry override the stored values
+ */
+const resolveFoods = async (userId, foods) => {
+  return Promise.all(foods.map(async (food = {}) => {
+    if (!food.foodId && !food.barcode) return normalizeFood(food);
+
+    const stored = food.foodId
+      ? await foodDatabase.getFood(food.foodId, userId)
+      : (await foodDatabase.lookupBarcode(food.barcode, userId)).food;
+
+    const { foodId, barcode, ...overrides } = food;
+    return normalizeFood({ ...foodDatabase.toLogEntry(stored, food.servings ?? 1), ...overrides });
+  }));
+};
+
+const normalizeMealType = (mealType) => {
+  const type = String(mealType || 'other').toLowerCase().replace(/[\s-]+/g, '_');
+  if (!Nutrition.MEAL_TYPES.includes(type)) {
+    throw new ErrorResponse(`mealType must be one of: ${Nutrition.MEAL_TYPES.join(', ')}`, 400);
+  }
+  return type;
+};
+
+const findOrCreate = async (userId) => {
+  const nutrition = await Nutrition.findOne({ clientId: userId });
+  return nutrition || new Nutrition({ clientId: userId, assignedBy: userId });
+};
+
+const findDay = (nutrition, date) => nutrition.dailyLogs.find(log => log.date.getTime() === date.getTime());
+
+const getOrAddDay = (nutrition, date) => {
+  let day = findDay(nutrition, date);
+  if (!day) {
+    nutrition.dailyLogs.push({ date, meals: [], water: [] });
+    day = nutrition.dailyLogs[nutrition.dailyLogs.length - 1];
+  }
+  return day;
+};
+
+const findMeal = (nutrition, mealId) => {
+  for (const day of nutrition.dailyLogs) {
+    const meal = day.meals.id(mealId);
+    if (meal) return { day, meal };
+  }
+  throw new ErrorResponse('Meal not found', 404);
+};
+
+const dayTotals = (day) => ({
+  calories: day?.calories || 0,
+  protein: day?.protein || 0,
+  carbs: day?.carbs || 0,
+  fat: day?.fat || 0,
+  fiber: day?.fiber || 0,
+  water: day?.waterTotal || 0
+});
+
+const targetsOf = (nutrition) => {
+  const targets = {
+    calories: nutrition?.calories?.target || 0,
+    protein: nutrition?.protein?.target || 0,
+    carbs: nutrition?.carbs?.target || 0,
+    fat: nutrition?.fat?.target || 0,
+    water: nutrition?.water?.target || DEFAULT_WATER_TARGET_ML
+  };
+
+  return {
+    ...targets,
+    isSet: MACROS.every(macro => targets[macro] > 0),
+    source: nutrition?.targetSource || null,
+    updatedAt: nutrition?.targetsUpdatedAt || null,
+    assignedBy: nutrition?.assignedBy || null
+  };
+};
+
+const withinBand = (actual, target) => target > 0 && actual >= target * ADHERENCE_BAND.min && actual <= target * ADHERENCE_BAND.max;
+
+const compare = (totals, targets) => {
+  const remaining = {};
+  const percentages = {};
+
+  [...MACROS, 'water'].forEach(key => {
+    remaining[key] = targets[key] ? round(targets[key] - totals[key]) : null;
+    percentages[key] = targets[key] ? Math.round((totals[key] / targets[key]) * 100) : null;
+  });
+
+  return { remaining, percentages };
+};
+
+const daysInRange = (nutrition, start, end) => (nutrition?.dailyLogs || [])
+  .filter(log => log.date >= start && log.date <= end)
+  .sort((a, b) => a.date - b.date);
+
+// Logged means at least one meal - a water-only day says nothing about eating
+const loggedDays = (days) => days.filter(day => day.meals.length > 0);
+
+const averageOf = (days, key) => days.length ? round(days.reduce((sum, day) => sum + (day[key] || 0), 0) / days.length) : 0;
+
+const mondayOf = (date) => {
+  const monday = new Date(date);
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  monday.setHours(0, 0, 0, 0);
+  return monday;
+};
+
+const serializeDay = (day) => ({
+  date: day.date,
+  totals: dayTotals(day),
+  meals: day.meals.map(meal => ({
+    id: meal._id,
+    mealType: meal.mealType,
+    loggedAt: meal.loggedAt,
+    foods: meal.foods,
+    totals: meal.totals,
+    notes: meal.notes
+  })),
+  water: day.water,
+  notes: day.notes
+});
+
+const saveDay = async (nutrition, day) => {
+  nutrition.rollupDay(day);
+  nutrition.syncCurrent();
+  await nutrition.save();
+};
+
+// ========================================
+// TARGETS
+// ========================================
+
+/**
+ * Stored daily targets (water falls back to 2.5 L)
+ * @returns {object} { calories, protein, carbs, fat, water, isSet, source, updatedAt }
+ */
+exports.getTargets = async (userId) => {
+  const nutrition = await Nutrition.findOne({ clientId: userId }).select('-dailyLogs');
+  return targetsOf(nutrition);
+};
+
+/**
+ * Store targets; calories default to the macro total when omitted
+ */
+exports.setTargets = async (userId, targets = {}, { assignedBy = userId, source, calculation } = {}) => {
+  const values = {};
+  [...MACROS, 'water'].forEach(key => {
+    const value = toNumber(targets[key], key);
+    if (value !== undefined) values[key] = round(value, 0);
+  });
+
+  if (Object.keys(values).length === 0) {
+    throw new ErrorResponse('Provide at least one of calories, protein, carbs, fat or water', 400);
+  }
+
+  if (values.calories === undefined && ['protein', 'carbs', 'fat'].every(m => values[m] !== undefined)) {
+    values.calories = values.protein * 4 + values.carbs * 4 + values.fat * 9;
+  }
+
+  const nutrition = await findOrCreate(userId);
+  Object.entries(values).forEach(([key, value]) => {
+    nutrition[key].target = value;
+  });
+
+  nutrition.assignedBy = assignedBy;
+  nutrition.targetSource = source || (String(assignedBy) === String(userId) ? 'manual' : 'specialist');
+  nutrition.targetCalculation = calculation;
+  nutrition.targetsUpdatedAt = new Date();
+  await nutrition.save();
+
+  return targetsOf(nutrition);
+};
+
+/**
+ * Calculate targets with nutritionCalc and (optionally) store them
+ */
+exports.calculateTargets = async (userId, data = {}, { save = true } = {}) => {
+  const missing = ['goal', 'bodyWeight', 'height', 'age', 'sex', 'activityLevel'].filter(field => !data[field]);
+  if (missing.length > 0) {
+    throw new ErrorResponse(`Missing required fields: ${missing.join(', ')}`, 400);
+  }
+
+  const result = await nutritionCalc.calculateTargets(data);
+  const weightKg = (data.unit || 'imperial') === 'imperial' ? data.bodyWeight * 0.453592 : data.bodyWeight;
+  const water = nutritionCalc.calculateWaterIntake(weightKg, data.activityLevel, data.climate);
+  const targets = { ...result.targets, water: water.daily };
+
+  if (!save) {
+    return { ...result, targets, saved: false };
+  }
+
+  const stored = await exports.setTargets(userId, targets, {
+    source: 'calculated',
+    calculation: {
+      inputs: data,
+      breakdown: result.breakdown,
+      reasoning: result.reasoning
+    }
+  });
+
+  return { ...result, targets: stored, saved: true };
+};
+
+// ========================================
+// MEALS
+// ========================================
+
+/**
+ * Log a meal and return it with the day's running totals
+ */
+exports.logMeal = async (userId, data = {}) => {
+  const { date, mealType, foods, notes, loggedAt } = data;
+
+  if (!Array.isArray(foods) || foods.length === 0) {
+    throw new ErrorResponse('foods must be a non-empty array', 400);
+  }
+
+  const day = startOfDay(date || loggedAt);
+  if (day.getTime() > startOfDay().getTime() + DAY_MS) {
+    throw new ErrorResponse('Cannot log meals for future dates', 400);
+  }
+
+  const nutrition = await findOrCreate(userId);
+  const log = getOrAddDay(nutrition, day);
+
+  log.meals.push({
+    mealType: normalizeMealType(mealType),
+    loggedAt: loggedAt ? new Date(loggedAt) : date ? day : new Date(),
+    foods: await resolveFoods(userId, foods),
+    notes
+  });
+  const meal = log.meals[log.meals.length - 1];
+
+  await saveDay(nutrition, log);
+
+  const targets = targetsOf(nutrition);
+  const totals = dayTotals(log);
+
+  return {
+    meal,
+    dailyTotal: totals,
+    targets,
+    ...compare(totals, targets)
+  };
+};
+
+/**
+ * Replace a meal's foods, type or notes
+ */
+exports.updateMeal = async (userId, mealId, updates = {}) => {
+  const nutrition = await Nutrition.findOne({ clientId: userId });
+  if (!nutrition) throw new ErrorResponse('Meal not found', 404);
+
+  const { day, meal } = findMeal(nutrition, mealId);
+
+  if (updates.foods !== undefined) {
+    if (!Array.isArray(updates.foods) || updates.foods.length === 0) {
+      throw new ErrorResponse('foods must be a non-empty array', 400);
+    }
+    meal.foods = await resolveFoods(userId, updates.foods);
+  }
+  if (updates.mealType !== undefined) meal.mealType = normalizeMealType(updates.mealType);
+  if (updates.notes !== undefined) meal.notes = updates.notes;
+  if (updates.loggedAt !== undefined) meal.loggedAt = new Date(updates.loggedAt);
+
+  await saveDay(nutrition, day);
+
+  return { meal, dailyTotal: dayTotals(day) };
+};
+
+/**
+ * Remove a meal; empty days are dropped
+ */
+exports.deleteMeal = async (userId, mealId) => {
+  const nutrition = await Nutrition.findOne({ clientId: userId });
+  if (!nutrition) throw new ErrorResponse('Meal not found', 404);
+
+  const { day } = findMeal(nutrition, mealId);
+  day.meals.pull(mealId);
+
+  if (day.meals.length === 0 && day.water.length === 0) {
+    nutrition.dailyLogs.pull(day._id);
+    nutrition.syncCurrent();
+    await nutrition.save();
+    return { deleted: true, dailyTotal: dayTotals(null) };
+  }
+
+  await saveDay(nutrition, day);
+  return { deleted: true, dailyTotal: dayTotals(day) };
+};
+
+/**
+ * Day logs in a range with averages, weekly rollups and trends
+ */
+exports.getLogs = async (userId, { startDate, endDate, limit = 30 } = {}) => {
+  const end = startOfDay(endDate);
+  const start = startDate ? startOfDay(startDate) : new Date(end.getTime() - (limit - 1) * DAY_MS);
+  if (start > end) throw new ErrorResponse('startDate must be before endDate', 400);
+
+  const nutrition = await Nutrition.findOne({ clientId: userId });
+  const targets = targetsOf(nutrition);
+  const days = daysInRange(nutrition, start, end).slice(-limit);
+  const logged = loggedDays(days);
+
+  const averages = {};
+  [...MACROS, 'fiber'].forEach(key => { averages[key] = averageOf(logged, key); });
+  averages.water = averageOf(days.filter(day => day.waterTotal > 0), 'waterTotal');
+
+  // Weekly rollups (weeks start on Monday)
+  const weeks = new Map();
+  logged.forEach(day => {
+    const key = mondayOf(day.date).getTime();
+    if (!weeks.has(key)) weeks.set(key, []);
+    weeks.get(key).push(day);
+  });
+
+  const weekly = [...weeks.entries()].map(([weekStart, weekDays]) => {
+    const week = { weekStart: new Date(weekStart), daysLogged: weekDays.length, averages: {}, adherence: {} };
+    MACROS.forEach(macro => {
+      week.averages[macro] = averageOf(weekDays, macro);
+      week.adherence[macro] = targets[macro]
+        ? Math.round((weekDays.filter(day => withinBand(day[macro], targets[macro])).length / weekDays.length) * 100)
+        : null;
+    });
+    return week;
+  });
+
+  // Trend: second half of the window against the first half
+  const trends = {};
+  if (logged.length >= 4) {
+    const middle = Math.floor(logged.length / 2);
+    MACROS.forEach(macro => {
+      const before = averageOf(logged.slice(0, middle), macro);
+      const after = averageOf(logged.slice(middle), macro);
+      const change = before ? round(((after - before) / before) * 100) : 0;
+      trends[macro] = { change, direction: change > 5 ? 'increasing' : change < -5 ? 'decreasing' : 'stable' };
+    });
+  }
+
+  return {
+    logs: days.map(serializeDay).reverse(),
+    averages,
+    weekly,
+    trends,
+    targets,
+    period: { start, end, daysLogged: logged.length }
+  };
+};
+
+/**
+ * Totals against targets for a day, or the 7 days ending on that date
+ */
+exports.getMacroSummary = async (userId, { date, period = 'day' } = {}) => {
+  const day = startOfDay(date);
+  const nutrition = await Nutrition.findOne({ clientId: userId });
+  const targets = targetsOf(nutrition);
+
+  if (period === 'week') {
+    const start = new Date(day.getTime() - 6 * DAY_MS);
+    const days = daysInRange(nutrition, start, day);
+    const logged = loggedDays(days);
+
+    const averages = {};
+    MACROS.forEach(macro => { averages[macro] = averageOf(logged, macro); });
+    averages.water = averageOf(days.filter(day => day.waterTotal > 0), 'waterTotal');
+
+    const adherence = {};
+    MACROS.forEach(macro => {
+      adherence[macro] = targets[macro] && logged.length
+        ? Math.round((logged.filter(log => withinBand(log[macro], targets[macro])).length / logged.length) * 100)
+        : null;
+    });
+
+    return {
+      period: 'week',
+      start,
+      end: day,
+      daysLogged: logged.length,
+      days: days.map(log => ({ date: log.date, totals: dayTotals(log) })),
+      averages,
+      targets,
+      adherence,
+      ...compare({ ...averages, fiber: 0 }, targets),
+      analysis: targets.isSet && logged.length ? nutritionCalc.analyzeMacroBalance(averages, targets) : null
+    };
+  }
+
+  const log = findDay(nutrition || { dailyLogs: [] }, day);
+  const totals = dayTotals(log);
+
+  return {
+    period: 'day',
+    date: day,
+    mealsLogged: log?.meals.length || 0,
+    ...totals,
+    totals,
+    targets,
+    ...compare(totals, targets),
+    analysis: targets.isSet && log?.meals.length ? nutritionCalc.analyzeMacroBalance(totals, targets) : null
+  };
+};
+
+// ========================================
+// WATER
+// ========================================
+
+/**
+ * Log water intake (ml, or oz with unit: 'oz')
+ */
+exports.logWater = async (userId, { amount, unit = 'ml', timestamp } = {}) => {
+  const value = toNumber(amount, 'amount');
+  if (!value) throw new ErrorResponse('amount is required', 400);
+
+  const ml = Math.round(unit === 'oz' ? value * OZ_TO_ML : value);
+  if (ml > 5000) throw new ErrorResponse('amount must be 5000 ml or less per entry', 400);
+
+  const loggedAt = timestamp ? new Date(timestamp) : new Date();
+  const nutrition = await findOrCreate(userId);
+  const day = getOrAddDay(nutrition, startOfDay(loggedAt));
+
+  day.water.push({ amount: ml, timestamp: loggedAt });
+  await saveDay(nutrition, day);
+
+  const goal = targetsOf(nutrition).water;
+  return {
+    logged: day.water[day.water.length - 1],
+    todayTotal: day.waterTotal,
+    dailyGoal: goal,
+    percentage: Math.round((day.waterTotal / goal) * 100)
+  };
+};
+
+/**
+ * Water entries for a day against the goal
+ */
+exports.getWater = async (userId, date) => {
+  const day = startOfDay(date);
+  const nutrition = await Nutrition.findOne({ clientId: userId });
+  const log = nutrition ? findDay(nutrition, day) : null;
+  const goal = targetsOf(nutrition).water;
+  const total = log?.waterTotal || 0;
+
+  return {
+    date: day,
+    intake: log ? [...log.water].sort((a, b) => a.timestamp - b.timestamp) : [],
+    total,
+    goal,
+    remaining: Math.max(0, goal - total),
+    percentage: Math.round((total / goal) * 100)
+  };
+};
+
+// ========================================
+// INSIGHTS
+// ========================================
+
+/**
+ * Rule-based patterns over recent logs
+ */
+const detectPatterns = (logged, days, targets) => {
+  const patterns = [];
+
+  // Weekend vs weekday calories
+  const weekend = logged.filter(day => [0, 6].includes(day.date.getDay()));
+  const weekday = logged.filter(day => ![0, 6].includes(day.date.getDay()));
+  if (weekend.length >= 2 && weekday.length >= 3) {
+    const weekendAvg = averageOf(weekend, 'calories');
+    const weekdayAvg = averageOf(weekday, 'calories');
+    const difference = weekdayAvg ? round(((weekendAvg - weekdayAvg) / weekdayAvg) * 100) : 0;
+    if (Math.abs(difference) >= 15) {
+      patterns.push({
+        type: 'weekend_calories',
+        description: `Weekend calories run ${Math.abs(difference)}% ${difference > 0 ? 'higher' : 'lower'} than weekdays`,
+        weekendAverage: weekendAvg,
+        weekdayAverage: weekdayAvg
+      });
+    }
+  }
+
+  // Protein distribution across meals
+  const meals = logged.flatMap(day => day.meals);
+  const totalProtein = meals.reduce((sum, meal) => sum + (meal.totals.protein || 0), 0);
+  const dinnerProtein = meals.filter(meal => meal.mealType === 'dinner').reduce((sum, meal) => sum + (meal.totals.protein || 0), 0);
+  if (totalProtein > 0 && dinnerProtein / totalProtein > 0.5) {
+    patterns.push({
+      type: 'protein_backloaded',
+      description: `${Math.round((dinnerProtein / totalProtein) * 100)}% of protein comes at dinner`
+    });
+  }
+
+  // Breakfast skipping
+  const noBreakfast = logged.filter(day => !day.meals.some(meal => meal.mealType === 'breakfast')).length;
+  if (logged.length >= 5 && noBreakfast / logged.length >= 0.5) {
+    patterns.push({
+      type: 'skipped_breakfast',
+      description: `No breakfast logged on ${noBreakfast} of ${logged.length} days`
+    });
+  }
+
+  // Late eating
+  const lateDays = logged.filter(day => day.meals.some(meal => meal.loggedAt && new Date(meal.loggedAt).getHours() >= 21)).length;
+  if (logged.length >= 5 && lateDays / logged.length >= 0.3) {
+    patterns.push({
+      type: 'late_eating',
+      description: `Meals after 9 PM on ${lateDays} of ${logged.length} days`
+    });
+  }
+
+  // Hydration
+  const waterDays = days.filter(day => day.waterTotal > 0);
+  if (waterDays.length >= 3) {
+    const metGoal = waterDays.filter(day => day.waterTotal >= targets.water).length;
+    patterns.push({
+      type: 'hydration',
+      description: `Water goal met on ${metGoal} of ${waterDays.length} tracked days`,
+      adherence: Math.round((metGoal / waterDays.length) * 100)
+    });
+  }
+
+  return patterns;
+};
+
+const buildInsightsPrompt = ({ days, adherence, averages, targets, patterns }) =>
+  `Review this client's nutrition over the last ${days} days and give coaching insights.
+
+Daily targets: ${targets.calories} kcal, protein ${targets.protein}g, carbs ${targets.carbs}g, fat ${targets.fat}g, water ${targets.water} ml
+Daily averages: ${averages.calories} kcal, protein ${averages.protein}g, carbs ${averages.carbs}g, fat ${averages.fat}g, water ${averages.water} ml
+Days on target: ${Object.entries(adherence.macros).map(([macro, pct]) => `${macro} ${pct ?? 'n/a'}%`).join(', ')}
+Logging consistency: ${adherence.logging}%
+Patterns: ${patterns.map(p => p.description).join('; ') || 'none'}
+
+Respond with JSON only:
+{"insights":["..."],"recommendations":["..."]}`;
+
+/**
+ * Adherence, patterns and recommendations over recent logs. The
+ * 'nutrition' AI feature phrases the insights when available.
+ */
+exports.getInsights = async (userId, { days = 14 } = {}) => {
+  const end = startOfDay();
+  const start = new Date(end.getTime() - (days - 1) * DAY_MS);
+
+  const nutrition = await Nutrition.findOne({ clientId: userId });
+  const targets = targetsOf(nutrition);
+  const window = daysInRange(nutrition, start, end);
+  const logged = loggedDays(window);
+
+  const averages = {};
+  MACROS.forEach(macro => { averages[macro] = averageOf(logged, macro); });
+  averages.water = averageOf(window.filter(day => day.waterTotal > 0), 'waterTotal');
+
+  const adherence = {
+    logging: Math.round((logged.length / days) * 100),
+    macros: {}
+  };
+  MACROS.forEach(macro => {
+    adherence.macros[macro] = targets[macro] && logged.length
+      ? Math.round((logged.filter(day => withinBand(day[macro], targets[macro])).length / logged.length) * 100)
+      : null;
+  });
+
+  const patterns = detectPatterns(logged, window, targets);
+
+  const insights = [];
+  const recommendations = [];
+
+  if (logged.length === 0) {
+    return {
+      insights: ['No meals logged recently'],
+      recommendations: ['Log meals for a few days to unlock nutrition insights'],
+      patterns,
+      adherence,
+      averages,
+      targets,
+      source: 'rules'
+    };
+  }
+
+  insights.push(`Meals logged on ${logged.length} of the last ${days} days`);
+  if (!targets.isSet) {
+    recommendations.push('Set macro targets (or calculate them) to track adherence');
+  } else {
+    const analysis = nutritionCalc.analyzeMacroBalance(averages, targets);
+    MACROS.forEach(macro => {
+      insights.push(`${macro[0].toUpperCase()}${macro.slice(1)} averaged ${analysis[macro].percentage}% of target (${adherence.macros[macro]}% of days on target)`);
+    });
+    recommendations.push(...analysis.recommendations);
+  }
+
+  if (adherence.logging < 70) {
+    recommendations.push('Log consistently - gaps make averages unreliable');
+  }
+  patterns.forEach(pattern => {
+    insights.push(pattern.description);
+    if (pattern.type === 'protein_backloaded') recommendations.push('Spread protein more evenly - aim for 25-40g per meal');
+    if (pattern.type === 'skipped_breakfast') recommendations.push('A protein-forward breakfast makes daily targets easier to hit');
+    if (pattern.type === 'late_eating') recommendations.push('Move the last meal earlier to support sleep quality');
+    if (pattern.type === 'weekend_calories') recommendations.push('Plan weekend meals ahead to keep intake consistent');
+    if (pattern.type === 'hydration' && pattern.adherence < 70) recommendations.push('Keep water visible and log it through the day');
+  });
+
+  let source = 'rules';
+  if (targets.isSet && aiProvider.isAvailable('nutrition')) {
+    try {
+      const result = await aiProvider.generateJSON({
+        feature: 'nutrition',
+        userId,
+        prompt: buildInsightsPrompt({ days, adherence, averages, targets, patterns }),
+        mockResponse: { insights, recommendations }
+      });
+      if (Array.isArray(result.data?.insights) && result.data.insights.length > 0) {
+        insights.splice(0, insights.length, ...result.data.insights.map(String));
+        if (Array.isArray(result.data.recommendations) && result.data.recommendations.length > 0) {
+          recommendations.splice(0, recommendations.length, ...result.data.recommendations.map(String));
+        }
+        source = result.provider;
+      }
+    } catch (error) {
+      console.error('AI nutrition insights failed, using rules:', error.message);
+    }
+  }
+
+  return {
+    insights,
+    recommendations: [...new Set(recommendations)],
+    patterns,
+    adherence,
+    averages,
+    targets,
+    source
+  };
+};
+
+/**
+ * Compact nutrition snapshot for the companion context
+ */
+exports.getContextSummary = async (userId) => {
+  const today = startOfDay();
+  const nutrition = await Nutrition.findOne({ clientId: userId });
+  if (!nutrition) return null;
+
+  const targets = targetsOf(nutrition);
+  const week = loggedDays(daysInRange(nutrition, new Date(today.getTime() - 6 * DAY_MS), today));
+  const totals = dayTotals(findDay(nutrition, today));
+
+  return {
+    targets: targets.isSet ? { calories: targets.calories, protein: targets.protein, carbs: targets.carbs, fat: targets.fat } : null,
+    waterTarget: targets.water,
+    today: totals,
+    remaining: targets.isSet ? compare(totals, targets).remaining : null,
+    daysLoggedThisWeek: week.length,
+    weeklyAverages: week.length ? { calories: averageOf(week, 'calories'), protein: averageOf(week, 'protein') } : null,
+    proteinAdherence: targets.isSet && week.length
+      ? Math.round((week.filter(day => withinBand(day.protein, targets.protein)).length / week.length) * 100)
+      : null
+  };
+};
+
+exports.startOfDay = startOfDay;
+exports.DEFAULT_WATER_TARGET_ML = DEFAULT_WATER_TARGET_ML;
+
+module.exports = exports;
@@ -0,0 +1,686 @@
+// Performance Testing Service
+// Test scheduling, result entry, norm-based percentiles, strength standards
+// and performance predictions (race times, 1RM projections)
+
+const mongoose = require('mongoose');
+const PerformanceTest = require('../../models/venus/PerformanceTest');
+const Workout = require('../../models/venus/Workout');
+const Nutrition = require('../../models/venus/Nutrition');
+const Measurement = require('../../models/mercury/Measurement');
+const User = require('../../models/User');
+const ErrorResponse = require('../../utils/errorResponse');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LB_TO_KG = 0.453592;
+
+const TEST_TYPES = PerformanceTest.schema.path('type').enumValues;
+const RESULT_TYPES = PerformanceTest.schema.path('exercises').schema.path('testType').enumValues;
+
+const RACE_DISTANCES = {
+  '1 mile': 1609.34,
+  '5K': 5000,
+  '10K': 10000,
+  'Half Marathon': 21097.5,
+  'Marathon': 42195
+};
+const RIEGEL_EXPONENT = 1.06;
+
+// Training-trend window and minimum data for a 1RM projection
+const TREND_WEEKS = 16;
+const MIN_TREND_POINTS = 3;
+const MIN_TREND_DAYS = 14;
+const PROJECTION_WEEKS = [4, 8, 12];
+
+const GENERIC_INSTRUCTIONS = {
+  '1RM': 'Work up in progressively heavier singles; rest 3-5 minutes between attempts',
+  '3RM': 'Work up to the heaviest weight you can lift for 3 clean reps',
+  '5RM': 'Work up to the heaviest weight you can lift for 5 clean reps',
+  VO2max: 'Lab or device VO2max test after an easy day',
+  lactate_threshold: 'Steady 30-minute effort at the hardest pace you can hold; record average heart rate',
+  time_trial: 'Run the measured distance as fast as you can sustain; record distance (m) and time (s)',
+  distance: 'Best of three attempts; record distance in meters',
+  reps_to_failure: 'Strict reps until form breaks; record reps (and weight if loaded)'
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const toKg = (weight, unit) => (unit === 'lb' || unit === 'lbs' ? weight * LB_TO_KG : weight);
+
+const formatTime = (seconds) => {
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  const pad = (n) => String(n).padStart(2, '0');
+  return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`;
+};
+
+// ========================================
+// PROFILE
+// ========================================
+
+/**
+ * Sex, age and bodyweight (kg) for norm lookups. Explicit values win, then the
+ * user's profile/preferences, latest measurement and nutrition calculator inputs.
+ */
+exports.resolveProfile = async (userId, overrides = {}) => {
+  const [user, measurement, nutrition] = await Promise.all([
+    User.findById(userId).select('dateOfBirth preferences'),
+    Measurement.findOne({ clientId: userId }).sort({ date: -1 }).select('weight unit date'),
+    Nutrition.findOne({ clientId: userId }).select('targetCalculation')
+  ]);
+
+  const prefs = user?.preferences || {};
+  const inputs = nutrition?.targetCalculation?.inputs || {};
+
+  const sex = [overrides.sex, prefs.sex, prefs.gender, inputs.sex]
+    .map(value => String(value || '').toLowerCase())
+    .find(value => ['male', 'female'].includes(value));
+
+  let age = Number(overrides.age) || null;
+  if (!age && user?.dateOfBirth) {
+    age = Math.floor((Date.now() - new Date(user.dateOfBirth)) / (365.25 * DAY_MS));
+  }
+  if (!age && inputs.age) age = Number(inputs.age);
+
+  let bodyweight = overrides.bodyweight ? toKg(Number(overrides.bodyweight), overrides.unit) : null;
+  if (!bodyweight && measurement?.weight) bodyweight = measurement.weightKg;
+  if (!bodyweight && inputs.bodyWeight) {
+    bodyweight = (inputs.unit || 'imperial') === 'imperial' ? inputs.bodyWeight * LB_TO_KG : inputs.bodyWeight;
+  }
+
+  const profile = {
+    sex: sex || undefined,
+    age: age || undefined,
+    bodyweight: bodyweight ? round1(bodyweight) : undefined
+  };
+  const missing = ['sex', 'age', 'bodyweight'].filter(field => !profile[field]);
+
+  return { profile, missing };
+};
+
+const requireProfile = (missing, fields) => {
+  const needed = missing.filter(field => fields.includes(field));
+  if (needed.length) {
+    throw new ErrorResponse(`Missing ${needed.join(', ')} - pass them as parameters or complete your profile`, 400);
+  }
+};
+
+// ========================================
+// SCHEDULING & RESULTS
+// ========================================
+
+const normalizeExercise = (exercise = {}) => {
+  if (!exercise.exerciseName) {
+    throw new ErrorResponse('Each test exercise needs an exerciseName', 400);
+  }
+  if (!RESULT_TYPES.includes(exercise.testType)) {
+    throw new ErrorResponse(`testType must be one of: ${RESULT_TYPES.join(', ')}`, 400);
+  }
+  return {
+    exerciseId: mongoose.Types.ObjectId.isValid(exercise.exerciseId) ? exercise.exerciseId : undefined,
+    exerciseName: exercise.exerciseName,
+    testType: exercise.testType,
+    benchmark: PerformanceTest.benchmarkFor(exercise) || undefined
+  };
+};
+
+const instructionsFor = (type, exercises) => {
+  const battery = PerformanceTest.norms.batteries[type];
+  const generic = [...new Set(exercises.map(ex => GENERIC_INSTRUCTIONS[ex.testType]))];
+  return battery ? [...battery.instructions, ...generic] : generic;
+};
+
+/**
+ * Schedule a test. Without exercises the standard battery for the type is used.
+ */
+exports.createTest = async (userId, data = {}) => {
+  const { type, name, exercises, scheduledFor, intervalWeeks, notes, environment, tags } = data;
+
+  if (!TEST_TYPES.includes(type)) {
+    throw new ErrorResponse(`type must be one of: ${TEST_TYPES.join(', ')}`, 400);
+  }
+
+  const battery = PerformanceTest.norms.batteries[type];
+  let planned;
+  if (Array.isArray(exercises) && exercises.length > 0) {
+    planned = exercises.map(normalizeExercise);
+  } else if (battery) {
+    planned = battery.exercises.map(normalizeExercise);
+  } else {
+    throw new ErrorResponse(`No standard battery for ${type} tests - provide exercises`, 400);
+  }
+
+  const when = scheduledFor ? new Date(scheduledFor) : new Date();
+  if (Number.isNaN(when.getTime())) {
+    throw new ErrorResponse('scheduledFor must be a valid date', 400);
+  }
+  if (intervalWeeks !== undefined && !(Number(intervalWeeks) >= 1 && Number(intervalWeeks) <= 52)) {
+    throw new ErrorResponse('intervalWeeks must be between 1 and 52', 400);
+  }
+
+  const test = await PerformanceTest.create({
+    userId,
+    type,
+    name: name || battery?.name || `${type.charAt(0).toUpperCase() + type.slice(1)} Test`,
+    date: when,
+    scheduledFor: when,
+    status: 'scheduled',
+    exercises: planned,
+    recurrence: intervalWeeks ? { intervalWeeks: Number(intervalWeeks) } : undefined,
+    notes,
+    environment,
+    tags
+  });
+
+  return {
+    test,
+    instructions: instructionsFor(type, planned)
+  };
+};
+
+const findExercise = (test, entry, index) => {
+  if (entry.exerciseId) {
+    const byId = test.exercises.find(ex => String(ex.exerciseId) === String(entry.exerciseId));
+    if (byId) return byId;
+  }
+  if (entry.exerciseName) {
+    const name = entry.exerciseName.toLowerCase();
+    const byName = test.exercises.find(ex => String(ex.exerciseName).toLowerCase() === name);
+    if (byName) return byName;
+  }
+  if (entry.exerciseName === undefined && entry.exerciseId === undefined) {
+    return test.exercises[index];
+  }
+  return null;
+};
+
+/**
+ * Record results, rank them against the norms and compare with the last test.
+ * Weights may be entered in lb (unit: 'lb'); they're stored in kg.
+ */
+exports.recordResults = async (userId, testId, data = {}) => {
+  const { results, unit = 'kg', preTestMetrics, postTestMetrics, notes, date } = data;
+
+  if (!mongoose.Types.ObjectId.isValid(testId)) {
+    throw new ErrorResponse('Performance test not found', 404);
+  }
+  if (!Array.isArray(results) || results.length === 0) {
+    throw new ErrorResponse('results must be a non-empty array', 400);
+  }
+
+  const test = await PerformanceTest.findOne({ _id: testId, userId });
+  if (!test) throw new ErrorResponse('Performance test not found', 404);
+  if (test.status === 'cancelled') {
+    throw new ErrorResponse('Cannot record results for a cancelled test', 400);
+  }
+
+  const { profile, missing } = await exports.resolveProfile(userId, data.profile || {});
+  test.profile = profile;
+
+  results.forEach((entry, index) => {
+    let exercise = findExercise(test, entry, index);
+    if (!exercise) {
+      test.exercises.push(normalizeExercise(entry));
+      exercise = test.exercises[test.exercises.length - 1];
+    }
+
+    const result = { ...(entry.result || {}) };
+    if (result.weight != null) result.weight = round1(toKg(Number(result.weight), unit));
+    exercise.result = result;
+    if (entry.notes) exercise.notes = entry.notes;
+
+    const measured = PerformanceTest.measure(exercise, result);
+    exercise.metric = measured ? { value: measured.value, unit: measured.unit } : undefined;
+
+    const ranked = measured ? PerformanceTest.percentileFor(measured.benchmark, measured.value, profile) : null;
+    exercise.percentile = ranked?.percentile;
+    exercise.level = ranked?.level;
+  });
+
+  test.status = 'completed';
+  test.completedAt = new Date();
+  test.date = date ? new Date(date) : test.completedAt;
+  if (preTestMetrics) test.preTestMetrics = preTestMetrics;
+  if (postTestMetrics) test.postTestMetrics = postTestMetrics;
+  if (notes) test.notes = notes;
+
+  const improvements = (await test.getImprovement()) || [];
+  improvements.forEach(change => {
+    const exercise = test.exercises.find(ex => ex.exerciseName === change.exercise);
+    if (exercise) exercise.improvement = Number(change.improvement);
+  });
+
+  const previous = await PerformanceTest.findOne({
+    userId,
+    type: test.type,
+    status: 'completed',
+    _id: { $ne: test._id },
+    date: { $lt: test.date }
+  }).sort({ date: -1 }).select('date');
+
+  if (previous) {
+    test.comparisonToPrevious = {
+      improvement: improvements.length
+        ? round1(improvements.reduce((sum, change) => sum + Number(change.improvement), 0) / improvements.length)
+        : undefined,
+      timeSinceLastTest: Math.round((test.date - previous.date) / DAY_MS)
+    };
+  }
+
+  // Schedule the re-test
+  let nextTest = null;
+  if (test.recurrence?.intervalWeeks && !test.recurrence.nextTestId) {
+    const when = new Date(test.date.getTime() + test.recurrence.intervalWeeks * 7 * DAY_MS);
+    nextTest = await PerformanceTest.create({
+      userId,
+      type: test.type,
+      name: test.name,
+      date: when,
+      scheduledFor: when,
+      status: 'scheduled',
+      exercises: test.exercises.map(ex => ({
+        exerciseId: ex.exerciseId,
+        exerciseName: ex.exerciseName,
+        testType: ex.testType,
+        benchmark: ex.benchmark
+      })),
+      recurrence: { intervalWeeks: test.recurrence.intervalWeeks },
+      tags: test.tags
+    });
+    test.recurrence.nextTestId = nextTest._id;
+  }
+
+  await test.save();
+
+  return {
+    test,
+    improvements,
+    percentiles: test.exercises
+      .filter(ex => ex.metric?.value != null)
+      .map(ex => ({
+        exercise: ex.exerciseName,
+        value: ex.metric.value,
+        unit: ex.metric.unit,
+        percentile: ex.percentile ?? null,
+        level: ex.level ?? null
+      })),
+    baseline: test.baseline,
+    nextTest: nextTest && { id: nextTest._id, scheduledFor: nextTest.scheduledFor },
+    ...(missing.length && { missingProfile: missing })
+  };
+};
+
+/**
+ * Tests with upcoming ones, the latest result and per-benchmark trends
+ */
+exports.getTests = async (userId, { type, status } = {}) => {
+  const query = { userId };
+  if (type) query.type = type;
+  if (status) query.status = status;
+
+  const tests = await PerformanceTest.find(query).sort({ date: -1 }).limit(100);
+
+  // Scheduled tests whose date has passed by more than a week are marked missed
+  const overdue = Date.now() - 7 * DAY_MS;
+  const missed = tests.filter(test => test.status === 'scheduled' && test.scheduledFor && test.scheduledFor.getTime() < overdue);
+  if (missed.length) {
+    await PerformanceTest.updateMany({ _id: { $in: missed.map(test => test._id) } }, { status: 'missed' });
+    missed.forEach(test => { test.status = 'missed'; });
+  }
+
+  const completed = tests.filter(test => test.status === 'completed');
+  const upcoming = tests
+    .filter(test => test.status === 'scheduled')
+    .sort((a, b) => a.scheduledFor - b.scheduledFor);
+
+  const trends = {};
+  [...completed].reverse().forEach(test => {
+    test.exercises.forEach(ex => {
+      if (ex.metric?.value == null) return;
+      const key = ex.benchmark || ex.exerciseName;
+      if (!trends[key]) trends[key] = { exercise: ex.exerciseName, unit: ex.metric.unit, series: [] };
+      trends[key].series.push({ date: test.date, value: ex.metric.value, percentile: ex.percentile ?? null });
+    });
+  });
+  Object.values(trends).forEach(trend => {
+    const first = trend.series[0].value;
+    const last = trend.series[trend.series.length - 1].value;
+    trend.change = first ? round1(((last - first) / first) * 100) : null;
+  });
+
+  return {
+    tests,
+    upcoming,
+    latest: completed[0] || null,
+    trends
+  };
+};
+
+// ========================================
+// NORMS: BENCHMARKS, STANDARDS, PERCENTILE
+// ========================================
+
+/**
+ * Latest result per benchmark, re-ranked with the current profile
+ */
+const latestByBenchmark = async (userId) => {
+  const tests = await PerformanceTest.find({ userId, status: 'completed' }).sort({ date: -1 }).limit(50);
+
+  const latest = {};
+  tests.forEach(test => {
+    test.exercises.forEach(ex => {
+      if (!ex.benchmark || ex.metric?.value == null || latest[ex.benchmark]) return;
+      latest[ex.benchmark] = { value: ex.metric.value, unit: ex.metric.unit, testedAt: test.date, testId: test._id };
+    });
+  });
+  return latest;
+};
+
+exports.getBenchmarks = async (userId, overrides = {}) => {
+  const [{ profile, missing }, latest] = await Promise.all([
+    exports.resolveProfile(userId, overrides),
+    latestByBenchmark(userId)
+  ]);
+
+  const benchmarks = {};
+  let nextMilestone = null;
+
+  Object.entries(latest).forEach(([key, entry]) => {
+    const test = PerformanceTest.norms.tests[key];
+    const ranked = PerformanceTest.percentileFor(key, entry.value, profile);
+    const normTable = PerformanceTest.normValues(key, profile);
+
+    benchmarks[key] = {
+      name: test.name,
+      ...entry,
+      percentile: ranked?.percentile ?? null,
+      level: ranked?.level ?? null
+    };
+
+    // Closest next level across all benchmarks, as a % gap
+    if (ranked && normTable) {
+      const nextIndex = normTable.values.findIndex(value => value > entry.value);
+      if (nextIndex !== -1) {
+        const target = normTable.values[nextIndex];
+        const gap = (target - entry.value) / entry.value;
+        if (!nextMilestone || gap < nextMilestone.gap) {
+          nextMilestone = {
+            benchmark: key,
+            name: test.name,
+            level: PerformanceTest.levelFor(normTable.percentiles[nextIndex]),
+            target,
+            unit: test.unit,
+            gap
+          };
+        }
+      }
+    }
+  });
+
+  const percentiles = Object.values(benchmarks).map(b => b.percentile).filter(p => p != null).sort((a, b) => a - b);
+  const median = percentiles.length ? percentiles[Math.floor(percentiles.length / 2)] : null;
+
+  if (nextMilestone) {
+    nextMilestone.remaining = round1(nextMilestone.target - benchmarks[nextMilestone.benchmark].value);
+    nextMilestone.gap = Math.round(nextMilestone.gap * 100);
+  }
+
+  return {
+    benchmarks,
+    category: PerformanceTest.levelFor(median),
+    overallPercentile: median,
+    nextMilestone,
+    profile,
+    ...(missing.length && { missingProfile: missing })
+  };
+};
+
+/**
+ * Level thresholds for every benchmark at the given bodyweight/sex/age,
+ * with the user's level and next target on the lifts
+ */
+exports.getStandards = async (userId, overrides = {}) => {
+  const { profile, missing } = await exports.resolveProfile(userId, overrides);
+  requireProfile(missing, ['sex', 'bodyweight']);
+
+  const { norms } = PerformanceTest;
+  const latest = await latestByBenchmark(userId);
+
+  const standards = {};
+  const goals = {};
+  const liftLevels = [];
+
+  Object.entries(norms.tests).forEach(([key, test]) => {
+    const normTable = PerformanceTest.normValues(key, profile);
+    if (!normTable) return;
+
+    standards[key] = {
+      name: test.name,
+      unit: test.unit,
+      levels: normTable.values.map((value, i) => ({
+        level: PerformanceTest.levelFor(normTable.percentiles[i]),
+        percentile: normTable.percentiles[i],
+        value,
+        ...(test.metric === 'oneRepMax' && { bodyweightRatio: Math.round((value / profile.bodyweight) * 100) / 100 })
+      }))
+    };
+
+    const current = latest[key];
+    if (!current) return;
+
+    const ranked = PerformanceTest.percentileFor(key, current.value, profile);
+    standards[key].current = { value: current.value, percentile: ranked.percentile, level: ranked.level };
+    if (test.metric === 'oneRepMax') liftLevels.push(ranked.percentile);
+
+    const next = standards[key].levels.find(level => level.value > current.value);
+    if (next) {
+      goals[key] = { level: next.level, target: next.value, remaining: round1(next.value - current.value), unit: test.unit };
+    }
+  });
+
+  liftLevels.sort((a, b) => a - b);
+
+  return {
+    profile,
+    standards,
+    userLevel: liftLevels.length ? PerformanceTest.levelFor(liftLevels[Math.floor(liftLevels.length / 2)]) : null,
+    goals,
+    source: norms.source
+  };
+};
+
+/**
+ * Rank a single result, e.g. { exercise: 'squat', weight: 100, reps: 5 }
+ * or { exercise: '5k', distance: 5000, time: 1500 }
+ */
+exports.getPercentile = async (userId, query = {}) => {
+  const { exercise, unit = 'kg' } = query;
+  if (!exercise) throw new ErrorResponse('exercise is required', 400);
+
+  const num = (value) => (value === undefined || value === '' ? undefined : Number(value));
+  const result = {
+    weight: num(query.weight) != null ? toKg(num(query.weight), unit) : undefined,
+    reps: num(query.reps),
+    time: num(query.time),
+    distance: num(query.distance),
+    vo2max: num(query.vo2max)
+  };
+
+  const { norms } = PerformanceTest;
+  const entry = {
+    exerciseName: norms.tests[exercise] ? norms.tests[exercise].name : exercise,
+    benchmark: norms.tests[exercise] ? exercise : undefined,
+    testType: query.testType || (result.vo2max ? 'VO2max'
+      : result.distance && result.time ? 'time_trial'
+        : result.weight ? (result.reps > 1 ? 'reps_to_failure' : '1RM')
+          : result.reps != null ? 'reps_to_failure' : 'distance')
+  };
+
+  const measured = PerformanceTest.measure(entry, result);
+  if (!measured) {
+    throw new ErrorResponse(`No norms for "${exercise}" with these values. Supported: ${Object.keys(norms.tests).join(', ')}`, 400);
+  }
+
+  const { profile, missing } = await exports.resolveProfile(userId, query);
+  const needed = norms.tests[measured.benchmark].scaling === 'bodyweight' ? ['sex', 'bodyweight'] : ['sex'];
+  requireProfile(missing, needed);
+
+  const ranked = PerformanceTest.percentileFor(measured.benchmark, measured.value, profile);
+
+  return {
+    benchmark: measured.benchmark,
+    value: measured.value,
+    unit: measured.unit,
+    percentile: ranked.percentile,
+    category: ranked.level,
+    norms: PerformanceTest.normValues(measured.benchmark, profile),
+    profile
+  };
+};
+
+// ========================================
+// PREDICTIONS
+// ========================================
+
+/**
+ * Least-squares line through (x, y) points
+ */
+const linearFit = (points) => {
+  const n = points.length;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  const sxx = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  const sxy = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+  const syy = points.reduce((sum, p) => sum + (p.y - meanY) ** 2, 0);
+
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  const intercept = meanY - slope * meanX;
+  const r2 = sxx > 0 && syy > 0 ? (sxy * sxy) / (sxx * syy) : 0;
+
+  return { slope, intercept, r2 };
+};
+
+/**
+ * Best estimated 1RM per week for each benchmark lift, from logged sets
+ */
+const weeklyLiftBests = async (userId) => {
+  const since = new Date(Date.now() - TREND_WEEKS * 7 * DAY_MS);
+  const workouts = await Workout.find({
+    clientId: userId,
+    completed: true,
+    completedAt: { $gte: since }
+  }).select('completedAt exercises.name exercises.actualSets').lean();
+
+  const bests = {};   // benchmark -> Map(weekIndex -> { x, y })
+  workouts.forEach(workout => {
+    const day = (workout.completedAt - since) / DAY_MS;
+    const week = Math.floor(day / 7);
+
+    (workout.exercises || []).forEach(ex => {
+      const benchmark = PerformanceTest.benchmarkFor({ exerciseName: ex.name });
+      if (!benchmark || PerformanceTest.norms.tests[benchmark].metric !== 'oneRepMax') return;
+
+      (ex.actualSets || []).forEach(set => {
+        if (set.completed === false) return;
+        const measured = PerformanceTest.measure({ benchmark, testType: 'reps_to_failure' }, { weight: set.weight, reps: set.reps });
+        if (!measured) return;
+
+        if (!bests[benchmark]) bests[benchmark] = new Map();
+        const current = bests[benchmark].get(week);
+        if (!current || measured.value > current.y) {
+          bests[benchmark].set(week, { x: day, y: measured.value });
+        }
+      });
+    });
+  });
+
+  return { since, bests };
+};
+
+exports.predictPerformance = async (userId) => {
+  const predictions = { lifts: {}, races: null };
+  const factors = [];
+  const confidences = [];
+
+  // 1RM projections from the training trend
+  const { since, bests } = await weeklyLiftBests(userId);
+  const today = (Date.now() - since) / DAY_MS;
+
+  Object.entries(bests).forEach(([benchmark, weeks]) => {
+    const points = [...weeks.values()].sort((a, b) => a.x - b.x);
+    const name = PerformanceTest.norms.tests[benchmark].name;
+
+    if (points.length < MIN_TREND_POINTS || points[points.length - 1].x - points[0].x < MIN_TREND_DAYS) {
+      factors.push(`${name}: not enough training history for a projection yet`);
+      return;
+    }
+
+    const { slope, intercept, r2 } = linearFit(points);
+    const current = round1(intercept + slope * today);
+    const projected = {};
+    PROJECTION_WEEKS.forEach(weeksAhead => {
+      // Cap projected declines at 10% below the current estimate
+      projected[`${weeksAhead}w`] = round1(Math.max(current * 0.9, intercept + slope * (today + weeksAhead * 7)));
+    });
+
+    const confidence = Math.round(Math.max(10, Math.min(95, r2 * 100 * Math.min(1, points.length / 8))));
+    confidences.push(confidence);
+
+    predictions.lifts[benchmark] = {
+      name,
+      currentEstimated1RM: current,
+      weeklyChange: round1(slope * 7),
+      projected,
+      dataPoints: points.length,
+      confidence
+    };
+    factors.push(`${name} e1RM trending ${slope >= 0 ? '+' : ''}${round1(slope * 7)} per week over ${points.length} weeks (in the units you log)`);
+  });
+
+  // Race times from the latest time trial (Riegel)
+  const trial = await PerformanceTest.findOne({
+    userId,
+    status: 'completed',
+    'exercises.testType': 'time_trial'
+  }).sort({ date: -1 });
+
+  const trialResult = trial?.exercises.find(ex => ex.testType === 'time_trial' && ex.result?.distance && ex.result?.time);
+  if (trialResult) {
+    const { distance, time } = trialResult.result;
+    const races = {};
+    Object.entries(RACE_DISTANCES).forEach(([race, meters]) => {
+      const seconds = time * Math.pow(meters / distance, RIEGEL_EXPONENT);
+      races[race] = {
+        seconds: Math.round(seconds),
+        time: formatTime(seconds),
+        pacePerKm: formatTime(seconds / (meters / 1000))
+      };
+    });
+
+    // Predictions degrade with distance from the trial and with its age
+    const ageDays = (Date.now() - trial.date) / DAY_MS;
+    const confidence = Math.round(Math.max(20, 85 - Math.max(0, ageDays - 28) / 3));
+    confidences.push(confidence);
+
+    predictions.races = {
+      basedOn: { exercise: trialResult.exerciseName, distance, time: formatTime(time), date: trial.date },
+      vo2max: trialResult.metric?.value ?? null,
+      predictions: races,
+      confidence
+    };
+    factors.push(`Race times from your ${trialResult.exerciseName} on ${trial.date.toISOString().slice(0, 10)} using Riegel's formula`);
+    if (ageDays > 56) factors.push('Time trial is over 8 weeks old - re-test for sharper race predictions');
+  } else {
+    factors.push('Record a time trial to get race time predictions');
+  }
+
+  return {
+    predictions,
+    confidence: confidences.length
+      ? Math.round(confidences.reduce((sum, c) => sum + c, 0) / confidences.length)
+      : 0,
+    factors
+  };
+};
+
+module.exports = exports;
@@ -0,0 +1,957 @@
+// Periodization Service
+// Persisted training plans (macrocycle -> mesocycles -> weekly microcycles)
+// built from linear, undulating or block models. Sessions are scheduled
+// into the Earth calendar, and a deload is inserted when
+// recoveryCalc.assessOvertrainingRisk reaches the plan's threshold.
+
+const mongoose = require('mongoose');
+const TrainingPlan = require('../../models/venus/TrainingPlan');
+const Goal = require('../../models/mars/Goal');
+const CalendarEvent = require('../../models/earth/CalendarEvent');
+const recoveryCalc = require('../mercury/recoveryCalc');
+const ErrorResponse = require('../../utils/errorResponse');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const MIN_WEEKS = 4;
+const MAX_WEEKS = 52;
+const DEFAULT_WEEKS = 12;
+
+// Plans this long finish with a test week
+const TEST_WEEK_MIN_PLAN = 6;
+
+// Loading weeks before each scheduled deload (3:1 unless a beginner)
+const LOADING_WEEKS = { beginner: 4, intermediate: 3, advanced: 3 };
+
+// Default training days (0 = Sunday) by sessions per week
+const DEFAULT_DAYS = {
+  2: [2, 5],
+  3: [1, 3, 5],
+  4: [1, 2, 4, 5],
+  5: [1, 2, 3, 4, 5],
+  6: [1, 2, 3, 4, 5, 6]
+};
+
+// Linear: intensity climbs and reps fall across the loading weeks
+const LINEAR = {
+  strength: { intensity: [70, 90], reps: [8, 3], sets: [4, 5], rpe: [7, 9] },
+  hypertrophy: { intensity: [65, 80], reps: [12, 6], sets: [3, 5], rpe: [7, 9] },
+  power: { intensity: [65, 90], reps: [6, 2], sets: [4, 6], rpe: [6, 8] },
+  general: { intensity: [60, 80], reps: [12, 6], sets: [3, 4], rpe: [6, 8] }
+};
+
+// Undulating: the emphasis rotates from session to session
+const DAILY_UNDULATION = {
+  hypertrophy: { intensity: [65, 75], reps: '8-12', sets: 4, rpe: 7 },
+  strength: { intensity: [78, 86], reps: '4-6', sets: 5, rpe: 8 },
+  power: { intensity: [60, 70], reps: '2-3', sets: 6, rpe: 6 }   // fast, submaximal
+};
+const UNDULATION_ORDER = {
+  strength: ['strength', 'hypertrophy', 'power'],
+  hypertrophy: ['hypertrophy', 'strength', 'hypertrophy', 'power'],
+  power: ['power', 'strength', 'hypertrophy'],
+  general: ['hypertrophy', 'strength', 'power']
+};
+// % 1RM added each loading week (and each new mesocycle)
+const UNDULATION_STEP = 2.5;
+
+// Block: accumulation -> transmutation -> realization
+const BLOCKS = [
+  { name: 'Accumulation', focus: 'hypertrophy', share: 0.45, intensity: [65, 75], reps: '8-12', sets: 5, rpe: 7, volume: 1 },
+  { name: 'Transmutation', focus: 'strength', share: 0.35, intensity: [75, 87], reps: '4-6', sets: 5, rpe: 8, volume: 0.85 },
+  { name: 'Realization', focus: 'peak', share: 0.2, intensity: [87, 95], reps: '1-3', sets: 4, rpe: 9, volume: 0.6 }
+];
+
+const TEST_WEEK = { phase: 'Test', focus: 'test', intensity: { min: 90, max: 100 }, sets: 3, reps: '1-3', rpe: 9, volume: 0.5 };
+
+const RISK_RANK = { unknown: 0, low: 1, medium: 2, high: 3 };
+// Minimum gap between two recovery-triggered deloads
+const RECOVERY_DELOAD_COOLDOWN_DAYS = 21;
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+const lerp = (range, t) => range[0] + (range[1] - range[0]) * t;
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+/**
+ * Midnight (server time) of a date; "YYYY-MM-DD" is read as a local date
+ */
+const startOfDay = (value) => {
+  const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T00:00:00`)
+    : value ? new Date(value) : new Date();
+
+  if (isNaN(date.getTime())) {
+    throw new ErrorResponse(`Invalid date: ${value}`, 400);
+  }
+
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+// Calendar arithmetic so DST changes don't shift session times
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const sameDay = (a, b) => startOfDay(a).getTime() === startOfDay(b).getTime();
+
+const nextMonday = (from = new Date()) => {
+  const day = startOfDay(from);
+  return addDays(day, ((8 - day.getDay()) % 7) || 7);
+};
+
+// ========================================
+// PROGRAM MODELS
+// ========================================
+// Each builder returns { mesocycles: [{ name, focus }], weeks: [spec] }
+// where a spec is the week's prescription plus the per-day session focus.
+
+const deloadOf = (spec, reason = 'scheduled') => ({
+  mesocycle: spec.mesocycle,
+  phase: 'Deload',
+  focus: 'deload',
+  deload: true,
+  deloadReason: reason,
+  intensity: {
+    min: Math.max(50, spec.intensity.min - 15),
+    max: Math.max(55, spec.intensity.max - 15)
+  },
+  sets: Math.max(2, Math.ceil((spec.sets || 4) / 2)),
+  reps: '5-8',
+  rpe: 5.5,
+  volume: 0.5
+});
+
+const isDeloadWeek = (index, loading) => (index + 1) % (loading + 1) === 0;
+
+/**
+ * Linear: one emphasis, intensity rising steadily across the plan
+ */
+const buildLinear = (trainingWeeks, focus, loading) => {
+  const ranges = LINEAR[focus];
+  const loadingTotal = Array.from({ length: trainingWeeks }, (_, i) => i)
+    .filter(i => !isDeloadWeek(i, loading)).length;
+  const mesocycleCount = Math.ceil(trainingWeeks / (loading + 1));
+
+  const weeks = [];
+  let loadingIndex = 0;
+  for (let i = 0; i < trainingWeeks; i++) {
+    const mesocycle = Math.floor(i / (loading + 1));
+    if (isDeloadWeek(i, loading)) {
+      weeks.push(deloadOf(weeks[weeks.length - 1]));
+      continue;
+    }
+
+    const t = loadingTotal > 1 ? loadingIndex / (loadingTotal - 1) : 1;
+    const center = lerp(ranges.intensity, t);
+    const reps = Math.round(lerp(ranges.reps, t));
+    weeks.push({
+      mesocycle,
+      phase: `Mesocycle ${mesocycle + 1}`,
+      focus: focus === 'general' ? (reps >= 8 ? 'hypertrophy' : 'strength') : focus,
+      intensity: { min: Math.round(center - 2.5), max: Math.round(center + 2.5) },
+      sets: Math.round(lerp(ranges.sets, t)),
+      reps: String(reps),
+      rpe: round(lerp(ranges.rpe, t) * 2, 0) / 2,
+      volume: 1
+    });
+    loadingIndex++;
+  }
+
+  return {
+    mesocycles: Array.from({ length: mesocycleCount }, (_, i) => ({ name: `Mesocycle ${i + 1}`, focus })),
+    weeks
+  };
+};
+
+/**
+ * Daily undulating: hypertrophy, strength and power days rotate within
+ * each week; every day type gets a little heavier week to week
+ */
+const buildUndulating = (trainingWeeks, focus, loading) => {
+  const order = UNDULATION_ORDER[focus];
+  const mesocycleCount = Math.ceil(trainingWeeks / (loading + 1));
+
+  const weeks = [];
+  for (let i = 0; i < trainingWeeks; i++) {
+    const mesocycle = Math.floor(i / (loading + 1));
+    if (isDeloadWeek(i, loading)) {
+      weeks.push(deloadOf(weeks[weeks.length - 1]));
+      continue;
+    }
+
+    const bump = ((i % (loading + 1)) + mesocycle) * UNDULATION_STEP;
+    const days = order.map(type => {
+      const day = DAILY_UNDULATION[type];
+      return {
+        focus: type,
+        intensity: {
+          min: Math.min(92, Math.round(day.intensity[0] + bump)),
+          max: Math.min(95, Math.round(day.intensity[1] + bump))
+        },
+        sets: day.sets,
+        reps: day.reps,
+        rpe: day.rpe
+      };
+    });
+
+    weeks.push({
+      mesocycle,
+      phase: `Mesocycle ${mesocycle + 1}`,
+      focus: 'undulating',
+      intensity: {
+        min: Math.min(...days.map(day => day.intensity.min)),
+        max: Math.max(...days.map(day => day.intensity.max))
+      },
+      sets: Math.max(...days.map(day => day.sets)),
+      reps: null,
+      rpe: Math.max(...days.map(day => day.rpe)),
+      volume: 1,
+      days
+    });
+  }
+
+  return {
+    mesocycles: Array.from({ length: mesocycleCount }, (_, i) => ({ name: `Mesocycle ${i + 1}`, focus })),
+    weeks
+  };
+};
+
+/**
+ * Block: accumulation, transmutation and realization blocks, each ending
+ * in a deload when it's long enough to carry one
+ */
+const buildBlock = (trainingWeeks) => {
+  const lengths = BLOCKS.map(block => Math.max(1, Math.round(trainingWeeks * block.share)));
+  // Give the rounding error to the first block
+  lengths[0] += trainingWeeks - lengths.reduce((sum, length) => sum + length, 0);
+
+  const weeks = [];
+  BLOCKS.forEach((block, mesocycle) => {
+    const length = lengths[mesocycle];
+    const deloads = mesocycle < BLOCKS.length - 1 && length >= 3;
+    const loadingWeeks = deloads ? length - 1 : length;
+
+    for (let i = 0; i < loadingWeeks; i++) {
+      const t = loadingWeeks > 1 ? i / (loadingWeeks - 1) : 1;
+      const center = lerp(block.intensity, t);
+      weeks.push({
+        mesocycle,
+        phase: block.name,
+        focus: block.focus,
+        intensity: { min: Math.round(center - 2.5), max: Math.round(center + 2.5) },
+        sets: block.sets,
+        reps: block.reps,
+        rpe: block.rpe,
+        volume: block.volume
+      });
+    }
+    if (deloads) weeks.push(deloadOf(weeks[weeks.length - 1]));
+  });
+
+  return {
+    mesocycles: BLOCKS.map(block => ({ name: block.name, focus: block.focus })),
+    weeks
+  };
+};
+
+const BUILDERS = { linear: buildLinear, undulating: buildUndulating, block: buildBlock };
+
+/**
+ * Week-by-week prescription for a plan, ending in a test week when the
+ * plan is long enough
+ */
+const buildProgram = ({ model, focus, experience, totalWeeks }) => {
+  const hasTestWeek = totalWeeks >= TEST_WEEK_MIN_PLAN;
+  const trainingWeeks = hasTestWeek ? totalWeeks - 1 : totalWeeks;
+  const program = BUILDERS[model](trainingWeeks, focus, LOADING_WEEKS[experience]);
+
+  if (hasTestWeek) {
+    // Block plans test at the end of realization; the others get their own peak
+    const mesocycle = model === 'block' ? program.mesocycles.length - 1 : program.mesocycles.length;
+    if (model !== 'block') program.mesocycles.push({ name: 'Peak & Test', focus: 'test' });
+    program.weeks.push({ ...TEST_WEEK, mesocycle });
+  }
+
+  return program;
+};
+
+// ========================================
+// SCHEDULING
+// ========================================
+
+const prescription = ({ sets, reps, intensity, rpe }) => {
+  const load = intensity ? ` @ ${intensity.min}-${intensity.max}% 1RM` : '';
+  return `${sets} x ${reps}${load}${rpe ? `, RPE ${rpe}` : ''}`;
+};
+
+const atTime = (date, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const result = new Date(date);
+  result.setHours(hours, minutes, 0, 0);
+  return result;
+};
+
+/**
+ * Sessions for one week, on the plan's training days
+ */
+const buildSessions = (spec, weekStart, { trainingDays, sessionTime, targetDate }) => {
+  const sessions = [];
+  for (let offset = 0; offset < 7; offset++) {
+    const date = addDays(weekStart, offset);
+    if (!trainingDays.includes(date.getDay())) continue;
+    if (targetDate && date > targetDate) break;
+
+    const day = spec.days ? spec.days[sessions.length % spec.days.length] : spec;
+    sessions.push({
+      date: atTime(date, sessionTime),
+      day: sessions.length + 1,
+      focus: spec.days ? day.focus : spec.focus,
+      sets: day.sets,
+      reps: day.reps,
+      intensity: day.intensity,
+      rpe: day.rpe
+    });
+  }
+  return sessions;
+};
+
+const buildMicrocycles = (program, plan) => program.weeks.map((spec, index) => {
+  const startDate = addDays(plan.startDate, index * 7);
+  return {
+    week: index + 1,
+    mesocycle: spec.mesocycle,
+    phase: spec.phase,
+    startDate,
+    endDate: new Date(addDays(startDate, 7).getTime() - 1),
+    deload: !!spec.deload,
+    deloadReason: spec.deloadReason,
+    volume: spec.volume,
+    sets: spec.sets,
+    reps: spec.reps,
+    intensity: spec.intensity,
+    rpe: spec.rpe,
+    sessions: buildSessions(spec, startDate, plan)
+  };
+});
+
+// Recompute mesocycle week/date ranges from the microcycles
+const refreshMesocycles = (plan) => {
+  plan.mesocycles.forEach(mesocycle => {
+    const weeks = plan.microcycles.filter(week => week.mesocycle === mesocycle.index);
+    if (weeks.length === 0) return;
+    mesocycle.startWeek = weeks[0].week;
+    mesocycle.endWeek = weeks[weeks.length - 1].week;
+    mesocycle.startDate = weeks[0].startDate;
+    mesocycle.endDate = weeks[weeks.length - 1].endDate;
+  });
+};
+
+// ========================================
+// EARTH CALENDAR
+// ========================================
+
+const sessionLabel = (session) => capitalize(session.focus || 'training');
+
+const energyFor = (session) => {
+  if (session.focus === 'deload') return 2;
+  if (session.focus === 'test' || session.rpe >= 9) return 5;
+  return session.rpe >= 8 ? 4 : 3;
+};
+
+const calendarFields = (plan, week, session) => ({
+  title: `${plan.name}: Week ${week.week} ${sessionLabel(session)}`,
+  description: [
+    prescription(session),
+    week.deload ? 'Deload week - keep every set well short of failure' : null,
+    `${capitalize(plan.model)} plan, ${week.phase}`
+  ].filter(Boolean).join('\n'),
+  startTime: session.date,
+  endTime: new Date(session.date.getTime() + plan.sessionDuration * 60 * 1000),
+  energyRequirement: energyFor(session)
+});
+
+/**
+ * Create calendar events for sessions that don't have one yet
+ */
+const scheduleSessions = async (plan, weeks) => {
+  if (!plan.calendarSync) return [];
+
+  const pending = [];
+  weeks.forEach(week => week.sessions.forEach(session => {
+    if (!session.calendarEventId && session.status === 'planned') pending.push({ week, session });
+  }));
+  if (pending.length === 0) return [];
+
+  const events = await CalendarEvent.insertMany(pending.map(({ week, session }) => ({
+    userId: plan.userId,
+    provider: 'manual',
+    meetingType: 'workout',
+    autoScheduled: true,
+    ...calendarFields(plan, week, session)
+  })));
+
+  events.forEach((event, index) => {
+    pending[index].session.calendarEventId = event._id;
+  });
+  return events.map(event => event._id);
+};
+
+/**
+ * Push changed session times/prescriptions to their calendar events
+ */
+const syncSessions = async (plan, weeks) => {
+  if (!plan.calendarSync) return;
+
+  const operations = [];
+  weeks.forEach(week => week.sessions.forEach(session => {
+    if (!session.calendarEventId) return;
+    operations.push({
+      updateOne: {
+        filter: { _id: session.calendarEventId, userId: plan.userId },
+        update: { $set: calendarFields(plan, week, session) }
+      }
+    });
+  }));
+
+  if (operations.length > 0) await CalendarEvent.bulkWrite(operations);
+};
+
+// ========================================
+// PLAN LIFECYCLE
+// ========================================
+
+const resolveTrainingDays = ({ trainingDays, daysPerWeek }) => {
+  if (trainingDays !== undefined) {
+    const days = [...new Set([].concat(trainingDays).map(Number))].sort((a, b) => a - b);
+    if (days.length < 2 || days.length > 6 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new ErrorResponse('trainingDays must list 2-6 weekdays (0 = Sunday ... 6 = Saturday)', 400);
+    }
+    return days;
+  }
+
+  const count = daysPerWeek === undefined ? 3 : Number(daysPerWeek);
+  if (!DEFAULT_DAYS[count]) {
+    throw new ErrorResponse('daysPerWeek must be between 2 and 6', 400);
+  }
+  return DEFAULT_DAYS[count];
+};
+
+/**
+ * Target date and length: from a Mars goal's deadline, an explicit
+ * targetDate, or a number of weeks
+ */
+const resolveTimeline = async (userId, startDate, { goalId, targetDate, duration }) => {
+  let goal = null;
+  let target = null;
+
+  if (goalId) {
+    if (!mongoose.Types.ObjectId.isValid(goalId)) throw new ErrorResponse('Goal not found', 404);
+    goal = await Goal.findOne({ _id: goalId, clientId: userId });
+    if (!goal) throw new ErrorResponse('Goal not found', 404);
+    if (goal.completed) throw new ErrorResponse('That goal is already completed', 400);
+    target = startOfDay(goal.deadline);
+  } else if (targetDate) {
+    target = startOfDay(targetDate);
+  }
+
+  let totalWeeks;
+  if (target) {
+    // The target day falls in the final week
+    totalWeeks = Math.ceil((addDays(target, 1) - startDate) / WEEK_MS);
+    if (totalWeeks < MIN_WEEKS) {
+      throw new ErrorResponse(`Plans need at least ${MIN_WEEKS} weeks; the target date is ${Math.max(0, totalWeeks)} week(s) away`, 400);
+    }
+  } else {
+    totalWeeks = duration === undefined ? DEFAULT_WEEKS : Number(duration);
+    if (!Number.isInteger(totalWeeks) || totalWeeks < MIN_WEEKS) {
+      throw new ErrorResponse(`duration must be a whole number of weeks (at least ${MIN_WEEKS})`, 400);
+    }
+    target = addDays(startDate, totalWeeks * 7 - 1);
+  }
+
+  if (totalWeeks > MAX_WEEKS) {
+    throw new ErrorResponse(`Plans can run at most ${MAX_WEEKS} weeks`, 400);
+  }
+
+  return { goal, totalWeeks, targetDate: new Date(addDays(target, 1).getTime() - 1) };
+};
+
+/**
+ * The user's active plan, closing it out once its last week has passed
+ */
+const findActivePlan = async (userId, now = new Date()) => {
+  const plan = await TrainingPlan.findOne({ userId, status: 'active' });
+  if (!plan) return null;
+
+  const lastWeek = plan.microcycles[plan.microcycles.length - 1];
+  if (lastWeek && lastWeek.endDate < now) {
+    plan.status = 'completed';
+    await plan.save();
+    return null;
+  }
+  return plan;
+};
+
+const findPlan = async (userId, planId) => {
+  if (!mongoose.Types.ObjectId.isValid(planId)) throw new ErrorResponse('Training plan not found', 404);
+  const plan = await TrainingPlan.findOne({ _id: planId, userId });
+  if (!plan) throw new ErrorResponse('Training plan not found', 404);
+  return plan;
+};
+
+const sessionSummary = (week, session) => ({
+  id: session._id,
+  date: session.date,
+  week: week.week,
+  focus: session.focus,
+  prescription: prescription(session),
+  status: session.status,
+  calendarEventId: session.calendarEventId || null,
+  workoutId: session.workoutId || null
+});
+
+const adherence = (plan, now) => {
+  const due = plan.microcycles.flatMap(week => week.sessions)
+    .filter(session => session.status === 'completed' || (session.date <= now && session.status !== 'cancelled'));
+  const completed = due.filter(session => session.status === 'completed').length;
+  return {
+    completed,
+    scheduled: due.length,
+    rate: due.length > 0 ? round(completed / due.length * 100, 0) : null
+  };
+};
+
+/**
+ * Client view of a plan; the week list is left out of summaries
+ */
+const describePlan = (plan, { detail = true, now = new Date() } = {}) => {
+  const current = plan.weekAt(now);
+  const nextDeload = plan.microcycles.find(week => week.deload && week.startDate > now);
+
+  const result = {
+    id: plan._id,
+    name: plan.name,
+    model: plan.model,
+    focus: plan.focus,
+    experience: plan.experience,
+    status: plan.status,
+    goalId: plan.goalId || null,
+    startDate: plan.startDate,
+    targetDate: plan.targetDate,
+    totalWeeks: plan.totalWeeks,
+    trainingDays: plan.trainingDays,
+    deloadThreshold: plan.deloadThreshold,
+    currentWeek: current ? current.week : null,
+    currentPhase: current ? current.phase : null,
+    nextDeload: nextDeload
+      ? { week: nextDeload.week, startDate: nextDeload.startDate, reason: nextDeload.deloadReason }
+      : null,
+    adherence: adherence(plan, now),
+    mesocycles: plan.mesocycles,
+    adjustments: plan.adjustments,
+    lastRiskCheck: plan.lastRiskCheck
+  };
+
+  if (detail) {
+    result.microcycles = plan.microcycles.map(week => ({
+      week: week.week,
+      mesocycle: week.mesocycle,
+      phase: week.phase,
+      startDate: week.startDate,
+      endDate: week.endDate,
+      deload: week.deload,
+      deloadReason: week.deloadReason,
+      volume: week.volume,
+      prescription: week.reps ? prescription(week) : 'Varies by session',
+      sessions: week.sessions.map(session => sessionSummary(week, session))
+    }));
+  }
+
+  return result;
+};
+
+/**
+ * Create a plan, persist it and put its sessions on the calendar
+ */
+exports.createPlan = async (userId, data = {}) => {
+  const {
+    name,
+    model = 'linear',
+    focus = 'strength',
+    experience = 'intermediate',
+    startDate,
+    sessionTime,
+    sessionDuration,
+    calendarSync = true,
+    deloadThreshold
+  } = data;
+
+  if (!TrainingPlan.MODELS.includes(model)) {
+    throw new ErrorResponse(`model must be one of: ${TrainingPlan.MODELS.join(', ')}`, 400);
+  }
+  if (!TrainingPlan.FOCUSES.includes(focus)) {
+    throw new ErrorResponse(`focus must be one of: ${TrainingPlan.FOCUSES.join(', ')}`, 400);
+  }
+  if (!LOADING_WEEKS[experience]) {
+    throw new ErrorResponse('experience must be beginner, intermediate or advanced', 400);
+  }
+
+  const existing = await findActivePlan(userId);
+  if (existing) {
+    throw new ErrorResponse('You already have an active training plan; cancel it before starting another', 409);
+  }
+
+  const start = startDate ? startOfDay(startDate) : nextMonday();
+  if (start < startOfDay()) {
+    throw new ErrorResponse('startDate cannot be in the past', 400);
+  }
+
+  const trainingDays = resolveTrainingDays(data);
+  const { goal, totalWeeks, targetDate } = await resolveTimeline(userId, start, data);
+
+  const plan = new TrainingPlan({
+    userId,
+    name: name || (goal ? `${goal.name} plan` : `${totalWeeks}-week ${capitalize(model)} ${capitalize(focus)}`),
+    model,
+    focus,
+    experience,
+    goalId: goal ? goal._id : undefined,
+    startDate: start,
+    targetDate,
+    totalWeeks,
+    daysPerWeek: trainingDays.length,
+    trainingDays,
+    sessionTime,
+    sessionDuration,
+    calendarSync: calendarSync !== false && calendarSync !== 'false',
+    deloadThreshold
+  });
+
+  try {
+    await plan.validate();
+  } catch (error) {
+    throw new ErrorResponse(error.message, 400);
+  }
+
+  const program = buildProgram(plan);
+  plan.mesocycles = program.mesocycles.map((mesocycle, index) => ({ index, ...mesocycle }));
+  plan.microcycles = buildMicrocycles(program, plan);
+  refreshMesocycles(plan);
+
+  const eventIds = await scheduleSessions(plan, plan.microcycles);
+  try {
+    await plan.save();
+  } catch (error) {
+    await CalendarEvent.deleteMany({ _id: { $in: eventIds } });
+    throw error;
+  }
+
+  return describePlan(plan);
+};
+
+exports.getPlans = async (userId, { status } = {}) => {
+  // Closes out a finished active plan before listing
+  await findActivePlan(userId);
+
+  const filter = { userId };
+  if (status) filter.status = status;
+
+  const plans = await TrainingPlan.find(filter).sort({ createdAt: -1 });
+  return plans.map(plan => describePlan(plan, { detail: false }));
+};
+
+exports.getPlan = async (userId, planId) => {
+  const plan = await findPlan(userId, planId);
+  return describePlan(plan);
+};
+
+/**
+ * Cancel a plan and take its remaining sessions off the calendar
+ */
+exports.cancelPlan = async (userId, planId) => {
+  const plan = await findPlan(userId, planId);
+  if (plan.status !== 'active') {
+    throw new ErrorResponse(`This plan is already ${plan.status}`, 400);
+  }
+
+  const now = new Date();
+  const eventIds = [];
+  plan.microcycles.forEach(week => week.sessions.forEach(session => {
+    if (session.status !== 'planned' || session.date < now) return;
+    session.status = 'cancelled';
+    if (session.calendarEventId) eventIds.push(session.calendarEventId);
+    session.calendarEventId = undefined;
+  }));
+
+  plan.status = 'cancelled';
+  await plan.save();
+  if (eventIds.length > 0) {
+    await CalendarEvent.deleteMany({ _id: { $in: eventIds }, userId });
+  }
+
+  return { ...describePlan(plan, { detail: false }), removedEvents: eventIds.length };
+};
+
+// ========================================
+// RECOVERY-DRIVEN DELOADS
+// ========================================
+
+const WEEK_FIELDS = ['mesocycle', 'phase', 'deload', 'deloadReason', 'volume', 'sets', 'reps', 'rpe'];
+const SESSION_FIELDS = ['focus', 'sets', 'reps', 'rpe'];
+
+const copyIntensity = (intensity) => (intensity ? { min: intensity.min, max: intensity.max } : undefined);
+
+// A week's prescription without its dates, so it can move to another slot
+const snapshot = (week) => ({
+  ...Object.fromEntries(WEEK_FIELDS.map(field => [field, week[field]])),
+  intensity: copyIntensity(week.intensity),
+  sessions: week.sessions.map(session => ({
+    ...Object.fromEntries(SESSION_FIELDS.map(field => [field, session[field]])),
+    intensity: copyIntensity(session.intensity)
+  }))
+});
+
+const applyPrescription = (week, spec) => {
+  WEEK_FIELDS.forEach(field => { week[field] = spec[field]; });
+  week.intensity = spec.intensity;
+  week.sessions.forEach((session, index) => {
+    Object.assign(session, spec.sessions[index % spec.sessions.length]);
+  });
+};
+
+/**
+ * Recovery deload coming off `previous`, placed in `slot`'s mesocycle
+ */
+const recoveryDeload = (previous, slot) => {
+  const deload = deloadOf(previous, 'recovery');
+  return {
+    ...deload,
+    mesocycle: slot.mesocycle,
+    sessions: [{ focus: 'deload', sets: deload.sets, reps: deload.reps, intensity: deload.intensity, rpe: deload.rpe }]
+  };
+};
+
+/**
+ * Move the mesocycle's scheduled deload up to microcycles[index]; the
+ * loading weeks in between each slide one week later
+ */
+const pullDeloadForward = (plan, index, scheduledIndex) => {
+  const slots = plan.microcycles.slice(index, scheduledIndex + 1);
+  const loading = slots.slice(0, -1).map(snapshot);
+  const deload = recoveryDeload(plan.microcycles[index - 1] || slots[0], slots[0]);
+
+  [deload, ...loading].forEach((spec, offset) => applyPrescription(slots[offset], spec));
+  return slots;
+};
+
+/**
+ * Turn microcycles[index] into a deload, keeping every date in place
+ */
+const convertToDeload = (plan, index) => {
+  const week = plan.microcycles[index];
+  applyPrescription(week, recoveryDeload(plan.microcycles[index - 1] || week, week));
+  return [week];
+};
+
+/**
+ * Insert a deload week at microcycles[index] and push the rest of the
+ * plan back a week
+ */
+const insertDeload = (plan, index) => {
+  const following = plan.microcycles[index];
+  const deload = recoveryDeload(plan.microcycles[index - 1] || following, following);
+  const week = {
+    ...deload,
+    week: index + 1,
+    startDate: following.startDate,
+    endDate: following.endDate,
+    // Same training days as the week it displaces
+    sessions: following.sessions.map(session => ({
+      ...deload.sessions[0],
+      date: session.date,
+      day: session.day
+    }))
+  };
+
+  const shifted = plan.microcycles.slice(index);
+  shifted.forEach(later => {
+    later.week += 1;
+    later.startDate = addDays(later.startDate, 7);
+    later.endDate = addDays(later.endDate, 7);
+    later.sessions.forEach(session => {
+      session.date = addDays(session.date, 7);
+    });
+  });
+
+  plan.microcycles.splice(index, 0, week);
+  plan.totalWeeks += 1;
+  plan.targetDate = addDays(plan.targetDate, 7);
+
+  return { inserted: plan.microcycles[index], shifted };
+};
+
+const ADJUSTMENT_TYPES = { moved: 'deload_moved', converted: 'deload_converted', inserted: 'deload_inserted' };
+
+/**
+ * Check overtraining risk for a plan and make next week a deload when it
+ * reaches the plan's threshold. A deload already scheduled later in the
+ * mesocycle is pulled forward; otherwise goal-tied plans convert next
+ * week (keeping the goal's date) and other plans are extended by a week.
+ */
+const applyRecoveryCheck = async (plan, now = new Date()) => {
+  const risk = await recoveryCalc.assessOvertrainingRisk(plan.userId);
+  plan.lastRiskCheck = { checkedAt: now, level: risk.level };
+
+  const result = { triggered: false, risk };
+  if ((RISK_RANK[risk.level] || 0) < RISK_RANK[plan.deloadThreshold]) {
+    await plan.save();
+    return result;
+  }
+
+  const currentIndex = plan.microcycles.findIndex(week => week.startDate <= now && now <= week.endDate);
+  const nextIndex = currentIndex === -1
+    ? plan.microcycles.findIndex(week => week.startDate > now)
+    : currentIndex + 1;
+  const current = plan.microcycles[currentIndex];
+  const next = plan.microcycles[nextIndex];
+  const lastRecoveryDeload = [...plan.adjustments].reverse()
+    .find(adjustment => Object.values(ADJUSTMENT_TYPES).includes(adjustment.type));
+
+  if (nextIndex === -1 || !next) {
+    result.reason = 'The plan ends before another week starts';
+  } else if ((current && current.deload) || next.deload) {
+    result.reason = 'A deload is already scheduled';
+  } else if (lastRecoveryDeload && now - lastRecoveryDeload.createdAt < RECOVERY_DELOAD_COOLDOWN_DAYS * DAY_MS) {
+    result.reason = 'A recovery deload was added recently';
+  } else if (next.phase === TEST_WEEK.phase) {
+    result.reason = 'The final test week already reduces volume';
+  }
+
+  if (result.reason) {
+    await plan.save();
+    return result;
+  }
+
+  const scheduledIndex = plan.microcycles.findIndex((week, index) =>
+    index > nextIndex && week.deload && week.mesocycle === next.mesocycle
+  );
+
+  let changedWeeks;
+  if (scheduledIndex !== -1) {
+    changedWeeks = pullDeloadForward(plan, nextIndex, scheduledIndex);
+    result.action = 'moved';
+  } else if (plan.goalId) {
+    changedWeeks = convertToDeload(plan, nextIndex);
+    result.action = 'converted';
+  } else {
+    const { inserted, shifted } = insertDeload(plan, nextIndex);
+    changedWeeks = shifted;
+    await scheduleSessions(plan, [inserted]);
+    result.action = 'inserted';
+  }
+  refreshMesocycles(plan);
+
+  plan.adjustments.push({
+    type: ADJUSTMENT_TYPES[result.action],
+    week: nextIndex + 1,
+    riskLevel: risk.level,
+    indicators: risk.indicators,
+    createdAt: now
+  });
+
+  await plan.save();
+  await syncSessions(plan, changedWeeks);
+
+  result.triggered = true;
+  result.week = nextIndex + 1;
+  return result;
+};
+
+exports.checkRecovery = async (userId) => {
+  const plan = await findActivePlan(userId);
+  if (!plan) return null;
+  return applyRecoveryCheck(plan);
+};
+
+/**
+ * Link a completed workout to the plan session scheduled that day, then
+ * re-check recovery
+ */
+exports.recordWorkout = async (userId, workout) => {
+  const plan = await findActivePlan(userId);
+  if (!plan) return null;
+
+  const completedAt = workout.completedAt || new Date();
+  const session = plan.microcycles.flatMap(week => week.sessions)
+    .find(candidate => candidate.status === 'planned' && sameDay(candidate.date, completedAt));
+
+  if (session) {
+    session.status = 'completed';
+    session.workoutId = workout._id;
+  }
+
+  return applyRecoveryCheck(plan);
+};
+
+/**
+ * Whether a deload is due, applying a recovery-triggered one to the active
+ * plan when needed
+ */
+exports.planDeload = async (userId) => {
+  const now = new Date();
+  const plan = await findActivePlan(userId, now);
+
+  if (!plan) {
+    const risk = await recoveryCalc.assessOvertrainingRisk(userId);
+    const deloadNeeded = (RISK_RANK[risk.level] || 0) >= RISK_RANK.medium;
+    return {
+      deloadNeeded,
+      risk,
+      recommendation: deloadNeeded
+        ? 'Take a deload week: about half your usual sets at 10-15% lighter loads'
+        : 'No deload needed yet - create a training plan to have deloads scheduled automatically',
+      adjustment: null,
+      plan: null,
+      deloadWorkouts: []
+    };
+  }
+
+  const check = await applyRecoveryCheck(plan, now);
+  const current = plan.weekAt(now);
+  const upcoming = current && current.deload
+    ? current
+    : plan.microcycles.find(week => week.deload && week.startDate > now);
+
+  let recommendation;
+  if (check.triggered) {
+    recommendation = `Overtraining risk is ${check.risk.level} - week ${check.week} is now a deload`;
+  } else if (current && current.deload) {
+    recommendation = 'This is a deload week - keep loads light and sets well short of failure';
+  } else if (upcoming) {
+    recommendation = `Next deload is week ${upcoming.week}, starting ${startOfDay(upcoming.startDate).toDateString()}`;
+  } else {
+    recommendation = 'No further deloads before the plan ends';
+  }
+
+  return {
+    deloadNeeded: check.triggered || !!(current && current.deload) ||
+      (RISK_RANK[check.risk.level] || 0) >= RISK_RANK[plan.deloadThreshold],
+    risk: check.risk,
+    recommendation,
+    adjustment: check.triggered ? { action: check.action, week: check.week } : null,
+    plan: {
+      id: plan._id,
+      name: plan.name,
+      currentWeek: current ? current.week : null,
+      nextDeload: upcoming
+        ? { week: upcoming.week, startDate: upcoming.startDate, reason: upcoming.deloadReason }
+        : null
+    },
+    deloadWorkouts: upcoming ? upcoming.sessions.map(session => sessionSummary(upcoming, session)) : []
+  };
+};
+
+exports.buildProgram = buildProgram;
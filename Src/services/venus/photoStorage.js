@@ -0,0 +1,68 @@
+// ============================================
+// PHOTO STORAGE - Pluggable backend for progress photos
+// ============================================
+// Adapters: local (disk, default). PHOTO_STORAGE picks the adapter; when
+// it isn't registered or configured, local disk is used.
+//
+// Each photo records the adapter that stored it, so switching backends
+// keeps older photos readable as long as their adapter stays registered.
+// ============================================
+
+const LocalDiskAdapter = require('./storageAdapters/localDiskAdapter');
+
+class PhotoStorage {
+  constructor() {
+    this.adapters = new Map();
+    this.registerAdapter(new LocalDiskAdapter());
+  }
+
+  /**
+   * Register (or replace) an adapter.
+   * Adapters implement { name, isConfigured(), put(key, buffer, { contentType }),
+   * get(key) → Buffer, remove(key), getUrl(key, { expiresIn }) → string|null }
+   */
+  registerAdapter(adapter) {
+    this.adapters.set(adapter.name, adapter);
+  }
+
+  /**
+   * Adapter used for new uploads
+   */
+  resolve() {
+    const requested = this.adapters.get(process.env.PHOTO_STORAGE || 'local');
+    return requested && requested.isConfigured() ? requested : this.adapters.get('local');
+  }
+
+  adapterFor(name) {
+    const adapter = this.adapters.get(name);
+    if (!adapter) throw new Error(`Photo storage adapter "${name}" is not registered`);
+    return adapter;
+  }
+
+  /**
+   * Store a file with the active adapter
+   * @returns {{ backend, key, size }}
+   */
+  async put(key, buffer, options = {}) {
+    const adapter = this.resolve();
+    const stored = await adapter.put(key, buffer, options);
+    return { backend: adapter.name, key: stored.key, size: stored.size };
+  }
+
+  get(backend, key) {
+    return this.adapterFor(backend).get(key);
+  }
+
+  remove(backend, key) {
+    return this.adapterFor(backend).remove(key);
+  }
+
+  /**
+   * Direct (e.g. signed) URL when the backend offers one
+   */
+  getUrl(backend, key, options = {}) {
+    return this.adapterFor(backend).getUrl(key, options);
+  }
+}
+
+module.exports = new PhotoStorage();
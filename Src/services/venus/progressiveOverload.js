@@ -0,0 +1,564 @@
+// Progressive Overload Service
+// Estimated 1RM (Epley, Brzycki, Lombardi, RPE), per-exercise e1RM history,
+// rep-range PRs, weekly volume per muscle group and next-session load
+// recommendations driven by recent RPE
+
+const Workout = require('../../models/venus/Workout');
+const Exercise = require('../../models/venus/Exercise');
+const PerformanceTest = require('../../models/venus/PerformanceTest');
+const ErrorResponse = require('../../utils/errorResponse');
+const performanceTesting = require('./performanceTesting');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LB_TO_KG = 0.453592;
+
+// Rep-range buckets for rep-max PRs
+const REP_RANGES = [
+  { label: '1', min: 1, max: 1 },
+  { label: '2-3', min: 2, max: 3 },
+  { label: '4-6', min: 4, max: 6 },
+  { label: '7-10', min: 7, max: 10 },
+  { label: '11-15', min: 11, max: 15 },
+  { label: '16+', min: 16, max: Infinity }
+];
+
+// %1RM by reps to failure (RTS RPE chart, RPE 10 row); reps + reps in reserve
+// gives the equivalent reps to failure for an RPE-rated set
+const RPE_PERCENTAGES = [100, 95.5, 92.2, 89.2, 86.3, 83.7, 81.1, 78.6, 76.2, 73.9, 71.7, 69.4];
+
+// Sets with more reps than this say little about a single
+const MAX_ESTIMATE_REPS = 12;
+
+// Secondary muscles count as half a set toward weekly volume
+const SECONDARY_SET_CREDIT = 0.5;
+
+// Load increments for the next session (fraction of working weight)
+const LOWER_BODY_INCREMENT = 0.05;
+const UPPER_BODY_INCREMENT = 0.025;
+const LOWER_BODY_CATEGORIES = ['legs', 'full-body'];
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+const toKey = (name) => String(name || '').trim().toLowerCase();
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const completedSets = (exercise) => (exercise.actualSets || [])
+  .filter(set => set.completed !== false && set.reps > 0);
+
+// ========================================
+// 1RM ESTIMATION
+// ========================================
+
+const FORMULAS = {
+  epley: (weight, reps) => weight * (1 + reps / 30),
+  brzycki: (weight, reps) => weight * 36 / (37 - reps),
+  lombardi: (weight, reps) => weight * Math.pow(reps, 0.1)
+};
+
+const rpeEstimate = (weight, reps, rpe) => {
+  if (!rpe || rpe < 6 || rpe > 10) return null;
+  const repsToFailure = Math.round(reps + (10 - rpe));
+  const percentage = RPE_PERCENTAGES[repsToFailure - 1];
+  return percentage ? weight / (percentage / 100) : null;
+};
+
+/**
+ * Estimated 1RM of one set; the RPE-based estimate is preferred when the set
+ * was rated, otherwise the average of the rep-based formulas
+ * @returns {number} 0 when the set can't be estimated
+ */
+exports.estimateOneRepMax = (weight, reps, rpe) => {
+  if (!(weight > 0) || !(reps >= 1) || reps > MAX_ESTIMATE_REPS) return 0;
+  if (reps === 1 && !rpe) return weight;
+
+  const byRpe = rpeEstimate(weight, reps, rpe);
+  if (byRpe) return byRpe;
+
+  const values = Object.values(FORMULAS).map(formula => formula(weight, reps));
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+};
+
+/**
+ * 1RM by every formula for a single set plus training loads derived from it
+ * @param {object} data - { weight, reps, rpe? }
+ */
+exports.calculateOneRepMax = ({ weight, reps, rpe } = {}) => {
+  weight = Number(weight);
+  reps = Number(reps);
+  rpe = rpe !== undefined && rpe !== null && rpe !== '' ? Number(rpe) : null;
+
+  if (!(weight > 0)) throw new ErrorResponse('weight must be a positive number', 400);
+  if (!Number.isInteger(reps) || reps < 1) throw new ErrorResponse('reps must be a whole number of at least 1', 400);
+  if (reps > MAX_ESTIMATE_REPS) {
+    throw new ErrorResponse(`1RM estimates are unreliable above ${MAX_ESTIMATE_REPS} reps - test a heavier set`, 400);
+  }
+  if (rpe !== null && (isNaN(rpe) || rpe < 6 || rpe > 10)) {
+    throw new ErrorResponse('rpe must be between 6 and 10', 400);
+  }
+
+  const formulas = {};
+  Object.entries(FORMULAS).forEach(([name, formula]) => {
+    formulas[name] = round(formula(weight, reps));
+  });
+  if (rpe !== null) formulas.rpe = round(rpeEstimate(weight, reps, rpe));
+
+  const oneRepMax = round(exports.estimateOneRepMax(weight, reps, rpe));
+
+  // Formulas agree closely at low reps and drift apart as reps climb
+  const accuracy = rpe !== null ? 'high'
+    : reps <= 5 ? 'high'
+      : reps <= 8 ? 'moderate'
+        : 'low';
+
+  return {
+    oneRepMax,
+    formulas,
+    accuracy,
+    trainingLoads: RPE_PERCENTAGES.slice(0, 10).map((percentage, index) => ({
+      reps: index + 1,
+      percentage,
+      weight: round(oneRepMax * percentage / 100)
+    }))
+  };
+};
+
+// ========================================
+// HISTORY
+// ========================================
+
+const loadHistory = (userId, { weeks = 12, exercise } = {}) => {
+  const query = {
+    clientId: userId,
+    completed: true,
+    isActive: { $ne: false },
+    completedAt: { $gte: new Date(Date.now() - weeks * 7 * DAY_MS) }
+  };
+  if (exercise) query['exercises.name'] = { $regex: `^${escapeRegex(exercise.trim())}$`, $options: 'i' };
+
+  return Workout.find(query)
+    .sort({ completedAt: 1 })
+    .select('completedAt exercises.name exercises.exerciseId exercises.reps exercises.actualSets sessionRPE')
+    .lean();
+};
+
+/**
+ * Per-session summary of one exercise: best e1RM, top set, volume and RPE
+ */
+const summarizeExercise = (exercise, date) => {
+  const sets = completedSets(exercise);
+  if (sets.length === 0) return null;
+
+  let best = null;
+  sets.forEach(set => {
+    const estimate = exports.estimateOneRepMax(set.weight || 0, set.reps, set.rpe);
+    if (!best || estimate > best.e1RM) best = { e1RM: estimate, weight: set.weight || 0, reps: set.reps, rpe: set.rpe };
+  });
+
+  const rpes = sets.map(set => set.rpe).filter(Boolean);
+
+  return {
+    date,
+    e1RM: round(best.e1RM),
+    topSet: { weight: best.weight, reps: best.reps, rpe: best.rpe },
+    sets: sets.length,
+    reps: sets.map(set => set.reps),
+    weights: sets.map(set => set.weight || 0),
+    volume: round(sets.reduce((sum, set) => sum + set.reps * (set.weight || 0), 0)),
+    averageRPE: rpes.length ? round(rpes.reduce((sum, rpe) => sum + rpe, 0) / rpes.length) : null,
+    target: exercise.reps
+  };
+};
+
+// ========================================
+// PERSONAL RECORDS
+// ========================================
+
+const repRangeFor = (reps) => REP_RANGES.find(range => reps >= range.min && reps <= range.max)?.label;
+
+/**
+ * Heaviest set per rep range
+ * @returns {object} { '1': { weight, reps }, '2-3': ..., ... }
+ */
+const repRangeBests = (sets) => {
+  const bests = {};
+  sets.forEach(set => {
+    const range = repRangeFor(set.reps);
+    const weight = set.weight || 0;
+    if (!range || weight <= 0) return;
+    const current = bests[range];
+    if (!current || weight > current.weight || (weight === current.weight && set.reps > current.reps)) {
+      bests[range] = { weight, reps: set.reps };
+    }
+  });
+  return bests;
+};
+
+/**
+ * Rep-range PRs of a session against previous bests, for workoutSession's
+ * completion PR detection
+ * @param {Array} sets - this session's completed sets of one exercise
+ * @param {Array} previousSets - all earlier completed sets of that exercise
+ */
+exports.detectRepRangeRecords = (exerciseName, sets, previousSets) => {
+  const previous = repRangeBests(previousSets);
+  const current = repRangeBests(sets);
+
+  return Object.entries(current)
+    // A first set in a rep range is a baseline, not a PR
+    .filter(([range, set]) => previous[range] && (
+      set.weight > previous[range].weight ||
+      (set.weight === previous[range].weight && set.reps > previous[range].reps)
+    ))
+    .map(([range, set]) => ({
+      exercise: exerciseName,
+      type: 'rep_max',
+      repRange: range,
+      value: set.weight,
+      previous: previous[range].weight,
+      reps: set.reps,
+      weight: set.weight
+    }));
+};
+
+/**
+ * All-time bests per exercise and PRs detected in recent sessions
+ */
+exports.getPersonalRecords = async (userId, { exercise, days = 30 } = {}) => {
+  const query = { clientId: userId, completed: true, isActive: { $ne: false } };
+  if (exercise) query['exercises.name'] = { $regex: `^${escapeRegex(exercise.trim())}$`, $options: 'i' };
+
+  const workouts = await Workout.find(query)
+    .sort({ completedAt: 1 })
+    .select('name completedAt exercises.name exercises.actualSets personalRecords')
+    .lean();
+
+  const byExercise = {};
+  workouts.forEach(workout => {
+    workout.exercises.forEach(ex => {
+      if (exercise && toKey(ex.name) !== toKey(exercise)) return;
+      const key = toKey(ex.name);
+      if (!byExercise[key]) byExercise[key] = { exercise: ex.name, repMaxes: {}, estimated1RM: null, sessions: 0 };
+      const entry = byExercise[key];
+
+      const sets = completedSets(ex);
+      if (sets.length) entry.sessions++;
+
+      Object.entries(repRangeBests(sets)).forEach(([range, set]) => {
+        const best = entry.repMaxes[range];
+        if (!best || set.weight > best.weight || (set.weight === best.weight && set.reps > best.reps)) {
+          entry.repMaxes[range] = { ...set, date: workout.completedAt };
+        }
+      });
+
+      sets.forEach(set => {
+        const estimate = exports.estimateOneRepMax(set.weight || 0, set.reps, set.rpe);
+        if (estimate > (entry.estimated1RM?.value || 0)) {
+          entry.estimated1RM = { value: round(estimate), weight: set.weight, reps: set.reps, date: workout.completedAt };
+        }
+      });
+    });
+  });
+
+  const since = Date.now() - days * DAY_MS;
+  const recent = workouts
+    .filter(workout => workout.completedAt && workout.completedAt.getTime() >= since)
+    .flatMap(workout => (workout.personalRecords || []).map(record => ({
+      ...record,
+      workoutId: workout._id,
+      workoutName: workout.name,
+      date: workout.completedAt,
+      improvement: record.previous ? round(((record.value - record.previous) / record.previous) * 100) : null
+    })))
+    .reverse();
+
+  const records = Object.values(byExercise)
+    .filter(entry => entry.estimated1RM || Object.keys(entry.repMaxes).length)
+    .sort((a, b) => (b.estimated1RM?.value || 0) - (a.estimated1RM?.value || 0));
+
+  return { records, recent, repRanges: REP_RANGES.map(range => range.label) };
+};
+
+// ========================================
+// WEEKLY VOLUME
+// ========================================
+
+/**
+ * Library/user exercise for each logged exercise (by id, then exact name)
+ */
+const resolveExercises = async (entries) => {
+  const ids = [...new Set(entries.map(ex => ex.exerciseId && String(ex.exerciseId)).filter(Boolean))];
+  const names = [...new Set(entries.map(ex => toKey(ex.name)))];
+
+  const docs = await Exercise.find({
+    $or: [
+      { _id: { $in: ids } },
+      { name: { $in: names.map(name => new RegExp(`^${escapeRegex(name)}$`, 'i')) } }
+    ]
+  }).select('name muscleCategory primaryMuscles secondaryMuscles').lean();
+
+  const byId = new Map(docs.map(doc => [String(doc._id), doc]));
+  const byName = new Map(docs.map(doc => [toKey(doc.name), doc]));
+
+  return (entry) => (entry.exerciseId && byId.get(String(entry.exerciseId))) || byName.get(toKey(entry.name)) || null;
+};
+
+const weekStart = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));   // Monday
+  return start;
+};
+
+/**
+ * Hard sets and tonnage per muscle group per week
+ * Primary muscles get full credit, secondary muscles half a set (tonnage
+ * is only counted for primary muscles)
+ */
+exports.getWeeklyVolume = async (userId, { weeks = 8, muscleGroup } = {}) => {
+  weeks = Math.min(52, Math.max(1, parseInt(weeks) || 8));
+  const workouts = await loadHistory(userId, { weeks });
+  const lookup = await resolveExercises(workouts.flatMap(workout => workout.exercises));
+
+  const byWeek = new Map();
+  const unmapped = new Set();
+
+  workouts.forEach(workout => {
+    const key = weekStart(workout.completedAt).toISOString().slice(0, 10);
+    if (!byWeek.has(key)) byWeek.set(key, { week: key, muscles: {}, totalSets: 0, tonnage: 0 });
+    const week = byWeek.get(key);
+
+    workout.exercises.forEach(ex => {
+      const sets = completedSets(ex);
+      if (sets.length === 0) return;
+
+      const doc = lookup(ex);
+      const tonnage = sets.reduce((sum, set) => sum + set.reps * (set.weight || 0), 0);
+      week.totalSets += sets.length;
+      week.tonnage += tonnage;
+
+      let primary = doc?.primaryMuscles?.length ? doc.primaryMuscles : [doc?.muscleCategory].filter(Boolean);
+      if (primary.length === 0) {
+        unmapped.add(ex.name);
+        primary = ['other'];
+      }
+
+      const credit = (muscle, setCredit, tonnageCredit) => {
+        if (!week.muscles[muscle]) week.muscles[muscle] = { sets: 0, tonnage: 0 };
+        week.muscles[muscle].sets += setCredit;
+        week.muscles[muscle].tonnage += tonnageCredit;
+      };
+      primary.forEach(muscle => credit(muscle, sets.length, tonnage / primary.length));
+      (doc?.secondaryMuscles || []).forEach(muscle => credit(muscle, sets.length * SECONDARY_SET_CREDIT, 0));
+    });
+  });
+
+  const progression = [...byWeek.values()].map(week => {
+    Object.values(week.muscles).forEach(muscle => {
+      muscle.sets = round(muscle.sets);
+      muscle.tonnage = round(muscle.tonnage);
+    });
+    return { ...week, tonnage: round(week.tonnage) };
+  });
+
+  const series = muscleGroup
+    ? progression.map(week => ({ week: week.week, ...(week.muscles[muscleGroup] || { sets: 0, tonnage: 0 }) }))
+    : null;
+
+  return {
+    weeks: progression,
+    ...(series && { muscleGroup, series }),
+    ...(unmapped.size && { unmappedExercises: [...unmapped] })
+  };
+};
+
+// ========================================
+// OVERLOAD RECOMMENDATIONS
+// ========================================
+
+// "8-12" → { min: 8, max: 12 }, "5" → { min: 5, max: 5 }
+const parseRepTarget = (reps) => {
+  const match = String(reps || '').match(/^(\d+)(?:-(\d+))?$/);
+  if (!match) return null;
+  const min = Number(match[1]);
+  return { min, max: Number(match[2] || min) };
+};
+
+const roundToIncrement = (weight, increment = 2.5) => Math.round(weight / increment) * increment;
+
+/**
+ * Next-session prescription from the last two sessions of an exercise
+ * Double progression: add reps within the target range, then add load;
+ * the last sessions' RPE decides how aggressive the step is
+ */
+const recommendNext = (sessions, { lowerBody = false } = {}) => {
+  const last = sessions[sessions.length - 1];
+  const before = sessions[sessions.length - 2];
+  const target = parseRepTarget(last.target) || { min: last.topSet.reps, max: last.topSet.reps };
+  const workingWeight = last.topSet.weight;
+  const minReps = Math.min(...last.reps);
+  const rpe = last.averageRPE;
+  const step = Math.max(2.5, roundToIncrement(workingWeight * (lowerBody ? LOWER_BODY_INCREMENT : UPPER_BODY_INCREMENT)));
+
+  const hold = (reason) => ({ action: 'repeat', weight: workingWeight, reps: target, reason });
+
+  if (!workingWeight) {
+    return minReps >= target.max
+      ? { action: 'add_load', weight: null, reps: target, reason: `All sets hit ${target.max} reps - add external load or a harder variation` }
+      : { action: 'add_reps', weight: 0, reps: target, reason: 'Add a rep per set until you reach the top of the range' };
+  }
+
+  // Two grinding sessions in a row, or reps fell below the range: back off
+  if ((rpe >= 9.5 && before?.averageRPE >= 9.5) || minReps < target.min - 1) {
+    return {
+      action: 'deload',
+      weight: roundToIncrement(workingWeight * 0.9),
+      reps: target,
+      reason: rpe >= 9.5 ? `Last two sessions averaged RPE ${rpe} - drop ~10% and rebuild` : `Reps fell below ${target.min} - drop ~10% and rebuild`
+    };
+  }
+
+  if (minReps >= target.max) {
+    if (rpe === null || rpe <= 8) {
+      const bigStep = rpe !== null && rpe <= 7;
+      return {
+        action: 'add_load',
+        weight: workingWeight + (bigStep ? step * 2 : step),
+        reps: target,
+        reason: `All sets hit ${target.max} reps${rpe !== null ? ` at RPE ${rpe}` : ''} - increase load${bigStep ? ' (two increments, it was easy)' : ''}`
+      };
+    }
+    return hold(`Top of the range at RPE ${rpe} - repeat the load until it feels easier`);
+  }
+
+  if (rpe !== null && rpe >= 9.5) {
+    return hold(`RPE ${rpe} - repeat the load and aim to match your reps`);
+  }
+
+  return {
+    action: 'add_reps',
+    weight: workingWeight,
+    reps: target,
+    reason: `Add a rep to your lowest set (${minReps}) at the same load${rpe !== null ? ` - RPE ${rpe} leaves room` : ''}`
+  };
+};
+
+const isLowerBody = (doc) => Boolean(doc) && (LOWER_BODY_CATEGORIES.includes(doc.muscleCategory) ||
+  (doc.primaryMuscles || []).some(muscle => ['quads', 'hamstrings', 'glutes'].includes(muscle)));
+
+/**
+ * Overload status and next-session recommendation for one exercise, or for
+ * every exercise trained in the window when none is given
+ */
+exports.getOverload = async (userId, { exercise, weeks = 8 } = {}) => {
+  weeks = Math.min(52, Math.max(1, parseInt(weeks) || 8));
+  const workouts = await loadHistory(userId, { weeks, exercise });
+  const lookup = await resolveExercises(workouts.flatMap(workout => workout.exercises));
+
+  const byExercise = new Map();
+  workouts.forEach(workout => {
+    workout.exercises.forEach(ex => {
+      if (exercise && toKey(ex.name) !== toKey(exercise)) return;
+      const summary = summarizeExercise(ex, workout.completedAt);
+      if (!summary) return;
+      const key = toKey(ex.name);
+      if (!byExercise.has(key)) byExercise.set(key, { name: ex.name, doc: lookup(ex), sessions: [] });
+      byExercise.get(key).sessions.push(summary);
+    });
+  });
+
+  if (exercise && byExercise.size === 0) {
+    throw new ErrorResponse(`No logged sets of ${exercise} in the last ${weeks} weeks`, 404);
+  }
+
+  const results = [...byExercise.values()].map(({ name, doc, sessions }) => {
+    const first = sessions[0];
+    const last = sessions[sessions.length - 1];
+    const change = first.e1RM ? round(((last.e1RM - first.e1RM) / first.e1RM) * 100) : null;
+
+    // Stalled: no e1RM gain across the last three sessions
+    const recent = sessions.slice(-3);
+    const stalled = recent.length === 3 && Math.max(...recent.slice(1).map(s => s.e1RM)) <= recent[0].e1RM;
+
+    return {
+      exercise: name,
+      currentLoad: last.topSet,
+      estimated1RM: last.e1RM,
+      recommendation: recommendNext(sessions, { lowerBody: isLowerBody(doc) }),
+      progression: {
+        sessions: sessions.length,
+        e1RMChange: change,
+        trend: change === null ? 'insufficient-data' : stalled ? 'stalled' : change > 1 ? 'progressing' : change < -1 ? 'regressing' : 'maintaining',
+        history: sessions.map(s => ({ date: s.date, e1RM: s.e1RM, topSet: s.topSet, volume: s.volume, averageRPE: s.averageRPE }))
+      }
+    };
+  });
+
+  if (exercise) return results[0];
+
+  return {
+    exercises: results.sort((a, b) => b.progression.sessions - a.progression.sessions),
+    weeklyVolume: (await exports.getWeeklyVolume(userId, { weeks: Math.min(weeks, 8) })).weeks
+  };
+};
+
+// ========================================
+// STRENGTH STANDARDS
+// ========================================
+
+/**
+ * Standards for one lift at the user's bodyweight with their best e1RM
+ * @param {object} query - { exercise, bodyweight?, sex?, age?, unit?: 'kg' | 'lb' }
+ */
+exports.getStrengthStandards = async (userId, query = {}) => {
+  const { exercise, unit = 'kg' } = query;
+  if (!exercise) throw new ErrorResponse('exercise is required', 400);
+
+  const benchmark = PerformanceTest.benchmarkFor({ exerciseName: exercise, benchmark: exercise });
+  if (!benchmark || PerformanceTest.norms.tests[benchmark].metric !== 'oneRepMax') {
+    const lifts = Object.entries(PerformanceTest.norms.tests)
+      .filter(([, test]) => test.metric === 'oneRepMax')
+      .map(([key]) => key);
+    throw new ErrorResponse(`No strength standards for "${exercise}". Supported: ${lifts.join(', ')}`, 400);
+  }
+
+  const { profile } = await performanceTesting.resolveProfile(userId, query);
+  const normTable = PerformanceTest.normValues(benchmark, profile);
+  if (!normTable) {
+    throw new ErrorResponse('sex and bodyweight are required - pass them as parameters or complete your profile', 400);
+  }
+
+  // Weights are returned in the requested unit
+  const factor = unit === 'lb' || unit === 'lbs' ? 1 / LB_TO_KG : 1;
+  const standards = {};
+  normTable.values.forEach((value, index) => {
+    standards[PerformanceTest.levelFor(normTable.percentiles[index])] = round(value * factor);
+  });
+
+  // Best recent e1RM of any exercise that maps to this lift
+  const workouts = await loadHistory(userId, { weeks: 12 });
+  let best = null;
+  workouts.forEach(workout => workout.exercises.forEach(ex => {
+    if (PerformanceTest.benchmarkFor({ exerciseName: ex.name }) !== benchmark) return;
+    completedSets(ex).forEach(set => {
+      const estimate = exports.estimateOneRepMax(set.weight || 0, set.reps, set.rpe);
+      if (estimate > (best?.value || 0)) best = { value: round(estimate), exercise: ex.name, date: workout.completedAt };
+    });
+  }));
+
+  const ranked = best ? PerformanceTest.percentileFor(benchmark, best.value / factor, profile) : null;
+
+  return {
+    exercise: PerformanceTest.norms.tests[benchmark].name,
+    unit: factor === 1 ? 'kg' : 'lb',
+    profile,
+    ...standards,
+    userLevel: ranked?.level || null,
+    percentile: ranked?.percentile ?? null,
+    best1RM: best
+  };
+};
+
+exports.resolveExercises = resolveExercises;
+exports.repRangeFor = repRangeFor;
+exports.REP_RANGES = REP_RANGES;
+
+module.exports = exports;
@@ -1,16 +1,76 @@
 // Src/services/quantumWorkouts.js - Quantum-Randomized Training for Plateau Prevention
+//
+// Generation is deterministic: every random choice is drawn from one PRNG
+// stream seeded per workout, so the same seed and inputs (adaptation data,
+// settings, injury restrictions) always produce the same workout. Seeds come
+// from the user's seed base (preferences.quantum) according to their
+// rotation setting; each generated workout is stored with its seed, inputs
+// snapshot and chaos parameters, and later scored against the strength and
+// recovery data that followed it.
 const crypto = require('crypto');
+const mongoose = require('mongoose');
 const Exercise = require('../../models/venus/Exercise');
 const Workout = require('../../models/venus/Workout');
+const QuantumWorkout = require('../../models/venus/QuantumWorkout');
 const WearableData = require('../../models/mercury/WearableData');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const RecoveryScore = require('../../models/mercury/RecoveryScore');
+const User = require('../../models/User');
+const aiProvider = require('../ai/aiProvider');
+const injuryRehab = require('./injuryRehab');
+const progressiveOverload = require('./progressiveOverload');
+const ErrorResponse = require('../../utils/errorResponse');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+const SEED_ROTATIONS = ['per-workout', 'daily', 'fixed'];
+const VARIATION_INTENSITIES = { low: 0.6, medium: 1, high: 1.4 };
+const DEFAULT_SETTINGS = {
+  chaosLevel: 'auto',            // or a fixed 0-1 level
+  variationIntensity: 'medium',
+  seedRotation: 'per-workout',
+  preferredExercises: []
+};
+const SEED_HISTORY_LIMIT = 10;
+const PREFERRED_WEIGHT = 3;
+
+// Strength trend thresholds (% change in best estimated 1RM)
+const STALL_THRESHOLD = 1;
+const BREAKTHROUGH_THRESHOLD = 2.5;
+// Effectiveness compares the four weeks either side of generation
+const EVALUATION_DAYS = 28;
+const MIN_EVALUATION_DAYS = 7;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+const percentChange = (to, from) => (from > 0 ? ((to - from) / from) * 100 : null);
+
+const dayKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Seeded PRNG (mulberry32) returning floats in [0, 1)
+ */
+const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Stable 32-bit seed from any string
+const hashSeed = (value) => crypto.createHash('sha256').update(String(value)).digest().readUInt32BE(0);
+
+const newSeedBase = () => crypto.randomInt(1, 2 ** 31);
 
 class QuantumWorkoutService {
   constructor() {
-    this.genAI = process.env.GOOGLE_AI_API_KEY 
-      ? new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY) 
-      : null;
-    
     // Chaos theory parameters
     this.chaosParameters = {
       lyapunovExponent: 0.347, // Sensitive dependence on initial conditions
@@ -18,10 +78,7 @@ class QuantumWorkoutService {
       strangeAttractor: 2.502, // Pattern emergence threshold
       entropyLevel: 0.618 // Golden ratio for optimal randomness
     };
-    
-    // Quantum-inspired randomness seeds
-    this.quantumSeeds = this.initializeQuantumSeeds();
-    
+
     // Exercise variation patterns
     this.variationPatterns = {
       mechanical: ['tempo', 'pause', 'explosive', 'slow-negative', 'partial', '1.5-reps'],
@@ -30,7 +87,7 @@ class QuantumWorkoutService {
       stability: ['stable', 'unstable', 'unilateral', 'alternating', 'isometric', 'dynamic'],
       intensity: ['heavy', 'moderate', 'light', 'dropset', 'pyramid', 'cluster']
     };
-    
+
     // Neural adaptation windows
     this.adaptationWindows = {
       strength: 21, // days
@@ -39,125 +96,325 @@ class QuantumWorkoutService {
       power: 10,
       neurological: 7
     };
-    
-    // Pattern history to prevent repetition
-    this.patternHistory = new Map();
   }
 
+  // ========================================
+  // SETTINGS & SEEDS
+  // ========================================
+
   /**
-   * Initialize quantum-inspired random seeds
+   * Quantum settings stored under user.preferences.quantum, with defaults
    */
-  initializeQuantumSeeds() {
-    const seeds = [];
-    for (let i = 0; i < 100; i++) {
-      // Simulate quantum randomness with crypto + timestamp entropy
-      const quantumNoise = crypto.randomBytes(32);
-      const timeEntropy = Date.now() % 1000;
-      const seed = parseInt(quantumNoise.toString('hex').slice(0, 8), 16) ^ timeEntropy;
-      seeds.push(seed);
+  settingsOf(user) {
+    return {
+      ...DEFAULT_SETTINGS,
+      seedHistory: [],
+      sequence: 0,
+      ...(user?.preferences?.quantum || {})
+    };
+  }
+
+  async saveSettings(user, settings) {
+    user.preferences = { ...(user.preferences || {}), quantum: settings };
+    user.markModified('preferences');
+    await user.save();
+    return settings;
+  }
+
+  async loadSettings(userId) {
+    const user = await User.findById(userId).select('preferences');
+    if (!user) throw new ErrorResponse('User not found', 404);
+
+    const settings = this.settingsOf(user);
+    if (!settings.seedBase) {
+      settings.seedBase = newSeedBase();
+      await this.saveSettings(user, settings);
     }
-    return seeds;
+    return { user, settings };
+  }
+
+  describeSettings(settings) {
+    return {
+      chaosLevel: settings.chaosLevel,
+      variationIntensity: settings.variationIntensity,
+      seedRotation: settings.seedRotation,
+      preferredExercises: settings.preferredExercises,
+      seedBase: settings.seedBase,
+      workoutsGenerated: settings.sequence || 0,
+      seedHistory: settings.seedHistory
+    };
+  }
+
+  async getSettings(userId) {
+    const { settings } = await this.loadSettings(userId);
+    return this.describeSettings(settings);
+  }
+
+  async updateSettings(userId, updates = {}) {
+    const { user, settings } = await this.loadSettings(userId);
+
+    if (updates.chaosLevel !== undefined) {
+      const level = Number(updates.chaosLevel);
+      if (updates.chaosLevel === 'auto') {
+        settings.chaosLevel = 'auto';
+      } else if (!isNaN(level) && level >= 0 && level <= 1) {
+        settings.chaosLevel = level;
+      } else {
+        throw new ErrorResponse('chaosLevel must be "auto" or a number between 0 and 1', 400);
+      }
+    }
+    if (updates.variationIntensity !== undefined) {
+      if (!VARIATION_INTENSITIES[updates.variationIntensity]) {
+        throw new ErrorResponse(`variationIntensity must be one of: ${Object.keys(VARIATION_INTENSITIES).join(', ')}`, 400);
+      }
+      settings.variationIntensity = updates.variationIntensity;
+    }
+    if (updates.seedRotation !== undefined) {
+      if (!SEED_ROTATIONS.includes(updates.seedRotation)) {
+        throw new ErrorResponse(`seedRotation must be one of: ${SEED_ROTATIONS.join(', ')}`, 400);
+      }
+      settings.seedRotation = updates.seedRotation;
+    }
+    if (updates.preferredExercises !== undefined) {
+      if (!Array.isArray(updates.preferredExercises) || updates.preferredExercises.length > 20) {
+        throw new ErrorResponse('preferredExercises must be a list of up to 20 exercise names', 400);
+      }
+      settings.preferredExercises = [...new Set(
+        updates.preferredExercises.map(name => String(name).trim()).filter(Boolean)
+      )];
+    }
+
+    await this.saveSettings(user, settings);
+    return this.describeSettings(settings);
   }
 
   /**
-   * Generate quantum-randomized workout
+   * Retire the current seed base for a fresh one
    */
-  async generateQuantumWorkout(userId, targetMuscles, workoutType = 'auto') {
-    console.log(`🎲 Generating quantum workout for user ${userId}`);
-    
-    try {
-      // Get user's recent data for adaptation analysis
-      const userData = await this.getUserAdaptationData(userId);
-      
-      // Detect if user is plateauing
-      const plateauRisk = this.detectPlateauRisk(userData);
-      
-      // Generate chaos-influenced parameters
-      const chaosParams = this.generateChaosParameters(userData, plateauRisk);
-      
-      // Select exercises using quantum randomization
-      const exercises = await this.selectQuantumExercises(
-        targetMuscles,
-        userData.recentExercises,
-        chaosParams
-      );
-      
-      // Apply variation patterns
-      const variedExercises = this.applyVariationPatterns(exercises, chaosParams);
-      
-      // Generate set/rep schemes with chaos theory
-      const programmingScheme = this.generateChaoticProgramming(
-        variedExercises,
-        userData,
-        chaosParams
-      );
-      
-      // Create the workout
-      const workout = {
-        name: await this.generateWorkoutName(targetMuscles, chaosParams),
-        clientId: userId,
-        scheduledDate: new Date(),
-        exercises: programmingScheme,
-        quantumSeed: this.getCurrentQuantumSeed(),
-        chaosLevel: chaosParams.chaosLevel,
-        plateauBreakProtocol: plateauRisk > 0.7,
-        variationScore: chaosParams.variationScore,
-        notes: this.generateWorkoutNotes(chaosParams, plateauRisk)
-      };
-      
-      // Store pattern to prevent repetition
-      await this.storePatternHistory(userId, workout);
-      
-      // Get AI insights if available
-      if (this.genAI && userData.wearableData) {
-        workout.aiOptimization = await this.generateAIOptimization(
-          workout,
-          userData,
-          chaosParams
-        );
+  async regenerateSeeds(userId) {
+    const { user, settings } = await this.loadSettings(userId);
+
+    settings.seedHistory = [
+      { seedBase: settings.seedBase, workoutsGenerated: settings.sequence || 0, retiredAt: new Date() },
+      ...(settings.seedHistory || [])
+    ].slice(0, SEED_HISTORY_LIMIT);
+    settings.seedBase = newSeedBase();
+    settings.sequence = 0;
+
+    await this.saveSettings(user, settings);
+    return this.describeSettings(settings);
+  }
+
+  /**
+   * Seed for the next workout: a new one per workout, one per day, or the
+   * fixed seed base
+   */
+  async nextSeed(userId) {
+    const { settings } = await this.loadSettings(userId);
+
+    if (settings.seedRotation === 'fixed') return { seed: settings.seedBase, settings };
+    if (settings.seedRotation === 'daily') {
+      return { seed: hashSeed(`${settings.seedBase}:${dayKey(new Date())}`), settings };
+    }
+
+    // Atomic so two generations in flight never share a seed
+    const updated = await User.findOneAndUpdate(
+      { _id: userId },
+      { $inc: { 'preferences.quantum.sequence': 1 } },
+      { new: true }
+    ).select('preferences').lean();
+    const sequence = updated.preferences.quantum.sequence;
+
+    return { seed: hashSeed(`${settings.seedBase}:${sequence}`), settings: { ...settings, sequence } };
+  }
+
+  // ========================================
+  // GENERATION
+  // ========================================
+
+  /**
+   * Generate, store and return a quantum-randomized workout
+   * @param {Object} options - { seed } to generate from a specific seed
+   */
+  async generateQuantumWorkout(userId, targetMuscles, options = {}) {
+    const muscles = this.normalizeMuscles(targetMuscles);
+
+    let seed;
+    let settings;
+    if (options.seed !== undefined && options.seed !== null && options.seed !== '') {
+      seed = Number(options.seed);
+      if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff) {
+        throw new ErrorResponse('seed must be an integer between 0 and 4294967295', 400);
       }
-      
-      console.log(`✅ Quantum workout generated with chaos level ${chaosParams.chaosLevel}`);
-      return workout;
-      
-    } catch (error) {
-      console.error('❌ Quantum workout generation failed:', error);
-      throw error;
+      ({ settings } = await this.loadSettings(userId));
+    } else {
+      ({ seed, settings } = await this.nextSeed(userId));
     }
+
+    // Get user's recent data for adaptation analysis
+    const userData = await this.getUserAdaptationData(userId);
+    const plateauRisk = this.detectPlateauRisk(userData);
+
+    const inputs = {
+      plateauRisk,
+      avgRecovery: userData.avgRecovery,
+      workoutCount: userData.workoutCount,
+      recentExercises: userData.recentExercises,
+      weeksWithoutProgress: userData.performanceTrend.strength.weeksWithoutProgress,
+      chaosLevel: settings.chaosLevel,
+      variationIntensity: settings.variationIntensity,
+      preferredExercises: settings.preferredExercises,
+      // Picks that aggravate an active injury are swapped for safe ones
+      restrictions: await injuryRehab.getActiveRestrictions(userId)
+    };
+
+    const generated = await this.buildWorkout(seed, muscles, inputs);
+
+    const record = await QuantumWorkout.create({
+      userId,
+      name: generated.name,
+      seed,
+      targetMuscles: muscles,
+      inputs,
+      chaos: generated.chaosParams,
+      plateauBreakProtocol: generated.plateauBreakProtocol,
+      exercises: generated.exercises,
+      injuryAdjustments: generated.injuryAdjustments,
+      notes: generated.notes
+    });
+
+    // AI commentary is not part of the reproducible prescription
+    if (aiProvider.isAvailable('quantum_workouts') && userData.wearableData.length > 0) {
+      record.aiOptimization = await this.generateAIOptimization(record, userData, generated.chaosParams);
+      if (record.aiOptimization) await record.save();
+    }
+
+    console.log(`🎲 Quantum workout generated for user ${userId} (seed ${seed}, chaos ${generated.chaosParams.chaosLevel})`);
+    return this.describeWorkout(record);
+  }
+
+  /**
+   * Rebuild a stored workout from its seed and inputs snapshot
+   */
+  async replayQuantumWorkout(userId, quantumWorkoutId) {
+    const record = await this.findRecord(userId, quantumWorkoutId);
+    const generated = await this.buildWorkout(record.seed, record.targetMuscles, record.toObject().inputs);
+
+    return {
+      ...this.describeWorkout(record),
+      exercises: generated.exercises,
+      replayed: true,
+      // False only if the exercise library changed since generation
+      matchesOriginal: JSON.stringify(generated.exercises) === JSON.stringify(record.toObject().exercises)
+    };
+  }
+
+  /**
+   * Deterministic core: seed + inputs (+ library) -> workout
+   */
+  async buildWorkout(seed, muscles, inputs) {
+    const rng = createRng(seed);
+
+    const chaosParams = this.generateChaosParameters(inputs, rng);
+    const { exercises, injuryAdjustments } = await this.selectQuantumExercises(muscles, inputs, chaosParams, rng);
+    const variedExercises = this.applyVariationPatterns(exercises, chaosParams, rng);
+    const programmingScheme = this.generateChaoticProgramming(variedExercises, inputs, chaosParams, rng);
+
+    return {
+      name: this.generateWorkoutName(muscles, chaosParams, rng),
+      chaosParams,
+      exercises: programmingScheme,
+      injuryAdjustments,
+      plateauBreakProtocol: inputs.plateauRisk > 0.7,
+      notes: this.generateWorkoutNotes(seed, chaosParams, inputs.plateauRisk)
+    };
+  }
+
+  normalizeMuscles(targetMuscles) {
+    const muscles = [...new Set([].concat(targetMuscles || [])
+      .map(muscle => String(muscle).trim().toLowerCase())
+      .filter(Boolean))];
+
+    if (muscles.length === 0) {
+      throw new ErrorResponse('targetMuscles are required to generate a quantum workout', 400);
+    }
+    return muscles;
+  }
+
+  describeWorkout(record) {
+    return {
+      id: record._id,
+      name: record.name,
+      clientId: record.userId,
+      scheduledDate: record.createdAt,
+      exercises: record.exercises,
+      quantumSeed: record.seed,
+      targetMuscles: record.targetMuscles,
+      chaosLevel: record.chaos.chaosLevel,
+      variationScore: record.chaos.variationScore,
+      chaos: record.chaos,
+      plateauBreakProtocol: record.plateauBreakProtocol,
+      plateauRisk: record.inputs.plateauRisk,
+      notes: record.notes,
+      injuryAdjustments: record.injuryAdjustments,
+      aiOptimization: record.aiOptimization || null,
+      workoutId: record.workoutId || null,
+      createdAt: record.createdAt
+    };
+  }
+
+  async findRecord(userId, quantumWorkoutId) {
+    const record = mongoose.Types.ObjectId.isValid(quantumWorkoutId)
+      ? await QuantumWorkout.findOne({ _id: quantumWorkoutId, userId })
+      : null;
+    if (!record) throw new ErrorResponse('Quantum workout not found', 404);
+    return record;
+  }
+
+  /**
+   * Link a started session to the quantum workout it came from
+   * @returns {Object|null} the stored workout, or null if it isn't the user's
+   */
+  async attachSession(userId, quantumWorkoutId, workoutId) {
+    return QuantumWorkout.findOneAndUpdate(
+      { _id: quantumWorkoutId, userId },
+      { workoutId },
+      { new: true }
+    );
   }
 
   /**
    * Get user's adaptation data
    */
   async getUserAdaptationData(userId) {
-    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    
+    const since = new Date(Date.now() - 42 * DAY_MS);
+
     const [workouts, wearableData] = await Promise.all([
       Workout.find({
         clientId: userId,
-        completedAt: { $gte: thirtyDaysAgo }
+        completed: true,
+        completedAt: { $gte: since }
       }).sort('-completedAt').lean(),
-      
+
       WearableData.find({
         userId,
-        date: { $gte: thirtyDaysAgo }
+        date: { $gte: new Date(Date.now() - 30 * DAY_MS) }
       }).sort('-date').limit(7).lean()
     ]);
-    
-    // Extract recent exercises to avoid repetition
-    const recentExercises = new Set();
-    workouts.forEach(w => {
-      w.exercises?.forEach(e => recentExercises.add(e.name));
+
+    // Extract recent exercises (most recent first) to avoid repetition
+    const recentExercises = [];
+    workouts.slice(0, 12).forEach(w => {
+      w.exercises?.forEach(e => {
+        if (!recentExercises.includes(e.name)) recentExercises.push(e.name);
+      });
     });
-    
-    // Calculate performance trends
-    const performanceTrend = this.calculatePerformanceTrend(workouts);
-    
+
     return {
       workouts,
       wearableData,
-      recentExercises: Array.from(recentExercises),
-      performanceTrend,
+      recentExercises,
+      performanceTrend: this.calculatePerformanceTrend(workouts),
       workoutCount: workouts.length,
       avgRecovery: this.calculateAverageRecovery(wearableData)
     };
@@ -168,130 +425,147 @@ class QuantumWorkoutService {
    */
   detectPlateauRisk(userData) {
     let riskScore = 0;
-    
+
     // Check performance trend stagnation
     if (userData.performanceTrend) {
       const { strength, volume, frequency } = userData.performanceTrend;
-      
+
       // No strength gains in 2+ weeks
       if (strength.weeksWithoutProgress >= 2) riskScore += 0.3;
-      
+
       // Volume hasn't changed in 3+ weeks
       if (volume.weeksStagnant >= 3) riskScore += 0.25;
-      
+
       // Same frequency pattern for 4+ weeks
       if (frequency.weeksUnchanged >= 4) riskScore += 0.2;
     }
-    
+
     // Check exercise variety
     const uniqueExercises = userData.recentExercises.length;
     if (uniqueExercises < 10) riskScore += 0.15;
     if (uniqueExercises < 5) riskScore += 0.25;
-    
+
     // Check recovery patterns
     if (userData.avgRecovery > 85) {
       // Too well recovered might mean insufficient stimulus
       riskScore += 0.1;
     }
-    
-    return Math.min(riskScore, 1);
+
+    return round(Math.min(riskScore, 1), 2);
   }
 
   /**
-   * Generate chaos parameters based on user state
+   * Generate chaos parameters from the inputs snapshot
    */
-  generateChaosParameters(userData, plateauRisk) {
+  generateChaosParameters(inputs, rng) {
+    const { plateauRisk } = inputs;
     const baseEntropy = this.chaosParameters.entropyLevel;
-    
+
     // Increase chaos when plateau risk is high
     const chaosMultiplier = 1 + (plateauRisk * this.chaosParameters.bifurcationPoint);
-    
+
     // Calculate variation needs
-    const variationScore = this.calculateVariationScore(userData, plateauRisk);
-    
-    // Generate Lorenz attractor coordinates for exercise selection
-    const lorenzCoords = this.calculateLorenzAttractor(
-      userData.workoutCount,
-      chaosMultiplier
+    const variationScore = Math.min(
+      this.calculateVariationScore(inputs, plateauRisk) * (VARIATION_INTENSITIES[inputs.variationIntensity] || 1),
+      1
     );
-    
+
+    // Lorenz attractor coordinates drawn from training history
+    const lorenzCoords = this.calculateLorenzAttractor(inputs.workoutCount, chaosMultiplier);
+
+    // A fixed chaos setting overrides the plateau-driven level
+    const manual = inputs.chaosLevel !== undefined && inputs.chaosLevel !== 'auto';
+    const chaosLevel = manual ? Number(inputs.chaosLevel) : Math.min(plateauRisk * chaosMultiplier, 1);
+
     return {
-      chaosLevel: Math.min(plateauRisk * chaosMultiplier, 1),
-      variationScore,
-      entropy: baseEntropy * chaosMultiplier,
-      lorenzX: lorenzCoords.x,
-      lorenzY: lorenzCoords.y,
-      lorenzZ: lorenzCoords.z,
-      bifurcation: plateauRisk > 0.5,
-      quantumFluctuation: this.getQuantumFluctuation()
+      chaosLevel: round(chaosLevel, 4),
+      variationScore: round(variationScore, 4),
+      entropy: round(baseEntropy * chaosMultiplier, 4),
+      lorenzX: round(lorenzCoords.x, 4),
+      lorenzY: round(lorenzCoords.y, 4),
+      lorenzZ: round(lorenzCoords.z, 4),
+      bifurcation: manual ? chaosLevel > 0.5 : plateauRisk > 0.5,
+      quantumFluctuation: round(rng(), 4)
     };
   }
 
   /**
    * Select exercises using quantum randomization
+   * Picks that aggravate an active injury are swapped for safe ones from the same pool
    */
-  async selectQuantumExercises(targetMuscles, recentExercises, chaosParams) {
-    // Get all possible exercises for target muscles
+  async selectQuantumExercises(targetMuscles, inputs, chaosParams, rng) {
+    const { recentExercises = [], preferredExercises = [], restrictions = [] } = inputs;
+
+    // Get all possible exercises for target muscles (categories or specific
+    // muscles), in a stable order so selection is reproducible
     const availableExercises = await Exercise.find({
-      muscleCategory: { $in: targetMuscles },
-      isPublic: true
-    }).lean();
-    
+      $and: [
+        Exercise.visibleTo(),
+        { $or: [{ muscleCategory: { $in: targetMuscles } }, { primaryMuscles: { $in: targetMuscles } }] }
+      ]
+    }).sort({ name: 1, _id: 1 }).lean();
+
     if (availableExercises.length === 0) {
-      throw new Error('No exercises available for selected muscles');
+      throw new ErrorResponse('No exercises available for selected muscles', 404);
     }
-    
+
     // Filter out recent exercises based on chaos level
     const recentThreshold = Math.floor(10 * (1 - chaosParams.chaosLevel));
-    const filtered = availableExercises.filter(e => {
-      const daysAgo = recentExercises.indexOf(e.name);
-      return daysAgo === -1 || daysAgo > recentThreshold;
+    let filtered = availableExercises.filter(e => {
+      const recency = recentExercises.indexOf(e.name);
+      return recency === -1 || recency > recentThreshold;
     });
-    
+    if (filtered.length === 0) filtered = availableExercises;
+
+    // Preferred exercises are more likely to be drawn
+    const preferred = new Set(preferredExercises.map(name => name.toLowerCase()));
+    const weighted = filtered.flatMap(exercise =>
+      Array(preferred.has(exercise.name.toLowerCase()) ? PREFERRED_WEIGHT : 1).fill(exercise)
+    );
+
     // Use quantum selection algorithm
     const selected = [];
-    const numExercises = this.calculateOptimalExerciseCount(chaosParams);
-    
-    for (let i = 0; i < numExercises; i++) {
-      const quantumIndex = this.quantumSelect(
-        filtered.length,
-        chaosParams.lorenzX + i
-      );
-      
-      const exercise = filtered[quantumIndex];
-      if (exercise && !selected.find(s => s.name === exercise.name)) {
+    const numExercises = Math.min(this.calculateOptimalExerciseCount(chaosParams, rng), filtered.length);
+
+    for (let attempt = 0; selected.length < numExercises && attempt < numExercises * 4; attempt++) {
+      const exercise = weighted[this.quantumSelect(rng, weighted.length)];
+      if (!selected.find(s => s.name === exercise.name)) {
         selected.push(exercise);
       }
     }
-    
+
     // Add chaos exercises if high plateau risk
     if (chaosParams.bifurcation) {
-      const chaosExercise = this.selectChaosExercise(targetMuscles[0]);
+      const chaosExercise = await this.selectChaosExercise(targetMuscles[0], {
+        exclude: [...selected.map(s => s.name), ...recentExercises],
+        rng
+      });
       if (chaosExercise) selected.push(chaosExercise);
     }
-    
-    return selected;
+
+    const { exercises, adjustments } = injuryRehab.substituteExercises(selected, restrictions, availableExercises);
+    return { exercises, injuryAdjustments: adjustments };
   }
 
   /**
    * Apply variation patterns to exercises
    */
-  applyVariationPatterns(exercises, chaosParams) {
+  applyVariationPatterns(exercises, chaosParams, rng) {
     return exercises.map(exercise => {
       const variations = [];
-      
+
       // Select variation patterns based on chaos level
       const numVariations = Math.floor(1 + chaosParams.variationScore * 3);
-      
+
       for (const [type, options] of Object.entries(this.variationPatterns)) {
-        if (this.quantumBool(chaosParams.entropy)) {
-          const variation = options[this.quantumSelect(options.length, chaosParams.lorenzY)];
+        if (this.quantumBool(rng, chaosParams.entropy)) {
+          const variation = options[this.quantumSelect(rng, options.length)];
           variations.push({ type, variation });
         }
-        
+
         if (variations.length >= numVariations) break;
       }
-      
+
       return {
         ...exercise,
         variations,
@@ -304,58 +578,59 @@ class QuantumWorkoutService {
   /**
    * Generate chaotic programming (sets/reps/weight)
    */
-  generateChaoticProgramming(exercises, userData, chaosParams) {
-    return exercises.map((exercise, index) => {
+  generateChaoticProgramming(exercises, inputs, chaosParams, rng) {
+    return exercises.map(exercise => {
       // Base programming
       let sets, reps, intensity;
-      
+
       // Use chaos to determine programming style
-      const style = this.selectProgrammingStyle(chaosParams, userData.avgRecovery);
-      
+      const style = this.selectProgrammingStyle(chaosParams, inputs.avgRecovery, rng);
+
       switch(style) {
         case 'wave':
-          sets = 3 + this.quantumSelect(3, chaosParams.lorenzZ);
-          reps = this.generateWaveReps(sets, chaosParams);
-          intensity = this.generateWaveIntensity(sets, chaosParams);
+          sets = 3 + this.quantumSelect(rng, 3);
+          reps = this.generateWaveReps(sets, rng);
+          intensity = this.generateWaveIntensity(sets, rng);
           break;
-          
+
         case 'cluster':
-          sets = 4 + this.quantumSelect(2, chaosParams.lorenzX);
-          reps = this.generateClusterReps(chaosParams);
-          intensity = 85 + this.quantumSelect(10, chaosParams.lorenzY);
+          sets = 4 + this.quantumSelect(rng, 2);
+          reps = this.generateClusterReps(rng);
+          intensity = 85 + this.quantumSelect(rng, 10);
           break;
-          
+
         case 'pyramid':
-          sets = 4 + this.quantumSelect(2, chaosParams.lorenzZ);
-          reps = this.generatePyramidReps(sets, chaosParams);
-          intensity = this.generatePyramidIntensity(sets, chaosParams);
+          sets = 4 + this.quantumSelect(rng, 2);
+          reps = this.generatePyramidReps(sets);
+          intensity = this.generatePyramidIntensity(sets, rng);
           break;
-          
+
         case 'chaos':
-          sets = 3 + this.quantumSelect(4, Date.now());
-          reps = this.generateChaosReps(sets, chaosParams);
-          intensity = this.generateChaosIntensity(chaosParams);
+          sets = 3 + this.quantumSelect(rng, 4);
+          reps = this.generateChaosReps(sets, rng);
+          intensity = this.generateChaosIntensity(rng);
           break;
-          
+
         default:
-          sets = 3 + this.quantumSelect(2, index);
-          reps = `${8 + this.quantumSelect(4, chaosParams.lorenzX)}`;
-          intensity = 70 + this.quantumSelect(15, chaosParams.lorenzY);
+          sets = 3 + this.quantumSelect(rng, 2);
+          reps = `${8 + this.quantumSelect(rng, 4)}`;
+          intensity = 70 + this.quantumSelect(rng, 15);
       }
-      
+
       // Apply variations to the programming
-      const tempo = this.generateTempo(chaosParams);
-      const rest = this.generateRestPeriod(intensity, chaosParams);
-      
+      const tempo = this.generateTempo(chaosParams, rng);
+      const rest = this.generateRestPeriod(intensity, rng);
+
       return {
         name: exercise.name,
+        style,
         sets,
         reps,
         intensity: `${intensity}%`,
         tempo,
         rest: `${rest}s`,
         variations: exercise.variations,
-        technique: this.selectTechnique(exercise, chaosParams),
+        technique: this.selectTechnique(chaosParams, rng),
         notes: this.generateExerciseNotes(exercise, style, chaosParams)
       };
     });
@@ -370,17 +645,17 @@ class QuantumWorkoutService {
     const sigma = 10 * chaos;
     const rho = 28;
     const beta = 8/3;
-    
+
     for (let i = 0; i < iterations; i++) {
       const dx = sigma * (y - x) * dt;
       const dy = (x * (rho - z) - y) * dt;
       const dz = (x * y - beta * z) * dt;
-      
+
       x += dx;
       y += dy;
       z += dz;
     }
-    
+
     return {
       x: Math.abs(x) % 100,
       y: Math.abs(y) % 100,
@@ -389,87 +664,85 @@ class QuantumWorkoutService {
   }
 
   /**
-   * Quantum selection algorithm
+   * Quantum selection: an index in [0, max) from the generation's stream
    */
-  quantumSelect(max, seed) {
-    const quantumSeed = this.quantumSeeds[Math.abs(seed) % this.quantumSeeds.length];
-    const random = (quantumSeed * 9301 + 49297) % 233280;
-    return Math.floor((random / 233280) * max);
+  quantumSelect(rng, max) {
+    return Math.floor(rng() * max);
   }
 
   /**
    * Quantum boolean decision
    */
-  quantumBool(probability) {
-    const quantum = crypto.randomBytes(1)[0] / 255;
-    return quantum < probability;
-  }
-
-  /**
-   * Get current quantum seed
-   */
-  getCurrentQuantumSeed() {
-    const index = Date.now() % this.quantumSeeds.length;
-    return this.quantumSeeds[index];
+  quantumBool(rng, probability) {
+    return rng() < probability;
   }
 
   /**
-   * Get quantum fluctuation value
+   * Generate workout name from patterns
    */
-  getQuantumFluctuation() {
-    const bytes = crypto.randomBytes(4);
-    return bytes.readUInt32BE(0) / 0xffffffff;
-  }
-
-  /**
-   * Generate workout name using AI or patterns
-   */
-  async generateWorkoutName(targetMuscles, chaosParams) {
+  generateWorkoutName(targetMuscles, chaosParams, rng) {
     const prefixes = ['Quantum', 'Chaos', 'Neural', 'Adaptive', 'Dynamic', 'Fractal'];
     const suffixes = ['Protocol', 'System', 'Matrix', 'Sequence', 'Pattern', 'Wave'];
-    
-    const prefix = prefixes[this.quantumSelect(prefixes.length, chaosParams.lorenzX)];
-    const suffix = suffixes[this.quantumSelect(suffixes.length, chaosParams.lorenzY)];
-    
+
+    const prefix = prefixes[this.quantumSelect(rng, prefixes.length)];
+    const suffix = suffixes[this.quantumSelect(rng, suffixes.length)];
+
     const muscleString = targetMuscles.join(' & ');
-    
+
     if (chaosParams.bifurcation) {
       return `${prefix} ${muscleString} Bifurcation ${suffix}`;
     }
-    
+
     return `${prefix} ${muscleString} ${suffix}`;
   }
 
   /**
    * Calculate optimal exercise count based on chaos
    */
-  calculateOptimalExerciseCount(chaosParams) {
+  calculateOptimalExerciseCount(chaosParams, rng) {
     const base = 4;
     const chaosModifier = Math.floor(chaosParams.chaosLevel * 3);
-    const quantum = this.quantumSelect(3, chaosParams.lorenzZ);
-    
+    const quantum = this.quantumSelect(rng, 3);
+
     return Math.min(Math.max(base + chaosModifier - quantum, 3), 8);
   }
 
   /**
-   * Select chaos exercise (unusual movement pattern)
+   * Select chaos exercise (unusual movement pattern) from the library:
+   * unilateral, unstable or unconventional variations for the muscle
    */
-  selectChaosExercise(muscle) {
-    const chaosExercises = {
-      chest: { name: 'Chaos Push-Up', description: 'Random tempo each rep' },
-      back: { name: 'Pendulum Row', description: 'Swinging momentum rows' },
-      legs: { name: 'Quantum Squat', description: 'Random pause positions' },
-      shoulders: { name: 'Fractal Press', description: 'Changing angles each rep' },
-      arms: { name: 'Bifurcation Curl', description: 'Alternating grip each rep' }
-    };
-    
-    return chaosExercises[muscle.toLowerCase()] || null;
+  async selectChaosExercise(muscle, { exclude = [], rng }) {
+    const target = String(muscle || '').toLowerCase();
+    const chaosTags = ['unconventional', 'unstable', 'unilateral'];
+    const muscleFilter = { $or: [{ muscleCategory: target }, { primaryMuscles: target }] };
+
+    let candidates = await Exercise.find({
+      $and: [Exercise.visibleTo(), muscleFilter, { tags: { $in: chaosTags } }, { name: { $nin: exclude } }]
+    }).sort({ name: 1, _id: 1 }).lean();
+
+    // Fall back to any less familiar movement for the muscle
+    if (candidates.length === 0) {
+      candidates = await Exercise.find({
+        $and: [Exercise.visibleTo(), muscleFilter, { name: { $nin: exclude } }]
+      }).sort({ name: 1, _id: 1 }).lean();
+    }
+    if (candidates.length === 0) return null;
+
+    // Prefer the most unusual: unconventional beats unstable beats unilateral
+    const weight = (exercise) => chaosTags.reduce(
+      (sum, tag, i) => sum + ((exercise.tags || []).includes(tag) ? chaosTags.length - i : 0), 0
+    );
+    const topWeight = Math.max(...candidates.map(weight));
+    const pool = candidates.filter(exercise => weight(exercise) === topWeight);
+    const exercise = pool[this.quantumSelect(rng, pool.length)];
+
+    return { ...exercise, chaosExercise: true };
   }
 
   /**
    * Select programming style based on chaos
    */
-  selectProgrammingStyle(chaosParams, recovery) {
+  selectProgrammingStyle(chaosParams, recovery, rng) {
     const styles = ['wave', 'cluster', 'pyramid', 'chaos', 'standard'];
     const weights = [
       chaosParams.chaosLevel * 0.3,
@@ -478,28 +751,30 @@ class QuantumWorkoutService {
       chaosParams.bifurcation ? 0.4 : 0.1,
       0.15
     ];
-    
-    const random = this.getQuantumFluctuation();
+
+    // Poorly recovered users get fewer heavy cluster sets
+    if (recovery < 50) weights[1] *= 0.5;
+
+    const random = rng();
     let cumulative = 0;
-    
+
     for (let i = 0; i < styles.length; i++) {
       cumulative += weights[i];
       if (random <= cumulative) {
         return styles[i];
       }
     }
-    
+
     return 'standard';
   }
 
   /**
    * Generate wave loading reps
    */
-  generateWaveReps(sets, chaosParams) {
+  generateWaveReps(sets, rng) {
     const waves = [];
     for (let i = 0; i < sets; i++) {
-      const base = 3 + this.quantumSelect(5, chaosParams.lorenzX + i);
-      waves.push(base);
+      waves.push(3 + this.quantumSelect(rng, 5));
     }
     return waves.join(',');
   }
@@ -507,24 +782,24 @@ class QuantumWorkoutService {
   /**
    * Generate cluster reps
    */
-  generateClusterReps(chaosParams) {
+  generateClusterReps(rng) {
     const clusters = [];
-    const numClusters = 3 + this.quantumSelect(2, chaosParams.lorenzY);
-    
+    const numClusters = 3 + this.quantumSelect(rng, 2);
+
     for (let i = 0; i < numClusters; i++) {
-      clusters.push(2 + this.quantumSelect(2, chaosParams.lorenzZ + i));
+      clusters.push(2 + this.quantumSelect(rng, 2));
     }
-    
+
     return clusters.join('+');
   }
 
   /**
    * Generate pyramid reps
    */
-  generatePyramidReps(sets, chaosParams) {
+  generatePyramidReps(sets) {
     const reps = [];
     const peak = Math.floor(sets / 2);
-    
+
     for (let i = 0; i < sets; i++) {
       if (i <= peak) {
         reps.push(12 - i * 2);
@@ -532,32 +807,29 @@ class QuantumWorkoutService {
         reps.push(6 + (i - peak) * 2);
       }
     }
-    
+
     return reps.join(',');
   }
 
   /**
    * Generate chaos reps
    */
-  generateChaosReps(sets, chaosParams) {
+  generateChaosReps(sets, rng) {
     const reps = [];
-    
+
     for (let i = 0; i < sets; i++) {
-      const chaosRep = 5 + this.quantumSelect(10, 
-        chaosParams.lorenzX * chaosParams.lorenzY * (i + 1)
-      );
-      reps.push(chaosRep);
+      reps.push(5 + this.quantumSelect(rng, 10));
     }
-    
+
     return reps.join(',');
   }
 
   /**
    * Generate wave intensity
    */
-  generateWaveIntensity(sets, chaosParams) {
-    const base = 70 + this.quantumSelect(15, chaosParams.lorenzZ);
-    return Array(sets).fill(base).map((b, i) => 
+  generateWaveIntensity(sets, rng) {
+    const base = 70 + this.quantumSelect(rng, 15);
+    return Array(sets).fill(base).map((b, i) =>
       b + Math.sin(i * Math.PI / sets) * 10
     ).map(Math.round);
   }
@@ -565,13 +837,13 @@ class QuantumWorkoutService {
   /**
    * Generate pyramid intensity
    */
-  generatePyramidIntensity(sets, chaosParams) {
-    const start = 65 + this.quantumSelect(10, chaosParams.lorenzX);
-    const peak = 85 + this.quantumSelect(10, chaosParams.lorenzY);
-    
+  generatePyramidIntensity(sets, rng) {
+    const start = 65 + this.quantumSelect(rng, 10);
+    const peak = 85 + this.quantumSelect(rng, 10);
+
     const intensities = [];
     const peakSet = Math.floor(sets / 2);
-    
+
     for (let i = 0; i < sets; i++) {
       if (i <= peakSet) {
         const progress = i / peakSet;
@@ -581,48 +853,49 @@ class QuantumWorkoutService {
         intensities.push(Math.round(peak - (peak - start) * progress));
       }
     }
-    
+
     return intensities;
   }
 
   /**
    * Generate chaos intensity
    */
-  generateChaosIntensity(chaosParams) {
-    const base = 50 + this.quantumSelect(30, chaosParams.quantumFluctuation * 1000);
-    const variation = this.quantumSelect(20, chaosParams.lorenzX);
+  generateChaosIntensity(rng) {
+    const base = 50 + this.quantumSelect(rng, 30);
+    const variation = this.quantumSelect(rng, 20);
     return base + variation;
   }
 
   /**
    * Generate tempo prescription
    */
-  generateTempo(chaosParams) {
-    if (!this.quantumBool(chaosParams.variationScore)) {
+  generateTempo(chaosParams, rng) {
+    if (!this.quantumBool(rng, chaosParams.variationScore)) {
       return null;
     }
-    
-    const eccentric = 2 + this.quantumSelect(4, chaosParams.lorenzX);
-    const pause = this.quantumSelect(3, chaosParams.lorenzY);
-    const concentric = this.quantumBool(0.3) ? 'X' : (1 + this.quantumSelect(2, chaosParams.lorenzZ));
-    const top = this.quantumSelect(2, chaosParams.quantumFluctuation * 100);
-    
+
+    const eccentric = 2 + this.quantumSelect(rng, 4);
+    const pause = this.quantumSelect(rng, 3);
+    const concentric = this.quantumBool(rng, 0.3) ? 'X' : (1 + this.quantumSelect(rng, 2));
+    const top = this.quantumSelect(rng, 2);
+
     return `${eccentric}${pause}${concentric}${top}`;
   }
 
   /**
    * Generate rest period
    */
-  generateRestPeriod(intensity, chaosParams) {
-    const baseRest = intensity > 85 ? 180 : intensity > 70 ? 120 : 90;
-    const chaosModifier = this.quantumSelect(60, chaosParams.lorenzZ) - 30;
+  generateRestPeriod(intensity, rng) {
+    const peak = Array.isArray(intensity) ? Math.max(...intensity) : intensity;
+    const baseRest = peak > 85 ? 180 : peak > 70 ? 120 : 90;
+    const chaosModifier = this.quantumSelect(rng, 60) - 30;
     return Math.max(30, baseRest + chaosModifier);
   }
 
   /**
    * Select technique modification
    */
-  selectTechnique(exercise, chaosParams) {
+  selectTechnique(chaosParams, rng) {
     const techniques = [
       'standard',
       'rest-pause',
@@ -632,161 +905,538 @@ class QuantumWorkoutService {
       'partial-reps',
       '21s'
     ];
-    
-    if (!this.quantumBool(chaosParams.variationScore * 0.5)) {
+
+    if (!this.quantumBool(rng, chaosParams.variationScore * 0.5)) {
       return 'standard';
     }
-    
-    return techniques[this.quantumSelect(techniques.length, chaosParams.lorenzY)];
+
+    return techniques[this.quantumSelect(rng, techniques.length)];
   }
 
+  // ========================================
+  // STRENGTH TRENDS & PLATEAUS
+  // ========================================
+
   /**
-   * Helper functions
+   * Best estimated 1RM per exercise per session
+   * @returns {Map<string, Array<{ date, e1RM, name }>>} keyed by lowercase name, oldest first
    */
-  
-  calculatePerformanceTrend(workouts) {
+  exerciseSessions(workouts) {
+    const sessions = new Map();
+
+    [...workouts]
+      .sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt))
+      .forEach(workout => {
+        (workout.exercises || []).forEach(exercise => {
+          const best = (exercise.actualSets || [])
+            .filter(set => set.completed !== false && set.reps > 0)
+            .reduce((max, set) => Math.max(max, progressiveOverload.estimateOneRepMax(set.weight || 0, set.reps, set.rpe)), 0);
+          if (best <= 0) return;
+
+          const key = exercise.name.trim().toLowerCase();
+          if (!sessions.has(key)) sessions.set(key, []);
+          sessions.get(key).push({
+            date: new Date(workout.completedAt),
+            e1RM: best,
+            name: exercise.name,
+            exerciseId: exercise.exerciseId
+          });
+        });
+      });
+
+    return sessions;
+  }
+
+  bestBetween(sessions, from, to) {
+    const inRange = sessions.filter(session => session.date >= from && session.date < to);
+    return inRange.length ? Math.max(...inRange.map(session => session.e1RM)) : null;
+  }
+
+  calculatePerformanceTrend(workouts, now = new Date()) {
     // Analyze strength, volume, and frequency trends
     const trend = {
       strength: { weeksWithoutProgress: 0 },
       volume: { weeksStagnant: 0 },
       frequency: { weeksUnchanged: 0 }
     };
-    
-    // Simplified trend calculation
+
     if (workouts.length < 4) return trend;
-    
-    // Check if weights have increased
-    const recentWeights = [];
-    workouts.slice(0, 4).forEach(w => {
-      w.exercises?.forEach(e => {
-        if (e.weight) recentWeights.push(e.weight);
+
+    // Strength: weeks since any exercise last set an e1RM best
+    let lastBest = null;
+    this.exerciseSessions(workouts).forEach(sessions => {
+      let best = 0;
+      sessions.forEach(session => {
+        if (session.e1RM > best * (1 + STALL_THRESHOLD / 100)) {
+          if (best > 0 && (!lastBest || session.date > lastBest)) lastBest = session.date;
+          best = Math.max(best, session.e1RM);
+        }
       });
     });
-    
-    if (recentWeights.length > 0) {
-      const avgRecent = recentWeights.reduce((a, b) => a + b) / recentWeights.length;
-      const olderWeights = [];
-      
-      workouts.slice(4, 8).forEach(w => {
-        w.exercises?.forEach(e => {
-          if (e.weight) olderWeights.push(e.weight);
-        });
-      });
-      
-      if (olderWeights.length > 0) {
-        const avgOlder = olderWeights.reduce((a, b) => a + b) / olderWeights.length;
-        if (avgRecent <= avgOlder) {
-          trend.strength.weeksWithoutProgress = 2;
-        }
-      }
+    const oldest = new Date(Math.min(...workouts.map(w => new Date(w.completedAt))));
+    trend.strength.weeksWithoutProgress = Math.floor((now - (lastBest || oldest)) / WEEK_MS);
+
+    // Volume and frequency per week, most recent week first
+    const weeks = Array.from({ length: 6 }, () => ({ volume: 0, sessions: 0 }));
+    workouts.forEach(workout => {
+      const index = Math.floor((now - new Date(workout.completedAt)) / WEEK_MS);
+      if (!weeks[index]) return;
+      weeks[index].sessions++;
+      (workout.exercises || []).forEach(exercise => (exercise.actualSets || []).forEach(set => {
+        if (set.completed !== false) weeks[index].volume += (set.reps || 0) * (set.weight || 0);
+      }));
+    });
+
+    // Trailing weeks that didn't beat the best earlier week's volume
+    for (let i = 0; i < weeks.length - 1; i++) {
+      const earlierBest = Math.max(...weeks.slice(i + 1).map(week => week.volume));
+      if (weeks[i].volume > earlierBest * 1.05) break;
+      trend.volume.weeksStagnant++;
+    }
+    // Trailing weeks with the same number of sessions
+    for (let i = 1; i < weeks.length && weeks[i].sessions === weeks[0].sessions; i++) {
+      trend.frequency.weeksUnchanged = i + 1;
     }
-    
+
     return trend;
   }
-  
+
   calculateAverageRecovery(wearableData) {
     if (!wearableData || wearableData.length === 0) return 70;
-    
+
     const recoveries = wearableData
       .filter(d => d.recoveryScore)
       .map(d => d.recoveryScore);
-    
+
     if (recoveries.length === 0) return 70;
-    
+
     return Math.round(recoveries.reduce((a, b) => a + b) / recoveries.length);
   }
-  
-  calculateVariationScore(userData, plateauRisk) {
+
+  calculateVariationScore(inputs, plateauRisk) {
     const base = 0.3;
     const plateauBonus = plateauRisk * 0.4;
-    const stagnationBonus = userData.performanceTrend?.strength?.weeksWithoutProgress 
-      ? 0.2 : 0;
-    const lowVarietyBonus = userData.recentExercises.length < 10 ? 0.1 : 0;
-    
+    const stagnationBonus = inputs.weeksWithoutProgress ? 0.2 : 0;
+    const lowVarietyBonus = (inputs.recentExercises || []).length < 10 ? 0.1 : 0;
+
     return Math.min(base + plateauBonus + stagnationBonus + lowVarietyBonus, 1);
   }
-  
+
+  /**
+   * Stalled exercises (no e1RM gain over the last three weeks vs the three
+   * before) and the muscle groups they cover
+   */
+  async detectPlateaus(userId) {
+    const now = new Date();
+    const split = new Date(now - 3 * WEEK_MS);
+    const since = new Date(now - 6 * WEEK_MS);
+
+    const workouts = await Workout.find({
+      clientId: userId,
+      completed: true,
+      completedAt: { $gte: since }
+    }).select('completedAt exercises.name exercises.exerciseId exercises.actualSets').lean();
+
+    const exercises = [];
+    this.exerciseSessions(workouts).forEach(sessions => {
+      const before = this.bestBetween(sessions, since, split);
+      const recent = this.bestBetween(sessions, split, now);
+      if (before === null || recent === null) return;
+
+      const change = percentChange(recent, before);
+      const best = sessions.reduce((top, session) => (session.e1RM > top.e1RM ? session : top));
+      exercises.push({
+        name: sessions[0].name,
+        exerciseId: sessions[sessions.length - 1].exerciseId,
+        sessions: sessions.length,
+        bestBefore: round(before),
+        bestRecent: round(recent),
+        change: round(change),
+        stalled: change < STALL_THRESHOLD,
+        weeksSinceBest: Math.floor((now - best.date) / WEEK_MS)
+      });
+    });
+
+    // Group by muscle category; a group plateaus when most of its lifts have
+    const lookup = await progressiveOverload.resolveExercises(exercises);
+    const groups = {};
+    exercises.forEach(exercise => {
+      const doc = lookup(exercise);
+      const group = doc?.muscleCategory || 'other';
+      exercise.muscleGroup = group;
+      groups[group] = groups[group] || { muscleGroup: group, tracked: 0, stalled: 0 };
+      groups[group].tracked++;
+      if (exercise.stalled) groups[group].stalled++;
+    });
+
+    const muscleGroups = Object.values(groups).map(group => ({
+      ...group,
+      plateaued: group.stalled / group.tracked > 0.5
+    }));
+
+    return { exercises, muscleGroups, workoutsAnalyzed: workouts.length };
+  }
+
+  async getPlateauDetection(userId) {
+    const [plateaus, userData] = await Promise.all([
+      this.detectPlateaus(userId),
+      this.getUserAdaptationData(userId)
+    ]);
+    const plateauRisk = this.detectPlateauRisk(userData);
+    const stalledGroups = plateaus.muscleGroups.filter(group => group.plateaued).map(group => group.muscleGroup);
+    const plateauDetected = stalledGroups.length > 0;
+
+    let recommendation;
+    if (plateaus.exercises.length === 0) {
+      recommendation = {
+        action: 'track',
+        message: 'Log weights and reps for at least three weeks to detect plateaus'
+      };
+    } else if (plateauDetected) {
+      recommendation = {
+        action: 'quantum',
+        message: `Run 2-3 quantum sessions for ${stalledGroups.join(', ')} to break the stall`,
+        targetMuscles: stalledGroups,
+        suggestedChaosLevel: round(Math.max(0.6, plateauRisk), 2)
+      };
+    } else {
+      recommendation = {
+        action: 'continue',
+        message: 'Lifts are still progressing - keep the current program'
+      };
+    }
+
+    return {
+      plateauDetected,
+      plateauRisk,
+      muscleGroups: plateaus.muscleGroups,
+      exercises: plateaus.exercises,
+      trend: userData.performanceTrend,
+      recommendation
+    };
+  }
+
+  // ========================================
+  // HISTORY, METRICS & EFFECTIVENESS
+  // ========================================
+
+  async getHistory(userId, { limit = 20, page = 1 } = {}) {
+    const size = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * size;
+
+    const [records, total, userData] = await Promise.all([
+      QuantumWorkout.find({ userId }).sort({ createdAt: -1 }).skip(skip).limit(size),
+      QuantumWorkout.countDocuments({ userId }),
+      this.getUserAdaptationData(userId)
+    ]);
+
+    const workoutIds = records.map(record => record.workoutId).filter(Boolean);
+    const sessions = await Workout.find({ _id: { $in: workoutIds } }).select('status completed').lean();
+    const statusById = new Map(sessions.map(session => [String(session._id), session.status]));
+
+    const plateauRisk = this.detectPlateauRisk(userData);
+
+    return {
+      workouts: records.map(record => ({
+        id: record._id,
+        name: record.name,
+        seed: record.seed,
+        targetMuscles: record.targetMuscles,
+        chaos: record.chaos,
+        plateauRisk: record.inputs.plateauRisk,
+        plateauBreakProtocol: record.plateauBreakProtocol,
+        exerciseCount: record.exercises.length,
+        session: record.workoutId
+          ? { id: record.workoutId, status: statusById.get(String(record.workoutId)) || 'deleted' }
+          : null,
+        effectiveness: record.effectiveness?.evaluatedAt ? record.effectiveness : null,
+        createdAt: record.createdAt
+      })),
+      total,
+      page: Math.floor(skip / size) + 1,
+      plateauStatus: {
+        risk: plateauRisk,
+        level: plateauRisk > 0.7 ? 'high' : plateauRisk > 0.4 ? 'moderate' : 'low',
+        weeksWithoutProgress: userData.performanceTrend.strength.weeksWithoutProgress
+      }
+    };
+  }
+
+  /**
+   * Current chaos state: the parameters a workout generated now would use,
+   * how varied recent exercise selection has been, and recent chaos levels
+   */
+  async getChaosMetrics(userId) {
+    const [{ settings }, userData, recent] = await Promise.all([
+      this.loadSettings(userId),
+      this.getUserAdaptationData(userId),
+      QuantumWorkout.find({ userId }).sort({ createdAt: -1 }).limit(10).select('seed chaos createdAt').lean()
+    ]);
+
+    const plateauRisk = this.detectPlateauRisk(userData);
+    const inputs = {
+      plateauRisk,
+      workoutCount: userData.workoutCount,
+      recentExercises: userData.recentExercises,
+      weeksWithoutProgress: userData.performanceTrend.strength.weeksWithoutProgress,
+      chaosLevel: settings.chaosLevel,
+      variationIntensity: settings.variationIntensity
+    };
+    // Preview only - the fluctuation is drawn from the seed base
+    const current = this.generateChaosParameters(inputs, createRng(settings.seedBase));
+
+    // Shannon entropy of exercise selection over the adaptation window
+    const counts = {};
+    userData.workouts.forEach(workout => (workout.exercises || []).forEach(exercise => {
+      counts[exercise.name] = (counts[exercise.name] || 0) + 1;
+    }));
+    const frequencies = Object.values(counts);
+    const totalPicks = frequencies.reduce((sum, count) => sum + count, 0);
+    const bits = frequencies.reduce((sum, count) => sum - (count / totalPicks) * Math.log2(count / totalPicks), 0);
+
+    return {
+      current: {
+        ...current,
+        plateauRisk,
+        lyapunovExponent: this.chaosParameters.lyapunovExponent,
+        bifurcationPoint: this.chaosParameters.bifurcationPoint
+      },
+      lorenz: { x: current.lorenzX, y: current.lorenzY, z: current.lorenzZ, iterations: userData.workoutCount },
+      selectionEntropy: {
+        uniqueExercises: frequencies.length,
+        bits: round(bits, 3),
+        normalized: frequencies.length > 1 ? round(bits / Math.log2(frequencies.length), 3) : 0
+      },
+      settings: { chaosLevel: settings.chaosLevel, variationIntensity: settings.variationIntensity },
+      history: recent.map(record => ({
+        date: record.createdAt,
+        seed: record.seed,
+        chaosLevel: record.chaos.chaosLevel,
+        variationScore: record.chaos.variationScore,
+        bifurcation: record.chaos.bifurcation
+      }))
+    };
+  }
+
+  /**
+   * Score one quantum workout from what followed it: e1RM change in the four
+   * weeks after vs the trend in the weeks before (did it break a stall?),
+   * recovery either side, and whether the session was actually done
+   */
+  async evaluateEffectiveness(record, now = new Date()) {
+    const generatedAt = new Date(record.createdAt);
+    const windowEnd = new Date(Math.min(now, generatedAt.getTime() + EVALUATION_DAYS * DAY_MS));
+    const daysSince = Math.floor((now - generatedAt) / DAY_MS);
+    const priorStart = new Date(generatedAt.getTime() - 2 * EVALUATION_DAYS * DAY_MS);
+    const baseStart = new Date(generatedAt.getTime() - EVALUATION_DAYS * DAY_MS);
+
+    const [workouts, recovery, session] = await Promise.all([
+      Workout.find({
+        clientId: record.userId,
+        completed: true,
+        completedAt: { $gte: priorStart, $lte: windowEnd }
+      }).select('completedAt exercises.name exercises.exerciseId exercises.actualSets').lean(),
+      RecoveryScore.find({
+        userId: record.userId,
+        date: { $gte: new Date(generatedAt - 7 * DAY_MS), $lte: new Date(generatedAt.getTime() + 7 * DAY_MS) }
+      }).select('date totalScore').lean(),
+      record.workoutId ? Workout.findById(record.workoutId).select('status completed').lean() : null
+    ]);
+
+    // Strength before and after generation
+    const exercises = [];
+    this.exerciseSessions(workouts).forEach(sessions => {
+      const prior = this.bestBetween(sessions, priorStart, baseStart);
+      const base = this.bestBetween(sessions, baseStart, generatedAt);
+      const after = this.bestBetween(sessions, generatedAt, new Date(windowEnd.getTime() + 1));
+      if (base === null || after === null) return;
+
+      const trendBefore = prior !== null ? percentChange(base, prior) : null;
+      const trendAfter = percentChange(after, base);
+      const wasStalled = trendBefore !== null && trendBefore < STALL_THRESHOLD;
+      exercises.push({
+        name: sessions[0].name,
+        trendBefore: trendBefore !== null ? round(trendBefore) : null,
+        trendAfter: round(trendAfter),
+        wasStalled,
+        plateauBroken: wasStalled && trendAfter >= BREAKTHROUGH_THRESHOLD
+      });
+    });
+
+    const averageChange = average(exercises.map(exercise => exercise.trendAfter));
+    const improved = exercises.filter(exercise => exercise.trendAfter >= STALL_THRESHOLD).length;
+    const plateausBroken = exercises.filter(exercise => exercise.plateauBroken).length;
+
+    // Recovery the week before vs the week after
+    const recoveryBefore = average(recovery.filter(score => score.date < generatedAt).map(score => score.totalScore));
+    const recoveryAfter = average(recovery.filter(score => score.date >= generatedAt).map(score => score.totalScore));
+    const recoveryChange = recoveryBefore !== null && recoveryAfter !== null ? recoveryAfter - recoveryBefore : null;
+
+    const sessionStatus = session ? (session.completed ? 'completed' : session.status) : 'not_started';
+
+    // 60 performance + 25 recovery + 15 adherence
+    const performanceScore = exercises.length
+      ? 60 * (0.6 * (improved / exercises.length) + 0.4 * Math.min(Math.max((averageChange + 5) / 15, 0), 1))
+      : 30;
+    const recoveryScore = recoveryChange === null ? 12.5 : recoveryChange >= 0 ? 25 : Math.max(0, 25 + recoveryChange * 2.5);
+    const adherenceScore = sessionStatus === 'completed' ? 15 : sessionStatus === 'not_started' ? 0 : 7;
+    const score = Math.round(performanceScore + recoveryScore + adherenceScore);
+
+    let verdict;
+    if (daysSince < MIN_EVALUATION_DAYS || exercises.length === 0) verdict = 'pending';
+    else if (plateausBroken > 0) verdict = 'plateau_broken';
+    else if (averageChange >= STALL_THRESHOLD) verdict = 'progressing';
+    else if (averageChange <= -2) verdict = 'regressed';
+    else verdict = 'no_change';
+
+    const final = daysSince >= EVALUATION_DAYS;
+    if (final && !record.effectiveness?.final) {
+      record.effectiveness = { score, verdict, evaluatedAt: now, final };
+      await record.save();
+    }
+
+    return {
+      id: record._id,
+      name: record.name,
+      seed: record.seed,
+      chaosLevel: record.chaos.chaosLevel,
+      plateauRiskAtGeneration: record.inputs.plateauRisk,
+      generatedAt,
+      daysSince,
+      score: verdict === 'pending' ? null : score,
+      verdict,
+      final,
+      performance: {
+        exercisesTracked: exercises.length,
+        improved,
+        plateausBroken,
+        averageChange: averageChange !== null ? round(averageChange) : null,
+        exercises
+      },
+      recovery: {
+        before: recoveryBefore !== null ? round(recoveryBefore) : null,
+        after: recoveryAfter !== null ? round(recoveryAfter) : null,
+        change: recoveryChange !== null ? round(recoveryChange) : null
+      },
+      session: sessionStatus
+    };
+  }
+
+  /**
+   * Effectiveness of one quantum workout, or a summary across recent ones
+   * bucketed by chaos level
+   */
+  async analyzeEffectiveness(userId, { workoutId } = {}) {
+    if (workoutId) {
+      return this.evaluateEffectiveness(await this.findRecord(userId, workoutId));
+    }
+
+    const records = await QuantumWorkout.find({
+      userId,
+      createdAt: { $gte: new Date(Date.now() - 180 * DAY_MS) }
+    }).sort({ createdAt: -1 }).limit(20);
+
+    const results = [];
+    for (const record of records) {
+      results.push(await this.evaluateEffectiveness(record));
+    }
+
+    const scored = results.filter(result => result.verdict !== 'pending');
+    const byChaosLevel = { low: [], medium: [], high: [] };
+    scored.forEach(result => {
+      const bucket = result.chaosLevel < 0.34 ? 'low' : result.chaosLevel < 0.67 ? 'medium' : 'high';
+      byChaosLevel[bucket].push(result.score);
+    });
+
+    const averageScore = average(scored.map(result => result.score));
+    const plateausBroken = scored.reduce((sum, result) => sum + result.performance.plateausBroken, 0);
+
+    let verdict;
+    if (scored.length === 0) verdict = 'insufficient_data';
+    else if (plateausBroken > 0) verdict = 'breaking_plateaus';
+    else if (averageScore >= 60) verdict = 'effective';
+    else verdict = 'not_effective';
+
+    return {
+      evaluated: scored.length,
+      pending: results.length - scored.length,
+      averageScore: averageScore !== null ? Math.round(averageScore) : null,
+      plateausBroken,
+      verdict,
+      byChaosLevel: Object.fromEntries(Object.entries(byChaosLevel).map(([bucket, scores]) => [
+        bucket,
+        { workouts: scores.length, averageScore: scores.length ? Math.round(average(scores)) : null }
+      ])),
+      workouts: results
+    };
+  }
+
+  // ========================================
+  // NOTES & AI
+  // ========================================
+
   generateExerciseNotes(exercise, style, chaosParams) {
     const notes = [];
-    
+
     if (chaosParams.bifurcation) {
       notes.push('⚡ Plateau-breaking protocol active');
     }
-    
+
     if (style === 'chaos') {
       notes.push('🎲 Randomized rep scheme - follow instinct');
     }
-    
+
     if (exercise.variations?.length > 2) {
       notes.push('🔄 Multiple variations - prevents adaptation');
     }
-    
+
     if (chaosParams.chaosLevel > 0.7) {
       notes.push('🌀 High chaos - embrace the unpredictability');
     }
-    
+
     return notes.join('. ');
   }
-  
-  generateWorkoutNotes(chaosParams, plateauRisk) {
+
+  generateWorkoutNotes(seed, chaosParams, plateauRisk) {
     const notes = [];
-    
-    notes.push(`Quantum seed: ${this.getCurrentQuantumSeed()}`);
+
+    notes.push(`Quantum seed: ${seed}`);
     notes.push(`Chaos level: ${(chaosParams.chaosLevel * 100).toFixed(0)}%`);
     notes.push(`Plateau risk: ${(plateauRisk * 100).toFixed(0)}%`);
-    
+
     if (plateauRisk > 0.7) {
       notes.push('⚠️ HIGH PLATEAU RISK - Maximum variation applied');
     }
-    
+
     if (chaosParams.bifurcation) {
       notes.push('🔀 Bifurcation point reached - system entering chaos');
     }
-    
+
     return notes.join(' | ');
   }
-  
-  async storePatternHistory(userId, workout) {
-    const pattern = {
-      exercises: workout.exercises.map(e => e.name).sort().join(','),
-      style: workout.exercises[0]?.style || 'standard',
-      timestamp: Date.now()
-    };
-    
-    const key = `${userId}:patterns`;
-    let history = this.patternHistory.get(key) || [];
-    
-    // Keep only last 20 patterns
-    history = [pattern, ...history].slice(0, 20);
-    this.patternHistory.set(key, history);
-  }
-  
+
   async generateAIOptimization(workout, userData, chaosParams) {
-    if (!this.genAI) return null;
-    
+    if (!aiProvider.isAvailable('quantum_workouts')) return null;
+
     try {
-      const model = this.genAI.getGenerativeModel({ 
-        model: 'gemini-1.5-flash',
-        generationConfig: {
-          temperature: 0.8,
-          maxOutputTokens: 200
-        }
-      });
-      
       const prompt = `Analyze this quantum-generated workout and provide optimization:
 
 Workout: ${workout.name}
 Exercises: ${workout.exercises.length}
 Chaos Level: ${(chaosParams.chaosLevel * 100).toFixed(0)}%
-Plateau Risk: ${(chaosParams.plateauRisk * 100).toFixed(0)}%
+Plateau Risk: ${(workout.inputs.plateauRisk * 100).toFixed(0)}%
 User Recovery: ${userData.avgRecovery}%
 
 Provide ONE specific adjustment to maximize adaptation while preventing overtraining.
 Keep response under 50 words.`;
-      
-      const result = await model.generateContent(prompt);
-      return result.response.text();
-      
+
+      const { text } = await aiProvider.generate({
+        feature: 'quantum_workouts',
+        userId: workout.userId,
+        prompt
+      });
+      return text;
+
     } catch (error) {
       console.error('AI optimization failed:', error);
       return null;
@@ -795,4 +1445,4 @@ Keep response under 50 words.`;
 }
 
 // Export singleton instance
-module.exports = new QuantumWorkoutService();
\ No newline at end of file
+module.exports = new QuantumWorkoutService();
@@ -1,27 +1,78 @@
 // Social Features Service
-// Feed generation, friend management, challenges
+// Feed generation, likes/comments, moderation, challenges
 
+const mongoose = require('mongoose');
 const SocialPost = require('../../models/venus/SocialPost');
 const Challenge = require('../../models/venus/Challenge');
 const Workout = require('../../models/venus/Workout');
+const ErrorResponse = require('../../utils/errorResponse');
+const challengeEngine = require('./challengeEngine');
+const socialGraph = require('./socialGraph');
+
+// Distinct unreviewed reports that pull a post from feeds pending review
+const REPORT_HOLD_THRESHOLD = 3;
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'nudity', 'violence', 'misinformation', 'other'];
+const FEED_FILTERS = ['all', 'friends', 'following'];
+
+/**
+ * Add viewer context ("has liked", "has commented") and drop comments
+ * from users either side has blocked
+ */
+const enrichPost = (post, userId, graph) => {
+  const postObj = post.toObject();
+  const blocked = new Set(graph.blockedIds.map(String));
+  const authorOf = (entry) => String(entry.userId?._id || entry.userId);
+
+  postObj.comments = (postObj.comments || []).filter(comment =>
+    comment.userId && !blocked.has(authorOf(comment))
+  );
+  postObj.hasLiked = post.likes.some(like => String(like.userId) === String(userId));
+  postObj.hasCommented = postObj.comments.some(comment => authorOf(comment) === String(userId));
+  postObj.isOwn = authorOf(post) === String(userId);
+
+  return postObj;
+};
+
+/**
+ * Load a post the user is allowed to see; anything else is a 404
+ */
+const loadVisiblePost = async (userId, postId) => {
+  if (!mongoose.Types.ObjectId.isValid(postId)) {
+    throw new ErrorResponse('Post not found', 404);
+  }
+
+  const post = await SocialPost.findById(postId);
+  if (!post) throw new ErrorResponse('Post not found', 404);
+
+  const graph = await socialGraph.getGraph(userId);
+  if (!socialGraph.canView(post, userId, graph)) {
+    throw new ErrorResponse('Post not found', 404);
+  }
+
+  return { post, graph };
+};
 
 /**
  * Generate personalized social feed
+ * filter: all (everything visible), friends (friends' posts), following (followed users' posts)
  */
 exports.getFeed = async (userId, page = 1, filter = 'all') => {
   try {
+    if (!FEED_FILTERS.includes(filter)) {
+      throw new ErrorResponse(`filter must be one of: ${FEED_FILTERS.join(', ')}`, 400);
+    }
+
     const limit = 20;
+    page = Math.max(1, parseInt(page) || 1);
     const skip = (page - 1) * limit;
 
-    // In production, this would include friend IDs and following lists
-    // For now, get public posts with engagement
-    let query = {
-      visibility: { $in: ['public', 'friends'] }
-    };
+    const graph = await socialGraph.getGraph(userId);
+    const query = { $and: [socialGraph.visibilityQuery(userId, graph)] };
 
     if (filter === 'friends') {
-      // Would filter by friend IDs
-      // query.userId = { $in: friendIds };
+      query.$and.push({ userId: { $in: graph.friendIds } });
+    } else if (filter === 'following') {
+      query.$and.push({ userId: { $in: graph.followingIds } });
     }
 
     const posts = await SocialPost.find(query)
@@ -37,20 +88,8 @@ exports.getFeed = async (userId, page = 1, filter = 'all') => {
 
     const total = await SocialPost.countDocuments(query);
 
-    // Add context like "user has liked", "user has commented"
-    const enrichedPosts = posts.map(post => {
-      const postObj = post.toObject();
-      postObj.hasLiked = post.likes.some(like => 
-        like.userId.toString() === userId.toString()
-      );
-      postObj.hasCommented = post.comments.some(comment => 
-        comment.userId._id.toString() === userId.toString()
-      );
-      return postObj;
-    });
-
     return {
-      posts: enrichedPosts,
+      posts: posts.map(post => enrichPost(post, userId, graph)),
       pagination: {
         currentPage: page,
         totalPages: Math.ceil(total / limit),
@@ -66,17 +105,24 @@ exports.getFeed = async (userId, page = 1, filter = 'all') => {
 };
 
 /**
- * Get trending posts
+ * Get trending posts (public only; blocked users are left out when a viewer is given)
  */
-exports.getTrendingPosts = async (timeframe = 24, limit = 20) => {
+exports.getTrendingPosts = async (timeframe = 24, limit = 20, viewerId = null) => {
   try {
     const since = new Date();
     since.setHours(since.getHours() - timeframe);
 
-    const trending = await SocialPost.find({
+    const query = {
       visibility: 'public',
+      'moderation.status': { $nin: ['hidden', 'pending-review'] },
       createdAt: { $gte: since }
-    })
+    };
+    if (viewerId) {
+      const graph = await socialGraph.getGraph(viewerId);
+      query.userId = { $nin: graph.blockedIds };
+    }
+
+    const trending = await SocialPost.find(query)
       .sort({ 
         'engagement.likeCount': -1, 
         'engagement.commentCount': -1,
@@ -96,19 +142,30 @@ exports.getTrendingPosts = async (timeframe = 24, limit = 20) => {
 
 /**
  * Share workout to social feed
+ * Visibility falls back to the user's privacy default
  */
-exports.shareWorkout = async (userId, workoutId, caption, visibility = 'friends') => {
+exports.shareWorkout = async (userId, workoutId, caption, visibility) => {
   try {
-    const workout = await Workout.findOne({ _id: workoutId, userId })
-      .populate('exercises.exerciseId');
+    if (!mongoose.Types.ObjectId.isValid(workoutId)) {
+      throw new ErrorResponse('Workout not found', 404);
+    }
+
+    const workout = await Workout.findOne({ _id: workoutId, clientId: userId, completed: true });
 
     if (!workout) {
-      throw new Error('Workout not found');
+      throw new ErrorResponse('Workout not found', 404);
+    }
+
+    if (!visibility) {
+      visibility = (await socialGraph.getPrivacy(userId)).defaultVisibility;
+    }
+    if (!SocialPost.schema.path('visibility').enumValues.includes(visibility)) {
+      throw new ErrorResponse('visibility must be one of: public, followers, friends, private', 400);
     }
 
-    // Calculate stats
-    const totalVolume = workout.exercises.reduce((sum, ex) => {
-      return sum + ex.sets.reduce((setSum, set) => {
+    // Completed sessions carry stats; older logged workouts only have actualSets
+    const totalVolume = workout.stats?.totalVolume ?? workout.exercises.reduce((sum, ex) => {
+      return sum + (ex.actualSets || []).reduce((setSum, set) => {
         return setSum + (set.weight || 0) * (set.reps || 0);
       }, 0);
     }, 0);
@@ -139,6 +196,215 @@ exports.shareWorkout = async (userId, workoutId, caption, visibility = 'friends'
   }
 };
 
+/**
+ * Post the headline PR of a completed workout as an achievement, for users
+ * who opted in with the autoSharePRs privacy setting
+ * @returns {SocialPost|null} null when not opted in or already shared
+ */
+exports.sharePersonalRecords = async (userId, workout) => {
+  const privacy = await socialGraph.getPrivacy(userId);
+  if (!privacy.autoSharePRs) return null;
+
+  // Weight and e1RM PRs make better posts than set-volume ones; biggest jump wins
+  const gain = (record) => (record.previous ? (record.value - record.previous) / record.previous : 0);
+  const shareable = (workout.personalRecords || []).filter(record => record.type !== 'max_set_volume');
+  if (shareable.length === 0) return null;
+  const headline = shareable.reduce((best, record) => (gain(record) > gain(best) ? record : best));
+
+  const existing = await SocialPost.exists({ userId, 'content.workoutId': workout._id, 'content.achievement': 'PR' });
+  if (existing) return null;
+
+  const label = headline.type === 'rep_max' ? `${headline.repRange} rep max`
+    : headline.type === 'estimated_1rm' ? 'estimated 1RM'
+      : 'heaviest set';
+  const others = shareable.length - 1;
+
+  return SocialPost.create({
+    userId,
+    postType: 'achievement',
+    content: {
+      workoutId: workout._id,
+      achievement: 'PR',
+      achievementDetails: {
+        exercise: headline.exercise,
+        value: headline.value,
+        improvement: Math.round(gain(headline) * 1000) / 10
+      },
+      text: `New ${headline.exercise} PR: ${label} of ${headline.value} (${headline.weight} × ${headline.reps})` +
+        (others > 0 ? ` plus ${others} more PR${others > 1 ? 's' : ''}` : '')
+    },
+    visibility: privacy.defaultVisibility
+  });
+};
+
+/**
+ * Like / unlike a visible post
+ */
+exports.likePost = async (userId, postId) => {
+  const { post } = await loadVisiblePost(userId, postId);
+  await post.addLike(userId);
+  return { liked: true, likeCount: post.engagement.likeCount };
+};
+
+exports.unlikePost = async (userId, postId) => {
+  const { post } = await loadVisiblePost(userId, postId);
+  await post.removeLike(userId);
+  return { liked: false, likeCount: post.engagement.likeCount };
+};
+
+/**
+ * Comment on a visible post
+ */
+exports.addComment = async (userId, postId, text) => {
+  text = typeof text === 'string' ? text.trim() : '';
+  if (!text) throw new ErrorResponse('Comment text is required', 400);
+  if (text.length > 300) throw new ErrorResponse('Comment cannot exceed 300 characters', 400);
+
+  const { post } = await loadVisiblePost(userId, postId);
+  await post.addComment(userId, text);
+
+  const comment = post.comments[post.comments.length - 1];
+  return { comment, commentCount: post.engagement.commentCount };
+};
+
+/**
+ * Delete a comment - the commenter or the post's author may remove it
+ */
+exports.deleteComment = async (userId, postId, commentId) => {
+  const { post } = await loadVisiblePost(userId, postId);
+
+  const comment = mongoose.Types.ObjectId.isValid(commentId) && post.comments.id(commentId);
+  if (!comment) throw new ErrorResponse('Comment not found', 404);
+
+  const isCommenter = String(comment.userId) === String(userId);
+  const isPostAuthor = String(post.userId) === String(userId);
+  if (!isCommenter && !isPostAuthor) {
+    throw new ErrorResponse('Not authorized to delete this comment', 403);
+  }
+
+  await post.deleteComment(commentId);
+  return { deleted: true, commentCount: post.engagement.commentCount };
+};
+
+/**
+ * Report a post. Enough distinct reports hold it for review.
+ */
+exports.reportPost = async (userId, postId, reason = 'other', details) => {
+  if (!REPORT_REASONS.includes(reason)) {
+    throw new ErrorResponse(`reason must be one of: ${REPORT_REASONS.join(', ')}`, 400);
+  }
+
+  const { post } = await loadVisiblePost(userId, postId);
+
+  if (String(post.userId) === String(userId)) {
+    throw new ErrorResponse('You cannot report your own post', 400);
+  }
+
+  if (!post.reported) post.reported = { isReported: false, reports: [] };
+  const alreadyReported = post.reported.reports.some(r =>
+    String(r.userId) === String(userId) && !r.reviewed
+  );
+  if (alreadyReported) throw new ErrorResponse('You have already reported this post', 409);
+
+  post.reported.reports.push({ userId, reason, details, date: new Date() });
+  post.reported.isReported = true;
+
+  const openReports = post.reported.reports.filter(r => !r.reviewed).length;
+  if (openReports >= REPORT_HOLD_THRESHOLD && post.moderation.status === 'visible') {
+    post.moderation.status = 'pending-review';
+    post.moderation.history.push({ action: 'auto-hold', note: `${openReports} reports` });
+  }
+
+  await post.save();
+
+  return { reported: true, message: 'Thanks, our moderators will review this post' };
+};
+
+/**
+ * Posts waiting on a moderator (status 'pending'), or already hidden ones (status 'hidden')
+ */
+exports.getModerationQueue = async ({ status = 'pending', page = 1, limit = 20 } = {}) => {
+  if (!['pending', 'hidden'].includes(status)) {
+    throw new ErrorResponse("status must be 'pending' or 'hidden'", 400);
+  }
+
+  page = Math.max(1, parseInt(page) || 1);
+  limit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+  const query = status === 'pending'
+    ? { 'reported.isReported': true }
+    : { 'moderation.status': 'hidden' };
+
+  const [posts, total] = await Promise.all([
+    SocialPost.find(query)
+      // Held posts first, then oldest untouched reports
+      .sort({ 'moderation.status': 1, updatedAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('userId', 'name email profilePicture')
+      .populate('reported.reports.userId', 'name email'),
+    SocialPost.countDocuments(query)
+  ]);
+
+  const items = posts.map(post => {
+    const open = (post.reported?.reports || []).filter(r => !r.reviewed);
+    const reasons = open.reduce((acc, r) => {
+      acc[r.reason] = (acc[r.reason] || 0) + 1;
+      return acc;
+    }, {});
+
+    return {
+      post,
+      moderationStatus: post.moderation.status,
+      openReports: open.length,
+      reasons,
+      firstReportedAt: open.length ? open[0].date : null
+    };
+  });
+
+  return {
+    items,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      total
+    }
+  };
+};
+
+/**
+ * Resolve reports on a post: hide it from everyone but its author, or restore it
+ */
+exports.moderatePost = async (moderatorId, postId, action, note) => {
+  if (!['hide', 'restore'].includes(action)) {
+    throw new ErrorResponse("action must be 'hide' or 'restore'", 400);
+  }
+  if (!mongoose.Types.ObjectId.isValid(postId)) {
+    throw new ErrorResponse('Post not found', 404);
+  }
+
+  const post = await SocialPost.findById(postId);
+  if (!post) throw new ErrorResponse('Post not found', 404);
+
+  post.moderation.status = action === 'hide' ? 'hidden' : 'visible';
+  post.moderation.reviewedBy = moderatorId;
+  post.moderation.reviewedAt = new Date();
+  post.moderation.history.push({ action, by: moderatorId, note });
+
+  if (post.reported) {
+    post.reported.reports.forEach(r => { r.reviewed = true; });
+    post.reported.isReported = false;
+  }
+
+  await post.save();
+
+  return {
+    postId: post._id,
+    status: post.moderation.status,
+    reviewedAt: post.moderation.reviewedAt
+  };
+};
+
 /**
  * Get challenges for user
  */
@@ -151,9 +417,17 @@ exports.getChallenges = async (userId) => {
       .populate('createdBy', 'name profilePicture')
       .sort({ 'duration.startDate': -1 });
 
+    const upcoming = await Challenge.find({
+      'participants.userId': userId,
+      status: 'upcoming'
+    })
+      .populate('createdBy', 'name profilePicture')
+      .sort({ 'duration.startDate': 1 });
+
+    // Invite-only challenges are joined by id, not listed
     const available = await Challenge.find({
       status: { $in: ['upcoming', 'active'] },
-      visibility: { $in: ['public', 'invite-only'] },
+      visibility: 'public',
       'participants.userId': { $ne: userId }
     })
       .populate('createdBy', 'name profilePicture')
@@ -170,6 +444,7 @@ exports.getChallenges = async (userId) => {
 
     return {
       active,
+      upcoming,
       available,
       completed
     };
@@ -181,135 +456,188 @@ exports.getChallenges = async (userId) => {
 };
 
 /**
- * Join a challenge
+ * Create a challenge; the creator joins it
  */
-exports.joinChallenge = async (userId, challengeId) => {
-  try {
-    const challenge = await Challenge.findById(challengeId);
+exports.createChallenge = async (userId, data = {}) => {
+  const { name, description, type, goal = {}, startDate, endDate, visibility, maxParticipants,
+    rules, prizes, category, difficulty, tags, coverImage, updateFrequency, join = true } = data;
 
-    if (!challenge) {
-      throw new Error('Challenge not found');
-    }
+  if (!name || !String(name).trim()) throw new ErrorResponse('Challenge name is required', 400);
 
-    await challenge.addParticipant(userId);
-    await challenge.populate('createdBy', 'name profilePicture');
+  const types = Challenge.schema.path('type').enumValues;
+  if (!types.includes(type)) throw new ErrorResponse(`type must be one of: ${types.join(', ')}`, 400);
 
-    const leaderboard = challenge.getLeaderboard();
+  const target = Number(goal.target);
+  if (!(target > 0)) throw new ErrorResponse('goal.target must be a positive number', 400);
+  if (type === 'specific-exercise' && !mongoose.Types.ObjectId.isValid(goal.exerciseId)) {
+    throw new ErrorResponse('goal.exerciseId is required for specific-exercise challenges', 400);
+  }
 
-    return {
-      challenge,
-      leaderboard,
-      message: 'Successfully joined challenge'
-    };
+  const start = startDate ? new Date(startDate) : new Date();
+  const end = new Date(endDate);
+  if (isNaN(start) || isNaN(end)) throw new ErrorResponse('startDate and endDate must be valid dates', 400);
+  if (end <= start) throw new ErrorResponse('endDate must be after startDate', 400);
+  if (end <= new Date()) throw new ErrorResponse('endDate must be in the future', 400);
 
-  } catch (error) {
-    console.error('Join challenge error:', error);
-    throw error;
+  const frequencies = Challenge.schema.path('leaderboard.updateFrequency').enumValues;
+  if (updateFrequency && !frequencies.includes(updateFrequency)) {
+    throw new ErrorResponse(`updateFrequency must be one of: ${frequencies.join(', ')}`, 400);
+  }
+
+  const places = (prizes || []).map(prize => Number(prize.place));
+  if (places.some(place => !Number.isInteger(place) || place < 1) || new Set(places).size !== places.length) {
+    throw new ErrorResponse('Prize places must be unique whole numbers starting at 1', 400);
+  }
+
+  const challenge = new Challenge({
+    name: String(name).trim(),
+    description,
+    type,
+    goal: { target, unit: goal.unit, exerciseId: goal.exerciseId },
+    duration: { startDate: start, endDate: end },
+    createdBy: userId,
+    visibility,
+    maxParticipants,
+    rules,
+    prizes,
+    category,
+    difficulty,
+    tags,
+    coverImage,
+    leaderboard: { updateFrequency }
+  });
+  challenge.status = challengeEngine.statusFor(challenge);
+
+  if (join) {
+    challenge.participants.push({ userId, progress: { current: 0, percentage: 0, lastUpdated: new Date() }, completed: false });
+  }
+
+  if (challenge.status === 'active') {
+    await challengeEngine.refresh(challenge, { reason: 'created' });
+  } else {
+    await challenge.save();
   }
+
+  return challenge;
 };
 
 /**
- * Update challenge progress
+ * Join a challenge
  */
-exports.updateChallengeProgress = async (userId, challengeId, currentValue) => {
-  try {
-    const challenge = await Challenge.findById(challengeId);
-
-    if (!challenge) {
-      throw new Error('Challenge not found');
-    }
+exports.joinChallenge = async (userId, challengeId) => {
+  if (!mongoose.Types.ObjectId.isValid(challengeId)) throw new ErrorResponse('Challenge not found', 404);
 
-    await challenge.updateProgress(userId, currentValue);
-    const leaderboard = challenge.getLeaderboard();
+  const challenge = await Challenge.findById(challengeId);
+  if (!challenge) throw new ErrorResponse('Challenge not found', 404);
 
-    // Find user's position
-    const userPosition = leaderboard.findIndex(p => 
-      p.userId.toString() === userId.toString()
-    );
-
-    return {
-      progress: challenge.participants.find(p => 
-        p.userId.toString() === userId.toString()
-      ).progress,
-      rank: userPosition + 1,
-      leaderboard: leaderboard.slice(0, 10), // Top 10
-      message: 'Progress updated'
-    };
+  if (challenge.visibility === 'private' && String(challenge.createdBy) !== String(userId)) {
+    throw new ErrorResponse('This challenge is private', 403);
+  }
 
+  try {
+    await challenge.addParticipant(userId);
   } catch (error) {
-    console.error('Update challenge progress error:', error);
-    throw error;
+    throw new ErrorResponse(error.message, error.message.includes('already') ? 409 : 400);
   }
+
+  // Count what they've already done since the start
+  if (challenge.status === 'active') {
+    await challengeEngine.applyProgress(challenge, [userId]);
+    if (challenge.leaderboard.updateFrequency === 'realtime') {
+      await challengeEngine.publish(challenge, { reason: 'joined' });
+    } else {
+      await challenge.save();
+    }
+  }
+
+  await challenge.populate('createdBy', 'name profilePicture');
+
+  return {
+    challenge,
+    leaderboard: challengeEngine.standingsOf(challenge),
+    message: 'Successfully joined challenge'
+  };
 };
 
 /**
- * Get leaderboard for challenge
+ * Update challenge progress manually (weight-loss and custom challenges;
+ * other types are tracked automatically)
  */
-exports.getChallengeLeaderboard = async (challengeId) => {
-  try {
-    const challenge = await Challenge.findById(challengeId)
-      .populate('participants.userId', 'name profilePicture');
+exports.updateChallengeProgress = async (userId, challengeId, currentValue) => {
+  if (!mongoose.Types.ObjectId.isValid(challengeId)) throw new ErrorResponse('Challenge not found', 404);
 
-    if (!challenge) {
-      throw new Error('Challenge not found');
-    }
+  const challenge = await Challenge.findById(challengeId);
+  if (!challenge) throw new ErrorResponse('Challenge not found', 404);
 
-    const leaderboard = challenge.getLeaderboard();
+  if (Challenge.AUTO_TYPES.includes(challenge.type)) {
+    throw new ErrorResponse(`Progress for ${challenge.type} challenges is tracked automatically`, 400);
+  }
+  if (challenge.status !== 'active') throw new ErrorResponse('Challenge is not active', 400);
 
-    return {
-      challenge: {
-        name: challenge.name,
-        type: challenge.type,
-        goal: challenge.goal,
-        endDate: challenge.duration.endDate
-      },
-      leaderboard,
-      totalParticipants: challenge.participantCount
-    };
+  const value = Number(currentValue);
+  if (isNaN(value) || value < 0) throw new ErrorResponse('value must be zero or positive', 400);
 
+  try {
+    challenge.updateProgress(userId, value, { save: false, source: 'manual' });
   } catch (error) {
-    console.error('Get leaderboard error:', error);
-    throw error;
+    throw new ErrorResponse(error.message, 400);
   }
-};
 
-/**
- * Get friend management (placeholder - needs Friend model)
- */
-exports.getFriends = async (userId) => {
-  try {
-    // In production, this would query a Friends model
-    // For now, return mock structure
-    return {
-      friends: [],
-      requests: {
-        received: [],
-        sent: []
-      },
-      suggestions: []
-    };
-
-  } catch (error) {
-    console.error('Get friends error:', error);
-    throw error;
+  let leaderboard;
+  if (challenge.leaderboard.updateFrequency === 'realtime') {
+    leaderboard = await challengeEngine.publish(challenge, { reason: 'activity' });
+  } else {
+    await challenge.save();
+    leaderboard = challenge.leaderboard.standings;
   }
+
+  return {
+    progress: challenge.participants.find(p => 
+      p.userId.toString() === userId.toString()
+    ).progress,
+    rank: (leaderboard.find(s => String(s.userId) === String(userId)) || {}).rank || null,
+    leaderboard: leaderboard.slice(0, 10), // Top 10
+    message: 'Progress updated'
+  };
 };
 
 /**
- * Send friend request (placeholder)
+ * Get leaderboard for challenge: the standings published at the
+ * challenge's update frequency
  */
-exports.sendFriendRequest = async (fromUserId, toUserId) => {
-  try {
-    // Would create FriendRequest document
-    return {
-      success: true,
-      message: 'Friend request sent'
-    };
-
-  } catch (error) {
-    console.error('Send friend request error:', error);
-    throw error;
-  }
+exports.getChallengeLeaderboard = async (challengeId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(challengeId)) throw new ErrorResponse('Challenge not found', 404);
+
+  const challenge = await Challenge.findById(challengeId)
+    .populate('leaderboard.standings.userId', 'name profilePicture')
+    .populate('winners.userId', 'name profilePicture');
+
+  const canView = challenge && (
+    challenge.visibility !== 'private' ||
+    String(challenge.createdBy) === String(userId) ||
+    challenge.participants.some(p => String(p.userId) === String(userId))
+  );
+  if (!canView) throw new ErrorResponse('Challenge not found', 404);
+
+  const me = challenge.participants.find(p => String(p.userId) === String(userId));
+
+  return {
+    challenge: {
+      _id: challenge._id,
+      name: challenge.name,
+      type: challenge.type,
+      goal: challenge.goal,
+      status: challenge.status,
+      startDate: challenge.duration.startDate,
+      endDate: challenge.duration.endDate
+    },
+    leaderboard: challenge.leaderboard.standings,
+    updateFrequency: challenge.leaderboard.updateFrequency,
+    lastUpdated: challenge.leaderboard.lastUpdated || null,
+    myProgress: me ? { ...me.progress.toObject(), completed: !!me.completed } : null,
+    winners: challenge.winners,
+    totalParticipants: challenge.participantCount
+  };
 };
 
 /**
@@ -333,6 +661,8 @@ exports.getUserSocialStats = async (userId) => {
       status: 'completed'
     });
 
+    const friends = await socialGraph.getFriends(userId);
+
     return {
       posts: totalPosts,
       likes: totalLikes,
@@ -341,8 +671,9 @@ exports.getUserSocialStats = async (userId) => {
         active: activeChallenges,
         completed: completedChallenges
       },
-      followers: 0, // Would need followers model
-      following: 0  // Would need following model
+      followers: friends.followers,
+      following: friends.following,
+      friends: friends.friends.length
     };
 
   } catch (error) {
@@ -352,13 +683,17 @@ exports.getUserSocialStats = async (userId) => {
 };
 
 /**
- * Get activity feed (recent activity from friends)
+ * Get activity feed (recent activity from friends and followed users)
  */
 exports.getActivityFeed = async (userId, limit = 50) => {
   try {
-    // Would filter by friend IDs in production
+    const graph = await socialGraph.getGraph(userId);
+
     const activities = await SocialPost.find({
-      visibility: { $in: ['public', 'friends'] }
+      $and: [
+        socialGraph.visibilityQuery(userId, graph),
+        { userId: { $in: [...graph.friendIds, ...graph.followingIds] } }
+      ]
     })
       .sort({ createdAt: -1 })
       .limit(limit)
@@ -0,0 +1,468 @@
+// Social Graph Service
+// Friend requests, follows, blocks, privacy settings and post visibility rules
+
+const mongoose = require('mongoose');
+const Friendship = require('../../models/venus/Friendship');
+const Follow = require('../../models/venus/Follow');
+const User = require('../../models/User');
+const ErrorResponse = require('../../utils/errorResponse');
+
+// How long a declined requester has to wait before asking again
+const REQUEST_COOLDOWN_DAYS = 7;
+
+const DEFAULT_PRIVACY = {
+  defaultVisibility: 'friends',           // visibility for new posts when none is given
+  friendRequests: 'everyone',             // everyone | friends-of-friends | nobody
+  allowFollowers: true,
+  autoSharePRs: false                     // post an achievement when a workout sets a PR
+};
+
+const VISIBILITIES = ['public', 'followers', 'friends', 'private'];
+const FRIEND_REQUEST_OPTIONS = ['everyone', 'friends-of-friends', 'nobody'];
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+const assertUserId = (id, label = 'User') => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ErrorResponse(`${label} not found`, 404);
+  }
+};
+
+const assertNotSelf = (userId, otherId, message) => {
+  if (String(userId) === String(otherId)) {
+    throw new ErrorResponse(message, 400);
+  }
+};
+
+const loadTarget = async (otherId) => {
+  assertUserId(otherId);
+  const user = await User.findById(otherId).select('name profilePicture preferences isActive');
+  if (!user || user.isActive === false) {
+    throw new ErrorResponse('User not found', 404);
+  }
+  return user;
+};
+
+/**
+ * Privacy settings stored under user.preferences.privacy, with defaults
+ */
+const privacyOf = (user) => ({
+  ...DEFAULT_PRIVACY,
+  ...(user?.preferences?.privacy || {})
+});
+
+exports.getPrivacy = async (userId) => {
+  const user = await User.findById(userId).select('preferences');
+  if (!user) throw new ErrorResponse('User not found', 404);
+  return privacyOf(user);
+};
+
+exports.updatePrivacy = async (userId, updates = {}) => {
+  const user = await User.findById(userId).select('preferences');
+  if (!user) throw new ErrorResponse('User not found', 404);
+
+  const privacy = privacyOf(user);
+
+  if (updates.defaultVisibility !== undefined) {
+    if (!VISIBILITIES.includes(updates.defaultVisibility)) {
+      throw new ErrorResponse(`defaultVisibility must be one of: ${VISIBILITIES.join(', ')}`, 400);
+    }
+    privacy.defaultVisibility = updates.defaultVisibility;
+  }
+  if (updates.friendRequests !== undefined) {
+    if (!FRIEND_REQUEST_OPTIONS.includes(updates.friendRequests)) {
+      throw new ErrorResponse(`friendRequests must be one of: ${FRIEND_REQUEST_OPTIONS.join(', ')}`, 400);
+    }
+    privacy.friendRequests = updates.friendRequests;
+  }
+  if (updates.allowFollowers !== undefined) {
+    privacy.allowFollowers = Boolean(updates.allowFollowers);
+  }
+  if (updates.autoSharePRs !== undefined) {
+    privacy.autoSharePRs = Boolean(updates.autoSharePRs);
+  }
+
+  user.preferences = { ...(user.preferences || {}), privacy };
+  user.markModified('preferences');
+  await user.save();
+
+  return privacy;
+};
+
+/**
+ * Everything needed to decide what a user may see
+ * @returns {{ friendIds, followingIds, blockedIds }} arrays of ObjectIds
+ */
+exports.getGraph = async (userId) => {
+  const me = toObjectId(userId);
+
+  const [relations, following] = await Promise.all([
+    Friendship.find({
+      $or: [{ requester: me }, { recipient: me }],
+      status: { $in: ['accepted', 'blocked'] }
+    }).select('requester recipient status').lean(),
+    Follow.find({ follower: me }).select('following').lean()
+  ]);
+
+  const friendIds = [];
+  const blockedIds = [];
+  relations.forEach(rel => {
+    const other = String(rel.requester) === String(me) ? rel.recipient : rel.requester;
+    (rel.status === 'accepted' ? friendIds : blockedIds).push(other);
+  });
+
+  const blocked = new Set(blockedIds.map(String));
+
+  return {
+    friendIds,
+    followingIds: following.map(f => f.following).filter(id => !blocked.has(String(id))),
+    blockedIds
+  };
+};
+
+/**
+ * Mongo filter for the posts a viewer is allowed to see. Hidden or held
+ * posts only remain visible to their author.
+ */
+exports.visibilityQuery = (viewerId, graph) => {
+  const me = toObjectId(viewerId);
+  const connected = [...graph.friendIds, ...graph.followingIds];
+
+  return {
+    userId: { $nin: graph.blockedIds },
+    $or: [
+      { userId: me },
+      {
+        'moderation.status': { $nin: ['hidden', 'pending-review'] },
+        $or: [
+          { visibility: 'public' },
+          { visibility: 'followers', userId: { $in: connected } },
+          { visibility: 'friends', userId: { $in: graph.friendIds } }
+        ]
+      }
+    ]
+  };
+};
+
+/**
+ * Same rules as visibilityQuery for a single loaded post
+ */
+exports.canView = (post, viewerId, graph) => {
+  const authorId = String(post.userId?._id || post.userId);
+  if (authorId === String(viewerId)) return true;
+  if (graph.blockedIds.some(id => String(id) === authorId)) return false;
+  if (['hidden', 'pending-review'].includes(post.moderation?.status)) return false;
+
+  const isFriend = graph.friendIds.some(id => String(id) === authorId);
+  const isFollowing = graph.followingIds.some(id => String(id) === authorId);
+
+  switch (post.visibility) {
+    case 'public': return true;
+    case 'followers': return isFriend || isFollowing;
+    case 'friends': return isFriend;
+    default: return false;
+  }
+};
+
+/**
+ * Send a friend request. If the other user already asked us, this accepts it.
+ */
+exports.sendFriendRequest = async (fromUserId, toUserId) => {
+  assertNotSelf(fromUserId, toUserId, 'You cannot send a friend request to yourself');
+  const target = await loadTarget(toUserId);
+
+  let friendship = await Friendship.findBetween(fromUserId, toUserId);
+
+  if (friendship) {
+    const sentByMe = String(friendship.requester) === String(fromUserId);
+
+    switch (friendship.status) {
+      case 'blocked':
+        // Don't reveal who blocked whom
+        throw new ErrorResponse('Unable to send friend request', 403);
+      case 'accepted':
+        throw new ErrorResponse('You are already friends', 409);
+      case 'pending':
+        if (sentByMe) throw new ErrorResponse('Friend request already sent', 409);
+        return exports.respondToRequest(fromUserId, friendship._id, 'accept');
+      case 'declined': {
+        const cooldownEnds = new Date(friendship.respondedAt || friendship.updatedAt);
+        cooldownEnds.setDate(cooldownEnds.getDate() + REQUEST_COOLDOWN_DAYS);
+        if (sentByMe && cooldownEnds > new Date()) {
+          throw new ErrorResponse('Friend request was declined recently, try again later', 429);
+        }
+        break;
+      }
+    }
+  }
+
+  const privacy = privacyOf(target);
+  if (privacy.friendRequests === 'nobody') {
+    throw new ErrorResponse('This user is not accepting friend requests', 403);
+  }
+  if (privacy.friendRequests === 'friends-of-friends') {
+    const mutual = await exports.getMutualFriendIds(fromUserId, toUserId);
+    if (mutual.length === 0) {
+      throw new ErrorResponse('This user only accepts requests from friends of friends', 403);
+    }
+  }
+
+  if (friendship) {
+    friendship.requester = fromUserId;
+    friendship.recipient = toUserId;
+    friendship.status = 'pending';
+    friendship.requestedAt = new Date();
+    friendship.respondedAt = undefined;
+    await friendship.save();
+  } else {
+    friendship = await Friendship.create({
+      requester: fromUserId,
+      recipient: toUserId,
+      pairKey: Friendship.pairKeyFor(fromUserId, toUserId)
+    });
+  }
+
+  return {
+    request: friendship,
+    status: 'pending',
+    message: `Friend request sent to ${target.name}`
+  };
+};
+
+/**
+ * Accept or decline a request addressed to userId
+ */
+exports.respondToRequest = async (userId, requestId, action) => {
+  if (!['accept', 'decline'].includes(action)) {
+    throw new ErrorResponse("action must be 'accept' or 'decline'", 400);
+  }
+  assertUserId(requestId, 'Friend request');
+
+  const friendship = await Friendship.findOne({
+    _id: requestId,
+    recipient: userId,
+    status: 'pending'
+  });
+  if (!friendship) throw new ErrorResponse('Friend request not found', 404);
+
+  friendship.status = action === 'accept' ? 'accepted' : 'declined';
+  friendship.respondedAt = new Date();
+  await friendship.save();
+
+  return {
+    request: friendship,
+    status: friendship.status,
+    message: action === 'accept' ? 'Friend request accepted' : 'Friend request declined'
+  };
+};
+
+/**
+ * Unfriend, or withdraw a request we sent
+ */
+exports.removeFriend = async (userId, otherId) => {
+  assertUserId(otherId);
+
+  const friendship = await Friendship.findBetween(userId, otherId);
+  const removable = friendship && (
+    friendship.status === 'accepted' ||
+    (friendship.status === 'pending' && String(friendship.requester) === String(userId))
+  );
+  if (!removable) throw new ErrorResponse('Friend not found', 404);
+
+  const wasFriend = friendship.status === 'accepted';
+  await friendship.deleteOne();
+
+  return { removed: true, message: wasFriend ? 'Friend removed' : 'Friend request cancelled' };
+};
+
+/**
+ * Block a user: ends any friendship or pending request and both follows
+ */
+exports.blockUser = async (userId, otherId) => {
+  assertNotSelf(userId, otherId, 'You cannot block yourself');
+  await loadTarget(otherId);
+
+  let friendship = await Friendship.findBetween(userId, otherId);
+
+  if (friendship?.status === 'blocked') {
+    if (String(friendship.blockedBy) === String(userId)) {
+      throw new ErrorResponse('User is already blocked', 409);
+    }
+    // The other user blocked us first; their block stands
+    return { blocked: true };
+  }
+
+  if (!friendship) {
+    friendship = new Friendship({
+      requester: userId,
+      recipient: otherId,
+      pairKey: Friendship.pairKeyFor(userId, otherId)
+    });
+  }
+  friendship.status = 'blocked';
+  friendship.blockedBy = userId;
+  friendship.respondedAt = new Date();
+  await friendship.save();
+
+  await Follow.deleteMany({
+    $or: [
+      { follower: userId, following: otherId },
+      { follower: otherId, following: userId }
+    ]
+  });
+
+  return { blocked: true };
+};
+
+exports.unblockUser = async (userId, otherId) => {
+  assertUserId(otherId);
+
+  const friendship = await Friendship.findBetween(userId, otherId);
+  if (!friendship || friendship.status !== 'blocked' || String(friendship.blockedBy) !== String(userId)) {
+    throw new ErrorResponse('Blocked user not found', 404);
+  }
+
+  await friendship.deleteOne();
+  return { unblocked: true };
+};
+
+exports.follow = async (userId, otherId) => {
+  assertNotSelf(userId, otherId, 'You cannot follow yourself');
+  const target = await loadTarget(otherId);
+
+  const relation = await Friendship.findBetween(userId, otherId);
+  if (relation?.status === 'blocked') {
+    throw new ErrorResponse('Unable to follow this user', 403);
+  }
+  if (!privacyOf(target).allowFollowers) {
+    throw new ErrorResponse('This user does not accept followers', 403);
+  }
+
+  const existing = await Follow.findOne({ follower: userId, following: otherId });
+  if (existing) throw new ErrorResponse('You already follow this user', 409);
+
+  const follow = await Follow.create({ follower: userId, following: otherId });
+  return { following: true, since: follow.createdAt };
+};
+
+exports.unfollow = async (userId, otherId) => {
+  assertUserId(otherId);
+
+  const result = await Follow.deleteOne({ follower: userId, following: otherId });
+  if (result.deletedCount === 0) throw new ErrorResponse('You do not follow this user', 404);
+
+  return { following: false };
+};
+
+exports.getMutualFriendIds = async (userA, userB) => {
+  const [a, b] = await Promise.all([exports.getGraph(userA), exports.getGraph(userB)]);
+  const friendsOfB = new Set(b.friendIds.map(String));
+  return a.friendIds.filter(id => friendsOfB.has(String(id)));
+};
+
+/**
+ * Friends-of-friends the user has no relationship with yet, by mutual count
+ */
+exports.getSuggestions = async (userId, graph, limit = 10) => {
+  if (graph.friendIds.length === 0) return [];
+
+  const excluded = new Set([
+    String(userId),
+    ...graph.friendIds.map(String),
+    ...graph.blockedIds.map(String)
+  ]);
+
+  const pending = await Friendship.find({
+    $or: [{ requester: userId }, { recipient: userId }],
+    status: { $in: ['pending', 'declined'] }
+  }).select('requester recipient').lean();
+  pending.forEach(rel => {
+    excluded.add(String(rel.requester));
+    excluded.add(String(rel.recipient));
+  });
+
+  const secondDegree = await Friendship.find({
+    $or: [
+      { requester: { $in: graph.friendIds } },
+      { recipient: { $in: graph.friendIds } }
+    ],
+    status: 'accepted'
+  }).select('requester recipient').lean();
+
+  const friendSet = new Set(graph.friendIds.map(String));
+  const mutualCounts = new Map();
+  secondDegree.forEach(rel => {
+    const [r, c] = [String(rel.requester), String(rel.recipient)];
+    const candidate = friendSet.has(r) ? c : r;
+    if (excluded.has(candidate)) return;
+    mutualCounts.set(candidate, (mutualCounts.get(candidate) || 0) + 1);
+  });
+
+  const ranked = [...mutualCounts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit);
+  if (ranked.length === 0) return [];
+
+  const users = await User.find({
+    _id: { $in: ranked.map(([id]) => id) },
+    isActive: { $ne: false }
+  }).select('name profilePicture');
+  const byId = new Map(users.map(u => [String(u._id), u]));
+
+  return ranked
+    .filter(([id]) => byId.has(id))
+    .map(([id, mutualFriends]) => ({ user: byId.get(id), mutualFriends }));
+};
+
+/**
+ * Friends, open requests, follow counts, blocks and suggestions
+ */
+exports.getFriends = async (userId) => {
+  const me = toObjectId(userId);
+  const graph = await exports.getGraph(userId);
+
+  const [relations, followerCount, suggestions] = await Promise.all([
+    Friendship.find({
+      $or: [{ requester: me }, { recipient: me }],
+      status: { $in: ['accepted', 'pending', 'blocked'] }
+    })
+      .populate('requester', 'name profilePicture')
+      .populate('recipient', 'name profilePicture')
+      .sort({ updatedAt: -1 }),
+    Follow.countDocuments({ follower: { $nin: graph.blockedIds }, following: me }),
+    exports.getSuggestions(userId, graph)
+  ]);
+
+  const friends = [];
+  const received = [];
+  const sent = [];
+  const blocked = [];
+
+  relations.forEach(rel => {
+    const mine = String(rel.requester?._id) === String(me);
+    const other = mine ? rel.recipient : rel.requester;
+    if (!other) return;
+
+    if (rel.status === 'accepted') {
+      friends.push({ user: other, since: rel.respondedAt || rel.updatedAt });
+    } else if (rel.status === 'pending') {
+      (mine ? sent : received).push({ requestId: rel._id, user: other, requestedAt: rel.requestedAt });
+    } else if (String(rel.blockedBy) === String(me)) {
+      blocked.push({ user: other, since: rel.respondedAt || rel.updatedAt });
+    }
+  });
+
+  return {
+    friends,
+    requests: { received, sent },
+    followers: followerCount,
+    following: graph.followingIds.length,
+    blocked,
+    suggestions
+  };
+};
+
+exports.REQUEST_COOLDOWN_DAYS = REQUEST_COOLDOWN_DAYS;
+exports.DEFAULT_PRIVACY = DEFAULT_PRIVACY;
+
+module.exports = exports;
@@ -0,0 +1,47 @@
+// Src/services/venus/storageAdapters/localDiskAdapter.js - progress photos on local disk
+// Files live under PHOTO_STORAGE_DIR (default ./uploads/progress-photos) and
+// are only served through the authenticated photo endpoint.
+const fs = require('fs');
+const path = require('path');
+
+class LocalDiskAdapter {
+  constructor(root = process.env.PHOTO_STORAGE_DIR || path.join(process.cwd(), 'uploads', 'progress-photos')) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  // Keys are generated server-side; still refuse anything that escapes the root
+  resolvePath(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer, { mode: 0o600 });
+    return { key, size: buffer.length };
+  }
+
+  async get(key) {
+    return fs.promises.readFile(this.resolvePath(key));
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolvePath(key), { force: true });
+  }
+
+  // Local files have no direct URL; the API streams them
+  async getUrl() {
+    return null;
+  }
+}
+
+module.exports = LocalDiskAdapter;
@@ -0,0 +1,696 @@
+// Supplement Tracker Service
+// Supplement logging, adherence, interaction checking and stack building
+
+const SupplementLog = require('../../models/venus/SupplementLog');
+const Goal = require('../../models/mars/Goal');
+
+// Timing slots in the order they happen during a day (approximate hour)
+const TIMING_SLOTS = {
+  morning: 8,
+  'pre-workout': 11,
+  midday: 13,
+  'post-workout': 14,
+  afternoon: 16,
+  evening: 19,
+  bedtime: 22
+};
+
+// Local supplement library: aliases, category, typical dose, daily upper limit,
+// preferred timing, whether to take with food, rough monthly cost and the goals it supports
+const SUPPLEMENT_LIBRARY = {
+  'creatine': {
+    aliases: ['creatine monohydrate', 'creatine hcl'],
+    category: 'creatine',
+    dose: { amount: 5, unit: 'g' },
+    preferredTiming: ['post-workout', 'morning'],
+    withFood: false,
+    monthlyCost: 10,
+    goals: ['strength', 'muscle', 'power']
+  },
+  'whey protein': {
+    aliases: ['whey', 'protein', 'protein powder', 'casein'],
+    category: 'protein',
+    dose: { amount: 30, unit: 'g' },
+    preferredTiming: ['post-workout'],
+    withFood: false,
+    monthlyCost: 40,
+    goals: ['muscle', 'fat-loss', 'recovery']
+  },
+  'caffeine': {
+    aliases: ['coffee', 'pre-workout', 'preworkout'],
+    category: 'pre-workout',
+    dose: { amount: 200, unit: 'mg' },
+    upperLimit: { amount: 400, unit: 'mg' },
+    preferredTiming: ['pre-workout', 'morning'],
+    withFood: false,
+    monthlyCost: 8,
+    goals: ['performance', 'focus', 'fat-loss']
+  },
+  'beta-alanine': {
+    aliases: ['beta alanine'],
+    category: 'amino-acid',
+    dose: { amount: 3.2, unit: 'g' },
+    preferredTiming: ['pre-workout', 'morning'],
+    withFood: false,
+    monthlyCost: 12,
+    goals: ['endurance', 'performance']
+  },
+  'vitamin d': {
+    aliases: ['vitamin d3', 'vitamin-d', 'd3', 'cholecalciferol'],
+    category: 'vitamin',
+    dose: { amount: 2000, unit: 'IU' },
+    upperLimit: { amount: 4000, unit: 'IU' },
+    preferredTiming: ['morning', 'midday'],
+    withFood: true,
+    monthlyCost: 5,
+    goals: ['health', 'immunity', 'bone']
+  },
+  'vitamin k2': {
+    aliases: ['k2', 'mk-7', 'vitamin-k2'],
+    category: 'vitamin',
+    dose: { amount: 100, unit: 'mcg' },
+    preferredTiming: ['morning', 'midday'],
+    withFood: true,
+    monthlyCost: 8,
+    goals: ['bone', 'health']
+  },
+  'vitamin c': {
+    aliases: ['vitamin-c', 'ascorbic acid'],
+    category: 'vitamin',
+    dose: { amount: 500, unit: 'mg' },
+    upperLimit: { amount: 2000, unit: 'mg' },
+    preferredTiming: ['morning'],
+    withFood: false,
+    monthlyCost: 5,
+    goals: ['immunity', 'health']
+  },
+  'multivitamin': {
+    aliases: ['multi', 'multi-vitamin'],
+    category: 'vitamin',
+    dose: { amount: 1, unit: 'capsules' },
+    preferredTiming: ['morning'],
+    withFood: true,
+    monthlyCost: 10,
+    goals: ['health']
+  },
+  'iron': {
+    aliases: ['ferrous sulfate', 'ferrous bisglycinate'],
+    category: 'mineral',
+    dose: { amount: 18, unit: 'mg' },
+    upperLimit: { amount: 45, unit: 'mg' },
+    preferredTiming: ['morning'],
+    withFood: false,
+    monthlyCost: 6,
+    goals: ['endurance', 'energy']
+  },
+  'calcium': {
+    aliases: ['calcium carbonate', 'calcium citrate'],
+    category: 'mineral',
+    dose: { amount: 500, unit: 'mg' },
+    upperLimit: { amount: 2500, unit: 'mg' },
+    preferredTiming: ['evening'],
+    withFood: true,
+    monthlyCost: 6,
+    goals: ['bone']
+  },
+  'magnesium': {
+    aliases: ['magnesium glycinate', 'magnesium citrate', 'mag'],
+    category: 'mineral',
+    dose: { amount: 300, unit: 'mg' },
+    upperLimit: { amount: 350, unit: 'mg' },
+    preferredTiming: ['bedtime', 'evening'],
+    withFood: false,
+    monthlyCost: 10,
+    goals: ['sleep', 'recovery']
+  },
+  'zinc': {
+    aliases: ['zinc picolinate', 'zinc gluconate', 'zma'],
+    category: 'mineral',
+    dose: { amount: 15, unit: 'mg' },
+    upperLimit: { amount: 40, unit: 'mg' },
+    preferredTiming: ['bedtime', 'evening'],
+    withFood: true,
+    monthlyCost: 6,
+    goals: ['immunity', 'recovery']
+  },
+  'copper': {
+    aliases: ['copper bisglycinate'],
+    category: 'mineral',
+    dose: { amount: 2, unit: 'mg' },
+    upperLimit: { amount: 10, unit: 'mg' },
+    preferredTiming: ['midday'],
+    withFood: true,
+    monthlyCost: 5,
+    goals: ['health']
+  },
+  'fish oil': {
+    aliases: ['omega-3', 'omega 3', 'epa', 'dha'],
+    category: 'other',
+    dose: { amount: 2, unit: 'g' },
+    preferredTiming: ['midday', 'evening'],
+    withFood: true,
+    monthlyCost: 15,
+    goals: ['health', 'recovery', 'joint']
+  },
+  'vitamin e': {
+    aliases: ['vitamin-e', 'tocopherol'],
+    category: 'vitamin',
+    dose: { amount: 15, unit: 'mg' },
+    upperLimit: { amount: 1000, unit: 'mg' },
+    preferredTiming: ['midday'],
+    withFood: true,
+    monthlyCost: 6,
+    goals: ['health']
+  },
+  'melatonin': {
+    aliases: [],
+    category: 'sleep-aid',
+    dose: { amount: 1, unit: 'mg' },
+    upperLimit: { amount: 10, unit: 'mg' },
+    preferredTiming: ['bedtime'],
+    withFood: false,
+    monthlyCost: 5,
+    goals: ['sleep']
+  },
+  'ashwagandha': {
+    aliases: ['ksm-66'],
+    category: 'recovery',
+    dose: { amount: 600, unit: 'mg' },
+    preferredTiming: ['evening'],
+    withFood: true,
+    monthlyCost: 12,
+    goals: ['stress', 'sleep', 'recovery']
+  },
+  'glucosamine': {
+    aliases: ['glucosamine sulfate', 'chondroitin'],
+    category: 'joint-support',
+    dose: { amount: 1500, unit: 'mg' },
+    preferredTiming: ['morning'],
+    withFood: true,
+    monthlyCost: 15,
+    goals: ['joint']
+  },
+  'collagen': {
+    aliases: ['collagen peptides'],
+    category: 'joint-support',
+    dose: { amount: 10, unit: 'g' },
+    preferredTiming: ['pre-workout', 'morning'],
+    withFood: false,
+    monthlyCost: 25,
+    goals: ['joint', 'recovery']
+  },
+  'l-theanine': {
+    aliases: ['theanine'],
+    category: 'nootropic',
+    dose: { amount: 200, unit: 'mg' },
+    preferredTiming: ['morning'],
+    withFood: false,
+    monthlyCost: 10,
+    goals: ['focus', 'stress']
+  },
+  'electrolytes': {
+    aliases: ['sodium', 'electrolyte'],
+    category: 'other',
+    dose: { amount: 1, unit: 'serving' },
+    preferredTiming: ['pre-workout'],
+    withFood: false,
+    monthlyCost: 15,
+    goals: ['endurance', 'performance']
+  }
+};
+
+// Supplement–supplement rules. spacingHours is how far apart the two should be taken.
+const INTERACTION_RULES = [
+  { supplements: ['iron', 'calcium'], severity: 'high', spacingHours: 2, message: 'Calcium blocks iron absorption. Take them at least 2 hours apart.' },
+  { supplements: ['iron', 'zinc'], severity: 'moderate', spacingHours: 2, message: 'Iron and zinc compete for absorption. Separate by 2 hours.' },
+  { supplements: ['iron', 'magnesium'], severity: 'moderate', spacingHours: 2, message: 'Magnesium can reduce iron absorption. Separate by 2 hours.' },
+  { supplements: ['iron', 'caffeine'], severity: 'moderate', spacingHours: 1, message: 'Coffee and tea polyphenols reduce iron absorption. Wait an hour.' },
+  { supplements: ['zinc', 'copper'], severity: 'moderate', spacingHours: 2, message: 'Long-term zinc use depletes copper. Separate doses and keep zinc moderate.' },
+  { supplements: ['calcium', 'magnesium'], severity: 'low', spacingHours: 2, message: 'High doses of calcium and magnesium compete for absorption.' },
+  { supplements: ['calcium', 'zinc'], severity: 'low', spacingHours: 2, message: 'Calcium can reduce zinc absorption.' },
+  { supplements: ['fish oil', 'vitamin e'], severity: 'moderate', spacingHours: 0, message: 'Both thin the blood. Avoid high doses together, especially before surgery.' },
+  { supplements: ['caffeine', 'melatonin'], severity: 'moderate', spacingHours: 6, message: 'Caffeine works against melatonin. Keep caffeine at least 6 hours before bed.' },
+  { supplements: ['caffeine', 'l-theanine'], type: 'synergy', message: 'L-theanine smooths out caffeine jitters.' },
+  { supplements: ['vitamin d', 'vitamin k2'], type: 'synergy', message: 'K2 helps direct calcium absorbed with vitamin D into bone.' },
+  { supplements: ['vitamin d', 'magnesium'], type: 'synergy', message: 'Magnesium is needed to activate vitamin D.' },
+  { supplements: ['iron', 'vitamin c'], type: 'synergy', message: 'Vitamin C improves iron absorption. Take them together.' },
+  { supplements: ['creatine', 'whey protein'], type: 'synergy', message: 'Convenient to take together after training.' }
+];
+
+// Supplement–timing rules
+const TIMING_RULES = [
+  { supplement: 'caffeine', slots: ['evening', 'bedtime'], severity: 'high', message: 'Caffeine late in the day disrupts sleep. Move it before 2 PM.' },
+  { supplement: 'melatonin', slots: ['morning', 'pre-workout', 'midday', 'post-workout', 'afternoon'], severity: 'high', message: 'Melatonin should be taken 30-60 minutes before bed.' },
+  { supplement: 'ashwagandha', slots: ['pre-workout'], severity: 'low', message: 'Ashwagandha may blunt training intensity. Take it in the evening.' },
+  { supplement: 'magnesium', slots: ['pre-workout'], severity: 'low', message: 'Magnesium is relaxing. It is better taken in the evening.' },
+  { supplement: 'iron', slots: ['post-workout'], severity: 'low', message: 'Post-exercise hepcidin spikes reduce iron absorption. Take iron in the morning.' }
+];
+
+// Goal keywords mapped to supplement goal tags
+const GOAL_KEYWORDS = {
+  muscle: ['muscle', 'bulk', 'hypertrophy', 'mass', 'gain'],
+  strength: ['strength', 'strong', '1rm', 'squat', 'bench', 'deadlift', 'lift'],
+  'fat-loss': ['fat', 'lose', 'cut', 'lean', 'weight loss', 'weight'],
+  endurance: ['run', 'marathon', 'endurance', 'cardio', 'vo2', 'race', 'cycling', 'swim'],
+  sleep: ['sleep', 'rest'],
+  recovery: ['recovery', 'recover', 'hrv', 'sore'],
+  focus: ['focus', 'productivity', 'study', 'work'],
+  stress: ['stress', 'anxiety', 'calm', 'mindful'],
+  joint: ['joint', 'knee', 'mobility', 'flexibility'],
+  bone: ['bone', 'osteo'],
+  immunity: ['immune', 'immunity', 'sick'],
+  performance: ['performance', 'athletic', 'sport'],
+  power: ['power', 'explosive', 'sprint', 'jump'],
+  energy: ['energy', 'fatigue', 'tired'],
+  health: ['health', 'wellness', 'longevity']
+};
+
+/**
+ * Resolve a free-text supplement name to a library key (or null)
+ */
+const normalizeName = (name) => {
+  const value = String(name || '').trim().toLowerCase();
+  if (!value) return null;
+  if (SUPPLEMENT_LIBRARY[value]) return value;
+
+  return Object.keys(SUPPLEMENT_LIBRARY).find(key =>
+    SUPPLEMENT_LIBRARY[key].aliases.includes(value)
+  ) || null;
+};
+
+/**
+ * Map a free-text time ("Morning", "8:00 AM", "post workout") to a timing slot
+ */
+const normalizeTiming = (time) => {
+  const value = String(time || '').trim().toLowerCase();
+  if (!value) return null;
+
+  if (value.includes('pre')) return 'pre-workout';
+  if (value.includes('post') || value.includes('after workout')) return 'post-workout';
+  if (value.includes('bed') || value.includes('night')) return 'bedtime';
+
+  const clock = value.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (clock) {
+    let hour = parseInt(clock[1]);
+    if (clock[3] === 'pm' && hour < 12) hour += 12;
+    if (clock[3] === 'am' && hour === 12) hour = 0;
+    if (hour < 11) return 'morning';
+    if (hour < 14) return 'midday';
+    if (hour < 17) return 'afternoon';
+    if (hour < 21) return 'evening';
+    return 'bedtime';
+  }
+
+  return Object.keys(TIMING_SLOTS).find(slot => value.includes(slot)) ||
+    (value.includes('lunch') || value.includes('noon') ? 'midday' : null) ||
+    (value.includes('breakfast') ? 'morning' : null) ||
+    (value.includes('dinner') ? 'evening' : null);
+};
+
+const toMg = ({ amount, unit } = {}) => {
+  const factors = { mg: 1, g: 1000, mcg: 0.001 };
+  return factors[String(unit).toLowerCase()] !== undefined ? amount * factors[String(unit).toLowerCase()] : null;
+};
+
+/**
+ * Check supplement–supplement, supplement–timing and dose conflicts
+ * @param {Array} supplements - [{ name, time?, dosage? }]
+ */
+exports.checkInteractions = (supplements = []) => {
+  const entries = supplements.map(s => ({
+    name: s.name,
+    key: normalizeName(s.name),
+    slot: normalizeTiming(s.time),
+    dosage: s.dosage
+  }));
+
+  const interactions = [];
+  const synergies = [];
+  const timingWarnings = [];
+  const doseWarnings = [];
+
+  INTERACTION_RULES.forEach(rule => {
+    const [a, b] = rule.supplements;
+    const first = entries.filter(e => e.key === a);
+    const second = entries.filter(e => e.key === b);
+    if (!first.length || !second.length) return;
+
+    if (rule.type === 'synergy') {
+      synergies.push({ supplements: [first[0].name, second[0].name], message: rule.message });
+      return;
+    }
+
+    // Conflict only matters when the doses are closer than the required spacing
+    first.forEach(x => {
+      second.forEach(y => {
+        const gap = x.slot && y.slot ? Math.abs(TIMING_SLOTS[x.slot] - TIMING_SLOTS[y.slot]) : 0;
+        const resolved = rule.spacingHours > 0 && gap >= rule.spacingHours;
+
+        interactions.push({
+          supplements: [x.name, y.name],
+          severity: rule.severity,
+          message: rule.message,
+          spacingHours: rule.spacingHours,
+          currentGapHours: x.slot && y.slot ? gap : null,
+          resolved
+        });
+      });
+    });
+  });
+
+  entries.forEach(entry => {
+    TIMING_RULES
+      .filter(rule => rule.supplement === entry.key && entry.slot && rule.slots.includes(entry.slot))
+      .forEach(rule => timingWarnings.push({
+        supplement: entry.name,
+        timing: entry.slot,
+        severity: rule.severity,
+        message: rule.message
+      }));
+  });
+
+  // Daily dose against upper limits (summed across entries of the same supplement)
+  const totals = {};
+  entries.forEach(entry => {
+    const limit = entry.key && SUPPLEMENT_LIBRARY[entry.key].upperLimit;
+    if (!limit || !entry.dosage?.amount) return;
+
+    const sameUnit = String(entry.dosage.unit).toLowerCase() === String(limit.unit).toLowerCase();
+    const amount = sameUnit ? entry.dosage.amount : toMg(entry.dosage);
+    const limitAmount = sameUnit ? limit.amount : toMg(limit);
+    if (amount === null || limitAmount === null) return;
+
+    totals[entry.key] = totals[entry.key] || { name: entry.name, amount: 0, limit: limitAmount, unit: sameUnit ? limit.unit : 'mg' };
+    totals[entry.key].amount += amount;
+  });
+
+  Object.values(totals)
+    .filter(total => total.amount > total.limit)
+    .forEach(total => doseWarnings.push({
+      supplement: total.name,
+      severity: 'high',
+      dailyTotal: `${total.amount} ${total.unit}`,
+      upperLimit: `${total.limit} ${total.unit}`,
+      message: `Daily ${total.name} exceeds the tolerable upper limit`
+    }));
+
+  const warnings = [
+    ...interactions.filter(i => !i.resolved),
+    ...timingWarnings,
+    ...doseWarnings
+  ];
+
+  return {
+    interactions,
+    synergies,
+    timingWarnings,
+    doseWarnings,
+    warnings,
+    unknown: entries.filter(e => !e.key).map(e => e.name),
+    safe: !warnings.some(w => w.severity === 'high')
+  };
+};
+
+/**
+ * Log supplements for a day
+ */
+exports.logSupplements = async (userId, data) => {
+  try {
+    const { supplements = [], date, stack, notes, effectivenessRating, sideEffects } = data;
+
+    const entries = supplements.map(s => {
+      const key = normalizeName(s.name);
+      const info = key ? SUPPLEMENT_LIBRARY[key] : null;
+
+      return {
+        name: s.name,
+        brand: s.brand,
+        dosage: s.dosage || (info ? { ...info.dose } : undefined),
+        time: s.time,
+        category: s.category || info?.category || 'other',
+        purpose: s.purpose,
+        withFood: s.withFood !== undefined ? s.withFood : info?.withFood,
+        cost: s.cost,
+        taken: s.taken !== undefined ? s.taken : true
+      };
+    });
+
+    const log = await SupplementLog.create({
+      userId,
+      date: date ? new Date(date) : new Date(),
+      supplements: entries,
+      stack,
+      notes,
+      effectivenessRating,
+      sideEffects
+    });
+
+    const interactions = exports.checkInteractions(entries.filter(e => e.taken));
+
+    return {
+      log,
+      interactions,
+      timing: entries.map(e => ({
+        name: e.name,
+        slot: normalizeTiming(e.time),
+        recommended: normalizeName(e.name) ? SUPPLEMENT_LIBRARY[normalizeName(e.name)].preferredTiming : null
+      }))
+    };
+
+  } catch (error) {
+    console.error('Supplement log error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Adherence over a window: logged days, taken vs planned doses and per-supplement rates
+ */
+exports.calculateAdherence = async (userId, days = 30) => {
+  try {
+    const startDate = new Date();
+    startDate.setHours(0, 0, 0, 0);
+    startDate.setDate(startDate.getDate() - (days - 1));
+
+    const logs = await SupplementLog.find({
+      userId,
+      date: { $gte: startDate }
+    }).sort({ date: 1 }).lean();
+
+    const daysLogged = new Set(logs.map(log => new Date(log.date).toISOString().slice(0, 10)));
+    const bySupplement = {};
+    let planned = 0;
+    let taken = 0;
+
+    logs.forEach(log => {
+      log.supplements.forEach(s => {
+        const key = normalizeName(s.name) || s.name.toLowerCase();
+        bySupplement[key] = bySupplement[key] || { name: s.name, planned: 0, taken: 0, days: new Set() };
+        bySupplement[key].planned++;
+        bySupplement[key].days.add(new Date(log.date).toISOString().slice(0, 10));
+        planned++;
+        if (s.taken) {
+          bySupplement[key].taken++;
+          taken++;
+        }
+      });
+    });
+
+    return {
+      windowDays: days,
+      daysLogged: daysLogged.size,
+      loggingRate: Math.round((daysLogged.size / days) * 100),
+      doseAdherence: planned > 0 ? Math.round((taken / planned) * 100) : 0,
+      // Missing days count as missed doses
+      overall: planned > 0 ? Math.round((taken / planned) * (daysLogged.size / days) * 100) : 0,
+      supplements: Object.values(bySupplement).map(s => ({
+        name: s.name,
+        planned: s.planned,
+        taken: s.taken,
+        adherence: Math.round((s.taken / s.planned) * 100),
+        daysTaken: s.days.size,
+        consistency: Math.round((s.days.size / days) * 100)
+      })).sort((a, b) => a.adherence - b.adherence)
+    };
+
+  } catch (error) {
+    console.error('Supplement adherence error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get supplement logs with adherence
+ */
+exports.getLog = async (userId, days = 30) => {
+  try {
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+
+    const history = await SupplementLog.find({
+      userId,
+      date: { $gte: startDate }
+    }).sort({ date: -1 });
+
+    const adherence = await exports.calculateAdherence(userId, days);
+
+    // Current regimen = distinct supplements from the most recent logs
+    const current = [];
+    const seen = new Set();
+    history.forEach(log => log.supplements.forEach(s => {
+      const key = normalizeName(s.name) || s.name.toLowerCase();
+      if (!seen.has(key)) {
+        seen.add(key);
+        current.push({ name: s.name, dosage: s.dosage, time: s.time, category: s.category });
+      }
+    }));
+
+    return { supplements: current, adherence, history };
+
+  } catch (error) {
+    console.error('Get supplement log error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check the user's current regimen (or an explicit list) for interactions
+ */
+exports.checkUserInteractions = async (userId, names = []) => {
+  let supplements = names.map(name => ({ name }));
+
+  if (!supplements.length) {
+    const { supplements: current } = await exports.getLog(userId, 14);
+    supplements = current;
+  }
+
+  return exports.checkInteractions(supplements);
+};
+
+/**
+ * Derive supplement goal tags from free text goals and active Mars goals
+ */
+const resolveGoalTags = (goalTexts) => {
+  const tags = new Set();
+  goalTexts.forEach(text => {
+    const value = String(text || '').toLowerCase();
+    Object.entries(GOAL_KEYWORDS).forEach(([tag, keywords]) => {
+      if (tag === value || keywords.some(k => value.includes(k))) tags.add(tag);
+    });
+  });
+  if (!tags.size) tags.add('health');
+  return [...tags];
+};
+
+/**
+ * Place supplements into timing slots, moving conflicting ones apart
+ */
+const scheduleStack = (keys) => {
+  const placed = [];
+
+  keys.forEach(key => {
+    const info = SUPPLEMENT_LIBRARY[key];
+    const candidates = [...info.preferredTiming, ...Object.keys(TIMING_SLOTS)];
+
+    const slot = candidates.find(candidate => {
+      if (TIMING_RULES.some(r => r.supplement === key && r.slots.includes(candidate))) return false;
+
+      return placed.every(other => {
+        const rule = INTERACTION_RULES.find(r =>
+          r.type !== 'synergy' && r.spacingHours > 0 &&
+          r.supplements.includes(key) && r.supplements.includes(other.key)
+        );
+        return !rule || Math.abs(TIMING_SLOTS[candidate] - TIMING_SLOTS[other.slot]) >= rule.spacingHours;
+      });
+    }) || info.preferredTiming[0];
+
+    placed.push({ key, slot });
+  });
+
+  return placed;
+};
+
+/**
+ * Build a supplement stack and daily schedule from goals and budget
+ * @param {Object} options - { goals: [String], budget: monthly USD, exclude: [String] }
+ */
+exports.buildStack = async (userId, options = {}) => {
+  try {
+    const { goals = [], budget = null, exclude = [] } = options;
+
+    const activeGoals = await Goal.find({ clientId: userId, completed: false }).select('name').lean();
+    const goalTags = resolveGoalTags([...goals, ...activeGoals.map(g => g.name)]);
+    const excluded = exclude.map(normalizeName).filter(Boolean);
+
+    // Score each supplement by how many goals it supports
+    const ranked = Object.entries(SUPPLEMENT_LIBRARY)
+      .filter(([key]) => !excluded.includes(key))
+      .map(([key, info]) => ({
+        key,
+        info,
+        matched: info.goals.filter(g => goalTags.includes(g))
+      }))
+      .filter(s => s.matched.length > 0)
+      .sort((a, b) => b.matched.length - a.matched.length || a.info.monthlyCost - b.info.monthlyCost);
+
+    const selected = [];
+    const skipped = [];
+    let monthlyCost = 0;
+
+    ranked.forEach(s => {
+      if (budget !== null && monthlyCost + s.info.monthlyCost > budget) {
+        skipped.push({ name: s.key, reason: 'Over budget', monthlyCost: s.info.monthlyCost });
+        return;
+      }
+      selected.push(s);
+      monthlyCost += s.info.monthlyCost;
+    });
+
+    const placed = scheduleStack(selected.map(s => s.key));
+    const stack = placed.map(({ key, slot }) => {
+      const s = selected.find(item => item.key === key);
+      return {
+        name: key,
+        category: s.info.category,
+        dosage: s.info.dose,
+        time: slot,
+        withFood: s.info.withFood,
+        supports: s.matched,
+        monthlyCost: s.info.monthlyCost
+      };
+    });
+
+    const schedule = Object.keys(TIMING_SLOTS)
+      .map(slot => ({ slot, supplements: stack.filter(s => s.time === slot).map(s => s.name) }))
+      .filter(entry => entry.supplements.length > 0);
+
+    const check = exports.checkInteractions(stack);
+
+    return {
+      goals: goalTags,
+      stack,
+      schedule,
+      warnings: check.warnings,
+      synergies: check.synergies,
+      skipped,
+      costs: {
+        monthly: Math.round(monthlyCost * 100) / 100,
+        daily: Math.round((monthlyCost / 30) * 100) / 100,
+        budget
+      },
+      effectiveness: stack.length > 0
+        ? Math.round((goalTags.filter(tag => stack.some(s => s.supports.includes(tag))).length / goalTags.length) * 100)
+        : 0
+    };
+
+  } catch (error) {
+    console.error('Stack builder error:', error);
+    throw error;
+  }
+};
+
+exports.SUPPLEMENT_LIBRARY = SUPPLEMENT_LIBRARY;
+exports.normalizeName = normalizeName;
+exports.normalizeTiming = normalizeTiming;
+
+module.exports = exports;
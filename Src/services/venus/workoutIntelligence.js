@@ -1,9 +1,10 @@
 // Workout Intelligence Service
-// AI-powered workout recommendations, form analysis, and periodization
+// AI-powered workout recommendations, form analysis and training windows
+// (periodization and deloads live in periodization.js)
 
 const Workout = require('../../models/venus/Workout');
 const Exercise = require('../../models/venus/Exercise');
-const WearableData = require('../../models/mercury/WearableData');
+const injuryRehab = require('./injuryRehab');
 
 /**
  * Generate workout recommendations based on user preferences and goals
@@ -25,16 +26,28 @@ exports.recommend = async (userId, preferences = {}) => {
       .limit(10)
       .populate('exercises.exerciseId');
 
-    // Get available exercises based on equipment
-    let exerciseQuery = { category: workoutType };
+    // Get available exercises based on workout type, equipment and muscles
+    const clauses = [Exercise.visibleTo(userId)];
+    if (workoutType === 'cardio') {
+      clauses.push({ muscleCategory: 'cardio' });
+    } else if (workoutType === 'flexibility') {
+      clauses.push({ $or: [{ movementPattern: 'mobility' }, { tags: 'mobility' }] });
+    } else {
+      clauses.push({ muscleCategory: { $ne: 'cardio' }, movementPattern: { $ne: 'mobility' } });
+    }
     if (equipment.length > 0) {
-      exerciseQuery.equipment = { $in: equipment };
+      clauses.push({ equipmentNeeded: { $in: [...equipment, 'none', 'bodyweight'] } });
     }
     if (muscleGroups.length > 0) {
-      exerciseQuery.muscleGroups = { $in: muscleGroups };
+      const groups = muscleGroups.map(group => String(group).toLowerCase());
+      clauses.push({ $or: [{ muscleCategory: { $in: groups } }, { primaryMuscles: { $in: groups } }] });
     }
     
-    const availableExercises = await Exercise.find(exerciseQuery);
+    const candidates = await Exercise.find({ $and: clauses }).lean();
+
+    // Leave out anything an active injury rules out
+    const restrictions = await injuryRehab.getActiveRestrictions(userId);
+    const { allowed: availableExercises, blocked } = injuryRehab.filterExercises(candidates, restrictions);
 
     // Build workout recommendations
     const workouts = [];
@@ -51,15 +64,11 @@ exports.recommend = async (userId, preferences = {}) => {
       };
 
       // Select 4-6 exercises
-      const exerciseCount = Math.floor(Math.random() * 3) + 4; // 4-6 exercises
+      const exerciseCount = Math.min(Math.floor(Math.random() * 3) + 4, availableExercises.length); // 4-6 exercises
       const selectedExercises = [];
 
       // Prioritize compound movements
-      const compoundExercises = availableExercises.filter(ex => 
-        ['bench-press', 'squat', 'deadlift', 'overhead-press'].some(compound => 
-          ex.name.toLowerCase().includes(compound)
-        )
-      );
+      const compoundExercises = availableExercises.filter(ex => ex.mechanics === 'compound');
 
       // Add 1-2 compound exercises
       if (compoundExercises.length > 0) {
@@ -69,7 +78,8 @@ exports.recommend = async (userId, preferences = {}) => {
           name: compound.name,
           sets: difficulty === 'beginner' ? 3 : difficulty === 'advanced' ? 5 : 4,
           reps: '8-12',
-          restTime: 120
+          restTime: 120,
+          ...(compound.injuryNotes && { injuryNotes: compound.injuryNotes })
         });
         workout.reasoning.push(`Started with compound movement: ${compound.name}`);
       }
@@ -80,13 +90,14 @@ exports.recommend = async (userId, preferences = {}) => {
           Math.floor(Math.random() * availableExercises.length)
         ];
         
-        if (!selectedExercises.find(e => e.exerciseId === randomExercise._id)) {
+        if (!selectedExercises.find(e => String(e.exerciseId) === String(randomExercise._id))) {
           selectedExercises.push({
             exerciseId: randomExercise._id,
             name: randomExercise.name,
             sets: 3,
             reps: '10-15',
-            restTime: 90
+            restTime: 90,
+            ...(randomExercise.injuryNotes && { injuryNotes: randomExercise.injuryNotes })
           });
         }
       }
@@ -103,9 +114,11 @@ exports.recommend = async (userId, preferences = {}) => {
       reasoning: [
         `Generated ${workouts.length} workout options`,
         `Based on ${equipment.length} equipment types`,
-        `Targeting ${muscleGroups.length || 'all'} muscle groups`
+        `Targeting ${muscleGroups.length || 'all'} muscle groups`,
+        ...(blocked.length ? [`Skipped ${blocked.length} exercises that aggravate active injuries`] : [])
       ],
-      alternatives: workouts.map(w => w.name)
+      alternatives: workouts.map(w => w.name),
+      injuryAdjustments: blocked
     };
 
   } catch (error) {
@@ -191,199 +204,13 @@ exports.analyzeForm = async (exerciseData) => {
   }
 };
 
-/**
- * Plan deload week based on training load
- */
-exports.planDeload = async (userId) => {
-  try {
-    // Get last 4 weeks of workouts
-    const fourWeeksAgo = new Date();
-    fourWeeksAgo.setDate(fourWeeksAgo.getDate() - 28);
-
-    const workouts = await Workout.find({
-      userId,
-      date: { $gte: fourWeeksAgo },
-      completed: true
-    }).sort({ date: 1 });
-
-    // Calculate weekly volume
-    const weeklyVolumes = {};
-    workouts.forEach(workout => {
-      const week = Math.floor(
-        (workout.date - fourWeeksAgo) / (7 * 24 * 60 * 60 * 1000)
-      );
-      
-      const volume = workout.exercises.reduce((sum, ex) => {
-        return sum + ex.sets.reduce((setSum, set) => {
-          return setSum + (set.weight || 0) * (set.reps || 0);
-        }, 0);
-      }, 0);
-
-      weeklyVolumes[week] = (weeklyVolumes[week] || 0) + volume;
-    });
-
-    const volumes = Object.values(weeklyVolumes);
-    const avgVolume = volumes.reduce((a, b) => a + b, 0) / volumes.length;
-    
-    // Check for overreaching indicators
-    const lastWeekVolume = volumes[volumes.length - 1] || 0;
-    const volumeIncrease = ((lastWeekVolume - avgVolume) / avgVolume) * 100;
-
-    let deloadNeeded = false;
-    let reason = [];
-
-    // Deload indicators
-    if (workouts.length >= 12) { // 3+ workouts per week for 4 weeks
-      deloadNeeded = true;
-      reason.push('4 weeks of consistent training completed');
-    }
-
-    if (volumeIncrease > 30) {
-      deloadNeeded = true;
-      reason.push('Significant volume increase detected');
-    }
-
-    // Get recovery data if available
-    const recentRecovery = await WearableData.findOne({
-      userId
-    }).sort({ date: -1 });
-
-    if (recentRecovery && recentRecovery.recoveryScore < 60) {
-      deloadNeeded = true;
-      reason.push('Low recovery score');
-    }
-
-    // Generate deload workouts
-    const deloadWorkouts = [];
-    if (deloadNeeded) {
-      const recentWorkoutTypes = [...new Set(workouts.slice(-3).map(w => w.type))];
-      
-      recentWorkoutTypes.forEach(type => {
-        deloadWorkouts.push({
-          name: `Deload ${type}`,
-          type,
-          volume: '50% of normal',
-          intensity: '60-70% of max',
-          duration: 30,
-          notes: 'Focus on technique and movement quality'
-        });
-      });
-    }
-
-    return {
-      deloadNeeded,
-      reason: reason.join(', '),
-      recommendation: deloadNeeded 
-        ? 'Schedule a deload week with 40-50% volume reduction'
-        : 'Continue current training - deload not needed yet',
-      deloadWorkouts,
-      metrics: {
-        weeklyVolumes,
-        avgVolume,
-        volumeIncrease: volumeIncrease.toFixed(1),
-        workoutsLast4Weeks: workouts.length
-      }
-    };
-
-  } catch (error) {
-    console.error('Deload planning error:', error);
-    throw error;
-  }
-};
-
-/**
- * Create periodization plan
- */
-exports.createPeriodizationPlan = async (userId, data) => {
-  try {
-    const {
-      goal = 'strength',
-      duration = 12, // weeks
-      experience = 'intermediate'
-    } = data;
-
-    const plan = [];
-    
-    // Phase 1: Hypertrophy (4 weeks)
-    for (let week = 1; week <= 4; week++) {
-      plan.push({
-        week,
-        phase: 'Hypertrophy',
-        volume: experience === 'beginner' ? 'Medium' : 'High',
-        intensity: '65-75% 1RM',
-        sets: '3-4',
-        reps: '8-12',
-        focus: 'Muscle building and work capacity',
-        exercisesPerWorkout: experience === 'beginner' ? 4 : 6
-      });
-    }
-
-    // Phase 2: Strength (4 weeks)
-    for (let week = 5; week <= 8; week++) {
-      plan.push({
-        week,
-        phase: 'Strength',
-        volume: 'Medium',
-        intensity: '80-90% 1RM',
-        sets: '4-5',
-        reps: '3-6',
-        focus: 'Maximum strength development',
-        exercisesPerWorkout: 4
-      });
-    }
-
-    // Phase 3: Peak/Power (3 weeks)
-    for (let week = 9; week <= 11; week++) {
-      plan.push({
-        week,
-        phase: 'Peak',
-        volume: 'Low',
-        intensity: '90-100% 1RM',
-        sets: '3-5',
-        reps: '1-3',
-        focus: 'Peak strength and testing',
-        exercisesPerWorkout: 3
-      });
-    }
-
-    // Deload week
-    plan.push({
-      week: 12,
-      phase: 'Deload',
-      volume: 'Very Low',
-      intensity: '50-60% 1RM',
-      sets: '2-3',
-      reps: '5-8',
-      focus: 'Recovery and adaptation',
-      exercisesPerWorkout: 3
-    });
-
-    return {
-      plan,
-      deloadWeeks: [4, 8, 12],
-      testing: [
-        { week: 1, type: 'Baseline testing' },
-        { week: 12, type: 'Final testing' }
-      ],
-      summary: {
-        totalWeeks: duration,
-        phases: ['Hypertrophy', 'Strength', 'Peak', 'Deload'],
-        goal
-      }
-    };
-
-  } catch (error) {
-    console.error('Periodization planning error:', error);
-    throw error;
-  }
-};
-
 /**
  * Recommend exercises based on goals and equipment
  */
 exports.recommendExercises = async (params) => {
   try {
     const {
+      userId,
       goal,
       equipment = [],
       experience = 'intermediate',
@@ -391,27 +218,28 @@ exports.recommendExercises = async (params) => {
       avoidExercises = []
     } = params;
 
-    let query = {};
+    const clauses = [Exercise.visibleTo(userId)];
     
-    // Filter by equipment
+    // Filter by equipment (bodyweight work is always possible)
     if (equipment.length > 0) {
-      query.equipment = { $in: equipment };
+      clauses.push({ equipmentNeeded: { $in: [...equipment, 'none', 'bodyweight'] } });
     }
 
-    // Filter by muscle groups
+    // Filter by muscle groups (categories like "legs" or muscles like "glutes")
     if (muscleGroups.length > 0) {
-      query.muscleGroups = { $in: muscleGroups };
+      const groups = muscleGroups.map(group => String(group).toLowerCase());
+      clauses.push({ $or: [{ muscleCategory: { $in: groups } }, { primaryMuscles: { $in: groups } }] });
     }
 
     // Filter by difficulty
     const difficultyMap = {
       beginner: ['beginner', 'intermediate'],
       intermediate: ['beginner', 'intermediate', 'advanced'],
-      advanced: ['intermediate', 'advanced', 'expert']
+      advanced: ['intermediate', 'advanced']
     };
-    query.difficulty = { $in: difficultyMap[experience] || difficultyMap.intermediate };
+    clauses.push({ difficulty: { $in: difficultyMap[experience] || difficultyMap.intermediate } });
 
-    const exercises = await Exercise.find(query);
+    const exercises = await Exercise.find({ $and: clauses }).lean();
 
     // Filter out avoided exercises
     const filtered = exercises.filter(ex => 
@@ -421,26 +249,46 @@ exports.recommendExercises = async (params) => {
     );
 
     // Prioritize by goal
+    const goalTags = {
+      power: ['explosive', 'plyometric'],
+      endurance: ['conditioning'],
+      mobility: ['mobility', 'prehab']
+    };
     const prioritized = filtered.sort((a, b) => {
-      if (goal === 'strength') {
+      if (goal === 'strength' || goal === 'hypertrophy') {
         // Prioritize compound movements
-        const aCompound = ['squat', 'deadlift', 'bench', 'press'].some(c => 
-          a.name.toLowerCase().includes(c)
-        );
-        const bCompound = ['squat', 'deadlift', 'bench', 'press'].some(c => 
-          b.name.toLowerCase().includes(c)
-        );
+        const aCompound = a.mechanics === 'compound';
+        const bCompound = b.mechanics === 'compound';
         if (aCompound !== bCompound) return bCompound ? 1 : -1;
       }
+      if (goalTags[goal]) {
+        const aMatch = (a.tags || []).some(tag => goalTags[goal].includes(tag));
+        const bMatch = (b.tags || []).some(tag => goalTags[goal].includes(tag));
+        if (aMatch !== bMatch) return bMatch ? 1 : -1;
+      }
       return 0;
     });
 
+    // One pick per movement pattern first, then fill
+    const recommended = [];
+    const patterns = new Set();
+    prioritized.forEach(ex => {
+      if (recommended.length < 10 && !patterns.has(ex.movementPattern)) {
+        recommended.push(ex);
+        patterns.add(ex.movementPattern);
+      }
+    });
+    prioritized.forEach(ex => {
+      if (recommended.length < 10 && !recommended.includes(ex)) recommended.push(ex);
+    });
+
     return {
-      recommended: prioritized.slice(0, 10),
+      recommended,
       reasoning: [
         `Found ${filtered.length} exercises matching criteria`,
         `Filtered by ${equipment.length} equipment types`,
-        `Optimized for ${goal} goal`
+        `Covered ${patterns.size} movement patterns`,
+        `Optimized for ${goal || 'general'} goal`
       ]
     };
 
@@ -0,0 +1,680 @@
+// Workout Session Service
+// Live workout lifecycle: start (template, quantum workout, assigned or
+// freestyle), set logging with reps/load/RPE, pause/resume, completion
+// with volume, PR detection and training-load updates for recovery
+
+const Workout = require('../../models/venus/Workout');
+const WorkoutTemplate = require('../../models/venus/WorkoutTemplate');
+const RecoveryScore = require('../../models/mercury/RecoveryScore');
+const quantumWorkouts = require('./quantumWorkouts');
+const recoveryCalc = require('../mercury/recoveryCalc');
+const challengeEngine = require('./challengeEngine');
+const progressiveOverload = require('./progressiveOverload');
+const socialFeatures = require('./socialFeatures');
+const periodization = require('./periodization');
+const ErrorResponse = require('../../utils/errorResponse');
+
+const ACTIVE_STATUSES = ['in_progress', 'paused'];
+const DEFAULT_SESSION_RPE = 7;
+const MAX_SETS_PER_REQUEST = 20;
+
+// ========================================
+// HELPERS
+// ========================================
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Formula average (or RPE-based when rated), only meaningful for sets of 1-12 reps
+const { estimateOneRepMax } = progressiveOverload;
+
+const ownedWorkoutQuery = (userId, workoutId) => ({
+  _id: workoutId,
+  clientId: userId,
+  isActive: { $ne: false }
+});
+
+/**
+ * Turn a rep scheme ("12,10,8", "2+3+2", "8-12", 10) into a value the
+ * exercise schema accepts plus the per-set targets
+ */
+const normalizeReps = (reps) => {
+  const scheme = String(reps ?? '10').trim();
+
+  if (scheme.includes(',')) {
+    const perSet = scheme.split(',').map(r => parseInt(r)).filter(r => !isNaN(r));
+    const min = Math.min(...perSet);
+    const max = Math.max(...perSet);
+    return { reps: min === max ? `${min}` : `${min}-${max}`, repScheme: scheme };
+  }
+
+  if (scheme.includes('+')) {
+    // Cluster set - the target is the total reps per cluster
+    const total = scheme.split('+').reduce((sum, r) => sum + (parseInt(r) || 0), 0);
+    return { reps: `${total}`, repScheme: scheme };
+  }
+
+  return { reps: scheme, repScheme: undefined };
+};
+
+/**
+ * Exercises from a WorkoutTemplate (weight there is descriptive, e.g. "50%1RM")
+ */
+const exercisesFromTemplate = (template) => template.exercises.map(ex => {
+  const numericWeight = parseFloat(ex.weight);
+  const loadIsNumber = !isNaN(numericWeight) && String(numericWeight) === String(ex.weight).trim();
+
+  return {
+    name: ex.name,
+    sets: Math.min(20, Math.max(1, ex.sets || 3)),
+    reps: normalizeReps(ex.reps).reps,
+    weight: loadIsNumber ? numericWeight : 0,
+    notes: ex.notes,
+    target: {
+      intensity: loadIsNumber ? undefined : ex.weight,
+      rest: ex.rest ? `${ex.rest}s` : undefined
+    }
+  };
+});
+
+/**
+ * Exercises from quantumWorkouts.generateQuantumWorkout output
+ */
+const exercisesFromQuantum = (workout) => workout.exercises.map(ex => {
+  const { reps, repScheme } = normalizeReps(ex.reps);
+  const intensity = Array.isArray(ex.intensity) ? `${ex.intensity.join(',')}%` : ex.intensity;
+
+  return {
+    name: ex.name,
+    sets: Math.min(20, Math.max(1, ex.sets || 3)),
+    reps,
+    weight: 0,
+    notes: ex.notes,
+    target: {
+      repScheme,
+      intensity,
+      tempo: ex.tempo,
+      rest: ex.rest,
+      technique: typeof ex.technique === 'string' ? ex.technique : ex.technique?.name
+    }
+  };
+});
+
+/**
+ * Exercises supplied directly by the client
+ */
+const exercisesFromPlan = (plannedExercises = []) => plannedExercises.map(ex => ({
+  name: ex.name,
+  exerciseId: ex.exerciseId,
+  sets: Math.min(20, Math.max(1, parseInt(ex.sets) || 3)),
+  reps: normalizeReps(ex.reps).reps,
+  weight: Number(ex.weight) || 0,
+  notes: ex.notes
+}));
+
+const activeMinutes = (workout, until = new Date()) => {
+  const pausedMs = (workout.pausedSeconds || 0) * 1000 +
+    (workout.pausedAt ? until - workout.pausedAt : 0);
+  return Math.max(0, (until - workout.startedAt - pausedMs) / 60000);
+};
+
+const summarizeSession = (workout) => ({
+  id: workout._id,
+  name: workout.name,
+  type: workout.type,
+  status: workout.status,
+  source: workout.source,
+  startedAt: workout.startedAt,
+  pausedAt: workout.pausedAt,
+  elapsedMinutes: workout.startedAt ? round(activeMinutes(workout)) : 0,
+  exercises: workout.exercises.map((ex, index) => ({
+    index,
+    name: ex.name,
+    plannedSets: ex.sets,
+    reps: ex.reps,
+    weight: ex.weight,
+    target: ex.target,
+    setsLogged: ex.actualSets.length,
+    completed: ex.completed
+  })),
+  progress: workout.getProgressPercentage()
+});
+
+// ========================================
+// LIFECYCLE
+// ========================================
+
+/**
+ * Get the user's current in-progress or paused workout
+ */
+exports.getActiveWorkout = async (userId) => {
+  return await Workout.findOne({
+    clientId: userId,
+    status: { $in: ACTIVE_STATUSES },
+    isActive: { $ne: false }
+  }).sort({ startedAt: -1 });
+};
+
+/**
+ * Start a session
+ * @param {object} options - one of { workoutId } (assigned/planned workout),
+ *   { templateId }, { quantumWorkout } (output of /quantum/generate),
+ *   { quantum: true, targetMuscles } (generate now) or { plannedExercises };
+ *   plus optional { name, type }
+ */
+exports.startWorkout = async (userId, options = {}) => {
+  const active = await exports.getActiveWorkout(userId);
+  if (active) {
+    const error = new ErrorResponse('Finish or discard your active workout before starting another', 409);
+    error.activeWorkoutId = active._id;
+    throw error;
+  }
+
+  const { workoutId, templateId, quantumWorkout, quantum, targetMuscles, plannedExercises, name, type } = options;
+  const now = new Date();
+
+  // Start a planned/assigned workout in place
+  if (workoutId) {
+    const planned = await Workout.findOne(ownedWorkoutQuery(userId, workoutId));
+    if (!planned) throw new ErrorResponse('Workout not found', 404);
+    if (planned.completed) throw new ErrorResponse('Workout already completed', 400);
+
+    planned.status = 'in_progress';
+    planned.startedAt = now;
+    if (!planned.createdBy.equals(planned.clientId)) planned.source = 'assigned';
+    await planned.save();
+    return planned;
+  }
+
+  const session = {
+    clientId: userId,
+    createdBy: userId,
+    scheduledDate: now,
+    startedAt: now,
+    status: 'in_progress',
+    source: 'manual',
+    type: type || 'strength',
+    exercises: []
+  };
+
+  if (templateId) {
+    const template = await WorkoutTemplate.findOne({ _id: templateId, isActive: true });
+    if (!template) throw new ErrorResponse('Workout template not found', 404);
+
+    Object.assign(session, {
+      name: name || template.name,
+      type: type || template.type,
+      source: 'template',
+      templateId: template._id,
+      exercises: exercisesFromTemplate(template)
+    });
+  } else if (quantumWorkout || quantum) {
+    if (!quantumWorkout && (!Array.isArray(targetMuscles) || targetMuscles.length === 0)) {
+      throw new ErrorResponse('targetMuscles are required to generate a quantum workout', 400);
+    }
+
+    // A stored generation is used as saved rather than as the client sent it
+    const stored = quantumWorkout?.id
+      ? await quantumWorkouts.findRecord(userId, quantumWorkout.id).catch(() => null)
+      : null;
+    const generated = stored
+      ? quantumWorkouts.describeWorkout(stored)
+      : quantumWorkout || await quantumWorkouts.generateQuantumWorkout(userId, targetMuscles);
+    const fromStore = Boolean(stored) || !quantumWorkout;
+
+    if (!Array.isArray(generated.exercises) || generated.exercises.length === 0) {
+      throw new ErrorResponse('Quantum workout has no exercises', 400);
+    }
+
+    Object.assign(session, {
+      name: name || generated.name || 'Quantum Workout',
+      source: 'quantum',
+      exercises: exercisesFromQuantum(generated),
+      quantum: {
+        seed: generated.quantumSeed,
+        chaosLevel: generated.chaosLevel,
+        variationScore: generated.variationScore,
+        generationId: fromStore ? generated.id : undefined
+      },
+      notes: generated.notes
+    });
+  } else {
+    session.name = name || `${now.toLocaleDateString('en-US', { weekday: 'long' })} Workout`;
+    session.exercises = exercisesFromPlan(plannedExercises);
+  }
+
+  const workout = await Workout.create(session);
+
+  if (workout.quantum?.generationId) {
+    await quantumWorkouts.attachSession(userId, workout.quantum.generationId, workout._id);
+  }
+
+  return workout;
+};
+
+/**
+ * Log one or more sets for an exercise in the active session
+ * @param {object} data - { exerciseIndex | exerciseId | exerciseName, sets: [{ reps, weight, rpe, restTime, notes }] }
+ */
+exports.logSets = async (userId, workoutId, data = {}) => {
+  const workout = await Workout.findOne(ownedWorkoutQuery(userId, workoutId));
+  if (!workout) throw new ErrorResponse('Workout not found', 404);
+  if (workout.status === 'paused') throw new ErrorResponse('Workout is paused - resume it to log sets', 409);
+  if (workout.status !== 'in_progress') throw new ErrorResponse('Workout is not in progress', 409);
+
+  const sets = Array.isArray(data.sets) ? data.sets : [];
+  if (sets.length === 0 || sets.length > MAX_SETS_PER_REQUEST) {
+    throw new ErrorResponse(`Between 1 and ${MAX_SETS_PER_REQUEST} sets are required`, 400);
+  }
+
+  for (const set of sets) {
+    const reps = Number(set.reps);
+    const weight = set.weight === undefined ? 0 : Number(set.weight);
+    if (!Number.isInteger(reps) || reps < 0 || reps > 200) {
+      throw new ErrorResponse('Each set needs whole-number reps (0-200)', 400);
+    }
+    if (isNaN(weight) || weight < 0) {
+      throw new ErrorResponse('Set weight must be zero or positive', 400);
+    }
+    if (set.rpe !== undefined && (isNaN(Number(set.rpe)) || set.rpe < 1 || set.rpe > 10)) {
+      throw new ErrorResponse('RPE must be between 1 and 10', 400);
+    }
+  }
+
+  // Resolve the exercise: index, library id, name, or add a new one
+  let index = -1;
+  if (data.exerciseIndex !== undefined) {
+    index = Number(data.exerciseIndex);
+    if (!workout.exercises[index]) throw new ErrorResponse('Exercise index out of range', 400);
+  } else if (data.exerciseId) {
+    index = workout.exercises.findIndex(ex => ex.exerciseId && ex.exerciseId.equals(data.exerciseId));
+  }
+  if (index === -1 && data.exerciseName) {
+    const wanted = String(data.exerciseName).trim().toLowerCase();
+    index = workout.exercises.findIndex(ex => ex.name.toLowerCase() === wanted);
+  }
+  if (index === -1) {
+    if (!data.exerciseName) throw new ErrorResponse('exerciseName is required for exercises not in this workout', 400);
+
+    workout.exercises.push({
+      name: String(data.exerciseName).trim(),
+      exerciseId: data.exerciseId,
+      sets: Math.min(20, sets.length),
+      reps: `${Number(sets[0].reps) || 1}`,
+      weight: Number(sets[0].weight) || 0
+    });
+    index = workout.exercises.length - 1;
+  }
+
+  const exercise = workout.exercises[index];
+  sets.forEach(set => {
+    exercise.actualSets.push({
+      setNumber: exercise.actualSets.length + 1,
+      reps: Number(set.reps),
+      weight: Number(set.weight) || 0,
+      rpe: set.rpe !== undefined ? Number(set.rpe) : undefined,
+      restTime: set.restTime !== undefined ? Number(set.restTime) : undefined,
+      notes: set.notes,
+      completed: set.completed !== false
+    });
+  });
+
+  if (exercise.actualSets.length > exercise.sets) exercise.sets = Math.min(20, exercise.actualSets.length);
+  exercise.completed = exercise.actualSets.length >= exercise.sets;
+  workout.markModified('exercises');
+  await workout.save();
+
+  const exerciseVolume = exercise.actualSets.reduce((sum, s) => sum + s.reps * (s.weight || 0), 0);
+  const rpes = exercise.actualSets.map(s => s.rpe).filter(Boolean);
+
+  return {
+    workout: summarizeSession(workout),
+    exercise: {
+      index,
+      name: exercise.name,
+      setsLogged: exercise.actualSets.length,
+      plannedSets: exercise.sets,
+      completed: exercise.completed,
+      sets: exercise.actualSets
+    },
+    volume: {
+      exercise: round(exerciseVolume),
+      workout: round(calculateStats(workout).totalVolume)
+    },
+    // Running session load estimate at the average logged RPE
+    trainingLoad: round(activeMinutes(workout) * (rpes.length ? rpes.reduce((a, b) => a + b, 0) / rpes.length : DEFAULT_SESSION_RPE) / 10)
+  };
+};
+
+exports.pauseWorkout = async (userId, workoutId) => {
+  const workout = await Workout.findOne(ownedWorkoutQuery(userId, workoutId));
+  if (!workout) throw new ErrorResponse('Workout not found', 404);
+  if (workout.status !== 'in_progress') throw new ErrorResponse('Only an in-progress workout can be paused', 409);
+
+  workout.status = 'paused';
+  workout.pausedAt = new Date();
+  workout.pauses.push({ pausedAt: workout.pausedAt });
+  await workout.save();
+
+  return summarizeSession(workout);
+};
+
+exports.resumeWorkout = async (userId, workoutId) => {
+  const workout = await Workout.findOne(ownedWorkoutQuery(userId, workoutId));
+  if (!workout) throw new ErrorResponse('Workout not found', 404);
+  if (workout.status !== 'paused') throw new ErrorResponse('Workout is not paused', 409);
+
+  const now = new Date();
+  workout.pausedSeconds = (workout.pausedSeconds || 0) + Math.round((now - workout.pausedAt) / 1000);
+  const openPause = workout.pauses[workout.pauses.length - 1];
+  if (openPause && !openPause.resumedAt) openPause.resumedAt = now;
+  workout.pausedAt = undefined;
+  workout.status = 'in_progress';
+  await workout.save();
+
+  return summarizeSession(workout);
+};
+
+// ========================================
+// COMPLETION
+// ========================================
+
+/**
+ * Volume/sets/reps from logged sets
+ */
+const calculateStats = (workout) => {
+  const volumeByExercise = workout.exercises
+    .filter(ex => ex.actualSets.length > 0)
+    .map(ex => {
+      const completedSets = ex.actualSets.filter(s => s.completed !== false);
+      const topSet = completedSets.reduce((best, s) => (
+        !best || (s.weight || 0) > best.weight || ((s.weight || 0) === best.weight && s.reps > best.reps)
+          ? { reps: s.reps, weight: s.weight || 0 }
+          : best
+      ), null);
+
+      return {
+        name: ex.name,
+        volume: round(completedSets.reduce((sum, s) => sum + s.reps * (s.weight || 0), 0)),
+        sets: completedSets.length,
+        topSet
+      };
+    });
+
+  return {
+    totalVolume: round(volumeByExercise.reduce((sum, ex) => sum + ex.volume, 0)),
+    totalSets: volumeByExercise.reduce((sum, ex) => sum + ex.sets, 0),
+    totalReps: workout.exercises.reduce((sum, ex) => (
+      sum + ex.actualSets.filter(s => s.completed !== false).reduce((r, s) => r + s.reps, 0)
+    ), 0),
+    exercisesCompleted: workout.exercises.filter(ex => ex.completed).length,
+    volumeByExercise
+  };
+};
+
+/**
+ * Compare this session's sets with the user's previous completed workouts
+ */
+const detectPersonalRecords = async (workout) => {
+  const names = [...new Set(workout.exercises.filter(ex => ex.actualSets.length).map(ex => ex.name))];
+  if (names.length === 0) return [];
+
+  const history = await Workout.find({
+    clientId: workout.clientId,
+    completed: true,
+    _id: { $ne: workout._id },
+    isActive: { $ne: false },
+    'exercises.name': { $in: names }
+  }).select('exercises.name exercises.actualSets').lean();
+
+  // Best previous values per exercise (case-insensitive)
+  const previous = {};
+  const previousSets = {};
+  history.forEach(past => past.exercises.forEach(ex => {
+    const key = ex.name.toLowerCase();
+    if (!previous[key]) previous[key] = { max_weight: 0, estimated_1rm: 0, max_set_volume: 0 };
+    if (!previousSets[key]) previousSets[key] = [];
+    (ex.actualSets || []).filter(s => s.completed !== false).forEach(s => {
+      const best = previous[key];
+      best.max_weight = Math.max(best.max_weight, s.weight || 0);
+      best.estimated_1rm = Math.max(best.estimated_1rm, estimateOneRepMax(s.weight || 0, s.reps, s.rpe));
+      best.max_set_volume = Math.max(best.max_set_volume, (s.weight || 0) * s.reps);
+      previousSets[key].push(s);
+    });
+  }));
+
+  const records = [];
+  workout.exercises.forEach(ex => {
+    const best = previous[ex.name.toLowerCase()];
+    // First time doing an exercise sets a baseline, not a PR
+    if (!best) return;
+
+    const current = { max_weight: null, estimated_1rm: null, max_set_volume: null };
+    const sets = ex.actualSets.filter(s => s.completed !== false && (s.weight || 0) > 0);
+    sets.forEach(s => {
+      const candidates = {
+        max_weight: s.weight,
+        estimated_1rm: estimateOneRepMax(s.weight, s.reps, s.rpe),
+        max_set_volume: s.weight * s.reps
+      };
+      Object.entries(candidates).forEach(([type, value]) => {
+        if (!current[type] || value > current[type].value) {
+          current[type] = { value, reps: s.reps, weight: s.weight };
+        }
+      });
+    });
+
+    Object.entries(current).forEach(([type, set]) => {
+      if (set && set.value > best[type]) {
+        records.push({
+          exercise: ex.name,
+          type,
+          value: round(set.value),
+          previous: round(best[type]),
+          reps: set.reps,
+          weight: set.weight
+        });
+      }
+    });
+
+    records.push(...progressiveOverload.detectRepRangeRecords(ex.name, sets, previousSets[ex.name.toLowerCase()]));
+  });
+
+  return records;
+};
+
+/**
+ * Finish a session
+ * @param {object} data - { duration?, rpe?, notes?, moodFeedback?, averagePainLevel? }
+ */
+exports.completeWorkout = async (userId, workoutId, data = {}) => {
+  const workout = await Workout.findOne(ownedWorkoutQuery(userId, workoutId));
+  if (!workout) throw new ErrorResponse('Workout not found', 404);
+  if (workout.completed) throw new ErrorResponse('Workout already completed', 400);
+
+  const stats = calculateStats(workout);
+  if (stats.totalSets === 0 && workout.exercises.length === 0) {
+    throw new ErrorResponse('Log at least one set before completing the workout', 400);
+  }
+
+  if (data.rpe !== undefined && (isNaN(Number(data.rpe)) || data.rpe < 1 || data.rpe > 10)) {
+    throw new ErrorResponse('RPE must be between 1 and 10', 400);
+  }
+
+  const now = new Date();
+
+  // Close an open pause so it doesn't count as training time
+  if (workout.status === 'paused' && workout.pausedAt) {
+    workout.pausedSeconds = (workout.pausedSeconds || 0) + Math.round((now - workout.pausedAt) / 1000);
+    const openPause = workout.pauses[workout.pauses.length - 1];
+    if (openPause && !openPause.resumedAt) openPause.resumedAt = now;
+    workout.pausedAt = undefined;
+  }
+
+  const measuredMinutes = workout.startedAt ? activeMinutes(workout, now) : 0;
+  const duration = Math.min(480, Math.max(1, Math.round(
+    data.duration !== undefined ? Number(data.duration) : measuredMinutes
+  ) || 1));
+
+  const setRpes = workout.exercises.flatMap(ex => ex.actualSets.map(s => s.rpe)).filter(Boolean);
+  const averageRPE = setRpes.length ? round(setRpes.reduce((a, b) => a + b, 0) / setRpes.length) : undefined;
+  const sessionRPE = data.rpe !== undefined ? Number(data.rpe) : (averageRPE || DEFAULT_SESSION_RPE);
+
+  workout.stats = stats;
+  workout.personalRecords = await detectPersonalRecords(workout);
+  workout.duration = duration;
+  workout.sessionRPE = sessionRPE;
+  workout.averageRPE = averageRPE || sessionRPE;
+  workout.trainingLoad = round((duration * sessionRPE) / 10);
+  workout.status = 'completed';
+  workout.completed = true;
+  workout.completedAt = now;
+  if (data.notes) workout.notes = data.notes;
+  if (data.moodFeedback !== undefined) workout.moodFeedback = data.moodFeedback;
+  if (data.averagePainLevel !== undefined) workout.averagePainLevel = data.averagePainLevel;
+  await workout.save();
+
+  const recovery = await updateRecoveryLoad(userId);
+
+  challengeEngine.recordActivity(userId, 'workout').catch(error => {
+    console.error('Challenge progress update error:', error.message);
+  });
+
+  // Ticks off today's plan session and may schedule a recovery deload
+  periodization.recordWorkout(userId, workout).catch(error => {
+    console.error('Training plan update error:', error.message);
+  });
+
+  if (workout.personalRecords.length > 0) {
+    socialFeatures.sharePersonalRecords(userId, workout).catch(error => {
+      console.error('PR auto-share error:', error.message);
+    });
+  }
+
+  return {
+    workout,
+    stats: {
+      ...stats,
+      duration,
+      sessionRPE,
+      averageRPE: workout.averageRPE
+    },
+    personalRecords: workout.personalRecords,
+    trainingLoad: {
+      session: workout.trainingLoad,
+      ...recovery.trainingLoad
+    },
+    recovery: {
+      loadScore: recovery.loadScore,
+      recoveryScoreUpdated: recovery.recoveryScoreUpdated
+    }
+  };
+};
+
+/**
+ * Recompute acute/chronic load after a session and refresh today's
+ * recovery score load component if one has been calculated already
+ */
+const updateRecoveryLoad = async (userId) => {
+  try {
+    const [loadScore, trainingLoad] = await Promise.all([
+      recoveryCalc.calculateLoadScore(userId),
+      recoveryCalc.calculateTrainingLoad(userId, 7)
+    ]);
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const updated = await RecoveryScore.updateOne(
+      { userId, date: today },
+      { 'components.trainingLoad': loadScore }
+    );
+
+    return { loadScore, trainingLoad, recoveryScoreUpdated: updated.modifiedCount > 0 };
+  } catch (error) {
+    console.error('Recovery load update error:', error.message);
+    return { loadScore: null, trainingLoad: {}, recoveryScoreUpdated: false };
+  }
+};
+
+// ========================================
+// HISTORY & EDITING
+// ========================================
+
+exports.getWorkout = async (userId, workoutId) => {
+  const workout = await Workout.findOne(ownedWorkoutQuery(userId, workoutId))
+    .populate('templateId', 'name type difficulty');
+  if (!workout) throw new ErrorResponse('Workout not found', 404);
+  return workout;
+};
+
+/**
+ * Completed workout history with volume and weekly frequency
+ */
+exports.getHistory = async (userId, { limit = 30, type, startDate, endDate } = {}) => {
+  const query = { clientId: userId, completed: true, isActive: { $ne: false } };
+  if (type) query.type = type;
+  if (startDate || endDate) {
+    query.completedAt = {};
+    if (startDate) query.completedAt.$gte = new Date(startDate);
+    if (endDate) query.completedAt.$lte = new Date(endDate);
+  }
+
+  const [workouts, total] = await Promise.all([
+    Workout.find(query).sort({ completedAt: -1 }).limit(Math.min(parseInt(limit) || 30, 200)),
+    Workout.countDocuments(query)
+  ]);
+
+  const volume = workouts.reduce((sum, w) => sum + (w.stats?.totalVolume || 0), 0);
+  const oldest = workouts.length ? workouts[workouts.length - 1].completedAt : null;
+  const weeks = oldest ? Math.max(1, (Date.now() - new Date(oldest)) / (7 * 24 * 60 * 60 * 1000)) : 1;
+
+  return {
+    workouts,
+    total,
+    volume: round(volume),
+    frequency: {
+      perWeek: round(workouts.length / weeks),
+      trainingLoad: round(workouts.reduce((sum, w) => sum + (w.trainingLoad || 0), 0))
+    }
+  };
+};
+
+exports.updateWorkout = async (userId, workoutId, updates = {}) => {
+  const workout = await Workout.findOne(ownedWorkoutQuery(userId, workoutId));
+  if (!workout) throw new ErrorResponse('Workout not found', 404);
+
+  ['name', 'type', 'notes', 'moodFeedback', 'averagePainLevel', 'scheduledDate'].forEach(field => {
+    if (updates[field] !== undefined) workout[field] = updates[field];
+  });
+
+  // Planned exercises can only be replaced before the session is finished
+  if (updates.exercises !== undefined) {
+    if (workout.completed) throw new ErrorResponse('Exercises of a completed workout cannot be replaced', 400);
+    workout.exercises = exercisesFromPlan(updates.exercises);
+  }
+
+  await workout.save();
+  return workout;
+};
+
+/**
+ * Soft delete; an active session is marked abandoned
+ */
+exports.deleteWorkout = async (userId, workoutId) => {
+  const workout = await Workout.findOne(ownedWorkoutQuery(userId, workoutId));
+  if (!workout) throw new ErrorResponse('Workout not found', 404);
+
+  // Direct update: an empty freestyle session would fail the exercises validator
+  await Workout.updateOne(
+    { _id: workout._id },
+    { isActive: false, status: ACTIVE_STATUSES.includes(workout.status) ? 'abandoned' : workout.status }
+  );
+
+  if (workout.completed) await updateRecoveryLoad(userId);
+
+  return { id: workout._id, deleted: true };
+};
+
+exports.summarizeSession = summarizeSession;
+exports.estimateOneRepMax = estimateOneRepMax;
+
+module.exports = exports;
@@ -0,0 +1,554 @@
+// ========================================
+// ICALENDAR (RFC 5545)
+// ========================================
+// Parses VCALENDAR text from CalDAV servers and ICS subscriptions,
+// expands RRULE recurrences into concrete occurrences inside a window
+// and serializes single events for CalDAV write-back. Times with a TZID
+// are expanded in that zone's wall-clock time so a weekly 09:00 stays
+// at 09:00 across DST changes. Supported rule parts: FREQ (DAILY to
+// YEARLY), INTERVAL, COUNT, UNTIL, BYDAY (with ordinals), BYMONTHDAY,
+// BYMONTH, BYSETPOS and WKST, plus EXDATE, RDATE and RECURRENCE-ID
+// overrides.
+// ========================================
+
+const moment = require('moment-timezone');
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Guards against pathological rules (e.g. DAILY from 1970)
+const MAX_PERIODS = 20000;
+const MAX_OCCURRENCES = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ---------- Parsing ----------
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+/**
+ * Split one unfolded content line into { name, params, value }
+ * Parameter values may be quoted and contain ':' or ';'
+ */
+const parseLine = (line) => {
+  let index = 0;
+  let inQuotes = false;
+  let nameEnd = -1;
+
+  for (; index < line.length; index++) {
+    const char = line[index];
+    if (char === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && char === ';' && nameEnd === -1) nameEnd = index;
+    else if (!inQuotes && char === ':') break;
+  }
+  if (index >= line.length) return null;
+
+  const head = line.slice(0, index);
+  const name = (nameEnd === -1 ? head : head.slice(0, nameEnd)).toUpperCase();
+  const params = {};
+
+  if (nameEnd !== -1) {
+    const paramPattern = /;([^=;]+)=("[^"]*"|[^;]*)/g;
+    let match;
+    while ((match = paramPattern.exec(head.slice(nameEnd))) !== null) {
+      params[match[1].toUpperCase()] = match[2].replace(/^"|"$/g, '');
+    }
+  }
+
+  return { name, params, value: line.slice(index + 1) };
+};
+
+/**
+ * Parse iCalendar text into a component tree
+ * @returns {object} { name: 'VCALENDAR', properties: [], components: [] }
+ */
+const parse = (text) => {
+  const lines = String(text || '')
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')   // unfold
+    .split('\n');
+
+  const root = { name: 'ROOT', properties: [], components: [] };
+  const stack = [root];
+
+  lines.forEach(raw => {
+    const line = raw.trimEnd();
+    if (!line) return;
+    const property = parseLine(line);
+    if (!property) return;
+
+    const current = stack[stack.length - 1];
+    if (property.name === 'BEGIN') {
+      const component = { name: property.value.toUpperCase(), properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      current.properties.push(property);
+    }
+  });
+
+  const calendar = root.components.find(component => component.name === 'VCALENDAR');
+  if (!calendar) throw new Error('Not an iCalendar document (no VCALENDAR)');
+  return calendar;
+};
+
+const propertyOf = (component, name) => component.properties.find(property => property.name === name) || null;
+const propertiesOf = (component, name) => component.properties.filter(property => property.name === name);
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * @returns {object|null} { date, allDay, tzid } - floating times use the fallback zone
+ */
+const parseDateValue = (value, params = {}, fallbackZone = 'UTC') => {
+  const text = String(value || '').trim();
+
+  const dateOnly = /^(\d{4})(\d{2})(\d{2})$/.exec(text);
+  if (dateOnly || params.VALUE === 'DATE') {
+    if (!dateOnly) return null;
+    return {
+      date: new Date(Date.UTC(+dateOnly[1], +dateOnly[2] - 1, +dateOnly[3])),
+      allDay: true,
+      tzid: 'UTC'
+    };
+  }
+
+  const dateTime = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z)?$/.exec(text);
+  if (!dateTime) return null;
+
+  const parts = [+dateTime[1], +dateTime[2] - 1, +dateTime[3], +dateTime[4], +dateTime[5], +dateTime[6]];
+  if (dateTime[7]) {
+    return { date: new Date(Date.UTC(...parts)), allDay: false, tzid: 'UTC' };
+  }
+
+  // Unknown TZIDs (e.g. Windows zone names) fall back rather than failing the feed
+  const zone = params.TZID && moment.tz.zone(params.TZID) ? params.TZID : fallbackZone;
+  return { date: moment.tz(parts, zone).toDate(), allDay: false, tzid: zone };
+};
+
+/**
+ * ISO 8601 duration (P1DT2H, PT30M, P1W) in milliseconds
+ */
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0);
+  const ms = ((+weeks * 7 + +days) * 24 * 3600 + +hours * 3600 + +minutes * 60 + +seconds) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+/**
+ * Parse an RRULE value into its parts
+ */
+const parseRule = (value, fallbackZone) => {
+  const rule = {};
+  String(value || '').split(';').forEach(part => {
+    const [key, raw] = part.split('=');
+    if (key && raw !== undefined) rule[key.toUpperCase()] = raw.toUpperCase();
+  });
+  if (!FREQUENCIES.includes(rule.FREQ)) return null;
+
+  const numbers = (list) => (list ? list.split(',').map(Number).filter(n => Number.isInteger(n) && n !== 0) : []);
+
+  return {
+    freq: rule.FREQ,
+    interval: Math.max(parseInt(rule.INTERVAL) || 1, 1),
+    count: rule.COUNT ? parseInt(rule.COUNT) : null,
+    until: rule.UNTIL ? parseDateValue(rule.UNTIL, {}, fallbackZone)?.date || null : null,
+    byDay: rule.BYDAY
+      ? rule.BYDAY.split(',').map(entry => {
+        const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry.trim());
+        return match ? { ordinal: match[1] ? parseInt(match[1]) : 0, weekday: WEEKDAYS.indexOf(match[2]) } : null;
+      }).filter(Boolean)
+      : [],
+    byMonthDay: numbers(rule.BYMONTHDAY),
+    byMonth: numbers(rule.BYMONTH),
+    bySetPos: numbers(rule.BYSETPOS),
+    weekStart: WEEKDAYS.includes(rule.WKST) ? WEEKDAYS.indexOf(rule.WKST) : 1
+  };
+};
+
+const dateList = (component, name, fallbackZone) => propertiesOf(component, name).flatMap(property =>
+  property.value.split(',').map(value => parseDateValue(value, property.params, fallbackZone)?.date).filter(Boolean)
+);
+
+/**
+ * Plain event from a VEVENT component
+ */
+const readEvent = (component, fallbackZone) => {
+  const text = (name) => {
+    const property = propertyOf(component, name);
+    return property ? unescapeText(property.value).trim() : '';
+  };
+
+  const startProperty = propertyOf(component, 'DTSTART');
+  const start = startProperty && parseDateValue(startProperty.value, startProperty.params, fallbackZone);
+  if (!start) return null;
+
+  const endProperty = propertyOf(component, 'DTEND');
+  const end = endProperty && parseDateValue(endProperty.value, endProperty.params, fallbackZone);
+  const duration = parseDuration(propertyOf(component, 'DURATION')?.value);
+
+  let durationMs;
+  if (end) durationMs = end.date - start.date;
+  else if (duration !== null) durationMs = duration;
+  else durationMs = start.allDay ? DAY_MS : 0;
+
+  const recurrenceProperty = propertyOf(component, 'RECURRENCE-ID');
+  const rruleProperty = propertyOf(component, 'RRULE');
+  const status = text('STATUS').toUpperCase();
+
+  return {
+    uid: text('UID'),
+    summary: text('SUMMARY'),
+    description: text('DESCRIPTION'),
+    location: text('LOCATION'),
+    start: start.date,
+    durationMs: Math.max(durationMs, 0),
+    allDay: start.allDay,
+    tzid: start.tzid,
+    rrule: rruleProperty ? parseRule(rruleProperty.value, start.tzid) : null,
+    exdates: dateList(component, 'EXDATE', start.tzid),
+    rdates: dateList(component, 'RDATE', start.tzid),
+    recurrenceId: recurrenceProperty
+      ? parseDateValue(recurrenceProperty.value, recurrenceProperty.params, fallbackZone)?.date || null
+      : null,
+    status: status === 'CANCELLED' ? 'cancelled' : status === 'TENTATIVE' ? 'tentative' : 'confirmed',
+    attendees: propertiesOf(component, 'ATTENDEE')
+      .map(property => property.value.replace(/^mailto:/i, '').trim().toLowerCase())
+      .filter(Boolean),
+    sequence: parseInt(text('SEQUENCE')) || 0,
+    lastModified: parseDateValue(propertyOf(component, 'LAST-MODIFIED')?.value)?.date || null,
+    // Custom X- properties (e.g. our write-back marker)
+    extra: Object.fromEntries(component.properties
+      .filter(property => property.name.startsWith('X-'))
+      .map(property => [property.name, property.value]))
+  };
+};
+
+/**
+ * All VEVENTs in a calendar document
+ * @param {string|object} calendar - iCalendar text or parse() output
+ */
+const readEvents = (calendar, { timezone } = {}) => {
+  const document = typeof calendar === 'string' ? parse(calendar) : calendar;
+  const declared = propertyOf(document, 'X-WR-TIMEZONE')?.value;
+  const fallbackZone = timezone || (declared && moment.tz.zone(declared) ? declared : 'UTC');
+
+  return document.components
+    .filter(component => component.name === 'VEVENT')
+    .map(component => readEvent(component, fallbackZone))
+    .filter(event => event && event.uid);
+};
+
+// ---------- Recurrence expansion ----------
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Days (1-based) of a month matching the rule's BYMONTHDAY/BYDAY parts
+ */
+const monthDays = (year, month, rule, anchorDay) => {
+  const total = daysInMonth(year, month);
+  const weekdayOf = (day) => new Date(Date.UTC(year, month, day)).getUTCDay();
+  let days;
+
+  if (rule.byMonthDay.length) {
+    days = rule.byMonthDay.map(day => (day > 0 ? day : total + day + 1)).filter(day => day >= 1 && day <= total);
+  } else if (rule.byDay.length) {
+    days = [];
+    rule.byDay.forEach(({ ordinal, weekday }) => {
+      const matching = [];
+      for (let day = 1; day <= total; day++) if (weekdayOf(day) === weekday) matching.push(day);
+      if (ordinal === 0) days.push(...matching);
+      else {
+        const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+        if (day) days.push(day);
+      }
+    });
+    return [...new Set(days)].sort((a, b) => a - b);
+  } else {
+    // Months without the anchor day (e.g. the 31st) are skipped, per RFC 5545
+    days = anchorDay <= total ? [anchorDay] : [];
+  }
+
+  // BYDAY alongside BYMONTHDAY narrows the days
+  if (rule.byDay.length) {
+    days = days.filter(day => rule.byDay.some(({ weekday }) => weekday === weekdayOf(day)));
+  }
+  return [...new Set(days)].sort((a, b) => a - b);
+};
+
+/**
+ * Candidate calendar dates ({ year, month, day }) for one period
+ */
+const periodDates = (rule, period, anchor) => {
+  const { year, month, day } = period;
+  const inMonths = (candidate) => !rule.byMonth.length || rule.byMonth.includes(candidate.month + 1);
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const weekday = new Date(Date.UTC(year, month, day)).getUTCDay();
+      const candidate = { year, month, day };
+      if (!inMonths(candidate)) return [];
+      if (rule.byDay.length && !rule.byDay.some(entry => entry.weekday === weekday)) return [];
+      if (rule.byMonthDay.length) {
+        const total = daysInMonth(year, month);
+        if (!rule.byMonthDay.some(d => (d > 0 ? d : total + d + 1) === day)) return [];
+      }
+      return [candidate];
+    }
+    case 'WEEKLY': {
+      const weekdays = rule.byDay.length ? rule.byDay.map(entry => entry.weekday) : [anchor.weekday];
+      return [...new Set(weekdays)]
+        .map(weekday => {
+          const offset = (weekday - rule.weekStart + 7) % 7;
+          const date = new Date(Date.UTC(year, month, day + offset));
+          return { year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() };
+        })
+        .filter(inMonths);
+    }
+    case 'MONTHLY':
+      if (!inMonths({ month })) return [];
+      return monthDays(year, month, rule, anchor.day).map(d => ({ year, month, day: d }));
+    case 'YEARLY': {
+      const months = rule.byMonth.length ? rule.byMonth.map(m => m - 1) : [anchor.month];
+      // BYDAY ordinals without BYMONTH count within the year (e.g. 20MO)
+      if (!rule.byMonth.length && rule.byDay.some(entry => entry.ordinal !== 0) && !rule.byMonthDay.length) {
+        const dates = [];
+        rule.byDay.forEach(({ ordinal, weekday }) => {
+          const matching = [];
+          for (let d = new Date(Date.UTC(year, 0, 1)); d.getUTCFullYear() === year; d = new Date(d.getTime() + DAY_MS)) {
+            if (d.getUTCDay() === weekday) matching.push(d);
+          }
+          const date = ordinal > 0 ? matching[ordinal - 1] : ordinal < 0 ? matching[matching.length + ordinal] : null;
+          if (date) dates.push({ year, month: date.getUTCMonth(), day: date.getUTCDate() });
+          if (ordinal === 0) matching.forEach(m => dates.push({ year, month: m.getUTCMonth(), day: m.getUTCDate() }));
+        });
+        return dates;
+      }
+      return months.flatMap(m => monthDays(year, m, rule, anchor.day).map(d => ({ year, month: m, day: d })));
+    }
+    default:
+      return [];
+  }
+};
+
+/**
+ * First day of the period containing the anchor, then advanced by INTERVAL
+ */
+const nextPeriod = (rule, period, step) => {
+  const { year, month, day } = period;
+  switch (rule.freq) {
+    case 'DAILY': {
+      const date = new Date(Date.UTC(year, month, day + step));
+      return { year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() };
+    }
+    case 'WEEKLY': {
+      const date = new Date(Date.UTC(year, month, day + 7 * step));
+      return { year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() };
+    }
+    case 'MONTHLY': {
+      const date = new Date(Date.UTC(year, month + step, 1));
+      return { year: date.getUTCFullYear(), month: date.getUTCMonth(), day: 1 };
+    }
+    default:
+      return { year: year + step, month: 0, day: 1 };
+  }
+};
+
+/**
+ * Occurrence start times of a recurring event (original, un-overridden starts)
+ * @param {object} event - readEvent() output with an rrule
+ * @param {Date} from - occurrences ending before this are counted (for COUNT) but not returned
+ * @param {Date} to - stop once occurrences pass this point
+ */
+const recurrenceStarts = (event, from, to) => {
+  const { rrule: rule } = event;
+  const zone = event.allDay ? 'UTC' : event.tzid;
+  const local = moment.tz(event.start, zone);
+  const anchor = {
+    year: local.year(),
+    month: local.month(),
+    day: local.date(),
+    weekday: local.day(),
+    time: [local.hour(), local.minute(), local.second()]
+  };
+
+  // First period: the anchor's day, week (from WKST), month or year
+  let period;
+  if (rule.freq === 'WEEKLY') {
+    const back = (anchor.weekday - rule.weekStart + 7) % 7;
+    const date = new Date(Date.UTC(anchor.year, anchor.month, anchor.day - back));
+    period = { year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() };
+  } else if (rule.freq === 'MONTHLY') {
+    period = { year: anchor.year, month: anchor.month, day: 1 };
+  } else if (rule.freq === 'YEARLY') {
+    period = { year: anchor.year, month: 0, day: 1 };
+  } else {
+    period = { year: anchor.year, month: anchor.month, day: anchor.day };
+  }
+
+  const starts = [];
+  let emitted = 0;
+
+  for (let i = 0; i < MAX_PERIODS && starts.length < MAX_OCCURRENCES; i++) {
+    let dates = periodDates(rule, period, anchor)
+      .map(({ year, month, day }) => moment.tz([year, month, day, ...anchor.time], zone).toDate())
+      .sort((a, b) => a - b);
+
+    if (rule.bySetPos.length) {
+      dates = rule.bySetPos
+        .map(pos => (pos > 0 ? dates[pos - 1] : dates[dates.length + pos]))
+        .filter(Boolean)
+        .sort((a, b) => a - b);
+    }
+
+    for (const date of dates) {
+      if (date < event.start) continue;
+      if (rule.until && date > rule.until) return starts;
+      if (rule.count !== null && emitted >= rule.count) return starts;
+      if (date > to) return starts;
+      emitted++;
+      if (date.getTime() + event.durationMs >= from.getTime()) starts.push(date);
+    }
+
+    period = nextPeriod(rule, period, rule.interval);
+  }
+
+  return starts;
+};
+
+const instanceKey = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Concrete occurrences overlapping [from, to]
+ * Recurring series are expanded with EXDATE/RDATE applied and
+ * RECURRENCE-ID overrides swapped in; cancelled instances are dropped.
+ * @returns {Array} { uid, instanceId, recurring, start, end, summary, ... }
+ */
+const expandEvents = (events, from, to) => {
+  const byUid = new Map();
+  events.forEach(event => {
+    if (!byUid.has(event.uid)) byUid.set(event.uid, { master: null, overrides: new Map() });
+    const series = byUid.get(event.uid);
+    if (event.recurrenceId) series.overrides.set(event.recurrenceId.getTime(), event);
+    else series.master = event;
+  });
+
+  const occurrences = [];
+  const overlaps = (start, durationMs) => start.getTime() + Math.max(durationMs, 1) > from.getTime() && start <= to;
+  const emit = (event, start, recurring, originalStart) => {
+    if (event.status === 'cancelled' && recurring) return;
+    if (!overlaps(start, event.durationMs)) return;
+    occurrences.push({
+      ...event,
+      instanceId: recurring ? `${event.uid}_${instanceKey(originalStart)}` : event.uid,
+      recurring,
+      originalStart: recurring ? originalStart : null,
+      start,
+      end: new Date(start.getTime() + event.durationMs)
+    });
+  };
+
+  byUid.forEach(({ master, overrides }) => {
+    const consumed = new Set();
+    const recurring = Boolean(master?.rrule || master?.rdates.length || overrides.size);
+
+    if (master) {
+      let starts = master.rrule ? recurrenceStarts(master, from, to) : [master.start];
+      const excluded = new Set(master.exdates.map(date => date.getTime()));
+      starts = [...starts, ...master.rdates]
+        .filter(date => !excluded.has(date.getTime()))
+        .sort((a, b) => a - b);
+
+      [...new Set(starts.map(date => date.getTime()))].forEach(time => {
+        const override = overrides.get(time);
+        if (override) {
+          consumed.add(time);
+          emit(override, override.start, true, new Date(time));
+        } else {
+          emit(master, new Date(time), recurring, new Date(time));
+        }
+      });
+    }
+
+    // Overrides moved into the window from outside it (or orphaned)
+    overrides.forEach((override, time) => {
+      if (!consumed.has(time)) emit(override, override.start, true, new Date(time));
+    });
+  });
+
+  return occurrences.sort((a, b) => a.start - b.start);
+};
+
+// ---------- Serialization ----------
+
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const formatDateTime = (date) => instanceKey(new Date(date));
+
+/**
+ * Fold a content line at 75 octets
+ */
+const fold = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * One-event VCALENDAR document
+ * @param {object} event - { uid, summary, description, location, start, end, status, sequence, extra }
+ */
+const serializeEvent = (event) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Phoenix//Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.status) lines.push(`STATUS:${String(event.status).toUpperCase()}`);
+  if (event.sequence) lines.push(`SEQUENCE:${event.sequence}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+  Object.entries(event.extra || {}).forEach(([name, value]) => lines.push(`${name}:${escapeText(value)}`));
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return lines.map(fold).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  parse,
+  readEvents,
+  parseDateValue,
+  parseDuration,
+  parseRule,
+  expandEvents,
+  serializeEvent,
+  formatDateTime
+};
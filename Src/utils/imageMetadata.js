@@ -0,0 +1,225 @@
+// ========================================
+// IMAGE METADATA
+// ========================================
+// Strips EXIF/XMP/IPTC and text metadata (GPS, camera, timestamps) from
+// JPEG, PNG and WebP uploads without re-encoding the image. JPEG
+// orientation is kept in a minimal EXIF block so photos still display
+// upright.
+// ========================================
+
+const JPEG_SOI = Buffer.from([0xff, 0xd8]);
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// JPEG segments dropped: APP1 (EXIF/XMP), APP12-13 (Ducky/IPTC), COM
+const JPEG_DROP_MARKERS = new Set([0xe1, 0xec, 0xed, 0xfe]);
+const PNG_DROP_CHUNKS = new Set(['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME']);
+const WEBP_DROP_CHUNKS = new Set(['EXIF', 'XMP ']);
+
+const ORIENTATION_TAG = 0x0112;
+
+/**
+ * Sniff the real format from magic bytes (the client's mimetype is not trusted)
+ * @returns {'jpeg'|'png'|'webp'|null}
+ */
+const detectFormat = (buffer) => {
+  if (buffer.length >= 3 && buffer.subarray(0, 2).equals(JPEG_SOI) && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return 'png';
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  return null;
+};
+
+// ---------- JPEG ----------
+
+/**
+ * Orientation (1-8) from an APP1 EXIF payload, if present
+ */
+const readExifOrientation = (payload) => {
+  if (payload.length < 14 || payload.toString('ascii', 0, 6) !== 'Exif\0\0') return null;
+  const tiff = payload.subarray(6);
+  const little = tiff.toString('ascii', 0, 2) === 'II';
+  const u16 = (offset) => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const u32 = (offset) => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+  try {
+    const ifd = u32(4);
+    const entries = u16(ifd);
+    for (let i = 0; i < entries; i++) {
+      const entry = ifd + 2 + i * 12;
+      if (u16(entry) === ORIENTATION_TAG) {
+        const value = u16(entry + 8);
+        return value >= 1 && value <= 8 ? value : null;
+      }
+    }
+  } catch (error) {
+    // Truncated/corrupt EXIF - treat as no orientation
+  }
+  return null;
+};
+
+/**
+ * APP1 segment holding only the orientation tag
+ */
+const orientationSegment = (orientation) => {
+  const payload = Buffer.alloc(32);
+  payload.write('Exif\0\0', 0, 'ascii');
+  payload.write('MM', 6, 'ascii');
+  payload.writeUInt16BE(42, 8);
+  payload.writeUInt32BE(8, 10);          // IFD0 offset
+  payload.writeUInt16BE(1, 14);          // one entry
+  payload.writeUInt16BE(ORIENTATION_TAG, 16);
+  payload.writeUInt16BE(3, 18);          // SHORT
+  payload.writeUInt32BE(1, 20);          // count
+  payload.writeUInt16BE(orientation, 24);
+  payload.writeUInt32BE(0, 28);          // no next IFD
+
+  const header = Buffer.from([0xff, 0xe1, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+};
+
+const stripJpeg = (buffer) => {
+  const kept = [JPEG_SOI];
+  let orientation = null;
+  let width = null;
+  let height = null;
+  let offset = 2;
+  let insertAt = 1;   // orientation goes after APP0 when there is one
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) throw new Error('Corrupt JPEG segment');
+    const marker = buffer[offset + 1];
+
+    // Fill bytes / standalone markers
+    if (marker === 0xff) { offset++; continue; }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      kept.push(buffer.subarray(offset, offset + 2));
+      offset += 2;
+      continue;
+    }
+
+    // Start of scan: the rest is entropy-coded image data
+    if (marker === 0xda) {
+      kept.push(buffer.subarray(offset));
+      offset = buffer.length;
+      break;
+    }
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const end = offset + 2 + length;
+    if (length < 2 || end > buffer.length) throw new Error('Corrupt JPEG segment');
+    const payload = buffer.subarray(offset + 4, end);
+
+    if (marker === 0xe1 && orientation === null) orientation = readExifOrientation(payload);
+
+    // SOFn (except DHT/JPG/DAC) carries the dimensions
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker) && payload.length >= 5) {
+      height = payload.readUInt16BE(1);
+      width = payload.readUInt16BE(3);
+    }
+
+    if (!JPEG_DROP_MARKERS.has(marker)) {
+      kept.push(buffer.subarray(offset, end));
+      if (marker === 0xe0) insertAt = kept.length;
+    }
+    offset = end;
+  }
+
+  if (orientation && orientation !== 1) kept.splice(insertAt, 0, orientationSegment(orientation));
+
+  return { buffer: Buffer.concat(kept), width, height, orientation: orientation || 1 };
+};
+
+// ---------- PNG ----------
+
+const stripPng = (buffer) => {
+  const kept = [PNG_SIGNATURE];
+  let width = null;
+  let height = null;
+  let offset = 8;
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) throw new Error('Corrupt PNG chunk');
+
+    if (type === 'IHDR') {
+      width = buffer.readUInt32BE(offset + 8);
+      height = buffer.readUInt32BE(offset + 12);
+    }
+    if (!PNG_DROP_CHUNKS.has(type)) kept.push(buffer.subarray(offset, end));
+
+    offset = end;
+    if (type === 'IEND') break;
+  }
+
+  return { buffer: Buffer.concat(kept), width, height, orientation: 1 };
+};
+
+// ---------- WebP ----------
+
+const stripWebp = (buffer) => {
+  const chunks = [];
+  let width = null;
+  let height = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const fourcc = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const end = offset + 8 + size + (size % 2);   // chunks are padded to even sizes
+    if (offset + 8 + size > buffer.length) throw new Error('Corrupt WebP chunk');
+
+    const data = buffer.subarray(offset + 8, offset + 8 + size);
+    if (fourcc === 'VP8X' && size >= 10) {
+      width = data.readUIntLE(4, 3) + 1;
+      height = data.readUIntLE(7, 3) + 1;
+    } else if (fourcc === 'VP8 ' && size >= 10 && width === null) {
+      width = data.readUInt16LE(6) & 0x3fff;
+      height = data.readUInt16LE(8) & 0x3fff;
+    } else if (fourcc === 'VP8L' && size >= 5 && width === null) {
+      const bits = data.readUInt32LE(1);
+      width = (bits & 0x3fff) + 1;
+      height = ((bits >> 14) & 0x3fff) + 1;
+    }
+
+    if (!WEBP_DROP_CHUNKS.has(fourcc)) {
+      const chunk = Buffer.from(buffer.subarray(offset, Math.min(end, buffer.length)));
+      // Clear the EXIF (0x08) and XMP (0x04) flags now that those chunks are gone
+      if (fourcc === 'VP8X') chunk[8] &= ~0x0c;
+      chunks.push(chunk);
+    }
+    offset = end;
+  }
+
+  const body = Buffer.concat(chunks);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write('WEBP', 8, 'ascii');
+
+  return { buffer: Buffer.concat([header, body]), width, height, orientation: 1 };
+};
+
+const STRIPPERS = { jpeg: stripJpeg, png: stripPng, webp: stripWebp };
+const MIME_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+
+/**
+ * Remove identifying metadata from an image
+ * @param {Buffer} buffer
+ * @returns {{ buffer, format, contentType, width, height, orientation }|null} null for unsupported formats
+ * @throws {Error} when the file claims a supported format but is corrupt
+ */
+const stripMetadata = (buffer) => {
+  const format = detectFormat(buffer);
+  if (!format) return null;
+
+  const result = STRIPPERS[format](buffer);
+  return { ...result, format, contentType: MIME_TYPES[format] };
+};
+
+module.exports = {
+  detectFormat,
+  stripMetadata,
+  SUPPORTED_TYPES: Object.values(MIME_TYPES)
+};
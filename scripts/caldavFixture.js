@@ -0,0 +1,333 @@
+// scripts/caldavFixture.js - Local CalDAV server for exercising CalDAV sync without iCloud
+// Serves a principal, a calendar home and three calendars - a writable
+// "Personal", a read-only "Holidays" and a VTODO-only "Tasks" that
+// discovery should skip - from scripts/fixtures/caldav/<calendar>/*.ics.
+// "{{day+N}}" / "{{day-N}}" in a fixture becomes that UTC date (YYYYMMDD)
+// so one-off events and overrides land inside the sync window. The root
+// URL redirects to /dav/, so discovery also follows a redirect. Writes
+// (PUT/DELETE with If-Match / If-None-Match) are kept in memory.
+//
+// Usage:
+//   node scripts/caldavFixture.js [--port 5232] [--user fixture] [--password fixture-app-password] [--check]
+//
+//   --check     run discovery, event queries with RRULE expansion and write-back
+//               against the fixture through caldavClient, then exit (no database needed)
+//
+// Full sync through the API: run the server with CALENDAR_ALLOW_PRIVATE_URLS=true, then
+//   POST /api/earth/calendar/caldav
+//   { "service": "caldav", "serverUrl": "http://localhost:5232/",
+//     "username": "fixture", "password": "fixture-app-password", "writeBack": true }
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'caldav');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CALENDARS = {
+  personal: { name: 'Personal', color: '#3B82F6FF', writable: true, components: ['VEVENT'] },
+  holidays: { name: 'Holidays', color: '#EF4444FF', writable: false, components: ['VEVENT'] },
+  tasks: { name: 'Tasks', color: '#10B981FF', writable: true, components: ['VTODO'] }
+};
+
+const parseArgs = (argv) => {
+  const args = { port: 5232, user: 'fixture', password: 'fixture-app-password' };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') args.port = parseInt(argv[++i]);
+    else if (argv[i] === '--user') args.user = argv[++i];
+    else if (argv[i] === '--password') args.password = argv[++i];
+    else if (argv[i] === '--check') args.check = true;
+  }
+  return args;
+};
+
+// ================================================================
+// STORE
+// ================================================================
+
+const dayToken = (match, sign, days) => {
+  const offset = (sign === '-' ? -1 : 1) * parseInt(days);
+  return new Date(Date.now() + offset * DAY_MS).toISOString().slice(0, 10).replace(/-/g, '');
+};
+
+const etagOf = (data) => `"${crypto.createHash('sha1').update(data).digest('hex').slice(0, 16)}"`;
+
+/**
+ * calendar -> Map(resource name -> { data, etag })
+ */
+const loadStore = () => {
+  const store = {};
+  Object.keys(CALENDARS).forEach(calendar => {
+    store[calendar] = new Map();
+    const dir = path.join(FIXTURE_DIR, calendar);
+    if (!fs.existsSync(dir)) return;
+
+    fs.readdirSync(dir).filter(file => file.endsWith('.ics')).forEach(file => {
+      const data = fs.readFileSync(path.join(dir, file), 'utf8').replace(/\{\{day([+-])(\d+)\}\}/g, dayToken);
+      store[calendar].set(file, { data, etag: etagOf(data) });
+    });
+  });
+  return store;
+};
+
+// ================================================================
+// SERVER
+// ================================================================
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const multistatus = (responses) => '<?xml version="1.0" encoding="utf-8"?>' +
+  '<d:multistatus xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav" xmlns:ic="http://apple.com/ns/ical/">' +
+  responses.map(({ href, props }) => `<d:response><d:href>${escapeXml(href)}</d:href>` +
+    `<d:propstat><d:prop>${props}</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>`).join('') +
+  '</d:multistatus>';
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+const createServer = ({ user, password }) => {
+  const store = loadStore();
+  const principal = `/dav/principals/${user}/`;
+  const home = `/dav/calendars/${user}/`;
+  const expectedAuth = `Basic ${Buffer.from(`${user}:${password}`).toString('base64')}`;
+
+  const calendarProps = (calendar) => {
+    const { name, color, writable, components } = CALENDARS[calendar];
+    const privileges = writable ? '<d:privilege><d:read/></d:privilege><d:privilege><d:write/></d:privilege>' : '<d:privilege><d:read/></d:privilege>';
+    return '<d:resourcetype><d:collection/><c:calendar/></d:resourcetype>' +
+      `<d:displayname>${escapeXml(name)}</d:displayname>` +
+      `<ic:calendar-color>${color}</ic:calendar-color>` +
+      `<c:supported-calendar-component-set>${components.map(comp => `<c:comp name="${comp}"/>`).join('')}</c:supported-calendar-component-set>` +
+      `<d:current-user-privilege-set>${privileges}</d:current-user-privilege-set>`;
+  };
+
+  const handle = async (req, res) => {
+    const send = (status, body = '', headers = {}) => {
+      res.writeHead(status, { ...(body && { 'Content-Type': 'application/xml; charset=utf-8' }), ...headers });
+      res.end(body);
+    };
+    const { pathname } = new URL(req.url, 'http://fixture');
+    const body = await readBody(req);
+
+    if (pathname === '/' || pathname === '/.well-known/caldav') return send(301, '', { Location: '/dav/' });
+    if (req.headers.authorization !== expectedAuth) {
+      return send(401, '', { 'WWW-Authenticate': 'Basic realm="caldav fixture"' });
+    }
+
+    if (req.method === 'PROPFIND') {
+      const depth = req.headers.depth === '0' ? 0 : 1;
+      if (pathname === '/dav/' || pathname === principal) {
+        const props = `<d:current-user-principal><d:href>${principal}</d:href></d:current-user-principal>` +
+          (pathname === principal ? `<c:calendar-home-set><d:href>${home}</d:href></c:calendar-home-set>` : '');
+        return send(207, multistatus([{ href: pathname, props }]));
+      }
+      if (pathname === home) {
+        const responses = [{ href: home, props: '<d:resourcetype><d:collection/></d:resourcetype>' }];
+        if (depth > 0) {
+          Object.keys(CALENDARS).forEach(calendar => responses.push({ href: `${home}${calendar}/`, props: calendarProps(calendar) }));
+        }
+        return send(207, multistatus(responses));
+      }
+      const calendar = pathname.slice(home.length).replace(/\/$/, '');
+      if (pathname.startsWith(home) && CALENDARS[calendar]) {
+        return send(207, multistatus([{ href: pathname, props: calendarProps(calendar) }]));
+      }
+      return send(404);
+    }
+
+    if (req.method === 'REPORT') {
+      const calendar = pathname.slice(home.length).replace(/\/$/, '');
+      if (!pathname.startsWith(home) || !store[calendar]) return send(404);
+
+      // Every resource matches the time range; the client expands and
+      // windows recurrences itself. calendar-multiget narrows to its hrefs.
+      const wanted = /calendar-multiget/.test(body)
+        ? new Set([...body.matchAll(/<(?:\w+:)?href>([^<]+)</g)].map(match => match[1]))
+        : null;
+      const responses = [...store[calendar]]
+        .map(([name, resource]) => ({ href: `${home}${calendar}/${encodeURIComponent(name)}`, resource }))
+        .filter(({ href }) => !wanted || wanted.has(href))
+        .map(({ href, resource }) => ({
+          href,
+          props: `<d:getetag>${escapeXml(resource.etag)}</d:getetag><c:calendar-data>${escapeXml(resource.data)}</c:calendar-data>`
+        }));
+      return send(207, multistatus(responses));
+    }
+
+    // Single event resources
+    const [calendar, name] = decodeURIComponent(pathname.slice(home.length)).split('/');
+    if (!pathname.startsWith(home) || !store[calendar] || !name) return send(404);
+    const resources = store[calendar];
+    const existing = resources.get(name);
+
+    const preconditionFails = () => {
+      const ifMatch = req.headers['if-match'];
+      const ifNoneMatch = req.headers['if-none-match'];
+      return (ifMatch && (!existing || ifMatch !== existing.etag)) || (ifNoneMatch === '*' && existing);
+    };
+
+    if (req.method === 'GET') {
+      if (!existing) return send(404);
+      res.writeHead(200, { 'Content-Type': 'text/calendar; charset=utf-8', ETag: existing.etag });
+      return res.end(existing.data);
+    }
+
+    if (req.method === 'PUT') {
+      if (!CALENDARS[calendar].writable) return send(403);
+      if (preconditionFails()) return send(412);
+      const etag = etagOf(body);
+      resources.set(name, { data: body, etag });
+      return send(existing ? 204 : 201, '', { ETag: etag });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!CALENDARS[calendar].writable) return send(403);
+      if (!existing) return send(404);
+      if (preconditionFails()) return send(412);
+      resources.delete(name);
+      return send(204);
+    }
+
+    return send(405);
+  };
+
+  return http.createServer((req, res) => {
+    handle(req, res)
+      .then(() => console.log(`   ${req.method} ${req.url} -> ${res.statusCode}`))
+      .catch(error => {
+        console.error('❌', error.message);
+        if (!res.headersSent) res.writeHead(500);
+        res.end();
+      });
+  });
+};
+
+// ================================================================
+// CHECK
+// ================================================================
+
+const runCheck = async (baseUrl, { user, password }) => {
+  process.env.CALENDAR_ALLOW_PRIVATE_URLS = 'true';
+  const moment = require('moment-timezone');
+  const caldavClient = require('../Src/services/earth/caldavClient');
+  const ical = require('../Src/utils/ical');
+
+  const auth = { username: user, password };
+  let failures = 0;
+  const check = (label, ok, detail = '') => {
+    if (!ok) failures++;
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` - ${detail}` : ''}`);
+  };
+  const rejects = async (promise) => promise.then(() => null, error => error);
+
+  // Discovery
+  const { principalUrl, homeUrl, calendars } = await caldavClient.discover(baseUrl, auth);
+  check('Principal found through the root redirect', principalUrl.endsWith(`/dav/principals/${user}/`), principalUrl);
+  check('Calendar home found', homeUrl.endsWith(`/dav/calendars/${user}/`), homeUrl);
+  check('VTODO-only calendar skipped', calendars.map(c => c.name).join(',') === 'Personal,Holidays',
+    calendars.map(c => `${c.name}${c.writable ? '' : ' (read-only)'}`).join(', '));
+
+  const personal = calendars.find(c => c.name === 'Personal');
+  const holidays = calendars.find(c => c.name === 'Holidays');
+  check('Write privileges read', personal?.writable === true && holidays?.writable === false);
+
+  // Sync window queries and RRULE expansion
+  const start = new Date(Date.now() - 7 * DAY_MS);
+  const end = new Date(Date.now() + 30 * DAY_MS);
+  const expand = async (calendar) => {
+    const resources = await caldavClient.fetchEvents(calendar.url, auth, start, end);
+    return ical.expandEvents(resources.flatMap(resource => ical.readEvents(resource.data)), start, end);
+  };
+
+  const occurrences = await expand(personal);
+  const dayOf = (offset) => new Date(Date.now() + offset * DAY_MS).toISOString().slice(0, 10);
+  const runs = occurrences.filter(o => o.uid === 'fixture-morning-run');
+  const standups = occurrences.filter(o => o.uid === 'fixture-weekly-standup');
+  const moved = runs.find(o => o.recurrenceId);
+  check('Personal calendar expanded', occurrences.length > 0, `${occurrences.length} occurrences`);
+  check('EXDATE removes an instance', runs.length > 0 && !runs.some(o => o.start.toISOString().startsWith(dayOf(3))));
+  check('RECURRENCE-ID override applied', moved?.summary === 'Morning run (moved)' &&
+    moved.start.toISOString() === `${dayOf(5)}T12:30:00.000Z`);
+  check('TZID series keeps local wall-clock time', standups.length > 0 &&
+    standups.every(o => moment(o.start).tz('America/New_York').format('ddd HH:mm').match(/^(Mon|Wed|Fri) 09:30$/)),
+  `${standups.length} standups`);
+  check('One-off event in window', occurrences.filter(o => o.uid === 'fixture-dentist').length === 1);
+
+  const closures = await expand(holidays);
+  check('All-day monthly BYDAY series expanded', closures.length > 0 && closures.every(o => o.allDay && moment.utc(o.start).day() === 1),
+    closures.map(o => o.start.toISOString().slice(0, 10)).join(', '));
+
+  // Write-back
+  const uid = `phoenix-${crypto.randomBytes(12).toString('hex')}@phoenix`;
+  const url = caldavClient.eventUrl(personal.url, uid);
+  const event = { uid, summary: 'Focus block', start: new Date(Date.now() + DAY_MS), end: new Date(Date.now() + DAY_MS + 3600000), status: 'confirmed' };
+  const created = await caldavClient.putEvent(url, auth, ical.serializeEvent(event));
+  check('Write-back creates the event', !created.conflict && Boolean(created.etag), created.etag);
+  check('Creating it twice is a conflict', (await caldavClient.putEvent(url, auth, ical.serializeEvent(event))).conflict);
+
+  const updated = await caldavClient.putEvent(url, auth, ical.serializeEvent({ ...event, summary: 'Focus block (edited)' }), created.etag);
+  check('Update with the current ETag succeeds', !updated.conflict && updated.etag !== created.etag);
+  check('Update with a stale ETag is a conflict', (await caldavClient.putEvent(url, auth, ical.serializeEvent(event), created.etag)).conflict);
+
+  const stored = await caldavClient.getEvent(url, auth);
+  check('Written event reads back', ical.readEvents(stored.data)[0]?.summary === 'Focus block (edited)');
+  check('Written event appears in the calendar query',
+    (await caldavClient.fetchEvents(personal.url, auth, start, end)).some(resource => resource.href === url));
+
+  check('Delete with a stale ETag is a conflict', (await caldavClient.deleteEvent(url, auth, created.etag)).conflict);
+  check('Delete with the current ETag succeeds', (await caldavClient.deleteEvent(url, auth, updated.etag)).deleted);
+  check('Deleted event is gone', (await caldavClient.getEvent(url, auth)) === null);
+
+  const readOnly = await rejects(caldavClient.putEvent(caldavClient.eventUrl(holidays.url, uid), auth, ical.serializeEvent(event)));
+  check('Read-only calendar refuses writes', readOnly?.message === 'This CalDAV calendar is read-only', readOnly?.message);
+  const readOnlyDelete = await rejects(caldavClient.deleteEvent(caldavClient.eventUrl(holidays.url, 'first-monday'), auth));
+  check('Read-only calendar refuses deletes', readOnlyDelete?.message === 'This CalDAV calendar is read-only', readOnlyDelete?.message);
+
+  // Credentials and the private-address guard
+  const badPassword = await rejects(caldavClient.discover(baseUrl, { username: user, password: 'wrong' }));
+  check('Wrong password rejected', badPassword?.statusCode === 400, badPassword?.message);
+
+  delete process.env.CALENDAR_ALLOW_PRIVATE_URLS;
+  const privateUrl = await rejects(caldavClient.discover(baseUrl, auth));
+  check('Private address refused without CALENDAR_ALLOW_PRIVATE_URLS', privateUrl?.statusCode === 400, privateUrl?.message);
+
+  return failures;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const server = createServer(args);
+
+  // --check listens on a free port unless one was asked for
+  const port = args.check && !process.argv.includes('--port') ? 0 : args.port;
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  const baseUrl = `http://localhost:${server.address().port}/`;
+
+  console.log('📅 CalDAV fixture server');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('Server URL:', baseUrl);
+  console.log('Username:  ', args.user);
+  console.log('Password:  ', args.password);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━');
+
+  if (!args.check) return;
+
+  const failures = await runCheck(baseUrl, args).finally(() => server.close());
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+};
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+// scripts/importFoods.js - Load foods into the food database
+// Imports the bundled list or an external JSON/CSV export. Records are
+// upserted (by barcode when present) so files can be re-imported safely.
+//
+// Usage:
+//   node scripts/importFoods.js                    # bundled list (Src/data/foods.json)
+//   node scripts/importFoods.js foods.json         # JSON array of records
+//   node scripts/importFoods.js products.csv       # CSV with a header row
+//
+// Record fields: name, brand, barcode, category, servingSize, servingGrams,
+// calories, protein, carbs, fat, fiber, sugar, sodium (mg), aliases.
+// CSV aliases are separated with "|".
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const foodDatabase = require('../Src/services/venus/foodDatabase');
+
+const BUNDLED = path.join(__dirname, '../Src/data/foods.json');
+
+// Minimal RFC 4180 parser (quoted fields, escaped quotes, CRLF)
+const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field); field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  if (row.some(value => value !== '')) rows.push(row);
+
+  const [header, ...data] = rows;
+  return data.map(values => header.reduce((record, column, index) => {
+    const value = values[index]?.trim();
+    if (value) record[column.trim()] = column.trim() === 'aliases' ? value.split('|') : value;
+    return record;
+  }, {}));
+};
+
+const main = async () => {
+  const file = process.argv[2] ? path.resolve(process.argv[2]) : BUNDLED;
+  const source = file === BUNDLED ? 'bundled' : 'imported';
+
+  const text = fs.readFileSync(file, 'utf8');
+  const records = file.endsWith('.csv') ? parseCSV(text) : JSON.parse(text);
+  if (!Array.isArray(records)) throw new Error('Expected an array of food records');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`🥗 Importing ${records.length} foods from ${path.basename(file)} (${source})`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━');
+
+  const result = await foodDatabase.importFoods(records, { source });
+  console.log(`✅ Inserted ${result.inserted}, updated ${result.updated}, skipped ${result.skipped}`);
+  result.errors.slice(0, 20).forEach(({ index, error }) => {
+    console.log(`❌ Record ${index}: ${error}`);
+  });
+  if (result.errors.length > 20) console.log(`   ...and ${result.errors.length - 20} more`);
+
+  await mongoose.connection.close();
+};
+
+main().catch(async error => {
+  console.error('❌', error.message);
+  await mongoose.connection.close().catch(() => {});
+  process.exit(1);
+});
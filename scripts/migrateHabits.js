@@ -0,0 +1,90 @@
+// scripts/migrateHabits.js - Move legacy embedded goal habits into Habit documents
+// Older goals stored habits as goal.habits[] ({ title, frequency, streak,
+// lastCompleted }). Each one becomes a standalone Habit linked to its goal;
+// lastCompleted becomes a HabitLog entry. The embedded array is then unset.
+//
+// Usage:
+//   node scripts/migrateHabits.js status
+//   node scripts/migrateHabits.js migrate
+require('dotenv').config();
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const Habit = require('../Src/models/mars/Habit');
+const HabitLog = require('../Src/models/mars/HabitLog');
+
+const LEGACY = { 'habits.0': { $exists: true } };
+
+const migrate = async () => {
+  const db = mongoose.connection.db;
+  const counts = { goals: 0, habits: 0, logs: 0 };
+
+  const goals = db.collection('goals').find(LEGACY);
+  for await (const goal of goals) {
+    const userId = goal.userId || goal.clientId;
+    if (!userId) {
+      console.warn(`Skipping goal ${goal._id}: no owner`);
+      continue;
+    }
+
+    for (const legacy of goal.habits) {
+      const title = legacy.title || legacy.name;
+      if (!title) continue;
+
+      const startDate = moment.utc(legacy.createdAt || goal.createdAt || new Date()).format('YYYY-MM-DD');
+      const habit = await Habit.create({
+        userId,
+        goalId: goal._id,
+        title,
+        schedule: legacy.frequency === 'weekly'
+          ? { type: 'times_per_week', timesPerWeek: 1 }
+          : { type: 'daily' },
+        startDate
+      });
+      counts.habits++;
+
+      if (legacy.lastCompleted) {
+        const date = moment.utc(legacy.lastCompleted).format('YYYY-MM-DD');
+        await HabitLog.updateOne(
+          { habitId: habit._id, date: date < startDate ? startDate : date },
+          { $set: { userId, completed: true, loggedAt: legacy.lastCompleted } },
+          { upsert: true }
+        );
+        counts.logs++;
+      }
+    }
+
+    await db.collection('goals').updateOne({ _id: goal._id }, { $unset: { habits: 1 } });
+    counts.goals++;
+  }
+
+  return counts;
+};
+
+const main = async () => {
+  const command = process.argv[2];
+  if (!['status', 'migrate'].includes(command)) {
+    console.error('Usage: node scripts/migrateHabits.js <status|migrate>');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('🔁 Habit migration');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━');
+
+  if (command === 'migrate') {
+    const counts = await migrate();
+    console.log('✅ Migrated embedded habits:', counts);
+    console.log('   Legacy streak counts are not carried over; streaks rebuild from logs.');
+  }
+
+  const remaining = await mongoose.connection.db.collection('goals').countDocuments(LEGACY);
+  console.log(`Goals still holding embedded habits: ${remaining}`);
+
+  await mongoose.connection.close();
+};
+
+main().catch(async error => {
+  console.error('❌', error.message);
+  await mongoose.connection.close().catch(() => {});
+  process.exit(1);
+});
@@ -0,0 +1,112 @@
+// scripts/signTwilioWebhook.js - Sign Twilio webhook fixtures locally
+// Produces a valid X-Twilio-Signature for a fixture so the verified
+// webhook routes can be exercised without Twilio.
+//
+// Usage:
+//   node scripts/signTwilioWebhook.js <fixture> [--base http://localhost:5000] [--send] [--tamper] [--replay]
+//
+//   <fixture>   name in scripts/fixtures/twilio (e.g. incoming-sms) or a path to a JSON file
+//               shaped { path, params }. "{{now}}" in a param becomes the current RFC 2822 time.
+//   --base      public base URL the server verifies against (defaults to API_URL)
+//   --send      POST the signed fixture and print the response
+//   --tamper    change a param after signing (expect 403 invalid_signature)
+//   --replay    send the same signed request twice (expect 409 on the second)
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { signTwilioRequest } = require('../Src/middleware/twilioWebhookAuth');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'twilio');
+
+const parseArgs = (argv) => {
+  const args = { fixture: null, base: process.env.API_URL || 'http://localhost:5000' };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--base') args.base = argv[++i];
+    else if (argv[i] === '--send') args.send = true;
+    else if (argv[i] === '--tamper') args.tamper = true;
+    else if (argv[i] === '--replay') args.replay = true;
+    else if (!args.fixture) args.fixture = argv[i];
+  }
+  return args;
+};
+
+const loadFixture = (name) => {
+  const file = fs.existsSync(name) ? name : path.join(FIXTURE_DIR, `${name.replace(/\.json$/, '')}.json`);
+  if (!fs.existsSync(file)) {
+    const available = fs.readdirSync(FIXTURE_DIR).map(f => f.replace(/\.json$/, ''));
+    throw new Error(`Fixture not found: ${name}. Available: ${available.join(', ')}`);
+  }
+
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const params = {};
+  Object.entries(fixture.params || {}).forEach(([key, value]) => {
+    params[key] = value === '{{now}}' ? new Date().toUTCString() : String(value);
+  });
+
+  return { path: fixture.path, params };
+};
+
+const send = async (url, params, headers) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+    body: new URLSearchParams(params).toString()
+  });
+  console.log(`➡️  ${response.status} ${response.statusText}`);
+  console.log(await response.text());
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.fixture) {
+    console.error('Usage: node scripts/signTwilioWebhook.js <fixture> [--base url] [--send] [--tamper] [--replay]');
+    process.exit(1);
+  }
+
+  if (!process.env.TWILIO_AUTH_TOKEN) {
+    console.error('❌ TWILIO_AUTH_TOKEN must be set (use the same value as the server)');
+    process.exit(1);
+  }
+
+  const fixture = loadFixture(args.fixture);
+  const url = `${args.base.replace(/\/$/, '')}${fixture.path}`;
+  const signature = signTwilioRequest(url, fixture.params);
+  const headers = {
+    'X-Twilio-Signature': signature,
+    'I-Twilio-Idempotency-Token': crypto.randomUUID()
+  };
+
+  console.log('🔏 Signed Twilio fixture');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('URL:      ', url);
+  console.log('Signature:', signature);
+  console.log('Token:    ', headers['I-Twilio-Idempotency-Token']);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━');
+
+  const form = Object.entries(fixture.params)
+    .map(([key, value]) => `--data-urlencode '${key}=${value}'`)
+    .join(' \\\n  ');
+  console.log(`curl -X POST '${url}' \\\n  -H 'X-Twilio-Signature: ${signature}' \\\n  -H 'I-Twilio-Idempotency-Token: ${headers['I-Twilio-Idempotency-Token']}' \\\n  ${form}`);
+
+  if (!args.send) return;
+
+  const params = { ...fixture.params };
+  if (args.tamper) {
+    const key = params.Body !== undefined ? 'Body' : Object.keys(params).pop();
+    params[key] = `${params[key]} (tampered)`;
+    console.log(`\n✏️  Tampered ${key} after signing`);
+  }
+
+  await send(url, params, headers);
+  if (args.replay) {
+    console.log('\n🔁 Replaying identical request');
+    await send(url, params, headers);
+  }
+};
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
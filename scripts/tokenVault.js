@@ -0,0 +1,109 @@
+// scripts/tokenVault.js - Token vault maintenance
+// Moves legacy plaintext tokens into the encrypted vault and re-encrypts
+// entries after a key rotation.
+//
+// Usage:
+//   node scripts/tokenVault.js status
+//   node scripts/tokenVault.js migrate   # plaintext tokens -> TokenVault (fields are unset)
+//   node scripts/tokenVault.js rotate    # re-encrypt everything with TOKEN_VAULT_ACTIVE_KEY
+//
+// Rotating a key:
+//   1. Generate one:  node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+//   2. Prepend it:    TOKEN_VAULT_KEYS="k2:<new>,k1:<old>"  (first key is active)
+//   3. Deploy, then run `rotate` until it reports nothing failed
+//   4. Remove k1 from TOKEN_VAULT_KEYS
+require('dotenv').config();
+const mongoose = require('mongoose');
+const tokenVault = require('../Src/services/phoenix/tokenVault');
+
+const migrate = async () => {
+  const db = mongoose.connection.db;
+  const counts = { wearableDevices: 0, userConnections: 0, bankItems: 0 };
+
+  // WearableDevice.accessToken / refreshToken
+  const devices = db.collection('wearabledevices').find({ accessToken: { $exists: true } });
+  for await (const device of devices) {
+    await tokenVault.saveTokens(device.userId, device.provider, {
+      accessToken: device.accessToken,
+      refreshToken: device.refreshToken,
+      expiresAt: device.tokenExpiry
+    }, { category: 'wearable' });
+    await db.collection('wearabledevices').updateOne({ _id: device._id }, { $unset: { accessToken: 1, refreshToken: 1 } });
+    counts.wearableDevices++;
+  }
+
+  // User.wearableConnections[].accessToken / refreshToken
+  const users = db.collection('users').find({ 'wearableConnections.accessToken': { $exists: true } });
+  for await (const user of users) {
+    for (const connection of user.wearableConnections) {
+      if (!connection.accessToken) continue;
+      await tokenVault.saveTokens(user._id, connection.provider, {
+        accessToken: connection.accessToken,
+        refreshToken: connection.refreshToken,
+        expiresAt: connection.expiresAt
+      }, { category: 'wearable' });
+      counts.userConnections++;
+    }
+    await db.collection('users').updateOne(
+      { _id: user._id },
+      { $unset: { 'wearableConnections.$[].accessToken': 1, 'wearableConnections.$[].refreshToken': 1 } }
+    );
+  }
+
+  // Finance / BankAccount.plaidAccessToken (one token per Plaid item)
+  for (const collection of ['finances', 'bankaccounts']) {
+    const accounts = db.collection(collection).find({ plaidAccessToken: { $exists: true } });
+    for await (const account of accounts) {
+      await tokenVault.saveTokens(account.userId, 'plaid', { accessToken: account.plaidAccessToken }, {
+        category: 'banking',
+        accountRef: account.plaidItemId
+      });
+      await db.collection(collection).updateOne({ _id: account._id }, { $unset: { plaidAccessToken: 1 } });
+      counts.bankItems++;
+    }
+  }
+
+  return counts;
+};
+
+const main = async () => {
+  const command = process.argv[2];
+  if (!['status', 'migrate', 'rotate'].includes(command)) {
+    console.error('Usage: node scripts/tokenVault.js <status|migrate|rotate>');
+    process.exit(1);
+  }
+
+  // Fail fast on a bad keyring before touching the database
+  const { activeKeyId } = tokenVault.getKeyring();
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`🔐 Token vault (active key: ${activeKeyId})`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━');
+
+  if (command === 'migrate') {
+    const counts = await migrate();
+    console.log('✅ Migrated plaintext tokens:', counts);
+  }
+
+  if (command === 'rotate') {
+    const result = await tokenVault.rotateKeys();
+    console.log(`✅ Re-encrypted ${result.rotated} entr${result.rotated === 1 ? 'y' : 'ies'}`);
+    result.failed.forEach(failure => {
+      console.log(`❌ ${failure.id} (key ${failure.keyId}): ${failure.error}`);
+    });
+  }
+
+  const status = await tokenVault.getStatus();
+  console.log('Configured keys:', status.configuredKeys.join(', '));
+  status.entries.forEach(row => {
+    console.log(`   ${row.keyId || '(none)'} ${row.status}: ${row.count}`);
+  });
+
+  await mongoose.connection.close();
+};
+
+main().catch(async error => {
+  console.error('❌', error.message);
+  await mongoose.connection.close().catch(() => {});
+  process.exit(1);
+});
@@ -21,6 +21,18 @@ const rateLimit = require('express-rate-limit');
 const mongoSanitize = require('express-mongo-sanitize');
 const compression = require('compression');
 const morgan = require('morgan');
+const automationScheduler = require('./Src/services/phoenix/automationScheduler');
+const mlTrainingOrchestrator = require('./Src/services/phoenix/mlTrainingOrchestrator');
+const tokenRefreshScheduler = require('./Src/services/phoenix/tokenRefreshScheduler');
+const calendarFeedScheduler = require('./Src/services/earth/calendarFeedScheduler');
+const calendarSyncScheduler = require('./Src/services/earth/calendarSyncScheduler');
+const habitReminderScheduler = require('./Src/services/mars/habitReminderScheduler');
+const foodDatabase = require('./Src/services/venus/foodDatabase');
+const exerciseLibrary = require('./Src/services/venus/exerciseLibrary');
+const challengeEngine = require('./Src/services/venus/challengeEngine');
+const challengeWebSocket = require('./Src/services/venus/challengeWebSocket');
+const WebSocket = require('ws');
+const { identifyPlan, planRateLimiter } = require('./Src/middleware/subscriptionMiddleware');
 
 // ============================================================================
 // EXPRESS APP INITIALIZATION
@@ -49,17 +61,21 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
-// Rate Limiting - Prevent brute force attacks (skip for Twilio webhooks)
+// Rate Limiting - Prevent brute force attacks (skip for Twilio and calendar webhooks)
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 1000, // Limit each IP to 1000 requests per windowMs
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
-  skip: (req) => req.path.startsWith('/api/webhooks/twilio') // Skip rate limit for Twilio webhooks
+  skip: (req) => req.path.startsWith('/api/webhooks/twilio') || // Skip rate limit for Twilio webhooks
+    req.originalUrl.startsWith('/api/earth/calendar/webhook/')   // and calendar push notifications
 });
 app.use('/api/', limiter);
 
+// Per-plan rate limits for authenticated callers (see Src/config/plans.js)
+app.use('/api/', identifyPlan, planRateLimiter);
+
 // Sanitize data to prevent MongoDB injection
 app.use(mongoSanitize());
 
@@ -102,6 +118,23 @@ mongoose.connect(MONGODB_URI, {
 .then(() => {
   console.log('✅ MongoDB Connected Successfully');
   console.log(`📍 Database: ${mongoose.connection.name}`);
+
+  // Background jobs that need the database
+  automationScheduler.start();
+  tokenRefreshScheduler.start();
+  calendarFeedScheduler.start();
+  calendarSyncScheduler.start();
+  habitReminderScheduler.start();
+  challengeEngine.start();
+  mlTrainingOrchestrator.recoverJobs().catch(err => {
+    console.error('ML job recovery error:', err.message);
+  });
+  foodDatabase.ensureBundled().catch(err => {
+    console.error('Food database load error:', err.message);
+  });
+  exerciseLibrary.ensureLibrary().catch(err => {
+    console.error('Exercise library load error:', err.message);
+  });
 })
 .catch((err) => {
   console.error('❌ MongoDB Connection Error:', err.message);
@@ -134,7 +167,7 @@ const subscriptionRoutes = require('./Src/routes/subscription');
 const mercuryRoutes = require('./Src/routes/mercury');      // Health, Biometrics, Wearables & Recovery (38 endpoints)
 const venusRoutes = require('./Src/routes/venus');          // Fitness & Training (88 endpoints)
 const earthRoutes = require('./Src/routes/earth');          // Calendar & Energy (11 endpoints)
-const marsRoutes = require('./Src/routes/mars');            // Goals & Habits (18 endpoints)
+const marsRoutes = require('./Src/routes/mars');            // Goals & Habits (25 endpoints)
 const jupiterRoutes = require('./Src/routes/jupiter');      // Financial Management (16 endpoints)
 const saturnRoutes = require('./Src/routes/saturn');        // Legacy Planning (12 endpoints)
 const phoenixRoutes = require('./Src/routes/phoenix');      // AI Companion (81 endpoints)
@@ -163,7 +196,7 @@ app.get('/health', (req, res) => {
       mercury: '38 endpoints (Health, Biometrics, Wearables, Recovery)',
       venus: '88 endpoints (Fitness & Training)',
       earth: '11 endpoints (Calendar & Energy)',
-      mars: '18 endpoints (Goals & Habits)',
+      mars: '25 endpoints (Goals & Habits)',
       jupiter: '16 endpoints (Financial)',
       saturn: '12 endpoints (Legacy)',
       phoenix: '81 endpoints (AI Companion + SMS/Budget)',
@@ -207,7 +240,7 @@ app.use('/api/subscriptions', subscriptionRoutes);
 app.use('/api/mercury', mercuryRoutes);     // Health, Biometrics, Wearables & Recovery - 38 endpoints
 app.use('/api/venus', venusRoutes);         // Fitness & Training - 88 endpoints
 app.use('/api/earth', earthRoutes);         // Calendar & Energy - 11 endpoints
-app.use('/api/mars', marsRoutes);           // Goals & Habits - 18 endpoints
+app.use('/api/mars', marsRoutes);           // Goals & Habits - 25 endpoints
 app.use('/api/jupiter', jupiterRoutes);     // Financial Management - 16 endpoints
 app.use('/api/saturn', saturnRoutes);       // Legacy Planning - 12 endpoints
 app.use('/api/phoenix', phoenixRoutes);     // AI Companion - 81 endpoints
@@ -319,6 +352,10 @@ const server = app.listen(PORT, () => {
   console.log('='.repeat(60) + '\n');
 });
 
+// Live challenge leaderboards: ws://<host>/ws/challenges?token=<jwt>
+const challengeSocketServer = new WebSocket.Server({ server, path: '/ws/challenges' });
+challengeWebSocket.getInstance(challengeSocketServer);
+
 // ============================================================================
 // GRACEFUL SHUTDOWN
 // ============================================================================
@@ -328,6 +365,14 @@ process.on('SIGINT', gracefulShutdown);
 
 function gracefulShutdown(signal) {
   console.log(`\n${signal} signal received: closing HTTP server`);
+
+  automationScheduler.stop();
+  tokenRefreshScheduler.stop();
+  calendarFeedScheduler.stop();
+  calendarSyncScheduler.stop();
+  habitReminderScheduler.stop();
+  challengeEngine.stop();
+  challengeSocketServer.close();
   
   server.close(() => {
     console.log('HTTP server closed');